@@ -13,6 +13,7 @@ import { loading } from '@qubit-ltd/common-ui';
 import { checkArgumentType } from '@qubit-ltd/common-util';
 import { Log, Logger } from '@qubit-ltd/logging';
 import { assignOptions, toJsonOptions } from './impl/options';
+import { handleCancellation, normalizeRequestOptions, toRequestConfig } from './impl/request-options';
 
 const logger = Logger.getLogger('AppAuthenticateApi');
 
@@ -22,6 +23,17 @@ const logger = Logger.getLogger('AppAuthenticateApi');
  * @author 胡海星
  */
 class AppAuthenticateApi {
+  /**
+   * 路由定义，用于生成OpenAPI文档，详见`generateOpenApiDocument()`的说明。
+   *
+   * @type {Array<Object>}
+   */
+  ROUTE_DEFINITIONS = [
+    { name: 'authenticate', method: 'post', url: '/authenticate/app' },
+    { name: 'checkToken', method: 'get', url: '/authenticate/app/check' },
+    { name: 'refreshToken', method: 'get', url: '/authenticate/app/refresh' },
+  ];
+
   /**
    * 通过应用密钥获取应用的存取令牌。
    *
@@ -36,8 +48,8 @@ class AppAuthenticateApi {
    *     应用安全密钥。
    * @param {Environment|object} environment
    *     当前客户端的环境信息。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Token|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`Token`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -47,17 +59,19 @@ class AppAuthenticateApi {
     checkArgumentType('code', code, String);
     checkArgumentType('securityKey', securityKey, String);
     checkArgumentType('environment', environment, [Environment, Object]);
-    checkArgumentType('showLoading', showLoading, Boolean);
+    const requestOptions = normalizeRequestOptions(showLoading);
     const data = toJSON({
       code,
       securityKey,
       ...environment,
       platform: 'WEB',
     }, toJsonOptions);
-    if (showLoading) {
+    if (requestOptions.showLoading) {
       loading.show('正在获取应用令牌...');
     }
-    return http.post('/authenticate/app', data).then((obj) => {
+    const config = toRequestConfig(requestOptions);
+    const promise = http.post('/authenticate/app', data, config);
+    return handleCancellation(promise, requestOptions).then((obj) => {
       const token = Token.create(obj, assignOptions);
       logger.info('Successfully authenticate the apps.');
       return token;
@@ -71,8 +85,8 @@ class AppAuthenticateApi {
    *     指定的应用的编码。
    * @param {Token|object} token
    *     待检查的指定应用的存取令牌。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Token|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`Token`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -81,15 +95,17 @@ class AppAuthenticateApi {
   checkToken(code, token, showLoading = true) {
     checkArgumentType('code', code, String);
     checkArgumentType('token', token, [Token, Object]);
-    checkArgumentType('showLoading', showLoading, Boolean);
+    const requestOptions = normalizeRequestOptions(showLoading);
     const params = toJSON({
       code,
       token: token.value,
     }, toJsonOptions);
-    if (showLoading) {
+    if (requestOptions.showLoading) {
       loading.show('正在检查应用令牌...');
     }
-    return http.get('/authenticate/app/check', { params }).then((obj) => {
+    const config = toRequestConfig(requestOptions, { params });
+    const promise = http.get('/authenticate/app/check', config);
+    return handleCancellation(promise, requestOptions).then((obj) => {
       const token = Token.create(obj, assignOptions);
       logger.info('The token is valid.');
       return token;
@@ -109,8 +125,8 @@ class AppAuthenticateApi {
    *     指定的应用的编码。
    * @param {Token|object} token
    *     待检查的指定应用的存取令牌。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Token|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`Token`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -119,15 +135,17 @@ class AppAuthenticateApi {
   refreshToken(code, token, showLoading = true) {
     checkArgumentType('code', code, String);
     checkArgumentType('token', token, [Token, Object]);
-    checkArgumentType('showLoading', showLoading, Boolean);
+    const requestOptions = normalizeRequestOptions(showLoading);
     const params = toJSON({
       code,
       token: token.value,
     }, toJsonOptions);
-    if (showLoading) {
+    if (requestOptions.showLoading) {
       loading.show('正在刷新应用令牌...');
     }
-    return http.get('/authenticate/app/refresh', { params }).then((obj) => {
+    const config = toRequestConfig(requestOptions, { params });
+    const promise = http.get('/authenticate/app/refresh', config);
+    return handleCancellation(promise, requestOptions).then((obj) => {
       const token = Token.create(obj, assignOptions);
       logger.info('The token was successfully refreshed.');
       return token;
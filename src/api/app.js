@@ -13,6 +13,7 @@ import {
   StatefulInfo,
 } from '@qubit-ltd/common-model';
 import { HasLogger, Log } from '@qubit-ltd/logging';
+import { TIMESTAMP_PATTERN } from '../utils/check-criteria-constraints';
 import addImpl from './impl/add-impl';
 import {
   batchDeleteImpl,
@@ -20,6 +21,7 @@ import {
   deleteImpl,
 } from './impl/delete-impl';
 import { batchEraseImpl, eraseByKeyImpl, eraseImpl } from './impl/erase-impl';
+import exportAsyncImpl from './impl/export-async-impl';
 import exportImpl from './impl/export-impl';
 import {
   getByKeyImpl,
@@ -30,6 +32,7 @@ import {
   getPropertyImpl,
 } from './impl/get-impl';
 import importImpl from './impl/import-impl';
+import { iterateImpl, listAllImpl } from './impl/iterate-impl';
 import { listImpl, listInfoImpl } from './impl/list-impl';
 import {
   batchPurgeImpl,
@@ -91,25 +94,72 @@ class AppApi {
     // 状态
     { name: 'state', type: [State, String] },
     // 最后一次认证时间范围的（闭区间）起始值
-    { name: 'lastAuthorizeTimeStart', type: String },
+    { name: 'lastAuthorizeTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
     // 最后一次认证时间范围的（闭区间）结束值
-    { name: 'lastAuthorizeTimeEnd', type: String },
+    { name: 'lastAuthorizeTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
     // 是否是预定义数据
     { name: 'predefined', type: Boolean },
     // 是否已经被标记删除
     { name: 'deleted', type: Boolean },
     // 创建时间范围的（闭区间）起始值
-    { name: 'createTimeStart', type: String },
+    { name: 'createTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
     // 创建时间范围的（闭区间）结束值
-    { name: 'createTimeEnd', type: String },
+    { name: 'createTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
     // 修改时间范围的（闭区间）起始值
-    { name: 'modifyTimeStart', type: String },
+    { name: 'modifyTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
     // 修改时间范围的（闭区间）结束值
-    { name: 'modifyTimeEnd', type: String },
+    { name: 'modifyTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
     // 标记删除时间范围的（闭区间）起始值
-    { name: 'deleteTimeStart', type: String },
+    { name: 'deleteTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
     // 标记删除时间范围的（闭区间）结束值
-    { name: 'deleteTimeEnd', type: String },
+    { name: 'deleteTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
+  ];
+
+  /**
+   * 路由定义，用于生成OpenAPI文档，详见`generateOpenApiDocument()`的说明。
+   *
+   * @type {Array<Object>}
+   */
+  ROUTE_DEFINITIONS = [
+    { name: 'list', impl: 'listImpl', url: '/app' },
+    { name: 'iterate', impl: 'iterateImpl', url: '/app' },
+    { name: 'listAll', impl: 'listAllImpl', url: '/app' },
+    { name: 'listInfo', impl: 'listInfoImpl', url: '/app/info' },
+    { name: 'get', impl: 'getImpl', url: '/app/{id}' },
+    { name: 'getByCode', impl: 'getByKeyImpl', url: '/app/code/{code}' },
+    { name: 'getInfo', impl: 'getInfoImpl', url: '/app/{id}/info' },
+    { name: 'getInfoByCode', impl: 'getInfoByKeyImpl', url: '/app/code/{code}/info' },
+    { name: 'getCategory', impl: 'getPropertyImpl', url: '/app/{id}/category' },
+    { name: 'getCategoryByCode', impl: 'getPropertyByKeyImpl', url: '/app/code/{code}/category' },
+    { name: 'add', impl: 'addImpl', url: '/app' },
+    { name: 'update', impl: 'updateImpl', url: '/app/{id}' },
+    { name: 'updateByCode', impl: 'updateByKeyImpl', url: '/app/code/{code}' },
+    { name: 'updateState', impl: 'updatePropertyImpl', url: '/app/{id}/state' },
+    { name: 'updateStateByCode', impl: 'updatePropertyByKeyImpl', url: '/app/code/{code}/state' },
+    { name: 'updateComment', impl: 'updatePropertyImpl', url: '/app/{id}/comment' },
+    { name: 'updateCommentByCode', impl: 'updatePropertyByKeyImpl', url: '/app/code/{code}/comment' },
+    { name: 'delete', impl: 'deleteImpl', url: '/app/{id}' },
+    { name: 'deleteByCode', impl: 'deleteByKeyImpl', url: '/app/code/{code}' },
+    { name: 'batchDelete', impl: 'batchDeleteImpl', url: '/app/batch' },
+    { name: 'restore', impl: 'restoreImpl', url: '/app/{id}' },
+    { name: 'restoreByCode', impl: 'restoreByKeyImpl', url: '/app/code/{code}' },
+    { name: 'batchRestore', impl: 'batchRestoreImpl', url: '/app/batch' },
+    { name: 'purge', impl: 'purgeImpl', url: '/app/{id}/purge' },
+    { name: 'purgeByCode', impl: 'purgeByKeyImpl', url: '/app/code/{code}/purge' },
+    { name: 'purgeAll', impl: 'purgeAllImpl', url: '/app/purge' },
+    { name: 'erase', impl: 'eraseImpl', url: '/app/{id}/erase' },
+    { name: 'eraseByCode', impl: 'eraseByKeyImpl', url: '/app/code/{code}/erase' },
+    { name: 'batchErase', impl: 'batchEraseImpl', url: '/app/batch/erase' },
+    { name: 'batchPurge', impl: 'batchPurgeImpl', url: '/app/batch/purge' },
+    { name: 'exportXml', impl: 'exportImpl', url: '/app/export/xml' },
+    { name: 'exportJson', impl: 'exportImpl', url: '/app/export/json' },
+    { name: 'exportExcel', impl: 'exportImpl', url: '/app/export/excel' },
+    { name: 'exportCsv', impl: 'exportImpl', url: '/app/export/csv' },
+    { name: 'exportAsync', impl: 'exportAsyncImpl', url: '/app/export/{format}/async' },
+    { name: 'importXml', impl: 'importImpl', url: '/app/import/xml' },
+    { name: 'importJson', impl: 'importImpl', url: '/app/import/json' },
+    { name: 'importExcel', impl: 'importImpl', url: '/app/import/excel' },
+    { name: 'importCsv', impl: 'importImpl', url: '/app/import/csv' },
   ];
 
   /**
@@ -140,8 +190,8 @@ class AppApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Page<App>|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`Page`对象，包含符合条
    *     件的`App`对象的分页数据；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -151,6 +201,94 @@ class AppApi {
     return listImpl(this, '/app', pageRequest, criteria, sortRequest, showLoading);
   }
 
+  /**
+   * 逐页遍历符合条件的`App`对象。
+   *
+   * 此函数返回一个异步迭代器，它按需逐页获取数据，依次产生每一个符合条件的对象；调用者可
+   * 以使用`for await`语句遍历，并可随时使用`break`提前结束遍历。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `name: string` 名称中应包含的字符串；
+   *  - `organizationId: string|number|bigint` 所属机构的ID；
+   *  - `organizationName: string` 所属机构的名称包含的字符串；
+   *  - `appId: string|number|bigint` 所属类别的ID；
+   *  - `appCode: string` 所属类别的代码；
+   *  - `appName: string` 所属类别的名称包含的字符串；
+   *  - `state: State|string` 状态；
+   *  - `lastAuthorizeTimeStart: string` 最后一次认证时间范围的（闭区间）起始值；
+   *  - `lastAuthorizeTimeEnd: string` 最后一次认证时间范围的（闭区间）结束值；
+   *  - `predefined: boolean` 是否是预定义数据；
+   *  - `deleted: boolean` 是否已经被标记删除；
+   *  - `createTimeStart: string`创建时间范围的（闭区间）起始值；
+   *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
+   *  - `modifyTimeStart: string` 修改时间范围的（闭区间）起始值；
+   *  - `modifyTimeEnd: string` 修改时间范围的（闭区间）结束值；
+   *  - `deleteTimeStart: string` 标记删除时间范围的（闭区间）起始值；
+   *  - `deleteTimeEnd: string` 标记删除时间范围的（闭区间）结束值；
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。允许的条件包括：
+   *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
+   *  - `sortOrder: SortOrder` 指定是正序还是倒序。
+   * @param {object} options
+   *     遍历选项，包含以下属性：
+   *  - `pageSize: number` 每次请求的分页大小，默认值为`100`；
+   *  - `maxItems: number` 最多产生的对象数目，默认不限制；
+   *  - `showLoading: boolean` 每次请求时是否显示加载提示，默认值为`true`；
+   *  - `signal: AbortSignal` 用于取消遍历的信号，默认值为`undefined`。
+   * @return {AsyncGenerator<App>}
+   *     一个异步迭代器，依次产生符合条件的`App`对象。若某一页的请求失败，则迭代器抛出
+   *     该请求的`ErrorInfo`对象。
+   */
+  @Log
+  iterate(criteria = {}, sortRequest = {}, options = {}) {
+    return iterateImpl(this, '/app', criteria, sortRequest, options);
+  }
+
+  /**
+   * 获取全部符合条件的`App`对象。
+   *
+   * 此函数逐页获取全部符合条件的对象，并将它们收集到一个数组中。若符合条件的对象数目很
+   * 多，应考虑使用`iterate()`函数逐个处理。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `name: string` 名称中应包含的字符串；
+   *  - `organizationId: string|number|bigint` 所属机构的ID；
+   *  - `organizationName: string` 所属机构的名称包含的字符串；
+   *  - `appId: string|number|bigint` 所属类别的ID；
+   *  - `appCode: string` 所属类别的代码；
+   *  - `appName: string` 所属类别的名称包含的字符串；
+   *  - `state: State|string` 状态；
+   *  - `lastAuthorizeTimeStart: string` 最后一次认证时间范围的（闭区间）起始值；
+   *  - `lastAuthorizeTimeEnd: string` 最后一次认证时间范围的（闭区间）结束值；
+   *  - `predefined: boolean` 是否是预定义数据；
+   *  - `deleted: boolean` 是否已经被标记删除；
+   *  - `createTimeStart: string`创建时间范围的（闭区间）起始值；
+   *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
+   *  - `modifyTimeStart: string` 修改时间范围的（闭区间）起始值；
+   *  - `modifyTimeEnd: string` 修改时间范围的（闭区间）结束值；
+   *  - `deleteTimeStart: string` 标记删除时间范围的（闭区间）起始值；
+   *  - `deleteTimeEnd: string` 标记删除时间范围的（闭区间）结束值；
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。允许的条件包括：
+   *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
+   *  - `sortOrder: SortOrder` 指定是正序还是倒序。
+   * @param {object} options
+   *     遍历选项，包含以下属性：
+   *  - `pageSize: number` 每次请求的分页大小，默认值为`100`；
+   *  - `maxItems: number` 最多产生的对象数目，默认不限制；
+   *  - `showLoading: boolean` 每次请求时是否显示加载提示，默认值为`true`；
+   *  - `signal: AbortSignal` 用于取消遍历的信号，默认值为`undefined`。
+   * @return {Promise<Array<App>|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回包含全部符合条件的
+   *     `App`对象的数组；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  listAll(criteria = {}, sortRequest = {}, options = {}) {
+    return listAllImpl(this, '/app', criteria, sortRequest, options);
+  }
+
   /**
    * 列出符合条件的`App`对象的基本信息。
    *
@@ -179,8 +317,8 @@ class AppApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Page<StatefulInfo>|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`Page`对象，包含符合条
    *     件的`App`对象的基本信息的分页数据；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -195,8 +333,8 @@ class AppApi {
    *
    * @param {string|number|bigint} id
    *     `App`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<App|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`App`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -211,8 +349,8 @@ class AppApi {
    *
    * @param {string} code
    *     `App`对象的代码。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<App|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`App`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -227,8 +365,8 @@ class AppApi {
    *
    * @param {string|number|bigint} id
    *     `App`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<StatefulInfo|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`StatefulInfo`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -243,8 +381,8 @@ class AppApi {
    *
    * @param {string} code
    *     `App`对象的代码。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<StatefulInfo|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`StatefulInfo`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -259,8 +397,8 @@ class AppApi {
    *
    * @param {string|number|bigint} id
    *     `App`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<InfoWithEntity|null|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`App`对象
    *     所属分类的基本信息，或`null`若该对象没有所属分类；若操作失败，则解析失败并返回一个
@@ -276,8 +414,8 @@ class AppApi {
    *
    * @param {string} code
    *     `App`对象的代码。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<InfoWithEntity|null|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`App`对象所属分类的
    *     基本信息，或`null`若该对象没有所属分类；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -292,8 +430,8 @@ class AppApi {
    *
    * @param {App|object} entity
    *     要添加的`App`对象。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<App|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回新增的`App`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -308,8 +446,8 @@ class AppApi {
    *
    * @param {App|object} entity
    *     要更新的`App`对象的数据，根据其ID确定要更新的对象。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<App|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新后的`App`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -324,8 +462,8 @@ class AppApi {
    *
    * @param {App} entity
    *     要更新的`App`对象的数据，根据其代码确定要更新的对象。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<App|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新后的`App`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -342,8 +480,8 @@ class AppApi {
    *     `App`对象的ID。
    * @param {State|string} state
    *     要更新的`App`对象的状态，必须是`State`枚举类型或表示其值的字符串。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据更新的UTC时间戳，
    *     以ISO-8601格式表示为字符串；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -360,8 +498,8 @@ class AppApi {
    *     要更新的`App`对象的代码。
    * @param {State|string} state
    *     要更新的`App`对象的状态，必须是`State`枚举类型或表示其值的字符串。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据更新的UTC时间戳，
    *     以ISO-8601格式表示为字符串；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -378,8 +516,8 @@ class AppApi {
    *     `App`对象的ID。
    * @param {string} comment
    *     要更新的`App`对象的备注。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据更新的UTC时间戳，
    *     以ISO-8601格式表示为字符串；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -396,8 +534,8 @@ class AppApi {
    *     要更新的`App`对象的代码。
    * @param {string} comment
    *     要更新的`App`对象的备注。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据更新的UTC时间戳，
    *     以ISO-8601格式表示为字符串；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -412,8 +550,8 @@ class AppApi {
    *
    * @param {string} id
    *     要标记删除的`App`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据被标记删除的UTC时间戳，
    *     以ISO-8601格式表示为字符串；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -428,8 +566,8 @@ class AppApi {
    *
    * @param {string} code
    *     要标记删除的`App`对象的代码。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据被标记删除的UTC时间戳，
    *     以ISO-8601格式表示为字符串；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -444,8 +582,8 @@ class AppApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量删除的`App`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回被标记删除的记录数；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -460,8 +598,8 @@ class AppApi {
    *
    * @param {string} id
    *     要恢复的`App`对象的ID，该对象必须已经被标记删除。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -476,8 +614,8 @@ class AppApi {
    *
    * @param {string} code
    *     要恢复的`App`对象的代码，该对象必须已经被标记删除。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -492,8 +630,8 @@ class AppApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量恢复的已被标记删除的`App`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回实际恢复的实体的数目；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -508,8 +646,8 @@ class AppApi {
    *
    * @param {string} id
    *     要清除的`App`对象的ID，该对象必须已经被标记删除。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -524,8 +662,8 @@ class AppApi {
    *
    * @param {string} code
    *     要清除的`App`对象的代码，该对象必须已经被标记删除。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -538,8 +676,8 @@ class AppApi {
   /**
    * 彻底清除全部已被标记删除的`App`对象。
    *
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -554,8 +692,8 @@ class AppApi {
    *
    * @param {string|number|bigint} id
    *     要彻底清除的`App`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -570,8 +708,8 @@ class AppApi {
    *
    * @param {string} code
    *     要彻底清除的`App`对象的代码。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -586,8 +724,8 @@ class AppApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量彻底清除的`App`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回实际删除的实体的数目；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -602,8 +740,8 @@ class AppApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量彻底清除的已被标记删除的`App`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回实际被彻底清除的实体的数目；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -639,14 +777,13 @@ class AppApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载文件。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
-   * @return {Promise<string|null|ErrorInfo>}
-   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功，如果`autoDownload`设置为`true`，
-   *     浏览器会自动下载导出的文件，并返回`null`，否则返回导出的文件的 Blob URL（注意：
-   *     这个Blob URL稍后需要通过`window.URL.revokeObjectURL(url)`释放）；若操作失败，
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象，如果`autoDownload`设置为`true`，浏览器还会自动保存导出的文件；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
@@ -680,14 +817,13 @@ class AppApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载文件。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
-   * @return {Promise<string|null|ErrorInfo>}
-   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功，如果`autoDownload`设置为`true`，
-   *     浏览器会自动下载导出的文件，并返回`null`，否则返回导出的文件的 Blob URL（注意：
-   *     这个Blob URL稍后需要通过`window.URL.revokeObjectURL(url)`释放）；若操作失败，
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象，如果`autoDownload`设置为`true`，浏览器还会自动保存导出的文件；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
@@ -721,14 +857,13 @@ class AppApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载文件。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
-   * @return {Promise<string|null|ErrorInfo>}
-   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功，如果`autoDownload`设置为`true`，
-   *     浏览器会自动下载导出的文件，并返回`null`，否则返回导出的文件的 Blob URL（注意：
-   *     这个Blob URL稍后需要通过`window.URL.revokeObjectURL(url)`释放）；若操作失败，
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象，如果`autoDownload`设置为`true`，浏览器还会自动保存导出的文件；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
@@ -762,14 +897,13 @@ class AppApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载文件。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
-   * @return {Promise<string|null|ErrorInfo>}
-   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功，如果`autoDownload`设置为`true`，
-   *     浏览器会自动下载导出的文件，并返回`null`，否则返回导出的文件的 Blob URL（注意：
-   *     这个Blob URL稍后需要通过`window.URL.revokeObjectURL(url)`释放）；若操作失败，
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象，如果`autoDownload`设置为`true`，浏览器还会自动保存导出的文件；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
@@ -777,18 +911,67 @@ class AppApi {
     return exportImpl(this, '/app/export/csv', 'CSV', criteria, sortRequest, autoDownload, showLoading);
   }
 
+  /**
+   * 以服务器端异步任务的方式导出符合条件的`App`对象为指定格式的文件。
+   *
+   * 此方法适用于导出大量数据的情形：首先提交一个导出任务，然后定时查询该任务的状态，
+   * 任务完成后再下载导出的文件，详见`exportAsyncImpl()`的说明。
+   *
+   * @param {string} format
+   *     导出的文件的格式，可以是`'XML'`、`'JSON'`、`'Excel'`或`'CSV'`，不区分大小写。
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `name: string` 名称中应包含的字符串；
+   *  - `organizationId: string|number|bigint` 所属机构的ID；
+   *  - `organizationName: string` 所属机构的名称包含的字符串；
+   *  - `appId: string|number|bigint` 所属类别的ID；
+   *  - `appCode: string` 所属类别的代码；
+   *  - `appName: string` 所属类别的名称包含的字符串；
+   *  - `state: State|string` 状态；
+   *  - `lastAuthorizeTimeStart: string` 最后一次认证时间范围的（闭区间）起始值；
+   *  - `lastAuthorizeTimeEnd: string` 最后一次认证时间范围的（闭区间）结束值；
+   *  - `predefined: boolean` 是否是预定义数据；
+   *  - `deleted: boolean` 是否已经被标记删除；
+   *  - `createTimeStart: string`创建时间范围的（闭区间）起始值；
+   *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
+   *  - `modifyTimeStart: string` 修改时间范围的（闭区间）起始值；
+   *  - `modifyTimeEnd: string` 修改时间范围的（闭区间）结束值；
+   *  - `deleteTimeStart: string` 标记删除时间范围的（闭区间）起始值；
+   *  - `deleteTimeEnd: string` 标记删除时间范围的（闭区间）结束值；
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。允许的条件包括：
+   *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
+   *  - `sortOrder: SortOrder` 指定是正序还是倒序。
+   * @param {object} options
+   *     导出选项，除了`showLoading`、`signal`等请求选项之外，还可以包含以下属性：
+   *  - `autoDownload: boolean` 任务完成后是否自动下载文件，默认值为`true`；
+   *  - `interval: number` 查询任务状态的时间间隔，单位为毫秒，默认值为`1000`；
+   *  - `maxWait: number` 等待任务完成的最长时间，单位为毫秒，默认值为`1800000`，即30分钟；
+   *  - `onProgress: function` 进度回调函数，每次查询到任务的状态后将以
+   *    `{ taskId, status, elapsed }`为参数调用之。
+   * @return {Promise<object|ErrorInfo>}
+   *     此操作的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象；若导出任务失败，则解析失败并返回一个`TaskFailedError`对象；若等待超时，
+   *     则解析失败并返回一个`TaskTimeoutError`对象；若请求失败，则解析失败并返回一个
+   *     `ErrorInfo`对象。
+   */
+  @Log
+  exportAsync(format, criteria = {}, sortRequest = {}, options = {}) {
+    return exportAsyncImpl(this, '/app/export/{format}/async', format, criteria, sortRequest, options);
+  }
+
   /**
    * 从XML文件导入`App`对象。
    *
    * @param {File} file
    *     XML文件对象。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否并行导入。如果为`true`，则并行导入；否则，单线程导入。默认值为`false`。
    * @param {number} threads
    *     并行导入的线程数。若`parallel`为`false`，此参数无效。若此参数为`null`，
    *     则使用默认线程数。默认线程数由当前系统的CPU核心数决定。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的`App`对象的数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -803,13 +986,13 @@ class AppApi {
    *
    * @param {File} file
    *     JSON文件对象。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否并行导入。如果为`true`，则并行导入；否则，单线程导入。默认值为`false`。
    * @param {number} threads
    *     并行导入的线程数。若`parallel`为`false`，此参数无效。若此参数为`null`，
    *     则使用默认线程数。默认线程数由当前系统的CPU核心数决定。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的`App`对象的数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -824,13 +1007,13 @@ class AppApi {
    *
    * @param {File} file
    *     Excel文件对象。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否并行导入。如果为`true`，则并行导入；否则，单线程导入。默认值为`false`。
    * @param {number} threads
    *     并行导入的线程数。若`parallel`为`false`，此参数无效。若此参数为`null`，
    *     则使用默认线程数。默认线程数由当前系统的CPU核心数决定。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的`App`对象的数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -845,13 +1028,13 @@ class AppApi {
    *
    * @param {File} file
    *     CSV文件对象。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否并行导入。如果为`true`，则并行导入；否则，单线程导入。默认值为`false`。
    * @param {number} threads
    *     并行导入的线程数。若`parallel`为`false`，此参数无效。若此参数为`null`，
    *     则使用默认线程数。默认线程数由当前系统的CPU核心数决定。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的`App`对象的数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -8,10 +8,12 @@
 ////////////////////////////////////////////////////////////////////////////////
 import { Attachment, State } from '@qubit-ltd/common-model';
 import { HasLogger, Log } from '@qubit-ltd/logging';
+import { TIMESTAMP_PATTERN } from '../utils/check-criteria-constraints';
 import addImpl from './impl/add-impl';
 import { batchDeleteImpl, deleteImpl } from './impl/delete-impl';
 import { batchEraseImpl, eraseImpl } from './impl/erase-impl';
 import { getImpl } from './impl/get-impl';
+import { iterateImpl, listAllImpl } from './impl/iterate-impl';
 import { listImpl } from './impl/list-impl';
 import { batchPurgeImpl, purgeAllImpl, purgeImpl } from './impl/purge-impl';
 import { batchRestoreImpl, restoreImpl } from './impl/restore-impl';
@@ -62,21 +64,46 @@ class AttachmentApi {
     // 是否已经被标记删除
     { name: 'deleted', type: Boolean },
     // 创建时间范围的（闭区间）起始值
-    { name: 'createTimeStart', type: String },
+    { name: 'createTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
     // 创建时间范围的（闭区间）结束值
-    { name: 'createTimeEnd', type: String },
+    { name: 'createTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
     // 修改时间范围的（闭区间）起始值
-    { name: 'modifyTimeStart', type: String },
+    { name: 'modifyTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
     // 修改时间范围的（闭区间）结束值
-    { name: 'modifyTimeEnd', type: String },
+    { name: 'modifyTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
     // 标记删除时间范围的（闭区间）起始值
-    { name: 'deleteTimeStart', type: String },
+    { name: 'deleteTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
     // 标记删除时间范围的（闭区间）结束值
-    { name: 'deleteTimeEnd', type: String },
+    { name: 'deleteTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
     // 是否将返回对象中所有文件的存储路径转换为外链URL
     { name: 'transformUrls', type: Boolean },
   ];
 
+  /**
+   * 路由定义，用于生成OpenAPI文档，详见`generateOpenApiDocument()`的说明。
+   *
+   * @type {Array<Object>}
+   */
+  ROUTE_DEFINITIONS = [
+    { name: 'list', impl: 'listImpl', url: '/attachment' },
+    { name: 'iterate', impl: 'iterateImpl', url: '/attachment' },
+    { name: 'listAll', impl: 'listAllImpl', url: '/attachment' },
+    { name: 'get', impl: 'getImpl', url: '/attachment/{id}' },
+    { name: 'add', impl: 'addImpl', url: '/attachment' },
+    { name: 'update', impl: 'updateImpl', url: '/attachment/{id}' },
+    { name: 'updateState', impl: 'updatePropertyImpl', url: '/attachment/{id}/state' },
+    { name: 'updateVisible', impl: 'updatePropertyImpl', url: '/attachment/{id}/visible' },
+    { name: 'delete', impl: 'deleteImpl', url: '/attachment/{id}' },
+    { name: 'batchDelete', impl: 'batchDeleteImpl', url: '/attachment/batch' },
+    { name: 'restore', impl: 'restoreImpl', url: '/attachment/{id}' },
+    { name: 'batchRestore', impl: 'batchRestoreImpl', url: '/attachment/batch' },
+    { name: 'purge', impl: 'purgeImpl', url: '/attachment/{id}/purge' },
+    { name: 'purgeAll', impl: 'purgeAllImpl', url: '/attachment/purge' },
+    { name: 'batchPurge', impl: 'batchPurgeImpl', url: '/attachment/batch/purge' },
+    { name: 'erase', impl: 'eraseImpl', url: '/attachment/{id}/erase' },
+    { name: 'batchErase', impl: 'batchEraseImpl', url: '/attachment/batch/erase' },
+  ];
+
   /**
    * 列出符合条件的`Attachment`对象。
    *
@@ -107,8 +134,8 @@ class AttachmentApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Page<Attachment>|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`Page`对象，包含符合条
    *     件的`Attachment`对象的分页数据；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -118,13 +145,105 @@ class AttachmentApi {
     return listImpl(this, '/attachment', pageRequest, criteria, sortRequest, showLoading);
   }
 
+  /**
+   * 逐页遍历符合条件的`Attachment`对象。
+   *
+   * 此函数返回一个异步迭代器，它按需逐页获取数据，依次产生每一个符合条件的对象；调用者可
+   * 以使用`for await`语句遍历，并可随时使用`break`提前结束遍历。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `ownerType: string` 所属实体的类型；
+   *  - `ownerId: string|number|bigint` 所属实体的ID；
+   *  - `ownerProperty: string` 所属实体的属性的名称；
+   *  - `type: string` 附件类型；
+   *  - `categoryId: string|number|bigint` 所属类别的ID；
+   *  - `categoryCode: string` 所属类别的编码；
+   *  - `categoryName: string` 所属类别的名称包含的字符串；
+   *  - `title: string` 标题所包含的字符串；
+   *  - `uploadId: string|number|bigint` 所对应的上传的文件的ID；
+   *  - `state: State|string` 状态；
+   *  - `visible: boolean` 是否可见；
+   *  - `deleted: boolean` 是否已经被标记删除；
+   *  - `createTimeStart: string`创建时间范围的（闭区间）起始值；
+   *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
+   *  - `modifyTimeStart: string` 修改时间范围的（闭区间）起始值；
+   *  - `modifyTimeEnd: string` 修改时间范围的（闭区间）结束值；
+   *  - `deleteTimeStart: string` 标记删除时间范围的（闭区间）起始值；
+   *  - `deleteTimeEnd: string` 标记删除时间范围的（闭区间）结束值；
+   *  - `transformUrls: boolean` 是否将返回对象中所有文件的存储路径转换为外链URL。
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。允许的条件包括：
+   *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
+   *  - `sortOrder: SortOrder` 指定是正序还是倒序。
+   * @param {object} options
+   *     遍历选项，包含以下属性：
+   *  - `pageSize: number` 每次请求的分页大小，默认值为`100`；
+   *  - `maxItems: number` 最多产生的对象数目，默认不限制；
+   *  - `showLoading: boolean` 每次请求时是否显示加载提示，默认值为`true`；
+   *  - `signal: AbortSignal` 用于取消遍历的信号，默认值为`undefined`。
+   * @return {AsyncGenerator<Attachment>}
+   *     一个异步迭代器，依次产生符合条件的`Attachment`对象。若某一页的请求失败，则迭代器抛出
+   *     该请求的`ErrorInfo`对象。
+   */
+  @Log
+  iterate(criteria = {}, sortRequest = {}, options = {}) {
+    return iterateImpl(this, '/attachment', criteria, sortRequest, options);
+  }
+
+  /**
+   * 获取全部符合条件的`Attachment`对象。
+   *
+   * 此函数逐页获取全部符合条件的对象，并将它们收集到一个数组中。若符合条件的对象数目很
+   * 多，应考虑使用`iterate()`函数逐个处理。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `ownerType: string` 所属实体的类型；
+   *  - `ownerId: string|number|bigint` 所属实体的ID；
+   *  - `ownerProperty: string` 所属实体的属性的名称；
+   *  - `type: string` 附件类型；
+   *  - `categoryId: string|number|bigint` 所属类别的ID；
+   *  - `categoryCode: string` 所属类别的编码；
+   *  - `categoryName: string` 所属类别的名称包含的字符串；
+   *  - `title: string` 标题所包含的字符串；
+   *  - `uploadId: string|number|bigint` 所对应的上传的文件的ID；
+   *  - `state: State|string` 状态；
+   *  - `visible: boolean` 是否可见；
+   *  - `deleted: boolean` 是否已经被标记删除；
+   *  - `createTimeStart: string`创建时间范围的（闭区间）起始值；
+   *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
+   *  - `modifyTimeStart: string` 修改时间范围的（闭区间）起始值；
+   *  - `modifyTimeEnd: string` 修改时间范围的（闭区间）结束值；
+   *  - `deleteTimeStart: string` 标记删除时间范围的（闭区间）起始值；
+   *  - `deleteTimeEnd: string` 标记删除时间范围的（闭区间）结束值；
+   *  - `transformUrls: boolean` 是否将返回对象中所有文件的存储路径转换为外链URL。
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。允许的条件包括：
+   *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
+   *  - `sortOrder: SortOrder` 指定是正序还是倒序。
+   * @param {object} options
+   *     遍历选项，包含以下属性：
+   *  - `pageSize: number` 每次请求的分页大小，默认值为`100`；
+   *  - `maxItems: number` 最多产生的对象数目，默认不限制；
+   *  - `showLoading: boolean` 每次请求时是否显示加载提示，默认值为`true`；
+   *  - `signal: AbortSignal` 用于取消遍历的信号，默认值为`undefined`。
+   * @return {Promise<Array<Attachment>|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回包含全部符合条件的
+   *     `Attachment`对象的数组；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  listAll(criteria = {}, sortRequest = {}, options = {}) {
+    return listAllImpl(this, '/attachment', criteria, sortRequest, options);
+  }
+
   /**
    * 获取指定的`Attachment`对象。
    *
    * @param {string|number|bigint} id
    *     `Attachment`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Attachment|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`Attachment`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -139,8 +258,8 @@ class AttachmentApi {
    *
    * @param {Attachment|object} entity
    *     要添加的`Attachment`对象。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Attachment|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回新增的`Attachment`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -155,8 +274,8 @@ class AttachmentApi {
    *
    * @param {Attachment|object} entity
    *     要更新的`Attachment`对象的数据，根据其ID确定要更新的对象。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Attachment|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新后的`Attachment`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -173,8 +292,8 @@ class AttachmentApi {
    *     `Attachment`对象的ID。
    * @param {State|string} state
    *     要更新的`Attachment`对象的状态，必须是`State`枚举类型或表示其值的字符串。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据更新的UTC时间戳，
    *     以ISO-8601格式表示为字符串；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -191,8 +310,8 @@ class AttachmentApi {
    *     `Attachment`对象的ID。
    * @param {boolean} visible
    *     要更新的`Attachment`对象的可见性。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据更新的UTC时间戳，
    *     以ISO-8601格式表示为字符串；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -207,8 +326,8 @@ class AttachmentApi {
    *
    * @param {string} id
    *     要标记删除的`Attachment`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据被标记删除的UTC时间戳，
    *     以ISO-8601格式表示为字符串；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -223,8 +342,8 @@ class AttachmentApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量删除的`Attachment`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回被标记删除的记录数；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -239,8 +358,8 @@ class AttachmentApi {
    *
    * @param {string} id
    *     要恢复的`Attachment`对象的ID，该对象必须已经被标记删除。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -255,8 +374,8 @@ class AttachmentApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量恢复的已被标记删除的`Attachment`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回实际恢复的实体的数目；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -271,8 +390,8 @@ class AttachmentApi {
    *
    * @param {string} id
    *     要清除的`Attachment`对象的ID，该对象必须已经被标记删除。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -285,8 +404,8 @@ class AttachmentApi {
   /**
    * 彻底清除全部已被标记删除的`Attachment`对象。
    *
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -301,8 +420,8 @@ class AttachmentApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量彻底清除的已被标记删除的`Attachment`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回实际被彻底清除的实体的数目；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -317,8 +436,8 @@ class AttachmentApi {
    *
    * @param {string|number|bigint} id
    *     要彻底清除的`Attachment`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -333,8 +452,8 @@ class AttachmentApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量彻底清除的`Attachment`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回实际删除的实体的数目；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
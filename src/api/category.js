@@ -8,13 +8,15 @@
 ////////////////////////////////////////////////////////////////////////////////
 import { Category, InfoWithEntity } from '@qubit-ltd/common-model';
 import { HasLogger, Log } from '@qubit-ltd/logging';
-import addImpl from './impl/add-impl';
+import { TIMESTAMP_PATTERN } from '../utils/check-criteria-constraints';
+import { addImpl, batchAddImpl } from './impl/add-impl';
 import {
   batchDeleteImpl,
   deleteByKeyImpl,
   deleteImpl,
 } from './impl/delete-impl';
 import { batchEraseImpl, eraseByKeyImpl, eraseImpl } from './impl/erase-impl';
+import exportAsyncImpl from './impl/export-async-impl';
 import exportImpl from './impl/export-impl';
 import {
   getByKeyImpl,
@@ -23,6 +25,7 @@ import {
   getInfoImpl,
 } from './impl/get-impl';
 import importImpl from './impl/import-impl';
+import { iterateImpl, listAllImpl } from './impl/iterate-impl';
 import { listImpl, listInfoImpl } from './impl/list-impl';
 import {
   batchPurgeImpl,
@@ -35,7 +38,7 @@ import {
   restoreByKeyImpl,
   restoreImpl,
 } from './impl/restore-impl';
-import { updateByKeyImpl, updateImpl } from './impl/update-impl';
+import { batchUpdateImpl, updateByKeyImpl, updateImpl } from './impl/update-impl';
 
 /**
  * 提供管理`Category`对象的API。
@@ -79,17 +82,60 @@ class CategoryApi {
     // 是否已经被标记删除
     { name: 'deleted', type: Boolean },
     // 创建时间范围的（闭区间）起始值
-    { name: 'createTimeStart', type: String },
+    { name: 'createTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
     // 创建时间范围的（闭区间）结束值
-    { name: 'createTimeEnd', type: String },
+    { name: 'createTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
     // 修改时间范围的（闭区间）起始值
-    { name: 'modifyTimeStart', type: String },
+    { name: 'modifyTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
     // 修改时间范围的（闭区间）结束值
-    { name: 'modifyTimeEnd', type: String },
+    { name: 'modifyTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
     // 标记删除时间范围的（闭区间）起始值
-    { name: 'deleteTimeStart', type: String },
+    { name: 'deleteTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
     // 标记删除时间范围的（闭区间）结束值
-    { name: 'deleteTimeEnd', type: String },
+    { name: 'deleteTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
+  ];
+
+  /**
+   * 路由定义，用于生成OpenAPI文档，详见`generateOpenApiDocument()`的说明。
+   *
+   * @type {Array<Object>}
+   */
+  ROUTE_DEFINITIONS = [
+    { name: 'list', impl: 'listImpl', url: '/category' },
+    { name: 'iterate', impl: 'iterateImpl', url: '/category' },
+    { name: 'listAll', impl: 'listAllImpl', url: '/category' },
+    { name: 'listInfo', impl: 'listInfoImpl', url: '/category/info' },
+    { name: 'get', impl: 'getImpl', url: '/category/{id}' },
+    { name: 'getByCode', impl: 'getByKeyImpl', url: '/category/code/{code}' },
+    { name: 'getInfo', impl: 'getInfoImpl', url: '/category/{id}/info' },
+    { name: 'getInfoByCode', impl: 'getInfoByKeyImpl', url: '/category/code/{code}/info' },
+    { name: 'add', impl: 'addImpl', url: '/category' },
+    { name: 'batchAdd', impl: 'batchAddImpl', url: '/category/batch' },
+    { name: 'update', impl: 'updateImpl', url: '/category/{id}' },
+    { name: 'batchUpdate', impl: 'batchUpdateImpl', url: '/category/batch' },
+    { name: 'updateByCode', impl: 'updateByKeyImpl', url: '/category/code/{code}' },
+    { name: 'delete', impl: 'deleteImpl', url: '/category/{id}' },
+    { name: 'deleteByCode', impl: 'deleteByKeyImpl', url: '/category/code/{code}' },
+    { name: 'batchDelete', impl: 'batchDeleteImpl', url: '/category/batch' },
+    { name: 'restore', impl: 'restoreImpl', url: '/category/{id}' },
+    { name: 'restoreByCode', impl: 'restoreByKeyImpl', url: '/category/code/{code}' },
+    { name: 'batchRestore', impl: 'batchRestoreImpl', url: '/category/batch' },
+    { name: 'purge', impl: 'purgeImpl', url: '/category/{id}/purge' },
+    { name: 'purgeByCode', impl: 'purgeByKeyImpl', url: '/category/code/{code}/purge' },
+    { name: 'purgeAll', impl: 'purgeAllImpl', url: '/category/purge' },
+    { name: 'batchPurge', impl: 'batchPurgeImpl', url: '/category/batch/purge' },
+    { name: 'erase', impl: 'eraseImpl', url: '/category/{id}/erase' },
+    { name: 'eraseByCode', impl: 'eraseByKeyImpl', url: '/category/code/{code}/erase' },
+    { name: 'batchErase', impl: 'batchEraseImpl', url: '/category/batch/erase' },
+    { name: 'exportXml', impl: 'exportImpl', url: '/category/export/xml' },
+    { name: 'exportJson', impl: 'exportImpl', url: '/category/export/json' },
+    { name: 'exportExcel', impl: 'exportImpl', url: '/category/export/excel' },
+    { name: 'exportCsv', impl: 'exportImpl', url: '/category/export/csv' },
+    { name: 'exportAsync', impl: 'exportAsyncImpl', url: '/category/export/{format}/async' },
+    { name: 'importXml', impl: 'importImpl', url: '/category/import/xml' },
+    { name: 'importJson', impl: 'importImpl', url: '/category/import/json' },
+    { name: 'importExcel', impl: 'importImpl', url: '/category/import/excel' },
+    { name: 'importCsv', impl: 'importImpl', url: '/category/import/csv' },
   ];
 
   /**
@@ -116,8 +162,8 @@ class CategoryApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Page<Category>|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`Page`对象，包含符合条
    *     件的`Category`对象的分页数据；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -127,6 +173,86 @@ class CategoryApi {
     return listImpl(this, '/category', pageRequest, criteria, sortRequest, showLoading);
   }
 
+  /**
+   * 逐页遍历符合条件的`Category`对象。
+   *
+   * 此函数返回一个异步迭代器，它按需逐页获取数据，依次产生每一个符合条件的对象；调用者可
+   * 以使用`for await`语句遍历，并可随时使用`break`提前结束遍历。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `entity: string` 所属实体名称；
+   *  - `name: string` 名称中应包含的字符串；
+   *  - `parentId: string|number|bigint` 所属父类别的ID；
+   *  - `parentCode: string` 所属父类别的编码；
+   *  - `parentName: string` 所属父类别名称中应包含的字符串；
+   *  - `predefined: boolean` 是否是预定义数据；
+   *  - `deleted: boolean` 是否已经被标记删除；
+   *  - `createTimeStart: string`创建时间范围的（闭区间）起始值；
+   *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
+   *  - `modifyTimeStart: string` 修改时间范围的（闭区间）起始值；
+   *  - `modifyTimeEnd: string` 修改时间范围的（闭区间）结束值；
+   *  - `deleteTimeStart: string` 标记删除时间范围的（闭区间）起始值；
+   *  - `deleteTimeEnd: string` 标记删除时间范围的（闭区间）结束值；
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。允许的条件包括：
+   *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
+   *  - `sortOrder: SortOrder` 指定是正序还是倒序。
+   * @param {object} options
+   *     遍历选项，包含以下属性：
+   *  - `pageSize: number` 每次请求的分页大小，默认值为`100`；
+   *  - `maxItems: number` 最多产生的对象数目，默认不限制；
+   *  - `showLoading: boolean` 每次请求时是否显示加载提示，默认值为`true`；
+   *  - `signal: AbortSignal` 用于取消遍历的信号，默认值为`undefined`。
+   * @return {AsyncGenerator<Category>}
+   *     一个异步迭代器，依次产生符合条件的`Category`对象。若某一页的请求失败，则迭代器抛出
+   *     该请求的`ErrorInfo`对象。
+   */
+  @Log
+  iterate(criteria = {}, sortRequest = {}, options = {}) {
+    return iterateImpl(this, '/category', criteria, sortRequest, options);
+  }
+
+  /**
+   * 获取全部符合条件的`Category`对象。
+   *
+   * 此函数逐页获取全部符合条件的对象，并将它们收集到一个数组中。若符合条件的对象数目很
+   * 多，应考虑使用`iterate()`函数逐个处理。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `entity: string` 所属实体名称；
+   *  - `name: string` 名称中应包含的字符串；
+   *  - `parentId: string|number|bigint` 所属父类别的ID；
+   *  - `parentCode: string` 所属父类别的编码；
+   *  - `parentName: string` 所属父类别名称中应包含的字符串；
+   *  - `predefined: boolean` 是否是预定义数据；
+   *  - `deleted: boolean` 是否已经被标记删除；
+   *  - `createTimeStart: string`创建时间范围的（闭区间）起始值；
+   *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
+   *  - `modifyTimeStart: string` 修改时间范围的（闭区间）起始值；
+   *  - `modifyTimeEnd: string` 修改时间范围的（闭区间）结束值；
+   *  - `deleteTimeStart: string` 标记删除时间范围的（闭区间）起始值；
+   *  - `deleteTimeEnd: string` 标记删除时间范围的（闭区间）结束值；
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。允许的条件包括：
+   *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
+   *  - `sortOrder: SortOrder` 指定是正序还是倒序。
+   * @param {object} options
+   *     遍历选项，包含以下属性：
+   *  - `pageSize: number` 每次请求的分页大小，默认值为`100`；
+   *  - `maxItems: number` 最多产生的对象数目，默认不限制；
+   *  - `showLoading: boolean` 每次请求时是否显示加载提示，默认值为`true`；
+   *  - `signal: AbortSignal` 用于取消遍历的信号，默认值为`undefined`。
+   * @return {Promise<Array<Category>|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回包含全部符合条件的
+   *     `Category`对象的数组；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  listAll(criteria = {}, sortRequest = {}, options = {}) {
+    return listAllImpl(this, '/category', criteria, sortRequest, options);
+  }
+
   /**
    * 列出符合条件的`Category`对象的基本信息。
    *
@@ -151,8 +277,8 @@ class CategoryApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Page<InfoWithEntity>|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`Page`对象，包含符合条
    *     件的`Category`对象的基本信息的分页数据；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -167,8 +293,8 @@ class CategoryApi {
    *
    * @param {string|number|bigint} id
    *     `Category`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Category|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`Category`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -183,8 +309,8 @@ class CategoryApi {
    *
    * @param {string} code
    *     `Category`对象的编码。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Category|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`Category`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -199,8 +325,8 @@ class CategoryApi {
    *
    * @param {string|number|bigint} id
    *     `Category`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<InfoWithEntity|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`InfoWithEntity`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -215,8 +341,8 @@ class CategoryApi {
    *
    * @param {string} code
    *     `Category`对象的编码。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<InfoWithEntity|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`InfoWithEntity`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -231,8 +357,8 @@ class CategoryApi {
    *
    * @param {Category|object} entity
    *     要添加的`Category`对象。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Category|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回新增的`Category`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -242,13 +368,29 @@ class CategoryApi {
     return addImpl(this, '/category', entity, showLoading);
   }
 
+  /**
+   * 批量添加`Category`对象。
+   *
+   * @param {Array<Category|object>} entities
+   *     要批量添加的`Category`对象的列表。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<Array<Category>|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回新增的`Category`对象的列表；
+   *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  batchAdd(entities, showLoading = true) {
+    return batchAddImpl(this, '/category/batch', entities, showLoading);
+  }
+
   /**
    * 根据ID，更新一个`Category`对象。
    *
    * @param {Category|object} entity
    *     要更新的`Category`对象的数据，根据其ID确定要更新的对象。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Category|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新后的`Category`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -258,13 +400,29 @@ class CategoryApi {
     return updateImpl(this, '/category/{id}', entity, showLoading);
   }
 
+  /**
+   * 根据ID，批量更新`Category`对象。
+   *
+   * @param {Array<Category|object>} entities
+   *     要批量更新的`Category`对象的列表，根据其中每个对象的ID确定要更新的对象。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<Array<Category>|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新后的`Category`对象的列表；
+   *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  batchUpdate(entities, showLoading = true) {
+    return batchUpdateImpl(this, '/category/batch', entities, showLoading);
+  }
+
   /**
    * 根据编码，更新一个`Category`对象。
    *
    * @param {Category} entity
    *     要更新的`Category`对象的数据，根据其编码确定要更新的对象。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Category|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新后的`Category`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -279,8 +437,8 @@ class CategoryApi {
    *
    * @param {string} id
    *     要标记删除的`Category`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据被标记删除的UTC时间戳，
    *     以ISO-8601格式表示为字符串；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -295,8 +453,8 @@ class CategoryApi {
    *
    * @param {string} code
    *     要标记删除的`Category`对象的编码。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据被标记删除的UTC时间戳，
    *     以ISO-8601格式表示为字符串；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -311,8 +469,8 @@ class CategoryApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量删除的`Category`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回被标记删除的记录数；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -327,8 +485,8 @@ class CategoryApi {
    *
    * @param {string} id
    *     要恢复的`Category`对象的ID，该对象必须已经被标记删除。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -343,8 +501,8 @@ class CategoryApi {
    *
    * @param {string} code
    *     要恢复的`Category`对象的编码，该对象必须已经被标记删除。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -359,8 +517,8 @@ class CategoryApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量恢复的已被标记删除的`Category`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回实际恢复的实体的数目；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -375,8 +533,8 @@ class CategoryApi {
    *
    * @param {string} id
    *     要清除的`Category`对象的ID，该对象必须已经被标记删除。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -391,8 +549,8 @@ class CategoryApi {
    *
    * @param {string} code
    *     要清除的`Category`对象的编码，该对象必须已经被标记删除。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -405,8 +563,8 @@ class CategoryApi {
   /**
    * 彻底清除全部已被标记删除的`Category`对象。
    *
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -421,8 +579,8 @@ class CategoryApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量彻底清除的已被标记删除的`Category`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回实际被彻底清除的实体的数目；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -437,8 +595,8 @@ class CategoryApi {
    *
    * @param {string|number|bigint} id
    *     要彻底清除的`Category`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -453,8 +611,8 @@ class CategoryApi {
    *
    * @param {string} code
    *     要彻底清除的`Category`对象的编码。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -469,8 +627,8 @@ class CategoryApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量彻底清除的`Category`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回实际删除的实体的数目；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -502,14 +660,13 @@ class CategoryApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载文件。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
-   * @return {Promise<string|null|ErrorInfo>}
-   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功，如果`autoDownload`设置为`true`，
-   *     浏览器会自动下载导出的文件，并返回`null`，否则返回导出的文件的 Blob URL（注意：
-   *     这个Blob URL稍后需要通过`window.URL.revokeObjectURL(url)`释放）；若操作失败，
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象，如果`autoDownload`设置为`true`，浏览器还会自动保存导出的文件；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
@@ -539,14 +696,13 @@ class CategoryApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载文件。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
-   * @return {Promise<string|null|ErrorInfo>}
-   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功，如果`autoDownload`设置为`true`，
-   *     浏览器会自动下载导出的文件，并返回`null`，否则返回导出的文件的 Blob URL（注意：
-   *     这个Blob URL稍后需要通过`window.URL.revokeObjectURL(url)`释放）；若操作失败，
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象，如果`autoDownload`设置为`true`，浏览器还会自动保存导出的文件；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
@@ -576,14 +732,13 @@ class CategoryApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载文件。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
-   * @return {Promise<string|null|ErrorInfo>}
-   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功，如果`autoDownload`设置为`true`，
-   *     浏览器会自动下载导出的文件，并返回`null`，否则返回导出的文件的 Blob URL（注意：
-   *     这个Blob URL稍后需要通过`window.URL.revokeObjectURL(url)`释放）；若操作失败，
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象，如果`autoDownload`设置为`true`，浏览器还会自动保存导出的文件；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
@@ -613,14 +768,13 @@ class CategoryApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载文件。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
-   * @return {Promise<string|null|ErrorInfo>}
-   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功，如果`autoDownload`设置为`true`，
-   *     浏览器会自动下载导出的文件，并返回`null`，否则返回导出的文件的 Blob URL（注意：
-   *     这个Blob URL稍后需要通过`window.URL.revokeObjectURL(url)`释放）；若操作失败，
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象，如果`autoDownload`设置为`true`，浏览器还会自动保存导出的文件；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
@@ -628,18 +782,63 @@ class CategoryApi {
     return exportImpl(this, '/category/export/csv', 'CSV', criteria, sortRequest, autoDownload, showLoading);
   }
 
+  /**
+   * 以服务器端异步任务的方式导出符合条件的`Category`对象为指定格式的文件。
+   *
+   * 此方法适用于导出大量数据的情形：首先提交一个导出任务，然后定时查询该任务的状态，
+   * 任务完成后再下载导出的文件，详见`exportAsyncImpl()`的说明。
+   *
+   * @param {string} format
+   *     导出的文件的格式，可以是`'XML'`、`'JSON'`、`'Excel'`或`'CSV'`，不区分大小写。
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `entity: string` 所属实体名称；
+   *  - `name: string` 名称中应包含的字符串；
+   *  - `parentId: string|number|bigint` 所属父类别的ID；
+   *  - `parentCode: string` 所属父类别的编码；
+   *  - `parentName: string` 所属父类别名称中应包含的字符串；
+   *  - `predefined: boolean` 是否是预定义数据；
+   *  - `deleted: boolean` 是否已经被标记删除；
+   *  - `createTimeStart: string`创建时间范围的（闭区间）起始值；
+   *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
+   *  - `modifyTimeStart: string` 修改时间范围的（闭区间）起始值；
+   *  - `modifyTimeEnd: string` 修改时间范围的（闭区间）结束值；
+   *  - `deleteTimeStart: string` 标记删除时间范围的（闭区间）起始值；
+   *  - `deleteTimeEnd: string` 标记删除时间范围的（闭区间）结束值；
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。允许的条件包括：
+   *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
+   *  - `sortOrder: SortOrder` 指定是正序还是倒序。
+   * @param {object} options
+   *     导出选项，除了`showLoading`、`signal`等请求选项之外，还可以包含以下属性：
+   *  - `autoDownload: boolean` 任务完成后是否自动下载文件，默认值为`true`；
+   *  - `interval: number` 查询任务状态的时间间隔，单位为毫秒，默认值为`1000`；
+   *  - `maxWait: number` 等待任务完成的最长时间，单位为毫秒，默认值为`1800000`，即30分钟；
+   *  - `onProgress: function` 进度回调函数，每次查询到任务的状态后将以
+   *    `{ taskId, status, elapsed }`为参数调用之。
+   * @return {Promise<object|ErrorInfo>}
+   *     此操作的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象；若导出任务失败，则解析失败并返回一个`TaskFailedError`对象；若等待超时，
+   *     则解析失败并返回一个`TaskTimeoutError`对象；若请求失败，则解析失败并返回一个
+   *     `ErrorInfo`对象。
+   */
+  @Log
+  exportAsync(format, criteria = {}, sortRequest = {}, options = {}) {
+    return exportAsyncImpl(this, '/category/export/{format}/async', format, criteria, sortRequest, options);
+  }
+
   /**
    * 从XML文件导入`Category`对象。
    *
    * @param {File} file
    *     XML文件对象。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否并行导入。如果为`true`，则并行导入；否则，单线程导入。默认值为`false`。
    * @param {number} threads
    *     并行导入的线程数。若`parallel`为`false`，此参数无效。若此参数为`null`，
    *     则使用默认线程数。默认线程数由当前系统的CPU核心数决定。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的`Category`对象的数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -654,13 +853,13 @@ class CategoryApi {
    *
    * @param {File} file
    *     JSON文件对象。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否并行导入。如果为`true`，则并行导入；否则，单线程导入。默认值为`false`。
    * @param {number} threads
    *     并行导入的线程数。若`parallel`为`false`，此参数无效。若此参数为`null`，
    *     则使用默认线程数。默认线程数由当前系统的CPU核心数决定。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的`Category`对象的数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -675,13 +874,13 @@ class CategoryApi {
    *
    * @param {File} file
    *     Excel文件对象。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否并行导入。如果为`true`，则并行导入；否则，单线程导入。默认值为`false`。
    * @param {number} threads
    *     并行导入的线程数。若`parallel`为`false`，此参数无效。若此参数为`null`，
    *     则使用默认线程数。默认线程数由当前系统的CPU核心数决定。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的`Category`对象的数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -696,13 +895,13 @@ class CategoryApi {
    *
    * @param {File} file
    *     CSV文件对象。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否并行导入。如果为`true`，则并行导入；否则，单线程导入。默认值为`false`。
    * @param {number} threads
    *     并行导入的线程数。若`parallel`为`false`，此参数无效。若此参数为`null`，
    *     则使用默认线程数。默认线程数由当前系统的CPU核心数决定。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的`Category`对象的数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
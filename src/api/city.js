@@ -8,6 +8,7 @@
 ////////////////////////////////////////////////////////////////////////////////
 import { City, Info } from '@qubit-ltd/common-model';
 import { HasLogger, Log } from '@qubit-ltd/logging';
+import { TIMESTAMP_PATTERN } from '../utils/check-criteria-constraints';
 import addImpl from './impl/add-impl';
 import {
   batchDeleteImpl,
@@ -15,6 +16,7 @@ import {
   deleteImpl,
 } from './impl/delete-impl';
 import { batchEraseImpl, eraseByKeyImpl, eraseImpl } from './impl/erase-impl';
+import exportAsyncImpl from './impl/export-async-impl';
 import exportImpl from './impl/export-impl';
 import {
   getByKeyImpl,
@@ -23,6 +25,7 @@ import {
   getInfoImpl,
 } from './impl/get-impl';
 import importImpl from './impl/import-impl';
+import { iterateImpl, listAllImpl } from './impl/iterate-impl';
 import { listImpl, listInfoImpl } from './impl/list-impl';
 import {
   batchPurgeImpl,
@@ -83,17 +86,58 @@ class CityApi {
     // 是否已经被标记删除
     { name: 'deleted', type: Boolean },
     // 创建时间范围的（闭区间）起始值
-    { name: 'createTimeStart', type: String },
+    { name: 'createTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
     // 创建时间范围的（闭区间）结束值
-    { name: 'createTimeEnd', type: String },
+    { name: 'createTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
     // 修改时间范围的（闭区间）起始值
-    { name: 'modifyTimeStart', type: String },
+    { name: 'modifyTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
     // 修改时间范围的（闭区间）结束值
-    { name: 'modifyTimeEnd', type: String },
+    { name: 'modifyTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
     // 标记删除时间范围的（闭区间）起始值
-    { name: 'deleteTimeStart', type: String },
+    { name: 'deleteTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
     // 标记删除时间范围的（闭区间）结束值
-    { name: 'deleteTimeEnd', type: String },
+    { name: 'deleteTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
+  ];
+
+  /**
+   * 路由定义，用于生成OpenAPI文档，详见`generateOpenApiDocument()`的说明。
+   *
+   * @type {Array<Object>}
+   */
+  ROUTE_DEFINITIONS = [
+    { name: 'list', impl: 'listImpl', url: '/city' },
+    { name: 'iterate', impl: 'iterateImpl', url: '/city' },
+    { name: 'listAll', impl: 'listAllImpl', url: '/city' },
+    { name: 'listInfo', impl: 'listInfoImpl', url: '/city/info' },
+    { name: 'get', impl: 'getImpl', url: '/city/{id}' },
+    { name: 'getByCode', impl: 'getByKeyImpl', url: '/city/code/{code}' },
+    { name: 'getInfo', impl: 'getInfoImpl', url: '/city/{id}/info' },
+    { name: 'getInfoByCode', impl: 'getInfoByKeyImpl', url: '/city/code/{code}/info' },
+    { name: 'add', impl: 'addImpl', url: '/city' },
+    { name: 'update', impl: 'updateImpl', url: '/city/{id}' },
+    { name: 'updateByCode', impl: 'updateByKeyImpl', url: '/city/code/{code}' },
+    { name: 'delete', impl: 'deleteImpl', url: '/city/{id}' },
+    { name: 'deleteByCode', impl: 'deleteByKeyImpl', url: '/city/code/{code}' },
+    { name: 'batchDelete', impl: 'batchDeleteImpl', url: '/city/batch' },
+    { name: 'restore', impl: 'restoreImpl', url: '/city/{id}' },
+    { name: 'restoreByCode', impl: 'restoreByKeyImpl', url: '/city/code/{code}' },
+    { name: 'batchRestore', impl: 'batchRestoreImpl', url: '/city/batch' },
+    { name: 'purge', impl: 'purgeImpl', url: '/city/{id}/purge' },
+    { name: 'purgeByCode', impl: 'purgeByKeyImpl', url: '/city/code/{code}/purge' },
+    { name: 'purgeAll', impl: 'purgeAllImpl', url: '/city/purge' },
+    { name: 'batchPurge', impl: 'batchPurgeImpl', url: '/city/batch/purge' },
+    { name: 'erase', impl: 'eraseImpl', url: '/city/{id}/erase' },
+    { name: 'eraseByCode', impl: 'eraseByKeyImpl', url: '/city/code/{code}/erase' },
+    { name: 'batchErase', impl: 'batchEraseImpl', url: '/city/batch/erase' },
+    { name: 'exportXml', impl: 'exportImpl', url: '/city/export/xml' },
+    { name: 'exportJson', impl: 'exportImpl', url: '/city/export/json' },
+    { name: 'exportExcel', impl: 'exportImpl', url: '/city/export/excel' },
+    { name: 'exportCsv', impl: 'exportImpl', url: '/city/export/csv' },
+    { name: 'exportAsync', impl: 'exportAsyncImpl', url: '/city/export/{format}/async' },
+    { name: 'importXml', impl: 'importImpl', url: '/city/import/xml' },
+    { name: 'importJson', impl: 'importImpl', url: '/city/import/json' },
+    { name: 'importExcel', impl: 'importImpl', url: '/city/import/excel' },
+    { name: 'importCsv', impl: 'importImpl', url: '/city/import/csv' },
   ];
 
   /**
@@ -122,8 +166,8 @@ class CityApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Page<City>|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`Page`对象，包含符合条
    *     件的`City`对象的分页数据；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -133,6 +177,90 @@ class CityApi {
     return listImpl(this, '/city', pageRequest, criteria, sortRequest, showLoading);
   }
 
+  /**
+   * 逐页遍历符合条件的`City`对象。
+   *
+   * 此函数返回一个异步迭代器，它按需逐页获取数据，依次产生每一个符合条件的对象；调用者可
+   * 以使用`for await`语句遍历，并可随时使用`break`提前结束遍历。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `provinceId: string|number|bigint` 所属省份的ID；
+   *  - `provinceCode: string` 所属省份的编码；
+   *  - `provinceName: string` 所属省份的名称中应包含的字符串；
+   *  - `name: string` 名称中应包含的字符串；
+   *  - `phoneArea: string` 电话区号；
+   *  - `postalcode: string` 邮政编码；
+   *  - `level: number` 级别；
+   *  - `predefined: boolean` 是否是预定义数据；
+   *  - `deleted: boolean` 是否已经被标记删除；
+   *  - `createTimeStart: string`创建时间范围的（闭区间）起始值；
+   *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
+   *  - `modifyTimeStart: string` 修改时间范围的（闭区间）起始值；
+   *  - `modifyTimeEnd: string` 修改时间范围的（闭区间）结束值；
+   *  - `deleteTimeStart: string` 标记删除时间范围的（闭区间）起始值；
+   *  - `deleteTimeEnd: string` 标记删除时间范围的（闭区间）结束值；
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。允许的条件包括：
+   *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
+   *  - `sortOrder: SortOrder` 指定是正序还是倒序。
+   * @param {object} options
+   *     遍历选项，包含以下属性：
+   *  - `pageSize: number` 每次请求的分页大小，默认值为`100`；
+   *  - `maxItems: number` 最多产生的对象数目，默认不限制；
+   *  - `showLoading: boolean` 每次请求时是否显示加载提示，默认值为`true`；
+   *  - `signal: AbortSignal` 用于取消遍历的信号，默认值为`undefined`。
+   * @return {AsyncGenerator<City>}
+   *     一个异步迭代器，依次产生符合条件的`City`对象。若某一页的请求失败，则迭代器抛出
+   *     该请求的`ErrorInfo`对象。
+   */
+  @Log
+  iterate(criteria = {}, sortRequest = {}, options = {}) {
+    return iterateImpl(this, '/city', criteria, sortRequest, options);
+  }
+
+  /**
+   * 获取全部符合条件的`City`对象。
+   *
+   * 此函数逐页获取全部符合条件的对象，并将它们收集到一个数组中。若符合条件的对象数目很
+   * 多，应考虑使用`iterate()`函数逐个处理。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `provinceId: string|number|bigint` 所属省份的ID；
+   *  - `provinceCode: string` 所属省份的编码；
+   *  - `provinceName: string` 所属省份的名称中应包含的字符串；
+   *  - `name: string` 名称中应包含的字符串；
+   *  - `phoneArea: string` 电话区号；
+   *  - `postalcode: string` 邮政编码；
+   *  - `level: number` 级别；
+   *  - `predefined: boolean` 是否是预定义数据；
+   *  - `deleted: boolean` 是否已经被标记删除；
+   *  - `createTimeStart: string`创建时间范围的（闭区间）起始值；
+   *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
+   *  - `modifyTimeStart: string` 修改时间范围的（闭区间）起始值；
+   *  - `modifyTimeEnd: string` 修改时间范围的（闭区间）结束值；
+   *  - `deleteTimeStart: string` 标记删除时间范围的（闭区间）起始值；
+   *  - `deleteTimeEnd: string` 标记删除时间范围的（闭区间）结束值；
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。允许的条件包括：
+   *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
+   *  - `sortOrder: SortOrder` 指定是正序还是倒序。
+   * @param {object} options
+   *     遍历选项，包含以下属性：
+   *  - `pageSize: number` 每次请求的分页大小，默认值为`100`；
+   *  - `maxItems: number` 最多产生的对象数目，默认不限制；
+   *  - `showLoading: boolean` 每次请求时是否显示加载提示，默认值为`true`；
+   *  - `signal: AbortSignal` 用于取消遍历的信号，默认值为`undefined`。
+   * @return {Promise<Array<City>|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回包含全部符合条件的
+   *     `City`对象的数组；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  listAll(criteria = {}, sortRequest = {}, options = {}) {
+    return listAllImpl(this, '/city', criteria, sortRequest, options);
+  }
+
   /**
    * 列出符合条件的`City`对象的基本信息。
    *
@@ -159,8 +287,8 @@ class CityApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Page<Info>|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`Page`对象，包含符合条
    *     件的`City`对象的基本信息的分页数据；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -175,8 +303,8 @@ class CityApi {
    *
    * @param {string|number|bigint} id
    *     `City`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<City|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`City`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -191,8 +319,8 @@ class CityApi {
    *
    * @param {string} code
    *     `City`对象的代码。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<City|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`City`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -207,8 +335,8 @@ class CityApi {
    *
    * @param {string|number|bigint} id
    *     `City`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Info|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`Info`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -223,8 +351,8 @@ class CityApi {
    *
    * @param {string} code
    *     `City`对象的代码。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Info|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`Info`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -239,8 +367,8 @@ class CityApi {
    *
    * @param {City|object} entity
    *     要添加的`City`对象。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<City|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回新增的`City`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -255,8 +383,8 @@ class CityApi {
    *
    * @param {City|object} entity
    *     要更新的`City`对象的数据，根据其ID确定要更新的对象。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<City|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新后的`City`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -271,8 +399,8 @@ class CityApi {
    *
    * @param {City} entity
    *     要更新的`City`对象的数据，根据其代码确定要更新的对象。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<City|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新后的`City`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -287,8 +415,8 @@ class CityApi {
    *
    * @param {string} id
    *     要标记删除的`City`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据被标记删除的UTC时间戳，
    *     以ISO-8601格式表示为字符串；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -303,8 +431,8 @@ class CityApi {
    *
    * @param {string} code
    *     要标记删除的`City`对象的代码。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据被标记删除的UTC时间戳，
    *     以ISO-8601格式表示为字符串；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -319,8 +447,8 @@ class CityApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量标记删除的`City`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回被标记删除的记录数；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -335,8 +463,8 @@ class CityApi {
    *
    * @param {string} id
    *     要恢复的`City`对象的ID，该对象必须已经被标记删除。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -351,8 +479,8 @@ class CityApi {
    *
    * @param {string} code
    *     要恢复的`City`对象的代码，该对象必须已经被标记删除。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -367,8 +495,8 @@ class CityApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量恢复的已被标记删除的`City`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回实际恢复的实体的数目；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -383,8 +511,8 @@ class CityApi {
    *
    * @param {string} id
    *     要清除的`City`对象的ID，该对象必须已经被标记删除。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -399,8 +527,8 @@ class CityApi {
    *
    * @param {string} code
    *     要清除的`City`对象的代码，该对象必须已经被标记删除。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -413,8 +541,8 @@ class CityApi {
   /**
    * 彻底清除全部已被标记删除的`City`对象。
    *
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -429,8 +557,8 @@ class CityApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量彻底清除的已被标记删除的`City`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回实际被彻底清除的实体的数目；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -445,8 +573,8 @@ class CityApi {
    *
    * @param {string|number|bigint} id
    *     要彻底清除的`City`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -461,8 +589,8 @@ class CityApi {
    *
    * @param {string} code
    *     要彻底清除的`City`对象的代码。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -477,8 +605,8 @@ class CityApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量彻底清除的`City`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回实际删除的实体的数目；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -512,14 +640,13 @@ class CityApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载文件。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
-   * @return {Promise<string|null|ErrorInfo>}
-   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功，如果`autoDownload`设置为`true`，
-   *     浏览器会自动下载导出的文件，并返回`null`，否则返回导出的文件的 Blob URL（注意：
-   *     这个Blob URL稍后需要通过`window.URL.revokeObjectURL(url)`释放）；若操作失败，
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象，如果`autoDownload`设置为`true`，浏览器还会自动保存导出的文件；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
@@ -551,14 +678,13 @@ class CityApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载文件。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
-   * @return {Promise<string|null|ErrorInfo>}
-   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功，如果`autoDownload`设置为`true`，
-   *     浏览器会自动下载导出的文件，并返回`null`，否则返回导出的文件的 Blob URL（注意：
-   *     这个Blob URL稍后需要通过`window.URL.revokeObjectURL(url)`释放）；若操作失败，
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象，如果`autoDownload`设置为`true`，浏览器还会自动保存导出的文件；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
@@ -590,14 +716,13 @@ class CityApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载文件。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
-   * @return {Promise<string|null|ErrorInfo>}
-   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功，如果`autoDownload`设置为`true`，
-   *     浏览器会自动下载导出的文件，并返回`null`，否则返回导出的文件的 Blob URL（注意：
-   *     这个Blob URL稍后需要通过`window.URL.revokeObjectURL(url)`释放）；若操作失败，
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象，如果`autoDownload`设置为`true`，浏览器还会自动保存导出的文件；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
@@ -629,14 +754,13 @@ class CityApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载文件。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
-   * @return {Promise<string|null|ErrorInfo>}
-   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功，如果`autoDownload`设置为`true`，
-   *     浏览器会自动下载导出的文件，并返回`null`，否则返回导出的文件的 Blob URL（注意：
-   *     这个Blob URL稍后需要通过`window.URL.revokeObjectURL(url)`释放）；若操作失败，
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象，如果`autoDownload`设置为`true`，浏览器还会自动保存导出的文件；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
@@ -644,18 +768,65 @@ class CityApi {
     return exportImpl(this, '/city/export/csv', 'CSV', criteria, sortRequest, autoDownload, showLoading);
   }
 
+  /**
+   * 以服务器端异步任务的方式导出符合条件的`City`对象为指定格式的文件。
+   *
+   * 此方法适用于导出大量数据的情形：首先提交一个导出任务，然后定时查询该任务的状态，
+   * 任务完成后再下载导出的文件，详见`exportAsyncImpl()`的说明。
+   *
+   * @param {string} format
+   *     导出的文件的格式，可以是`'XML'`、`'JSON'`、`'Excel'`或`'CSV'`，不区分大小写。
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `provinceId: string|number|bigint` 所属省份的ID；
+   *  - `provinceCode: string` 所属省份的编码；
+   *  - `provinceName: string` 所属省份的名称中应包含的字符串；
+   *  - `name: string` 名称中应包含的字符串；
+   *  - `phoneArea: string` 电话区号；
+   *  - `postalcode: string` 邮政编码；
+   *  - `level: number` 级别；
+   *  - `predefined: boolean` 是否是预定义数据；
+   *  - `deleted: boolean` 是否已经被标记删除；
+   *  - `createTimeStart: string`创建时间范围的（闭区间）起始值；
+   *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
+   *  - `modifyTimeStart: string` 修改时间范围的（闭区间）起始值；
+   *  - `modifyTimeEnd: string` 修改时间范围的（闭区间）结束值；
+   *  - `deleteTimeStart: string` 标记删除时间范围的（闭区间）起始值；
+   *  - `deleteTimeEnd: string` 标记删除时间范围的（闭区间）结束值；
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。允许的条件包括：
+   *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
+   *  - `sortOrder: SortOrder` 指定是正序还是倒序。
+   * @param {object} options
+   *     导出选项，除了`showLoading`、`signal`等请求选项之外，还可以包含以下属性：
+   *  - `autoDownload: boolean` 任务完成后是否自动下载文件，默认值为`true`；
+   *  - `interval: number` 查询任务状态的时间间隔，单位为毫秒，默认值为`1000`；
+   *  - `maxWait: number` 等待任务完成的最长时间，单位为毫秒，默认值为`1800000`，即30分钟；
+   *  - `onProgress: function` 进度回调函数，每次查询到任务的状态后将以
+   *    `{ taskId, status, elapsed }`为参数调用之。
+   * @return {Promise<object|ErrorInfo>}
+   *     此操作的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象；若导出任务失败，则解析失败并返回一个`TaskFailedError`对象；若等待超时，
+   *     则解析失败并返回一个`TaskTimeoutError`对象；若请求失败，则解析失败并返回一个
+   *     `ErrorInfo`对象。
+   */
+  @Log
+  exportAsync(format, criteria = {}, sortRequest = {}, options = {}) {
+    return exportAsyncImpl(this, '/city/export/{format}/async', format, criteria, sortRequest, options);
+  }
+
   /**
    * 从XML文件导入`City`对象。
    *
    * @param {File} file
    *     XML文件对象。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否并行导入。如果为`true`，则并行导入；否则，单线程导入。默认值为`false`。
    * @param {number} threads
    *     并行导入的线程数。若`parallel`为`false`，此参数无效。若此参数为`null`，
    *     则使用默认线程数。默认线程数由当前系统的CPU核心数决定。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的`City`对象的数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -670,13 +841,13 @@ class CityApi {
    *
    * @param {File} file
    *     JSON文件对象。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否并行导入。如果为`true`，则并行导入；否则，单线程导入。默认值为`false`。
    * @param {number} threads
    *     并行导入的线程数。若`parallel`为`false`，此参数无效。若此参数为`null`，
    *     则使用默认线程数。默认线程数由当前系统的CPU核心数决定。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的`City`对象的数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -691,13 +862,13 @@ class CityApi {
    *
    * @param {File} file
    *     Excel文件对象。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否并行导入。如果为`true`，则并行导入；否则，单线程导入。默认值为`false`。
    * @param {number} threads
    *     并行导入的线程数。若`parallel`为`false`，此参数无效。若此参数为`null`，
    *     则使用默认线程数。默认线程数由当前系统的CPU核心数决定。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的`City`对象的数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -712,13 +883,13 @@ class CityApi {
    *
    * @param {File} file
    *     CSV文件对象。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否并行导入。如果为`true`，则并行导入；否则，单线程导入。默认值为`false`。
    * @param {number} threads
    *     并行导入的线程数。若`parallel`为`false`，此参数无效。若此参数为`null`，
    *     则使用默认线程数。默认线程数由当前系统的CPU核心数决定。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的`City`对象的数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -0,0 +1,1138 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { Info } from '@qubit-ltd/common-model';
+import { checkArgumentType } from '@qubit-ltd/common-util';
+import { Log, Logger } from '@qubit-ltd/logging';
+import { addImpl, batchAddImpl } from './impl/add-impl';
+import {
+  batchDeleteImpl,
+  deleteByKeyImpl,
+  deleteImpl,
+} from './impl/delete-impl';
+import { batchEraseImpl, eraseByKeyImpl, eraseImpl } from './impl/erase-impl';
+import exportAsyncImpl from './impl/export-async-impl';
+import exportImpl from './impl/export-impl';
+import {
+  getByKeyImpl,
+  getImpl,
+  getInfoByKeyImpl,
+  getInfoImpl,
+} from './impl/get-impl';
+import importImpl from './impl/import-impl';
+import { iterateImpl, listAllImpl } from './impl/iterate-impl';
+import { listImpl, listInfoImpl } from './impl/list-impl';
+import { patchImpl } from './impl/patch-impl';
+import {
+  batchPurgeImpl,
+  purgeAllImpl,
+  purgeByKeyImpl,
+  purgeImpl,
+} from './impl/purge-impl';
+import {
+  batchRestoreImpl,
+  restoreByKeyImpl,
+  restoreImpl,
+} from './impl/restore-impl';
+import { batchUpdateImpl, updateByKeyImpl, updateImpl } from './impl/update-impl';
+
+/**
+ * 提供`list()`、`iterate()`和`listAll()`方法。
+ *
+ * @private
+ */
+class ListCapability {
+  /**
+   * 列出符合条件的实体对象。
+   *
+   * @param {PageRequest|object} pageRequest
+   *     分页请求。
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件由`CRITERIA_DEFINITIONS`定义。
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<Page<object>|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`Page`对象，包含符合条
+   *     件的实体对象的分页数据；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  list(pageRequest = {}, criteria = {}, sortRequest = {}, showLoading = true) {
+    return listImpl(this, this.baseUrl, pageRequest, criteria, sortRequest, showLoading);
+  }
+
+  /**
+   * 逐页遍历符合条件的实体对象。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件由`CRITERIA_DEFINITIONS`定义。
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。
+   * @param {object} options
+   *     遍历选项，可包含`pageSize`、`maxItems`、`showLoading`和`signal`属性，详见
+   *     `iterateImpl()`的说明。
+   * @return {AsyncGenerator<object>}
+   *     一个异步迭代器，依次产生符合条件的实体对象。
+   */
+  @Log
+  iterate(criteria = {}, sortRequest = {}, options = {}) {
+    return iterateImpl(this, this.baseUrl, criteria, sortRequest, options);
+  }
+
+  /**
+   * 获取全部符合条件的实体对象。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件由`CRITERIA_DEFINITIONS`定义。
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。
+   * @param {object} options
+   *     遍历选项，可包含`pageSize`、`maxItems`、`showLoading`和`signal`属性，详见
+   *     `iterateImpl()`的说明。
+   * @return {Promise<Array<object>|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回包含全部符合条件的实体对象
+   *     的数组；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  listAll(criteria = {}, sortRequest = {}, options = {}) {
+    return listAllImpl(this, this.baseUrl, criteria, sortRequest, options);
+  }
+}
+
+/**
+ * 提供`listInfo()`方法。
+ *
+ * @private
+ */
+class ListInfoCapability {
+  /**
+   * 列出符合条件的实体对象的基本信息。
+   *
+   * @param {PageRequest|object} pageRequest
+   *     分页请求。
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件由`CRITERIA_DEFINITIONS`定义。
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<Page<object>|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`Page`对象，包含符合条
+   *     件的实体对象的基本信息的分页数据；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  listInfo(pageRequest = {}, criteria = {}, sortRequest = {}, showLoading = true) {
+    return listInfoImpl(this, `${this.baseUrl}/info`, pageRequest, criteria, sortRequest, showLoading);
+  }
+}
+
+/**
+ * 提供`get()`和`getByKey()`方法。
+ *
+ * @private
+ */
+class GetCapability {
+  /**
+   * 获取指定的实体对象。
+   *
+   * @param {string|number|bigint} id
+   *     实体对象的ID。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的实体对象；
+   *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  get(id, showLoading = true) {
+    return getImpl(this, `${this.baseUrl}/{id}`, id, showLoading);
+  }
+
+  /**
+   * 根据指定的键名和键值，获取指定的实体对象。
+   *
+   * @param {string} keyName
+   *     实体对象的键名，必须是`keys`中声明的键名之一。
+   * @param {string} keyValue
+   *     实体对象的键值。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的实体对象；
+   *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  getByKey(keyName, keyValue, showLoading = true) {
+    return getByKeyImpl(this, this.__keyUrl(keyName), keyName, keyValue, showLoading);
+  }
+}
+
+/**
+ * 提供`getInfo()`和`getInfoByKey()`方法。
+ *
+ * @private
+ */
+class GetInfoCapability {
+  /**
+   * 获取指定的实体对象的基本信息。
+   *
+   * @param {string|number|bigint} id
+   *     实体对象的ID。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的实体对象的基本信息；
+   *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  getInfo(id, showLoading = true) {
+    return getInfoImpl(this, `${this.baseUrl}/{id}/info`, id, showLoading);
+  }
+
+  /**
+   * 根据指定的键名和键值，获取指定的实体对象的基本信息。
+   *
+   * @param {string} keyName
+   *     实体对象的键名，必须是`keys`中声明的键名之一。
+   * @param {string} keyValue
+   *     实体对象的键值。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的实体对象的基本信息；
+   *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  getInfoByKey(keyName, keyValue, showLoading = true) {
+    return getInfoByKeyImpl(this, `${this.__keyUrl(keyName)}/info`, keyName, keyValue, showLoading);
+  }
+}
+
+/**
+ * 提供`add()`和`batchAdd()`方法。
+ *
+ * @private
+ */
+class AddCapability {
+  /**
+   * 添加一个实体对象。
+   *
+   * @param {object} entity
+   *     要添加的实体对象。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回新增的实体对象；
+   *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  add(entity, showLoading = true) {
+    return addImpl(this, this.baseUrl, entity, showLoading);
+  }
+
+  /**
+   * 批量添加实体对象。
+   *
+   * @param {Array<object>} entities
+   *     要批量添加的实体对象的列表。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<Array<object>|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回新增的实体对象的列表；
+   *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  batchAdd(entities, showLoading = true) {
+    return batchAddImpl(this, `${this.baseUrl}/batch`, entities, showLoading);
+  }
+}
+
+/**
+ * 提供`update()`、`updateByKey()`、`batchUpdate()`和`patch()`方法。
+ *
+ * @private
+ */
+class UpdateCapability {
+  /**
+   * 根据ID，更新一个实体对象。
+   *
+   * @param {object} entity
+   *     要更新的实体对象的数据，根据其ID确定要更新的对象。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新后的实体对象；
+   *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  update(entity, showLoading = true) {
+    return updateImpl(this, `${this.baseUrl}/{id}`, entity, showLoading);
+  }
+
+  /**
+   * 根据指定的键，更新一个实体对象。
+   *
+   * @param {string} keyName
+   *     实体对象的键名，必须是`keys`中声明的键名之一。
+   * @param {object} entity
+   *     要更新的实体对象的数据，根据其指定键的值确定要更新的对象。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新后的实体对象；
+   *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  updateByKey(keyName, entity, showLoading = true) {
+    return updateByKeyImpl(this, this.__keyUrl(keyName), keyName, entity, showLoading);
+  }
+
+  /**
+   * 根据ID，批量更新实体对象。
+   *
+   * @param {Array<object>} entities
+   *     要批量更新的实体对象的列表，根据其中每个对象的ID确定要更新的对象。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<Array<object>|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新后的实体对象的列表；
+   *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  batchUpdate(entities, showLoading = true) {
+    return batchUpdateImpl(this, `${this.baseUrl}/batch`, entities, showLoading);
+  }
+
+  /**
+   * 根据ID，部分更新一个实体对象。
+   *
+   * 此函数只将`modified`相对于`original`发生变化的属性发送给服务器。
+   *
+   * @param {object} original
+   *     原始的实体对象，通常是从服务器获取的对象。
+   * @param {object} modified
+   *     修改后的实体对象，根据其ID确定要更新的对象。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新后的实体对象；
+   *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  patch(original, modified, showLoading = true) {
+    return patchImpl(this, `${this.baseUrl}/{id}/patch`, original, modified, showLoading);
+  }
+}
+
+/**
+ * 提供`delete()`、`deleteByKey()`和`batchDelete()`方法。
+ *
+ * @private
+ */
+class DeleteCapability {
+  /**
+   * 根据ID，标记删除一个实体对象。
+   *
+   * @param {string|number|bigint} id
+   *     要标记删除的实体对象的ID。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<void|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
+   *     则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  delete(id, showLoading = true) {
+    return deleteImpl(this, `${this.baseUrl}/{id}`, id, showLoading);
+  }
+
+  /**
+   * 根据指定的键，标记删除一个实体对象。
+   *
+   * @param {string} keyName
+   *     实体对象的键名，必须是`keys`中声明的键名之一。
+   * @param {string} keyValue
+   *     要标记删除的实体对象的键值。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<void|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
+   *     则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  deleteByKey(keyName, keyValue, showLoading = true) {
+    return deleteByKeyImpl(this, this.__keyUrl(keyName), keyName, keyValue, showLoading);
+  }
+
+  /**
+   * 批量标记删除指定的实体对象。
+   *
+   * @param {Array<string|number|bigint>} ids
+   *     待批量标记删除的实体对象的ID列表。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<number|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回被标记删除的记录数；
+   *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  batchDelete(ids, showLoading = true) {
+    return batchDeleteImpl(this, `${this.baseUrl}/batch`, ids, showLoading);
+  }
+}
+
+/**
+ * 提供`restore()`、`restoreByKey()`和`batchRestore()`方法。
+ *
+ * @private
+ */
+class RestoreCapability {
+  /**
+   * 根据ID，恢复一个被标记删除的实体对象。
+   *
+   * @param {string|number|bigint} id
+   *     要恢复的实体对象的ID，该对象必须已经被标记删除。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<void|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
+   *     则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  restore(id, showLoading = true) {
+    return restoreImpl(this, `${this.baseUrl}/{id}`, id, showLoading);
+  }
+
+  /**
+   * 根据指定的键，恢复一个被标记删除的实体对象。
+   *
+   * @param {string} keyName
+   *     实体对象的键名，必须是`keys`中声明的键名之一。
+   * @param {string} keyValue
+   *     要恢复的实体对象的键值，该对象必须已经被标记删除。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<void|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
+   *     则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  restoreByKey(keyName, keyValue, showLoading = true) {
+    return restoreByKeyImpl(this, this.__keyUrl(keyName), keyName, keyValue, showLoading);
+  }
+
+  /**
+   * 批量恢复已被标记删除的实体对象。
+   *
+   * @param {Array<string|number|bigint>} ids
+   *     待批量恢复的已被标记删除的实体对象的ID列表。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<number|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回实际恢复的实体的数目；
+   *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  batchRestore(ids, showLoading = true) {
+    return batchRestoreImpl(this, `${this.baseUrl}/batch`, ids, showLoading);
+  }
+}
+
+/**
+ * 提供`purge()`、`purgeByKey()`、`purgeAll()`和`batchPurge()`方法。
+ *
+ * @private
+ */
+class PurgeCapability {
+  /**
+   * 根据ID，清除一个被标记删除的实体对象。
+   *
+   * @param {string|number|bigint} id
+   *     要清除的实体对象的ID，该对象必须已经被标记删除。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<void|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
+   *     则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  purge(id, showLoading = true) {
+    return purgeImpl(this, `${this.baseUrl}/{id}/purge`, id, showLoading);
+  }
+
+  /**
+   * 根据指定的键，清除一个被标记删除的实体对象。
+   *
+   * @param {string} keyName
+   *     实体对象的键名，必须是`keys`中声明的键名之一。
+   * @param {string} keyValue
+   *     要清除的实体对象的键值，该对象必须已经被标记删除。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<void|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
+   *     则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  purgeByKey(keyName, keyValue, showLoading = true) {
+    return purgeByKeyImpl(this, `${this.__keyUrl(keyName)}/purge`, keyName, keyValue, showLoading);
+  }
+
+  /**
+   * 彻底清除全部已被标记删除的实体对象。
+   *
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<number|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回实际被彻底清除的实体的数目；
+   *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  purgeAll(showLoading = true) {
+    return purgeAllImpl(this, `${this.baseUrl}/purge`, showLoading);
+  }
+
+  /**
+   * 批量彻底清除已被标记删除的实体对象。
+   *
+   * @param {Array<string|number|bigint>} ids
+   *     待批量彻底清除的已被标记删除的实体对象的ID列表。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<number|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回实际被彻底清除的实体的数目；
+   *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  batchPurge(ids, showLoading = true) {
+    return batchPurgeImpl(this, `${this.baseUrl}/batch/purge`, ids, showLoading);
+  }
+}
+
+/**
+ * 提供`erase()`、`eraseByKey()`和`batchErase()`方法。
+ *
+ * @private
+ */
+class EraseCapability {
+  /**
+   * 彻底清除指定的实体对象（无论其是否被标记删除）。
+   *
+   * @param {string|number|bigint} id
+   *     要彻底清除的实体对象的ID。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<void|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
+   *     则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  erase(id, showLoading = true) {
+    return eraseImpl(this, `${this.baseUrl}/{id}/erase`, id, showLoading);
+  }
+
+  /**
+   * 根据指定的键，彻底清除指定的实体对象（无论其是否被标记删除）。
+   *
+   * @param {string} keyName
+   *     实体对象的键名，必须是`keys`中声明的键名之一。
+   * @param {string} keyValue
+   *     要彻底清除的实体对象的键值。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<void|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
+   *     则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  eraseByKey(keyName, keyValue, showLoading = true) {
+    return eraseByKeyImpl(this, `${this.__keyUrl(keyName)}/erase`, keyName, keyValue, showLoading);
+  }
+
+  /**
+   * 批量彻底清除指定的实体对象（无论其是否被标记删除）。
+   *
+   * @param {Array<string|number|bigint>} ids
+   *     待批量彻底清除的实体对象的ID列表。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<number|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回实际删除的实体的数目；
+   *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  batchErase(ids, showLoading = true) {
+    return batchEraseImpl(this, `${this.baseUrl}/batch/erase`, ids, showLoading);
+  }
+}
+
+/**
+ * 提供`exportXml()`、`exportJson()`、`exportExcel()`、`exportCsv()`和`exportAsync()`方法。
+ *
+ * @private
+ */
+class ExportCapability {
+  /**
+   * 导出符合条件的实体对象为XML文件。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件由`CRITERIA_DEFINITIONS`定义。
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。
+   * @param {boolean|object} autoDownload
+   *     是否自动下载文件。默认值为`true`。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象，详见`exportImpl()`的返回值说明。
+   */
+  @Log
+  exportXml(criteria = {}, sortRequest = {}, autoDownload = true, showLoading = true) {
+    return exportImpl(this, `${this.baseUrl}/export/xml`, 'XML', criteria, sortRequest, autoDownload, showLoading);
+  }
+
+  /**
+   * 导出符合条件的实体对象为JSON文件。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件由`CRITERIA_DEFINITIONS`定义。
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。
+   * @param {boolean|object} autoDownload
+   *     是否自动下载文件。默认值为`true`。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象，详见`exportImpl()`的返回值说明。
+   */
+  @Log
+  exportJson(criteria = {}, sortRequest = {}, autoDownload = true, showLoading = true) {
+    return exportImpl(this, `${this.baseUrl}/export/json`, 'JSON', criteria, sortRequest, autoDownload, showLoading);
+  }
+
+  /**
+   * 导出符合条件的实体对象为Excel文件。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件由`CRITERIA_DEFINITIONS`定义。
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。
+   * @param {boolean|object} autoDownload
+   *     是否自动下载文件。默认值为`true`。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象，详见`exportImpl()`的返回值说明。
+   */
+  @Log
+  exportExcel(criteria = {}, sortRequest = {}, autoDownload = true, showLoading = true) {
+    return exportImpl(this, `${this.baseUrl}/export/excel`, 'Excel', criteria, sortRequest, autoDownload, showLoading);
+  }
+
+  /**
+   * 导出符合条件的实体对象为CSV文件。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件由`CRITERIA_DEFINITIONS`定义。
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。
+   * @param {boolean|object} autoDownload
+   *     是否自动下载文件。默认值为`true`。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象，详见`exportImpl()`的返回值说明。
+   */
+  @Log
+  exportCsv(criteria = {}, sortRequest = {}, autoDownload = true, showLoading = true) {
+    return exportImpl(this, `${this.baseUrl}/export/csv`, 'CSV', criteria, sortRequest, autoDownload, showLoading);
+  }
+
+  /**
+   * 以服务器端异步任务的方式导出符合条件的实体对象为指定格式的文件。
+   *
+   * @param {string} format
+   *     导出的文件的格式，可以是`'XML'`、`'JSON'`、`'Excel'`或`'CSV'`，不区分大小写。
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件由`CRITERIA_DEFINITIONS`定义。
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。
+   * @param {object} options
+   *     导出选项，详见`exportAsyncImpl()`的说明。
+   * @return {Promise<object|ErrorInfo>}
+   *     此操作的`Promise`对象，详见`exportAsyncImpl()`的返回值说明。
+   */
+  @Log
+  exportAsync(format, criteria = {}, sortRequest = {}, options = {}) {
+    return exportAsyncImpl(this, `${this.baseUrl}/export/{format}/async`, format, criteria, sortRequest, options);
+  }
+}
+
+/**
+ * 提供`importXml()`、`importJson()`、`importExcel()`和`importCsv()`方法。
+ *
+ * @private
+ */
+class ImportCapability {
+  /**
+   * 从XML文件导入实体对象。
+   *
+   * @param {File} file
+   *     XML文件对象。
+   * @param {boolean|object} parallel
+   *     是否并行导入。如果为`true`，则并行导入；否则，单线程导入。默认值为`false`。
+   * @param {number} threads
+   *     并行导入的线程数。若`parallel`为`false`，此参数无效。若此参数为`null`，
+   *     则使用默认线程数。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<number|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的实体对象的数量；
+   *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  importXml(file, parallel = false, threads = null, showLoading = true) {
+    return importImpl(this, `${this.baseUrl}/import/xml`, 'XML', file, parallel, threads, showLoading);
+  }
+
+  /**
+   * 从JSON文件导入实体对象。
+   *
+   * @param {File} file
+   *     JSON文件对象。
+   * @param {boolean|object} parallel
+   *     是否并行导入。如果为`true`，则并行导入；否则，单线程导入。默认值为`false`。
+   * @param {number} threads
+   *     并行导入的线程数。若`parallel`为`false`，此参数无效。若此参数为`null`，
+   *     则使用默认线程数。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<number|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的实体对象的数量；
+   *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  importJson(file, parallel = false, threads = null, showLoading = true) {
+    return importImpl(this, `${this.baseUrl}/import/json`, 'JSON', file, parallel, threads, showLoading);
+  }
+
+  /**
+   * 从Excel文件导入实体对象。
+   *
+   * @param {File} file
+   *     Excel文件对象。
+   * @param {boolean|object} parallel
+   *     是否并行导入。如果为`true`，则并行导入；否则，单线程导入。默认值为`false`。
+   * @param {number} threads
+   *     并行导入的线程数。若`parallel`为`false`，此参数无效。若此参数为`null`，
+   *     则使用默认线程数。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<number|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的实体对象的数量；
+   *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  importExcel(file, parallel = false, threads = null, showLoading = true) {
+    return importImpl(this, `${this.baseUrl}/import/excel`, 'Excel', file, parallel, threads, showLoading);
+  }
+
+  /**
+   * 从CSV文件导入实体对象。
+   *
+   * @param {File} file
+   *     CSV文件对象。
+   * @param {boolean|object} parallel
+   *     是否并行导入。如果为`true`，则并行导入；否则，单线程导入。默认值为`false`。
+   * @param {number} threads
+   *     并行导入的线程数。若`parallel`为`false`，此参数无效。若此参数为`null`，
+   *     则使用默认线程数。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<number|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的实体对象的数量；
+   *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  importCsv(file, parallel = false, threads = null, showLoading = true) {
+    return importImpl(this, `${this.baseUrl}/import/csv`, 'CSV', file, parallel, threads, showLoading);
+  }
+}
+
+/**
+ * 各项能力名称与提供该能力的方法的类之间的映射。
+ *
+ * @type {object}
+ * @private
+ */
+const CAPABILITIES = {
+  list: ListCapability,
+  listInfo: ListInfoCapability,
+  get: GetCapability,
+  getInfo: GetInfoCapability,
+  add: AddCapability,
+  update: UpdateCapability,
+  delete: DeleteCapability,
+  restore: RestoreCapability,
+  purge: PurgeCapability,
+  erase: EraseCapability,
+  export: ExportCapability,
+  import: ImportCapability,
+};
+
+/**
+ * 各项能力所提供的方法的路由定义，用于生成API对象的`ROUTE_DEFINITIONS`。
+ *
+ * 其中`impl`为方法调用的实现函数的名称，`path`为请求的URL相对于`baseUrl`的路径。
+ * `byKey`为`true`的路由对应通用键方法，将按照`keys`展开为各个别名方法的路由，其路径
+ * 相对于`${baseUrl}/${key}/{${key}}`。
+ *
+ * 注意：此处的路径必须与各个方法实际请求的URL保持一致。
+ *
+ * @type {object}
+ * @private
+ */
+const CAPABILITY_ROUTES = {
+  list: [
+    { name: 'list', impl: 'listImpl', path: '' },
+    { name: 'iterate', impl: 'iterateImpl', path: '' },
+    { name: 'listAll', impl: 'listAllImpl', path: '' },
+  ],
+  listInfo: [
+    { name: 'listInfo', impl: 'listInfoImpl', path: '/info' },
+  ],
+  get: [
+    { name: 'get', impl: 'getImpl', path: '/{id}' },
+    { name: 'getByKey', impl: 'getByKeyImpl', path: '', byKey: true },
+  ],
+  getInfo: [
+    { name: 'getInfo', impl: 'getInfoImpl', path: '/{id}/info' },
+    { name: 'getInfoByKey', impl: 'getInfoByKeyImpl', path: '/info', byKey: true },
+  ],
+  add: [
+    { name: 'add', impl: 'addImpl', path: '' },
+    { name: 'batchAdd', impl: 'batchAddImpl', path: '/batch' },
+  ],
+  update: [
+    { name: 'update', impl: 'updateImpl', path: '/{id}' },
+    { name: 'updateByKey', impl: 'updateByKeyImpl', path: '', byKey: true },
+    { name: 'batchUpdate', impl: 'batchUpdateImpl', path: '/batch' },
+    { name: 'patch', impl: 'patchImpl', path: '/{id}/patch' },
+  ],
+  delete: [
+    { name: 'delete', impl: 'deleteImpl', path: '/{id}' },
+    { name: 'deleteByKey', impl: 'deleteByKeyImpl', path: '', byKey: true },
+    { name: 'batchDelete', impl: 'batchDeleteImpl', path: '/batch' },
+  ],
+  restore: [
+    { name: 'restore', impl: 'restoreImpl', path: '/{id}' },
+    { name: 'restoreByKey', impl: 'restoreByKeyImpl', path: '', byKey: true },
+    { name: 'batchRestore', impl: 'batchRestoreImpl', path: '/batch' },
+  ],
+  purge: [
+    { name: 'purge', impl: 'purgeImpl', path: '/{id}/purge' },
+    { name: 'purgeByKey', impl: 'purgeByKeyImpl', path: '/purge', byKey: true },
+    { name: 'purgeAll', impl: 'purgeAllImpl', path: '/purge' },
+    { name: 'batchPurge', impl: 'batchPurgeImpl', path: '/batch/purge' },
+  ],
+  erase: [
+    { name: 'erase', impl: 'eraseImpl', path: '/{id}/erase' },
+    { name: 'eraseByKey', impl: 'eraseByKeyImpl', path: '/erase', byKey: true },
+    { name: 'batchErase', impl: 'batchEraseImpl', path: '/batch/erase' },
+  ],
+  export: [
+    { name: 'exportXml', impl: 'exportImpl', path: '/export/xml' },
+    { name: 'exportJson', impl: 'exportImpl', path: '/export/json' },
+    { name: 'exportExcel', impl: 'exportImpl', path: '/export/excel' },
+    { name: 'exportCsv', impl: 'exportImpl', path: '/export/csv' },
+    { name: 'exportAsync', impl: 'exportAsyncImpl', path: '/export/{format}/async' },
+  ],
+  import: [
+    { name: 'importXml', impl: 'importImpl', path: '/import/xml' },
+    { name: 'importJson', impl: 'importImpl', path: '/import/json' },
+    { name: 'importExcel', impl: 'importImpl', path: '/import/excel' },
+    { name: 'importCsv', impl: 'importImpl', path: '/import/csv' },
+  ],
+};
+
+/**
+ * 各项能力中，需要根据`keys`生成别名方法的通用方法的名称前缀。
+ *
+ * 例如，若`keys`包含`code`，则`getByKey()`方法将生成别名方法`getByCode(code, showLoading)`。
+ *
+ * @type {object}
+ * @private
+ */
+const KEY_METHOD_PREFIXES = {
+  get: ['getBy'],
+  getInfo: ['getInfoBy'],
+  update: ['updateBy'],
+  delete: ['deleteBy'],
+  restore: ['restoreBy'],
+  purge: ['purgeBy'],
+  erase: ['eraseBy'],
+};
+
+/**
+ * 将字符串的首字母转换为大写。
+ *
+ * @param {string} str
+ *     指定的字符串。
+ * @return {string}
+ *     首字母转换为大写后的字符串。
+ * @private
+ */
+function upperFirst(str) {
+  return str.charAt(0).toUpperCase() + str.slice(1);
+}
+
+/**
+ * 为指定的通用键方法生成别名方法。
+ *
+ * 生成的别名方法将键名作为第一个参数绑定到通用键方法上，例如`getByCode(code, showLoading)`
+ * 等价于`getByKey('code', code, showLoading)`，`updateByCode(entity, showLoading)`等价
+ * 于`updateByKey('code', entity, showLoading)`。
+ *
+ * @param {string} methodName
+ *     通用键方法的名称，例如`getByKey`。
+ * @param {string} keyName
+ *     键名。
+ * @return {function}
+ *     生成的别名方法。
+ * @private
+ */
+function createKeyAlias(methodName, keyName) {
+  return function keyAlias(...args) {
+    return this[methodName](keyName, ...args);
+  };
+}
+
+/**
+ * 生成指定能力所提供的方法的路由定义。
+ *
+ * @param {Array<string>} capabilities
+ *     API所支持的操作。
+ * @param {string} baseUrl
+ *     API的根URL，不以`/`结尾。
+ * @param {Array<string>} keys
+ *     除ID外，可唯一确定实体对象的键名列表。
+ * @return {Array<object>}
+ *     形如`{ name, impl, url }`的路由定义列表，其中通用键方法的路由已按照`keys`展开为
+ *     各个别名方法的路由。
+ * @private
+ */
+function createRouteDefinitions(capabilities, baseUrl, keys) {
+  const result = [];
+  for (const capability of capabilities) {
+    for (const { name, impl, path, byKey } of CAPABILITY_ROUTES[capability]) {
+      if (byKey) {
+        for (const key of keys) {
+          result.push({
+            name: name.replace(/Key$/, upperFirst(key)),
+            impl,
+            url: `${baseUrl}/${key}/{${key}}${path}`,
+          });
+        }
+      } else {
+        result.push({ name, impl, url: `${baseUrl}${path}` });
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * 创建一个管理指定实体的API对象。
+ *
+ * 本库中各个实体的API（例如`provinceApi`、`cityApi`等）均由大量结构相同的方法组成，
+ * 这些方法只是对`listImpl()`、`getImpl()`、`deleteImpl()`等实现函数的简单封装，区别
+ * 仅在于URL和实体类。此函数根据给定的配置，自动生成具有相同行为的API对象，从而使用户
+ * 可以方便地为自定义的实体创建API，而无需重复编写这些封装代码。
+ *
+ * 生成的API对象的URL遵循以下约定（以`baseUrl`为`/product`，`keys`为`['code']`为例）：
+ * - `list()`、`add()`：`/product`；
+ * - `listInfo()`：`/product/info`；
+ * - `get()`、`update()`、`delete()`、`restore()`：`/product/{id}`；
+ * - `getInfo()`：`/product/{id}/info`；
+ * - `getByCode()`、`updateByCode()`、`deleteByCode()`、`restoreByCode()`：
+ *   `/product/code/{code}`；
+ * - `getInfoByCode()`：`/product/code/{code}/info`；
+ * - `batchDelete()`、`batchRestore()`：`/product/batch`；
+ * - `purge()`、`purgeByCode()`、`purgeAll()`、`batchPurge()`：`/product/{id}/purge`、
+ *   `/product/code/{code}/purge`、`/product/purge`、`/product/batch/purge`；
+ * - `erase()`、`eraseByCode()`、`batchErase()`：`/product/{id}/erase`、
+ *   `/product/code/{code}/erase`、`/product/batch/erase`；
+ * - `exportXml()`、`exportJson()`、`exportExcel()`、`exportCsv()`：`/product/export/xml`、
+ *   `/product/export/json`、`/product/export/excel`、`/product/export/csv`；
+ * - `exportAsync()`：`/product/export/{format}/async`，其中`{format}`为小写的导出格式；
+ * - `importXml()`、`importJson()`、`importExcel()`、`importCsv()`：`/product/import/xml`、
+ *   `/product/import/json`、`/product/import/excel`、`/product/import/csv`。
+ *
+ * 生成的API对象的`ROUTE_DEFINITIONS`属性按照上述约定记录了其各个方法请求的URL，
+ * `generateOpenApiDocument()`据此生成OpenAPI文档。
+ *
+ * 使用示例：
+ * ```js
+ * import { createEntityApi } from '@qubit-ltd/common-api';
+ * import { StatefulInfo } from '@qubit-ltd/common-model';
+ * import Product from '../model/Product';
+ *
+ * const productApi = createEntityApi({
+ *   baseUrl: '/product',
+ *   entityClass: Product,
+ *   entityInfoClass: StatefulInfo,
+ *   criteria: [
+ *     { name: 'name', type: String },
+ *     { name: 'deleted', type: Boolean },
+ *   ],
+ *   keys: ['code'],
+ *   capabilities: ['list', 'listInfo', 'get', 'getInfo', 'add', 'update', 'delete'],
+ * });
+ *
+ * const product = await productApi.getByCode('P001');
+ * ```
+ *
+ * @param {object} config
+ *     API的配置，包含以下属性：
+ *     - `baseUrl: string` 实体API的根URL，例如`/product`，必须提供；
+ *     - `entityClass: function` 此API所管理的实体对象的类，必须提供；
+ *     - `entityInfoClass: function` 此API所管理的实体对象的基本信息的类，默认为`Info`；
+ *     - `criteria: Array<object>` 查询条件定义，格式与各API的`CRITERIA_DEFINITIONS`相同，
+ *       默认为空数组；
+ *     - `keys: Array<string>` 除ID外，可唯一确定实体对象的键名列表，例如`['code']`。对于
+ *       每个键名，将生成相应的`getByXxx()`、`updateByXxx()`等方法。默认为空数组；
+ *     - `capabilities: Array<string>` 此API所支持的操作，可选值为`list`、`listInfo`、
+ *       `get`、`getInfo`、`add`、`update`、`delete`、`restore`、`purge`、`erase`、
+ *       `export`和`import`。默认支持全部操作；
+ *     - `name: string` 此API的名称，用于日志输出，默认为`${entityClass.name}Api`。
+ * @return {object}
+ *     生成的API对象。
+ * @throws TypeError
+ *     若配置参数不合法，则抛出此异常。
+ * @author 胡海星
+ */
+function createEntityApi(config) {
+  checkArgumentType('config', config, Object);
+  const {
+    baseUrl,
+    entityClass,
+    entityInfoClass = Info,
+    criteria = [],
+    keys = [],
+    capabilities = Object.keys(CAPABILITIES),
+    name = `${entityClass?.name}Api`,
+  } = config;
+  checkArgumentType('config.baseUrl', baseUrl, String);
+  checkArgumentType('config.entityClass', entityClass, Function);
+  checkArgumentType('config.entityInfoClass', entityInfoClass, Function);
+  checkArgumentType('config.criteria', criteria, Array);
+  checkArgumentType('config.keys', keys, Array);
+  checkArgumentType('config.capabilities', capabilities, Array);
+  checkArgumentType('config.name', name, String);
+  keys.forEach((key, i) => checkArgumentType(`config.keys[${i}]`, key, String));
+  for (const capability of capabilities) {
+    if (!Object.hasOwn(CAPABILITIES, capability)) {
+      throw new TypeError(`Unsupported capability: "${capability}"`);
+    }
+  }
+  const normalizedBaseUrl = baseUrl.replace(/\/+$/, '');
+
+  class EntityApi {
+    /**
+     * 此API所管理的实体对象的类。
+     *
+     * @type {Function}
+     */
+    entityClass = entityClass;
+
+    /**
+     * 此API所管理的实体对象的基本信息的类。
+     *
+     * @type {Function}
+     */
+    entityInfoClass = entityInfoClass;
+
+    /**
+     * 查询条件定义
+     *
+     * @type {Array<Object>}
+     */
+    CRITERIA_DEFINITIONS = [...criteria];
+
+    /**
+     * 此API的根URL。
+     *
+     * @type {string}
+     */
+    baseUrl = normalizedBaseUrl;
+
+    /**
+     * 路由定义，用于生成OpenAPI文档，详见`generateOpenApiDocument()`的说明。
+     *
+     * @type {Array<Object>}
+     */
+    ROUTE_DEFINITIONS = createRouteDefinitions(capabilities, normalizedBaseUrl, keys);
+
+    /**
+     * 除ID外，可唯一确定实体对象的键名列表。
+     *
+     * @type {Array<string>}
+     */
+    keys = [...keys];
+
+    /**
+     * 此API所支持的操作。
+     *
+     * @type {Array<string>}
+     */
+    capabilities = [...capabilities];
+
+    /**
+     * 此API的logger。
+     *
+     * @type {Logger}
+     */
+    logger = Logger.getLogger(name);
+
+    /**
+     * 获取指定键名对应的URL模板。
+     *
+     * @param {string} keyName
+     *     键名，必须是`keys`中声明的键名之一。
+     * @return {string}
+     *     该键名对应的URL模板，例如`/product/code/{code}`。
+     * @private
+     */
+    __keyUrl(keyName) {
+      if (!this.keys.includes(keyName)) {
+        throw new TypeError(`The key '${keyName}' is not declared in the keys of ${name}.`);
+      }
+      return `${this.baseUrl}/${keyName}/{${keyName}}`;
+    }
+  }
+  // `@Log`装饰器会使用类名作为日志的前缀
+  Object.defineProperty(EntityApi, 'name', { value: name });
+  for (const capability of capabilities) {
+    const prototype = CAPABILITIES[capability].prototype;
+    for (const methodName of Object.getOwnPropertyNames(prototype)) {
+      if (methodName !== 'constructor') {
+        const descriptor = Object.getOwnPropertyDescriptor(prototype, methodName);
+        Object.defineProperty(EntityApi.prototype, methodName, descriptor);
+      }
+    }
+    for (const prefix of (KEY_METHOD_PREFIXES[capability] ?? [])) {
+      for (const key of keys) {
+        EntityApi.prototype[`${prefix}${upperFirst(key)}`] = createKeyAlias(`${prefix}Key`, key);
+      }
+    }
+  }
+  return new EntityApi();
+}
+
+export default createEntityApi;
@@ -24,7 +24,9 @@ import {
 import { loading } from '@qubit-ltd/common-ui';
 import { checkArgumentType } from '@qubit-ltd/common-util';
 import { Log, Logger } from '@qubit-ltd/logging';
+import { shareInflightRequest } from './impl/inflight-request';
 import { assignOptions, toJsonOptions } from './impl/options';
+import { handleCancellation, normalizeRequestOptions, toRequestConfig } from './impl/request-options';
 
 const logger = Logger.getLogger('CurrentUserApi');
 
@@ -34,22 +36,51 @@ const logger = Logger.getLogger('CurrentUserApi');
  * @author 胡海星
  */
 class CurrentUserApi {
+  /**
+   * 路由定义，用于生成OpenAPI文档，详见`generateOpenApiDocument()`的说明。
+   *
+   * @type {Array<Object>}
+   */
+  ROUTE_DEFINITIONS = [
+    { name: 'getUser', method: 'get', url: '/me/user' },
+    { name: 'getUserInfo', method: 'get', url: '/me/user/info' },
+    { name: 'getUserOrganization', method: 'get', url: '/me/user/organization' },
+    { name: 'getUserOrganizationInfo', method: 'get', url: '/me/user/organization/info' },
+    { name: 'updateUser', method: 'put', url: '/me/user' },
+    { name: 'existPerson', method: 'head', url: '/me/person' },
+    { name: 'getPerson', method: 'get', url: '/me/person' },
+    { name: 'getPersonInfo', method: 'get', url: '/me/person/info' },
+    { name: 'addPerson', method: 'post', url: '/me/person' },
+    { name: 'updatePerson', method: 'put', url: '/me/person' },
+    { name: 'bindPerson', method: 'post', url: '/me/person/bind' },
+    { name: 'existEmployee', method: 'head', url: '/me/employee' },
+    { name: 'getEmployee', method: 'get', url: '/me/employee' },
+    { name: 'getEmployeeInfo', method: 'get', url: '/me/employee/info' },
+    { name: 'addEmployee', method: 'post', url: '/me/employee' },
+    { name: 'updateEmployee', method: 'put', url: '/me/employee' },
+    { name: 'bindEmployee', method: 'post', url: '/me/employee/bind' },
+  ];
+
   /**
    * 获取当前登录用户对应的用户的信息。
    *
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<User|ErrorInfo>}
    *     此 HTTP 请求的 Promise。若操作成功，解析成功并返回一个`User`对象，包含了当前登录
    *     用户的完整信息；若操作失败，解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   getUser(showLoading = true) {
-    checkArgumentType('showLoading', showLoading, Boolean);
-    if (showLoading) {
-      loading.showGetting();
-    }
-    return http.get('/me/user').then((obj) => {
+    const requestOptions = normalizeRequestOptions(showLoading);
+    const config = toRequestConfig(requestOptions);
+    const promise = shareInflightRequest('/me/user', config, () => {
+      if (requestOptions.showLoading) {
+        loading.showGetting();
+      }
+      return http.get('/me/user', config);
+    });
+    return handleCancellation(promise, requestOptions).then((obj) => {
       const result = User.create(obj, assignOptions);
       logger.info('Successfully get the current user.');
       logger.debug('The current user is:', result);
@@ -60,19 +91,23 @@ class CurrentUserApi {
   /**
    * 获取当前登录用户对应的用户的基本信息。
    *
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<UserInfo|ErrorInfo>}
    *     此 HTTP 请求的 Promise。若操作成功，解析成功并返回一个`UserInfo`对象，包含了当前
    *     登录用户的基本信息；若操作失败，解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   getUserInfo(showLoading = true) {
-    checkArgumentType('showLoading', showLoading, Boolean);
-    if (showLoading) {
-      loading.showGetting();
-    }
-    return http.get('/me/user/info').then((obj) => {
+    const requestOptions = normalizeRequestOptions(showLoading);
+    const config = toRequestConfig(requestOptions);
+    const promise = shareInflightRequest('/me/user/info', config, () => {
+      if (requestOptions.showLoading) {
+        loading.showGetting();
+      }
+      return http.get('/me/user/info', config);
+    });
+    return handleCancellation(promise, requestOptions).then((obj) => {
       const result = UserInfo.create(obj, assignOptions);
       logger.info('Successfully get the info of the current user.');
       logger.debug('The info of the current user is:', result);
@@ -83,8 +118,8 @@ class CurrentUserApi {
   /**
    * 获取当前登录用户对应的用户所属机构的完整信息。
    *
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Organization|ErrorInfo>}
    *     此 HTTP 请求的 Promise。若操作成功，解析成功并返回当前登录用户所属机构的完整信息，
    *     注意若当前登录用户没有所属机构，返回值可以是`null`；若操作失败，解析失败并返回一个
@@ -92,11 +127,15 @@ class CurrentUserApi {
    */
   @Log
   getUserOrganization(showLoading = true) {
-    checkArgumentType('showLoading', showLoading, Boolean);
-    if (showLoading) {
-      loading.showGetting();
-    }
-    return http.get('/me/user/organization').then((obj) => {
+    const requestOptions = normalizeRequestOptions(showLoading);
+    const config = toRequestConfig(requestOptions);
+    const promise = shareInflightRequest('/me/user/organization', config, () => {
+      if (requestOptions.showLoading) {
+        loading.showGetting();
+      }
+      return http.get('/me/user/organization', config);
+    });
+    return handleCancellation(promise, requestOptions).then((obj) => {
       const result = Organization.create(obj, assignOptions);
       logger.info('Successfully get the organization of the current user.');
       logger.debug('The organization of the current User is:', result);
@@ -107,8 +146,8 @@ class CurrentUserApi {
   /**
    * 获取当前登录用户对应的用户所属机构的基本信息。
    *
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<StatefulInfo|ErrorInfo>}
    *     此 HTTP 请求的 Promise。若操作成功，解析成功并返回当前登录用户所属机构的基本信息,
    *     注意若当前登录用户没有所属机构，返回值可以是`null`；若操作失败，解析失败并返回一个
@@ -116,11 +155,15 @@ class CurrentUserApi {
    */
   @Log
   getUserOrganizationInfo(showLoading = true) {
-    checkArgumentType('showLoading', showLoading, Boolean);
-    if (showLoading) {
-      loading.showGetting();
-    }
-    return http.get('/me/user/organization/info').then((obj) => {
+    const requestOptions = normalizeRequestOptions(showLoading);
+    const config = toRequestConfig(requestOptions);
+    const promise = shareInflightRequest('/me/user/organization/info', config, () => {
+      if (requestOptions.showLoading) {
+        loading.showGetting();
+      }
+      return http.get('/me/user/organization/info', config);
+    });
+    return handleCancellation(promise, requestOptions).then((obj) => {
       const result = StatefulInfo.create(obj, assignOptions);
       logger.info('Successfully get the organization info current user.');
       logger.debug('The organization info of the current User is:', result);
@@ -133,8 +176,8 @@ class CurrentUserApi {
    *
    * @param {User|object} user
    *     待更新的`User`对象。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<User|ErrorInfo>}
    *     此 HTTP 请求的 Promise。若操作成功，解析成功并返回一个`UserInfo`对象，包含了当前登录用户的信息；
    *     若操作失败，解析失败并返回一个`ErrorInfo`对象。
@@ -142,12 +185,14 @@ class CurrentUserApi {
   @Log
   updateUser(user, showLoading = true) {
     checkArgumentType('user', user, [User, Object]);
-    checkArgumentType('showLoading', showLoading, Boolean);
+    const requestOptions = normalizeRequestOptions(showLoading);
     const data = toJSON(user, toJsonOptions);
-    if (showLoading) {
+    if (requestOptions.showLoading) {
       loading.showUpdating();
     }
-    return http.put('/me/user', data).then((obj) => {
+    const config = toRequestConfig(requestOptions);
+    const promise = http.put('/me/user', data, config);
+    return handleCancellation(promise, requestOptions).then((obj) => {
       const result = User.create(obj, assignOptions);
       logger.info('Successfully update the current login user to:', result);
       return result;
@@ -157,8 +202,8 @@ class CurrentUserApi {
   /**
    * 检测当前登录用户是否拥有个人信息。
    *
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<boolean|ErrorInfo>}
    *     此 HTTP 请求的 Promise。若操作成功，解析成功并返回一个`boolean`值，表示当前登录
    *     用户是否拥有个人信息，即是否对应到某个`Person`对象；若操作失败，解析失败并返回一个
@@ -166,29 +211,35 @@ class CurrentUserApi {
    */
   @Log
   existPerson(showLoading = true) {
-    checkArgumentType('showLoading', showLoading, Boolean);
-    if (showLoading) {
+    const requestOptions = normalizeRequestOptions(showLoading);
+    if (requestOptions.showLoading) {
       loading.showGetting();
     }
-    return http.head('/me/person');
+    const config = toRequestConfig(requestOptions);
+    const promise = http.head('/me/person', config);
+    return handleCancellation(promise, requestOptions);
   }
 
   /**
    * 获取当前登录用户的个人信息。
    *
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Person|ErrorInfo>}
    *     此 HTTP 请求的 Promise。若操作成功，解析成功并返回一个`Person`对象，表示当前登录
    *     用户的个人信息；若操作失败，解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   getPerson(showLoading = true) {
-    checkArgumentType('showLoading', showLoading, Boolean);
-    if (showLoading) {
-      loading.showGetting();
-    }
-    return http.get('/me/person').then((obj) => {
+    const requestOptions = normalizeRequestOptions(showLoading);
+    const config = toRequestConfig(requestOptions);
+    const promise = shareInflightRequest('/me/person', config, () => {
+      if (requestOptions.showLoading) {
+        loading.showGetting();
+      }
+      return http.get('/me/person', config);
+    });
+    return handleCancellation(promise, requestOptions).then((obj) => {
       const result = Person.create(obj, assignOptions);
       logger.info('Successfully get the profile of the current user:', result);
       return result;
@@ -198,19 +249,23 @@ class CurrentUserApi {
   /**
    * 获取当前登录用户的个人信息的基本信息。
    *
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<PersonInfo|ErrorInfo>}
    *     此 HTTP 请求的 Promise。若操作成功，解析成功并返回一个`PersonInfo`对象，表示当前登录
    *     用户的个人信息的基本信息；若操作失败，解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   getPersonInfo(showLoading = true) {
-    checkArgumentType('showLoading', showLoading, Boolean);
-    if (showLoading) {
-      loading.showGetting();
-    }
-    return http.get('/me/person/info').then((obj) => {
+    const requestOptions = normalizeRequestOptions(showLoading);
+    const config = toRequestConfig(requestOptions);
+    const promise = shareInflightRequest('/me/person/info', config, () => {
+      if (requestOptions.showLoading) {
+        loading.showGetting();
+      }
+      return http.get('/me/person/info', config);
+    });
+    return handleCancellation(promise, requestOptions).then((obj) => {
       const result = PersonInfo.create(obj, assignOptions);
       logger.info('Successfully get the basic profile of the current user:', result);
       return result;
@@ -222,8 +277,8 @@ class CurrentUserApi {
    *
    * @param {Person|object} person
    *     待新增的个人信息。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Person|ErrorInfo>}
    *     此 HTTP 请求的 Promise。若操作成功，解析成功并返回一个`Person`对象，包含了为当前
    *     登录用户新增的个人信息；若操作失败，解析失败并返回一个`ErrorInfo`对象。
@@ -231,12 +286,14 @@ class CurrentUserApi {
   @Log
   addPerson(person, showLoading = true) {
     checkArgumentType('person', person, [Person, Object]);
-    checkArgumentType('showLoading', showLoading, Boolean);
+    const requestOptions = normalizeRequestOptions(showLoading);
     const data = toJSON(person, toJsonOptions);
-    if (showLoading) {
+    if (requestOptions.showLoading) {
       loading.showUpdating();
     }
-    return http.post('/me/person', data).then((obj) => {
+    const config = toRequestConfig(requestOptions);
+    const promise = http.post('/me/person', data, config);
+    return handleCancellation(promise, requestOptions).then((obj) => {
       const result = Person.create(obj, assignOptions);
       logger.info('Successfully add the profile of the current user:', result);
       return result;
@@ -248,8 +305,8 @@ class CurrentUserApi {
    *
    * @param {Person|object} person
    *     待更新的个人信息。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Person|ErrorInfo>}
    *     此 HTTP 请求的 Promise。若操作成功，解析成功并返回一个`Person`对象，包含了更新后
    *     的当前登录用户的个人信息；若操作失败，解析失败并返回一个`ErrorInfo`对象。
@@ -257,12 +314,14 @@ class CurrentUserApi {
   @Log
   updatePerson(person, showLoading = true) {
     checkArgumentType('person', person, [Person, Object]);
-    checkArgumentType('showLoading', showLoading, Boolean);
+    const requestOptions = normalizeRequestOptions(showLoading);
     const data = toJSON(person, toJsonOptions);
-    if (showLoading) {
+    if (requestOptions.showLoading) {
       loading.showUpdating();
     }
-    return http.put('/me/person', data).then((obj) => {
+    const config = toRequestConfig(requestOptions);
+    const promise = http.put('/me/person', data, config);
+    return handleCancellation(promise, requestOptions).then((obj) => {
       const result = Person.create(obj, assignOptions);
       logger.info('Successfully update the profile of the current user to:', result);
       return result;
@@ -280,8 +339,8 @@ class CurrentUserApi {
    *     待绑定的个人的证件。
    * @param {string} verifyCode
    *     待绑定的个人收到的验证码。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<PersonInfo|ErrorInfo>}
    *     此 HTTP 请求的 Promise。若操作成功，解析成功并返回一个`PersonInfo`对象，包含了
    *     当前登录用户所绑定的个人的基本信息；若操作失败，解析失败并返回一个`ErrorInfo`对象。
@@ -292,7 +351,7 @@ class CurrentUserApi {
     checkArgumentType('mobile', mobile, String);
     checkArgumentType('credential', credential, [Credential, CredentialInfo, Object]);
     checkArgumentType('verifyCode', verifyCode, String);
-    checkArgumentType('showLoading', showLoading, Boolean);
+    const requestOptions = normalizeRequestOptions(showLoading);
     const data = toJSON({
       name,
       mobile,
@@ -302,10 +361,12 @@ class CurrentUserApi {
       },
       verifyCode,
     }, toJsonOptions);
-    if (showLoading) {
+    if (requestOptions.showLoading) {
       loading.showUpdating();
     }
-    return http.post('/me/person/bind', data).then((obj) => {
+    const config = toRequestConfig(requestOptions);
+    const promise = http.post('/me/person/bind', data, config);
+    return handleCancellation(promise, requestOptions).then((obj) => {
       const result = PersonInfo.create(obj, assignOptions);
       logger.info('Successfully bind the Person to the current user:', result);
       return result;
@@ -315,8 +376,8 @@ class CurrentUserApi {
   /**
    * 检测当前登录用户是否绑定了某个员工。
    *
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<boolean|ErrorInfo>}
    *     此 HTTP 请求的 Promise。若操作成功，解析成功并返回一个`boolean`值，表示当前登录
    *     用户是否绑定了某个员工，即是否对应到某个`Employee`对象；若操作失败，解析失败并返回
@@ -324,29 +385,35 @@ class CurrentUserApi {
    */
   @Log
   existEmployee(showLoading = true) {
-    checkArgumentType('showLoading', showLoading, Boolean);
-    if (showLoading) {
+    const requestOptions = normalizeRequestOptions(showLoading);
+    if (requestOptions.showLoading) {
       loading.showGetting();
     }
-    return http.head('/me/employee');
+    const config = toRequestConfig(requestOptions);
+    const promise = http.head('/me/employee', config);
+    return handleCancellation(promise, requestOptions);
   }
 
   /**
    * 获取当前登录用户所绑定的员工信息。
    *
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Employee|ErrorInfo>}
    *     此 HTTP 请求的 Promise。若操作成功，解析成功并返回一个`Employee`对象，表示当前登录
    *     用户所绑定的员工信息；若操作失败，解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   getEmployee(showLoading = true) {
-    checkArgumentType('showLoading', showLoading, Boolean);
-    if (showLoading) {
-      loading.showGetting();
-    }
-    return http.get('/me/employee').then((obj) => {
+    const requestOptions = normalizeRequestOptions(showLoading);
+    const config = toRequestConfig(requestOptions);
+    const promise = shareInflightRequest('/me/employee', config, () => {
+      if (requestOptions.showLoading) {
+        loading.showGetting();
+      }
+      return http.get('/me/employee', config);
+    });
+    return handleCancellation(promise, requestOptions).then((obj) => {
       const result = Employee.create(obj, assignOptions);
       logger.info('Successfully get the Employee of the current user:', result);
       return result;
@@ -356,19 +423,23 @@ class CurrentUserApi {
   /**
    * 获取当前登录用户所绑定的员工的基本信息。
    *
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<EmployeeInfo|ErrorInfo>}
    *     此 HTTP 请求的 Promise。若操作成功，解析成功并返回一个`EmployeeInfo`对象，表示
    *     当前登录用户所绑定的员工的基本信息；若操作失败，解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   getEmployeeInfo(showLoading = true) {
-    checkArgumentType('showLoading', showLoading, Boolean);
-    if (showLoading) {
-      loading.showGetting();
-    }
-    return http.get('/me/employee/info').then((obj) => {
+    const requestOptions = normalizeRequestOptions(showLoading);
+    const config = toRequestConfig(requestOptions);
+    const promise = shareInflightRequest('/me/employee/info', config, () => {
+      if (requestOptions.showLoading) {
+        loading.showGetting();
+      }
+      return http.get('/me/employee/info', config);
+    });
+    return handleCancellation(promise, requestOptions).then((obj) => {
       const result = EmployeeInfo.create(obj, assignOptions);
       logger.info('Successfully get the EmployeeInfo of the current user:', result);
       return result;
@@ -382,8 +453,8 @@ class CurrentUserApi {
    *
    * @param {Employee|object} employee
    *     待新增的员工信息。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Employee|ErrorInfo>}
    *     此 HTTP 请求的 Promise。若操作成功，解析成功并返回一个`Employee`对象，包含了为当前
    *     登录用户新增的员工信息；若操作失败，解析失败并返回一个`ErrorInfo`对象。
@@ -391,12 +462,14 @@ class CurrentUserApi {
   @Log
   addEmployee(employee, showLoading = true) {
     checkArgumentType('employee', employee, [Employee, Object]);
-    checkArgumentType('showLoading', showLoading, Boolean);
+    const requestOptions = normalizeRequestOptions(showLoading);
     const data = toJSON(employee, toJsonOptions);
-    if (showLoading) {
+    if (requestOptions.showLoading) {
       loading.showUpdating();
     }
-    return http.post('/me/employee', data).then((obj) => {
+    const config = toRequestConfig(requestOptions);
+    const promise = http.post('/me/employee', data, config);
+    return handleCancellation(promise, requestOptions).then((obj) => {
       const result = Employee.create(obj, assignOptions);
       logger.info('Successfully add an Employee to the current user:', result);
       return result;
@@ -410,8 +483,8 @@ class CurrentUserApi {
    *
    * @param {Employee|object} employee
    *     待更新的员工信息。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Employee|ErrorInfo>}
    *     此 HTTP 请求的 Promise。若操作成功，解析成功并返回一个`Employee`对象，包含了更新后
    *     的当前登录用户的员工信息；若操作失败，解析失败并返回一个`ErrorInfo`对象。
@@ -419,12 +492,14 @@ class CurrentUserApi {
   @Log
   updateEmployee(employee, showLoading = true) {
     checkArgumentType('employee', employee, [Employee, Object]);
-    checkArgumentType('showLoading', showLoading, Boolean);
+    const requestOptions = normalizeRequestOptions(showLoading);
     const data = toJSON(employee, toJsonOptions);
-    if (showLoading) {
+    if (requestOptions.showLoading) {
       loading.showUpdating();
     }
-    return http.put('/me/employee', data).then((obj) => {
+    const config = toRequestConfig(requestOptions);
+    const promise = http.put('/me/employee', data, config);
+    return handleCancellation(promise, requestOptions).then((obj) => {
       const result = Employee.create(obj, assignOptions);
       logger.info('Successfully update the Employee of the current user to:', result);
       return result;
@@ -442,8 +517,8 @@ class CurrentUserApi {
    *     待绑定的员工所属机构的信息。
    * @param {string} verifyCode
    *     待绑定的员工收到的验证码。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<EmployeeInfo|ErrorInfo>}
    *     此 HTTP 请求的 Promise。若操作成功，解析成功并返回一个`EmployeeInfo`对象，包含了
    *     当前登录用户所绑定的员工的基本信息；若操作失败，解析失败并返回一个`ErrorInfo`对象。
@@ -454,17 +529,19 @@ class CurrentUserApi {
     checkArgumentType('mobile', mobile, String);
     checkArgumentType('organization', organization, [StatefulInfo, Info, Object]);
     checkArgumentType('verifyCode', verifyCode, String);
-    checkArgumentType('showLoading', showLoading, Boolean);
+    const requestOptions = normalizeRequestOptions(showLoading);
     const data = toJSON({
       name,
       mobile,
       organization,
       verifyCode,
     }, toJsonOptions);
-    if (showLoading) {
+    if (requestOptions.showLoading) {
       loading.showUpdating();
     }
-    return http.post('/me/employee/bind', data).then((obj) => {
+    const config = toRequestConfig(requestOptions);
+    const promise = http.post('/me/employee/bind', data, config);
+    return handleCancellation(promise, requestOptions).then((obj) => {
       const result = EmployeeInfo.create(obj, assignOptions);
       logger.info('Successfully bind the Employee to the current user:', result);
       return result;
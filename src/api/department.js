@@ -13,6 +13,7 @@ import {
   StatefulInfo,
 } from '@qubit-ltd/common-model';
 import { HasLogger, Log } from '@qubit-ltd/logging';
+import { TIMESTAMP_PATTERN } from '../utils/check-criteria-constraints';
 import addImpl from './impl/add-impl';
 import {
   batchDeleteImpl,
@@ -20,6 +21,7 @@ import {
   deleteImpl,
 } from './impl/delete-impl';
 import { batchEraseImpl, eraseByKeyImpl, eraseImpl } from './impl/erase-impl';
+import exportAsyncImpl from './impl/export-async-impl';
 import exportImpl from './impl/export-impl';
 import {
   getByKeyImpl,
@@ -30,6 +32,7 @@ import {
   getPropertyImpl,
 } from './impl/get-impl';
 import importImpl from './impl/import-impl';
+import { iterateImpl, listAllImpl } from './impl/iterate-impl';
 import { listImpl, listInfoImpl } from './impl/list-impl';
 import {
   batchPurgeImpl,
@@ -110,12 +113,57 @@ class DepartmentApi {
     { name: 'test', type: Boolean },
     { name: 'predefined', type: Boolean },
     { name: 'deleted', type: Boolean },
-    { name: 'createTimeStart', type: String },
-    { name: 'createTimeEnd', type: String },
-    { name: 'modifyTimeStart', type: String },
-    { name: 'modifyTimeEnd', type: String },
-    { name: 'deleteTimeStart', type: String },
-    { name: 'deleteTimeEnd', type: String },
+    { name: 'createTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
+    { name: 'createTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
+    { name: 'modifyTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
+    { name: 'modifyTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
+    { name: 'deleteTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
+    { name: 'deleteTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
+  ];
+
+  /**
+   * 路由定义，用于生成OpenAPI文档，详见`generateOpenApiDocument()`的说明。
+   *
+   * @type {Array<Object>}
+   */
+  ROUTE_DEFINITIONS = [
+    { name: 'list', impl: 'listImpl', url: '/department' },
+    { name: 'iterate', impl: 'iterateImpl', url: '/department' },
+    { name: 'listAll', impl: 'listAllImpl', url: '/department' },
+    { name: 'listInfo', impl: 'listInfoImpl', url: '/department/info' },
+    { name: 'get', impl: 'getImpl', url: '/department/{id}' },
+    { name: 'getByCode', impl: 'getByKeyImpl', url: '/department/code/{code}' },
+    { name: 'getInfo', impl: 'getInfoImpl', url: '/department/{id}/info' },
+    { name: 'getInfoByCode', impl: 'getInfoByKeyImpl', url: '/department/code/{code}/info' },
+    { name: 'getCategory', impl: 'getPropertyImpl', url: '/department/{id}/category' },
+    { name: 'getCategoryByCode', impl: 'getPropertyByKeyImpl', url: '/department/code/{code}/category' },
+    { name: 'add', impl: 'addImpl', url: '/department' },
+    { name: 'update', impl: 'updateImpl', url: '/department/{id}' },
+    { name: 'updateByCode', impl: 'updateByKeyImpl', url: '/department/code/{code}' },
+    { name: 'updateState', impl: 'updatePropertyImpl', url: '/department/{id}/state' },
+    { name: 'updateStateByCode', impl: 'updatePropertyByKeyImpl', url: '/department/code/{code}/state' },
+    { name: 'delete', impl: 'deleteImpl', url: '/department/{id}' },
+    { name: 'deleteByCode', impl: 'deleteByKeyImpl', url: '/department/code/{code}' },
+    { name: 'batchDelete', impl: 'batchDeleteImpl', url: '/department/batch' },
+    { name: 'restore', impl: 'restoreImpl', url: '/department/{id}' },
+    { name: 'restoreByCode', impl: 'restoreByKeyImpl', url: '/department/code/{code}' },
+    { name: 'batchRestore', impl: 'batchRestoreImpl', url: '/department/batch' },
+    { name: 'purge', impl: 'purgeImpl', url: '/department/{id}/purge' },
+    { name: 'purgeByCode', impl: 'purgeByKeyImpl', url: '/department/code/{code}/purge' },
+    { name: 'purgeAll', impl: 'purgeAllImpl', url: '/department/purge' },
+    { name: 'batchPurge', impl: 'batchPurgeImpl', url: '/department/batch/purge' },
+    { name: 'erase', impl: 'eraseImpl', url: '/department/{id}/erase' },
+    { name: 'eraseByCode', impl: 'eraseByKeyImpl', url: '/department/code/{code}/erase' },
+    { name: 'batchErase', impl: 'batchEraseImpl', url: '/department/batch/erase' },
+    { name: 'exportXml', impl: 'exportImpl', url: '/department/export/xml' },
+    { name: 'exportJson', impl: 'exportImpl', url: '/department/export/json' },
+    { name: 'exportExcel', impl: 'exportImpl', url: '/department/export/excel' },
+    { name: 'exportCsv', impl: 'exportImpl', url: '/department/export/csv' },
+    { name: 'exportAsync', impl: 'exportAsyncImpl', url: '/department/export/{format}/async' },
+    { name: 'importXml', impl: 'importImpl', url: '/department/import/xml' },
+    { name: 'importJson', impl: 'importImpl', url: '/department/import/json' },
+    { name: 'importExcel', impl: 'importImpl', url: '/department/import/excel' },
+    { name: 'importCsv', impl: 'importImpl', url: '/department/import/csv' },
   ];
 
   /**
@@ -169,8 +217,8 @@ class DepartmentApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Page<Department>|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`Page`对象，包含符合条
    *     件的`Department`对象的分页数据；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -180,6 +228,140 @@ class DepartmentApi {
     return listImpl(this, '/department', pageRequest, criteria, sortRequest, showLoading);
   }
 
+  /**
+   * 逐页遍历符合条件的`Department`对象。
+   *
+   * 此函数返回一个异步迭代器，它按需逐页获取数据，依次产生每一个符合条件的对象；调用者可
+   * 以使用`for await`语句遍历，并可随时使用`break`提前结束遍历。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `internalCode: string` 内部编码中应包含的字符串；
+   *  - `name: string` 名称中应包含的字符串；
+   *  - `categoryId: string|number|bigint` 所属类别的ID；
+   *  - `categoryCode: string` 所属类别的编码；
+   *  - `categoryName: string` 所属类别的名称包含的字符串；
+   *  - `parentId: string|number|bigint` 所属父部门的ID；
+   *  - `parentCode: string` 所属父部门的编码；
+   *  - `parentName: string` 所属父部门名称中应包含的字符串；
+   *  - `organizationId: string|number|bigint` 所属机构的ID；
+   *  - `organizationCode: string` 所属机构的编码；
+   *  - `organizationName: string` 所属机构名称中应包含的字符串；
+   *  - `countryId: string|number|bigint` 所在国家的ID；
+   *  - `countryCode: string` 所在国家的编码；
+   *  - `countryName: string` 所在国家的名称中应包含的字符串；
+   *  - `provinceId: string|number|bigint` 所在省份的ID；
+   *  - `provinceCode: string` 所在省份的编码；
+   *  - `provinceName: string` 所在省份的名称中应包含的字符串；
+   *  - `cityId: string|number|bigint` 所在城市的ID；
+   *  - `cityCode: string` 所在城市的编码；
+   *  - `cityName: string` 所在城市的名称中应包含的字符串；
+   *  - `districtId: string|number|bigint` 所在区县的ID；
+   *  - `districtCode: string` 所在区县的编码；
+   *  - `districtName: string` 所在区县的名称中应包含的字符串；
+   *  - `streetId: string|number|bigint` 所在街道的ID；
+   *  - `streetCode: string` 所在街道的编码；
+   *  - `streetName: string` 所在街道的名称中应包含的字符串；
+   *  - `postalcode: string` 邮政编码；
+   *  - `phone: string` 座机号码；
+   *  - `mobile: string` 手机号码；
+   *  - `email: string` 电子邮件地址中应包含的字符串；
+   *  - `state: State|string` 状态；
+   *  - `test: boolean` 是否是测试数据；
+   *  - `predefined: boolean` 是否是预定义数据；
+   *  - `deleted: boolean` 是否已经被标记删除；
+   *  - `createTimeStart: string`创建时间范围的（闭区间）起始值；
+   *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
+   *  - `modifyTimeStart: string` 修改时间范围的（闭区间）起始值；
+   *  - `modifyTimeEnd: string` 修改时间范围的（闭区间）结束值；
+   *  - `deleteTimeStart: string` 标记删除时间范围的（闭区间）起始值；
+   *  - `deleteTimeEnd: string` 标记删除时间范围的（闭区间）结束值；
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。允许的条件包括：
+   *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
+   *  - `sortOrder: SortOrder` 指定是正序还是倒序。
+   * @param {object} options
+   *     遍历选项，包含以下属性：
+   *  - `pageSize: number` 每次请求的分页大小，默认值为`100`；
+   *  - `maxItems: number` 最多产生的对象数目，默认不限制；
+   *  - `showLoading: boolean` 每次请求时是否显示加载提示，默认值为`true`；
+   *  - `signal: AbortSignal` 用于取消遍历的信号，默认值为`undefined`。
+   * @return {AsyncGenerator<Department>}
+   *     一个异步迭代器，依次产生符合条件的`Department`对象。若某一页的请求失败，则迭代器抛出
+   *     该请求的`ErrorInfo`对象。
+   */
+  @Log
+  iterate(criteria = {}, sortRequest = {}, options = {}) {
+    return iterateImpl(this, '/department', criteria, sortRequest, options);
+  }
+
+  /**
+   * 获取全部符合条件的`Department`对象。
+   *
+   * 此函数逐页获取全部符合条件的对象，并将它们收集到一个数组中。若符合条件的对象数目很
+   * 多，应考虑使用`iterate()`函数逐个处理。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `internalCode: string` 内部编码中应包含的字符串；
+   *  - `name: string` 名称中应包含的字符串；
+   *  - `categoryId: string|number|bigint` 所属类别的ID；
+   *  - `categoryCode: string` 所属类别的编码；
+   *  - `categoryName: string` 所属类别的名称包含的字符串；
+   *  - `parentId: string|number|bigint` 所属父部门的ID；
+   *  - `parentCode: string` 所属父部门的编码；
+   *  - `parentName: string` 所属父部门名称中应包含的字符串；
+   *  - `organizationId: string|number|bigint` 所属机构的ID；
+   *  - `organizationCode: string` 所属机构的编码；
+   *  - `organizationName: string` 所属机构名称中应包含的字符串；
+   *  - `countryId: string|number|bigint` 所在国家的ID；
+   *  - `countryCode: string` 所在国家的编码；
+   *  - `countryName: string` 所在国家的名称中应包含的字符串；
+   *  - `provinceId: string|number|bigint` 所在省份的ID；
+   *  - `provinceCode: string` 所在省份的编码；
+   *  - `provinceName: string` 所在省份的名称中应包含的字符串；
+   *  - `cityId: string|number|bigint` 所在城市的ID；
+   *  - `cityCode: string` 所在城市的编码；
+   *  - `cityName: string` 所在城市的名称中应包含的字符串；
+   *  - `districtId: string|number|bigint` 所在区县的ID；
+   *  - `districtCode: string` 所在区县的编码；
+   *  - `districtName: string` 所在区县的名称中应包含的字符串；
+   *  - `streetId: string|number|bigint` 所在街道的ID；
+   *  - `streetCode: string` 所在街道的编码；
+   *  - `streetName: string` 所在街道的名称中应包含的字符串；
+   *  - `postalcode: string` 邮政编码；
+   *  - `phone: string` 座机号码；
+   *  - `mobile: string` 手机号码；
+   *  - `email: string` 电子邮件地址中应包含的字符串；
+   *  - `state: State|string` 状态；
+   *  - `test: boolean` 是否是测试数据；
+   *  - `predefined: boolean` 是否是预定义数据；
+   *  - `deleted: boolean` 是否已经被标记删除；
+   *  - `createTimeStart: string`创建时间范围的（闭区间）起始值；
+   *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
+   *  - `modifyTimeStart: string` 修改时间范围的（闭区间）起始值；
+   *  - `modifyTimeEnd: string` 修改时间范围的（闭区间）结束值；
+   *  - `deleteTimeStart: string` 标记删除时间范围的（闭区间）起始值；
+   *  - `deleteTimeEnd: string` 标记删除时间范围的（闭区间）结束值；
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。允许的条件包括：
+   *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
+   *  - `sortOrder: SortOrder` 指定是正序还是倒序。
+   * @param {object} options
+   *     遍历选项，包含以下属性：
+   *  - `pageSize: number` 每次请求的分页大小，默认值为`100`；
+   *  - `maxItems: number` 最多产生的对象数目，默认不限制；
+   *  - `showLoading: boolean` 每次请求时是否显示加载提示，默认值为`true`；
+   *  - `signal: AbortSignal` 用于取消遍历的信号，默认值为`undefined`。
+   * @return {Promise<Array<Department>|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回包含全部符合条件的
+   *     `Department`对象的数组；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  listAll(criteria = {}, sortRequest = {}, options = {}) {
+    return listAllImpl(this, '/department', criteria, sortRequest, options);
+  }
+
   /**
    * 列出符合条件的`Department`对象的基本信息。
    *
@@ -231,8 +413,8 @@ class DepartmentApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Page<StatefulInfo>|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`Page`对象，包含符合条
    *     件的`Department`对象的基本信息的分页数据；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -247,8 +429,8 @@ class DepartmentApi {
    *
    * @param {string|number|bigint} id
    *     `Department`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Department|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`Department`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -263,8 +445,8 @@ class DepartmentApi {
    *
    * @param {string} code
    *     `Department`对象的代码。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Department|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`Department`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -279,8 +461,8 @@ class DepartmentApi {
    *
    * @param {string|number|bigint} id
    *     `Department`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<StatefulInfo|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`StatefulInfo`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -295,8 +477,8 @@ class DepartmentApi {
    *
    * @param {string} code
    *     `Department`对象的代码。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<StatefulInfo|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`StatefulInfo`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -311,8 +493,8 @@ class DepartmentApi {
    *
    * @param {string|number|bigint} id
    *     `Department`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<InfoWithEntity|null|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`Department`对象
    *     所属分类的基本信息，或`null`若该对象没有所属分类；若操作失败，则解析失败并返回一个
@@ -328,8 +510,8 @@ class DepartmentApi {
    *
    * @param {string} code
    *     `Department`对象的代码。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<InfoWithEntity|null|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`Department`对象所属分类的
    *     基本信息，或`null`若该对象没有所属分类；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -344,8 +526,8 @@ class DepartmentApi {
    *
    * @param {Department|object} entity
    *     要添加的`Department`对象。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Department|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回新增的`Department`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -360,8 +542,8 @@ class DepartmentApi {
    *
    * @param {Department|object} entity
    *     要更新的`Department`对象的数据，根据其ID确定要更新的对象。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Department|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新后的`Department`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -376,8 +558,8 @@ class DepartmentApi {
    *
    * @param {Department} entity
    *     要更新的`Department`对象的数据，根据其代码确定要更新的对象。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Department|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新后的`Department`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -394,8 +576,8 @@ class DepartmentApi {
    *     `Department`对象的ID。
    * @param {State|string} state
    *     要更新的`Department`对象的状态，必须是`State`枚举类型或表示其值的字符串。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据更新的UTC时间戳，
    *     以ISO-8601格式表示为字符串；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -412,8 +594,8 @@ class DepartmentApi {
    *     要更新的`Department`对象的代码。
    * @param {State|string} state
    *     要更新的`Department`对象的状态，必须是`State`枚举类型或表示其值的字符串。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据更新的UTC时间戳，
    *     以ISO-8601格式表示为字符串；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -428,8 +610,8 @@ class DepartmentApi {
    *
    * @param {string} id
    *     要标记删除的`Department`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据被标记删除的UTC时间戳，
    *     以ISO-8601格式表示为字符串；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -444,8 +626,8 @@ class DepartmentApi {
    *
    * @param {string} code
    *     要标记删除的`Department`对象的代码。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据被标记删除的UTC时间戳，
    *     以ISO-8601格式表示为字符串；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -460,8 +642,8 @@ class DepartmentApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量删除的`Department`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回被标记删除的记录数；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -476,8 +658,8 @@ class DepartmentApi {
    *
    * @param {string} id
    *     要恢复的`Department`对象的ID，该对象必须已经被标记删除。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -492,8 +674,8 @@ class DepartmentApi {
    *
    * @param {string} code
    *     要恢复的`Department`对象的代码，该对象必须已经被标记删除。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -508,8 +690,8 @@ class DepartmentApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量恢复的已被标记删除的`Department`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回实际恢复的实体的数目；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -524,8 +706,8 @@ class DepartmentApi {
    *
    * @param {string} id
    *     要清除的`Department`对象的ID，该对象必须已经被标记删除。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -540,8 +722,8 @@ class DepartmentApi {
    *
    * @param {string} code
    *     要清除的`Department`对象的代码，该对象必须已经被标记删除。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -554,8 +736,8 @@ class DepartmentApi {
   /**
    * 彻底清除全部已被标记删除的`Department`对象。
    *
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -570,8 +752,8 @@ class DepartmentApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量彻底清除的已被标记删除的`Department`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回实际被彻底清除的实体的数目；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -586,8 +768,8 @@ class DepartmentApi {
    *
    * @param {string|number|bigint} id
    *     要彻底清除的`Department`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -602,8 +784,8 @@ class DepartmentApi {
    *
    * @param {string} code
    *     要彻底清除的`Department`对象的代码。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -618,8 +800,8 @@ class DepartmentApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量彻底清除的`Department`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回实际删除的实体的数目；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -678,14 +860,13 @@ class DepartmentApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载文件。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
-   * @return {Promise<string|null|ErrorInfo>}
-   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功，如果`autoDownload`设置为`true`，
-   *     浏览器会自动下载导出的文件，并返回`null`，否则返回导出的文件的 Blob URL（注意：
-   *     这个Blob URL稍后需要通过`window.URL.revokeObjectURL(url)`释放）；若操作失败，
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象，如果`autoDownload`设置为`true`，浏览器还会自动保存导出的文件；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
@@ -742,14 +923,13 @@ class DepartmentApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载文件。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
-   * @return {Promise<string|null|ErrorInfo>}
-   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功，如果`autoDownload`设置为`true`，
-   *     浏览器会自动下载导出的文件，并返回`null`，否则返回导出的文件的 Blob URL（注意：
-   *     这个Blob URL稍后需要通过`window.URL.revokeObjectURL(url)`释放）；若操作失败，
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象，如果`autoDownload`设置为`true`，浏览器还会自动保存导出的文件；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
@@ -806,14 +986,13 @@ class DepartmentApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载文件。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
-   * @return {Promise<string|null|ErrorInfo>}
-   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功，如果`autoDownload`设置为`true`，
-   *     浏览器会自动下载导出的文件，并返回`null`，否则返回导出的文件的 Blob URL（注意：
-   *     这个Blob URL稍后需要通过`window.URL.revokeObjectURL(url)`释放）；若操作失败，
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象，如果`autoDownload`设置为`true`，浏览器还会自动保存导出的文件；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
@@ -870,14 +1049,13 @@ class DepartmentApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载文件。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
-   * @return {Promise<string|null|ErrorInfo>}
-   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功，如果`autoDownload`设置为`true`，
-   *     浏览器会自动下载导出的文件，并返回`null`，否则返回导出的文件的 Blob URL（注意：
-   *     这个Blob URL稍后需要通过`window.URL.revokeObjectURL(url)`释放）；若操作失败，
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象，如果`autoDownload`设置为`true`，浏览器还会自动保存导出的文件；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
@@ -885,18 +1063,90 @@ class DepartmentApi {
     return exportImpl(this, '/department/export/csv', 'CSV', criteria, sortRequest, autoDownload, showLoading);
   }
 
+  /**
+   * 以服务器端异步任务的方式导出符合条件的`Department`对象为指定格式的文件。
+   *
+   * 此方法适用于导出大量数据的情形：首先提交一个导出任务，然后定时查询该任务的状态，
+   * 任务完成后再下载导出的文件，详见`exportAsyncImpl()`的说明。
+   *
+   * @param {string} format
+   *     导出的文件的格式，可以是`'XML'`、`'JSON'`、`'Excel'`或`'CSV'`，不区分大小写。
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `internalCode: string` 内部编码中应包含的字符串；
+   *  - `name: string` 名称中应包含的字符串；
+   *  - `categoryId: string|number|bigint` 所属类别的ID；
+   *  - `categoryCode: string` 所属类别的编码；
+   *  - `categoryName: string` 所属类别的名称包含的字符串；
+   *  - `parentId: string|number|bigint` 所属父部门的ID；
+   *  - `parentCode: string` 所属父部门的编码；
+   *  - `parentName: string` 所属父部门名称中应包含的字符串；
+   *  - `organizationId: string|number|bigint` 所属机构的ID；
+   *  - `organizationCode: string` 所属机构的编码；
+   *  - `organizationName: string` 所属机构名称中应包含的字符串；
+   *  - `countryId: string|number|bigint` 所在国家的ID；
+   *  - `countryCode: string` 所在国家的编码；
+   *  - `countryName: string` 所在国家的名称中应包含的字符串；
+   *  - `provinceId: string|number|bigint` 所在省份的ID；
+   *  - `provinceCode: string` 所在省份的编码；
+   *  - `provinceName: string` 所在省份的名称中应包含的字符串；
+   *  - `cityId: string|number|bigint` 所在城市的ID；
+   *  - `cityCode: string` 所在城市的编码；
+   *  - `cityName: string` 所在城市的名称中应包含的字符串；
+   *  - `districtId: string|number|bigint` 所在区县的ID；
+   *  - `districtCode: string` 所在区县的编码；
+   *  - `districtName: string` 所在区县的名称中应包含的字符串；
+   *  - `streetId: string|number|bigint` 所在街道的ID；
+   *  - `streetCode: string` 所在街道的编码；
+   *  - `streetName: string` 所在街道的名称中应包含的字符串；
+   *  - `postalcode: string` 邮政编码；
+   *  - `phone: string` 座机号码；
+   *  - `mobile: string` 手机号码；
+   *  - `email: string` 电子邮件地址中应包含的字符串；
+   *  - `state: State|string` 状态；
+   *  - `test: boolean` 是否是测试数据；
+   *  - `predefined: boolean` 是否是预定义数据；
+   *  - `deleted: boolean` 是否已经被标记删除；
+   *  - `createTimeStart: string`创建时间范围的（闭区间）起始值；
+   *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
+   *  - `modifyTimeStart: string` 修改时间范围的（闭区间）起始值；
+   *  - `modifyTimeEnd: string` 修改时间范围的（闭区间）结束值；
+   *  - `deleteTimeStart: string` 标记删除时间范围的（闭区间）起始值；
+   *  - `deleteTimeEnd: string` 标记删除时间范围的（闭区间）结束值；
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。允许的条件包括：
+   *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
+   *  - `sortOrder: SortOrder` 指定是正序还是倒序。
+   * @param {object} options
+   *     导出选项，除了`showLoading`、`signal`等请求选项之外，还可以包含以下属性：
+   *  - `autoDownload: boolean` 任务完成后是否自动下载文件，默认值为`true`；
+   *  - `interval: number` 查询任务状态的时间间隔，单位为毫秒，默认值为`1000`；
+   *  - `maxWait: number` 等待任务完成的最长时间，单位为毫秒，默认值为`1800000`，即30分钟；
+   *  - `onProgress: function` 进度回调函数，每次查询到任务的状态后将以
+   *    `{ taskId, status, elapsed }`为参数调用之。
+   * @return {Promise<object|ErrorInfo>}
+   *     此操作的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象；若导出任务失败，则解析失败并返回一个`TaskFailedError`对象；若等待超时，
+   *     则解析失败并返回一个`TaskTimeoutError`对象；若请求失败，则解析失败并返回一个
+   *     `ErrorInfo`对象。
+   */
+  @Log
+  exportAsync(format, criteria = {}, sortRequest = {}, options = {}) {
+    return exportAsyncImpl(this, '/department/export/{format}/async', format, criteria, sortRequest, options);
+  }
+
   /**
    * 从XML文件导入`Department`对象。
    *
    * @param {File} file
    *     XML文件对象。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否并行导入。如果为`true`，则并行导入；否则，单线程导入。默认值为`false`。
    * @param {number} threads
    *     并行导入的线程数。若`parallel`为`false`，此参数无效。若此参数为`null`，
    *     则使用默认线程数。默认线程数由当前系统的CPU核心数决定。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的`Department`对象的数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -911,13 +1161,13 @@ class DepartmentApi {
    *
    * @param {File} file
    *     JSON文件对象。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否并行导入。如果为`true`，则并行导入；否则，单线程导入。默认值为`false`。
    * @param {number} threads
    *     并行导入的线程数。若`parallel`为`false`，此参数无效。若此参数为`null`，
    *     则使用默认线程数。默认线程数由当前系统的CPU核心数决定。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的`Department`对象的数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -932,13 +1182,13 @@ class DepartmentApi {
    *
    * @param {File} file
    *     Excel文件对象。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否并行导入。如果为`true`，则并行导入；否则，单线程导入。默认值为`false`。
    * @param {number} threads
    *     并行导入的线程数。若`parallel`为`false`，此参数无效。若此参数为`null`，
    *     则使用默认线程数。默认线程数由当前系统的CPU核心数决定。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的`Department`对象的数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -953,13 +1203,13 @@ class DepartmentApi {
    *
    * @param {File} file
    *     CSV文件对象。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否并行导入。如果为`true`，则并行导入；否则，单线程导入。默认值为`false`。
    * @param {number} threads
    *     并行导入的线程数。若`parallel`为`false`，此参数无效。若此参数为`null`，
    *     则使用默认线程数。默认线程数由当前系统的CPU核心数决定。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的`Department`对象的数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -13,6 +13,7 @@ import { loading } from '@qubit-ltd/common-ui';
 import { checkArgumentType } from '@qubit-ltd/common-util';
 import { Log, Logger } from '@qubit-ltd/logging';
 import { toJsonOptions } from './impl/options';
+import { handleCancellation, normalizeRequestOptions, toRequestConfig } from './impl/request-options';
 
 const logger = Logger.getLogger('DeviceInitApi');
 
@@ -22,13 +23,24 @@ const logger = Logger.getLogger('DeviceInitApi');
  * @author 胡海星
  */
 class DeviceInitApi {
+  /**
+   * 路由定义，用于生成OpenAPI文档，详见`generateOpenApiDocument()`的说明。
+   *
+   * @type {Array<Object>}
+   */
+  ROUTE_DEFINITIONS = [
+    { name: 'register', method: 'post', url: '/device/register' },
+    { name: 'unregister', method: 'put', url: '/device/unregister' },
+    { name: 'unbound', method: 'put', url: '/device/unbound' },
+  ];
+
   /**
    * 注册指定的设备。
    *
    * @param {Device} device
    *     待注册的设备。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -36,12 +48,14 @@ class DeviceInitApi {
   @Log
   register(device, showLoading = true) {
     checkArgumentType('device', device, Device);
-    checkArgumentType('showLoading', showLoading, Boolean);
+    const requestOptions = normalizeRequestOptions(showLoading);
     const data = toJSON(device, toJsonOptions);
-    if (showLoading) {
+    if (requestOptions.showLoading) {
       loading.show('正在注册设备...');
     }
-    return http.post('/device/register', data).then(() => {
+    const config = toRequestConfig(requestOptions);
+    const promise = http.post('/device/register', data, config);
+    return handleCancellation(promise, requestOptions).then(() => {
       logger.info('Device registered successfully:', device.code);
     });
   }
@@ -51,8 +65,8 @@ class DeviceInitApi {
    *
    * @param {string} code
    *     待注销的设备的代码。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -60,12 +74,14 @@ class DeviceInitApi {
   @Log
   unregister(code, showLoading = true) {
     checkArgumentType('code', code, String);
-    checkArgumentType('showLoading', showLoading, Boolean);
+    const requestOptions = normalizeRequestOptions(showLoading);
     const data = toJSON(code, toJsonOptions);
-    if (showLoading) {
+    if (requestOptions.showLoading) {
       loading.show('正在注销设备...');
     }
-    return http.put('/device/unregister', data).then(() => {
+    const config = toRequestConfig(requestOptions);
+    const promise = http.put('/device/unregister', data, config);
+    return handleCancellation(promise, requestOptions).then(() => {
       logger.info('Device unregistered successfully:', code);
     });
   }
@@ -75,8 +91,8 @@ class DeviceInitApi {
    *
    * @param {string} code
    *     待解绑的设备的代码。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -84,12 +100,14 @@ class DeviceInitApi {
   @Log
   unbound(code, showLoading = true) {
     checkArgumentType('code', code, String);
-    checkArgumentType('showLoading', showLoading, Boolean);
+    const requestOptions = normalizeRequestOptions(showLoading);
     const data = toJSON(code, toJsonOptions);
-    if (showLoading) {
+    if (requestOptions.showLoading) {
       loading.show('正在解绑设备...');
     }
-    return http.put('/device/unbound', data).then(() => {
+    const config = toRequestConfig(requestOptions);
+    const promise = http.put('/device/unbound', data, config);
+    return handleCancellation(promise, requestOptions).then(() => {
       logger.info('Device unbound successfully:', code);
     });
   }
@@ -17,6 +17,7 @@ import {
   State,
 } from '@qubit-ltd/common-model';
 import { HasLogger, Log } from '@qubit-ltd/logging';
+import { TIMESTAMP_PATTERN } from '../utils/check-criteria-constraints';
 import addImpl from './impl/add-impl';
 import {
   batchDeleteImpl,
@@ -24,6 +25,7 @@ import {
   deleteImpl,
 } from './impl/delete-impl';
 import { batchEraseImpl, eraseByKeyImpl, eraseImpl } from './impl/erase-impl';
+import exportAsyncImpl from './impl/export-async-impl';
 import exportImpl from './impl/export-impl';
 import {
   getByKeyImpl,
@@ -32,7 +34,9 @@ import {
   getInfoImpl,
 } from './impl/get-impl';
 import importImpl from './impl/import-impl';
+import { iterateImpl, listAllImpl } from './impl/iterate-impl';
 import { listImpl, listInfoImpl } from './impl/list-impl';
+import { patchImpl } from './impl/patch-impl';
 import {
   batchPurgeImpl,
   purgeAllImpl,
@@ -131,33 +135,82 @@ class DeviceApi {
     // 设备部署地址所在街道的名称中应包含的字符串
     { name: 'streetName', type: String },
     // 设备注册时间范围的（闭区间）起始值
-    { name: 'registerTimeStart', type: String },
+    { name: 'registerTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
     // 设备注册时间范围的（闭区间）结束值
-    { name: 'registerTimeEnd', type: String },
+    { name: 'registerTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
     // 设备最后一次启动时间范围的（闭区间）起始值
-    { name: 'lastStartupTimeStart', type: String },
+    { name: 'lastStartupTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
     // 设备最后一次启动时间范围的（闭区间）结束值
-    { name: 'lastStartupTimeEnd', type: String },
+    { name: 'lastStartupTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
     // 设备最后一次心跳连接时间范围的（闭区间）起始值
-    { name: 'lastHeartbeatTimeStart', type: String },
+    { name: 'lastHeartbeatTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
     // 设备最后一次心跳连接时间范围的（闭区间）结束值
-    { name: 'lastHeartbeatTimeEnd', type: String },
+    { name: 'lastHeartbeatTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
     // 设备状态
     { name: 'state', type: [State, String] },
     // 是否已经被标记删除
     { name: 'deleted', type: Boolean },
     // 创建时间范围的（闭区间）起始值
-    { name: 'createTimeStart', type: String },
+    { name: 'createTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
     // 创建时间范围的（闭区间）结束值
-    { name: 'createTimeEnd', type: String },
+    { name: 'createTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
     // 修改时间范围的（闭区间）起始值
-    { name: 'modifyTimeStart', type: String },
+    { name: 'modifyTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
     // 修改时间范围的（闭区间）结束值
-    { name: 'modifyTimeEnd', type: String },
+    { name: 'modifyTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
     // 标记删除时间范围的（闭区间）起始值
-    { name: 'deleteTimeStart', type: String },
+    { name: 'deleteTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
     // 标记删除时间范围的（闭区间）结束值
-    { name: 'deleteTimeEnd', type: String },
+    { name: 'deleteTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
+  ];
+
+  /**
+   * 路由定义，用于生成OpenAPI文档，详见`generateOpenApiDocument()`的说明。
+   *
+   * @type {Array<Object>}
+   */
+  ROUTE_DEFINITIONS = [
+    { name: 'list', impl: 'listImpl', url: '/device' },
+    { name: 'iterate', impl: 'iterateImpl', url: '/device' },
+    { name: 'listAll', impl: 'listAllImpl', url: '/device' },
+    { name: 'listInfo', impl: 'listInfoImpl', url: '/device/info' },
+    { name: 'get', impl: 'getImpl', url: '/device/{id}' },
+    { name: 'getByCode', impl: 'getByKeyImpl', url: '/device/code/{code}' },
+    { name: 'getInfo', impl: 'getInfoImpl', url: '/device/{id}/info' },
+    { name: 'getInfoByCode', impl: 'getInfoByKeyImpl', url: '/device/code/{code}/info' },
+    { name: 'add', impl: 'addImpl', url: '/device' },
+    { name: 'update', impl: 'updateImpl', url: '/device/{id}' },
+    { name: 'patch', impl: 'patchImpl', url: '/device/{id}/patch' },
+    { name: 'updateByCode', impl: 'updateByKeyImpl', url: '/device/code/{code}' },
+    { name: 'updateHardware', impl: 'updatePropertyImpl', url: '/device/{id}/hardware' },
+    { name: 'updateOperatingSystem', impl: 'updatePropertyImpl', url: '/device/{id}/operating-system' },
+    { name: 'updateSoftwares', impl: 'updatePropertyImpl', url: '/device/{id}/softwares' },
+    { name: 'updateDeployAddress', impl: 'updatePropertyImpl', url: '/device/{id}/deploy-address' },
+    { name: 'updateLocation', impl: 'updatePropertyImpl', url: '/device/{id}/location' },
+    { name: 'updateIpAddress', impl: 'updatePropertyImpl', url: '/device/{id}/ip-address' },
+    { name: 'updateOwner', impl: 'updatePropertyImpl', url: '/device/{id}/owner' },
+    { name: 'updateLastStartupTime', impl: 'updatePropertyImpl', url: '/device/{id}/last-startup-time' },
+    { name: 'updateLastHeartbeatTime', impl: 'updatePropertyImpl', url: '/device/{id}/last-heartbeat-time' },
+    { name: 'updateState', impl: 'updatePropertyImpl', url: '/device/{id}/state' },
+    { name: 'updateStateByCode', impl: 'updatePropertyByKeyImpl', url: '/device/code/{code}/state' },
+    { name: 'delete', impl: 'deleteImpl', url: '/device/{id}' },
+    { name: 'deleteByCode', impl: 'deleteByKeyImpl', url: '/device/code/{code}' },
+    { name: 'batchDelete', impl: 'batchDeleteImpl', url: '/device/batch' },
+    { name: 'restore', impl: 'restoreImpl', url: '/device/{id}' },
+    { name: 'restoreByCode', impl: 'restoreByKeyImpl', url: '/device/code/{code}' },
+    { name: 'batchRestore', impl: 'batchRestoreImpl', url: '/device/batch' },
+    { name: 'purge', impl: 'purgeImpl', url: '/device/{id}/purge' },
+    { name: 'purgeByCode', impl: 'purgeByKeyImpl', url: '/device/code/{code}/purge' },
+    { name: 'purgeAll', impl: 'purgeAllImpl', url: '/device/purge' },
+    { name: 'batchPurge', impl: 'batchPurgeImpl', url: '/device/batch/purge' },
+    { name: 'erase', impl: 'eraseImpl', url: '/device/{id}/erase' },
+    { name: 'eraseByCode', impl: 'eraseByKeyImpl', url: '/device/code/{code}/erase' },
+    { name: 'batchErase', impl: 'batchEraseImpl', url: '/device/batch/erase' },
+    { name: 'exportXml', impl: 'exportImpl', url: '/device/export/xml' },
+    { name: 'exportJson', impl: 'exportImpl', url: '/device/export/json' },
+    { name: 'exportAsync', impl: 'exportAsyncImpl', url: '/device/export/{format}/async' },
+    { name: 'importXml', impl: 'importImpl', url: '/device/import/xml' },
+    { name: 'importJson', impl: 'importImpl', url: '/device/import/json' },
   ];
 
   /**
@@ -211,8 +264,8 @@ class DeviceApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Page<Device>|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`Page`对象，包含符合条
    *     件的`Device`对象的分页数据；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -222,6 +275,140 @@ class DeviceApi {
     return listImpl(this, '/device', pageRequest, criteria, sortRequest, showLoading);
   }
 
+  /**
+   * 逐页遍历符合条件的`Device`对象。
+   *
+   * 此函数返回一个异步迭代器，它按需逐页获取数据，依次产生每一个符合条件的对象；调用者可
+   * 以使用`for await`语句遍历，并可随时使用`break`提前结束遍历。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `appId: string|number|bigint` 所属应用的ID；
+   *  - `appCode: string` 所属应用的编码；
+   *  - `appName: string` 所属应用的名称中应包含的字符串；
+   *  - `name: string` 设备名称中应包含的字符串；
+   *  - `ownerId: string|number|bigint` 所有者ID；
+   *  - `ownerUsername: string` 所有者的用户名；
+   *  - `ownerName: string` 所有者的姓名；
+   *  - `ownerMobile: string` 所有者的手机号码；
+   *  - `ownerCredentialType: string|CredentialType` 所有者的证件类型；
+   *  - `ownerCredentialNumber: string` 所有者的证件号码；
+   *  - `ipAddress: string` 设备IP地址；
+   *  - `countryId: string|number|bigint` 设备部署地址所在国家的ID；
+   *  - `countryCode: string` 设备部署地址所在国家的编码；
+   *  - `countryName: string` 设备部署地址所在国家的名称中应包含的字符串；
+   *  - `provinceId: string|number|bigint` 设备部署地址所在省份的ID；
+   *  - `provinceCode: string` 设备部署地址所在省份的编码；
+   *  - `provinceName: string` 设备部署地址所在省份的名称中应包含的字符串；
+   *  - `cityId: string|number|bigint` 设备部署地址所在城市的ID；
+   *  - `cityCode: string` 设备部署地址所在城市的编码；
+   *  - `cityName: string` 设备部署地址所在城市的名称中应包含的字符串；
+   *  - `districtId: string|number|bigint` 设备部署地址所在区县的ID；
+   *  - `districtCode: string` 设备部署地址所在区县的编码；
+   *  - `districtName: string` 设备部署地址所在区县的名称中应包含的字符串；
+   *  - `streetId: string|number|bigint` 设备部署地址所在街道的ID；
+   *  - `streetCode: string` 设备部署地址所在街道的编码；
+   *  - `streetName: string` 设备部署地址所在街道的名称中应包含的字符串；
+   *  - `registerTimeStart: string`设备注册时间范围的（闭区间）起始值；
+   *  - `registerTimeEnd: string` 设备注册时间范围的（闭区间）结束值；
+   *  - `lastStartupTimeStart: string`设备最后一次启动时间范围的（闭区间）起始值；
+   *  - `lastStartupTimeEnd: string` 设备最后一次启动时间范围的（闭区间）结束值；
+   *  - `lastHeartbeatTimeStart: string` 设备最后一次心跳连接时间范围的（闭区间）起始值；
+   *  - `lastHeartbeatTimeEnd: string` 设备最后一次心跳连接时间范围的（闭区间）结束值；
+   *  - `state: State|string` 设备状态；
+   *  - `deleted: boolean` 是否已经被标记删除；
+   *  - `createTimeStart: string`创建时间范围的（闭区间）起始值；
+   *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
+   *  - `modifyTimeStart: string` 修改时间范围的（闭区间）起始值；
+   *  - `modifyTimeEnd: string` 修改时间范围的（闭区间）结束值；
+   *  - `deleteTimeStart: string` 标记删除时间范围的（闭区间）起始值；
+   *  - `deleteTimeEnd: string` 标记删除时间范围的（闭区间）结束值；
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。允许的条件包括：
+   *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
+   *  - `sortOrder: SortOrder` 指定是正序还是倒序。
+   * @param {object} options
+   *     遍历选项，包含以下属性：
+   *  - `pageSize: number` 每次请求的分页大小，默认值为`100`；
+   *  - `maxItems: number` 最多产生的对象数目，默认不限制；
+   *  - `showLoading: boolean` 每次请求时是否显示加载提示，默认值为`true`；
+   *  - `signal: AbortSignal` 用于取消遍历的信号，默认值为`undefined`。
+   * @return {AsyncGenerator<Device>}
+   *     一个异步迭代器，依次产生符合条件的`Device`对象。若某一页的请求失败，则迭代器抛出
+   *     该请求的`ErrorInfo`对象。
+   */
+  @Log
+  iterate(criteria = {}, sortRequest = {}, options = {}) {
+    return iterateImpl(this, '/device', criteria, sortRequest, options);
+  }
+
+  /**
+   * 获取全部符合条件的`Device`对象。
+   *
+   * 此函数逐页获取全部符合条件的对象，并将它们收集到一个数组中。若符合条件的对象数目很
+   * 多，应考虑使用`iterate()`函数逐个处理。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `appId: string|number|bigint` 所属应用的ID；
+   *  - `appCode: string` 所属应用的编码；
+   *  - `appName: string` 所属应用的名称中应包含的字符串；
+   *  - `name: string` 设备名称中应包含的字符串；
+   *  - `ownerId: string|number|bigint` 所有者ID；
+   *  - `ownerUsername: string` 所有者的用户名；
+   *  - `ownerName: string` 所有者的姓名；
+   *  - `ownerMobile: string` 所有者的手机号码；
+   *  - `ownerCredentialType: string|CredentialType` 所有者的证件类型；
+   *  - `ownerCredentialNumber: string` 所有者的证件号码；
+   *  - `ipAddress: string` 设备IP地址；
+   *  - `countryId: string|number|bigint` 设备部署地址所在国家的ID；
+   *  - `countryCode: string` 设备部署地址所在国家的编码；
+   *  - `countryName: string` 设备部署地址所在国家的名称中应包含的字符串；
+   *  - `provinceId: string|number|bigint` 设备部署地址所在省份的ID；
+   *  - `provinceCode: string` 设备部署地址所在省份的编码；
+   *  - `provinceName: string` 设备部署地址所在省份的名称中应包含的字符串；
+   *  - `cityId: string|number|bigint` 设备部署地址所在城市的ID；
+   *  - `cityCode: string` 设备部署地址所在城市的编码；
+   *  - `cityName: string` 设备部署地址所在城市的名称中应包含的字符串；
+   *  - `districtId: string|number|bigint` 设备部署地址所在区县的ID；
+   *  - `districtCode: string` 设备部署地址所在区县的编码；
+   *  - `districtName: string` 设备部署地址所在区县的名称中应包含的字符串；
+   *  - `streetId: string|number|bigint` 设备部署地址所在街道的ID；
+   *  - `streetCode: string` 设备部署地址所在街道的编码；
+   *  - `streetName: string` 设备部署地址所在街道的名称中应包含的字符串；
+   *  - `registerTimeStart: string`设备注册时间范围的（闭区间）起始值；
+   *  - `registerTimeEnd: string` 设备注册时间范围的（闭区间）结束值；
+   *  - `lastStartupTimeStart: string`设备最后一次启动时间范围的（闭区间）起始值；
+   *  - `lastStartupTimeEnd: string` 设备最后一次启动时间范围的（闭区间）结束值；
+   *  - `lastHeartbeatTimeStart: string` 设备最后一次心跳连接时间范围的（闭区间）起始值；
+   *  - `lastHeartbeatTimeEnd: string` 设备最后一次心跳连接时间范围的（闭区间）结束值；
+   *  - `state: State|string` 设备状态；
+   *  - `deleted: boolean` 是否已经被标记删除；
+   *  - `createTimeStart: string`创建时间范围的（闭区间）起始值；
+   *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
+   *  - `modifyTimeStart: string` 修改时间范围的（闭区间）起始值；
+   *  - `modifyTimeEnd: string` 修改时间范围的（闭区间）结束值；
+   *  - `deleteTimeStart: string` 标记删除时间范围的（闭区间）起始值；
+   *  - `deleteTimeEnd: string` 标记删除时间范围的（闭区间）结束值；
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。允许的条件包括：
+   *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
+   *  - `sortOrder: SortOrder` 指定是正序还是倒序。
+   * @param {object} options
+   *     遍历选项，包含以下属性：
+   *  - `pageSize: number` 每次请求的分页大小，默认值为`100`；
+   *  - `maxItems: number` 最多产生的对象数目，默认不限制；
+   *  - `showLoading: boolean` 每次请求时是否显示加载提示，默认值为`true`；
+   *  - `signal: AbortSignal` 用于取消遍历的信号，默认值为`undefined`。
+   * @return {Promise<Array<Device>|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回包含全部符合条件的
+   *     `Device`对象的数组；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  listAll(criteria = {}, sortRequest = {}, options = {}) {
+    return listAllImpl(this, '/device', criteria, sortRequest, options);
+  }
+
   /**
    * 列出符合条件的`Device`对象的基本信息。
    *
@@ -273,8 +460,8 @@ class DeviceApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Page<DeviceInfo>|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`Page`对象，包含符合条
    *     件的`Device`对象的基本信息的分页数据；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -289,8 +476,8 @@ class DeviceApi {
    *
    * @param {string|number|bigint} id
    *     `Device`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Device|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`Device`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -305,8 +492,8 @@ class DeviceApi {
    *
    * @param {string} code
    *     `Device`对象的代码。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Device|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`Device`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -321,8 +508,8 @@ class DeviceApi {
    *
    * @param {string|number|bigint} id
    *     `Device`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<DeviceInfo|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`DeviceInfo`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -337,8 +524,8 @@ class DeviceApi {
    *
    * @param {string} code
    *     `Device`对象的代码。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<DeviceInfo|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`DeviceInfo`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -353,8 +540,8 @@ class DeviceApi {
    *
    * @param {Device|object} entity
    *     要添加的`Device`对象。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Device|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回新增的`Device`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -369,8 +556,8 @@ class DeviceApi {
    *
    * @param {Device|object} entity
    *     要更新的`Device`对象的数据，根据其ID确定要更新的对象。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Device|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新后的`Device`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -380,13 +567,33 @@ class DeviceApi {
     return updateImpl(this, '/device/{id}', entity, showLoading);
   }
 
+  /**
+   * 根据ID，部分更新一个`Device`对象。
+   *
+   * 此函数只将`modified`相对于`original`发生变化的属性发送给服务器。
+   *
+   * @param {Device|object} original
+   *     原始的`Device`对象，通常是从服务器获取的对象。
+   * @param {Device|object} modified
+   *     修改后的`Device`对象，根据其ID确定要更新的对象。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<Device|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新后的`Device`对象；
+   *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  patch(original, modified, showLoading = true) {
+    return patchImpl(this, '/device/{id}/patch', original, modified, showLoading);
+  }
+
   /**
    * 根据代码，更新一个`Device`对象。
    *
    * @param {Device} entity
    *     要更新的`Device`对象的数据，根据其代码确定要更新的对象。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Device|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新后的`Device`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -403,8 +610,8 @@ class DeviceApi {
    *     待更新的`Device`对象的ID。
    * @param {Hardware|object} hardware
    *     待更新的`Device`对象的硬件信息。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新的时间戳；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -421,8 +628,8 @@ class DeviceApi {
    *     待更新的`Device`对象的ID。
    * @param {Software|object} operatingSystem
    *     待更新的`Device`对象的操作系统信息。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新的时间戳；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -439,8 +646,8 @@ class DeviceApi {
    *     待更新的`Device`对象的ID。
    * @param {Array<Software|object>} softwares
    *     待更新的`Device`对象的软件信息。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新的时间戳；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -457,8 +664,8 @@ class DeviceApi {
    *     待更新的`Device`对象的ID。
    * @param {Address|object} deployAddress
    *     待更新的`Device`对象的部署地址。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新的时间戳；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -475,8 +682,8 @@ class DeviceApi {
    *     待更新的`Device`对象的ID。
    * @param {Location|object} location
    *     待更新的`Device`对象的地理位置坐标。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新的时间戳；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -493,8 +700,8 @@ class DeviceApi {
    *     待更新的`Device`对象的ID。
    * @param {string} ipAddress
    *     待更新的`Device`对象的IP地址。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新的时间戳；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -511,8 +718,8 @@ class DeviceApi {
    *     待更新的`Device`对象的ID。
    * @param {PersonInfo|object} owner
    *     待更新的`Device`对象的所有者。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新的时间戳；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -530,8 +737,8 @@ class DeviceApi {
    * @param {string} lastStartupTime
    *     待更新的`Device`对象的最后一次启动时间。该参数值为UTC时间戳，以ISO-8601时间戳的形
    *     式表示为字符串，其格式为`"uuuu-MM-dd[[' ']['T']HH:mm[':'ss[.SSS]]][' ']['Z'][Z][z]"`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新的时间戳；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -549,8 +756,8 @@ class DeviceApi {
    * @param {string} lastHeartbeatTime
    *     待更新的`Device`对象的最后一次心跳时间。该参数值为UTC时间戳，以ISO-8601时间戳的形
    *     式表示为字符串，其格式为`"uuuu-MM-dd[[' ']['T']HH:mm[':'ss[.SSS]]][' ']['Z'][Z][z]"`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新的时间戳；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -567,8 +774,8 @@ class DeviceApi {
    *     `Device`对象的ID。
    * @param {State|string} state
    *     要更新的`Device`对象的状态，必须是`State`枚举类型或表示其值的字符串。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据更新的UTC时间戳，
    *     以ISO-8601格式表示为字符串；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -585,8 +792,8 @@ class DeviceApi {
    *     要更新的`Device`对象的代码。
    * @param {State|string} state
    *     要更新的`Device`对象的状态，必须是`State`枚举类型或表示其值的字符串。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据更新的UTC时间戳，
    *     以ISO-8601格式表示为字符串；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -601,8 +808,8 @@ class DeviceApi {
    *
    * @param {string|number|bigint} id
    *     要标记删除的`Device`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据被标记删除的UTC时间戳，
    *     以ISO-8601格式表示为字符串；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -617,8 +824,8 @@ class DeviceApi {
    *
    * @param {string} code
    *     要标记删除的`Device`对象的代码。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据被标记删除的UTC时间戳，
    *     以ISO-8601格式表示为字符串；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -633,8 +840,8 @@ class DeviceApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量删除的`Device`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回被标记删除的记录数；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -649,8 +856,8 @@ class DeviceApi {
    *
    * @param {string|number|bigint} id
    *     要恢复的`Device`对象的ID，该对象必须已经被标记删除。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -665,8 +872,8 @@ class DeviceApi {
    *
    * @param {string} code
    *     要恢复的`Device`对象的代码，该对象必须已经被标记删除。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -681,8 +888,8 @@ class DeviceApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量恢复的已被标记删除的`Device`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回实际恢复的实体的数目；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -697,8 +904,8 @@ class DeviceApi {
    *
    * @param {string|number|bigint} id
    *     要清除的`Device`对象的ID，该对象必须已经被标记删除。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -713,8 +920,8 @@ class DeviceApi {
    *
    * @param {string} code
    *     要清除的`Device`对象的代码，该对象必须已经被标记删除。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -727,8 +934,8 @@ class DeviceApi {
   /**
    * 彻底清除全部已被标记删除的`Device`对象。
    *
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -743,8 +950,8 @@ class DeviceApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量彻底清除的已被标记删除的`Device`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回实际被彻底清除的实体的数目；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -759,8 +966,8 @@ class DeviceApi {
    *
    * @param {string|number|bigint} id
    *     要彻底清除的`Device`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -775,8 +982,8 @@ class DeviceApi {
    *
    * @param {string} code
    *     要彻底清除的`Device`对象的代码。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -791,8 +998,8 @@ class DeviceApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量彻底清除的`Device`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回实际删除的实体的数目；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -851,14 +1058,13 @@ class DeviceApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载文件。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
-   * @return {Promise<string|null|ErrorInfo>}
-   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功，如果`autoDownload`设置为`true`，
-   *     浏览器会自动下载导出的文件，并返回`null`，否则返回导出的文件的 Blob URL（注意：
-   *     这个Blob URL稍后需要通过`window.URL.revokeObjectURL(url)`释放）；若操作失败，
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象，如果`autoDownload`设置为`true`，浏览器还会自动保存导出的文件；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
@@ -915,14 +1121,13 @@ class DeviceApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载文件。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
-   * @return {Promise<string|null|ErrorInfo>}
-   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功，如果`autoDownload`设置为`true`，
-   *     浏览器会自动下载导出的文件，并返回`null`，否则返回导出的文件的 Blob URL（注意：
-   *     这个Blob URL稍后需要通过`window.URL.revokeObjectURL(url)`释放）；若操作失败，
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象，如果`autoDownload`设置为`true`，浏览器还会自动保存导出的文件；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
@@ -930,18 +1135,90 @@ class DeviceApi {
     return exportImpl(this, '/device/export/json', 'JSON', criteria, sortRequest, autoDownload, showLoading);
   }
 
+  /**
+   * 以服务器端异步任务的方式导出符合条件的`Device`对象为指定格式的文件。
+   *
+   * 此方法适用于导出大量数据的情形：首先提交一个导出任务，然后定时查询该任务的状态，
+   * 任务完成后再下载导出的文件，详见`exportAsyncImpl()`的说明。
+   *
+   * @param {string} format
+   *     导出的文件的格式，可以是`'XML'`或`'JSON'`，不区分大小写。
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `appId: string|number|bigint` 所属应用的ID；
+   *  - `appCode: string` 所属应用的编码；
+   *  - `appName: string` 所属应用的名称中应包含的字符串；
+   *  - `name: string` 设备名称中应包含的字符串；
+   *  - `ownerId: string|number|bigint` 所有者ID；
+   *  - `ownerUsername: string` 所有者的用户名；
+   *  - `ownerName: string` 所有者的姓名；
+   *  - `ownerMobile: string` 所有者的手机号码；
+   *  - `ownerCredentialType: string|CredentialType` 所有者的证件类型；
+   *  - `ownerCredentialNumber: string` 所有者的证件号码；
+   *  - `ipAddress: string` 设备IP地址；
+   *  - `countryId: string|number|bigint` 设备部署地址所在国家的ID；
+   *  - `countryCode: string` 设备部署地址所在国家的编码；
+   *  - `countryName: string` 设备部署地址所在国家的名称中应包含的字符串；
+   *  - `provinceId: string|number|bigint` 设备部署地址所在省份的ID；
+   *  - `provinceCode: string` 设备部署地址所在省份的编码；
+   *  - `provinceName: string` 设备部署地址所在省份的名称中应包含的字符串；
+   *  - `cityId: string|number|bigint` 设备部署地址所在城市的ID；
+   *  - `cityCode: string` 设备部署地址所在城市的编码；
+   *  - `cityName: string` 设备部署地址所在城市的名称中应包含的字符串；
+   *  - `districtId: string|number|bigint` 设备部署地址所在区县的ID；
+   *  - `districtCode: string` 设备部署地址所在区县的编码；
+   *  - `districtName: string` 设备部署地址所在区县的名称中应包含的字符串；
+   *  - `streetId: string|number|bigint` 设备部署地址所在街道的ID；
+   *  - `streetCode: string` 设备部署地址所在街道的编码；
+   *  - `streetName: string` 设备部署地址所在街道的名称中应包含的字符串；
+   *  - `registerTimeStart: string`设备注册时间范围的（闭区间）起始值；
+   *  - `registerTimeEnd: string` 设备注册时间范围的（闭区间）结束值；
+   *  - `lastStartupTimeStart: string`设备最后一次启动时间范围的（闭区间）起始值；
+   *  - `lastStartupTimeEnd: string` 设备最后一次启动时间范围的（闭区间）结束值；
+   *  - `lastHeartbeatTimeStart: string` 设备最后一次心跳连接时间范围的（闭区间）起始值；
+   *  - `lastHeartbeatTimeEnd: string` 设备最后一次心跳连接时间范围的（闭区间）结束值；
+   *  - `state: State|string` 设备状态；
+   *  - `deleted: boolean` 是否已经被标记删除；
+   *  - `createTimeStart: string`创建时间范围的（闭区间）起始值；
+   *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
+   *  - `modifyTimeStart: string` 修改时间范围的（闭区间）起始值；
+   *  - `modifyTimeEnd: string` 修改时间范围的（闭区间）结束值；
+   *  - `deleteTimeStart: string` 标记删除时间范围的（闭区间）起始值；
+   *  - `deleteTimeEnd: string` 标记删除时间范围的（闭区间）结束值；
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。允许的条件包括：
+   *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
+   *  - `sortOrder: SortOrder` 指定是正序还是倒序。
+   * @param {object} options
+   *     导出选项，除了`showLoading`、`signal`等请求选项之外，还可以包含以下属性：
+   *  - `autoDownload: boolean` 任务完成后是否自动下载文件，默认值为`true`；
+   *  - `interval: number` 查询任务状态的时间间隔，单位为毫秒，默认值为`1000`；
+   *  - `maxWait: number` 等待任务完成的最长时间，单位为毫秒，默认值为`1800000`，即30分钟；
+   *  - `onProgress: function` 进度回调函数，每次查询到任务的状态后将以
+   *    `{ taskId, status, elapsed }`为参数调用之。
+   * @return {Promise<object|ErrorInfo>}
+   *     此操作的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象；若导出任务失败，则解析失败并返回一个`TaskFailedError`对象；若等待超时，
+   *     则解析失败并返回一个`TaskTimeoutError`对象；若请求失败，则解析失败并返回一个
+   *     `ErrorInfo`对象。
+   */
+  @Log
+  exportAsync(format, criteria = {}, sortRequest = {}, options = {}) {
+    return exportAsyncImpl(this, '/device/export/{format}/async', format, criteria, sortRequest, options);
+  }
+
   /**
    * 从XML文件导入`Device`对象。
    *
    * @param {File} file
    *     XML文件对象。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否并行导入。如果为`true`，则并行导入；否则，单线程导入。默认值为`false`。
    * @param {number} threads
    *     并行导入的线程数。若`parallel`为`false`，此参数无效。若此参数为`null`，
    *     则使用默认线程数。默认线程数由当前系统的CPU核心数决定。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的`Device`对象的数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -956,13 +1233,13 @@ class DeviceApi {
    *
    * @param {File} file
    *     JSON文件对象。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否并行导入。如果为`true`，则并行导入；否则，单线程导入。默认值为`false`。
    * @param {number} threads
    *     并行导入的线程数。若`parallel`为`false`，此参数无效。若此参数为`null`，
    *     则使用默认线程数。默认线程数由当前系统的CPU核心数决定。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的`Device`对象的数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -15,6 +15,7 @@ import {
   StatefulInfo,
 } from '@qubit-ltd/common-model';
 import { HasLogger, Log } from '@qubit-ltd/logging';
+import { TIMESTAMP_PATTERN } from '../utils/check-criteria-constraints';
 import addImpl from './impl/add-impl';
 import {
   batchDeleteImpl,
@@ -22,6 +23,7 @@ import {
   deleteImpl,
 } from './impl/delete-impl';
 import { batchEraseImpl, eraseByKeyImpl, eraseImpl } from './impl/erase-impl';
+import exportAsyncImpl from './impl/export-async-impl';
 import exportImpl from './impl/export-impl';
 import {
   getByKeyImpl,
@@ -32,6 +34,7 @@ import {
   getPropertyImpl,
 } from './impl/get-impl';
 import importImpl from './impl/import-impl';
+import { iterateImpl, listAllImpl } from './impl/iterate-impl';
 import { listImpl, listInfoImpl } from './impl/list-impl';
 import {
   batchPurgeImpl,
@@ -72,6 +75,16 @@ class DictApi {
    */
   entityInfoClass = StatefulInfo;
 
+  /**
+   * 响应缓存条目所依赖的其他实体类。
+   *
+   * 字典条目的查询结果依赖于`DictEntry`对象，因此通过`dictEntryApi`修改字典条目时，
+   * 此API的缓存条目也将失效。
+   *
+   * @type {Array<Function>}
+   */
+  cacheDependencies = [DictEntry];
+
   /**
    * 查询条件定义
    *
@@ -90,12 +103,57 @@ class DictApi {
     { name: 'state', type: [State, String] },
     { name: 'predefined', type: Boolean },
     { name: 'deleted', type: Boolean },
-    { name: 'createTimeStart', type: String },
-    { name: 'createTimeEnd', type: String },
-    { name: 'modifyTimeStart', type: String },
-    { name: 'modifyTimeEnd', type: String },
-    { name: 'deleteTimeStart', type: String },
-    { name: 'deleteTimeEnd', type: String },
+    { name: 'createTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
+    { name: 'createTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
+    { name: 'modifyTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
+    { name: 'modifyTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
+    { name: 'deleteTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
+    { name: 'deleteTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
+  ];
+
+  /**
+   * 路由定义，用于生成OpenAPI文档，详见`generateOpenApiDocument()`的说明。
+   *
+   * @type {Array<Object>}
+   */
+  ROUTE_DEFINITIONS = [
+    { name: 'list', impl: 'listImpl', url: '/dict' },
+    { name: 'iterate', impl: 'iterateImpl', url: '/dict' },
+    { name: 'listAll', impl: 'listAllImpl', url: '/dict' },
+    { name: 'listInfo', impl: 'listInfoImpl', url: '/dict/info' },
+    { name: 'get', impl: 'getImpl', url: '/dict/{id}' },
+    { name: 'getByCode', impl: 'getByKeyImpl', url: '/dict/code/{code}' },
+    { name: 'getInfo', impl: 'getInfoImpl', url: '/dict/{id}/info' },
+    { name: 'getInfoByCode', impl: 'getInfoByKeyImpl', url: '/dict/code/{code}/info' },
+    { name: 'getCategory', impl: 'getPropertyImpl', url: '/dict/{id}/category' },
+    { name: 'getCategoryByCode', impl: 'getPropertyByKeyImpl', url: '/dict/code/{code}/category' },
+    { name: 'getEntries', impl: 'getPropertyImpl', url: '/dict/{id}/entry' },
+    { name: 'getEntriesByCode', impl: 'getPropertyByKeyImpl', url: '/dict/code/{code}/entry' },
+    { name: 'getEntryInfos', impl: 'getPropertyImpl', url: '/dict/{id}/entry/info' },
+    { name: 'getEntryInfosByCode', impl: 'getPropertyByKeyImpl', url: '/dict/code/{code}/entry/info' },
+    { name: 'add', impl: 'addImpl', url: '/dict' },
+    { name: 'update', impl: 'updateImpl', url: '/dict/{id}' },
+    { name: 'updateByCode', impl: 'updateByKeyImpl', url: '/dict/code/{code}' },
+    { name: 'updateState', impl: 'updatePropertyImpl', url: '/dict/{id}/state' },
+    { name: 'updateStateByCode', impl: 'updatePropertyByKeyImpl', url: '/dict/code/{code}/state' },
+    { name: 'delete', impl: 'deleteImpl', url: '/dict/{id}' },
+    { name: 'deleteByCode', impl: 'deleteByKeyImpl', url: '/dict/code/{code}' },
+    { name: 'batchDelete', impl: 'batchDeleteImpl', url: '/dict/batch' },
+    { name: 'restore', impl: 'restoreImpl', url: '/dict/{id}' },
+    { name: 'restoreByCode', impl: 'restoreByKeyImpl', url: '/dict/code/{code}' },
+    { name: 'batchRestore', impl: 'batchRestoreImpl', url: '/dict/batch' },
+    { name: 'purge', impl: 'purgeImpl', url: '/dict/{id}/purge' },
+    { name: 'purgeByCode', impl: 'purgeByKeyImpl', url: '/dict/code/{code}/purge' },
+    { name: 'purgeAll', impl: 'purgeAllImpl', url: '/dict/purge' },
+    { name: 'batchPurge', impl: 'batchPurgeImpl', url: '/dict/batch/purge' },
+    { name: 'erase', impl: 'eraseImpl', url: '/dict/{id}/erase' },
+    { name: 'eraseByCode', impl: 'eraseByKeyImpl', url: '/dict/code/{code}/erase' },
+    { name: 'batchErase', impl: 'batchEraseImpl', url: '/dict/batch/erase' },
+    { name: 'exportXml', impl: 'exportImpl', url: '/dict/export/xml' },
+    { name: 'exportJson', impl: 'exportImpl', url: '/dict/export/json' },
+    { name: 'exportAsync', impl: 'exportAsyncImpl', url: '/dict/export/{format}/async' },
+    { name: 'importXml', impl: 'importImpl', url: '/dict/import/xml' },
+    { name: 'importJson', impl: 'importImpl', url: '/dict/import/json' },
   ];
 
   /**
@@ -127,8 +185,8 @@ class DictApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Page<Dict>|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`Page`对象，包含符合条
    *     件的`Dict`对象的分页数据；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -138,6 +196,96 @@ class DictApi {
     return listImpl(this, '/dict', pageRequest, criteria, sortRequest, showLoading);
   }
 
+  /**
+   * 逐页遍历符合条件的`Dict`对象。
+   *
+   * 此函数返回一个异步迭代器，它按需逐页获取数据，依次产生每一个符合条件的对象；调用者可
+   * 以使用`for await`语句遍历，并可随时使用`break`提前结束遍历。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `name: string` 名称中应包含的字符串；
+   *  - `standardDoc: string` 所遵循的标准规范名称中应包含的字符串；
+   *  - `standardCode: string` 在所遵循的标准规范中的编码；
+   *  - `appId: string|number|bigint` 所属应用的ID；
+   *  - `appCode: string` 所属应用的编码；
+   *  - `appName: string` 所属应用的名称包含的字符串；
+   *  - `categoryId: string|number|bigint` 所属类别的ID；
+   *  - `categoryCode: string` 所属类别的编码；
+   *  - `categoryName: string` 所属类别的名称包含的字符串；
+   *  - `state: State|string` 状态；
+   *  - `predefined: boolean` 是否是预定义数据；
+   *  - `deleted: boolean` 是否已经被标记删除；
+   *  - `createTimeStart: string`创建时间范围的（闭区间）起始值；
+   *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
+   *  - `modifyTimeStart: string` 修改时间范围的（闭区间）起始值；
+   *  - `modifyTimeEnd: string` 修改时间范围的（闭区间）结束值；
+   *  - `deleteTimeStart: string` 标记删除时间范围的（闭区间）起始值；
+   *  - `deleteTimeEnd: string` 标记删除时间范围的（闭区间）结束值；
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。允许的条件包括：
+   *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
+   *  - `sortOrder: SortOrder` 指定是正序还是倒序。
+   * @param {object} options
+   *     遍历选项，包含以下属性：
+   *  - `pageSize: number` 每次请求的分页大小，默认值为`100`；
+   *  - `maxItems: number` 最多产生的对象数目，默认不限制；
+   *  - `showLoading: boolean` 每次请求时是否显示加载提示，默认值为`true`；
+   *  - `signal: AbortSignal` 用于取消遍历的信号，默认值为`undefined`。
+   * @return {AsyncGenerator<Dict>}
+   *     一个异步迭代器，依次产生符合条件的`Dict`对象。若某一页的请求失败，则迭代器抛出
+   *     该请求的`ErrorInfo`对象。
+   */
+  @Log
+  iterate(criteria = {}, sortRequest = {}, options = {}) {
+    return iterateImpl(this, '/dict', criteria, sortRequest, options);
+  }
+
+  /**
+   * 获取全部符合条件的`Dict`对象。
+   *
+   * 此函数逐页获取全部符合条件的对象，并将它们收集到一个数组中。若符合条件的对象数目很
+   * 多，应考虑使用`iterate()`函数逐个处理。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `name: string` 名称中应包含的字符串；
+   *  - `standardDoc: string` 所遵循的标准规范名称中应包含的字符串；
+   *  - `standardCode: string` 在所遵循的标准规范中的编码；
+   *  - `appId: string|number|bigint` 所属应用的ID；
+   *  - `appCode: string` 所属应用的编码；
+   *  - `appName: string` 所属应用的名称包含的字符串；
+   *  - `categoryId: string|number|bigint` 所属类别的ID；
+   *  - `categoryCode: string` 所属类别的编码；
+   *  - `categoryName: string` 所属类别的名称包含的字符串；
+   *  - `state: State|string` 状态；
+   *  - `predefined: boolean` 是否是预定义数据；
+   *  - `deleted: boolean` 是否已经被标记删除；
+   *  - `createTimeStart: string`创建时间范围的（闭区间）起始值；
+   *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
+   *  - `modifyTimeStart: string` 修改时间范围的（闭区间）起始值；
+   *  - `modifyTimeEnd: string` 修改时间范围的（闭区间）结束值；
+   *  - `deleteTimeStart: string` 标记删除时间范围的（闭区间）起始值；
+   *  - `deleteTimeEnd: string` 标记删除时间范围的（闭区间）结束值；
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。允许的条件包括：
+   *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
+   *  - `sortOrder: SortOrder` 指定是正序还是倒序。
+   * @param {object} options
+   *     遍历选项，包含以下属性：
+   *  - `pageSize: number` 每次请求的分页大小，默认值为`100`；
+   *  - `maxItems: number` 最多产生的对象数目，默认不限制；
+   *  - `showLoading: boolean` 每次请求时是否显示加载提示，默认值为`true`；
+   *  - `signal: AbortSignal` 用于取消遍历的信号，默认值为`undefined`。
+   * @return {Promise<Array<Dict>|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回包含全部符合条件的
+   *     `Dict`对象的数组；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  listAll(criteria = {}, sortRequest = {}, options = {}) {
+    return listAllImpl(this, '/dict', criteria, sortRequest, options);
+  }
+
   /**
    * 列出符合条件的`Dict`对象的基本信息。
    *
@@ -167,8 +315,8 @@ class DictApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Page<StatefulInfo>|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`Page`对象，包含符合条
    *     件的`Dict`对象的基本信息的分页数据；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -183,8 +331,8 @@ class DictApi {
    *
    * @param {string|number|bigint} id
    *     `Dict`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Dict|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`Dict`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -199,8 +347,8 @@ class DictApi {
    *
    * @param {string} code
    *     `Dict`对象的代码。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Dict|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`Dict`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -215,8 +363,8 @@ class DictApi {
    *
    * @param {string|number|bigint} id
    *     `Dict`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<StatefulInfo|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`StatefulInfo`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -231,8 +379,8 @@ class DictApi {
    *
    * @param {string} code
    *     `Dict`对象的代码。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<StatefulInfo|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`StatefulInfo`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -247,8 +395,8 @@ class DictApi {
    *
    * @param {string|number|bigint} id
    *     `Dict`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<InfoWithEntity|null|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`Dict`对象
    *     所属分类的基本信息，或`null`若该对象没有所属分类；若操作失败，则解析失败并返回一个
@@ -264,8 +412,8 @@ class DictApi {
    *
    * @param {string} code
    *     `Dict`对象的代码。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<InfoWithEntity|null|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`Dict`对象所属分类的
    *     基本信息，或`null`若该对象没有所属分类；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -280,8 +428,8 @@ class DictApi {
    *
    * @param {string|number|bigint} id
    *     `Dict`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Array<DictEntry>|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`Dict`对象
    *     的所有词条的列表；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -296,8 +444,8 @@ class DictApi {
    *
    * @param {string} code
    *     `Dict`对象的代码。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Array<DictEntry>|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`Dict`对象
    *     的所有词条的列表；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -312,8 +460,8 @@ class DictApi {
    *
    * @param {string|number|bigint} id
    *     `Dict`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Array<DictEntryInfo>|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`Dict`对象
    *     的所有词条的基本信息列表；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -328,8 +476,8 @@ class DictApi {
    *
    * @param {string} code
    *     `Dict`对象的代码。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Array<DictEntryInfo>|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`Dict`对象
    *     的所有词条的基本信息列表；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -344,8 +492,8 @@ class DictApi {
    *
    * @param {Dict|object} entity
    *     要添加的`Dict`对象。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Dict|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回新增的`Dict`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -360,8 +508,8 @@ class DictApi {
    *
    * @param {Dict|object} entity
    *     要更新的`Dict`对象的数据，根据其ID确定要更新的对象。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Dict|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新后的`Dict`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -376,8 +524,8 @@ class DictApi {
    *
    * @param {Dict} entity
    *     要更新的`Dict`对象的数据，根据其代码确定要更新的对象。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Dict|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新后的`Dict`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -394,8 +542,8 @@ class DictApi {
    *     `Dict`对象的ID。
    * @param {State|string} state
    *     要更新的`Dict`对象的状态，必须是`State`枚举类型或表示其值的字符串。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据更新的UTC时间戳，
    *     以ISO-8601格式表示为字符串；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -412,8 +560,8 @@ class DictApi {
    *     要更新的`Dict`对象的代码。
    * @param {State|string} state
    *     要更新的`Dict`对象的状态，必须是`State`枚举类型或表示其值的字符串。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据更新的UTC时间戳，
    *     以ISO-8601格式表示为字符串；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -428,8 +576,8 @@ class DictApi {
    *
    * @param {string} id
    *     要标记删除的`Dict`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据被标记删除的UTC时间戳，
    *     以ISO-8601格式表示为字符串；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -444,8 +592,8 @@ class DictApi {
    *
    * @param {string} code
    *     要标记删除的`Dict`对象的代码。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据被标记删除的UTC时间戳，
    *     以ISO-8601格式表示为字符串；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -460,8 +608,8 @@ class DictApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量删除的`Dict`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回被标记删除的记录数；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -476,8 +624,8 @@ class DictApi {
    *
    * @param {string} id
    *     要恢复的`Dict`对象的ID，该对象必须已经被标记删除。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -492,8 +640,8 @@ class DictApi {
    *
    * @param {string} code
    *     要恢复的`Dict`对象的代码，该对象必须已经被标记删除。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -508,8 +656,8 @@ class DictApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量恢复的已被标记删除的`Dict`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回实际恢复的实体的数目；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -524,8 +672,8 @@ class DictApi {
    *
    * @param {string} id
    *     要清除的`Dict`对象的ID，该对象必须已经被标记删除。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -540,8 +688,8 @@ class DictApi {
    *
    * @param {string} code
    *     要清除的`Dict`对象的代码，该对象必须已经被标记删除。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -554,8 +702,8 @@ class DictApi {
   /**
    * 彻底清除全部已被标记删除的`Dict`对象。
    *
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -570,8 +718,8 @@ class DictApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量彻底清除的已被标记删除的`Dict`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回实际被彻底清除的实体的数目；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -586,8 +734,8 @@ class DictApi {
    *
    * @param {string|number|bigint} id
    *     要彻底清除的`Dict`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -602,8 +750,8 @@ class DictApi {
    *
    * @param {string} code
    *     要彻底清除的`Dict`对象的代码。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -618,8 +766,8 @@ class DictApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量彻底清除的`Dict`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回实际删除的实体的数目；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -656,14 +804,13 @@ class DictApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载文件。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
-   * @return {Promise<string|null|ErrorInfo>}
-   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功，如果`autoDownload`设置为`true`，
-   *     浏览器会自动下载导出的文件，并返回`null`，否则返回导出的文件的 Blob URL（注意：
-   *     这个Blob URL稍后需要通过`window.URL.revokeObjectURL(url)`释放）；若操作失败，
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象，如果`autoDownload`设置为`true`，浏览器还会自动保存导出的文件；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
@@ -698,14 +845,13 @@ class DictApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载文件。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
-   * @return {Promise<string|null|ErrorInfo>}
-   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功，如果`autoDownload`设置为`true`，
-   *     浏览器会自动下载导出的文件，并返回`null`，否则返回导出的文件的 Blob URL（注意：
-   *     这个Blob URL稍后需要通过`window.URL.revokeObjectURL(url)`释放）；若操作失败，
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象，如果`autoDownload`设置为`true`，浏览器还会自动保存导出的文件；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
@@ -713,18 +859,68 @@ class DictApi {
     return exportImpl(this, '/dict/export/json', 'JSON', criteria, sortRequest, autoDownload, showLoading);
   }
 
+  /**
+   * 以服务器端异步任务的方式导出符合条件的`Dict`对象为指定格式的文件。
+   *
+   * 此方法适用于导出大量数据的情形：首先提交一个导出任务，然后定时查询该任务的状态，
+   * 任务完成后再下载导出的文件，详见`exportAsyncImpl()`的说明。
+   *
+   * @param {string} format
+   *     导出的文件的格式，可以是`'XML'`或`'JSON'`，不区分大小写。
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `name: string` 名称中应包含的字符串；
+   *  - `standardDoc: string` 所遵循的标准规范名称中应包含的字符串；
+   *  - `standardCode: string` 在所遵循的标准规范中的编码；
+   *  - `appId: string|number|bigint` 所属应用的ID；
+   *  - `appCode: string` 所属应用的编码；
+   *  - `appName: string` 所属应用的名称包含的字符串；
+   *  - `categoryId: string|number|bigint` 所属类别的ID；
+   *  - `categoryCode: string` 所属类别的编码；
+   *  - `categoryName: string` 所属类别的名称包含的字符串；
+   *  - `state: State|string` 状态；
+   *  - `predefined: boolean` 是否是预定义数据；
+   *  - `deleted: boolean` 是否已经被标记删除；
+   *  - `createTimeStart: string`创建时间范围的（闭区间）起始值；
+   *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
+   *  - `modifyTimeStart: string` 修改时间范围的（闭区间）起始值；
+   *  - `modifyTimeEnd: string` 修改时间范围的（闭区间）结束值；
+   *  - `deleteTimeStart: string` 标记删除时间范围的（闭区间）起始值；
+   *  - `deleteTimeEnd: string` 标记删除时间范围的（闭区间）结束值；
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。允许的条件包括：
+   *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
+   *  - `sortOrder: SortOrder` 指定是正序还是倒序。
+   * @param {object} options
+   *     导出选项，除了`showLoading`、`signal`等请求选项之外，还可以包含以下属性：
+   *  - `autoDownload: boolean` 任务完成后是否自动下载文件，默认值为`true`；
+   *  - `interval: number` 查询任务状态的时间间隔，单位为毫秒，默认值为`1000`；
+   *  - `maxWait: number` 等待任务完成的最长时间，单位为毫秒，默认值为`1800000`，即30分钟；
+   *  - `onProgress: function` 进度回调函数，每次查询到任务的状态后将以
+   *    `{ taskId, status, elapsed }`为参数调用之。
+   * @return {Promise<object|ErrorInfo>}
+   *     此操作的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象；若导出任务失败，则解析失败并返回一个`TaskFailedError`对象；若等待超时，
+   *     则解析失败并返回一个`TaskTimeoutError`对象；若请求失败，则解析失败并返回一个
+   *     `ErrorInfo`对象。
+   */
+  @Log
+  exportAsync(format, criteria = {}, sortRequest = {}, options = {}) {
+    return exportAsyncImpl(this, '/dict/export/{format}/async', format, criteria, sortRequest, options);
+  }
+
   /**
    * 从XML文件导入`Dict`对象。
    *
    * @param {File} file
    *     XML文件对象。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否并行导入。如果为`true`，则并行导入；否则，单线程导入。默认值为`false`。
    * @param {number} threads
    *     并行导入的线程数。若`parallel`为`false`，此参数无效。若此参数为`null`，
    *     则使用默认线程数。默认线程数由当前系统的CPU核心数决定。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的`Dict`对象的数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -739,13 +935,13 @@ class DictApi {
    *
    * @param {File} file
    *     JSON文件对象。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否并行导入。如果为`true`，则并行导入；否则，单线程导入。默认值为`false`。
    * @param {number} threads
    *     并行导入的线程数。若`parallel`为`false`，此参数无效。若此参数为`null`，
    *     则使用默认线程数。默认线程数由当前系统的CPU核心数决定。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的`Dict`对象的数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -14,6 +14,7 @@ import {
   State,
 } from '@qubit-ltd/common-model';
 import { HasLogger, Log } from '@qubit-ltd/logging';
+import { TIMESTAMP_PATTERN } from '../utils/check-criteria-constraints';
 import addImpl from './impl/add-impl';
 import {
   batchDeleteImpl,
@@ -21,6 +22,7 @@ import {
   deleteImpl,
 } from './impl/delete-impl';
 import { batchEraseImpl, eraseByKeyImpl, eraseImpl } from './impl/erase-impl';
+import exportAsyncImpl from './impl/export-async-impl';
 import exportImpl from './impl/export-impl';
 import {
   getByKeyImpl,
@@ -31,6 +33,7 @@ import {
   getPropertyImpl,
 } from './impl/get-impl';
 import importImpl from './impl/import-impl';
+import { iterateImpl, listAllImpl } from './impl/iterate-impl';
 import { listImpl, listInfoImpl } from './impl/list-impl';
 import {
   batchPurgeImpl,
@@ -38,6 +41,7 @@ import {
   purgeByKeyImpl,
   purgeImpl,
 } from './impl/purge-impl';
+import { resolveOptionalArguments } from './impl/request-options';
 import {
   batchRestoreImpl,
   restoreByKeyImpl,
@@ -100,12 +104,59 @@ class EmployeeApi {
     { name: 'state', type: [Object, String] },
     { name: 'test', type: Boolean },
     { name: 'deleted', type: Boolean },
-    { name: 'createTimeStart', type: String },
-    { name: 'createTimeEnd', type: String },
-    { name: 'modifyTimeStart', type: String },
-    { name: 'modifyTimeEnd', type: String },
-    { name: 'deleteTimeStart', type: String },
-    { name: 'deleteTimeEnd', type: String },
+    { name: 'createTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
+    { name: 'createTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
+    { name: 'modifyTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
+    { name: 'modifyTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
+    { name: 'deleteTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
+    { name: 'deleteTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
+  ];
+
+  /**
+   * 路由定义，用于生成OpenAPI文档，详见`generateOpenApiDocument()`的说明。
+   *
+   * @type {Array<Object>}
+   */
+  ROUTE_DEFINITIONS = [
+    { name: 'list', impl: 'listImpl', url: '/employee' },
+    { name: 'iterate', impl: 'iterateImpl', url: '/employee' },
+    { name: 'listAll', impl: 'listAllImpl', url: '/employee' },
+    { name: 'listInfo', impl: 'listInfoImpl', url: '/employee/info' },
+    { name: 'get', impl: 'getImpl', url: '/employee/{id}' },
+    { name: 'getByCode', impl: 'getByKeyImpl', url: '/employee/code/{code}' },
+    { name: 'getInfo', impl: 'getInfoImpl', url: '/employee/{id}/info' },
+    { name: 'getInfoByCode', impl: 'getInfoByKeyImpl', url: '/employee/code/{code}/info' },
+    { name: 'getCategory', impl: 'getPropertyImpl', url: '/employee/{id}/category' },
+    { name: 'getCategoryByCode', impl: 'getPropertyByKeyImpl', url: '/employee/code/{code}/category' },
+    { name: 'getPhoto', impl: 'getPropertyImpl', url: '/employee/{id}/photo' },
+    { name: 'add', impl: 'addImpl', url: '/employee' },
+    { name: 'update', impl: 'updateImpl', url: '/employee/{id}' },
+    { name: 'updateByCode', impl: 'updateByKeyImpl', url: '/employee/code/{code}' },
+    { name: 'updateState', impl: 'updatePropertyImpl', url: '/employee/{id}/state' },
+    { name: 'updateStateByCode', impl: 'updatePropertyByKeyImpl', url: '/employee/code/{code}/state' },
+    { name: 'updatePhoto', impl: 'updatePropertyImpl', url: '/employee/{id}/photo' },
+    { name: 'delete', impl: 'deleteImpl', url: '/employee/{id}' },
+    { name: 'deleteByCode', impl: 'deleteByKeyImpl', url: '/employee/code/{code}' },
+    { name: 'batchDelete', impl: 'batchDeleteImpl', url: '/employee/batch' },
+    { name: 'restore', impl: 'restoreImpl', url: '/employee/{id}' },
+    { name: 'restoreByCode', impl: 'restoreByKeyImpl', url: '/employee/code/{code}' },
+    { name: 'batchRestore', impl: 'batchRestoreImpl', url: '/employee/batch' },
+    { name: 'purge', impl: 'purgeImpl', url: '/employee/{id}/purge' },
+    { name: 'purgeByCode', impl: 'purgeByKeyImpl', url: '/employee/code/{code}/purge' },
+    { name: 'purgeAll', impl: 'purgeAllImpl', url: '/employee/purge' },
+    { name: 'batchPurge', impl: 'batchPurgeImpl', url: '/employee/batch/purge' },
+    { name: 'erase', impl: 'eraseImpl', url: '/employee/{id}/erase' },
+    { name: 'eraseByCode', impl: 'eraseByKeyImpl', url: '/employee/code/{code}/erase' },
+    { name: 'batchErase', impl: 'batchEraseImpl', url: '/employee/batch/erase' },
+    { name: 'exportXml', impl: 'exportImpl', url: '/employee/export/xml' },
+    { name: 'exportJson', impl: 'exportImpl', url: '/employee/export/json' },
+    { name: 'exportExcel', impl: 'exportImpl', url: '/employee/export/excel' },
+    { name: 'exportCsv', impl: 'exportImpl', url: '/employee/export/csv' },
+    { name: 'exportAsync', impl: 'exportAsyncImpl', url: '/employee/export/{format}/async' },
+    { name: 'importXml', impl: 'importImpl', url: '/employee/import/xml' },
+    { name: 'importJson', impl: 'importImpl', url: '/employee/import/json' },
+    { name: 'importExcel', impl: 'importImpl', url: '/employee/import/excel' },
+    { name: 'importCsv', impl: 'importImpl', url: '/employee/import/csv' },
   ];
 
   /**
@@ -148,17 +199,136 @@ class EmployeeApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} transformUrls
+   * @param {boolean|object} transformUrls
    *     是否转换附件中的URL地址。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Page<Employee>|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`Page`对象，包含符合条
    *     件的`Employee`对象的分页数据；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   list(pageRequest = {}, criteria = {}, sortRequest = {}, transformUrls = true, showLoading = true) {
-    return listImpl(this, '/employee', pageRequest, criteria, sortRequest, showLoading, { transformUrls });
+    const args = resolveOptionalArguments([transformUrls, showLoading], { transformUrls: true });
+    return listImpl(this, '/employee', pageRequest, criteria, sortRequest, args.showLoading, {
+      transformUrls: args.transformUrls,
+    });
+  }
+
+  /**
+   * 逐页遍历符合条件的`Employee`对象。
+   *
+   * 此函数返回一个异步迭代器，它按需逐页获取数据，依次产生每一个符合条件的对象；调用者可
+   * 以使用`for await`语句遍历，并可随时使用`break`提前结束遍历。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `username: string` 对应的用户的用户名；
+   *  - `personId: string|number|bigint` 对应的个人信息的ID；
+   *  - `internalCode: string` 内部编码中应包含的字符串；
+   *  - `name: string` 姓名中应包含的字符串；
+   *  - `gender: Gender|string` 性别；
+   *  - `credentialType: CredentialType|string` 证件类型；
+   *  - `credentialNumber: string` 证件号码；
+   *  - `categoryId: string|number|bigint` 所属类别的ID；
+   *  - `categoryCode: string` 所属类别的编码；
+   *  - `categoryName: string` 所属类别的名称包含的字符串；
+   *  - `organizationId: string|number|bigint` 所属机构的ID；
+   *  - `organizationCode: string` 所属机构的编码；
+   *  - `organizationName: string` 所属机构名称中应包含的字符串；
+   *  - `departmentId: string|number|bigint` 所属部门的ID；
+   *  - `departmentCode: string` 所属部门的编码；
+   *  - `departmentName: string` 所属部门名称中应包含的字符串；
+   *  - `phone: string` 座机号码；
+   *  - `mobile: string` 手机号码；
+   *  - `email: string` 电子邮件地址中应包含的字符串；
+   *  - `jobTitle: string` 职称中应包含的字符串；
+   *  - `state: State|string` 状态；
+   *  - `test: boolean` 是否是测试数据；
+   *  - `deleted: boolean` 是否已经被标记删除；
+   *  - `createTimeStart: string`创建时间范围的（闭区间）起始值；
+   *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
+   *  - `modifyTimeStart: string` 修改时间范围的（闭区间）起始值；
+   *  - `modifyTimeEnd: string` 修改时间范围的（闭区间）结束值；
+   *  - `deleteTimeStart: string` 标记删除时间范围的（闭区间）起始值；
+   *  - `deleteTimeEnd: string` 标记删除时间范围的（闭区间）结束值；
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。允许的条件包括：
+   *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
+   *  - `sortOrder: SortOrder` 指定是正序还是倒序。
+   * @param {object} options
+   *     遍历选项，包含以下属性：
+   *  - `pageSize: number` 每次请求的分页大小，默认值为`100`；
+   *  - `maxItems: number` 最多产生的对象数目，默认不限制；
+   *  - `showLoading: boolean` 每次请求时是否显示加载提示，默认值为`true`；
+   *  - `signal: AbortSignal` 用于取消遍历的信号，默认值为`undefined`；
+   *  - `transformUrls: boolean` 是否转换附件中的URL地址，默认值为`true`。
+   * @return {AsyncGenerator<Employee>}
+   *     一个异步迭代器，依次产生符合条件的`Employee`对象。若某一页的请求失败，则迭代器抛出
+   *     该请求的`ErrorInfo`对象。
+   */
+  @Log
+  iterate(criteria = {}, sortRequest = {}, options = {}) {
+    const { transformUrls = true, ...iterateOptions } = options;
+    return iterateImpl(this, '/employee', criteria, sortRequest, iterateOptions, { transformUrls });
+  }
+
+  /**
+   * 获取全部符合条件的`Employee`对象。
+   *
+   * 此函数逐页获取全部符合条件的对象，并将它们收集到一个数组中。若符合条件的对象数目很
+   * 多，应考虑使用`iterate()`函数逐个处理。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `username: string` 对应的用户的用户名；
+   *  - `personId: string|number|bigint` 对应的个人信息的ID；
+   *  - `internalCode: string` 内部编码中应包含的字符串；
+   *  - `name: string` 姓名中应包含的字符串；
+   *  - `gender: Gender|string` 性别；
+   *  - `credentialType: CredentialType|string` 证件类型；
+   *  - `credentialNumber: string` 证件号码；
+   *  - `categoryId: string|number|bigint` 所属类别的ID；
+   *  - `categoryCode: string` 所属类别的编码；
+   *  - `categoryName: string` 所属类别的名称包含的字符串；
+   *  - `organizationId: string|number|bigint` 所属机构的ID；
+   *  - `organizationCode: string` 所属机构的编码；
+   *  - `organizationName: string` 所属机构名称中应包含的字符串；
+   *  - `departmentId: string|number|bigint` 所属部门的ID；
+   *  - `departmentCode: string` 所属部门的编码；
+   *  - `departmentName: string` 所属部门名称中应包含的字符串；
+   *  - `phone: string` 座机号码；
+   *  - `mobile: string` 手机号码；
+   *  - `email: string` 电子邮件地址中应包含的字符串；
+   *  - `jobTitle: string` 职称中应包含的字符串；
+   *  - `state: State|string` 状态；
+   *  - `test: boolean` 是否是测试数据；
+   *  - `deleted: boolean` 是否已经被标记删除；
+   *  - `createTimeStart: string`创建时间范围的（闭区间）起始值；
+   *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
+   *  - `modifyTimeStart: string` 修改时间范围的（闭区间）起始值；
+   *  - `modifyTimeEnd: string` 修改时间范围的（闭区间）结束值；
+   *  - `deleteTimeStart: string` 标记删除时间范围的（闭区间）起始值；
+   *  - `deleteTimeEnd: string` 标记删除时间范围的（闭区间）结束值；
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。允许的条件包括：
+   *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
+   *  - `sortOrder: SortOrder` 指定是正序还是倒序。
+   * @param {object} options
+   *     遍历选项，包含以下属性：
+   *  - `pageSize: number` 每次请求的分页大小，默认值为`100`；
+   *  - `maxItems: number` 最多产生的对象数目，默认不限制；
+   *  - `showLoading: boolean` 每次请求时是否显示加载提示，默认值为`true`；
+   *  - `signal: AbortSignal` 用于取消遍历的信号，默认值为`undefined`；
+   *  - `transformUrls: boolean` 是否转换附件中的URL地址，默认值为`true`。
+   * @return {Promise<Array<Employee>|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回包含全部符合条件的
+   *     `Employee`对象的数组；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  listAll(criteria = {}, sortRequest = {}, options = {}) {
+    const { transformUrls = true, ...iterateOptions } = options;
+    return listAllImpl(this, '/employee', criteria, sortRequest, iterateOptions, { transformUrls });
   }
 
   /**
@@ -201,8 +371,8 @@ class EmployeeApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Page<EmployeeInfo>|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`Page`对象，包含符合条
    *     件的`Employee`对象的基本信息的分页数据；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -217,17 +387,18 @@ class EmployeeApi {
    *
    * @param {string|number|bigint} id
    *     `Employee`对象的ID。
-   * @param {boolean} transformUrls
+   * @param {boolean|object} transformUrls
    *     是否转换附件中的URL地址。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Employee|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`Employee`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   get(id, transformUrls = true, showLoading = true) {
-    return getImpl(this, '/employee/{id}', id, showLoading, { transformUrls });
+    const args = resolveOptionalArguments([transformUrls, showLoading], { transformUrls: true });
+    return getImpl(this, '/employee/{id}', id, args.showLoading, { transformUrls: args.transformUrls });
   }
 
   /**
@@ -235,17 +406,20 @@ class EmployeeApi {
    *
    * @param {string} code
    *     `Employee`对象的代码。
-   * @param {boolean} transformUrls
+   * @param {boolean|object} transformUrls
    *     是否转换附件中的URL地址。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Employee|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`Employee`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   getByCode(code, transformUrls = true, showLoading = true) {
-    return getByKeyImpl(this, '/employee/code/{code}', 'code', code, showLoading, { transformUrls });
+    const args = resolveOptionalArguments([transformUrls, showLoading], { transformUrls: true });
+    return getByKeyImpl(this, '/employee/code/{code}', 'code', code, args.showLoading, {
+      transformUrls: args.transformUrls,
+    });
   }
 
   /**
@@ -253,8 +427,8 @@ class EmployeeApi {
    *
    * @param {string|number|bigint} id
    *     `Employee`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<EmployeeInfo|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`EmployeeInfo`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -269,8 +443,8 @@ class EmployeeApi {
    *
    * @param {string} code
    *     `Employee`对象的代码。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<EmployeeInfo|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`EmployeeInfo`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -285,8 +459,8 @@ class EmployeeApi {
    *
    * @param {string|number|bigint} id
    *     `Employee`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<InfoWithEntity|null|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`Employee`对象
    *     所属分类的基本信息，或`null`若该对象没有所属分类；若操作失败，则解析失败并返回一个
@@ -302,8 +476,8 @@ class EmployeeApi {
    *
    * @param {string} code
    *     `Employee`对象的代码。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<InfoWithEntity|null|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`Employee`对象
    *     所属分类的基本信息，或`null`若该对象没有所属分类；若操作失败，则解析失败并返回一个
@@ -319,17 +493,20 @@ class EmployeeApi {
    *
    * @param {string|number|bigint} id
    *     `Employee`对象的ID。
-   * @param {boolean} transformUrls
+   * @param {boolean|object} transformUrls
    *     是否转换附件中的URL地址。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Attachment|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`Employee`对象的照片，
    *     注意若没有照片会返回`null`；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   getPhoto(id, transformUrls = true, showLoading = true) {
-    return getPropertyImpl(this, '/employee/{id}/photo', 'photo', Attachment, id, showLoading, { transformUrls });
+    const args = resolveOptionalArguments([transformUrls, showLoading], { transformUrls: true });
+    return getPropertyImpl(this, '/employee/{id}/photo', 'photo', Attachment, id, args.showLoading, {
+      transformUrls: args.transformUrls,
+    });
   }
 
   /**
@@ -337,19 +514,26 @@ class EmployeeApi {
    *
    * @param {Employee|object} entity
    *     要添加的`Employee`对象。
-   * @param {boolean} withUser
+   * @param {boolean|object} withUser
    *     是否同时添加新`Employee`对象所绑定的用户对象`User`。默认值为`false`。
-   * @param {boolean} transformUrls
+   * @param {boolean|object} transformUrls
    *     是否转换附件中的URL地址。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Employee|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回新增的`Employee`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   add(entity, withUser = false, transformUrls = true, showLoading = true) {
-    return addImpl(this, '/employee', entity, showLoading, { withUser, transformUrls });
+    const args = resolveOptionalArguments([withUser, transformUrls, showLoading], {
+      withUser: false,
+      transformUrls: true,
+    });
+    return addImpl(this, '/employee', entity, args.showLoading, {
+      withUser: args.withUser,
+      transformUrls: args.transformUrls,
+    });
   }
 
   /**
@@ -357,17 +541,18 @@ class EmployeeApi {
    *
    * @param {Employee|object} entity
    *     要更新的`Employee`对象的数据，根据其ID确定要更新的对象。
-   * @param {boolean} withUser
+   * @param {boolean|object} withUser
    *     是否同时更新`Employee`对象所绑定的用户对象`User`。默认值为`false`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Employee|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新后的`Employee`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   update(entity, withUser = false, showLoading = true) {
-    return updateImpl(this, '/employee/{id}', entity, showLoading, { withUser });
+    const args = resolveOptionalArguments([withUser, showLoading], { withUser: false });
+    return updateImpl(this, '/employee/{id}', entity, args.showLoading, { withUser: args.withUser });
   }
 
   /**
@@ -375,17 +560,20 @@ class EmployeeApi {
    *
    * @param {Employee} entity
    *     要更新的`Employee`对象的数据，根据其代码确定要更新的对象。
-   * @param {boolean} withUser
+   * @param {boolean|object} withUser
    *     是否同时更新`Employee`对象所绑定的用户对象`User`。默认值为`false`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Employee|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新后的`Employee`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   updateByCode(entity, withUser = false, showLoading = true) {
-    return updateByKeyImpl(this, '/employee/code/{code}', 'code', entity, showLoading, { withUser });
+    const args = resolveOptionalArguments([withUser, showLoading], { withUser: false });
+    return updateByKeyImpl(this, '/employee/code/{code}', 'code', entity, args.showLoading, {
+      withUser: args.withUser,
+    });
   }
 
   /**
@@ -395,17 +583,20 @@ class EmployeeApi {
    *     `Employee`对象的ID。
    * @param {State|string} state
    *     要更新的`Employee`对象的状态，必须是`State`枚举类型或表示其值的字符串。
-   * @param {boolean} withUser
+   * @param {boolean|object} withUser
    *     是否同时更新`Employee`对象所绑定的用户对象`User`的状态。默认值为`false`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据更新的UTC时间戳，
    *     以ISO-8601格式表示为字符串；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   updateState(id, state, withUser = false, showLoading = true) {
-    return updatePropertyImpl(this, '/employee/{id}/state', id, 'state', State, state, showLoading, { withUser });
+    const args = resolveOptionalArguments([withUser, showLoading], { withUser: false });
+    return updatePropertyImpl(this, '/employee/{id}/state', id, 'state', State, state, args.showLoading, {
+      withUser: args.withUser,
+    });
   }
 
   /**
@@ -415,17 +606,20 @@ class EmployeeApi {
    *     要更新的`Employee`对象的代码。
    * @param {State|string} state
    *     要更新的`Employee`对象的状态，必须是`State`枚举类型或表示其值的字符串。
-   * @param {boolean} withUser
+   * @param {boolean|object} withUser
    *     是否同时更新`Employee`对象所绑定的用户对象`User`的状态。默认值为`false`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据更新的UTC时间戳，
    *     以ISO-8601格式表示为字符串；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   updateStateByCode(code, state, withUser = false, showLoading = true) {
-    return updatePropertyByKeyImpl(this, '/employee/code/{code}/state', 'code', code, 'state', State, state, showLoading, { withUser });
+    const args = resolveOptionalArguments([withUser, showLoading], { withUser: false });
+    return updatePropertyByKeyImpl(this, '/employee/code/{code}/state', 'code', code, 'state', State, state, args.showLoading, {
+      withUser: args.withUser,
+    });
   }
 
   /**
@@ -436,17 +630,20 @@ class EmployeeApi {
    * @param {Attachment} photo
    *     要更新的`Employee`对象的照片，必须先调用`fileApi.update()` 上传文件，并利用返回
    *     的`Upload`对象构造一个`Attachment`对象。
-   * @param {boolean} transformUrls
+   * @param {boolean|object} transformUrls
    *     是否转换附件中的URL地址。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Attachment|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新后的`photo`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   updatePhoto(id, photo, transformUrls = true, showLoading = true) {
-    return updatePropertyImpl(this, '/employee/{id}/photo', id, 'photo', Attachment, photo, showLoading, { transformUrls });
+    const args = resolveOptionalArguments([transformUrls, showLoading], { transformUrls: true });
+    return updatePropertyImpl(this, '/employee/{id}/photo', id, 'photo', Attachment, photo, args.showLoading, {
+      transformUrls: args.transformUrls,
+    });
   }
 
   /**
@@ -454,17 +651,18 @@ class EmployeeApi {
    *
    * @param {string} id
    *     要标记删除的`Employee`对象的ID。
-   * @param {boolean} withUser
+   * @param {boolean|object} withUser
    *     是否同时标记删除`Employee`对象所绑定的用户对象`User`。默认值为`false`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据被标记删除的UTC时间戳，
    *     以ISO-8601格式表示为字符串；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   delete(id, withUser = false, showLoading = true) {
-    return deleteImpl(this, '/employee/{id}', id, showLoading, { withUser });
+    const args = resolveOptionalArguments([withUser, showLoading], { withUser: false });
+    return deleteImpl(this, '/employee/{id}', id, args.showLoading, { withUser: args.withUser });
   }
 
   /**
@@ -472,17 +670,18 @@ class EmployeeApi {
    *
    * @param {string} code
    *     要标记删除的`Employee`对象的代码。
-   * @param {boolean} withUser
+   * @param {boolean|object} withUser
    *     是否同时标记删除`Employee`对象所绑定的用户对象`User`。默认值为`false`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据被标记删除的UTC时间戳，
    *     以ISO-8601格式表示为字符串；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   deleteByCode(code, withUser = false, showLoading = true) {
-    return deleteByKeyImpl(this, '/employee/code/{code}', 'code', code, showLoading, { withUser });
+    const args = resolveOptionalArguments([withUser, showLoading], { withUser: false });
+    return deleteByKeyImpl(this, '/employee/code/{code}', 'code', code, args.showLoading, { withUser: args.withUser });
   }
 
   /**
@@ -490,17 +689,18 @@ class EmployeeApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量删除的`Employee`对象的ID列表。
-   * @param {boolean} withUser
+   * @param {boolean|object} withUser
    *     是否同时标记删除`Employee`对象所绑定的用户对象`User`。默认值为`false`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回被标记删除的记录数；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   batchDelete(ids, withUser = false, showLoading = true) {
-    return batchDeleteImpl(this, '/employee/batch', ids, showLoading, { withUser });
+    const args = resolveOptionalArguments([withUser, showLoading], { withUser: false });
+    return batchDeleteImpl(this, '/employee/batch', ids, args.showLoading, { withUser: args.withUser });
   }
 
   /**
@@ -508,19 +708,20 @@ class EmployeeApi {
    *
    * @param {string} id
    *     要恢复的`Employee`对象的ID，该对象必须已经被标记删除。
-   * @param {boolean} withUser
+   * @param {boolean|object} withUser
    *     是否同时恢复`Employee`对象所绑定的已被标记标记删除的用户对象`User`。若指定的
    *     `Employee`对象未绑定`User`对象，或其绑定的`User`对象未被标记删除，则不对该`User`
    *     对象做操作。此参数默认值为`false`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   restore(id, withUser = false, showLoading = true) {
-    return restoreImpl(this, '/employee/{id}', id, showLoading, { withUser });
+    const args = resolveOptionalArguments([withUser, showLoading], { withUser: false });
+    return restoreImpl(this, '/employee/{id}', id, args.showLoading, { withUser: args.withUser });
   }
 
   /**
@@ -528,19 +729,20 @@ class EmployeeApi {
    *
    * @param {string} code
    *     要恢复的`Employee`对象的代码，该对象必须已经被标记删除。
-   * @param {boolean} withUser
+   * @param {boolean|object} withUser
    *     是否同时恢复`Employee`对象所绑定的已被标记标记删除的用户对象`User`。若指定的
    *     `Employee`对象未绑定`User`对象，或其绑定的`User`对象未被标记删除，则不对该`User`
    *     对象做操作。此参数默认值为`false`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   restoreByCode(code, withUser = false, showLoading = true) {
-    return restoreByKeyImpl(this, '/employee/code/{code}', 'code', code, showLoading, { withUser });
+    const args = resolveOptionalArguments([withUser, showLoading], { withUser: false });
+    return restoreByKeyImpl(this, '/employee/code/{code}', 'code', code, args.showLoading, { withUser: args.withUser });
   }
 
   /**
@@ -548,19 +750,20 @@ class EmployeeApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量恢复的已被标记删除的`Employee`对象的ID列表。
-   * @param {boolean} withUser
+   * @param {boolean|object} withUser
    *     是否同时恢复`Employee`对象所绑定的已被标记标记删除的用户对象`User`。若指定的
    *     `Employee`对象未绑定`User`对象，或其绑定的`User`对象未被标记删除，则不对该`User`
    *     对象做操作。此参数默认值为`false`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回实际恢复的实体的数目；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   batchRestore(ids, withUser = false, showLoading = true) {
-    return batchRestoreImpl(this, '/employee/batch', ids, showLoading, { withUser });
+    const args = resolveOptionalArguments([withUser, showLoading], { withUser: false });
+    return batchRestoreImpl(this, '/employee/batch', ids, args.showLoading, { withUser: args.withUser });
   }
 
   /**
@@ -568,19 +771,20 @@ class EmployeeApi {
    *
    * @param {string} id
    *     要清除的`Employee`对象的ID，该对象必须已经被标记删除。
-   * @param {boolean} withUser
+   * @param {boolean|object} withUser
    *     是否同时彻底清除`Employee`对象所绑定的已被标记标记删除的用户对象`User`。若指定的
    *     `Employee`对象未绑定`User`对象，或其绑定的`User`对象未被标记删除，则不对该`User`
    *     对象做操作。此参数默认值为`false`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   purge(id, withUser = false, showLoading = true) {
-    return purgeImpl(this, '/employee/{id}/purge', id, showLoading, { withUser });
+    const args = resolveOptionalArguments([withUser, showLoading], { withUser: false });
+    return purgeImpl(this, '/employee/{id}/purge', id, args.showLoading, { withUser: args.withUser });
   }
 
   /**
@@ -588,37 +792,41 @@ class EmployeeApi {
    *
    * @param {string} code
    *     要清除的`Employee`对象的代码，该对象必须已经被标记删除。
-   * @param {boolean} withUser
+   * @param {boolean|object} withUser
    *     是否同时彻底清除`Employee`对象所绑定的已被标记标记删除的用户对象`User`。若指定的
    *     `Employee`对象未绑定`User`对象，或其绑定的`User`对象未被标记删除，则不对该`User`
    *     对象做操作。此参数默认值为`false`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   purgeByCode(code, withUser = false, showLoading = true) {
-    return purgeByKeyImpl(this, '/employee/code/{code}/purge', 'code', code, showLoading, { withUser });
+    const args = resolveOptionalArguments([withUser, showLoading], { withUser: false });
+    return purgeByKeyImpl(this, '/employee/code/{code}/purge', 'code', code, args.showLoading, {
+      withUser: args.withUser,
+    });
   }
 
   /**
    * 彻底清除全部已被标记删除的`Employee`对象。
    *
-   * @param {boolean} withUser
+   * @param {boolean|object} withUser
    *     是否同时彻底清除所有已被标记删除的`Employee`对象所绑定的已被标记标记删除的用户对象`User`。
    *     若某个已被标记删除的`Employee`对象未绑定`User`对象，或其绑定的`User`对象未被标记
    *     删除，则不对该`User`对象做操作。此参数默认值为`false`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   purgeAll(withUser = false, showLoading = true) {
-    return purgeAllImpl(this, '/employee/purge', showLoading, { withUser });
+    const args = resolveOptionalArguments([withUser, showLoading], { withUser: false });
+    return purgeAllImpl(this, '/employee/purge', args.showLoading, { withUser: args.withUser });
   }
 
   /**
@@ -626,19 +834,20 @@ class EmployeeApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     要清除的`Employee`对象的ID列表，这些对象必须已经被标记删除。
-   * @param {boolean} withUser
+   * @param {boolean|object} withUser
    *     是否同时彻底清除`Employee`对象所绑定的已被标记标记删除的用户对象`User`。若指定的
    *     `Employee`对象未绑定`User`对象，或其绑定的`User`对象未被标记删除，则不对该`User`
    *     对象做操作。此参数默认值为`false`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功清除的记录数；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   batchPurge(ids, withUser = false, showLoading = true) {
-    return batchPurgeImpl(this, '/employee/batch/purge', ids, showLoading, { withUser });
+    const args = resolveOptionalArguments([withUser, showLoading], { withUser: false });
+    return batchPurgeImpl(this, '/employee/batch/purge', ids, args.showLoading, { withUser: args.withUser });
   }
 
   /**
@@ -646,17 +855,18 @@ class EmployeeApi {
    *
    * @param {string|number|bigint} id
    *     要彻底清除的`Employee`对象的ID。
-   * @param {boolean} withUser
+   * @param {boolean|object} withUser
    *     是否同时永久删除`Employee`对象所绑定的用户对象`User`。此参数默认值为`false`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   erase(id, withUser = false, showLoading = true) {
-    return eraseImpl(this, '/employee/{id}/erase', id, showLoading, { withUser });
+    const args = resolveOptionalArguments([withUser, showLoading], { withUser: false });
+    return eraseImpl(this, '/employee/{id}/erase', id, args.showLoading, { withUser: args.withUser });
   }
 
   /**
@@ -664,17 +874,20 @@ class EmployeeApi {
    *
    * @param {string} code
    *     要彻底清除的`Employee`对象的代码。
-   * @param {boolean} withUser
+   * @param {boolean|object} withUser
    *     是否同时永久删除`Employee`对象所绑定的用户对象`User`。此参数默认值为`false`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   eraseByCode(code, withUser = false, showLoading = true) {
-    return eraseByKeyImpl(this, '/employee/code/{code}/erase', 'code', code, showLoading, { withUser });
+    const args = resolveOptionalArguments([withUser, showLoading], { withUser: false });
+    return eraseByKeyImpl(this, '/employee/code/{code}/erase', 'code', code, args.showLoading, {
+      withUser: args.withUser,
+    });
   }
 
   /**
@@ -682,17 +895,18 @@ class EmployeeApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量彻底清除的`Employee`对象的ID列表。
-   * @param {boolean} withUser
+   * @param {boolean|object} withUser
    *     是否同时永久删除`Employee`对象所绑定的用户对象`User`。此参数默认值为`false`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回实际删除的实体的数目；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   batchErase(ids, withUser = false, showLoading = true) {
-    return batchEraseImpl(this, '/employee/batch/erase', ids, showLoading, { withUser });
+    const args = resolveOptionalArguments([withUser, showLoading], { withUser: false });
+    return batchEraseImpl(this, '/employee/batch/erase', ids, args.showLoading, { withUser: args.withUser });
   }
 
   /**
@@ -733,14 +947,13 @@ class EmployeeApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载文件。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
-   * @return {Promise<string|null|ErrorInfo>}
-   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功，如果`autoDownload`设置为`true`，
-   *     浏览器会自动下载导出的文件，并返回`null`，否则返回导出的文件的 Blob URL（注意：
-   *     这个Blob URL稍后需要通过`window.URL.revokeObjectURL(url)`释放）；若操作失败，
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象，如果`autoDownload`设置为`true`，浏览器还会自动保存导出的文件；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
@@ -786,14 +999,13 @@ class EmployeeApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载文件。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
-   * @return {Promise<string|null|ErrorInfo>}
-   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功，如果`autoDownload`设置为`true`，
-   *     浏览器会自动下载导出的文件，并返回`null`，否则返回导出的文件的 Blob URL（注意：
-   *     这个Blob URL稍后需要通过`window.URL.revokeObjectURL(url)`释放）；若操作失败，
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象，如果`autoDownload`设置为`true`，浏览器还会自动保存导出的文件；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
@@ -839,14 +1051,13 @@ class EmployeeApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载文件。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
-   * @return {Promise<string|null|ErrorInfo>}
-   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功，如果`autoDownload`设置为`true`，
-   *     浏览器会自动下载导出的文件，并返回`null`，否则返回导出的文件的 Blob URL（注意：
-   *     这个Blob URL稍后需要通过`window.URL.revokeObjectURL(url)`释放）；若操作失败，
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象，如果`autoDownload`设置为`true`，浏览器还会自动保存导出的文件；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
@@ -892,14 +1103,13 @@ class EmployeeApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载文件。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
-   * @return {Promise<string|null|ErrorInfo>}
-   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功，如果`autoDownload`设置为`true`，
-   *     浏览器会自动下载导出的文件，并返回`null`，否则返回导出的文件的 Blob URL（注意：
-   *     这个Blob URL稍后需要通过`window.URL.revokeObjectURL(url)`释放）；若操作失败，
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象，如果`autoDownload`设置为`true`，浏览器还会自动保存导出的文件；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
@@ -907,18 +1117,79 @@ class EmployeeApi {
     return exportImpl(this, '/employee/export/csv', 'CSV', criteria, sortRequest, autoDownload, showLoading);
   }
 
+  /**
+   * 以服务器端异步任务的方式导出符合条件的`Employee`对象为指定格式的文件。
+   *
+   * 此方法适用于导出大量数据的情形：首先提交一个导出任务，然后定时查询该任务的状态，
+   * 任务完成后再下载导出的文件，详见`exportAsyncImpl()`的说明。
+   *
+   * @param {string} format
+   *     导出的文件的格式，可以是`'XML'`、`'JSON'`、`'Excel'`或`'CSV'`，不区分大小写。
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `username: string` 对应的用户的用户名；
+   *  - `personId: string|number|bigint` 对应的个人信息的ID；
+   *  - `internalCode: string` 内部编码中应包含的字符串；
+   *  - `name: string` 姓名中应包含的字符串；
+   *  - `gender: Gender|string` 性别；
+   *  - `credentialType: CredentialType|string` 证件类型；
+   *  - `credentialNumber: string` 证件号码；
+   *  - `categoryId: string|number|bigint` 所属类别的ID；
+   *  - `categoryCode: string` 所属类别的编码；
+   *  - `categoryName: string` 所属类别的名称包含的字符串；
+   *  - `organizationId: string|number|bigint` 所属机构的ID；
+   *  - `organizationCode: string` 所属机构的编码；
+   *  - `organizationName: string` 所属机构名称中应包含的字符串；
+   *  - `departmentId: string|number|bigint` 所属部门的ID；
+   *  - `departmentCode: string` 所属部门的编码；
+   *  - `departmentName: string` 所属部门名称中应包含的字符串；
+   *  - `phone: string` 座机号码；
+   *  - `mobile: string` 手机号码；
+   *  - `email: string` 电子邮件地址中应包含的字符串；
+   *  - `jobTitle: string` 职称中应包含的字符串；
+   *  - `state: State|string` 状态；
+   *  - `test: boolean` 是否是测试数据；
+   *  - `deleted: boolean` 是否已经被标记删除；
+   *  - `createTimeStart: string`创建时间范围的（闭区间）起始值；
+   *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
+   *  - `modifyTimeStart: string` 修改时间范围的（闭区间）起始值；
+   *  - `modifyTimeEnd: string` 修改时间范围的（闭区间）结束值；
+   *  - `deleteTimeStart: string` 标记删除时间范围的（闭区间）起始值；
+   *  - `deleteTimeEnd: string` 标记删除时间范围的（闭区间）结束值；
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。允许的条件包括：
+   *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
+   *  - `sortOrder: SortOrder` 指定是正序还是倒序。
+   * @param {object} options
+   *     导出选项，除了`showLoading`、`signal`等请求选项之外，还可以包含以下属性：
+   *  - `autoDownload: boolean` 任务完成后是否自动下载文件，默认值为`true`；
+   *  - `interval: number` 查询任务状态的时间间隔，单位为毫秒，默认值为`1000`；
+   *  - `maxWait: number` 等待任务完成的最长时间，单位为毫秒，默认值为`1800000`，即30分钟；
+   *  - `onProgress: function` 进度回调函数，每次查询到任务的状态后将以
+   *    `{ taskId, status, elapsed }`为参数调用之。
+   * @return {Promise<object|ErrorInfo>}
+   *     此操作的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象；若导出任务失败，则解析失败并返回一个`TaskFailedError`对象；若等待超时，
+   *     则解析失败并返回一个`TaskTimeoutError`对象；若请求失败，则解析失败并返回一个
+   *     `ErrorInfo`对象。
+   */
+  @Log
+  exportAsync(format, criteria = {}, sortRequest = {}, options = {}) {
+    return exportAsyncImpl(this, '/employee/export/{format}/async', format, criteria, sortRequest, options);
+  }
+
   /**
    * 从XML文件导入`Employee`对象。
    *
    * @param {File} file
    *     XML文件对象。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否并行导入。如果为`true`，则并行导入；否则，单线程导入。默认值为`false`。
    * @param {number} threads
    *     并行导入的线程数。若`parallel`为`false`，此参数无效。若此参数为`null`，
    *     则使用默认线程数。默认线程数由当前系统的CPU核心数决定。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的`Employee`对象的数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -933,13 +1204,13 @@ class EmployeeApi {
    *
    * @param {File} file
    *     JSON文件对象。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否并行导入。如果为`true`，则并行导入；否则，单线程导入。默认值为`false`。
    * @param {number} threads
    *     并行导入的线程数。若`parallel`为`false`，此参数无效。若此参数为`null`，
    *     则使用默认线程数。默认线程数由当前系统的CPU核心数决定。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的`Employee`对象的数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -954,13 +1225,13 @@ class EmployeeApi {
    *
    * @param {File} file
    *     Excel文件对象。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否并行导入。如果为`true`，则并行导入；否则，单线程导入。默认值为`false`。
    * @param {number} threads
    *     并行导入的线程数。若`parallel`为`false`，此参数无效。若此参数为`null`，
    *     则使用默认线程数。默认线程数由当前系统的CPU核心数决定。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的`Employee`对象的数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -975,13 +1246,13 @@ class EmployeeApi {
    *
    * @param {File} file
    *     CSV文件对象。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否并行导入。如果为`true`，则并行导入；否则，单线程导入。默认值为`false`。
    * @param {number} threads
    *     并行导入的线程数。若`parallel`为`false`，此参数无效。若此参数为`null`，
    *     则使用默认线程数。默认线程数由当前系统的CPU核心数决定。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的`Employee`对象的数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -12,17 +12,21 @@ import {
   StatefulInfo,
 } from '@qubit-ltd/common-model';
 import { HasLogger, Log } from '@qubit-ltd/logging';
+import { TIMESTAMP_PATTERN } from '../utils/check-criteria-constraints';
 import addImpl from './impl/add-impl';
 import { batchDeleteImpl, deleteImpl } from './impl/delete-impl';
 import { batchEraseImpl, eraseImpl } from './impl/erase-impl';
+import exportAsyncImpl from './impl/export-async-impl';
 import exportImpl from './impl/export-impl';
 import {
   getImpl,
   getInfoImpl,
 } from './impl/get-impl';
 import importImpl from './impl/import-impl';
+import { iterateImpl, listAllImpl } from './impl/iterate-impl';
 import { listImpl, listInfoImpl } from './impl/list-impl';
 import { batchPurgeImpl, purgeAllImpl, purgeImpl } from './impl/purge-impl';
+import { resolveOptionalArguments } from './impl/request-options';
 import { batchRestoreImpl, restoreImpl } from './impl/restore-impl';
 import {
   updateImpl,
@@ -83,17 +87,46 @@ class FaqApi {
     // 是否已经被标记删除
     { name: 'deleted', type: Boolean },
     // 创建时间范围的（闭区间）起始值
-    { name: 'createTimeStart', type: String },
+    { name: 'createTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
     // 创建时间范围的（闭区间）结束值
-    { name: 'createTimeEnd', type: String },
+    { name: 'createTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
     // 修改时间范围的（闭区间）起始值
-    { name: 'modifyTimeStart', type: String },
+    { name: 'modifyTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
     // 修改时间范围的（闭区间）结束值
-    { name: 'modifyTimeEnd', type: String },
+    { name: 'modifyTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
     // 标记删除时间范围的（闭区间）起始值
-    { name: 'deleteTimeStart', type: String },
+    { name: 'deleteTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
     // 标记删除时间范围的（闭区间）结束值
-    { name: 'deleteTimeEnd', type: String },
+    { name: 'deleteTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
+  ];
+
+  /**
+   * 路由定义，用于生成OpenAPI文档，详见`generateOpenApiDocument()`的说明。
+   *
+   * @type {Array<Object>}
+   */
+  ROUTE_DEFINITIONS = [
+    { name: 'list', impl: 'listImpl', url: '/faq' },
+    { name: 'iterate', impl: 'iterateImpl', url: '/faq' },
+    { name: 'listAll', impl: 'listAllImpl', url: '/faq' },
+    { name: 'listInfo', impl: 'listInfoImpl', url: '/faq/info' },
+    { name: 'get', impl: 'getImpl', url: '/faq/{id}' },
+    { name: 'getInfo', impl: 'getInfoImpl', url: '/faq/{id}/info' },
+    { name: 'add', impl: 'addImpl', url: '/faq' },
+    { name: 'update', impl: 'updateImpl', url: '/faq/{id}' },
+    { name: 'updateState', impl: 'updatePropertyImpl', url: '/faq/{id}/state' },
+    { name: 'delete', impl: 'deleteImpl', url: '/faq/{id}' },
+    { name: 'batchDelete', impl: 'batchDeleteImpl', url: '/faq/batch' },
+    { name: 'restore', impl: 'restoreImpl', url: '/faq/{id}/restore' },
+    { name: 'batchRestore', impl: 'batchRestoreImpl', url: '/faq/batch/restore' },
+    { name: 'erase', impl: 'eraseImpl', url: '/faq/{id}/erase' },
+    { name: 'batchErase', impl: 'batchEraseImpl', url: '/faq/batch/erase' },
+    { name: 'purge', impl: 'purgeImpl', url: '/faq/{id}/purge' },
+    { name: 'batchPurge', impl: 'batchPurgeImpl', url: '/faq/batch/purge' },
+    { name: 'purgeAll', impl: 'purgeAllImpl', url: '/faq/purge-all' },
+    { name: 'export', impl: 'exportImpl', url: '/faq/export' },
+    { name: 'exportAsync', impl: 'exportAsyncImpl', url: '/faq/export/{format}/async' },
+    { name: 'import', impl: 'importImpl', url: '/faq/import' },
   ];
 
   /**
@@ -124,8 +157,8 @@ class FaqApi {
    *  - `deleteTimeEnd: string` 标记删除时间范围的（闭区间）结束值；
    * @param {object} sortRequest
    *     排序请求。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<PageResponse<Faq>|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`PageResponse<Faq>`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -135,6 +168,94 @@ class FaqApi {
     return listImpl(this, '/faq', pageRequest, criteria, sortRequest, showLoading);
   }
 
+  /**
+   * 逐页遍历符合条件的`Faq`对象。
+   *
+   * 此函数返回一个异步迭代器，它按需逐页获取数据，依次产生每一个符合条件的对象；调用者可
+   * 以使用`for await`语句遍历，并可随时使用`break`提前结束遍历。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `appId: string|number|bigint` 所属应用的ID；
+   *  - `appCode: string` 所属应用的代码；
+   *  - `appName: string` 所属应用的名称包含的字符串；
+   *  - `categoryId: string|number|bigint` 所属类别的ID；
+   *  - `categoryCode: string` 所属类别的代码；
+   *  - `categoryName: string` 所属类别的名称包含的字符串；
+   *  - `productId: string|number|bigint` 所属产品的ID；
+   *  - `productCode: string` 所属产品的代码；
+   *  - `productName: string` 所属产品的名称包含的字符串；
+   *  - `question: string` 问题描述包含的字符串；
+   *  - `answer: string` 答案描述包含的字符串；
+   *  - `state: State|string` 状态；
+   *  - `deleted: boolean` 是否已经被标记删除；
+   *  - `createTimeStart: string`创建时间范围的（闭区间）起始值；
+   *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
+   *  - `modifyTimeStart: string` 修改时间范围的（闭区间）起始值；
+   *  - `modifyTimeEnd: string` 修改时间范围的（闭区间）结束值；
+   *  - `deleteTimeStart: string` 标记删除时间范围的（闭区间）起始值；
+   *  - `deleteTimeEnd: string` 标记删除时间范围的（闭区间）结束值；
+   * @param {object} sortRequest
+   *     排序请求。
+   * @param {object} options
+   *     遍历选项，包含以下属性：
+   *  - `pageSize: number` 每次请求的分页大小，默认值为`100`；
+   *  - `maxItems: number` 最多产生的对象数目，默认不限制；
+   *  - `showLoading: boolean` 每次请求时是否显示加载提示，默认值为`true`；
+   *  - `signal: AbortSignal` 用于取消遍历的信号，默认值为`undefined`。
+   * @return {AsyncGenerator<Faq>}
+   *     一个异步迭代器，依次产生符合条件的`Faq`对象。若某一页的请求失败，则迭代器抛出
+   *     该请求的`ErrorInfo`对象。
+   */
+  @Log
+  iterate(criteria = {}, sortRequest = {}, options = {}) {
+    return iterateImpl(this, '/faq', criteria, sortRequest, options);
+  }
+
+  /**
+   * 获取全部符合条件的`Faq`对象。
+   *
+   * 此函数逐页获取全部符合条件的对象，并将它们收集到一个数组中。若符合条件的对象数目很
+   * 多，应考虑使用`iterate()`函数逐个处理。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `appId: string|number|bigint` 所属应用的ID；
+   *  - `appCode: string` 所属应用的代码；
+   *  - `appName: string` 所属应用的名称包含的字符串；
+   *  - `categoryId: string|number|bigint` 所属类别的ID；
+   *  - `categoryCode: string` 所属类别的代码；
+   *  - `categoryName: string` 所属类别的名称包含的字符串；
+   *  - `productId: string|number|bigint` 所属产品的ID；
+   *  - `productCode: string` 所属产品的代码；
+   *  - `productName: string` 所属产品的名称包含的字符串；
+   *  - `question: string` 问题描述包含的字符串；
+   *  - `answer: string` 答案描述包含的字符串；
+   *  - `state: State|string` 状态；
+   *  - `deleted: boolean` 是否已经被标记删除；
+   *  - `createTimeStart: string`创建时间范围的（闭区间）起始值；
+   *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
+   *  - `modifyTimeStart: string` 修改时间范围的（闭区间）起始值；
+   *  - `modifyTimeEnd: string` 修改时间范围的（闭区间）结束值；
+   *  - `deleteTimeStart: string` 标记删除时间范围的（闭区间）起始值；
+   *  - `deleteTimeEnd: string` 标记删除时间范围的（闭区间）结束值；
+   * @param {object} sortRequest
+   *     排序请求。
+   * @param {object} options
+   *     遍历选项，包含以下属性：
+   *  - `pageSize: number` 每次请求的分页大小，默认值为`100`；
+   *  - `maxItems: number` 最多产生的对象数目，默认不限制；
+   *  - `showLoading: boolean` 每次请求时是否显示加载提示，默认值为`true`；
+   *  - `signal: AbortSignal` 用于取消遍历的信号，默认值为`undefined`。
+   * @return {Promise<Array<Faq>|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回包含全部符合条件的
+   *     `Faq`对象的数组；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  listAll(criteria = {}, sortRequest = {}, options = {}) {
+    return listAllImpl(this, '/faq', criteria, sortRequest, options);
+  }
+
   /**
    * 列出符合条件的`Faq`对象的基本信息。
    *
@@ -163,8 +284,8 @@ class FaqApi {
    *  - `deleteTimeEnd: string` 标记删除时间范围的（闭区间）结束值；
    * @param {object} sortRequest
    *     排序请求。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<PageResponse<StatefulInfo>|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`PageResponse<StatefulInfo>`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -179,8 +300,8 @@ class FaqApi {
    *
    * @param {string|number|bigint} id
    *     `Faq`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Faq|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`Faq`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -195,8 +316,8 @@ class FaqApi {
    *
    * @param {string|number|bigint} id
    *     `Faq`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<StatefulInfo|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`StatefulInfo`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -211,8 +332,8 @@ class FaqApi {
    *
    * @param {Faq|object} entity
    *     要添加的`Faq`对象。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Faq|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回添加的`Faq`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -229,8 +350,8 @@ class FaqApi {
    *     `Faq`对象的ID。
    * @param {Faq|object} entity
    *     要更新的`Faq`对象。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据被更新的UTC时间戳；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -247,8 +368,8 @@ class FaqApi {
    *     `Faq`对象的ID。
    * @param {State|string} state
    *     要更新的`Faq`对象的状态。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<String|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回则数据被更新的UTC时间戳；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -263,8 +384,8 @@ class FaqApi {
    *
    * @param {string|number|bigint} id
    *     要标记删除的`Faq`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据被标记删除的UTC时间戳；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -279,8 +400,8 @@ class FaqApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量删除的`Faq`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回被删除的对象数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -295,8 +416,8 @@ class FaqApi {
    *
    * @param {string|number|bigint} id
    *     要恢复的`Faq`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据被恢复的UTC时间戳；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -311,8 +432,8 @@ class FaqApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量恢复的`Faq`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回被恢复的对象数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -327,8 +448,8 @@ class FaqApi {
    *
    * @param {string|number|bigint} id
    *     要彻底删除的`Faq`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据被彻底删除的UTC时间戳；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -343,8 +464,8 @@ class FaqApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量彻底删除的`Faq`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回被彻底删除的对象数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -359,8 +480,8 @@ class FaqApi {
    *
    * @param {string|number|bigint} id
    *     要清除的`Faq`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据被清除的UTC时间戳；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -375,8 +496,8 @@ class FaqApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量清除的`Faq`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回被清除的对象数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -389,8 +510,8 @@ class FaqApi {
   /**
    * 清除所有被标记删除的`Faq`对象。
    *
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回被清除的对象数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -409,15 +530,36 @@ class FaqApi {
    *     排序请求。
    * @param {string} format
    *     导出格式，支持`excel`、`csv`、`json`等。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
-   * @return {Promise<Blob|ErrorInfo>}
-   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回导出的文件数据；
-   *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象，其中的`autoDownload`属性指定是否自动下载
+   *     文件，默认值为`true`。
+   * @return {Promise<object|string|null|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象，详见`exportImpl()`的返回值说明。
    */
   @Log
   export(criteria = {}, sortRequest = {}, format = 'excel', showLoading = true) {
-    return exportImpl(this, '/faq/export', criteria, sortRequest, format, showLoading);
+    // 此方法没有`autoDownload`参数，按位置传参时总是自动下载文件
+    const args = resolveOptionalArguments([format, true, showLoading], { format: 'excel', autoDownload: true });
+    return exportImpl(this, '/faq/export', args.format, criteria, sortRequest, args.autoDownload, args.showLoading);
+  }
+
+  /**
+   * 以服务器端异步任务的方式导出符合条件的`Faq`对象。
+   *
+   * @param {string} format
+   *     导出格式，支持`excel`、`csv`、`json`等。
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。
+   * @param {object} sortRequest
+   *     排序请求。
+   * @param {object} options
+   *     导出选项，详见`exportAsyncImpl()`的说明。
+   * @return {Promise<object|ErrorInfo>}
+   *     此操作的`Promise`对象，详见`exportAsyncImpl()`的返回值说明。
+   */
+  @Log
+  exportAsync(format = 'excel', criteria = {}, sortRequest = {}, options = {}) {
+    return exportAsyncImpl(this, '/faq/export/{format}/async', format, criteria, sortRequest, options);
   }
 
   /**
@@ -425,15 +567,19 @@ class FaqApi {
    *
    * @param {File} file
    *     要导入的文件。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
-   * @return {Promise<ImportResult|ErrorInfo>}
-   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回导入结果；
-   *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。请求选项对象中可以指定`dryRun`或
+   *     `importReport`，详见`importImpl()`的说明。
+   * @return {Promise<number|ImportReport|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的对象的数量，
+   *     若指定了`dryRun`或`importReport`，则返回一个`ImportReport`对象；若操作失败，
+   *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   import(file, showLoading = true) {
-    return importImpl(this, '/faq/import', file, showLoading);
+    // 此接口不区分导入文件的格式，此处取文件的扩展名作为格式只用于记录日志
+    const format = String(file?.name ?? '').split('.').pop().toUpperCase();
+    return importImpl(this, '/faq/import', format, file, false, null, showLoading);
   }
 }
 
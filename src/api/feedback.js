@@ -18,13 +18,21 @@ import {
 import { loading } from '@qubit-ltd/common-ui';
 import { checkArgumentType } from '@qubit-ltd/common-util';
 import { HasLogger, Log } from '@qubit-ltd/logging';
+import { TIMESTAMP_PATTERN } from '../utils/check-criteria-constraints';
 import addImpl from './impl/add-impl';
 import { batchDeleteImpl, deleteImpl } from './impl/delete-impl';
 import { batchEraseImpl, eraseImpl } from './impl/erase-impl';
 import { getImpl } from './impl/get-impl';
+import { iterateImpl, listAllImpl } from './impl/iterate-impl';
 import { listImpl } from './impl/list-impl';
 import { assignOptions, toJsonOptions } from './impl/options';
 import { batchPurgeImpl, purgeAllImpl, purgeImpl } from './impl/purge-impl';
+import {
+  handleCancellation,
+  normalizeRequestOptions,
+  resolveOptionalArguments,
+  toRequestConfig,
+} from './impl/request-options';
 import { batchRestoreImpl, restoreImpl } from './impl/restore-impl';
 
 /**
@@ -56,12 +64,36 @@ class FeedbackApi {
     { name: 'submitterUsername', type: String },
     { name: 'status', type: [FeedbackStatus, String] },
     { name: 'deleted', type: Boolean },
-    { name: 'createTimeStart', type: String },
-    { name: 'createTimeEnd', type: String },
-    { name: 'modifyTimeStart', type: String },
-    { name: 'modifyTimeEnd', type: String },
-    { name: 'deleteTimeStart', type: String },
-    { name: 'deleteTimeEnd', type: String },
+    { name: 'createTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
+    { name: 'createTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
+    { name: 'modifyTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
+    { name: 'modifyTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
+    { name: 'deleteTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
+    { name: 'deleteTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
+  ];
+
+  /**
+   * 路由定义，用于生成OpenAPI文档，详见`generateOpenApiDocument()`的说明。
+   *
+   * @type {Array<Object>}
+   */
+  ROUTE_DEFINITIONS = [
+    { name: 'list', impl: 'listImpl', url: '/feedback' },
+    { name: 'iterate', impl: 'iterateImpl', url: '/feedback' },
+    { name: 'listAll', impl: 'listAllImpl', url: '/feedback' },
+    { name: 'get', impl: 'getImpl', url: '/feedback/{id}' },
+    { name: 'getTracks', method: 'get', url: '/feedback/{id}/track' },
+    { name: 'add', impl: 'addImpl', url: '/feedback' },
+    { name: 'performAction', method: 'put', url: '/feedback/{id}/action/{action}' },
+    { name: 'delete', impl: 'deleteImpl', url: '/feedback/{id}' },
+    { name: 'batchDelete', impl: 'batchDeleteImpl', url: '/feedback/batch' },
+    { name: 'restore', impl: 'restoreImpl', url: '/feedback/{id}' },
+    { name: 'batchRestore', impl: 'batchRestoreImpl', url: '/feedback/batch' },
+    { name: 'purge', impl: 'purgeImpl', url: '/feedback/{id}/purge' },
+    { name: 'purgeAll', impl: 'purgeAllImpl', url: '/feedback/purge' },
+    { name: 'batchPurge', impl: 'batchPurgeImpl', url: '/feedback/batch/purge' },
+    { name: 'erase', impl: 'eraseImpl', url: '/feedback/{id}/erase' },
+    { name: 'batchErase', impl: 'batchEraseImpl', url: '/feedback/batch/erase' },
   ];
 
   /**
@@ -90,17 +122,108 @@ class FeedbackApi {
    *     排序参数。允许的参数包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} transformUrls
+   * @param {boolean|object} transformUrls
    *     是否转换附件中的URL为完整URL。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Page<Feedback>|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`Page`对象，包含符合条
    *     件的`Feedback`对象的分页数据；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   list(pageRequest = {}, criteria = {}, sortRequest = {}, transformUrls = true, showLoading = true) {
-    return listImpl(this, '/feedback', pageRequest, criteria, sortRequest, showLoading, { transformUrls });
+    const args = resolveOptionalArguments([transformUrls, showLoading], { transformUrls: true });
+    return listImpl(this, '/feedback', pageRequest, criteria, sortRequest, args.showLoading, {
+      transformUrls: args.transformUrls,
+    });
+  }
+
+  /**
+   * 逐页遍历符合条件的`Feedback`对象。
+   *
+   * 此函数返回一个异步迭代器，它按需逐页获取数据，依次产生每一个符合条件的对象；调用者可
+   * 以使用`for await`语句遍历，并可随时使用`break`提前结束遍历。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `appId: string|number|bigint` 所属应用的ID；
+   *  - `appCode: string` 所属应用的编码；
+   *  - `appName: string` 所属应用的名称中应包含的字符串；
+   *  - `type: FeedbackType|string` 类型；
+   *  - `category: string` 具体类别；
+   *  - `submitterId: string|number|bigint` 提交用户的ID；
+   *  - `submitterUsername: string` 提交用户的用户名；
+   *  - `status: FeedbackStatus|string` 状态；
+   *  - `deleted: boolean` 是否已经被标记删除；
+   *  - `createTimeStart: string`创建时间范围的（闭区间）起始值；
+   *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
+   *  - `modifyTimeStart: string` 修改时间范围的（闭区间）起始值；
+   *  - `modifyTimeEnd: string` 修改时间范围的（闭区间）结束值；
+   *  - `deleteTimeStart: string` 标记删除时间范围的（闭区间）起始值；
+   *  - `deleteTimeEnd: string` 标记删除时间范围的（闭区间）结束值；
+   * @param {object} sortRequest
+   *     排序参数。允许的参数包括：
+   *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
+   *  - `sortOrder: SortOrder` 指定是正序还是倒序。
+   * @param {object} options
+   *     遍历选项，包含以下属性：
+   *  - `pageSize: number` 每次请求的分页大小，默认值为`100`；
+   *  - `maxItems: number` 最多产生的对象数目，默认不限制；
+   *  - `showLoading: boolean` 每次请求时是否显示加载提示，默认值为`true`；
+   *  - `signal: AbortSignal` 用于取消遍历的信号，默认值为`undefined`；
+   *  - `transformUrls: boolean` 是否转换附件中的URL地址，默认值为`true`。
+   * @return {AsyncGenerator<Feedback>}
+   *     一个异步迭代器，依次产生符合条件的`Feedback`对象。若某一页的请求失败，则迭代器抛出
+   *     该请求的`ErrorInfo`对象。
+   */
+  @Log
+  iterate(criteria = {}, sortRequest = {}, options = {}) {
+    const { transformUrls = true, ...iterateOptions } = options;
+    return iterateImpl(this, '/feedback', criteria, sortRequest, iterateOptions, { transformUrls });
+  }
+
+  /**
+   * 获取全部符合条件的`Feedback`对象。
+   *
+   * 此函数逐页获取全部符合条件的对象，并将它们收集到一个数组中。若符合条件的对象数目很
+   * 多，应考虑使用`iterate()`函数逐个处理。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `appId: string|number|bigint` 所属应用的ID；
+   *  - `appCode: string` 所属应用的编码；
+   *  - `appName: string` 所属应用的名称中应包含的字符串；
+   *  - `type: FeedbackType|string` 类型；
+   *  - `category: string` 具体类别；
+   *  - `submitterId: string|number|bigint` 提交用户的ID；
+   *  - `submitterUsername: string` 提交用户的用户名；
+   *  - `status: FeedbackStatus|string` 状态；
+   *  - `deleted: boolean` 是否已经被标记删除；
+   *  - `createTimeStart: string`创建时间范围的（闭区间）起始值；
+   *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
+   *  - `modifyTimeStart: string` 修改时间范围的（闭区间）起始值；
+   *  - `modifyTimeEnd: string` 修改时间范围的（闭区间）结束值；
+   *  - `deleteTimeStart: string` 标记删除时间范围的（闭区间）起始值；
+   *  - `deleteTimeEnd: string` 标记删除时间范围的（闭区间）结束值；
+   * @param {object} sortRequest
+   *     排序参数。允许的参数包括：
+   *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
+   *  - `sortOrder: SortOrder` 指定是正序还是倒序。
+   * @param {object} options
+   *     遍历选项，包含以下属性：
+   *  - `pageSize: number` 每次请求的分页大小，默认值为`100`；
+   *  - `maxItems: number` 最多产生的对象数目，默认不限制；
+   *  - `showLoading: boolean` 每次请求时是否显示加载提示，默认值为`true`；
+   *  - `signal: AbortSignal` 用于取消遍历的信号，默认值为`undefined`；
+   *  - `transformUrls: boolean` 是否转换附件中的URL地址，默认值为`true`。
+   * @return {Promise<Array<Feedback>|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回包含全部符合条件的
+   *     `Feedback`对象的数组；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  listAll(criteria = {}, sortRequest = {}, options = {}) {
+    const { transformUrls = true, ...iterateOptions } = options;
+    return listAllImpl(this, '/feedback', criteria, sortRequest, iterateOptions, { transformUrls });
   }
 
   /**
@@ -108,17 +231,18 @@ class FeedbackApi {
    *
    * @param {string|number|bigint} id
    *     指定的`Feedback`对象的ID。
-   * @param {boolean} transformUrls
+   * @param {boolean|object} transformUrls
    *     是否转换附件中的URL为完整URL。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Feedback|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`Feedback`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   get(id, transformUrls = true, showLoading = true) {
-    return getImpl(this, '/feedback/{id}', id, showLoading, { transformUrls });
+    const args = resolveOptionalArguments([transformUrls, showLoading], { transformUrls: true });
+    return getImpl(this, '/feedback/{id}', id, args.showLoading, { transformUrls: args.transformUrls });
   }
 
   /**
@@ -126,10 +250,10 @@ class FeedbackApi {
    *
    * @param {string|number|bigint} id
    *     指定的`Feedback`对象的ID。
-   * @param {boolean} transformUrls
+   * @param {boolean|object} transformUrls
    *     是否转换附件中的URL为完整URL。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Array<FeedbackTrack>|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`Feedback`
    *     的所有`FeedbackTrack`对象列表；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -137,15 +261,18 @@ class FeedbackApi {
   @Log
   getTracks(id, transformUrls = true, showLoading = true) {
     checkArgumentType('id', id, [String, Number, BigInt]);
-    checkArgumentType('transformUrls', transformUrls, Boolean);
-    checkArgumentType('showLoading', showLoading, Boolean);
+    const args = resolveOptionalArguments([transformUrls, showLoading], { transformUrls: true });
+    checkArgumentType('transformUrls', args.transformUrls, Boolean);
+    const requestOptions = normalizeRequestOptions(args.showLoading);
     const params = toJSON({
-      transformUrls,
+      transformUrls: args.transformUrls,
     }, toJsonOptions);
-    if (showLoading) {
+    if (requestOptions.showLoading) {
       loading.showGetting();
     }
-    return http.get(`/feedback/${stringifyId(id)}/track`, { params }).then((obj) => {
+    const config = toRequestConfig(requestOptions, { params });
+    const promise = http.get(`/feedback/${stringifyId(id)}/track`, config);
+    return handleCancellation(promise, requestOptions).then((obj) => {
       const result = FeedbackTrack.createArray(obj, assignOptions);
       this.logger.info('Successfully get all tracks of Feedback by ID:', id);
       this.logger.debug('The FeedbackTrack is:', result);
@@ -158,8 +285,8 @@ class FeedbackApi {
    *
    * @param {Feedback|object} entity
    *     要添加的`Feedback`对象。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Feedback|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回新增的`Feedback`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -178,8 +305,8 @@ class FeedbackApi {
    *     待执行的操作。
    * @param {FeedbackTrack} track
    *     操作的跟踪记录。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<FeedbackTrack|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回新增的`FeedbackTrack`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -189,13 +316,15 @@ class FeedbackApi {
     checkArgumentType('id', id, [String, Number, BigInt]);
     checkArgumentType('action', action, [FeedbackAction, String]);
     checkArgumentType('track', track, FeedbackTrack);
-    checkArgumentType('showLoading', showLoading, Boolean);
+    const requestOptions = normalizeRequestOptions(showLoading);
     const data = toJSON(track, toJsonOptions);
     const url = `/feedback/${stringifyId(id)}/action/${action}`;
-    if (showLoading) {
+    if (requestOptions.showLoading) {
       loading.showUpdating();
     }
-    return http.put(url, data).then((obj) => {
+    const config = toRequestConfig(requestOptions);
+    const promise = http.put(url, data, config);
+    return handleCancellation(promise, requestOptions).then((obj) => {
       const result = FeedbackTrack.create(obj, assignOptions);
       this.logger.info('Successfully perform the action %s to the Feedback:', action, id);
       this.logger.debug('The added FeedbackTrack is:', result);
@@ -208,8 +337,8 @@ class FeedbackApi {
    *
    * @param {string|number|bigint} id
    *     指定的`Feedback`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据被标记删除时的时间戳；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -224,8 +353,8 @@ class FeedbackApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     指定的`Feedback`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回被标记删除的记录数；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -240,8 +369,8 @@ class FeedbackApi {
    *
    * @param {string|number|bigint} id
    *     指定的已被标记删除的`Feedback`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<null|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -256,8 +385,8 @@ class FeedbackApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     指定的已被标记删除的`Feedback`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回恢复的记录数；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -272,8 +401,8 @@ class FeedbackApi {
    *
    * @param {string|number|bigint} id
    *     指定的已被标记删除的`Feedback`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<null|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -286,8 +415,8 @@ class FeedbackApi {
   /**
    * 彻底清除全部已被标记删除的`Feedback`对象。
    *
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回被清除的记录数；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -302,8 +431,8 @@ class FeedbackApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     指定的已被标记删除的`Feedback`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回被清除的记录数；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -318,8 +447,8 @@ class FeedbackApi {
    *
    * @param {string|number|bigint} id
    *     指定的`Feedback`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<null|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -334,8 +463,8 @@ class FeedbackApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     指定的`Feedback`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回被清除的记录数；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
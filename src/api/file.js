@@ -12,16 +12,46 @@ import { Upload } from '@qubit-ltd/common-model';
 import { loading } from '@qubit-ltd/common-ui';
 import { checkArgumentType } from '@qubit-ltd/common-util';
 import { Log, Logger } from '@qubit-ltd/logging';
+import { downloadBlob } from './impl/download-blob';
 import { assignOptions, toJsonOptions } from './impl/options';
+import {
+  handleCancellation,
+  normalizeRequestOptions,
+  resolveOptionalArguments,
+  toRequestConfig,
+} from './impl/request-options';
+import { retryRequest } from './impl/retry-policy';
 
 const logger = Logger.getLogger('FileApi');
 
+/**
+ * 无法从响应头中解析出下载的文件的名称时所使用的默认文件名称。
+ *
+ * @type {string}
+ * @private
+ */
+const DEFAULT_DOWNLOAD_FILENAME = 'downloaded_file';
+
 /**
  * 提供文件上传、下载服务的API。
  *
  * @author 胡海星
  */
 class FileApi {
+  /**
+   * 路由定义，用于生成OpenAPI文档，详见`generateOpenApiDocument()`的说明。
+   *
+   * @type {Array<Object>}
+   */
+  ROUTE_DEFINITIONS = [
+    { name: 'upload', method: 'post', url: '/file/upload' },
+    { name: 'uploadWithHash', method: 'post', url: '/file/upload' },
+    { name: 'download', method: 'get', url: '/file/download' },
+    { name: 'getDownloadUrl', method: 'get', url: '/file/download/url' },
+    { name: 'getBase64', method: 'get', url: '/file/base64' },
+    { name: 'getBase64DataUrl', method: 'get', url: '/file/base64/url' },
+  ];
+
   /**
    * 上载一个文件。
    *
@@ -29,15 +59,16 @@ class FileApi {
    *     待上传的文件的原始文件名。
    * @param {Blob|File} file
    *     待上传的文件对象。
-   * @param {string|null|undefined} contentType
-   *     待上传文件的 Content-Type。可以为`null`或者`undefined`。
+   * @param {string|null|undefined|object} contentType
+   *     待上传文件的 Content-Type。可以为`null`或者`undefined`。也可以是一个请求选项对象，
+   *     此时`contentType`和`onUploadProgress`的值由该对象的同名属性指定。
    * @param {function|null|undefined} onUploadProgress
    *     上传进度回调函数。可以为`null`或者`undefined`。如果非空，则必须是 axios
    *     的`onUploadProgress`回调函数，该函数接收一个`progressEvent`参数，
    *     用于监控上传进度，其中`progressEvent.loaded`表示已上传的字节数，
    *     `progressEvent.total`表示总字节数。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Upload|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回根据上传的文件所创建的
    *     `Upload`对象；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -46,15 +77,19 @@ class FileApi {
   upload(filename, file, contentType = undefined, onUploadProgress = undefined, showLoading = true) {
     checkArgumentType('filename', filename, String);
     checkArgumentType('file', file, File);
-    checkArgumentType('contentType', contentType, String, true);
-    checkArgumentType('onUploadProgress', onUploadProgress, Function, true);
+    const args = resolveOptionalArguments([contentType, onUploadProgress, showLoading], {
+      contentType: undefined,
+      onUploadProgress: undefined,
+    });
+    checkArgumentType('contentType', args.contentType, String, true);
+    checkArgumentType('onUploadProgress', args.onUploadProgress, Function, true);
     const params = {
       filename,
       algorithm: undefined,
       hash: undefined,
-      contentType,
-      onUploadProgress,
-      showLoading,
+      contentType: args.contentType,
+      onUploadProgress: args.onUploadProgress,
+      showLoading: args.showLoading,
     };
     return this.__uploadImpl(file, params);
   }
@@ -70,15 +105,16 @@ class FileApi {
    *     待上传的文件按照指定的哈希算法计算出的哈希值。若{@code algorithm}为{@code null}，则忽略此参数。
    * @param {Blob|File} file
    *     待上传的文件对象。
-   * @param {string|null|undefined} contentType
-   *     待上传文件的 Content-Type。可以为`null`或者`undefined`。
+   * @param {string|null|undefined|object} contentType
+   *     待上传文件的 Content-Type。可以为`null`或者`undefined`。也可以是一个请求选项对象，
+   *     此时`contentType`和`onUploadProgress`的值由该对象的同名属性指定。
    * @param {function|null|undefined} onUploadProgress
    *     上传进度回调函数。可以为`null`或者`undefined`。如果非空，则必须是 axios
    *     的`onUploadProgress`回调函数，该函数接收一个`progressEvent`参数，
    *     用于监控上传进度，其中`progressEvent.loaded`表示已上传的字节数，
    *     `progressEvent.total`表示总字节数。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Upload|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回根据上传的文件所创建的
    *     `Upload`对象；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -90,15 +126,19 @@ class FileApi {
     checkArgumentType('algorithm', algorithm, String);
     checkArgumentType('hash', hash, String);
     checkArgumentType('file', file, File);
-    checkArgumentType('contentType', contentType, String, true);
-    checkArgumentType('onUploadProgress', onUploadProgress, Function, true);
+    const args = resolveOptionalArguments([contentType, onUploadProgress, showLoading], {
+      contentType: undefined,
+      onUploadProgress: undefined,
+    });
+    checkArgumentType('contentType', args.contentType, String, true);
+    checkArgumentType('onUploadProgress', args.onUploadProgress, Function, true);
     const params = {
       filename,
       algorithm,
       hash,
-      contentType,
-      onUploadProgress,
-      showLoading,
+      contentType: args.contentType,
+      onUploadProgress: args.onUploadProgress,
+      showLoading: args.showLoading,
     };
     return this.__uploadImpl(file, params);
   }
@@ -121,8 +161,8 @@ class FileApi {
    *     的`onUploadProgress`回调函数，该函数接收一个`progressEvent`参数，
    *     用于监控上传进度，其中`progressEvent.loaded`表示已上传的字节数，
    *     `progressEvent.total`表示总字节数。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Upload|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回根据上传的文件所创建的
    *     `Upload`对象；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -144,10 +184,13 @@ class FileApi {
       formData.append('contentType', contentType);
     }
     formData.append('file', file);
-    if (showLoading) {
+    const requestOptions = normalizeRequestOptions(showLoading);
+    if (requestOptions.showLoading) {
       loading.showUploading();
     }
-    return http.post('/file/upload', formData, { headers, onUploadProgress }).then((obj) => {
+    const config = toRequestConfig(requestOptions, { headers, onUploadProgress });
+    const promise = http.post('/file/upload', formData, config);
+    return handleCancellation(promise, requestOptions).then((obj) => {
       const result = Upload.create(obj, assignOptions);
       logger.info('Successfully update the file.');
       logger.debug('The upload file is:', result);
@@ -160,15 +203,20 @@ class FileApi {
    *
    * @param {string} path
    *    待下载文件在服务器上的相对路径。
-   * @param {string|null} mimeType
+   * @param {string|null|object} mimeType
    *    文件的MIME类型，若为`null`或`undefined`则从响应头中自动解析。默认值为`null`。
-   * @param {boolean} autoDownload
+   *    也可以是一个请求选项对象，此时`mimeType`、`autoDownload`和`filename`的值由该对象的
+   *    同名属性指定。
+   * @param {boolean|object} autoDownload
    *    是否自动下载文件。默认值为`true`。如此参数为`false`，则返回一个包含下载的文件的信息
    *    的对象，详见返回值说明。
    * @param {string} filename
    *    下载的文件的名称。如不提供则自动从响应头中解析获取，或者使用默认值`downloaded_file`。
-   * @param {boolean} showLoading
-   *    是否显示加载提示。默认值为`true`。
+   * @param {boolean|object} showLoading
+   *    是否显示加载提示。默认值为`true`。也可以是一个请求选项对象，包含`showLoading`、
+   *    `signal`、`timeout`、`headers`和`params`等属性；若指定的`signal`被触发，则中止下载，
+   *    且不会再让浏览器保存该文件，返回的`Promise`对象解析失败并返回一个`RequestCancelledError`
+   *    对象。
    * @return {Promise<object|ErrorInfo>}
    *    此HTTP请求的`Promise`对象。若操作成功，则解析成功，并返回一个包含下载的文件的信息的
    *    对象，其中包含以下属性：
@@ -181,18 +229,34 @@ class FileApi {
    */
   @Log
   download(path, mimeType = null, autoDownload = true, filename = null, showLoading = true) {
+    const args = resolveOptionalArguments([mimeType, autoDownload, filename, showLoading], {
+      mimeType: null,
+      autoDownload: true,
+      filename: null,
+    });
     checkArgumentType('path', path, String);
-    checkArgumentType('mimeType', mimeType, String, true);
-    checkArgumentType('autoDownload', autoDownload, Boolean);
-    checkArgumentType('filename', filename, String, true);
-    checkArgumentType('showLoading', showLoading, Boolean);
+    checkArgumentType('mimeType', args.mimeType, String, true);
+    checkArgumentType('autoDownload', args.autoDownload, Boolean);
+    checkArgumentType('filename', args.filename, String, true);
+    const requestOptions = normalizeRequestOptions(args.showLoading);
     // 注意：我们没有采用直接拼接URL的方式带上query string，
     // 因为需要对参数做 URI encoding，否则如果参数中也带有hash或query，就会出错。
-    const params = toJSON({ path }, toJsonOptions);
-    if (showLoading) {
-      loading.showDownloading();
-    }
-    return http.download('/file/download', params, mimeType, autoDownload, filename).then((result) => {
+    const params = toJSON({ ...requestOptions.params, path }, toJsonOptions);
+    const promise = retryRequest(this, requestOptions, () => {
+      if (requestOptions.showLoading) {
+        loading.showDownloading();
+      }
+      return downloadBlob(
+        '/file/download',
+        params,
+        args.mimeType,
+        args.autoDownload,
+        args.filename,
+        DEFAULT_DOWNLOAD_FILENAME,
+        requestOptions,
+      );
+    });
+    return handleCancellation(promise, requestOptions).then((result) => {
       logger.info('Successfully download the file \'%s\':', path, result);
       return result;
     });
@@ -203,8 +267,8 @@ class FileApi {
    *
    * @param path
    *     待下载文件在服务器上的相对路径。
-   * @param {boolean} showLoading
-   *    是否显示加载提示。默认值为`true`。
+   * @param {boolean|object} showLoading
+   *    是否显示加载提示，或者一个请求选项对象。默认值为`true`。
    * @returns {Promise<String>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回待下载文件在服务器上相对路径
    *     的绝对下载URL；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -214,10 +278,13 @@ class FileApi {
     const params = toJSON({
       path,
     }, toJsonOptions);
-    if (showLoading) {
+    const requestOptions = normalizeRequestOptions(showLoading);
+    if (requestOptions.showLoading) {
       loading.showGetting();
     }
-    return http.get('/file/download/url', { params }).then((response) => {
+    const config = toRequestConfig(requestOptions, { params });
+    const promise = http.get('/file/download/url', config);
+    return handleCancellation(promise, requestOptions).then((response) => {
       const url = String(response);
       logger.info('Successfully get the download URL for file %s:', path, url);
       return url;
@@ -229,8 +296,8 @@ class FileApi {
    *
    * @param path
    *     待下载文件在服务器上的相对路径。
-   * @param {boolean} showLoading
-   *    是否显示加载提示。默认值为`true`。
+   * @param {boolean|object} showLoading
+   *    是否显示加载提示，或者一个请求选项对象。默认值为`true`。
    * @returns {Promise<String>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回待下载文件内容的BASE64编码，
    *     以字符串形式表示；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -240,10 +307,13 @@ class FileApi {
     const params = toJSON({
       path,
     }, toJsonOptions);
-    if (showLoading) {
+    const requestOptions = normalizeRequestOptions(showLoading);
+    if (requestOptions.showLoading) {
       loading.showGetting();
     }
-    return http.get('/file/base64', { params }).then((response) => {
+    const config = toRequestConfig(requestOptions, { params });
+    const promise = http.get('/file/base64', config);
+    return handleCancellation(promise, requestOptions).then((response) => {
       const result = String(response);
       logger.info('Successfully get the BASE-64 encoded string for file %s:', path, result);
       return result;
@@ -255,8 +325,8 @@ class FileApi {
    *
    * @param path
    *     待下载文件在服务器上的相对路径。
-   * @param {boolean} showLoading
-   *    是否显示加载提示。默认值为`true`。
+   * @param {boolean|object} showLoading
+   *    是否显示加载提示，或者一个请求选项对象。默认值为`true`。
    * @returns {Promise<String>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回待下载文件内容的BASE64编码
    *     的数据URL；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -266,10 +336,13 @@ class FileApi {
     const params = toJSON({
       path,
     }, toJsonOptions);
-    if (showLoading) {
+    const requestOptions = normalizeRequestOptions(showLoading);
+    if (requestOptions.showLoading) {
       loading.showGetting();
     }
-    return http.get('/file/base64/url', { params }).then((response) => {
+    const config = toRequestConfig(requestOptions, { params });
+    const promise = http.get('/file/base64/url', config);
+    return handleCancellation(promise, requestOptions).then((response) => {
       const result = String(response);
       logger.info('Successfully get the BASE-64 encoded data URL for file %s:', path, result);
       return result;
@@ -10,19 +10,34 @@ import { http } from '@qubit-ltd/common-app';
 import { toJSON } from '@qubit-ltd/common-decorator';
 import { loading } from '@qubit-ltd/common-ui';
 import { checkArgumentType } from '@qubit-ltd/common-util';
+import { sendBatchRequest } from './batch-request';
+import { getBatchParams, toBatchResult } from './batch-result';
 import { assignOptions, toJsonOptions } from './options';
+import { offlineQueue } from './offline-queue';
+import {
+  handleCancellation,
+  normalizeRequestOptions,
+  toRequestConfig,
+} from './request-options';
+import { invalidateResponseCache } from './response-cache';
+import { retryRequest } from './retry-policy';
 
 /**
  * 添加一个实体对象。
  *
+ * 若离线队列处于活动状态（即已启用离线模式，且网络处于离线状态或者队列中还有尚未重放的
+ * 操作），则将此操作加入离线队列，并解析成功返回由`entity`构造的实体对象，详见
+ * `OfflineQueue`的说明。
+ *
  * @param {object} api
  *     调用此函数的API对象。
  * @param {string} url
  *     请求的URL。
  * @param {object} entity
  *     要添加的实体对象。
- * @param {boolean} showLoading
- *     是否显示加载提示。
+ * @param {boolean|object} showLoading
+ *     是否显示加载提示。也可以是一个请求选项对象，包含`showLoading`和`signal`等属性，
+ *     详见`normalizeRequestOptions()`的说明。
  * @param {object} options
  *     附加的选项。
  * @return {Promise<App|ErrorInfo>}
@@ -31,13 +46,23 @@ import { assignOptions, toJsonOptions } from './options';
  */
 function addImpl(api, url, entity, showLoading, options = {}) {
   checkArgumentType('entity', entity, [api.entityClass, Object]);
-  checkArgumentType('showLoading', showLoading, Boolean);
+  const requestOptions = normalizeRequestOptions(showLoading);
   const data = toJSON(entity, toJsonOptions);
   const params = toJSON({ ...options }, toJsonOptions);
-  if (showLoading) {
-    loading.showAdding();
+  const config = toRequestConfig(requestOptions, { params });
+  if (offlineQueue.isActive()) {
+    return offlineQueue.enqueue(api, { action: 'add', method: 'post', url, data, config })
+      .then(() => api.entityClass.create(data, assignOptions));
   }
-  return http.post(url, data, { params }).then((obj) => {
+  // 添加操作不是幂等的，只有显式地启用时才会重试
+  const promise = retryRequest(api, requestOptions, () => {
+    if (requestOptions.showLoading) {
+      loading.showAdding();
+    }
+    return http.post(url, data, config);
+  }, false);
+  return handleCancellation(promise, requestOptions).then((obj) => {
+    invalidateResponseCache(api);
     const result = api.entityClass.create(obj, assignOptions);
     api.logger.info('Successfully add the %s:', api.entityClass.name, entity.id);
     api.logger.debug('The added %s is:', api.entityClass.name, result);
@@ -45,4 +70,61 @@ function addImpl(api, url, entity, showLoading, options = {}) {
   });
 }
 
+/**
+ * 批量添加实体对象。
+ *
+ * 若`entities`的数目超过分块策略的`chunkSize`，则自动拆分为若干个分块请求发送，并合并其
+ * 结果，详见`sendBatchRequest()`的说明。
+ *
+ * @param {object} api
+ *     调用此函数的API对象。
+ * @param {string} url
+ *     请求的URL。
+ * @param {Array<object>} entities
+ *     要批量添加的实体对象的列表。
+ * @param {boolean|object} showLoading
+ *     是否显示加载提示。也可以是一个请求选项对象，包含`showLoading`和`signal`等属性，
+ *     详见`normalizeRequestOptions()`的说明。
+ * @param {object} options
+ *     附加的选项。
+ * @return {Promise<Array<App>|BatchResult|ErrorInfo>}
+ *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回新增的实体对象的列表，其顺序
+ *     与`entities`中的顺序一致；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+ *     若请求选项中指定了`batchResult: true`，则解析成功时返回一个`BatchResult`对象，列出
+ *     处理成功和处理失败的项。
+ * @author 胡海星
+ */
+function batchAddImpl(api, url, entities, showLoading, options = {}) {
+  checkArgumentType('entities', entities, Array);
+  entities.forEach((entity, index) => {
+    checkArgumentType(`entities[${index}]`, entity, [api.entityClass, Object]);
+  });
+  const requestOptions = normalizeRequestOptions(showLoading);
+  const data = toJSON(entities, toJsonOptions);
+  const params = getBatchParams(options, requestOptions);
+  const config = toRequestConfig(requestOptions, { params });
+  // 添加操作不是幂等的，只有显式地启用时才会重试
+  const promise = sendBatchRequest(api, requestOptions, data, (chunk) => retryRequest(api, requestOptions, () => {
+    if (requestOptions.showLoading) {
+      loading.showAdding();
+    }
+    return http.post(url, chunk, config);
+  }, false));
+  return handleCancellation(promise, requestOptions).then((objs) => {
+    invalidateResponseCache(api);
+    if (requestOptions.batchResult) {
+      return toBatchResult(api, 'added', objs, true);
+    }
+    const result = api.entityClass.createArray(objs, assignOptions);
+    api.logger.info('Successfully batch added %d %ss.', result.length, api.entityClass.name);
+    api.logger.debug('The added %ss are:', api.entityClass.name, result);
+    return result;
+  });
+}
+
+export {
+  addImpl,
+  batchAddImpl,
+};
+
 export default addImpl;
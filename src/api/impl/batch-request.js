@@ -0,0 +1,278 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { checkArgumentType } from '@qubit-ltd/common-util';
+import { Logger } from '@qubit-ltd/logging';
+import RequestCancelledError from '../../error/RequestCancelledError';
+
+const logger = Logger.getLogger('BatchRequest');
+
+/**
+ * 全局的批量请求分块策略。
+ *
+ * 修改此对象的属性即可全局地修改分块策略；也可以通过API对象的`batchPolicy`属性为某个
+ * API对象单独指定分块策略，或者通过请求选项的`chunkSize`和`concurrency`属性为单次请求
+ * 指定分块策略。
+ *
+ * 分块策略包含以下属性：
+ * - `chunkSize: number` 每个分块最多包含的项的数目；
+ * - `concurrency: number` 最多同时发送的分块请求的数目，设置为`1`表示逐个发送。
+ *
+ * @type {object}
+ */
+const batchPolicy = {
+  chunkSize: 1000,
+  concurrency: 1,
+};
+
+/**
+ * 检查批量请求的请求选项是否合法。
+ *
+ * `batchResult`、`chunkSize`、`concurrency`和`onProgress`等请求选项仅对批量请求有效，
+ * 因此在发送批量请求时才检查，而不是由`normalizeRequestOptions()`检查。
+ *
+ * @param {object} requestOptions
+ *     由`normalizeRequestOptions()`返回的请求选项对象。
+ * @throws TypeError
+ *     若某个请求选项的类型不合法，则抛出此异常。
+ * @private
+ */
+function checkBatchRequestOptions(requestOptions) {
+  const { batchResult, chunkSize, concurrency, onProgress } = requestOptions;
+  checkArgumentType('requestOptions.batchResult', batchResult, Boolean, true);
+  checkArgumentType('requestOptions.chunkSize', chunkSize, Number, true);
+  checkArgumentType('requestOptions.concurrency', concurrency, Number, true);
+  checkArgumentType('requestOptions.onProgress', onProgress, Function, true);
+}
+
+/**
+ * 获取指定请求的分块策略。
+ *
+ * 请求选项中的`chunkSize`和`concurrency`属性优先于API对象的`batchPolicy`属性，后者又
+ * 优先于全局的分块策略。
+ *
+ * @param {object} api
+ *     调用此函数的API对象。
+ * @param {object} requestOptions
+ *     由`normalizeRequestOptions()`返回的请求选项对象。
+ * @return {object}
+ *     指定请求的分块策略。
+ * @private
+ */
+function resolveBatchPolicy(api, requestOptions) {
+  const policy = { ...batchPolicy, ...api?.batchPolicy };
+  const chunkSize = requestOptions.chunkSize ?? policy.chunkSize;
+  const concurrency = requestOptions.concurrency ?? policy.concurrency;
+  return {
+    chunkSize: Math.max(1, Math.floor(chunkSize)),
+    concurrency: Math.max(1, Math.floor(concurrency)),
+  };
+}
+
+/**
+ * 将一个分块请求返回的失败项的索引修正为其在整个批量请求中的索引。
+ *
+ * @param {Array<object>|undefined} failures
+ *     该分块请求返回的失败项的列表。
+ * @param {number} offset
+ *     该分块的第一项在整个批量请求中的索引。
+ * @return {Array<object>}
+ *     修正了索引的失败项的列表。
+ * @private
+ */
+function offsetFailures(failures, offset) {
+  return (failures ?? []).map((failure) => ({
+    ...failure,
+    index: ((failure.index === null) || (failure.index === undefined)) ? null : (failure.index + offset),
+  }));
+}
+
+/**
+ * 合并各个分块请求的响应数据。
+ *
+ * - 若响应数据为数组（例如批量添加和批量更新操作返回的实体对象列表），则按照分块的顺序
+ *   将其连接起来；
+ * - 若响应数据为数字（例如批量删除操作返回的实体数目），则将其相加；
+ * - 若响应数据为逐项的处理结果，则分别连接其`succeeded`和`failed`属性，并将`failed`中
+ *   各项的`index`属性修正为其在整个批量请求中的索引。
+ *
+ * @param {Array<any>} responses
+ *     各个分块请求的响应数据，按照分块的顺序排列。
+ * @param {number} chunkSize
+ *     每个分块包含的项的数目。
+ * @return {any}
+ *     合并后的响应数据。
+ * @private
+ */
+function mergeResponses(responses, chunkSize) {
+  const [first] = responses;
+  if (Array.isArray(first)) {
+    return responses.flat();
+  }
+  if ((first !== null) && (typeof first === 'object')) {
+    return {
+      succeeded: responses.flatMap((response) => response?.succeeded ?? []),
+      failed: responses.flatMap((response, i) => offsetFailures(response?.failed, i * chunkSize)),
+    };
+  }
+  if (responses.every((response) => typeof response === 'number')) {
+    return responses.reduce((sum, response) => sum + response, 0);
+  }
+  return responses[responses.length - 1];
+}
+
+/**
+ * 获取批量请求的一项所对应的实体对象的ID。
+ *
+ * @param {any} item
+ *     批量请求的一项，可以是实体对象的ID，也可以是实体对象。
+ * @return {string|number|bigint|null}
+ *     该项所对应的实体对象的ID；若该项是没有ID的实体对象（例如批量添加的对象），则返回
+ *     `null`。
+ * @private
+ */
+function getItemId(item) {
+  if ((item !== null) && (typeof item === 'object')) {
+    return item.id ?? null;
+  }
+  return item ?? null;
+}
+
+/**
+ * 在某些分块请求失败后，合并已完成的分块请求的逐项处理结果。
+ *
+ * 已完成的分块请求的逐项处理结果按照`mergeResponses()`的方式合并；失败的分块请求中的
+ * 每一项都作为一个失败项，其`error`属性为该分块请求的错误；未被发送的分块请求中的每一项
+ * 也都作为一个失败项，其`skipped`属性为`true`。
+ *
+ * @param {Array<Array<any>>} chunks
+ *     各个分块的项的列表。
+ * @param {Array<object>} responses
+ *     各个分块请求的逐项处理结果，未完成的分块请求对应的元素为`undefined`。
+ * @param {Array<any>} errors
+ *     各个分块请求的错误，未失败的分块请求对应的元素为`undefined`。
+ * @param {number} chunkSize
+ *     每个分块包含的项的数目。
+ * @return {object}
+ *     合并后的逐项处理结果，形如`{ succeeded, failed }`。
+ * @private
+ */
+function mergePartialResults(chunks, responses, errors, chunkSize) {
+  const succeeded = [];
+  const failed = [];
+  chunks.forEach((chunk, i) => {
+    if (responses[i] !== undefined) {
+      succeeded.push(...(responses[i]?.succeeded ?? []));
+      failed.push(...offsetFailures(responses[i]?.failed, i * chunkSize));
+    } else {
+      const error = errors[i] ?? null;
+      failed.push(...chunk.map((item, j) => ({
+        index: i * chunkSize + j,
+        id: getItemId(item),
+        error,
+        skipped: (error === null),
+      })));
+    }
+  });
+  return { succeeded, failed };
+}
+
+/**
+ * 分块发送一个批量请求。
+ *
+ * 若批量请求包含的项的数目超过分块策略的`chunkSize`，则将其拆分为若干个分块，每个分块
+ * 调用一次`send`函数发送请求，最多同时发送`concurrency`个分块请求，并在所有分块请求完成
+ * 后合并其响应数据，详见`mergeResponses()`的说明；否则直接调用`send`函数发送整个批量
+ * 请求。
+ *
+ * 每个分块请求完成后，若请求选项中指定了`onProgress`回调函数，则以
+ * `{ completed, total }`为参数调用之，其中`completed`为已处理完成的项的数目，`total`为
+ * 项的总数。
+ *
+ * 若任何一个分块请求失败，则不再发送其余的分块请求，并解析失败返回该分块请求的错误；已经
+ * 完成的分块请求不会被撤销。但若请求选项中指定了`batchResult: true`，则等待正在进行的
+ * 分块请求完成后解析成功，返回已完成的分块请求的逐项处理结果，失败的分块请求及未被发送的
+ * 分块请求中的每一项都将作为失败项列出，详见`mergePartialResults()`的说明，以便调用者
+ * 得知哪些项已被处理。若请求被取消，则不再发送其余的分块请求，并解析失败返回一个
+ * `RequestCancelledError`对象。
+ *
+ * @param {object} api
+ *     调用此函数的API对象，其`batchPolicy`属性（若存在）将覆盖全局的分块策略。
+ * @param {object} requestOptions
+ *     由`normalizeRequestOptions()`返回的请求选项对象。
+ * @param {Array<any>} items
+ *     批量请求的项的列表。
+ * @param {function} send
+ *     发送请求的函数，其参数为一个分块的项的列表，它应当负责显示加载提示，并返回请求的
+ *     `Promise`对象。
+ * @return {Promise<any>}
+ *     合并后的响应数据的`Promise`对象。
+ * @throws TypeError
+ *     若`batchResult`、`chunkSize`、`concurrency`或`onProgress`请求选项的类型不合法，
+ *     则抛出此异常。
+ * @author 胡海星
+ */
+function sendBatchRequest(api, requestOptions, items, send) {
+  checkBatchRequestOptions(requestOptions);
+  const { chunkSize, concurrency } = resolveBatchPolicy(api, requestOptions);
+  const { signal, onProgress, batchResult } = requestOptions;
+  const total = items.length;
+  if (total <= chunkSize) {
+    return send(items).then((response) => {
+      onProgress?.({ completed: total, total });
+      return response;
+    });
+  }
+  const chunks = [];
+  for (let i = 0; i < total; i += chunkSize) {
+    chunks.push(items.slice(i, i + chunkSize));
+  }
+  logger.info('Split the batch request of %d items into %d chunks.', total, chunks.length);
+  const responses = new Array(chunks.length);
+  const errors = new Array(chunks.length);
+  let next = 0;
+  let completed = 0;
+  let failed = false;
+  const work = () => {
+    if (failed || (next >= chunks.length)) {
+      return Promise.resolve();
+    }
+    if (signal?.aborted) {
+      return Promise.reject(new RequestCancelledError(signal.reason));
+    }
+    const index = next;
+    next += 1;
+    return send(chunks[index]).then((response) => {
+      responses[index] = response;
+      completed += chunks[index].length;
+      onProgress?.({ completed, total });
+      return work();
+    }, (error) => {
+      failed = true;
+      if (!batchResult || signal?.aborted) {
+        throw error;
+      }
+      // 记录失败的分块请求，待正在进行的分块请求完成后再返回部分处理结果
+      errors[index] = error;
+      logger.warn('The chunk %d of the batch request failed, the remaining chunks are skipped:', index, error);
+      return undefined;
+    });
+  };
+  const workers = Array.from({ length: Math.min(concurrency, chunks.length) }, work);
+  return Promise.all(workers).then(() => {
+    if (failed) {
+      return mergePartialResults(chunks, responses, errors, chunkSize);
+    }
+    return mergeResponses(responses, chunkSize);
+  });
+}
+
+export {
+  batchPolicy,
+  sendBatchRequest,
+};
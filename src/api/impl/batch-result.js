@@ -0,0 +1,65 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { toJSON } from '@qubit-ltd/common-decorator';
+import BatchResult from '../../model/BatchResult';
+import { assignOptions, toJsonOptions } from './options';
+
+/**
+ * 获取批量操作的查询参数。
+ *
+ * 若请求选项中指定了`batchResult: true`，则在查询参数中加入`batch_result=true`，要求
+ * 服务器返回逐项的处理结果。
+ *
+ * @param {object} options
+ *     调用者指定的附加的查询参数。
+ * @param {object} requestOptions
+ *     由`normalizeRequestOptions()`返回的请求选项对象。
+ * @return {object}
+ *     批量操作的查询参数，其属性名为下划线形式。
+ */
+function getBatchParams(options, requestOptions) {
+  const params = (requestOptions.batchResult ? { ...options, batchResult: true } : { ...options });
+  return toJSON(params, toJsonOptions);
+}
+
+/**
+ * 将服务器返回的批量操作的逐项处理结果转换为`BatchResult`对象。
+ *
+ * @param {object} api
+ *     调用此函数的API对象。
+ * @param {string} action
+ *     批量操作的名称，用于记录日志，例如`deleted`、`restored`等。
+ * @param {object} obj
+ *     服务器返回的批量操作的逐项处理结果。
+ * @param {boolean} withEntities
+ *     处理成功的项是否为实体对象。若为`true`，则将处理成功的项转换为`api.entityClass`
+ *     的实例，适用于批量添加和批量更新操作；否则处理成功的项为实体对象的ID。
+ * @return {BatchResult}
+ *     转换后的`BatchResult`对象。
+ */
+function toBatchResult(api, action, obj, withEntities = false) {
+  const result = BatchResult.create(obj, assignOptions);
+  if (withEntities) {
+    result.succeeded = api.entityClass.createArray(result.succeeded, assignOptions);
+  }
+  api.logger.info('Successfully batch %s %d %ss, and %d failed.',
+    action,
+    result.successCount,
+    api.entityClass.name,
+    result.failureCount);
+  if (result.failureCount > 0) {
+    api.logger.debug('The failed %ss are:', api.entityClass.name, result.failed);
+  }
+  return result;
+}
+
+export {
+  getBatchParams,
+  toBatchResult,
+};
@@ -0,0 +1,39 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import CursorPage from '../../model/CursorPage';
+import { assignOptions } from './options';
+
+/**
+ * 将服务器返回的游标分页数据转换为`CursorPage`对象。
+ *
+ * 服务器返回的游标分页数据形如`{ content, next_cursor, previous_cursor, limit }`，其中
+ * `content`中的元素将被转换为指定类的实例。若服务器未返回`limit`，则使用分页请求中的
+ * `limit`。
+ *
+ * @param {function} Class
+ *     数据列表中元素的类，通常为`api.entityClass`或`api.entityInfoClass`。
+ * @param {object} obj
+ *     服务器返回的游标分页数据。
+ * @param {object} pageRequest
+ *     游标分页请求，形如`{ after, limit }`或`{ before, limit }`。
+ * @return {CursorPage}
+ *     转换后的`CursorPage`对象。
+ */
+function toCursorPage(Class, obj, pageRequest) {
+  const page = CursorPage.create(obj, assignOptions);
+  page.content = Class.createArray(page.content ?? [], assignOptions);
+  if ((page.limit === null) && (pageRequest.limit !== undefined) && (pageRequest.limit !== null)) {
+    page.limit = pageRequest.limit;
+  }
+  return page;
+}
+
+export {
+  toCursorPage,
+};
@@ -0,0 +1,195 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { http } from '@qubit-ltd/common-app';
+import { toRequestConfig } from './request-options';
+
+/**
+ * JSON格式数据的MIME类型。
+ *
+ * @type {string}
+ * @private
+ */
+const JSON_MIME_TYPE = 'application/json';
+
+/**
+ * 让浏览器将指定的二进制数据保存为文件。
+ *
+ * @param {Blob} blob
+ *     待保存的二进制数据。
+ * @param {string} filename
+ *     保存的文件的名称。
+ * @private
+ */
+function saveBlob(blob, filename) {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  window.URL.revokeObjectURL(url);
+}
+
+/**
+ * 以文本形式读取二进制数据。
+ *
+ * @param {Blob} blob
+ *     待读取的二进制数据。
+ * @return {Promise<string>}
+ *     读取的文本的`Promise`对象。
+ * @private
+ */
+function readBlobText(blob) {
+  if (typeof blob.text === 'function') {
+    return blob.text();
+  }
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(blob);
+  });
+}
+
+/**
+ * 检查下载的二进制数据是否为服务器以JSON格式返回的错误信息。
+ *
+ * 若下载的数据的MIME类型为`application/json`，而期望的MIME类型不是`application/json`，
+ * 则说明服务器没有返回所请求的文件，而是返回了JSON格式的错误信息。此时解析该错误信息，
+ * 并以其作为失败的原因，以免将错误信息保存为文件。若未指定期望的MIME类型，则下载的数据
+ * 也可能是普通的JSON文件，因此仅当其内容形如`ErrorInfo`对象（即包含`type`和`code`
+ * 属性）时，才将其视为错误信息。
+ *
+ * @param {Blob} blob
+ *     下载的二进制数据。
+ * @param {string|undefined} contentType
+ *     下载的数据的MIME类型，不包含`charset`等参数。
+ * @param {string|null|undefined} mimeType
+ *     期望的MIME类型；若为`null`或`undefined`，则表示任意类型。
+ * @return {Promise<void>}
+ *     若下载的数据不是JSON格式的错误信息，则解析成功；否则解析失败并返回服务器返回的
+ *     错误信息对象。
+ * @private
+ */
+function checkJsonError(blob, contentType, mimeType) {
+  if ((contentType !== JSON_MIME_TYPE) || (mimeType === JSON_MIME_TYPE)) {
+    return Promise.resolve();
+  }
+  return readBlobText(blob).then((text) => {
+    let error = null;
+    try {
+      error = JSON.parse(text);
+    } catch (e) {
+      // 不是合法的JSON数据，视为普通的文件
+    }
+    const isErrorInfo = (typeof error?.type === 'string') && (typeof error?.code === 'string');
+    if (isErrorInfo || (mimeType && (error !== null))) {
+      throw error;
+    }
+  });
+}
+
+/**
+ * 从`Content-Disposition`响应头中解析文件名称。
+ *
+ * 优先使用 RFC 6266 规定的`filename*=UTF-8''...`形式，其次使用`filename="..."`或者
+ * `filename=...`形式。
+ *
+ * @param {string|null|undefined} disposition
+ *     `Content-Disposition`响应头的值。
+ * @return {string|null}
+ *     解析出的文件名称；若无法解析则返回`null`。
+ */
+function parseContentDisposition(disposition) {
+  if (!disposition) {
+    return null;
+  }
+  const extended = /filename\*\s*=\s*[^']*'[^']*'([^;]+)/i.exec(disposition);
+  if (extended) {
+    try {
+      return decodeURIComponent(extended[1].trim());
+    } catch (e) {
+      // 编码错误时退回到普通形式的文件名称
+    }
+  }
+  const plain = /filename\s*=\s*(?:"([^"]*)"|([^;]+))/i.exec(disposition);
+  const filename = (plain?.[1] ?? plain?.[2])?.trim();
+  return filename || null;
+}
+
+/**
+ * 以二进制数据的形式下载文件。
+ *
+ * 请求选项中的`signal`、`timeout`和`headers`等属性都会传递给`http`对象，因此`signal`
+ * 被触发时将真正中止下载，且不会再让浏览器保存该文件。
+ *
+ * 若期望的MIME类型不是`application/json`，而服务器返回了JSON格式的数据，则将其视为服务器
+ * 返回的错误信息，解析失败并返回该错误信息对象，而不会让浏览器保存该文件。若未指定期望的
+ * MIME类型，则仅当返回的JSON数据形如`ErrorInfo`对象时才将其视为错误信息。
+ *
+ * @param {string} url
+ *     请求的URL。
+ * @param {object} params
+ *     查询参数，其属性名为下划线形式。
+ * @param {string|null} mimeType
+ *     下载的文件的MIME类型；若为`null`或`undefined`，则从`Content-Type`响应头中解析。
+ * @param {boolean} autoDownload
+ *     是否让浏览器自动保存下载的文件。
+ * @param {string|null} filename
+ *     下载的文件的名称；若为`null`或`undefined`，则从`Content-Disposition`响应头中解析。
+ * @param {string} defaultFilename
+ *     无法从响应头中解析出文件名称时使用的默认文件名称。
+ * @param {object} requestOptions
+ *     由`normalizeRequestOptions()`返回的请求选项对象。
+ * @return {Promise<object>}
+ *     此HTTP请求的`Promise`对象，解析成功时返回形如`{ blob, filename, mimeType }`的对象；
+ *     若服务器返回了JSON格式的错误信息，则解析失败并返回该错误信息对象。
+ */
+function downloadBlob(url, params, mimeType, autoDownload, filename, defaultFilename, requestOptions) {
+  const { onDownloadProgress, signal } = requestOptions;
+  let headers = {};
+  // `params`中已经包含了请求选项中的查询参数
+  const config = {
+    ...toRequestConfig(requestOptions, { responseType: 'blob' }),
+    params,
+    // 保留响应头以便解析文件名称和MIME类型
+    transformResponse: [(data, responseHeaders) => {
+      headers = responseHeaders ?? {};
+      return data;
+    }],
+  };
+  if (onDownloadProgress) {
+    config.onDownloadProgress = (event) => onDownloadProgress({
+      loaded: event.loaded,
+      total: event.total ?? null,
+    });
+  }
+  return http.get(url, config).then((blob) => {
+    // axios 解析出的响应头名称均为小写形式
+    const contentType = headers['content-type']?.split(';')[0].trim();
+    const actualType = contentType || blob?.type?.split(';')[0].trim();
+    return checkJsonError(blob, actualType, mimeType).then(() => {
+      const result = {
+        blob,
+        filename: filename ?? parseContentDisposition(headers['content-disposition']) ?? defaultFilename,
+        mimeType: mimeType ?? (contentType || blob?.type || null),
+      };
+      if (autoDownload && !signal?.aborted) {
+        saveBlob(blob, result.filename);
+      }
+      return result;
+    });
+  });
+}
+
+export {
+  downloadBlob,
+  parseContentDisposition,
+};
@@ -11,6 +11,12 @@ import { stringifyId } from '@qubit-ltd/common-decorator';
 import { loading } from '@qubit-ltd/common-ui';
 import { checkArgumentType } from '@qubit-ltd/common-util';
 import checkIdArgumentType from '../../utils/check-id-argument-type';
+import {
+  handleCancellation,
+  normalizeRequestOptions,
+  toRequestConfig,
+} from './request-options';
+import { retryRequest } from './retry-policy';
 
 /**
  * 检测指定的实体对象是否存在。
@@ -21,19 +27,25 @@ import checkIdArgumentType from '../../utils/check-id-argument-type';
  *     请求的URL。
  * @param {string|number|bigint} id
  *     实体对象的ID。
- * @param {boolean} showLoading
- *     是否显示加载提示。
+ * @param {boolean|object} showLoading
+ *     是否显示加载提示。也可以是一个请求选项对象，包含`showLoading`和`signal`等属性，
+ *     详见`normalizeRequestOptions()`的说明。
  * @return {Promise<boolean|ErrorInfo>}
  *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的实体对象是否存在；
  *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
  */
 function existsImpl(api, url, id, showLoading) {
   checkIdArgumentType(id);
-  checkArgumentType('showLoading', showLoading, Boolean);
-  if (showLoading) {
-    loading.showGetting();
-  }
-  return http.head(url.replaceAll('{id}', stringifyId(id))).then(() => {
+  const requestOptions = normalizeRequestOptions(showLoading);
+  const theUrl = url.replaceAll('{id}', stringifyId(id));
+  const config = toRequestConfig(requestOptions);
+  const promise = retryRequest(api, requestOptions, () => {
+    if (requestOptions.showLoading) {
+      loading.showGetting();
+    }
+    return (config ? http.head(theUrl, config) : http.head(theUrl));
+  });
+  return handleCancellation(promise, requestOptions).then(() => {
     api.logger.info('Successfully checked the existence of %s by its ID "%s".', api.entityClass.name, id);
     return true;
   });
@@ -50,8 +62,9 @@ function existsImpl(api, url, id, showLoading) {
  *     实体对象的键名。
  * @param {string} keyValue
  *     实体对象的键值，必须是字符串类型。
- * @param {boolean} showLoading
- *     是否显示加载提示。
+ * @param {boolean|object} showLoading
+ *     是否显示加载提示。也可以是一个请求选项对象，包含`showLoading`和`signal`等属性，
+ *     详见`normalizeRequestOptions()`的说明。
  * @return {Promise<boolean|ErrorInfo>}
  *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定键值的实体对象是否存在；
  *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -60,11 +73,16 @@ function existsKeyImpl(api, url, keyName, keyValue, showLoading) {
   // 检查调用方传入的参数：keyName 是参数名（如 'code'），keyValue 是要检查的值
   // 这样错误信息会显示为 "The value of the argument 'code' must be a String"
   checkArgumentType(keyName, keyValue, String);
-  checkArgumentType('showLoading', showLoading, Boolean);
-  if (showLoading) {
-    loading.showGetting();
-  }
-  return http.head(url.replaceAll(`{${keyName}}`, keyValue)).then(() => {
+  const requestOptions = normalizeRequestOptions(showLoading);
+  const theUrl = url.replaceAll(`{${keyName}}`, keyValue);
+  const config = toRequestConfig(requestOptions);
+  const promise = retryRequest(api, requestOptions, () => {
+    if (requestOptions.showLoading) {
+      loading.showGetting();
+    }
+    return (config ? http.head(theUrl, config) : http.head(theUrl));
+  });
+  return handleCancellation(promise, requestOptions).then(() => {
     api.logger.info('Successfully checked the existence of %s by its %s "%s".', api.entityClass.name, keyName, keyValue);
     return true;
   });
@@ -85,8 +103,9 @@ function existsKeyImpl(api, url, keyName, keyValue, showLoading) {
  *     实体对象的键名。
  * @param {string} keyValue
  *     实体对象的键值，必须是字符串类型。
- * @param {boolean} showLoading
- *     是否显示加载提示。
+ * @param {boolean|object} showLoading
+ *     是否显示加载提示。也可以是一个请求选项对象，包含`showLoading`和`signal`等属性，
+ *     详见`normalizeRequestOptions()`的说明。
  * @return {Promise<boolean|ErrorInfo>}
  *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定父键值和子键值的实体对象是否存在；
  *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -96,12 +115,16 @@ function existsParentAndKeyImpl(api, url, parentKeyName, parentKeyValue, keyName
   // keyName 是子参数名，keyValue 是要检查的子参数值
   checkArgumentType(parentKeyName, parentKeyValue, [String, Number, BigInt]);
   checkArgumentType(keyName, keyValue, String);
-  checkArgumentType('showLoading', showLoading, Boolean);
-  if (showLoading) {
-    loading.showGetting();
-  }
+  const requestOptions = normalizeRequestOptions(showLoading);
   const theUrl = url.replaceAll(`{${parentKeyName}}`, stringifyId(parentKeyValue)).replaceAll(`{${keyName}}`, keyValue);
-  return http.head(theUrl).then(() => {
+  const config = toRequestConfig(requestOptions);
+  const promise = retryRequest(api, requestOptions, () => {
+    if (requestOptions.showLoading) {
+      loading.showGetting();
+    }
+    return (config ? http.head(theUrl, config) : http.head(theUrl));
+  });
+  return handleCancellation(promise, requestOptions).then(() => {
     api.logger.info('Successfully checked the existence of %s by parent %s "%s" and its %s "%s".',
       api.entityClass.name,
       parentKeyName,
@@ -0,0 +1,285 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { http } from '@qubit-ltd/common-app';
+import { toJSON } from '@qubit-ltd/common-decorator';
+import { CommonMimeType, TaskInfo } from '@qubit-ltd/common-model';
+import { loading } from '@qubit-ltd/common-ui';
+import { checkArgumentType } from '@qubit-ltd/common-util';
+import RequestCancelledError from '../../error/RequestCancelledError';
+import TaskFailedError from '../../error/TaskFailedError';
+import TaskTimeoutError from '../../error/TaskTimeoutError';
+import Criteria from '../../params/Criteria';
+import checkObjectArgument from '../../utils/check-object-argument';
+import checkSortRequestArgument from '../../utils/check-sort-request-argument';
+import fileApi from '../file';
+import taskInfoApi from '../task-info';
+import { assignOptions, toJsonOptions } from './options';
+import {
+  handleCancellation,
+  normalizeRequestOptions,
+  resolveOptionalArguments,
+  toRequestConfig,
+} from './request-options';
+import { sleep } from './retry-policy';
+import { toSortParams } from './sort-params';
+
+/**
+ * 查询异步导出任务的状态的默认时间间隔，单位为毫秒。
+ *
+ * @type {number}
+ */
+const DEFAULT_POLL_INTERVAL = 1000;
+
+/**
+ * 等待异步导出任务完成的默认最长时间，单位为毫秒。
+ *
+ * @type {number}
+ */
+const DEFAULT_MAX_WAIT = 30 * 60 * 1000;
+
+/**
+ * 异步任务成功完成时的状态。
+ *
+ * @type {string}
+ * @private
+ */
+const FINISHED_STATUS = 'FINISHED';
+
+/**
+ * 异步任务的终止状态，任务处于这些状态之一时不再变化。
+ *
+ * @type {Array<string>}
+ * @private
+ */
+const TERMINAL_STATUSES = [FINISHED_STATUS, 'FAILED', 'CANCELLED'];
+
+/**
+ * 获取任务状态的字符串形式。
+ *
+ * @param {TaskStatus|string|null|undefined} status
+ *     任务状态，可以是枚举对象或字符串。
+ * @return {string}
+ *     该状态的大写字符串形式。
+ * @private
+ */
+function toStatusValue(status) {
+  return String(status?.value ?? status).toUpperCase();
+}
+
+/**
+ * 获取已完成的导出任务所导出的文件在服务器上的相对路径的默认实现。
+ *
+ * 导出任务完成后，服务器将导出的文件在服务器上的相对路径作为该任务的结果对象的ID，即
+ * `TaskInfo`对象的`resultId`属性。
+ *
+ * @param {TaskInfo} task
+ *     已完成的导出任务。
+ * @return {string}
+ *     导出的文件在服务器上的相对路径。
+ * @private
+ */
+function getResultPath(task) {
+  return String(task.resultId);
+}
+
+/**
+ * 检查请求是否已被取消。
+ *
+ * @param {AbortSignal|undefined} signal
+ *     用于取消请求的信号。
+ * @throws RequestCancelledError
+ *     若请求已被取消，则抛出此异常。
+ * @private
+ */
+function checkAborted(signal) {
+  if (signal?.aborted) {
+    throw new RequestCancelledError(signal.reason);
+  }
+}
+
+/**
+ * 定时查询异步任务的状态，直到其到达终止状态为止。
+ *
+ * 每次查询都在上一次查询完成之后才开始。若等待的时间超过了`maxWait`，则不再查询。
+ *
+ * @param {object} task
+ *     服务器返回的异步任务。
+ * @param {number} interval
+ *     查询任务状态的时间间隔，单位为毫秒。
+ * @param {number} maxWait
+ *     等待任务到达终止状态的最长时间，单位为毫秒。
+ * @param {function|undefined} onProgress
+ *     进度回调函数，每次查询到任务的状态后将以`{ taskId, status, elapsed }`为参数调用之。
+ * @param {object} requestOptions
+ *     由`normalizeRequestOptions()`返回的请求选项对象。
+ * @return {Promise<TaskInfo>}
+ *     到达终止状态后的任务的`Promise`对象；若等待超时，则解析失败并返回一个
+ *     `TaskTimeoutError`对象。
+ * @private
+ */
+function waitForTask(task, interval, maxWait, onProgress, requestOptions) {
+  const { signal, timeout, headers } = requestOptions;
+  // 查询任务状态的请求不显示加载提示，以免界面频繁闪烁
+  const pollOptions = { showLoading: false, signal, timeout, headers };
+  const start = Date.now();
+  const poll = (status) => {
+    if (TERMINAL_STATUSES.includes(toStatusValue(status))) {
+      return taskInfoApi.get(task.id, pollOptions);
+    }
+    const elapsed = Date.now() - start;
+    if (elapsed >= maxWait) {
+      throw new TaskTimeoutError(task, status, maxWait);
+    }
+    return sleep(Math.min(interval, maxWait - elapsed), signal).then(() => {
+      checkAborted(signal);
+      return taskInfoApi.getStatus(task.id, pollOptions);
+    }).then((current) => {
+      if (onProgress) {
+        onProgress({ taskId: task.id, status: current, elapsed: Date.now() - start });
+      }
+      return poll(current);
+    });
+  };
+  return Promise.resolve(task.status).then(poll);
+}
+
+/**
+ * 提交异步导出任务，等待其完成，并下载导出的文件。
+ *
+ * @param {object} api
+ *     调用此函数的API对象。
+ * @param {string} url
+ *     提交导出任务的URL。
+ * @param {string} format
+ *     导出的文件的格式。
+ * @param {object} params
+ *     查询参数，其属性名为下划线形式。
+ * @param {object} args
+ *     由`resolveOptionalArguments()`解析得到的导出选项。
+ * @param {object} requestOptions
+ *     由`normalizeRequestOptions()`返回的请求选项对象。
+ * @return {Promise<object>}
+ *     此操作的`Promise`对象，解析成功时返回`fileApi.download()`的结果。
+ * @private
+ */
+async function runExportTask(api, url, format, params, args, requestOptions) {
+  const { showLoading, signal, timeout, headers } = requestOptions;
+  if (showLoading) {
+    loading.showExporting();
+  }
+  // `params`中已经包含了请求选项中的查询参数
+  const config = { ...toRequestConfig(requestOptions, {}), params };
+  const data = await handleCancellation(http.post(url, null, config), requestOptions);
+  const submitted = TaskInfo.create(data, assignOptions);
+  const name = api.entityClass.name;
+  api.logger.info('Successfully submit the task %s to export %ss in %s format.', submitted.id, name, format.toUpperCase());
+  const task = await waitForTask(submitted, args.interval, args.maxWait, args.onProgress, requestOptions);
+  if (toStatusValue(task.status) !== FINISHED_STATUS) {
+    throw new TaskFailedError(task);
+  }
+  checkAborted(signal);
+  const path = (args.resolvePath ?? getResultPath)(task);
+  const result = await fileApi.download(path, {
+    mimeType: CommonMimeType[format.toUpperCase()],
+    autoDownload: args.autoDownload,
+    showLoading,
+    signal,
+    timeout,
+    headers,
+  });
+  api.logger.info('Successfully export %ss in %s format:', api.entityClass.name, format.toUpperCase(), result?.filename);
+  return result;
+}
+
+/**
+ * 以服务器端异步任务的方式导出符合条件的实体对象为指定格式的文件。
+ *
+ * 导出大量数据时，同步下载导出的文件可能会超时。此函数首先向服务器提交一个导出任务，
+ * 服务器返回该任务的`TaskInfo`对象；然后定时通过`taskInfoApi.getStatus()`查询该任务的
+ * 状态，直到其完成、失败或被取消为止；任务完成后，通过`taskInfoApi.get()`获取该任务的
+ * 详细信息，再通过`fileApi.download()`下载导出的文件。
+ *
+ * 若`options.signal`被触发，则立即停止查询或下载，并解析失败返回一个
+ * `RequestCancelledError`对象；若等待任务完成的时间超过了`options.maxWait`，则停止查询，
+ * 并解析失败返回一个`TaskTimeoutError`对象。注意在这两种情况下，已提交的导出任务仍会在
+ * 服务器端继续执行。
+ *
+ * @param {object} api
+ *     调用此函数的API对象。
+ * @param {string} url
+ *     提交导出任务的URL，其中的`{format}`将被替换为小写的导出格式，例如
+ *     `'/employee/export/{format}/async'`。
+ * @param {string} format
+ *     导出的文件的格式，可以是`'XML'`、`'JSON'`、`'Excel'`或`'CSV'`，不区分大小写。
+ * @param {object} criteria
+ *     查询条件参数，所有条件之间用`AND`连接。允许的条件由API对象的
+ *     `CRITERIA_DEFINITIONS`定义。
+ * @param {object} sortRequest
+ *     排序参数，指定按照哪个属性排序。
+ * @param {object} options
+ *     导出选项，除了`showLoading`、`signal`、`timeout`、`headers`和`params`等请求选项
+ *     之外，还可以包含以下属性：
+ *  - `autoDownload: boolean` 任务完成后是否让浏览器自动保存导出的文件，默认值为`true`；
+ *  - `interval: number` 查询任务状态的时间间隔，单位为毫秒，默认值为`1000`；
+ *  - `maxWait: number` 等待任务完成的最长时间，单位为毫秒，默认值为`1800000`，即30分钟；
+ *    若为`Infinity`则一直等待，直到任务完成、失败或被取消为止；
+ *  - `onProgress: function` 进度回调函数，每次查询到任务的状态后将以
+ *    `{ taskId, status, elapsed }`为参数调用之，其中`elapsed`为提交任务后经过的毫秒数；
+ *  - `resolvePath: function` 根据已完成的任务获取导出的文件在服务器上的相对路径的函数，
+ *    默认使用任务的`resultId`属性。
+ * @return {Promise<object|ErrorInfo>}
+ *     此操作的`Promise`对象。若操作成功，则解析成功，并返回`fileApi.download()`的结果，
+ *     即形如`{ blob, filename, mimeType }`的对象，如果`autoDownload`为`true`，浏览器会
+ *     自动保存导出的文件；若导出任务失败或在服务器端被取消，则解析失败并返回一个
+ *     `TaskFailedError`对象；若等待超时，则解析失败并返回一个`TaskTimeoutError`对象；若请求
+ *     失败，则解析失败并返回一个`ErrorInfo`对象。
+ * @author 胡海星
+ */
+function exportAsyncImpl(api, url, format, criteria, sortRequest, options = {}) {
+  checkArgumentType('format', format, String);
+  checkObjectArgument('criteria', criteria, api.CRITERIA_DEFINITIONS, false, api.entityClass);
+  checkSortRequestArgument(sortRequest, api.entityClass);
+  checkArgumentType('options', options, Object);
+  const args = resolveOptionalArguments([options], {
+    autoDownload: true,
+    interval: DEFAULT_POLL_INTERVAL,
+    maxWait: DEFAULT_MAX_WAIT,
+    onProgress: undefined,
+    resolvePath: undefined,
+  });
+  checkArgumentType('options.autoDownload', args.autoDownload, Boolean);
+  checkArgumentType('options.interval', args.interval, Number);
+  checkArgumentType('options.maxWait', args.maxWait, Number);
+  checkArgumentType('options.onProgress', args.onProgress, Function, true);
+  checkArgumentType('options.resolvePath', args.resolvePath, Function, true);
+  if (!(args.interval >= 0)) {
+    throw new RangeError(`The polling interval must be non-negative: ${args.interval}`);
+  }
+  if (!(args.maxWait >= 0)) {
+    throw new RangeError(`The maximum waiting time must be non-negative: ${args.maxWait}`);
+  }
+  if (!CommonMimeType[format.toUpperCase()]) {
+    throw new RangeError(`Unsupported export format: ${format}`);
+  }
+  const requestOptions = normalizeRequestOptions(args.showLoading);
+  const params = toJSON({
+    ...(criteria instanceof Criteria ? criteria.toParams() : criteria),
+    ...toSortParams(sortRequest),
+    ...requestOptions.params,
+  }, toJsonOptions);
+  const theUrl = url.replaceAll('{format}', format.toLowerCase());
+  return runExportTask(api, theUrl, format, params, args, requestOptions);
+}
+
+export {
+  DEFAULT_MAX_WAIT,
+  DEFAULT_POLL_INTERVAL,
+};
+
+export default exportAsyncImpl;
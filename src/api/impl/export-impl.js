@@ -6,54 +6,90 @@
 //    All rights reserved.
 //
 ////////////////////////////////////////////////////////////////////////////////
-import { http } from '@qubit-ltd/common-app';
 import { toJSON } from '@qubit-ltd/common-decorator';
 import { CommonMimeType } from '@qubit-ltd/common-model';
 import { loading } from '@qubit-ltd/common-ui';
 import { checkArgumentType } from '@qubit-ltd/common-util';
+import Criteria from '../../params/Criteria';
 import checkObjectArgument from '../../utils/check-object-argument';
 import checkSortRequestArgument from '../../utils/check-sort-request-argument';
+import { downloadBlob } from './download-blob';
 import { toJsonOptions } from './options';
+import {
+  handleCancellation,
+  normalizeRequestOptions,
+  resolveOptionalArguments,
+} from './request-options';
+import { toSortParams } from './sort-params';
+
+/**
+ * 各种导出格式对应的文件扩展名。
+ *
+ * @type {object}
+ * @private
+ */
+const FILE_EXTENSIONS = {
+  XML: 'xml',
+  JSON: 'json',
+  EXCEL: 'xlsx',
+  XLSX: 'xlsx',
+  CSV: 'csv',
+};
 
 /**
  * 导出符合条件的实体对象为指定格式的文件。
  *
+ * 导出的文件总是以二进制数据的形式下载：若请求选项中指定了`onDownloadProgress`，每收到
+ * 一部分数据都会调用它报告已接收的字节数；若指定了`signal`，其被触发时将真正中止下载，
+ * 且不会再让浏览器保存该文件。
+ *
  * @param {object} api
  *     调用此函数的API对象。
  * @param {string} url
  *     请求的URL。
  * @param {string} format
  *     指定的文件的格式。
- * @param {object} criteria
- *     查询条件参数，所有条件之间用`AND`连接。
- * @param {object} sortRequest
- *     排序参数，指定按照哪个属性排序。
- * @param {boolean} autoDownload
- *     是否自动下载文件。
- * @param {boolean} showLoading
- *     是否显示加载提示。
- * @return {Promise<string|null|ErrorInfo>}
- *     此HTTP请求的`Promise`对象。若操作成功，则解析成功，如果`autoDownload`设置为`true`，
- *     浏览器会自动下载导出的文件，并返回`null`，否则返回导出的文件的 Blob URL（注意：
- *     这个Blob URL稍后需要通过`window.URL.revokeObjectURL(url)`释放）；若操作失败，
- *     则解析失败并返回一个`ErrorInfo`对象。
+ * @param {object|Criteria} criteria
+ *     查询条件参数，所有条件之间用`AND`连接；也可以是一个`Criteria`对象，表示复合查询
+ *     条件。
+ * @param {object|Array<object>} sortRequest
+ *     排序参数，指定按照哪个属性排序；也可以是按照优先级从高到低排列的多个排序参数组成
+ *     的数组，详见`toSortParams()`的说明。
+ * @param {boolean|object} autoDownload
+ *     是否自动下载文件。也可以是一个请求选项对象，此时`autoDownload`的值由该对象的同名
+ *     属性指定，默认值为`true`，且忽略`showLoading`参数，详见`resolveOptionalArguments()`
+ *     的说明。
+ * @param {boolean|object} showLoading
+ *     是否显示加载提示。也可以是一个请求选项对象，包含`showLoading`、`signal`、`timeout`、
+ *     `headers`和`onDownloadProgress`等属性，详见`normalizeRequestOptions()`的说明。
+ * @return {Promise<object|ErrorInfo>}
+ *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+ *     的对象，其中`filename`优先从`Content-Disposition`响应头中解析，解析失败时由实体类名称
+ *     和导出格式决定；如果`autoDownload`设置为`true`，浏览器还会自动保存导出的文件。调用者
+ *     可以直接使用其中的`blob`，而无需创建Blob URL。若操作失败，则解析失败并返回一个
+ *     `ErrorInfo`对象。
  * @author 胡海星
  */
 function exportImpl(api, url, format, criteria, sortRequest, autoDownload, showLoading) {
-  checkObjectArgument('criteria', criteria, api.CRITERIA_DEFINITIONS);
+  checkObjectArgument('criteria', criteria, api.CRITERIA_DEFINITIONS, false, api.entityClass);
   checkSortRequestArgument(sortRequest, api.entityClass);
-  checkArgumentType('autoDownload', autoDownload, Boolean);
-  checkArgumentType('showLoading', showLoading, Boolean);
+  const args = resolveOptionalArguments([autoDownload, showLoading], { autoDownload: true });
+  checkArgumentType('autoDownload', args.autoDownload, Boolean);
+  const requestOptions = normalizeRequestOptions(args.showLoading);
   const params = toJSON({
-    ...criteria,
-    ...sortRequest,
+    ...(criteria instanceof Criteria ? criteria.toParams() : criteria),
+    ...toSortParams(sortRequest),
+    ...requestOptions.params,
   }, toJsonOptions);
-  if (showLoading) {
+  if (requestOptions.showLoading) {
     loading.showExporting();
   }
   const mimeType = CommonMimeType[format.toUpperCase()];
-  return http.download(url, params, mimeType, autoDownload).then((result) => {
-    api.logger.info('Successfully export Apps to a CSV file:', result.filename);
+  const extension = FILE_EXTENSIONS[format.toUpperCase()] ?? format.toLowerCase();
+  const defaultFilename = `${api.entityClass.name}.${extension}`;
+  const promise = downloadBlob(url, params, mimeType, args.autoDownload, null, defaultFilename, requestOptions);
+  return handleCancellation(promise, requestOptions).then((result) => {
+    api.logger.info('Successfully export %ss in %s format:', api.entityClass.name, format.toUpperCase(), result?.filename);
     return result;
   });
 }
@@ -0,0 +1,139 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { checkArgumentType } from '@qubit-ltd/common-util';
+import resolvePropertyPath from '../../utils/resolve-property-path';
+
+/**
+ * 规范化请求选项中的`fields`选项。
+ *
+ * @param {Array<string>|string|undefined|null} fields
+ *     需要返回的属性的列表，可以是字符串数组，也可以是以逗号分隔的字符串，例如
+ *     `'id,name,contact.mobile'`。
+ * @return {Array<string>|undefined}
+ *     去除空白和空项之后的属性列表；若参数为`undefined`或`null`，则返回`undefined`。
+ * @throws TypeError
+ *     若参数或其中的元素不是字符串，则抛出此异常。
+ * @throws RangeError
+ *     若属性列表为空，则抛出此异常。
+ */
+function normalizeFields(fields) {
+  if ((fields === undefined) || (fields === null)) {
+    return undefined;
+  }
+  checkArgumentType('showLoading.fields', fields, [Array, String]);
+  const list = (typeof fields === 'string' ? fields.split(',') : fields);
+  list.forEach((f, i) => checkArgumentType(`showLoading.fields[${i}]`, f, String));
+  const result = list.map((f) => f.trim()).filter((f) => f !== '');
+  if (result.length === 0) {
+    throw new RangeError('The list of fields to be returned cannot be empty.');
+  }
+  return result;
+}
+
+/**
+ * 检查需要返回的属性是否都是指定实体类的属性或属性路径。
+ *
+ * @param {Array<string>|undefined} fields
+ *     由`normalizeFields()`返回的属性列表；若为`undefined`，则不做任何检查。
+ * @param {function|undefined} Class
+ *     实体类的构造器函数；若不是函数，则不做任何检查。
+ * @throws TypeError
+ *     若某个属性不是实体类的属性或合法的属性路径，则抛出此异常，详见
+ *     `resolvePropertyPath()`的说明。
+ */
+function checkFieldsArgument(fields, Class) {
+  if (fields && (typeof Class === 'function')) {
+    fields.forEach((path) => resolvePropertyPath(Class, path));
+  }
+}
+
+/**
+ * 将属性列表转换为属性树。
+ *
+ * 属性树的每个键是一个属性名，其值为`true`表示需要该属性的全部内容，为对象表示只需要
+ * 该属性的部分子属性。
+ *
+ * @param {Array<string>} fields
+ *     属性列表。
+ * @return {object}
+ *     对应的属性树。
+ * @private
+ */
+function toFieldTree(fields) {
+  const tree = {};
+  for (const path of fields) {
+    const segments = path.split('.');
+    let node = tree;
+    for (let i = 0; (i < segments.length) && (node !== true); ++i) {
+      const segment = segments[i];
+      if (i === segments.length - 1) {
+        node[segment] = true;
+      } else {
+        node[segment] = node[segment] ?? {};
+        node = node[segment];
+      }
+    }
+  }
+  return tree;
+}
+
+/**
+ * 删除对象中不在属性树中的属性。
+ *
+ * @param {any} obj
+ *     待处理的对象，将被直接修改；若为数组，则处理其中的每个元素。
+ * @param {object} tree
+ *     属性树。
+ * @private
+ */
+function prune(obj, tree) {
+  if ((obj === null) || (typeof obj !== 'object')) {
+    return;
+  }
+  if (Array.isArray(obj)) {
+    obj.forEach((item) => prune(item, tree));
+    return;
+  }
+  for (const key of Object.keys(obj)) {
+    const node = tree[key];
+    if (node === undefined) {
+      delete obj[key];
+    } else if (node !== true) {
+      prune(obj[key], node);
+    }
+  }
+}
+
+/**
+ * 只保留对象中指定的属性，从而得到一个部分的模型对象。
+ *
+ * 由模型类的`create()`方法创建的对象总是包含模型类的全部属性，未返回的属性将被设置为其
+ * 默认值。此函数删除对象中未被请求的属性，使得调用者可以区分未被请求的属性和值为默认值
+ * 的属性。对于属性路径，例如`contact.mobile`，将保留`contact`属性，但只保留其中的
+ * `mobile`属性。
+ *
+ * @param {object} obj
+ *     待处理的对象，将被直接修改。
+ * @param {Array<string>|undefined} fields
+ *     需要保留的属性列表；若为`undefined`，则不做任何处理。
+ * @return {object}
+ *     处理后的对象，即参数`obj`本身。
+ */
+function projectFields(obj, fields) {
+  if (fields) {
+    prune(obj, toFieldTree(fields));
+  }
+  return obj;
+}
+
+export {
+  normalizeFields,
+  checkFieldsArgument,
+  projectFields,
+};
@@ -12,7 +12,45 @@ import { loading } from '@qubit-ltd/common-ui';
 import { checkArgumentType } from '@qubit-ltd/common-util';
 import { Json } from '@qubit-ltd/json';
 import checkIdArgumentType from '../../utils/check-id-argument-type';
+import { checkFieldsArgument, projectFields } from './field-projection';
+import { shareInflightRequest } from './inflight-request';
 import { assignOptions, toJsonOptions } from './options';
+import {
+  handleCancellation,
+  normalizeRequestOptions,
+  toRequestConfig,
+} from './request-options';
+import { fetchWithCache } from './response-cache';
+import { retryRequest } from './retry-policy';
+
+/**
+ * 发送一个获取实体对象或其属性的GET请求。
+ *
+ * 此函数依次经过响应缓存、并发请求合并和请求重试的处理，仅当需要实际发送HTTP请求时才会
+ * 显示加载提示。
+ *
+ * @param {object} api
+ *     调用此函数的API对象。
+ * @param {string} url
+ *     请求的URL。
+ * @param {object|undefined} config
+ *     请求配置；若为`undefined`则发送不带请求配置的请求。
+ * @param {object} requestOptions
+ *     由`normalizeRequestOptions()`返回的请求选项对象。
+ * @return {Promise<any>}
+ *     请求的响应数据的`Promise`对象。
+ * @private
+ */
+function sendGetRequest(api, url, config, requestOptions) {
+  return fetchWithCache(api, url, config, requestOptions, () => (
+    shareInflightRequest(url, config, () => retryRequest(api, requestOptions, () => {
+      if (requestOptions.showLoading) {
+        loading.showGetting();
+      }
+      return (config ? http.get(url, config) : http.get(url));
+    }))
+  ));
+}
 
 /**
  * 根据ID，获取指定的实体对象。
@@ -23,8 +61,10 @@ import { assignOptions, toJsonOptions } from './options';
  *     请求的URL。
  * @param {string|number|bigint} id
  *     实体对象的ID。
- * @param {boolean} showLoading
- *     是否显示加载提示。
+ * @param {boolean|object} showLoading
+ *     是否显示加载提示。也可以是一个请求选项对象，包含`showLoading`和`signal`等属性，
+ *     详见`normalizeRequestOptions()`的说明；其中的`fields`属性指定只请求实体对象的部分
+ *     属性，此时返回的实体对象只包含这些属性，详见`projectFields()`的说明。
  * @param {object} options
  *     其他附加的查询参数。
  * @return {Promise<App|ErrorInfo>}
@@ -33,15 +73,16 @@ import { assignOptions, toJsonOptions } from './options';
  */
 function getImpl(api, url, id, showLoading, options = {}) {
   checkIdArgumentType(id);
-  checkArgumentType('showLoading', showLoading, Boolean);
+  const requestOptions = normalizeRequestOptions(showLoading);
+  checkFieldsArgument(requestOptions.fields, api.entityClass);
   const params = toJSON({
     ...options,
   }, toJsonOptions);
-  if (showLoading) {
-    loading.showGetting();
-  }
-  return http.get(url.replaceAll('{id}', stringifyId(id)), { params }).then((obj) => {
-    const result = api.entityClass.create(obj, assignOptions);
+  const theUrl = url.replaceAll('{id}', stringifyId(id));
+  const config = toRequestConfig(requestOptions, { params });
+  const promise = sendGetRequest(api, theUrl, config, requestOptions);
+  return handleCancellation(promise, requestOptions).then((obj) => {
+    const result = projectFields(api.entityClass.create(obj, assignOptions), requestOptions.fields);
     api.logger.info('Successfully get the %s by its ID "%s"', api.entityClass.name, id);
     api.logger.debug('The %s is:', api.entityClass.name, result);
     return result;
@@ -59,8 +100,10 @@ function getImpl(api, url, id, showLoading, options = {}) {
  *     实体对象的键名。
  * @param {string} keyValue
  *     实体对象的键值，必须是字符串类型。
- * @param {boolean} showLoading
- *     是否显示加载提示。
+ * @param {boolean|object} showLoading
+ *     是否显示加载提示。也可以是一个请求选项对象，包含`showLoading`和`signal`等属性，
+ *     详见`normalizeRequestOptions()`的说明；其中的`fields`属性指定只请求实体对象的部分
+ *     属性，此时返回的实体对象只包含这些属性，详见`projectFields()`的说明。
  * @param {object} options
  *     其他附加的查询参数。
  * @return {Promise<App|ErrorInfo>}
@@ -71,15 +114,16 @@ function getByKeyImpl(api, url, keyName, keyValue, showLoading, options = {}) {
   // 检查调用方传入的参数：keyName 是参数名（如 'code'），keyValue 是要检查的值
   // 这样错误信息会显示为 "The value of the argument 'code' must be a String"
   checkArgumentType(keyName, keyValue, String);
-  checkArgumentType('showLoading', showLoading, Boolean);
+  const requestOptions = normalizeRequestOptions(showLoading);
+  checkFieldsArgument(requestOptions.fields, api.entityClass);
   const params = toJSON({
     ...options,
   }, toJsonOptions);
-  if (showLoading) {
-    loading.showGetting();
-  }
-  return http.get(url.replaceAll(`{${keyName}}`, keyValue), { params }).then((obj) => {
-    const result = api.entityClass.create(obj, assignOptions);
+  const theUrl = url.replaceAll(`{${keyName}}`, keyValue);
+  const config = toRequestConfig(requestOptions, { params });
+  const promise = sendGetRequest(api, theUrl, config, requestOptions);
+  return handleCancellation(promise, requestOptions).then((obj) => {
+    const result = projectFields(api.entityClass.create(obj, assignOptions), requestOptions.fields);
     api.logger.info('Successfully get the %s by its %s "%s".', api.entityClass.name, keyName, keyValue);
     api.logger.debug('The %s is:', api.entityClass.name, result);
     return result;
@@ -95,19 +139,20 @@ function getByKeyImpl(api, url, keyName, keyValue, showLoading, options = {}) {
  *     请求的URL。
  * @param {string|number|bigint} id
  *     实体对象的ID。
- * @param {boolean} showLoading
- *     是否显示加载提示。
+ * @param {boolean|object} showLoading
+ *     是否显示加载提示。也可以是一个请求选项对象，包含`showLoading`和`signal`等属性，
+ *     详见`normalizeRequestOptions()`的说明。
  * @return {Promise<StatefulInfo|ErrorInfo>}
  *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的实体对象的基本信息；
  *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
  */
 function getInfoImpl(api, url, id, showLoading) {
   checkIdArgumentType(id);
-  checkArgumentType('showLoading', showLoading, Boolean);
-  if (showLoading) {
-    loading.showGetting();
-  }
-  return http.get(url.replaceAll('{id}', stringifyId(id))).then((obj) => {
+  const requestOptions = normalizeRequestOptions(showLoading);
+  const theUrl = url.replaceAll('{id}', stringifyId(id));
+  const config = toRequestConfig(requestOptions);
+  const promise = sendGetRequest(api, theUrl, config, requestOptions);
+  return handleCancellation(promise, requestOptions).then((obj) => {
     const result = api.entityInfoClass.create(obj, assignOptions);
     api.logger.info('Successfully get the info of the %s by its ID "%s".', api.entityClass.name, id);
     api.logger.debug('The info of the %s is:', api.entityClass.name, result);
@@ -126,8 +171,9 @@ function getInfoImpl(api, url, id, showLoading) {
  *     实体对象的键名。
  * @param {string} keyValue
  *     实体对象的键值，必须是字符串类型。
- * @param {boolean} showLoading
- *     是否显示加载提示。
+ * @param {boolean|object} showLoading
+ *     是否显示加载提示。也可以是一个请求选项对象，包含`showLoading`和`signal`等属性，
+ *     详见`normalizeRequestOptions()`的说明。
  * @return {Promise<StatefulInfo|ErrorInfo>}
  *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的实体对象的基本信息；
  *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -136,11 +182,11 @@ function getInfoByKeyImpl(api, url, keyName, keyValue, showLoading) {
   // 检查调用方传入的参数：keyName 是参数名（如 'code'），keyValue 是要检查的值
   // 这样错误信息会显示为 "The value of the argument 'code' must be a String"
   checkArgumentType(keyName, keyValue, String);
-  checkArgumentType('showLoading', showLoading, Boolean);
-  if (showLoading) {
-    loading.showGetting();
-  }
-  return http.get(url.replaceAll(`{${keyName}}`, keyValue)).then((obj) => {
+  const requestOptions = normalizeRequestOptions(showLoading);
+  const theUrl = url.replaceAll(`{${keyName}}`, keyValue);
+  const config = toRequestConfig(requestOptions);
+  const promise = sendGetRequest(api, theUrl, config, requestOptions);
+  return handleCancellation(promise, requestOptions).then((obj) => {
     const result = api.entityInfoClass.create(obj, assignOptions);
     api.logger.info('Successfully get the info of the %s by its %s "%s".', api.entityClass.name, keyName, keyValue);
     api.logger.debug('The info of the %s is:', api.entityClass.name, result);
@@ -161,8 +207,9 @@ function getInfoByKeyImpl(api, url, keyName, keyValue, showLoading) {
  *     指定的属性的类型。
  * @param {string|number|bigint} id
  *     实体对象的ID。
- * @param {boolean} showLoading
- *     是否显示加载提示。
+ * @param {boolean|object} showLoading
+ *     是否显示加载提示。也可以是一个请求选项对象，包含`showLoading`和`signal`等属性，
+ *     详见`normalizeRequestOptions()`的说明。
  * @param {object} options
  *     其他附加的查询参数。
  * @return {Promise<InfoWithEntity|null|ErrorInfo>}
@@ -171,14 +218,14 @@ function getInfoByKeyImpl(api, url, keyName, keyValue, showLoading) {
  */
 function getPropertyImpl(api, url, propertyName, propertyClass, id, showLoading, options = {}) {
   checkIdArgumentType(id);
-  checkArgumentType('showLoading', showLoading, Boolean);
+  const requestOptions = normalizeRequestOptions(showLoading);
   const params = toJSON({
     ...options,
   }, toJsonOptions);
-  if (showLoading) {
-    loading.showGetting();
-  }
-  return http.get(url.replaceAll('{id}', stringifyId(id)), { params }).then((obj) => {
+  const theUrl = url.replaceAll('{id}', stringifyId(id));
+  const config = toRequestConfig(requestOptions, { params });
+  const promise = sendGetRequest(api, theUrl, config, requestOptions);
+  return handleCancellation(promise, requestOptions).then((obj) => {
     const result = propertyClass.create(obj, assignOptions);
     api.logger.info('Successfully get the %s of the %s by its ID "%s".', propertyName, api.entityClass.name, id);
     api.logger.debug('The %s of the %s is:', propertyName, api.entityClass.name, result);
@@ -201,8 +248,9 @@ function getPropertyImpl(api, url, propertyName, propertyClass, id, showLoading,
  *     指定的主键的名称。
  * @param {string} keyValue
  *     指定的主键的值，这个值必须是字符串类型。
- * @param {boolean} showLoading
- *     是否显示加载提示。
+ * @param {boolean|object} showLoading
+ *     是否显示加载提示。也可以是一个请求选项对象，包含`showLoading`和`signal`等属性，
+ *     详见`normalizeRequestOptions()`的说明。
  * @param {object} options
  *     其他附加的查询参数。
  * @return {Promise<InfoWithEntity|null|ErrorInfo>}
@@ -213,14 +261,14 @@ function getPropertyByKeyImpl(api, url, propertyName, propertyClass, keyName, ke
   // 检查调用方传入的参数：keyName 是参数名（如 'code'），keyValue 是要检查的值
   // 这样错误信息会显示为 "The value of the argument 'code' must be a String"
   checkArgumentType(keyName, keyValue, String);
-  checkArgumentType('showLoading', showLoading, Boolean);
+  const requestOptions = normalizeRequestOptions(showLoading);
   const params = toJSON({
     ...options,
   }, toJsonOptions);
-  if (showLoading) {
-    loading.showGetting();
-  }
-  return http.get(url.replaceAll(`{${keyName}}`, keyValue), { params }).then((obj) => {
+  const theUrl = url.replaceAll(`{${keyName}}`, keyValue);
+  const config = toRequestConfig(requestOptions, { params });
+  const promise = sendGetRequest(api, theUrl, config, requestOptions);
+  return handleCancellation(promise, requestOptions).then((obj) => {
     const result = propertyClass.create(obj, assignOptions);
     api.logger.info('Successfully get the %s of the %s by its %s "%s".', propertyName, api.entityClass.name, keyName, keyValue);
     api.logger.debug('The %s of the %s is:', propertyName, api.entityClass.name, result);
@@ -243,8 +291,10 @@ function getPropertyByKeyImpl(api, url, propertyName, propertyClass, keyName, ke
  *     实体对象的键名。
  * @param {string} keyValue
  *     实体对象的键值，必须是字符串类型。
- * @param {boolean} showLoading
- *     是否显示加载提示。
+ * @param {boolean|object} showLoading
+ *     是否显示加载提示。也可以是一个请求选项对象，包含`showLoading`和`signal`等属性，
+ *     详见`normalizeRequestOptions()`的说明；其中的`fields`属性指定只请求实体对象的部分
+ *     属性，此时返回的实体对象只包含这些属性，详见`projectFields()`的说明。
  * @param {object} options
  *     其他附加的查询参数。
  * @return {Promise<App|ErrorInfo>}
@@ -257,18 +307,16 @@ function getByParentAndKeyImpl(api, url, parentKeyName, parentKeyValue, keyName,
   checkArgumentType(parentKeyName, parentKeyValue, [String, Number, BigInt]);
   checkArgumentType('keyName', keyName, String);
   checkArgumentType('keyValue', keyValue, String);
-  checkArgumentType('showLoading', showLoading, Boolean);
+  const requestOptions = normalizeRequestOptions(showLoading);
+  checkFieldsArgument(requestOptions.fields, api.entityClass);
   const params = toJSON({
     ...options,
   }, toJsonOptions);
-  if (showLoading) {
-    loading.showGetting();
-  }
-  return http.get(
-    url.replaceAll(`{${parentKeyName}}`, Json.stringify(parentKeyValue)).replaceAll(`{${keyName}}`, keyValue),
-    { params },
-  ).then((obj) => {
-    const result = api.entityClass.create(obj, assignOptions);
+  const theUrl = url.replaceAll(`{${parentKeyName}}`, Json.stringify(parentKeyValue)).replaceAll(`{${keyName}}`, keyValue);
+  const config = toRequestConfig(requestOptions, { params });
+  const promise = sendGetRequest(api, theUrl, config, requestOptions);
+  return handleCancellation(promise, requestOptions).then((obj) => {
+    const result = projectFields(api.entityClass.create(obj, assignOptions), requestOptions.fields);
     api.logger.info('Successfully get the %s by parent %s "%s" and its %s "%s".',
       api.entityClass.name,
       parentKeyName,
@@ -295,8 +343,9 @@ function getByParentAndKeyImpl(api, url, parentKeyName, parentKeyValue, keyName,
  *     实体对象的键名。
  * @param {string} keyValue
  *     实体对象的键值，必须是字符串类型。
- * @param {boolean} showLoading
- *     是否显示加载提示。
+ * @param {boolean|object} showLoading
+ *     是否显示加载提示。也可以是一个请求选项对象，包含`showLoading`和`signal`等属性，
+ *     详见`normalizeRequestOptions()`的说明。
  * @return {Promise<StatefulInfo|ErrorInfo>}
  *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的实体对象的基本信息；
  *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -307,13 +356,11 @@ function getInfoByParentAndKeyImpl(api, url, parentKeyName, parentKeyValue, keyN
   checkArgumentType(parentKeyName, parentKeyValue, [String, Number, BigInt]);
   checkArgumentType('keyName', keyName, String);
   checkArgumentType('keyValue', keyValue, String);
-  checkArgumentType('showLoading', showLoading, Boolean);
-  if (showLoading) {
-    loading.showGetting();
-  }
-  return http.get(
-    url.replaceAll(`{${parentKeyName}}`, Json.stringify(parentKeyValue)).replaceAll(`{${keyName}}`, keyValue),
-  ).then((obj) => {
+  const requestOptions = normalizeRequestOptions(showLoading);
+  const theUrl = url.replaceAll(`{${parentKeyName}}`, Json.stringify(parentKeyValue)).replaceAll(`{${keyName}}`, keyValue);
+  const config = toRequestConfig(requestOptions);
+  const promise = sendGetRequest(api, theUrl, config, requestOptions);
+  return handleCancellation(promise, requestOptions).then((obj) => {
     const result = api.entityInfoClass.create(obj, assignOptions);
     api.logger.info('Successfully get the info of the %s by parent %s "%s" and its %s "%s".',
       api.entityClass.name,
@@ -345,8 +392,9 @@ function getInfoByParentAndKeyImpl(api, url, parentKeyName, parentKeyValue, keyN
  *     实体对象的键名。
  * @param {string} keyValue
  *     实体对象的键值，必须是字符串类型。
- * @param {boolean} showLoading
- *     是否显示加载提示。
+ * @param {boolean|object} showLoading
+ *     是否显示加载提示。也可以是一个请求选项对象，包含`showLoading`和`signal`等属性，
+ *     详见`normalizeRequestOptions()`的说明。
  * @param {object} options
  *     其他附加的查询参数。
  * @return {Promise<InfoWithEntity|null|ErrorInfo>}
@@ -360,17 +408,14 @@ function getPropertyByParentAndKeyImpl(api, url, propertyName, propertyClass,
   checkArgumentType(parentKeyName, parentKeyValue, [String, Number, BigInt]);
   checkArgumentType('keyName', keyName, String);
   checkArgumentType('keyValue', keyValue, String);
-  checkArgumentType('showLoading', showLoading, Boolean);
+  const requestOptions = normalizeRequestOptions(showLoading);
   const params = toJSON({
     ...options,
   }, toJsonOptions);
-  if (showLoading) {
-    loading.showGetting();
-  }
-  return http.get(
-    url.replaceAll(`{${parentKeyName}}`, Json.stringify(parentKeyValue)).replaceAll(`{${keyName}}`, keyValue),
-    { params },
-  ).then((obj) => {
+  const theUrl = url.replaceAll(`{${parentKeyName}}`, Json.stringify(parentKeyValue)).replaceAll(`{${keyName}}`, keyValue);
+  const config = toRequestConfig(requestOptions, { params });
+  const promise = sendGetRequest(api, theUrl, config, requestOptions);
+  return handleCancellation(promise, requestOptions).then((obj) => {
     const result = propertyClass.create(obj, assignOptions);
     api.logger.info('Successfully get the %s of the %s by parent %s "%s" and its %s "%s".',
       propertyName,
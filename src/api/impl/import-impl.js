@@ -10,11 +10,58 @@ import { http } from '@qubit-ltd/common-app';
 import { toJSON } from '@qubit-ltd/common-decorator';
 import { loading } from '@qubit-ltd/common-ui';
 import { checkArgumentType } from '@qubit-ltd/common-util';
-import { toJsonOptions } from './options';
+import ImportReport from '../../model/ImportReport';
+import { assignOptions, toJsonOptions } from './options';
+import {
+  handleCancellation,
+  normalizeRequestOptions,
+  resolveOptionalArguments,
+  toRequestConfig,
+} from './request-options';
+import { invalidateResponseCache } from './response-cache';
+import { retryRequest } from './retry-policy';
+
+/**
+ * 将服务器返回的导入文件的逐行校验结果转换为`ImportReport`对象。
+ *
+ * @param {object} api
+ *     调用此函数的API对象。
+ * @param {string} format
+ *     导入的文件的格式。
+ * @param {File} file
+ *     导入的文件对象。
+ * @param {object} obj
+ *     服务器返回的逐行校验结果。
+ * @param {boolean} dryRun
+ *     是否只校验了导入的文件而未实际导入。
+ * @return {ImportReport}
+ *     转换后的`ImportReport`对象。
+ * @private
+ */
+function toImportReport(api, format, file, obj, dryRun) {
+  const report = ImportReport.create(obj, assignOptions);
+  report.dryRun = dryRun;
+  api.logger.info('Successfully %s %d %ss from a %s file: %s, and %d rows rejected.',
+    (report.dryRun ? 'validate' : 'import'),
+    report.accepted,
+    api.entityClass.name,
+    format,
+    file.name,
+    report.rejectedCount);
+  if (!report.isValid()) {
+    api.logger.debug('The rejected rows are:', report.rejected);
+  }
+  return report;
+}
 
 /**
  * 从指定格式的文件导入指定的实体对象。
  *
+ * 若请求选项中指定了`dryRun: true`，则请求时将附加查询参数`dry_run=true`，服务器只校验
+ * 导入的文件而不实际导入；若指定了`importReport: true`，则请求时将附加查询参数
+ * `import_report=true`。在这两种情况下，服务器都将返回逐行的校验结果，此函数将其解析为
+ * 一个`ImportReport`对象，其中包含校验通过的行数，以及被拒绝的行的行号、列和错误信息。
+ *
  * @param {object} api
  *     调用此函数的API对象。
  * @param {string} url
@@ -23,40 +70,67 @@ import { toJsonOptions } from './options';
  *     指定的文件的格式。
  * @param {File} file
  *     CSV文件对象。
- * @param {boolean} parallel
- *     是否并行导入。如果为`true`，则并行导入；否则，单线程导入。
+ * @param {boolean|object} parallel
+ *     是否并行导入。如果为`true`，则并行导入；否则，单线程导入。也可以是一个请求选项对象，
+ *     此时`parallel`和`threads`的值由该对象的同名属性指定，且忽略其后的参数，详见
+ *     `resolveOptionalArguments()`的说明。
  * @param {number} threads
  *     并行导入的线程数。若`parallel`为`false`，此参数无效。若此参数为`null`，
  *     则使用默认线程数。默认线程数由当前系统的CPU核心数决定。
- * @param {boolean} showLoading
- *     是否显示加载提示。
- * @return {Promise<number|ErrorInfo>}
- *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的`App`对象的数量；
- *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+ * @param {boolean|object} showLoading
+ *     是否显示加载提示。也可以是一个请求选项对象，包含`showLoading`和`signal`等属性，
+ *     详见`normalizeRequestOptions()`的说明。
+ * @return {Promise<number|ImportReport|ErrorInfo>}
+ *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的实体对象的数量；
+ *     若请求选项中指定了`dryRun`或`importReport`，则返回一个`ImportReport`对象；若操作
+ *     失败，则解析失败并返回一个`ErrorInfo`对象。
  * @author 胡海星
  */
 function importImpl(api, url, format, file, parallel, threads, showLoading) {
   checkArgumentType('file', file, File);
-  checkArgumentType('parallel', parallel, Boolean, true);
-  checkArgumentType('threads', threads, Number, true);
-  checkArgumentType('showLoading', showLoading, Boolean);
+  const args = resolveOptionalArguments([parallel, threads, showLoading], {
+    parallel: false,
+    threads: null,
+  });
+  checkArgumentType('parallel', args.parallel, Boolean, true);
+  checkArgumentType('threads', args.threads, Number, true);
+  const requestOptions = normalizeRequestOptions(args.showLoading);
   const formData = new FormData();
   formData.append('file', file);
-  const params = toJSON({
-    parallel,
-    threads,
-  }, toJsonOptions);
-  if (showLoading) {
-    loading.showImporting();
+  const { dryRun, importReport } = requestOptions;
+  checkArgumentType('requestOptions.dryRun', dryRun, Boolean, true);
+  checkArgumentType('requestOptions.importReport', importReport, Boolean, true);
+  const options = { parallel: args.parallel, threads: args.threads };
+  if (dryRun) {
+    options.dryRun = true;
+  }
+  if (importReport) {
+    options.importReport = true;
   }
-  return http.post(url, formData, {
+  const params = toJSON(options, toJsonOptions);
+  const config = toRequestConfig(requestOptions, {
     params,
     headers: {
       'Content-Type': 'multipart/form-data',
     },
-  }).then((count) => {
-    api.logger.info('Successfully import %d %ss from a %s file: %s', count, api.entityClass.name, format, file.name);
-    return count;
+  });
+  // 导入操作不是幂等的，只有显式地启用时才会重试；但只校验而不导入的操作是幂等的
+  const promise = retryRequest(api, requestOptions, () => {
+    if (requestOptions.showLoading) {
+      loading.showImporting();
+    }
+    return http.post(url, formData, config);
+  }, Boolean(dryRun));
+  return handleCancellation(promise, requestOptions).then((response) => {
+    if (!dryRun) {
+      invalidateResponseCache(api);
+    }
+    if (dryRun || importReport) {
+      // 此时服务器返回的是逐行的校验结果，而不是成功导入的对象的数目
+      return toImportReport(api, format, file, response, Boolean(dryRun));
+    }
+    api.logger.info('Successfully import %d %ss from a %s file: %s', response, api.entityClass.name, format, file.name);
+    return response;
   });
 }
 
@@ -0,0 +1,115 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * 正在进行中的GET请求的映射表，键为请求的键，值为请求的`Promise`对象。
+ *
+ * @type {Map<string, Promise>}
+ * @private
+ */
+const inflightRequests = new Map();
+
+/**
+ * 将一个对象按照属性名排序后序列化为字符串。
+ *
+ * @param {object} obj
+ *     待序列化的对象。
+ * @return {string}
+ *     序列化后的字符串。
+ * @private
+ */
+function stringifySorted(obj) {
+  const entries = Object.keys(obj)
+    .sort()
+    .map((name) => [name, obj[name]]);
+  return JSON.stringify(entries);
+}
+
+/**
+ * 构造一个GET请求的键。
+ *
+ * 请求的键由请求的URL、查询参数和请求头组成；查询参数和请求头按照属性名排序，以保证相同
+ * 的请求总是得到相同的键。
+ *
+ * @param {string} url
+ *     请求的URL。
+ * @param {object|undefined} config
+ *     请求配置，其中的`params`和`headers`属性将作为键的一部分。
+ * @return {string}
+ *     请求的键。
+ */
+function buildRequestKey(url, config) {
+  let key = url;
+  if (config?.params) {
+    key += `?${stringifySorted(config.params)}`;
+  }
+  if (config?.headers) {
+    key += `#${stringifySorted(config.headers)}`;
+  }
+  return key;
+}
+
+/**
+ * 合并并发的相同GET请求。
+ *
+ * 若已有一个相同的请求（即URL、查询参数和请求头均相同的请求）正在进行中，则直接返回该请
+ * 求的`Promise`对象，不会调用`fetch`函数，因此也不会重复显示加载提示；否则调用`fetch`
+ * 函数发送请求，并在请求结束前与之后的相同请求共享其`Promise`对象。
+ *
+ * 指定了`signal`的请求不会被合并，因为取消其中一个请求将导致共享该请求的所有调用者失败。
+ *
+ * 共享的是服务器返回的原始数据，调用者应当基于此数据各自创建新的实体对象。
+ *
+ * @param {string} url
+ *     请求的URL。
+ * @param {object|undefined} config
+ *     请求配置。
+ * @param {function} fetch
+ *     发送请求的函数，它应当负责显示加载提示，并返回请求的`Promise`对象。
+ * @return {Promise<any>}
+ *     请求的响应数据的`Promise`对象。
+ * @author 胡海星
+ */
+function shareInflightRequest(url, config, fetch) {
+  if (config?.signal) {
+    return fetch();
+  }
+  const key = buildRequestKey(url, config);
+  const pending = inflightRequests.get(key);
+  if (pending) {
+    return pending;
+  }
+  const promise = fetch();
+  inflightRequests.set(key, promise);
+  const remove = () => {
+    // 该请求可能已被`discardInflightRequests()`丢弃，且其键已被新的请求占用
+    if (inflightRequests.get(key) === promise) {
+      inflightRequests.delete(key);
+    }
+  };
+  promise.then(remove, remove);
+  return promise;
+}
+
+/**
+ * 丢弃所有正在进行中的GET请求的记录。
+ *
+ * 被丢弃的请求仍会继续进行，其调用者仍会得到其结果，但之后发起的相同请求不会再共享这些
+ * 请求的结果，而是发送新的HTTP请求。修改实体对象的操作成功后会调用此函数，以免之后的查询
+ * 共享在修改之前发起的请求，从而得到修改之前的数据。
+ */
+function discardInflightRequests() {
+  inflightRequests.clear();
+}
+
+export {
+  buildRequestKey,
+  discardInflightRequests,
+  shareInflightRequest,
+};
@@ -0,0 +1,243 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { checkArgumentType } from '@qubit-ltd/common-util';
+import checkObjectArgument from '../../utils/check-object-argument';
+import checkSortRequestArgument from '../../utils/check-sort-request-argument';
+import { listImpl } from './list-impl';
+import { normalizeRequestOptions } from './request-options';
+
+/**
+ * 遍历时默认的分页大小。
+ *
+ * @type {number}
+ */
+const DEFAULT_ITERATE_PAGE_SIZE = 100;
+
+/**
+ * 检查遍历选项参数是否合法。
+ *
+ * @param {object} iterateOptions
+ *     遍历选项参数。
+ * @private
+ */
+function checkIterateOptionsArgument(iterateOptions) {
+  checkArgumentType('iterateOptions', iterateOptions, Object);
+  const { pageSize, maxItems, cursor, showLoading, signal } = iterateOptions;
+  checkArgumentType('iterateOptions.pageSize', pageSize, Number, true);
+  checkArgumentType('iterateOptions.maxItems', maxItems, Number, true);
+  checkArgumentType('iterateOptions.cursor', cursor, Boolean, true);
+  checkArgumentType('iterateOptions.showLoading', showLoading, Boolean, true);
+  checkArgumentType('iterateOptions.signal', signal, AbortSignal, true);
+  if ((pageSize !== undefined) && (pageSize !== null) && !(pageSize > 0)) {
+    throw new RangeError(`The page size must be positive: ${pageSize}`);
+  }
+  if ((maxItems !== undefined) && (maxItems !== null) && !(maxItems >= 0)) {
+    throw new RangeError(`The maximum number of items must be non-negative: ${maxItems}`);
+  }
+}
+
+/**
+ * 创建一个按需逐页获取数据的异步可迭代对象。
+ *
+ * 只有在调用者请求下一页时才会发出该页的请求，因此调用者可以在处理完当前页之后提前结束
+ * 遍历，此时不会再发出后续的请求。
+ *
+ * @param {function} fetchPage
+ *     获取一页数据的函数，其参数为分页请求，返回该页数据的`Promise`对象。
+ * @param {object|null} firstRequest
+ *     第一页的分页请求；若为`null`则不获取任何数据。
+ * @param {function} getNextRequest
+ *     根据当前页的数据和分页请求计算下一页的分页请求的函数；若返回`null`则表示没有下一页。
+ * @return {AsyncIterable<object>}
+ *     一个异步可迭代对象，依次产生每一页的数据。
+ * @private
+ */
+function fetchPages(fetchPage, firstRequest, getNextRequest) {
+  let pageRequest = firstRequest;
+  return {
+    [Symbol.asyncIterator]() {
+      return this;
+    },
+    next() {
+      if (!pageRequest) {
+        return Promise.resolve({ done: true, value: undefined });
+      }
+      return fetchPage(pageRequest).then((page) => {
+        pageRequest = getNextRequest(page, pageRequest);
+        return { done: false, value: page };
+      });
+    },
+  };
+}
+
+/**
+ * 计算以页码分页时下一页的分页请求。
+ *
+ * @param {object} page
+ *     当前页的数据。
+ * @param {object} pageRequest
+ *     当前页的分页请求。
+ * @return {object|null}
+ *     下一页的分页请求；若当前页已是最后一页或为空页，则返回`null`。
+ * @private
+ */
+function getNextPageRequest(page, pageRequest) {
+  const { pageIndex, pageSize } = pageRequest;
+  const size = page?.content?.length ?? 0;
+  const totalPages = page?.totalPages ?? 0;
+  if ((size === 0) || (size < pageSize) || (pageIndex + 1 >= totalPages)) {
+    return null;
+  }
+  return { pageIndex: pageIndex + 1, pageSize };
+}
+
+/**
+ * 计算以游标分页时下一页的分页请求。
+ *
+ * 下一页的分页请求使用当前页返回的`nextCursor`作为`after`游标，直到服务器不再返回下一页
+ * 的游标。
+ *
+ * @param {object} page
+ *     当前页的数据。
+ * @return {object|null}
+ *     下一页的分页请求；若当前页已是最后一页或为空页，则返回`null`。
+ * @private
+ */
+function getNextCursorRequest(page) {
+  return ((page?.content?.length > 0) && page.hasNext ? page.getNextRequest() : null);
+}
+
+/**
+ * 依次产生各页数据中的每一个实体对象。
+ *
+ * @param {object} api
+ *     调用此函数的API对象。
+ * @param {AsyncIterable<object>} pages
+ *     依次产生每一页数据的异步可迭代对象。
+ * @param {number} maxItems
+ *     最多产生的对象数目。
+ * @return {AsyncGenerator<object>}
+ *     一个异步迭代器，依次产生符合条件的实体对象。
+ * @private
+ */
+async function* iterateEntities(api, pages, maxItems) {
+  let count = 0;
+  let pageCount = 0;
+  for await (const page of pages) {
+    ++pageCount;
+    for (const entity of page?.content ?? []) {
+      if (count >= maxItems) {
+        break;
+      }
+      ++count;
+      yield entity;
+    }
+    if (count >= maxItems) {
+      break;
+    }
+  }
+  api.logger.info('Successfully iterated %d %ss in %d pages.', count, api.entityClass.name, pageCount);
+}
+
+/**
+ * 逐页遍历符合条件的实体对象。
+ *
+ * 此函数返回一个异步迭代器，它按需逐页调用`listImpl()`获取数据，依次产生每一个符合条件的
+ * 实体对象。当到达最后一页、获取到空页，或已产生的对象数目达到`maxItems`时，遍历结束。调用
+ * 者可以在任何时候使用`break`提前结束遍历，此时不会再发出后续的请求。
+ *
+ * 使用示例：
+ * ```js
+ * for await (const person of iterateImpl(personApi, '/person', { deleted: false }, {}, { pageSize: 500 })) {
+ *   process(person);
+ * }
+ * ```
+ *
+ * @param {object} api
+ *     调用此函数的API对象。
+ * @param {string} url
+ *     请求的URL。
+ * @param {object|Criteria} criteria
+ *     查询条件参数，所有条件之间用`AND`连接；也可以是一个`Criteria`对象，表示复合查询
+ *     条件。
+ * @param {object|Array<object>} sortRequest
+ *     排序参数，指定按照哪个属性排序；也可以是按照优先级从高到低排列的多个排序参数组成
+ *     的数组，详见`toSortParams()`的说明。
+ * @param {object} iterateOptions
+ *     遍历选项，包含以下属性：
+ *     - `pageSize: number` 每次请求的分页大小，默认值为`100`；
+ *     - `maxItems: number` 最多产生的对象数目，默认不限制；
+ *     - `cursor: boolean` 是否使用游标分页，默认值为`false`。对于不断追加数据的大表，
+ *       游标分页的速度更快，且遍历过程中新追加的数据不会导致重复或遗漏，详见
+ *       `isCursorPageRequest()`的说明；
+ *     - `showLoading: boolean` 每次请求时是否显示加载提示，默认值为`true`；
+ *     - `signal: AbortSignal` 用于取消遍历的信号，默认值为`undefined`；
+ *     - `timeout`、`headers`、`params`等其他请求选项，详见`normalizeRequestOptions()`
+ *       的说明。
+ * @param {object} options
+ *     其他附加的查询参数。
+ * @return {AsyncGenerator<object>}
+ *     一个异步迭代器，依次产生符合条件的实体对象。若某一页的请求失败，则迭代器抛出该请求
+ *     的`ErrorInfo`对象；若遍历被取消，则迭代器抛出一个`RequestCancelledError`对象。
+ * @author 胡海星
+ */
+function iterateImpl(api, url, criteria = {}, sortRequest = {}, iterateOptions = {}, options = {}) {
+  checkObjectArgument('criteria', criteria, api.CRITERIA_DEFINITIONS, false, api.entityClass);
+  checkSortRequestArgument(sortRequest, api.entityClass);
+  checkIterateOptionsArgument(iterateOptions);
+  // 除`pageSize`、`maxItems`和`cursor`外，其余的遍历选项均作为每次请求的请求选项
+  const { pageSize, maxItems, cursor, ...otherOptions } = iterateOptions;
+  const requestOptions = normalizeRequestOptions(otherOptions);
+  const thePageSize = pageSize ?? DEFAULT_ITERATE_PAGE_SIZE;
+  const theMaxItems = maxItems ?? Infinity;
+  const fetchPage = (pageRequest) => listImpl(api, url, pageRequest, criteria, sortRequest, requestOptions, options);
+  // 游标分页的第一页请求为`{ limit: pageSize }`，此后每页都使用上一页返回的游标
+  const firstRequest = (cursor ? { limit: thePageSize } : { pageIndex: 0, pageSize: thePageSize });
+  const getNextRequest = (cursor ? getNextCursorRequest : getNextPageRequest);
+  const pages = fetchPages(fetchPage, (theMaxItems > 0 ? firstRequest : null), getNextRequest);
+  return iterateEntities(api, pages, theMaxItems);
+}
+
+/**
+ * 获取全部符合条件的实体对象。
+ *
+ * 此函数使用`iterateImpl()`逐页获取全部符合条件的实体对象，并将它们收集到一个数组中。
+ *
+ * @param {object} api
+ *     调用此函数的API对象。
+ * @param {string} url
+ *     请求的URL。
+ * @param {object|Criteria} criteria
+ *     查询条件参数，所有条件之间用`AND`连接；也可以是一个`Criteria`对象，表示复合查询
+ *     条件。
+ * @param {object|Array<object>} sortRequest
+ *     排序参数，指定按照哪个属性排序；也可以是按照优先级从高到低排列的多个排序参数组成
+ *     的数组，详见`toSortParams()`的说明。
+ * @param {object} iterateOptions
+ *     遍历选项，详见`iterateImpl()`的说明。
+ * @param {object} options
+ *     其他附加的查询参数。
+ * @return {Promise<Array<object>|ErrorInfo>}
+ *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回包含全部符合条件的实体对象
+ *     的数组；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+ * @author 胡海星
+ */
+async function listAllImpl(api, url, criteria = {}, sortRequest = {}, iterateOptions = {}, options = {}) {
+  const result = [];
+  for await (const entity of iterateImpl(api, url, criteria, sortRequest, iterateOptions, options)) {
+    result.push(entity);
+  }
+  return result;
+}
+
+export {
+  DEFAULT_ITERATE_PAGE_SIZE,
+  iterateImpl,
+  listAllImpl,
+};
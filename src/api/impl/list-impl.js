@@ -9,11 +9,22 @@
 import { http } from '@qubit-ltd/common-app';
 import { toJSON } from '@qubit-ltd/common-decorator';
 import { loading } from '@qubit-ltd/common-ui';
-import { checkArgumentType } from '@qubit-ltd/common-util';
+import Criteria from '../../params/Criteria';
 import checkObjectArgument from '../../utils/check-object-argument';
-import checkPageRequestArgument from '../../utils/check-page-request-argument';
+import checkPageRequestArgument, { isCursorPageRequest } from '../../utils/check-page-request-argument';
 import checkSortRequestArgument from '../../utils/check-sort-request-argument';
+import { toCursorPage } from './cursor-page';
+import { checkFieldsArgument, projectFields } from './field-projection';
+import { shareInflightRequest } from './inflight-request';
 import { assignOptions, toJsonOptions } from './options';
+import {
+  handleCancellation,
+  normalizeRequestOptions,
+  toRequestConfig,
+} from './request-options';
+import { fetchWithCache } from './response-cache';
+import { retryRequest } from './retry-policy';
+import { toSortParams } from './sort-params';
 
 /**
  * 列出符合条件的实体对象。
@@ -23,35 +34,51 @@ import { assignOptions, toJsonOptions } from './options';
  * @param {string} url
  *     请求的URL。
  * @param {PageRequest|object} pageRequest
- *     分页请求。
- * @param {object} criteria
- *     查询条件参数，所有条件之间用`AND`连接。
- * @param {object} sortRequest
- *     排序参数，指定按照哪个属性排序。
- * @param {boolean} showLoading
- *     是否显示加载提示。
+ *     分页请求。也可以是形如`{ after, limit }`或`{ before, limit }`的游标分页请求，此时
+ *     返回一个`CursorPage`对象，详见`isCursorPageRequest()`的说明。
+ * @param {object|Criteria} criteria
+ *     查询条件参数，所有条件之间用`AND`连接；也可以是一个`Criteria`对象，表示复合查询
+ *     条件。
+ * @param {object|Array<object>} sortRequest
+ *     排序参数，指定按照哪个属性排序；也可以是按照优先级从高到低排列的多个排序参数组成
+ *     的数组，详见`toSortParams()`的说明。
+ * @param {boolean|object} showLoading
+ *     是否显示加载提示。也可以是一个请求选项对象，包含`showLoading`和`signal`等属性，
+ *     详见`normalizeRequestOptions()`的说明；其中的`fields`属性指定只请求实体对象的部分
+ *     属性，此时返回的实体对象只包含这些属性，详见`projectFields()`的说明。
  * @param {object} options
  *     其他附加的查询参数。
- * @return {Promise<Page<App>|ErrorInfo>}
+ * @return {Promise<Page<App>|CursorPage<App>|ErrorInfo>}
  *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`Page`对象，包含符合条
- *     件的实体对象的分页数据；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+ *     件的实体对象的分页数据；若分页请求为游标分页请求，则返回一个`CursorPage`对象；若
+ *     操作失败，则解析失败并返回一个`ErrorInfo`对象。
  */
 function listImpl(api, url, pageRequest, criteria, sortRequest, showLoading, options = {}) {
   checkPageRequestArgument(pageRequest);
-  checkObjectArgument('criteria', criteria, api.CRITERIA_DEFINITIONS);
+  checkObjectArgument('criteria', criteria, api.CRITERIA_DEFINITIONS, false, api.entityClass);
   checkSortRequestArgument(sortRequest, api.entityClass);
-  checkArgumentType('showLoading', showLoading, Boolean);
+  const requestOptions = normalizeRequestOptions(showLoading);
+  checkFieldsArgument(requestOptions.fields, api.entityClass);
   const params = toJSON({
     ...pageRequest,
-    ...criteria,
-    ...sortRequest,
+    ...(criteria instanceof Criteria ? criteria.toParams() : criteria),
+    ...toSortParams(sortRequest),
     ...options,
   }, toJsonOptions);
-  if (showLoading) {
-    loading.showGetting();
-  }
-  return http.get(url, { params }).then((obj) => {
-    const page = api.entityClass.createPage(obj, assignOptions);
+  const config = toRequestConfig(requestOptions, { params });
+  const promise = shareInflightRequest(url, config, () => retryRequest(api, requestOptions, () => {
+    if (requestOptions.showLoading) {
+      loading.showGetting();
+    }
+    return http.get(url, config);
+  }));
+  return handleCancellation(promise, requestOptions).then((obj) => {
+    const page = (isCursorPageRequest(pageRequest)
+      ? toCursorPage(api.entityClass, obj, pageRequest)
+      : api.entityClass.createPage(obj, assignOptions));
+    if (requestOptions.fields) {
+      page.content.forEach((entity) => projectFields(entity, requestOptions.fields));
+    }
     api.logger.info('Successfully list %ss.', api.entityClass.name);
     api.logger.debug('The page of %ss is:', api.entityClass.name, page);
     return page;
@@ -66,35 +93,53 @@ function listImpl(api, url, pageRequest, criteria, sortRequest, showLoading, opt
  * @param {string} url
  *     请求的URL。
  * @param {PageRequest|object} pageRequest
- *     分页请求。
- * @param {object} criteria
- *     查询条件参数，所有条件之间用`AND`连接。
- * @param {object} sortRequest
- *     排序参数，指定按照哪个属性排序。
- * @param {boolean} showLoading
- *     是否显示加载提示。
+ *     分页请求。也可以是形如`{ after, limit }`或`{ before, limit }`的游标分页请求，此时
+ *     返回一个`CursorPage`对象，详见`isCursorPageRequest()`的说明。
+ * @param {object|Criteria} criteria
+ *     查询条件参数，所有条件之间用`AND`连接；也可以是一个`Criteria`对象，表示复合查询
+ *     条件。
+ * @param {object|Array<object>} sortRequest
+ *     排序参数，指定按照哪个属性排序；也可以是按照优先级从高到低排列的多个排序参数组成
+ *     的数组，详见`toSortParams()`的说明。
+ * @param {boolean|object} showLoading
+ *     是否显示加载提示。也可以是一个请求选项对象，包含`showLoading`和`signal`等属性，
+ *     详见`normalizeRequestOptions()`的说明；其中的`fields`属性指定只请求实体对象的基本
+ *     信息的部分属性，此时返回的基本信息对象只包含这些属性，详见`projectFields()`的说明。
  * @param {object} options
  *     其他附加的查询参数。
- * @return {Promise<Page<App>|ErrorInfo>}
+ * @return {Promise<Page<App>|CursorPage<App>|ErrorInfo>}
  *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`Page`对象，包含符合条
- *     件的实体对象的分页数据；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+ *     件的实体对象的分页数据；若分页请求为游标分页请求，则返回一个`CursorPage`对象；若
+ *     操作失败，则解析失败并返回一个`ErrorInfo`对象。
  */
 function listInfoImpl(api, url, pageRequest, criteria, sortRequest, showLoading, options = {}) {
   checkPageRequestArgument(pageRequest);
-  checkObjectArgument('criteria', criteria, api.CRITERIA_DEFINITIONS);
+  checkObjectArgument('criteria', criteria, api.CRITERIA_DEFINITIONS, false, api.entityClass);
   checkSortRequestArgument(sortRequest, api.entityClass);
-  checkArgumentType('showLoading', showLoading, Boolean);
+  const requestOptions = normalizeRequestOptions(showLoading);
+  checkFieldsArgument(requestOptions.fields, api.entityInfoClass);
   const params = toJSON({
     ...pageRequest,
-    ...criteria,
-    ...sortRequest,
+    ...(criteria instanceof Criteria ? criteria.toParams() : criteria),
+    ...toSortParams(sortRequest),
     ...options,
   }, toJsonOptions);
-  if (showLoading) {
-    loading.showGetting();
-  }
-  return http.get(url, { params }).then((obj) => {
-    const page = api.entityInfoClass.createPage(obj, assignOptions);
+  const config = toRequestConfig(requestOptions, { params });
+  const promise = fetchWithCache(api, url, config, requestOptions, () => (
+    shareInflightRequest(url, config, () => retryRequest(api, requestOptions, () => {
+      if (requestOptions.showLoading) {
+        loading.showGetting();
+      }
+      return http.get(url, config);
+    }))
+  ));
+  return handleCancellation(promise, requestOptions).then((obj) => {
+    const page = (isCursorPageRequest(pageRequest)
+      ? toCursorPage(api.entityInfoClass, obj, pageRequest)
+      : api.entityInfoClass.createPage(obj, assignOptions));
+    if (requestOptions.fields) {
+      page.content.forEach((info) => projectFields(info, requestOptions.fields));
+    }
     api.logger.info('Successfully list infos of %ss.', api.entityClass.name);
     api.logger.debug('The page of infos of %ss is:', api.entityClass.name, page);
     return page;
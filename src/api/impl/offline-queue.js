@@ -0,0 +1,405 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { http } from '@qubit-ltd/common-app';
+import { Logger } from '@qubit-ltd/logging';
+import MemoryOfflineStorage from '../../storage/MemoryOfflineStorage';
+import getErrorStatus from '../../utils/get-error-status';
+import { responseCache } from './response-cache';
+
+const logger = Logger.getLogger('OfflineQueue');
+
+/**
+ * 表示重放的操作与服务器上的数据发生冲突的HTTP响应状态码。
+ *
+ * @type {Array<number>}
+ */
+const CONFLICT_STATUSES = [409, 412];
+
+/**
+ * 发送一个离线操作的HTTP请求。
+ *
+ * @param {object} entry
+ *     离线操作。
+ * @return {Promise<any>}
+ *     此HTTP请求的`Promise`对象。
+ * @private
+ */
+function sendMutation(entry) {
+  const { method, url, data, config } = entry;
+  return (method === 'delete' ? http.delete(url, config) : http[method](url, data, config));
+}
+
+/**
+ * 此类实现了一个离线操作队列。
+ *
+ * 启用离线模式后，若网络处于离线状态，则`addImpl()`、`updateImpl()`、
+ * `updatePropertyImpl()`和`deleteImpl()`不再发送HTTP请求，而是将其请求保存到此队列的
+ * 存储中；网络恢复后，调用`replay()`方法即可按照加入队列的顺序重新发送这些请求。
+ *
+ * 为了保证操作按照其发生的顺序发送到服务器，网络恢复后，只要队列中还有尚未重放的操作，
+ * 或者正在进行重放，新的操作也将加入队列，并在加入队列后自动重放，而不是直接发送请求。
+ *
+ * 队列中的每个离线操作都是一个包含以下属性的普通对象：
+ * - `action: string` 操作的名称，可以是`add`、`update`、`updateProperty`或`delete`；
+ * - `method: string` HTTP请求的方法，可以是`post`、`put`或`delete`；
+ * - `url: string` HTTP请求的URL；
+ * - `data: any` HTTP请求的请求体；
+ * - `config: object` HTTP请求的配置，包括查询参数和请求头；
+ * - `entityName: string` 操作的实体类的名称；
+ * - `time: number` 操作加入队列的时间戳。
+ *
+ * @author 胡海星
+ */
+class OfflineQueue {
+  /**
+   * 是否启用离线模式，默认值为`false`。
+   *
+   * @type {boolean}
+   */
+  enabled = false;
+
+  /**
+   * 保存离线操作的存储，默认保存在内存中。
+   *
+   * 浏览器中可以使用`IndexedDbOfflineStorage`，以便在页面刷新后依然保留离线操作；也可以
+   * 使用任何实现了`load()`和`save(entries)`方法的自定义存储。
+   *
+   * @type {object}
+   */
+  storage = new MemoryOfflineStorage();
+
+  /**
+   * 判断网络是否在线的函数，默认使用`navigator.onLine`。
+   *
+   * @type {function}
+   */
+  isOnline = () => ((typeof navigator === 'undefined') || (navigator.onLine !== false));
+
+  /**
+   * 串行执行存储操作的`Promise`对象链的尾部。
+   *
+   * @type {Promise<any>}
+   * @private
+   */
+  __tail = Promise.resolve();
+
+  /**
+   * 正在进行的重放操作的`Promise`对象。
+   *
+   * @type {Promise<Array<object>>|null}
+   * @private
+   */
+  __replaying = null;
+
+  /**
+   * 已知的队列中的离线操作的数目，在每次读写存储后更新。
+   *
+   * @type {number}
+   * @private
+   */
+  __size = 0;
+
+  /**
+   * 正在加入队列、尚未保存到存储中的离线操作的数目。
+   *
+   * @type {number}
+   * @private
+   */
+  __enqueuing = 0;
+
+  /**
+   * 重放结果的监听器列表。
+   *
+   * @type {Array<function>}
+   * @private
+   */
+  __listeners = [];
+
+  /**
+   * 监听网络恢复事件的函数。
+   *
+   * @type {function|null}
+   * @private
+   */
+  __onlineHandler = null;
+
+  /**
+   * 判断当前的操作是否应当加入离线队列。
+   *
+   * 若已启用离线模式，且网络处于离线状态，或者队列中还有尚未重放的操作，或者正在进行
+   * 重放，则当前的操作应当加入队列，以免其先于队列中的操作发送到服务器。
+   *
+   * @return {boolean}
+   *     若当前的操作应当加入离线队列，则返回`true`；否则返回`false`。
+   */
+  isActive() {
+    if (!this.enabled) {
+      return false;
+    }
+    return !this.isOnline()
+      || (this.__size > 0)
+      || (this.__enqueuing > 0)
+      || (this.__replaying !== null);
+  }
+
+  /**
+   * 串行地执行一个存储操作，避免并发的读写相互覆盖。
+   *
+   * @param {function} action
+   *     要执行的操作，返回一个`Promise`对象。
+   * @return {Promise<any>}
+   *     该操作的`Promise`对象。
+   * @private
+   */
+  __serialize(action) {
+    const result = this.__tail.then(action);
+    this.__tail = result.catch(() => undefined);
+    return result;
+  }
+
+  /**
+   * 将一个离线操作加入队列。
+   *
+   * 若加入队列时网络在线（即因为队列中还有尚未重放的操作而加入队列），则加入队列后自动
+   * 重放队列中的离线操作。
+   *
+   * @param {object} api
+   *     调用此函数的API对象。
+   * @param {object} mutation
+   *     离线操作，包含`action`、`method`、`url`、`data`和`config`属性。其`config`中的
+   *     `signal`属性将被忽略。
+   * @return {Promise<object>}
+   *     加入队列的离线操作的`Promise`对象。
+   */
+  enqueue(api, mutation) {
+    const config = { ...mutation.config };
+    delete config.signal;
+    const entry = {
+      ...mutation,
+      config,
+      entityName: api.entityClass.name,
+      time: Date.now(),
+    };
+    ++this.__enqueuing;
+    return this.__serialize(() => this.storage.load().then((entries) => {
+      const queued = [...entries, entry];
+      return this.storage.save(queued).then(() => {
+        this.__size = queued.length;
+      });
+    })).finally(() => {
+      --this.__enqueuing;
+    }).then(() => {
+      api.logger.info('Queued the %s operation of the %s: %s',
+        entry.action,
+        entry.entityName,
+        entry.url);
+      if (this.isOnline()) {
+        this.__replayInBackground();
+      }
+      return entry;
+    });
+  }
+
+  /**
+   * 获取队列中所有的离线操作。
+   *
+   * @return {Promise<Array<object>>}
+   *     队列中所有的离线操作的`Promise`对象，按照加入队列的顺序排列。
+   */
+  getEntries() {
+    return this.__serialize(() => this.storage.load().then((entries) => {
+      this.__size = entries.length;
+      return entries;
+    }));
+  }
+
+  /**
+   * 清空队列中所有的离线操作。
+   *
+   * @return {Promise<void>}
+   *     清空完成后解析成功的`Promise`对象。
+   */
+  clear() {
+    return this.__serialize(() => this.storage.save([]).then(() => {
+      this.__size = 0;
+    }));
+  }
+
+  /**
+   * 添加一个重放结果的监听器。
+   *
+   * 每个离线操作重放完成后，都将以其重放结果为参数调用所有的监听器，详见`replay()`的说明。
+   *
+   * @param {function} listener
+   *     要添加的监听器。
+   */
+  addListener(listener) {
+    this.__listeners.push(listener);
+  }
+
+  /**
+   * 移除一个重放结果的监听器。
+   *
+   * @param {function} listener
+   *     要移除的监听器。
+   */
+  removeListener(listener) {
+    this.__listeners = this.__listeners.filter((l) => l !== listener);
+  }
+
+  /**
+   * 按照加入队列的顺序重放队列中的离线操作。
+   *
+   * 每个离线操作重放完成后，即从队列中移除，并产生一个包含以下属性的重放结果：
+   * - `entry: object` 被重放的离线操作；
+   * - `status: string` 重放的结果，`succeeded`表示成功，`conflict`表示服务器返回了
+   *   `409`或`412`冲突响应（例如以乐观锁模式更新的对象已被他人修改），`failed`表示
+   *   服务器返回了其他错误；
+   * - `result: any` 重放成功时服务器返回的数据；
+   * - `error: any` 重放失败时服务器返回的错误。
+   *
+   * 若重放时发生了网络错误（即没有收到服务器的响应），则停止重放，该操作及其后的所有操作
+   * 仍然保留在队列中，待下次重放。
+   *
+   * 若已有正在进行的重放操作，则直接返回其`Promise`对象。
+   *
+   * @return {Promise<Array<object>>}
+   *     本次重放的所有重放结果的`Promise`对象。
+   */
+  replay() {
+    if (!this.__replaying) {
+      this.__replaying = this.__serialize(() => this.__replayAll()).finally(() => {
+        this.__replaying = null;
+      });
+    }
+    return this.__replaying;
+  }
+
+  /**
+   * 重放队列中所有的离线操作。
+   *
+   * @return {Promise<Array<object>>}
+   *     所有重放结果的`Promise`对象。
+   * @private
+   */
+  __replayAll() {
+    return this.storage.load().then((entries) => {
+      this.__size = entries.length;
+      const outcomes = [];
+      const replayFrom = (index) => {
+        if (index >= entries.length) {
+          return outcomes;
+        }
+        const entry = entries[index];
+        return sendMutation(entry).then((result) => ({ entry, status: 'succeeded', result }), (error) => {
+          const status = getErrorStatus(error);
+          if ((status === undefined) || (status === null)) {
+            return null;
+          }
+          return { entry, status: (CONFLICT_STATUSES.includes(status) ? 'conflict' : 'failed'), error };
+        }).then((outcome) => {
+          if (outcome === null) {
+            logger.warn('Failed to replay the offline operations due to network error, %d operations remain.',
+              entries.length - index);
+            return outcomes;
+          }
+          outcomes.push(outcome);
+          this.__notify(outcome);
+          const remaining = entries.slice(index + 1);
+          return this.storage.save(remaining).then(() => {
+            this.__size = remaining.length;
+            return replayFrom(index + 1);
+          });
+        });
+      };
+      return replayFrom(0);
+    }).then((outcomes) => {
+      if (outcomes.length > 0) {
+        // 服务器上的数据已被修改，缓存的响应不再可信
+        responseCache.clear();
+        logger.info('Replayed %d offline operations.', outcomes.length);
+      }
+      return outcomes;
+    });
+  }
+
+  /**
+   * 在后台重放队列中的离线操作。
+   *
+   * 调用者无法处理返回的`Promise`对象，因此须在此记录重放失败的错误。
+   *
+   * @private
+   */
+  __replayInBackground() {
+    this.replay().catch((error) => {
+      logger.error('Failed to replay the offline operations:', error);
+    });
+  }
+
+  /**
+   * 将一个重放结果通知所有的监听器。
+   *
+   * @param {object} outcome
+   *     重放结果。
+   * @private
+   */
+  __notify(outcome) {
+    for (const listener of this.__listeners) {
+      try {
+        listener(outcome);
+      } catch (error) {
+        logger.error('Failed to notify the replay outcome:', error);
+      }
+    }
+  }
+
+  /**
+   * 启用离线模式。
+   *
+   * 若运行环境支持`online`事件（例如浏览器），则在网络恢复时自动重放队列中的离线操作；
+   * 若当前网络在线，则立即重放队列中残留的离线操作。在不支持`online`事件的环境中（例如
+   * Node.js），调用者应当在网络恢复时自行调用`replay()`方法。
+   *
+   * @return {Promise<Array<object>>}
+   *     立即重放的所有重放结果的`Promise`对象。
+   */
+  start() {
+    this.enabled = true;
+    if (!this.__onlineHandler && (typeof window !== 'undefined')) {
+      this.__onlineHandler = () => this.__replayInBackground();
+      window.addEventListener('online', this.__onlineHandler);
+    }
+    return (this.isOnline() ? this.replay() : Promise.resolve([]));
+  }
+
+  /**
+   * 停用离线模式。
+   *
+   * 停用后，队列中已有的离线操作仍然保留在存储中，可以调用`replay()`方法重放之。
+   */
+  stop() {
+    this.enabled = false;
+    if (this.__onlineHandler) {
+      window.removeEventListener('online', this.__onlineHandler);
+      this.__onlineHandler = null;
+    }
+  }
+}
+
+/**
+ * 全局共享的离线操作队列。
+ *
+ * @type {OfflineQueue}
+ */
+const offlineQueue = new OfflineQueue();
+
+export {
+  OfflineQueue,
+  offlineQueue,
+};
@@ -0,0 +1,190 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { http } from '@qubit-ltd/common-app';
+import { stringifyId, toJSON } from '@qubit-ltd/common-decorator';
+import { loading } from '@qubit-ltd/common-ui';
+import { checkArgumentType } from '@qubit-ltd/common-util';
+import checkIdArgumentType from '../../utils/check-id-argument-type';
+import { assignOptions, toJsonOptions } from './options';
+import {
+  handleCancellation,
+  normalizeRequestOptions,
+  toRequestConfig,
+} from './request-options';
+import { invalidateResponseCache } from './response-cache';
+
+/**
+ * 部分更新请求的请求头。
+ *
+ * 部分更新请求的请求体遵循 JSON Merge Patch（RFC 7396）的语义，即值为`null`的属性表示
+ * 清空该属性，嵌套的对象表示只修改其中的部分属性。
+ *
+ * @type {object}
+ */
+const MERGE_PATCH_HEADERS = { 'Content-Type': 'application/merge-patch+json' };
+
+/**
+ * 判断两个JSON值是否相等。
+ *
+ * 对象按照属性逐一比较，与属性的顺序无关；数组按照元素逐一比较。
+ *
+ * @param {any} x
+ *     第一个JSON值。
+ * @param {any} y
+ *     第二个JSON值。
+ * @return {boolean}
+ *     若两个JSON值相等，则返回`true`；否则返回`false`。
+ * @private
+ */
+function isJsonEqual(x, y) {
+  if (x === y) {
+    return true;
+  }
+  if ((x === null) || (y === null) || (typeof x !== 'object') || (typeof y !== 'object')) {
+    return false;
+  }
+  if (Array.isArray(x) !== Array.isArray(y)) {
+    return false;
+  }
+  const xKeys = Object.keys(x);
+  const yKeys = Object.keys(y);
+  if (xKeys.length !== yKeys.length) {
+    return false;
+  }
+  return xKeys.every((key) => Object.hasOwn(y, key) && isJsonEqual(x[key], y[key]));
+}
+
+/**
+ * 判断一个JSON值是否为JSON对象，即不是`null`也不是数组的对象。
+ *
+ * @param {any} value
+ *     待判断的JSON值。
+ * @return {boolean}
+ *     若该值为JSON对象，则返回`true`；否则返回`false`。
+ * @private
+ */
+function isJsonObject(value) {
+  return (value !== null) && (typeof value === 'object') && !Array.isArray(value);
+}
+
+/**
+ * 计算两个JSON对象之间的差异，结果遵循 JSON Merge Patch 的语义。
+ *
+ * @param {object} source
+ *     原始的JSON对象。
+ * @param {object} target
+ *     修改后的JSON对象。
+ * @return {object}
+ *     由发生变化的属性组成的JSON对象。
+ * @private
+ */
+function diffJson(source, target) {
+  const result = {};
+  for (const key of Object.keys(target)) {
+    if (isJsonObject(source[key]) && isJsonObject(target[key])) {
+      const diff = diffJson(source[key], target[key]);
+      if (Object.keys(diff).length > 0) {
+        result[key] = diff;
+      }
+    } else if (!isJsonEqual(source[key], target[key])) {
+      result[key] = target[key];
+    }
+  }
+  for (const key of Object.keys(source)) {
+    if (!Object.hasOwn(target, key)) {
+      result[key] = null;
+    }
+  }
+  return result;
+}
+
+/**
+ * 计算修改后的实体对象相对于原始实体对象的差异。
+ *
+ * 两个实体对象均先按照`toJsonOptions`转换为JSON对象（属性名转换为下划线形式，并移除空
+ * 属性），然后逐一比较其属性：
+ * - 值发生变化或者新增的属性，其新值将包含在结果中；
+ * - 在原始实体对象中存在、但在修改后的实体对象中被清空的属性，其值在结果中为`null`；
+ * - 值未发生变化的属性不包含在结果中。
+ *
+ * 嵌套的对象按照上述规则递归地比较，结果中只包含其发生变化的属性，被清空的嵌套属性的值
+ * 同样为`null`；数组作为一个整体比较，若其中任何元素发生变化，则结果中包含其完整的新值。
+ *
+ * @param {object} original
+ *     原始的实体对象，通常是从服务器获取的实体对象。
+ * @param {object} modified
+ *     修改后的实体对象。
+ * @return {object}
+ *     由发生变化的属性组成的JSON对象，其属性名为下划线形式；若没有任何属性发生变化，则
+ *     返回一个空对象。
+ * @author 胡海星
+ */
+function diffEntity(original, modified) {
+  const source = toJSON(original, toJsonOptions) ?? {};
+  const target = toJSON(modified, toJsonOptions) ?? {};
+  return diffJson(source, target);
+}
+
+/**
+ * 根据ID，部分更新一个实体对象。
+ *
+ * 此函数计算修改后的实体对象相对于原始实体对象的差异，并通过`PATCH`请求只将发生变化的
+ * 属性以`application/merge-patch+json`格式发送给服务器，详见`diffEntity()`的说明。若
+ * 没有任何属性发生变化，则不会发送请求，直接返回修改后的实体对象。
+ *
+ * 注意恢复已被标记删除的实体对象的请求使用`PATCH /xxx/{id}`，因此部分更新请求必须使用
+ * 不同的URL，各个API使用`PATCH /xxx/{id}/patch`。
+ *
+ * @param {object} api
+ *     调用此函数的API对象。
+ * @param {string} url
+ *     请求的URL，其中的`{id}`将被替换为实体对象的ID，例如`'/user/{id}/patch'`。
+ * @param {object} original
+ *     原始的实体对象，通常是从服务器获取的实体对象。
+ * @param {object} modified
+ *     修改后的实体对象，根据其ID确定要更新的对象。
+ * @param {boolean|object} showLoading
+ *     是否显示加载提示。也可以是一个请求选项对象，包含`showLoading`和`signal`等属性，
+ *     详见`normalizeRequestOptions()`的说明。
+ * @param {object} options
+ *     附加的选项。
+ * @return {Promise<App|ErrorInfo>}
+ *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新后的实体对象；
+ *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+ */
+function patchImpl(api, url, original, modified, showLoading, options = {}) {
+  checkArgumentType('original', original, [api.entityClass, Object]);
+  checkArgumentType('modified', modified, [api.entityClass, Object]);
+  checkIdArgumentType(modified.id, 'modified.id');
+  const requestOptions = normalizeRequestOptions(showLoading);
+  const data = diffEntity(original, modified);
+  if (Object.keys(data).length === 0) {
+    api.logger.info('The %s "%s" is not modified, no need to patch it.', api.entityClass.name, modified.id);
+    const result = api.entityClass.create(toJSON(modified, toJsonOptions), assignOptions);
+    return Promise.resolve(result);
+  }
+  const params = toJSON({ ...options }, toJsonOptions);
+  if (requestOptions.showLoading) {
+    loading.showUpdating();
+  }
+  const config = toRequestConfig(requestOptions, { params, headers: MERGE_PATCH_HEADERS });
+  const promise = http.patch(url.replaceAll('{id}', stringifyId(modified.id)), data, config);
+  return handleCancellation(promise, requestOptions).then((obj) => {
+    invalidateResponseCache(api);
+    const result = api.entityClass.create(obj, assignOptions);
+    api.logger.info('Successfully patch the %s by its ID:', api.entityClass.name, modified.id);
+    api.logger.debug('The patched %s is:', api.entityClass.name, result);
+    return result;
+  });
+}
+
+export {
+  diffEntity,
+  patchImpl,
+};
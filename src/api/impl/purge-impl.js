@@ -13,7 +13,15 @@ import { checkArgumentType } from '@qubit-ltd/common-util';
 import Json from '@qubit-ltd/json';
 import checkIdArgumentType from '../../utils/check-id-argument-type';
 import checkIdArrayArgumentType from '../../utils/check-id-array-argument-type';
+import { sendBatchRequest } from './batch-request';
+import { getBatchParams, toBatchResult } from './batch-result';
 import { toJsonOptions } from './options';
+import {
+  handleCancellation,
+  normalizeRequestOptions,
+  toRequestConfig,
+} from './request-options';
+import { invalidateResponseCache } from './response-cache';
 
 /**
  * 根据ID，彻底清除一个被标记删除的实体对象。
@@ -24,8 +32,9 @@ import { toJsonOptions } from './options';
  *     请求的URL。
  * @param {string} id
  *     要清除的实体对象的ID，该对象必须已经被标记删除。
- * @param {boolean} showLoading
- *     是否显示加载提示。
+ * @param {boolean|object} showLoading
+ *     是否显示加载提示。也可以是一个请求选项对象，包含`showLoading`和`signal`等属性，
+ *     详见`normalizeRequestOptions()`的说明。
  * @param {object} options
  *     附加的选项。
  * @return {Promise<void|ErrorInfo>}
@@ -35,12 +44,15 @@ import { toJsonOptions } from './options';
  */
 function purgeImpl(api, url, id, showLoading, options = {}) {
   checkIdArgumentType(id);
-  checkArgumentType('showLoading', showLoading, Boolean);
+  const requestOptions = normalizeRequestOptions(showLoading);
   const params = toJSON({ ...options }, toJsonOptions);
-  if (showLoading) {
+  if (requestOptions.showLoading) {
     loading.showPurging();
   }
-  return http.delete(url.replaceAll('{id}', stringifyId(id)), { params }).then(() => {
+  const config = toRequestConfig(requestOptions, { params });
+  const promise = http.delete(url.replaceAll('{id}', stringifyId(id)), config);
+  return handleCancellation(promise, requestOptions).then(() => {
+    invalidateResponseCache(api);
     api.logger.info('Successfully purge the deleted %s by its ID "%s".', api.entityClass.name, id);
   });
 }
@@ -56,8 +68,9 @@ function purgeImpl(api, url, id, showLoading, options = {}) {
  *     实体对象的键名。
  * @param {string} keyValue
  *     实体对象的键值，必须是字符串类型。
- * @param {boolean} showLoading
- *     是否显示加载提示。
+ * @param {boolean|object} showLoading
+ *     是否显示加载提示。也可以是一个请求选项对象，包含`showLoading`和`signal`等属性，
+ *     详见`normalizeRequestOptions()`的说明。
  * @param {object} options
  *     附加的选项。
  * @return {Promise<void|ErrorInfo>}
@@ -69,12 +82,15 @@ function purgeByKeyImpl(api, url, keyName, keyValue, showLoading, options = {})
   // 检查调用方传入的参数：keyName 是参数名（如 'code'），keyValue 是要检查的值
   // 这样错误信息会显示为 "The value of the argument 'code' must be a String"
   checkArgumentType(keyName, keyValue, String);
-  checkArgumentType('showLoading', showLoading, Boolean);
+  const requestOptions = normalizeRequestOptions(showLoading);
   const params = toJSON({ ...options }, toJsonOptions);
-  if (showLoading) {
+  if (requestOptions.showLoading) {
     loading.showPurging();
   }
-  return http.delete(url.replaceAll(`{${keyName}}`, keyValue), { params }).then(() => {
+  const config = toRequestConfig(requestOptions, { params });
+  const promise = http.delete(url.replaceAll(`{${keyName}}`, keyValue), config);
+  return handleCancellation(promise, requestOptions).then(() => {
+    invalidateResponseCache(api);
     api.logger.info('Successfully purged the deleted %s by its %s "%s".', api.entityClass.name, keyName, keyValue);
   });
 }
@@ -86,8 +102,9 @@ function purgeByKeyImpl(api, url, keyName, keyValue, showLoading, options = {})
  *     调用此函数的API对象。
  * @param {string} url
  *     请求的URL。
- * @param {boolean} showLoading
- *     是否显示加载提示。
+ * @param {boolean|object} showLoading
+ *     是否显示加载提示。也可以是一个请求选项对象，包含`showLoading`和`signal`等属性，
+ *     详见`normalizeRequestOptions()`的说明。
  * @param {object} options
  *     附加的选项。
  * @return {Promise<void|ErrorInfo>}
@@ -96,12 +113,15 @@ function purgeByKeyImpl(api, url, keyName, keyValue, showLoading, options = {})
  * @author 胡海星
  */
 function purgeAllImpl(api, url, showLoading, options = {}) {
-  checkArgumentType('showLoading', showLoading, Boolean);
+  const requestOptions = normalizeRequestOptions(showLoading);
   const params = toJSON({ ...options }, toJsonOptions);
-  if (showLoading) {
+  if (requestOptions.showLoading) {
     loading.showPurging();
   }
-  return http.delete(url, { params }).then((count) => {
+  const config = toRequestConfig(requestOptions, { params });
+  const promise = http.delete(url, config);
+  return handleCancellation(promise, requestOptions).then((count) => {
+    invalidateResponseCache(api);
     api.logger.info('Successfully purge %d deleted %ss.', count, api.entityClass.name);
     return count;
   });
@@ -110,30 +130,44 @@ function purgeAllImpl(api, url, showLoading, options = {}) {
 /**
  * 批量彻底清除已被标记删除的实体对象。
  *
+ * 若`ids`的数目超过分块策略的`chunkSize`，则自动拆分为若干个分块请求发送，并合并其
+ * 结果，详见`sendBatchRequest()`的说明。
+ *
  * @param {object} api
  *     调用此函数的API对象。
  * @param {string} url
  *     请求的URL。
  * @param {Array<string|number|bigint>} ids
  *     待批量彻底清除的已被标记删除的实体对象的ID列表。
- * @param {boolean} showLoading
- *     是否显示加载提示。
+ * @param {boolean|object} showLoading
+ *     是否显示加载提示。也可以是一个请求选项对象，包含`showLoading`和`signal`等属性，
+ *     详见`normalizeRequestOptions()`的说明。
  * @param {object} options
  *     附加的选项。
- * @return {Promise<number|ErrorInfo>}
+ * @return {Promise<number|BatchResult|ErrorInfo>}
  *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回实际被彻底清除的实体的数目；
+ *     若请求选项中指定了`batchResult: true`，则解析成功并返回一个`BatchResult`对象，
+ *     列出处理成功和处理失败的项；
  *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
  * @author 胡海星
  */
 function batchPurgeImpl(api, url, ids, showLoading, options = {}) {
   checkIdArrayArgumentType(ids);
-  checkArgumentType('showLoading', showLoading, Boolean);
+  const requestOptions = normalizeRequestOptions(showLoading);
   const data = toJSON(ids, toJsonOptions);
-  const params = toJSON({ ...options }, toJsonOptions);
-  if (showLoading) {
-    loading.showPurging();
-  }
-  return http.delete(url, { data, params }).then((count) => {
+  const params = getBatchParams(options, requestOptions);
+  const promise = sendBatchRequest(api, requestOptions, data, (chunk) => {
+    if (requestOptions.showLoading) {
+      loading.showPurging();
+    }
+    const config = toRequestConfig(requestOptions, { data: chunk, params });
+    return http.delete(url, config);
+  });
+  return handleCancellation(promise, requestOptions).then((count) => {
+    invalidateResponseCache(api);
+    if (requestOptions.batchResult) {
+      return toBatchResult(api, 'purged', count);
+    }
     api.logger.info('Successfully batch purged %d deleted %ss.', count, api.entityClass.name);
     return count;
   });
@@ -154,8 +188,9 @@ function batchPurgeImpl(api, url, ids, showLoading, options = {}) {
  *     实体对象的键名。
  * @param {string} keyValue
  *     实体对象的键值，必须是字符串类型。
- * @param {boolean} showLoading
- *     是否显示加载提示。
+ * @param {boolean|object} showLoading
+ *     是否显示加载提示。也可以是一个请求选项对象，包含`showLoading`和`signal`等属性，
+ *     详见`normalizeRequestOptions()`的说明。
  * @param {object} options
  *     附加的选项。
  * @return {Promise<void|ErrorInfo>}
@@ -168,15 +203,18 @@ function purgeByParentAndKeyImpl(api, url, parentKeyName, parentKeyValue, keyNam
   // keyName 是子参数名，keyValue 是要检查的子参数值
   checkArgumentType(parentKeyName, parentKeyValue, [String, Number, BigInt]);
   checkArgumentType(keyName, keyValue, String);
-  checkArgumentType('showLoading', showLoading, Boolean);
+  const requestOptions = normalizeRequestOptions(showLoading);
   const params = toJSON({ ...options }, toJsonOptions);
-  if (showLoading) {
+  if (requestOptions.showLoading) {
     loading.showPurging();
   }
-  return http.delete(
+  const config = toRequestConfig(requestOptions, { params });
+  const promise = http.delete(
     url.replaceAll(`{${parentKeyName}}`, Json.stringify(parentKeyValue)).replaceAll(`{${keyName}}`, keyValue),
-    { params },
-  ).then(() => {
+    config,
+  );
+  return handleCancellation(promise, requestOptions).then(() => {
+    invalidateResponseCache(api);
     api.logger.info('Successfully purge the deleted %s by parent %s "%s" and its %s "%s"',
       api.entityClass.name,
       parentKeyName,
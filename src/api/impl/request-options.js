@@ -0,0 +1,265 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { toJSON } from '@qubit-ltd/common-decorator';
+import { loading } from '@qubit-ltd/common-ui';
+import { checkArgumentType } from '@qubit-ltd/common-util';
+import RequestCancelledError from '../../error/RequestCancelledError';
+import { normalizeFields } from './field-projection';
+import { toJsonOptions } from './options';
+
+/**
+ * 判断指定的值是否是一个请求选项对象，即一个普通的 JavaScript 对象。
+ *
+ * @param {any} value
+ *     待判断的值。
+ * @return {boolean}
+ *     若指定的值是一个普通的 JavaScript 对象，则返回`true`；否则返回`false`。
+ * @private
+ */
+function isRequestOptionsObject(value) {
+  if ((value === null) || (typeof value !== 'object')) {
+    return false;
+  }
+  const proto = Object.getPrototypeOf(value);
+  return (proto === Object.prototype) || (proto === null);
+}
+
+/**
+ * 规范化各个`impl`函数的`showLoading`参数。
+ *
+ * `showLoading`参数可以是一个布尔值，表示是否显示加载提示；也可以是一个请求选项对象，
+ * 包含以下属性：
+ * - `showLoading: boolean` 是否显示加载提示，默认值为`true`；
+ * - `signal: AbortSignal` 用于取消请求的信号，默认值为`undefined`；
+ * - `timeout: number` 请求的超时时间，单位为毫秒，默认使用`http`对象的全局设置；
+ * - `headers: object` 附加的请求头，将与默认的请求头合并；
+ * - `params: object` 附加的查询参数，其属性名将被转换为下划线形式；
+ * - `transformUrls: boolean` 是否转换附件中的URL地址，将作为查询参数传递给服务器；
+ * - `fields: Array<string>|string` 只请求实体对象的指定属性，例如`['id', 'name',
+ *   'contact.mobile']`或者`'id,name,contact.mobile'`，将以逗号连接后作为查询参数
+ *   `fields`传递给服务器，仅对`listImpl()`、`listInfoImpl()`、`getImpl()`等获取实体
+ *   对象或其基本信息列表的请求有效，详见`projectFields()`的说明；
+ * - `cache: boolean|object` 是否使用响应缓存，或者形如`{ ttl }`的缓存选项，仅对支持
+ *   缓存的查询请求有效，详见`fetchWithCache()`的说明；
+ * - `retry: boolean|object` 是否重试失败的请求，或者覆盖默认重试策略的部分属性，详见
+ *   `retryRequest()`的说明；
+ * - `optimisticLock: boolean|object` 是否以乐观锁模式更新实体对象，或者形如`{ etag }`
+ *   的乐观锁选项，仅对`updateImpl()`和`updateByKeyImpl()`有效；
+ * - `batchResult: boolean` 是否要求服务器返回批量操作的逐项处理结果，仅对批量操作有效，
+ *   若为`true`，则批量操作将返回一个`BatchResult`对象；
+ * - `chunkSize: number` 批量操作的每个分块最多包含的项的数目，仅对批量操作有效，详见
+ *   `sendBatchRequest()`的说明；
+ * - `concurrency: number` 批量操作最多同时发送的分块请求的数目，仅对批量操作有效；
+ * - `onProgress: function` 批量操作的进度回调函数，每个分块请求完成后将以
+ *   `{ completed, total }`为参数调用之，仅对批量操作有效；
+ * - `onDownloadProgress: function` 下载的进度回调函数，每收到一部分数据后将以
+ *   `{ loaded, total }`为参数调用之，其中`loaded`为已接收的字节数，`total`为总字节数，
+ *   若服务器未返回数据的长度则为`null`，仅对`exportImpl()`有效；
+ * - `dryRun: boolean` 是否只校验导入的文件而不实际导入，仅对`importImpl()`有效，若为
+ *   `true`，则导入操作将返回一个`ImportReport`对象；
+ * - `importReport: boolean` 是否要求服务器返回导入文件的逐行校验结果，仅对`importImpl()`
+ *   有效，若为`true`，则导入操作将返回一个`ImportReport`对象。
+ *
+ * 此函数只检查对所有请求都有效的选项；`optimisticLock`、`batchResult`、`chunkSize`、
+ * `concurrency`、`onProgress`、`dryRun`和`importReport`等仅对特定操作有效的选项将原样
+ * 返回，由使用它们的函数检查。
+ *
+ * @param {boolean|object} showLoading
+ *     待规范化的`showLoading`参数。
+ * @return {object}
+ *     规范化后的请求选项对象，包含`showLoading`、`signal`、`timeout`、`headers`、
+ *     `params`、`fields`、`cache`、`retry`、`optimisticLock`、`batchResult`、
+ *     `chunkSize`、`concurrency`、`onProgress`、`onDownloadProgress`、`dryRun`和
+ *     `importReport`属性。
+ * @throws TypeError
+ *     若参数不是布尔值或者合法的请求选项对象，则抛出此异常。
+ */
+function normalizeRequestOptions(showLoading) {
+  if ((showLoading !== null) && (typeof showLoading === 'object') && !Array.isArray(showLoading)) {
+    const {
+      signal,
+      timeout,
+      headers,
+      params,
+      transformUrls,
+      fields,
+      cache,
+      retry,
+      optimisticLock,
+      batchResult,
+      chunkSize,
+      concurrency,
+      onProgress,
+      onDownloadProgress,
+      dryRun,
+      importReport,
+    } = showLoading;
+    checkArgumentType('showLoading.showLoading', showLoading.showLoading, Boolean, true);
+    checkArgumentType('showLoading.signal', signal, AbortSignal, true);
+    checkArgumentType('showLoading.timeout', timeout, Number, true);
+    checkArgumentType('showLoading.headers', headers, Object, true);
+    checkArgumentType('showLoading.params', params, Object, true);
+    checkArgumentType('showLoading.transformUrls', transformUrls, Boolean, true);
+    checkArgumentType('showLoading.cache', cache, [Boolean, Object], true);
+    checkArgumentType('showLoading.retry', retry, [Boolean, Object], true);
+    checkArgumentType('showLoading.onDownloadProgress', onDownloadProgress, Function, true);
+    const fieldList = normalizeFields(fields);
+    // `transformUrls`和`fields`选项作为查询参数传递给服务器
+    let extraParams = params ?? undefined;
+    if ((transformUrls !== undefined) && (transformUrls !== null)) {
+      extraParams = { ...extraParams, transformUrls };
+    }
+    if (fieldList) {
+      extraParams = { ...extraParams, fields: fieldList.join(',') };
+    }
+    return {
+      showLoading: showLoading.showLoading ?? true,
+      signal: signal ?? undefined,
+      timeout: timeout ?? undefined,
+      headers: headers ?? undefined,
+      params: extraParams,
+      fields: fieldList,
+      cache: cache ?? undefined,
+      retry: retry ?? undefined,
+      optimisticLock: optimisticLock ?? undefined,
+      batchResult: batchResult ?? undefined,
+      chunkSize: chunkSize ?? undefined,
+      concurrency: concurrency ?? undefined,
+      onProgress: onProgress ?? undefined,
+      onDownloadProgress: onDownloadProgress ?? undefined,
+      dryRun: dryRun ?? undefined,
+      importReport: importReport ?? undefined,
+    };
+  }
+  checkArgumentType('showLoading', showLoading, Boolean);
+  return { showLoading, signal: undefined };
+}
+
+/**
+ * 根据请求选项构造传递给`http`对象的请求配置。
+ *
+ * 若请求选项中未指定任何需要传递给`http`对象的属性，则原样返回`config`参数；否则返回一个
+ * 新的请求配置对象，其中请求选项所指定的请求头和查询参数将与原有的请求配置合并。
+ *
+ * @param {object} requestOptions
+ *     由`normalizeRequestOptions()`返回的请求选项对象。
+ * @param {object|undefined} config
+ *     原有的请求配置。
+ * @return {object|undefined}
+ *     传递给`http`对象的请求配置。
+ */
+function toRequestConfig(requestOptions, config = undefined) {
+  const { signal, timeout, headers, params } = requestOptions;
+  if (!signal && (timeout === undefined) && !headers && !params) {
+    return config;
+  }
+  const result = { ...config };
+  if (signal) {
+    result.signal = signal;
+  }
+  if (timeout !== undefined) {
+    result.timeout = timeout;
+  }
+  if (headers) {
+    result.headers = { ...config?.headers, ...headers };
+  }
+  if (params) {
+    result.params = { ...config?.params, ...toJSON(params, toJsonOptions) };
+  }
+  return result;
+}
+
+/**
+ * 处理HTTP请求的取消。
+ *
+ * 若请求选项中指定了`signal`，则当该信号被触发时，返回的`Promise`对象立即解析失败并返回
+ * 一个`RequestCancelledError`对象；若此请求显示了加载提示，则同时清除加载提示。
+ *
+ * @param {Promise} promise
+ *     HTTP请求的`Promise`对象。
+ * @param {object} requestOptions
+ *     由`normalizeRequestOptions()`返回的请求选项对象。
+ * @return {Promise}
+ *     处理了请求取消的`Promise`对象。
+ */
+function handleCancellation(promise, requestOptions) {
+  const { showLoading, signal } = requestOptions;
+  if (!signal) {
+    return promise;
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      if (showLoading) {
+        loading.clear();
+      }
+      reject(new RequestCancelledError(signal.reason));
+    };
+    // 若请求已被取消，则返回的 Promise 对象已经解析失败，此处的 resolve/reject 不再起作用
+    promise.then((result) => {
+      signal.removeEventListener('abort', onAbort);
+      resolve(result);
+    }, (error) => {
+      signal.removeEventListener('abort', onAbort);
+      reject(error);
+    });
+    if (signal.aborted) {
+      onAbort();
+    } else {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+/**
+ * 解析API方法中位于`showLoading`参数之前的可选参数。
+ *
+ * 许多API方法在`showLoading`参数之前还有若干可选的标志参数，例如`transformUrls`、
+ * `withUser`、`autoDownload`等。调用者既可以按位置依次传递这些参数，也可以在第一个
+ * 可选标志参数的位置（或其后任意一个可选标志参数的位置）传递一个请求选项对象，例如：
+ * ```js
+ * employeeApi.get(id, true, false);
+ * employeeApi.get(id, { transformUrls: true, showLoading: false });
+ * ```
+ * 此时，从该位置开始的各个可选标志参数的值均从该对象的同名属性中获取，若该对象不包含
+ * 某个属性则使用其默认值；该对象的其余属性组成的对象作为`showLoading`参数的值。
+ *
+ * @param {Array} args
+ *     各个可选标志参数的实际值，按照参数的声明顺序排列，最后一个元素为`showLoading`参数
+ *     的实际值。
+ * @param {object} defaults
+ *     各个可选标志参数的默认值，其属性按照参数的声明顺序排列。
+ * @return {object}
+ *     解析后的参数对象，包含各个可选标志参数的值，以及`showLoading`参数的值。
+ */
+function resolveOptionalArguments(args, defaults) {
+  const names = Object.keys(defaults);
+  const result = {};
+  for (let i = 0; i < names.length; ++i) {
+    if (isRequestOptionsObject(args[i])) {
+      const options = { ...args[i] };
+      for (let j = i; j < names.length; ++j) {
+        const name = names[j];
+        result[name] = Object.hasOwn(options, name) ? options[name] : defaults[name];
+        delete options[name];
+      }
+      result.showLoading = options;
+      return result;
+    }
+    result[names[i]] = args[i];
+  }
+  result.showLoading = args[names.length];
+  return result;
+}
+
+export {
+  normalizeRequestOptions,
+  toRequestConfig,
+  handleCancellation,
+  resolveOptionalArguments,
+};
@@ -0,0 +1,326 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { buildRequestKey, discardInflightRequests } from './inflight-request';
+
+/**
+ * 缓存条目的默认存活时间，单位为毫秒。
+ *
+ * @type {number}
+ */
+const DEFAULT_CACHE_TTL = 60000;
+
+/**
+ * 缓存的默认最大条目数。
+ *
+ * @type {number}
+ */
+const DEFAULT_CACHE_MAX_SIZE = 500;
+
+/**
+ * 此类实现了一个简单的客户端HTTP响应缓存。
+ *
+ * 缓存中的每个条目都记录了其所依赖的实体类，以便在其中任何一个实体类的对象被修改时使该
+ * 条目失效。缓存条目在超过其存活时间后自动失效；当缓存的条目数超过`maxSize`时，最近
+ * 最少使用的条目将被移除。
+ *
+ * 此外，缓存为每个实体类维护一个版本号，每次使该实体类的缓存条目失效时递增。在发送请求前
+ * 通过`generation()`获取其所依赖的实体类的版本号，并在放入缓存时通过`set()`的`generation`
+ * 参数传入，则若在请求进行期间这些实体类的对象被修改，该请求的响应将不会被放入缓存，从而
+ * 避免修改之前发起的请求用过时的数据重新填充缓存。
+ *
+ * @author 胡海星
+ */
+class ResponseCache {
+  /**
+   * 缓存条目的默认存活时间，单位为毫秒。
+   *
+   * @type {number}
+   */
+  ttl = DEFAULT_CACHE_TTL;
+
+  /**
+   * 缓存的最大条目数。
+   *
+   * @type {number}
+   */
+  maxSize = DEFAULT_CACHE_MAX_SIZE;
+
+  /**
+   * 缓存条目的映射表，按照最近使用的顺序排列。
+   *
+   * @type {Map<string, object>}
+   * @private
+   */
+  __entries = new Map();
+
+  /**
+   * 各个实体类的版本号。
+   *
+   * @type {Map<function, number>}
+   * @private
+   */
+  __generations = new Map();
+
+  /**
+   * 缓存被清空的次数，作为所有实体类的版本号的公共部分。
+   *
+   * @type {number}
+   * @private
+   */
+  __clearCount = 0;
+
+  /**
+   * 获取当前缓存的条目数，包括已过期但尚未被移除的条目。
+   *
+   * @return {number}
+   *     当前缓存的条目数。
+   */
+  get size() {
+    return this.__entries.size;
+  }
+
+  /**
+   * 判断缓存中是否包含指定键的未过期条目。
+   *
+   * @param {string} key
+   *     缓存条目的键。
+   * @return {boolean}
+   *     若缓存中包含指定键的未过期条目，则返回`true`；否则返回`false`。
+   */
+  has(key) {
+    const entry = this.__entries.get(key);
+    if (entry === undefined) {
+      return false;
+    }
+    if (entry.expireTime <= Date.now()) {
+      this.__entries.delete(key);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * 获取缓存中指定键的条目的值。
+   *
+   * @param {string} key
+   *     缓存条目的键。
+   * @return {any}
+   *     指定键的条目的值；若该条目不存在或已过期，则返回`undefined`。
+   */
+  get(key) {
+    if (!this.has(key)) {
+      return undefined;
+    }
+    const entry = this.__entries.get(key);
+    // 重新插入以将该条目移动到最近使用的位置
+    this.__entries.delete(key);
+    this.__entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * 获取指定实体类的当前版本号。
+   *
+   * 每次使某个实体类的缓存条目失效或清空缓存时，其版本号都会增大，因此若两次获取的版本号
+   * 相同，则在此期间这些实体类的缓存条目没有失效过。
+   *
+   * @param {function|Array<function>} entityClasses
+   *     指定的实体类，或者多个实体类组成的数组。
+   * @return {number}
+   *     这些实体类的当前版本号。
+   */
+  generation(entityClasses) {
+    const classes = (Array.isArray(entityClasses) ? entityClasses : [entityClasses]);
+    return classes.reduce((sum, c) => sum + (this.__generations.get(c) ?? 0), this.__clearCount);
+  }
+
+  /**
+   * 将一个条目放入缓存。
+   *
+   * @param {string} key
+   *     缓存条目的键。
+   * @param {any} value
+   *     缓存条目的值。
+   * @param {function|Array<function>} entityClasses
+   *     缓存条目所依赖的实体类，或者多个实体类组成的数组。其中任何一个实体类的缓存条目失效时，
+   *     此条目都将失效。
+   * @param {number} ttl
+   *     缓存条目的存活时间，单位为毫秒。默认值为`this.ttl`。
+   * @param {number|undefined} generation
+   *     发送请求前通过`generation()`获取的这些实体类的版本号。若指定了此参数，且这些实体类的
+   *     缓存条目在此期间已经失效，则不放入此条目。默认值为`undefined`，即总是放入此条目。
+   * @return {boolean}
+   *     若放入了此条目，则返回`true`；否则返回`false`。
+   */
+  set(key, value, entityClasses, ttl = this.ttl, generation = undefined) {
+    if ((generation !== undefined) && (generation !== this.generation(entityClasses))) {
+      return false;
+    }
+    this.__entries.delete(key);
+    this.__entries.set(key, {
+      value,
+      entityClasses: (Array.isArray(entityClasses) ? [...entityClasses] : [entityClasses]),
+      expireTime: Date.now() + ttl,
+    });
+    while (this.__entries.size > this.maxSize) {
+      const oldestKey = this.__entries.keys().next().value;
+      this.__entries.delete(oldestKey);
+    }
+    return true;
+  }
+
+  /**
+   * 使依赖于指定实体类的所有缓存条目失效，并递增该实体类的版本号。
+   *
+   * @param {function} entityClass
+   *     指定的实体类。
+   * @return {number}
+   *     被移除的缓存条目数。
+   */
+  invalidate(entityClass) {
+    this.__generations.set(entityClass, (this.__generations.get(entityClass) ?? 0) + 1);
+    let count = 0;
+    for (const [key, entry] of this.__entries) {
+      if (entry.entityClasses.includes(entityClass)) {
+        this.__entries.delete(key);
+        ++count;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * 清空缓存。
+   */
+  clear() {
+    this.__entries.clear();
+    ++this.__clearCount;
+  }
+}
+
+/**
+ * 全局共享的HTTP响应缓存对象。
+ *
+ * @type {ResponseCache}
+ */
+const responseCache = new ResponseCache();
+
+/**
+ * 获取指定请求的缓存条目的存活时间。
+ *
+ * 请求选项中的`cache`属性优先于API对象的`cacheOptions`属性；二者均未指定时不使用缓存。
+ *
+ * @param {object} api
+ *     调用此函数的API对象。
+ * @param {object} requestOptions
+ *     由`normalizeRequestOptions()`返回的请求选项对象。
+ * @return {number}
+ *     缓存条目的存活时间，单位为毫秒；若为`0`则表示不使用缓存。
+ * @private
+ */
+function getCacheTtl(api, requestOptions) {
+  const cache = requestOptions.cache ?? api.cacheOptions ?? false;
+  if (cache === false) {
+    return 0;
+  }
+  if (cache === true) {
+    return api.cacheOptions?.ttl ?? responseCache.ttl;
+  }
+  return cache.ttl ?? responseCache.ttl;
+}
+
+/**
+ * 获取指定API对象的缓存条目所依赖的实体类。
+ *
+ * @param {object} api
+ *     调用此函数的API对象。
+ * @return {Array<function>}
+ *     API对象所管理的实体类，以及其`cacheDependencies`属性中声明的其他实体类。
+ * @private
+ */
+function getCacheDependencies(api) {
+  return [api.entityClass, ...(api.cacheDependencies ?? [])];
+}
+
+/**
+ * 通过响应缓存执行一个GET请求。
+ *
+ * 若API对象的`cacheOptions`属性或请求选项的`cache`属性启用了缓存，且缓存中存在以请求的
+ * URL、查询参数和请求头为键的未过期条目，则直接返回缓存的响应数据，不会调用`fetch`函数，因此也
+ * 不会显示加载提示；否则调用`fetch`函数发送请求，并将成功返回的响应数据放入缓存。
+ *
+ * 缓存的是服务器返回的原始数据，调用者每次都会基于此数据创建新的实体对象，因此修改返回的
+ * 实体对象不会影响缓存的内容。
+ *
+ * 缓存条目依赖于API对象所管理的实体类，以及API对象的`cacheDependencies`属性中声明的其他
+ * 实体类（例如`dictApi`的字典条目查询依赖于`DictEntry`类），其中任何一个实体类的对象被
+ * 修改时该条目都将失效；若在请求进行期间这些实体类的对象被修改，则该请求的响应不会被放入
+ * 缓存。
+ *
+ * @param {object} api
+ *     调用此函数的API对象。
+ * @param {string} url
+ *     请求的URL。
+ * @param {object|undefined} config
+ *     请求配置，其中的`params`和`headers`属性将作为缓存键的一部分。
+ * @param {object} requestOptions
+ *     由`normalizeRequestOptions()`返回的请求选项对象。
+ * @param {function} fetch
+ *     发送请求的函数，它应当负责显示加载提示，并返回请求的`Promise`对象。
+ * @return {Promise<any>}
+ *     请求的响应数据的`Promise`对象。
+ * @author 胡海星
+ */
+function fetchWithCache(api, url, config, requestOptions, fetch) {
+  const ttl = getCacheTtl(api, requestOptions);
+  if (!(ttl > 0)) {
+    return fetch();
+  }
+  const key = buildRequestKey(url, config);
+  if (responseCache.has(key)) {
+    api.logger.debug('Hit the response cache of the request:', key);
+    return Promise.resolve(responseCache.get(key));
+  }
+  const dependencies = getCacheDependencies(api);
+  const generation = responseCache.generation(dependencies);
+  return fetch().then((data) => {
+    if (!responseCache.set(key, data, dependencies, ttl, generation)) {
+      api.logger.debug('Discard the stale response of the request:', key);
+    }
+    return data;
+  });
+}
+
+/**
+ * 使依赖于指定API对象所管理的实体类的所有缓存条目失效。
+ *
+ * 所有修改实体对象的`impl`函数在操作成功后都会调用此函数。此函数还会丢弃正在进行中的GET
+ * 请求的记录，以免之后的查询共享在修改之前发起的请求，详见`discardInflightRequests()`的
+ * 说明。
+ *
+ * @param {object} api
+ *     调用此函数的API对象。
+ * @author 胡海星
+ */
+function invalidateResponseCache(api) {
+  discardInflightRequests();
+  const count = responseCache.invalidate(api.entityClass);
+  if (count > 0) {
+    api.logger.debug('Invalidated %d cached responses of %ss.', count, api.entityClass.name);
+  }
+}
+
+export {
+  DEFAULT_CACHE_TTL,
+  DEFAULT_CACHE_MAX_SIZE,
+  ResponseCache,
+  responseCache,
+  fetchWithCache,
+  invalidateResponseCache,
+};
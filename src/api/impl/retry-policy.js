@@ -0,0 +1,212 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { Logger } from '@qubit-ltd/logging';
+import RequestCancelledError from '../../error/RequestCancelledError';
+import getErrorStatus from '../../utils/get-error-status';
+
+const logger = Logger.getLogger('RetryPolicy');
+
+/**
+ * 全局的请求重试策略。
+ *
+ * 修改此对象的属性即可全局地修改重试策略；也可以通过API对象的`retryPolicy`属性为某个
+ * API对象单独指定重试策略，或者通过请求选项的`retry`属性为单次请求指定重试策略。
+ *
+ * 重试策略包含以下属性：
+ * - `maxAttempts: number` 最多尝试的次数（包括第一次请求），设置为`1`表示不重试；
+ * - `initialDelay: number` 第一次重试前等待的时间，单位为毫秒；
+ * - `maxDelay: number` 两次尝试之间最长的等待时间，单位为毫秒；
+ * - `multiplier: number` 每次重试后等待时间的增长倍数；
+ * - `jitter: number` 等待时间的随机抖动比例，取值范围为`[0, 1]`，实际等待时间将在
+ *   `[delay * (1 - jitter), delay]`之间随机取值；
+ * - `retryStatuses: Array<number>` 需要重试的HTTP响应状态码；
+ * - `retryNonIdempotent: boolean` 是否重试非幂等的请求（例如添加和导入对象），默认值为
+ *   `false`。
+ *
+ * 对于状态码为`429`的响应，若其包含`Retry-After`响应头，则等待该响应头指定的时间后再
+ * 重试；若该时间超过`maxDelay`，则不再重试。
+ *
+ * @type {object}
+ */
+const retryPolicy = {
+  maxAttempts: 3,
+  initialDelay: 300,
+  maxDelay: 10000,
+  multiplier: 2,
+  jitter: 0.5,
+  retryStatuses: [429, 502, 503, 504],
+  retryNonIdempotent: false,
+};
+
+/**
+ * 获取指定请求的重试策略。
+ *
+ * 请求选项中的`retry`属性优先于API对象的`retryPolicy`属性，后者又优先于全局的重试策略。
+ * 若请求选项的`retry`属性为`false`，则不重试；若为`true`，则即使是非幂等的请求也会被
+ * 重试。
+ *
+ * @param {object} api
+ *     调用此函数的API对象。
+ * @param {object} requestOptions
+ *     由`normalizeRequestOptions()`返回的请求选项对象。
+ * @param {boolean} idempotent
+ *     请求是否是幂等的。
+ * @return {object|null}
+ *     指定请求的重试策略；若该请求不应被重试，则返回`null`。
+ * @private
+ */
+function resolveRetryPolicy(api, requestOptions, idempotent) {
+  const { retry } = requestOptions;
+  if (retry === false) {
+    return null;
+  }
+  const policy = {
+    ...retryPolicy,
+    ...api?.retryPolicy,
+    ...((typeof retry === 'object') ? retry : {}),
+  };
+  if (!idempotent && (retry !== true) && !policy.retryNonIdempotent) {
+    return null;
+  }
+  return (policy.maxAttempts > 1 ? policy : null);
+}
+
+/**
+ * 获取请求失败返回的错误对象中`Retry-After`响应头指定的等待时间。
+ *
+ * `Retry-After`响应头的值可以是等待的秒数，也可以是一个HTTP日期。
+ *
+ * @param {any} error
+ *     请求失败返回的错误对象。
+ * @return {number|undefined}
+ *     `Retry-After`响应头指定的等待时间，单位为毫秒；若无此响应头或其值不合法，则返回
+ *     `undefined`。
+ * @private
+ */
+function getRetryAfter(error) {
+  const headers = error?.response?.headers ?? error?.headers;
+  const value = headers?.['retry-after'] ?? headers?.['Retry-After'];
+  if ((value === undefined) || (value === null) || (value === '')) {
+    return undefined;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return (Number.isNaN(date) ? undefined : Math.max(0, date - Date.now()));
+}
+
+/**
+ * 计算第`attempt`次尝试失败后，重试前应等待的时间。
+ *
+ * @param {object} policy
+ *     重试策略。
+ * @param {number} attempt
+ *     已经尝试的次数，从`1`开始。
+ * @param {any} error
+ *     最近一次尝试失败返回的错误对象。
+ * @return {number|undefined}
+ *     重试前应等待的时间，单位为毫秒；若不应重试，则返回`undefined`。
+ * @private
+ */
+function getRetryDelay(policy, attempt, error) {
+  const status = getErrorStatus(error);
+  if ((attempt >= policy.maxAttempts) || !policy.retryStatuses.includes(status)) {
+    return undefined;
+  }
+  if (status === 429) {
+    const retryAfter = getRetryAfter(error);
+    if (retryAfter !== undefined) {
+      return (retryAfter <= policy.maxDelay ? retryAfter : undefined);
+    }
+  }
+  const delay = Math.min(policy.initialDelay * (policy.multiplier ** (attempt - 1)), policy.maxDelay);
+  return delay * (1 - policy.jitter * Math.random());
+}
+
+/**
+ * 等待指定的时间。
+ *
+ * @param {number} delay
+ *     等待的时间，单位为毫秒。
+ * @param {AbortSignal|undefined} signal
+ *     用于取消请求的信号。若在等待期间请求被取消，则立即结束等待。
+ * @return {Promise<void>}
+ *     等待结束后解析成功的`Promise`对象。
+ */
+function sleep(delay, signal) {
+  return new Promise((resolve) => {
+    let timer = null;
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, delay);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * 按照重试策略执行一个请求。
+ *
+ * 若请求失败且其HTTP响应状态码属于重试策略的`retryStatuses`，则按照指数退避的方式等待
+ * 一段时间后再次调用`fetch`函数重新发送请求，直到请求成功、错误不可重试或者尝试次数达
+ * 到重试策略的`maxAttempts`为止。非幂等的请求默认不会被重试，除非重试策略的
+ * `retryNonIdempotent`属性为`true`，或者请求选项的`retry`属性为`true`。
+ *
+ * 若请求在等待重试期间被取消，则不再重试，并解析失败返回一个`RequestCancelledError`对象。
+ *
+ * @param {object} api
+ *     调用此函数的API对象，其`retryPolicy`属性（若存在）将覆盖全局的重试策略。
+ * @param {object} requestOptions
+ *     由`normalizeRequestOptions()`返回的请求选项对象。
+ * @param {function} fetch
+ *     发送请求的函数，它应当负责显示加载提示，并返回请求的`Promise`对象。每次重试都会
+ *     重新调用此函数。
+ * @param {boolean} idempotent
+ *     请求是否是幂等的，默认值为`true`。
+ * @return {Promise<any>}
+ *     请求的响应数据的`Promise`对象。
+ * @author 胡海星
+ */
+function retryRequest(api, requestOptions, fetch, idempotent = true) {
+  const policy = resolveRetryPolicy(api, requestOptions, idempotent);
+  if (!policy) {
+    return fetch();
+  }
+  const { signal } = requestOptions;
+  const attempt = (count) => fetch().catch((error) => {
+    const delay = getRetryDelay(policy, count, error);
+    if ((delay === undefined) || signal?.aborted) {
+      throw error;
+    }
+    logger.warn('The request failed with status %d, retry it after %d ms (attempt %d of %d).',
+      getErrorStatus(error),
+      Math.round(delay),
+      count + 1,
+      policy.maxAttempts);
+    return sleep(delay, signal).then(() => {
+      if (signal?.aborted) {
+        throw new RequestCancelledError(signal.reason);
+      }
+      return attempt(count + 1);
+    });
+  });
+  return attempt(1);
+}
+
+export {
+  retryPolicy,
+  retryRequest,
+  sleep,
+};
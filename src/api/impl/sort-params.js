@@ -0,0 +1,50 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * 多列排序时，未指定排序方向的排序键所使用的默认方向。
+ *
+ * @type {string}
+ * @private
+ */
+const DEFAULT_SORT_ORDER = 'ASC';
+
+/**
+ * 将排序请求转换为查询参数。
+ *
+ * 单个排序请求`{ sortField, sortOrder }`原样返回。多个排序请求组成的数组被转换为一个
+ * 排序请求，其`sortField`和`sortOrder`分别是各个排序键的字段名称和排序方向以逗号连接
+ * 而成的字符串，两者按位置一一对应，未指定排序方向的排序键使用`ASC`。例如
+ * `[{ sortField: 'province' }, { sortField: 'name', sortOrder: 'DESC' }]`被转换为
+ * `{ sortField: 'province,name', sortOrder: 'ASC,DESC' }`，序列化后即为查询参数
+ * `sort_field=province,name&sort_order=ASC,DESC`。只包含一个排序键的数组与单个排序请求
+ * 的序列化结果相同，除了其排序方向默认为`ASC`之外。
+ *
+ * @param {SortRequest|object|Array<SortRequest|object>} sortRequest
+ *     单个排序请求，或者按照优先级从高到低排列的多个排序请求，应当已经通过
+ *     `checkSortRequestArgument()`的检查。
+ * @return {object}
+ *     对应的查询参数，其属性名为驼峰形式。
+ */
+function toSortParams(sortRequest) {
+  if (!Array.isArray(sortRequest)) {
+    return sortRequest;
+  }
+  if (sortRequest.length === 0) {
+    return {};
+  }
+  return {
+    sortField: sortRequest.map((s) => s.sortField).join(','),
+    sortOrder: sortRequest.map((s) => String(s.sortOrder?.value ?? s.sortOrder ?? DEFAULT_SORT_ORDER)).join(','),
+  };
+}
+
+export {
+  toSortParams,
+};
@@ -12,35 +12,182 @@ import { loading } from '@qubit-ltd/common-ui';
 import { checkArgumentType } from '@qubit-ltd/common-util';
 import Json from '@qubit-ltd/json';
 import checkIdArgumentType from '../../utils/check-id-argument-type';
+import { sendBatchRequest } from './batch-request';
+import { getBatchParams, toBatchResult } from './batch-result';
 import { assignOptions, toJsonOptions } from './options';
+import { offlineQueue } from './offline-queue';
+import {
+  handleCancellation,
+  normalizeRequestOptions,
+  toRequestConfig,
+} from './request-options';
+import ConcurrentModificationError from '../../error/ConcurrentModificationError';
+import RequestCancelledError from '../../error/RequestCancelledError';
+import getErrorStatus from '../../utils/get-error-status';
+import { invalidateResponseCache } from './response-cache';
+
+/**
+ * 服务器因并发修改冲突而拒绝请求时，在`409`响应中返回的错误代码。
+ *
+ * @type {string}
+ * @private
+ */
+const CONCURRENT_MODIFICATION_CODE = 'CONCURRENT_MODIFICATION';
+
+/**
+ * 判断服务器返回的错误是否表示并发修改冲突。
+ *
+ * `412 Precondition Failed`响应总是表示前置条件不满足，即实体对象已被他人修改；`409 Conflict`
+ * 响应也可能表示唯一键重复等其他冲突，因此只有其错误代码为`CONCURRENT_MODIFICATION`时才
+ * 表示并发修改冲突。
+ *
+ * @param {any} error
+ *     服务器返回的错误。
+ * @return {boolean}
+ *     若该错误表示并发修改冲突，则返回`true`；否则返回`false`。
+ * @private
+ */
+function isConcurrentModification(error) {
+  switch (getErrorStatus(error)) {
+    case 412:
+      return true;
+    case 409:
+      return (error.code ?? error.data?.code ?? error.response?.data?.code) === CONCURRENT_MODIFICATION_CODE;
+    default:
+      return false;
+  }
+}
+
+/**
+ * 获取以乐观锁模式更新实体对象时需要发送的前置条件请求头。
+ *
+ * 若请求选项的`optimisticLock`属性（或者API对象的`optimisticLock`属性）指定了`etag`，
+ * 则发送`If-Match`请求头；否则将实体对象的`modifyTime`（若为空则使用`createTime`）作为
+ * `If-Unmodified-Since`请求头发送。若两者均为空，则无法表达前置条件，此时抛出异常，
+ * 而不是在不加锁的情况下更新实体对象。
+ *
+ * @param {object} api
+ *     调用此函数的API对象。
+ * @param {object} entity
+ *     要更新的实体对象。
+ * @param {object} requestOptions
+ *     由`normalizeRequestOptions()`返回的请求选项对象。
+ * @return {object|undefined}
+ *     前置条件请求头；若未启用乐观锁模式，则返回`undefined`。
+ * @throws TypeError
+ *     若请求选项的`optimisticLock`属性既不是布尔值也不是对象；或者启用了乐观锁模式，但既
+ *     未指定ETag，实体对象的`modifyTime`和`createTime`也均为空。
+ * @private
+ */
+function getPreconditionHeaders(api, entity, requestOptions) {
+  checkArgumentType('requestOptions.optimisticLock', requestOptions.optimisticLock, [Boolean, Object], true);
+  const lock = requestOptions.optimisticLock ?? api.optimisticLock ?? false;
+  if (!lock) {
+    return undefined;
+  }
+  if (lock.etag) {
+    return { 'If-Match': lock.etag };
+  }
+  const time = entity.modifyTime ?? entity.createTime;
+  if (!time) {
+    throw new TypeError(`Cannot update the ${api.entityClass.name} in the optimistic lock mode: `
+      + 'neither the ETag nor the modify time or create time of the entity is specified.');
+  }
+  return { 'If-Unmodified-Since': new Date(time).toUTCString() };
+}
+
+/**
+ * 处理以乐观锁模式更新实体对象时服务器返回的错误。
+ *
+ * 若服务器返回的是并发修改冲突，则重新获取服务器上当前的实体对象，并解析失败返回一个
+ * `ConcurrentModificationError`对象；否则原样返回服务器的错误。重新获取实体对象的请求
+ * 使用与更新请求相同的请求选项（例如`signal`、`timeout`和`headers`），若该请求被取消，
+ * 则解析失败并返回一个`RequestCancelledError`对象。
+ *
+ * @param {object} api
+ *     调用此函数的API对象。
+ * @param {string} url
+ *     实体对象的URL，将使用GET请求从此URL获取服务器上当前的实体对象。
+ * @param {object} entity
+ *     调用者试图提交的本地实体对象。
+ * @param {any} error
+ *     服务器返回的错误。
+ * @param {object} requestOptions
+ *     由`normalizeRequestOptions()`返回的请求选项对象。
+ * @return {Promise<never>}
+ *     一个必然解析失败的`Promise`对象。
+ * @private
+ */
+function handleConflict(api, url, entity, error, requestOptions) {
+  if (!isConcurrentModification(error)) {
+    return Promise.reject(error);
+  }
+  api.logger.warn('The %s "%s" has been modified by others.', api.entityClass.name, url);
+  const config = toRequestConfig(requestOptions);
+  const promise = (config ? http.get(url, config) : http.get(url));
+  return handleCancellation(promise, requestOptions)
+    .then((obj) => api.entityClass.create(obj, assignOptions), (e) => {
+      if (e instanceof RequestCancelledError) {
+        throw e;
+      }
+      return null;
+    })
+    .then((serverEntity) => {
+      throw new ConcurrentModificationError(entity, serverEntity, error);
+    });
+}
 
 /**
  * 根据ID，更新一个实体对象。
  *
+ * 若请求选项或API对象的`optimisticLock`属性启用了乐观锁模式，则将实体对象的修改时间
+ * （或指定的ETag）作为前置条件发送给服务器；若服务器返回并发修改冲突，则重新获取服务器
+ * 上当前的实体对象，并解析失败返回一个`ConcurrentModificationError`对象。若无法确定
+ * 前置条件，则抛出`TypeError`，而不会在不加锁的情况下更新实体对象。
+ *
+ * 若离线队列处于活动状态（即已启用离线模式，且网络处于离线状态或者队列中还有尚未重放的
+ * 操作），则将此操作（包括乐观锁的前置条件）加入离线队列，并解析成功返回由`entity`构造的
+ * 实体对象；重放时发生的冲突将作为重放结果报告，详见`OfflineQueue`的说明。
+ *
  * @param {object} api
  *     调用此函数的API对象。
  * @param {string} url
  *     请求的URL。
  * @param {object} entity
  *     要更新的实体对象。
- * @param {boolean} showLoading
- *     是否显示加载提示。
+ * @param {boolean|object} showLoading
+ *     是否显示加载提示。也可以是一个请求选项对象，包含`showLoading`和`signal`等属性，
+ *     详见`normalizeRequestOptions()`的说明。
  * @param {object} options
  *     附加的选项。
- * @return {Promise<App|ErrorInfo>}
+ * @return {Promise<App|ErrorInfo|ConcurrentModificationError>}
  *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新后的实体对象；
- *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+ *     若以乐观锁模式更新时该实体对象已被他人修改，则解析失败并返回一个
+ *     `ConcurrentModificationError`对象；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
  */
 function updateImpl(api, url, entity, showLoading, options = {}) {
   checkArgumentType('entity', entity, [api.entityClass, Object]);
   checkIdArgumentType(entity.id, 'entity.id');
-  checkArgumentType('showLoading', showLoading, Boolean);
+  const requestOptions = normalizeRequestOptions(showLoading);
   const data = toJSON(entity, toJsonOptions);
   const params = toJSON({ ...options }, toJsonOptions);
-  if (showLoading) {
+  const headers = getPreconditionHeaders(api, entity, requestOptions);
+  const theUrl = url.replaceAll('{id}', stringifyId(entity.id));
+  const config = toRequestConfig(requestOptions, (headers ? { params, headers } : { params }));
+  if (offlineQueue.isActive()) {
+    // 乐观锁的请求头也将被保存，以便重放时检测冲突
+    return offlineQueue.enqueue(api, { action: 'update', method: 'put', url: theUrl, data, config })
+      .then(() => api.entityClass.create(data, assignOptions));
+  }
+  if (requestOptions.showLoading) {
     loading.showUpdating();
   }
-  return http.put(url.replaceAll('{id}', stringifyId(entity.id)), data, { params }).then((obj) => {
+  let promise = http.put(theUrl, data, config);
+  if (headers) {
+    promise = promise.catch((error) => handleConflict(api, theUrl, entity, error, requestOptions));
+  }
+  return handleCancellation(promise, requestOptions).then((obj) => {
+    invalidateResponseCache(api);
     const result = api.entityClass.create(obj, assignOptions);
     api.logger.info('Successfully update the %s by its ID:', api.entityClass.name, entity.id);
     api.logger.debug('The updated %s is:', api.entityClass.name, result);
@@ -51,6 +198,11 @@ function updateImpl(api, url, entity, showLoading, options = {}) {
 /**
  * 根据指定的主键，更新一个实体对象。
  *
+ * 若请求选项或API对象的`optimisticLock`属性启用了乐观锁模式，则将实体对象的修改时间
+ * （或指定的ETag）作为前置条件发送给服务器；若服务器返回并发修改冲突，则重新获取服务器
+ * 上当前的实体对象，并解析失败返回一个`ConcurrentModificationError`对象。若无法确定
+ * 前置条件，则抛出`TypeError`，而不会在不加锁的情况下更新实体对象。
+ *
  * @param {object} api
  *     调用此函数的API对象。
  * @param {string} url
@@ -59,25 +211,35 @@ function updateImpl(api, url, entity, showLoading, options = {}) {
  *     指定的主键的名称，此主键值必须是字符串类型。
  * @param {object} entity
  *     要更新的实体对象。
- * @param {boolean} showLoading
- *     是否显示加载提示。
+ * @param {boolean|object} showLoading
+ *     是否显示加载提示。也可以是一个请求选项对象，包含`showLoading`和`signal`等属性，
+ *     详见`normalizeRequestOptions()`的说明。
  * @param {object} options
  *     附加的选项。
- * @return {Promise<App|ErrorInfo>}
+ * @return {Promise<App|ErrorInfo|ConcurrentModificationError>}
  *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新后的实体对象；
- *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+ *     若以乐观锁模式更新时该实体对象已被他人修改，则解析失败并返回一个
+ *     `ConcurrentModificationError`对象；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
  */
 function updateByKeyImpl(api, url, keyName, entity, showLoading, options = {}) {
   checkArgumentType('entity', entity, [api.entityClass, Object]);
   checkArgumentType(`entity.${keyName}`, entity[keyName], String);
-  checkArgumentType('showLoading', showLoading, Boolean);
+  const requestOptions = normalizeRequestOptions(showLoading);
   const keyValue = entity[keyName];
   const data = toJSON(entity, toJsonOptions);
   const params = toJSON({ ...options }, toJsonOptions);
-  if (showLoading) {
+  const headers = getPreconditionHeaders(api, entity, requestOptions);
+  if (requestOptions.showLoading) {
     loading.showUpdating();
   }
-  return http.put(url.replaceAll(`{${keyName}}`, keyValue), data, { params }).then((obj) => {
+  const theUrl = url.replaceAll(`{${keyName}}`, keyValue);
+  const config = toRequestConfig(requestOptions, (headers ? { params, headers } : { params }));
+  let promise = http.put(theUrl, data, config);
+  if (headers) {
+    promise = promise.catch((error) => handleConflict(api, theUrl, entity, error, requestOptions));
+  }
+  return handleCancellation(promise, requestOptions).then((obj) => {
+    invalidateResponseCache(api);
     const result = api.entityClass.create(obj, assignOptions);
     api.logger.info('Successfully update the %s by its %s:', api.entityClass.name, keyName, keyValue);
     api.logger.debug('The updated %s is:', api.entityClass.name, result);
@@ -85,9 +247,65 @@ function updateByKeyImpl(api, url, keyName, entity, showLoading, options = {}) {
   });
 }
 
+/**
+ * 根据ID，批量更新实体对象。
+ *
+ * 若`entities`的数目超过分块策略的`chunkSize`，则自动拆分为若干个分块请求发送，并合并其
+ * 结果，详见`sendBatchRequest()`的说明。
+ *
+ * @param {object} api
+ *     调用此函数的API对象。
+ * @param {string} url
+ *     请求的URL。
+ * @param {Array<object>} entities
+ *     要批量更新的实体对象的列表，根据其中每个对象的ID确定要更新的对象。
+ * @param {boolean|object} showLoading
+ *     是否显示加载提示。也可以是一个请求选项对象，包含`showLoading`和`signal`等属性，
+ *     详见`normalizeRequestOptions()`的说明。
+ * @param {object} options
+ *     附加的选项。
+ * @return {Promise<Array<App>|BatchResult|ErrorInfo>}
+ *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新后的实体对象的列表，其
+ *     顺序与`entities`中的顺序一致；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+ *     若请求选项中指定了`batchResult: true`，则解析成功时返回一个`BatchResult`对象，列出
+ *     处理成功和处理失败的项。
+ * @author 胡海星
+ */
+function batchUpdateImpl(api, url, entities, showLoading, options = {}) {
+  checkArgumentType('entities', entities, Array);
+  entities.forEach((entity, index) => {
+    checkArgumentType(`entities[${index}]`, entity, [api.entityClass, Object]);
+    checkIdArgumentType(entity.id, `entities[${index}].id`);
+  });
+  const requestOptions = normalizeRequestOptions(showLoading);
+  const data = toJSON(entities, toJsonOptions);
+  const params = getBatchParams(options, requestOptions);
+  const config = toRequestConfig(requestOptions, { params });
+  const promise = sendBatchRequest(api, requestOptions, data, (chunk) => {
+    if (requestOptions.showLoading) {
+      loading.showUpdating();
+    }
+    return http.put(url, chunk, config);
+  });
+  return handleCancellation(promise, requestOptions).then((objs) => {
+    invalidateResponseCache(api);
+    if (requestOptions.batchResult) {
+      return toBatchResult(api, 'updated', objs, true);
+    }
+    const result = api.entityClass.createArray(objs, assignOptions);
+    api.logger.info('Successfully batch updated %d %ss.', result.length, api.entityClass.name);
+    api.logger.debug('The updated %ss are:', api.entityClass.name, result);
+    return result;
+  });
+}
+
 /**
  * 根据ID，更新一个实体对象的指定属性。
  *
+ * 若离线队列处于活动状态（即已启用离线模式，且网络处于离线状态或者队列中还有尚未重放的
+ * 操作），则将此操作加入离线队列，并解析成功返回该操作加入队列的时间戳（ISO 8601格式的
+ * 字符串），以便与服务器返回的时间戳保持一致，详见`OfflineQueue`的说明。
+ *
  * @param {object} api
  *     调用此函数的API对象。
  * @param {string} url
@@ -100,13 +318,15 @@ function updateByKeyImpl(api, url, keyName, entity, showLoading, options = {}) {
  *     指定的属性的类型。
  * @param {any} propertyValue
  *     指定的属性的值。
- * @param {boolean} showLoading
- *     是否显示加载提示。
+ * @param {boolean|object} showLoading
+ *     是否显示加载提示。也可以是一个请求选项对象，包含`showLoading`和`signal`等属性，
+ *     详见`normalizeRequestOptions()`的说明。
  * @param {object} options
  *     附加的选项。
- * @return {Promise<App|ErrorInfo>}
- *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新后的实体对象；
- *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+ * @return {Promise<string|ErrorInfo>}
+ *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回服务器更新该属性的时间戳；
+ *     若操作被加入离线队列，则解析成功并返回其加入队列的时间戳；若操作失败，则解析失败并
+ *     返回一个`ErrorInfo`对象。
  */
 function updatePropertyImpl(api, url, id, propertyName, propertyClass,
     propertyValue, showLoading, options = {}) {
@@ -114,13 +334,21 @@ function updatePropertyImpl(api, url, id, propertyName, propertyClass,
   // 检查调用方传入的属性参数：propertyName 是属性名（如 'state'），propertyValue 是要检查的属性值
   // 这样错误信息会显示为 "The value of the argument 'state' must be a State"
   checkArgumentType(propertyName, propertyValue, propertyClass);
-  checkArgumentType('showLoading', showLoading, Boolean);
+  const requestOptions = normalizeRequestOptions(showLoading);
   const data = toJSON(propertyValue, toJsonOptions);
   const params = toJSON({ ...options }, toJsonOptions);
-  if (showLoading) {
+  const config = toRequestConfig(requestOptions, { params });
+  const theUrl = url.replaceAll('{id}', stringifyId(id));
+  if (offlineQueue.isActive()) {
+    return offlineQueue.enqueue(api, { action: 'updateProperty', method: 'put', url: theUrl, data, config })
+      .then((entry) => new Date(entry.time).toISOString());
+  }
+  if (requestOptions.showLoading) {
     loading.showUpdating();
   }
-  return http.put(url.replaceAll('{id}', stringifyId(id)), data, { params }).then((timestamp) => {
+  const promise = http.put(theUrl, data, config);
+  return handleCancellation(promise, requestOptions).then((timestamp) => {
+    invalidateResponseCache(api);
     api.logger.info('Successfully update the %s of a %s by its ID "%s" at:',
       propertyName,
       api.entityClass.name,
@@ -147,8 +375,9 @@ function updatePropertyImpl(api, url, id, propertyName, propertyClass,
  *     指定的属性的类型。
  * @param {any} propertyValue
  *     指定的属性的值。
- * @param {boolean} showLoading
- *     是否显示加载提示。
+ * @param {boolean|object} showLoading
+ *     是否显示加载提示。也可以是一个请求选项对象，包含`showLoading`和`signal`等属性，
+ *     详见`normalizeRequestOptions()`的说明。
  * @param {object} options
  *     附加的选项。
  * @return {Promise<App|ErrorInfo>}
@@ -161,13 +390,16 @@ function updatePropertyByKeyImpl(api, url, keyName, keyValue, propertyName,
   checkArgumentType(keyName, keyValue, String);
   // 检查调用方传入的属性参数：propertyName 是属性名（如 'state'），propertyValue 是要检查的属性值
   checkArgumentType(propertyName, propertyValue, propertyClass);
-  checkArgumentType('showLoading', showLoading, Boolean);
+  const requestOptions = normalizeRequestOptions(showLoading);
   const data = toJSON(propertyValue, toJsonOptions);
   const params = toJSON({ ...options }, toJsonOptions);
-  if (showLoading) {
+  if (requestOptions.showLoading) {
     loading.showUpdating();
   }
-  return http.put(url.replaceAll(`{${keyName}}`, keyValue), data, { params }).then((timestamp) => {
+  const config = toRequestConfig(requestOptions, { params });
+  const promise = http.put(url.replaceAll(`{${keyName}}`, keyValue), data, config);
+  return handleCancellation(promise, requestOptions).then((timestamp) => {
+    invalidateResponseCache(api);
     api.logger.info('Successfully update the %s of a %s by its %s "%s" at:',
       propertyName,
       api.entityClass.name,
@@ -193,8 +425,9 @@ function updatePropertyByKeyImpl(api, url, keyName, keyValue, propertyName,
  *     实体对象的键名。
  * @param {object} entity
  *     要更新的实体对象。
- * @param {boolean} showLoading
- *     是否显示加载提示。
+ * @param {boolean|object} showLoading
+ *     是否显示加载提示。也可以是一个请求选项对象，包含`showLoading`和`signal`等属性，
+ *     详见`normalizeRequestOptions()`的说明。
  * @param {object} options
  *     附加的选项。
  * @return {Promise<App|ErrorInfo>}
@@ -206,18 +439,21 @@ function updateByParentAndKeyImpl(api, url, parentKeyName, parentKeyValue,
   checkArgumentType('entity', entity, [api.entityClass, Object]);
   checkArgumentType(`entity.${parentKeyName}`, parentKeyValue, [String, Number, BigInt]);
   checkArgumentType(`entity.${keyName}`, entity[keyName], String);
-  checkArgumentType('showLoading', showLoading, Boolean);
+  const requestOptions = normalizeRequestOptions(showLoading);
   const keyValue = entity[keyName];
   const data = toJSON(entity, toJsonOptions);
   const params = toJSON({ ...options }, toJsonOptions);
-  if (showLoading) {
+  if (requestOptions.showLoading) {
     loading.showUpdating();
   }
-  return http.put(
+  const config = toRequestConfig(requestOptions, { params });
+  const promise = http.put(
     url.replaceAll(`{${parentKeyName}}`, Json.stringify(parentKeyValue)).replaceAll(`{${keyName}}`, keyValue),
     data,
-    { params },
-  ).then((obj) => {
+    config,
+  );
+  return handleCancellation(promise, requestOptions).then((obj) => {
+    invalidateResponseCache(api);
     const result = api.entityClass.create(obj, assignOptions);
     api.logger.info('Successfully update the %s by parent %s "%s" and its %s "%s"',
       api.entityClass.name,
@@ -233,6 +469,7 @@ function updateByParentAndKeyImpl(api, url, parentKeyName, parentKeyValue,
 export {
   updateImpl,
   updateByKeyImpl,
+  batchUpdateImpl,
   updatePropertyImpl,
   updatePropertyByKeyImpl,
   updateByParentAndKeyImpl,
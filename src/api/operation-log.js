@@ -8,9 +8,19 @@
 ////////////////////////////////////////////////////////////////////////////////
 import { OperationLog, OperationLogInfo } from '@qubit-ltd/common-model';
 import { HasLogger, Log } from '@qubit-ltd/logging';
+import { TIMESTAMP_PATTERN } from '../utils/check-criteria-constraints';
 import { getImpl, getInfoImpl } from './impl/get-impl';
+import { iterateImpl, listAllImpl } from './impl/iterate-impl';
 import { listImpl, listInfoImpl } from './impl/list-impl';
 
+/**
+ * 查询条件`httpMethod`允许的值。
+ *
+ * @type {Array<string>}
+ * @private
+ */
+const HTTP_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS', 'TRACE'];
+
 /**
  * 提供管理`OperationLog`对象的API。
  *
@@ -59,23 +69,23 @@ class OperationLogApi {
     // 操作失败时的错误代码
     { name: 'errorCode', type: String },
     // 请求发生时间范围的（闭区间）起始值
-    { name: 'requestTimeStart', type: String },
+    { name: 'requestTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
     // 请求发生时间范围的（闭区间）结束值
-    { name: 'requestTimeEnd', type: String },
+    { name: 'requestTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
     // 响应发生时间范围的（闭区间）起始值
-    { name: 'responseTimeStart', type: String },
+    { name: 'responseTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
     // 响应发生时间范围的（闭区间）结束值
-    { name: 'responseTimeEnd', type: String },
+    { name: 'responseTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
     // 操作耗时范围的（闭区间）起始值，单位为毫秒
-    { name: 'latencyStart', type: [Number, BigInt] },
+    { name: 'latencyStart', type: [Number, BigInt], min: 0 },
     // 操作耗时范围的（闭区间）结束值，单位为毫秒
-    { name: 'latencyEnd', type: [Number, BigInt] },
+    { name: 'latencyEnd', type: [Number, BigInt], min: 0 },
     // 发起请求的客户端IP
     { name: 'clientIp', type: String },
     // 请求的目标主机名
     { name: 'requestHost', type: String },
     // 调用时的HTTP方法
-    { name: 'httpMethod', type: String },
+    { name: 'httpMethod', type: String, values: HTTP_METHODS },
     // 分布式链路ID
     { name: 'traceId', type: String },
     // 分布式Span ID
@@ -98,11 +108,26 @@ class OperationLogApi {
     { name: 'instance', type: String },
   ];
 
+  /**
+   * 路由定义，用于生成OpenAPI文档，详见`generateOpenApiDocument()`的说明。
+   *
+   * @type {Array<Object>}
+   */
+  ROUTE_DEFINITIONS = [
+    { name: 'list', impl: 'listImpl', url: '/system/operation-log/' },
+    { name: 'iterate', impl: 'iterateImpl', url: '/system/operation-log/' },
+    { name: 'listAll', impl: 'listAllImpl', url: '/system/operation-log/' },
+    { name: 'listInfo', impl: 'listInfoImpl', url: '/system/operation-log/info' },
+    { name: 'get', impl: 'getImpl', url: '/system/operation-log/{id}' },
+    { name: 'getInfo', impl: 'getInfoImpl', url: '/system/operation-log/{id}/info' },
+  ];
+
   /**
    * 列出符合条件的`OperationLog`对象。
    *
    * @param {PageRequest|object} pageRequest
-   *     分页请求。
+   *     分页请求。也可以是形如`{ after, limit }`的游标分页请求，此时返回一个`CursorPage`
+   *     对象，其`nextCursor`和`previousCursor`属性可用于请求下一页和上一页。
    * @param {object} criteria
    *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
    *  - `action: string` 执行的动作的名称；
@@ -119,11 +144,11 @@ class OperationLogApi {
    *  - `requestTimeEnd: string` 请求发生时间范围的（闭区间）结束值；
    *  - `responseTimeStart: string` 响应发生时间范围的（闭区间）起始值；
    *  - `responseTimeEnd: string` 响应发生时间范围的（闭区间）结束值；
-   *  - `latencyStart: number|bigint` 操作耗时范围的（闭区间）起始值，单位为毫秒；
+   *  - `latencyStart: number|bigint` 操作耗时范围的（闭区间）起始值，单位为毫秒，不能为负数；
    *  - `latencyEnd: number|bigint` 操作耗时范围的（闭区间）结束值，单位为毫秒；
    *  - `clientIp: string` 发起请求的客户端IP；
    *  - `requestHost: string` 请求的目标主机名；
-   *  - `httpMethod: string` 调用时的HTTP方法；
+   *  - `httpMethod: string` 调用时的HTTP方法，必须为大写形式，例如`GET`；
    *  - `traceId: string` 分布式链路ID；
    *  - `spanId: string` 分布式Span ID；
    *  - `correlationId: string` 业务相关的关联ID；
@@ -138,22 +163,138 @@ class OperationLogApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
-   * @return {Promise<Page<OperationLog>|ErrorInfo>}
-   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`Page`对象，包含符合条
-   *     件的`OperationLog`对象的分页数据；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<Page<OperationLog>|CursorPage<OperationLog>|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`Page`对象（游标分页时为
+   *     `CursorPage`对象），包含符合条件的`OperationLog`对象的分页数据；若操作失败，
+   *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   list(pageRequest = {}, criteria = {}, sortRequest = {}, showLoading = true) {
     return listImpl(this, '/system/operation-log/', pageRequest, criteria, sortRequest, showLoading);
   }
 
+  /**
+   * 逐页遍历符合条件的`OperationLog`对象。
+   *
+   * 此函数返回一个异步迭代器，它按需逐页获取数据，依次产生每一个符合条件的对象；调用者可
+   * 以使用`for await`语句遍历，并可随时使用`break`提前结束遍历。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `action: string` 执行的动作的名称；
+   *  - `resource: string` 操作的目标资源的名称；
+   *  - `property: string` 操作的目标资源的具体属性的名称；
+   *  - `username: string` 调用此操作的用户的用户名；
+   *  - `userId: string|number|bigint` 调用此操作的用户的ID；
+   *  - `appId: string|number|bigint` 调用此操作的App的ID；
+   *  - `appCode: string` 调用此操作的App的编码；
+   *  - `success: boolean` 操作是否成功；
+   *  - `errorType: string` 操作失败时的错误类型；
+   *  - `errorCode: string` 操作失败时的错误代码；
+   *  - `requestTimeStart: string` 请求发生时间范围的（闭区间）起始值；
+   *  - `requestTimeEnd: string` 请求发生时间范围的（闭区间）结束值；
+   *  - `responseTimeStart: string` 响应发生时间范围的（闭区间）起始值；
+   *  - `responseTimeEnd: string` 响应发生时间范围的（闭区间）结束值；
+   *  - `latencyStart: number|bigint` 操作耗时范围的（闭区间）起始值，单位为毫秒，不能为负数；
+   *  - `latencyEnd: number|bigint` 操作耗时范围的（闭区间）结束值，单位为毫秒；
+   *  - `clientIp: string` 发起请求的客户端IP；
+   *  - `requestHost: string` 请求的目标主机名；
+   *  - `httpMethod: string` 调用时的HTTP方法，必须为大写形式，例如`GET`；
+   *  - `traceId: string` 分布式链路ID；
+   *  - `spanId: string` 分布式Span ID；
+   *  - `correlationId: string` 业务相关的关联ID；
+   *  - `requestId: string` 网关/应用生成的请求ID；
+   *  - `apiVersion: string` API版本号；
+   *  - `endpoint: string` API端点中应包含的字符串；
+   *  - `service: string` 服务名/应用名；
+   *  - `serviceHost: string` 服务端主机名/节点ID；
+   *  - `thread: string` 线程名；
+   *  - `instance: string` 实例ID（容器/Pod标识）；
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。允许的条件包括：
+   *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
+   *  - `sortOrder: SortOrder` 指定是正序还是倒序。
+   * @param {object} options
+   *     遍历选项，包含以下属性：
+   *  - `pageSize: number` 每次请求的分页大小，默认值为`100`；
+   *  - `maxItems: number` 最多产生的对象数目，默认不限制；
+   *  - `cursor: boolean` 是否使用游标分页逐页获取数据，默认值为`false`；
+   *  - `showLoading: boolean` 每次请求时是否显示加载提示，默认值为`true`；
+   *  - `signal: AbortSignal` 用于取消遍历的信号，默认值为`undefined`。
+   * @return {AsyncGenerator<OperationLog>}
+   *     一个异步迭代器，依次产生符合条件的`OperationLog`对象。若某一页的请求失败，则迭代器抛出
+   *     该请求的`ErrorInfo`对象。
+   */
+  @Log
+  iterate(criteria = {}, sortRequest = {}, options = {}) {
+    return iterateImpl(this, '/system/operation-log/', criteria, sortRequest, options);
+  }
+
+  /**
+   * 获取全部符合条件的`OperationLog`对象。
+   *
+   * 此函数逐页获取全部符合条件的对象，并将它们收集到一个数组中。若符合条件的对象数目很
+   * 多，应考虑使用`iterate()`函数逐个处理。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `action: string` 执行的动作的名称；
+   *  - `resource: string` 操作的目标资源的名称；
+   *  - `property: string` 操作的目标资源的具体属性的名称；
+   *  - `username: string` 调用此操作的用户的用户名；
+   *  - `userId: string|number|bigint` 调用此操作的用户的ID；
+   *  - `appId: string|number|bigint` 调用此操作的App的ID；
+   *  - `appCode: string` 调用此操作的App的编码；
+   *  - `success: boolean` 操作是否成功；
+   *  - `errorType: string` 操作失败时的错误类型；
+   *  - `errorCode: string` 操作失败时的错误代码；
+   *  - `requestTimeStart: string` 请求发生时间范围的（闭区间）起始值；
+   *  - `requestTimeEnd: string` 请求发生时间范围的（闭区间）结束值；
+   *  - `responseTimeStart: string` 响应发生时间范围的（闭区间）起始值；
+   *  - `responseTimeEnd: string` 响应发生时间范围的（闭区间）结束值；
+   *  - `latencyStart: number|bigint` 操作耗时范围的（闭区间）起始值，单位为毫秒，不能为负数；
+   *  - `latencyEnd: number|bigint` 操作耗时范围的（闭区间）结束值，单位为毫秒；
+   *  - `clientIp: string` 发起请求的客户端IP；
+   *  - `requestHost: string` 请求的目标主机名；
+   *  - `httpMethod: string` 调用时的HTTP方法，必须为大写形式，例如`GET`；
+   *  - `traceId: string` 分布式链路ID；
+   *  - `spanId: string` 分布式Span ID；
+   *  - `correlationId: string` 业务相关的关联ID；
+   *  - `requestId: string` 网关/应用生成的请求ID；
+   *  - `apiVersion: string` API版本号；
+   *  - `endpoint: string` API端点中应包含的字符串；
+   *  - `service: string` 服务名/应用名；
+   *  - `serviceHost: string` 服务端主机名/节点ID；
+   *  - `thread: string` 线程名；
+   *  - `instance: string` 实例ID（容器/Pod标识）；
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。允许的条件包括：
+   *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
+   *  - `sortOrder: SortOrder` 指定是正序还是倒序。
+   * @param {object} options
+   *     遍历选项，包含以下属性：
+   *  - `pageSize: number` 每次请求的分页大小，默认值为`100`；
+   *  - `maxItems: number` 最多产生的对象数目，默认不限制；
+   *  - `cursor: boolean` 是否使用游标分页逐页获取数据，默认值为`false`；
+   *  - `showLoading: boolean` 每次请求时是否显示加载提示，默认值为`true`；
+   *  - `signal: AbortSignal` 用于取消遍历的信号，默认值为`undefined`。
+   * @return {Promise<Array<OperationLog>|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回包含全部符合条件的
+   *     `OperationLog`对象的数组；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  listAll(criteria = {}, sortRequest = {}, options = {}) {
+    return listAllImpl(this, '/system/operation-log/', criteria, sortRequest, options);
+  }
+
   /**
    * 列出符合条件的`OperationLog`对象的基本信息。
    *
    * @param {PageRequest|object} pageRequest
-   *     分页请求。
+   *     分页请求。也可以是形如`{ after, limit }`的游标分页请求，此时返回一个`CursorPage`
+   *     对象，其`nextCursor`和`previousCursor`属性可用于请求下一页和上一页。
    * @param {object} criteria
    *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
    *  - `action: string` 执行的动作的名称；
@@ -170,11 +311,11 @@ class OperationLogApi {
    *  - `requestTimeEnd: string` 请求发生时间范围的（闭区间）结束值；
    *  - `responseTimeStart: string` 响应发生时间范围的（闭区间）起始值；
    *  - `responseTimeEnd: string` 响应发生时间范围的（闭区间）结束值；
-   *  - `latencyStart: number|bigint` 操作耗时范围的（闭区间）起始值，单位为毫秒；
+   *  - `latencyStart: number|bigint` 操作耗时范围的（闭区间）起始值，单位为毫秒，不能为负数；
    *  - `latencyEnd: number|bigint` 操作耗时范围的（闭区间）结束值，单位为毫秒；
    *  - `clientIp: string` 发起请求的客户端IP；
    *  - `requestHost: string` 请求的目标主机名；
-   *  - `httpMethod: string` 调用时的HTTP方法；
+   *  - `httpMethod: string` 调用时的HTTP方法，必须为大写形式，例如`GET`；
    *  - `traceId: string` 分布式链路ID；
    *  - `spanId: string` 分布式Span ID；
    *  - `correlationId: string` 业务相关的关联ID；
@@ -189,11 +330,12 @@ class OperationLogApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
-   * @return {Promise<Page<OperationLogInfo>|ErrorInfo>}
-   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`Page`对象，包含符合条
-   *     件的`OperationLog`对象的基本信息的分页数据；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<Page<OperationLogInfo>|CursorPage<OperationLogInfo>|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`Page`对象（游标分页时为
+   *     `CursorPage`对象），包含符合条件的`OperationLog`对象的基本信息的分页数据；若操作失败，
+   *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   listInfo(pageRequest = {}, criteria = {}, sortRequest = {}, showLoading = true) {
@@ -205,8 +347,8 @@ class OperationLogApi {
    *
    * @param {string|number|bigint} id
    *     `OperationLog`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<OperationLog|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`OperationLog`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -221,8 +363,8 @@ class OperationLogApi {
    *
    * @param {string|number|bigint} id
    *     `OperationLog`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<OperationLogInfo|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`OperationLogInfo`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -14,9 +14,11 @@ import {
   PersonInfo,
 } from '@qubit-ltd/common-model';
 import { HasLogger, Log } from '@qubit-ltd/logging';
+import { TIMESTAMP_PATTERN } from '../utils/check-criteria-constraints';
 import addImpl from './impl/add-impl';
 import { batchDeleteImpl, deleteImpl } from './impl/delete-impl';
 import { batchEraseImpl, eraseByKeyImpl, eraseImpl } from './impl/erase-impl';
+import exportAsyncImpl from './impl/export-async-impl';
 import exportImpl from './impl/export-impl';
 import {
   getByKeyImpl,
@@ -26,8 +28,10 @@ import {
   getPropertyImpl,
 } from './impl/get-impl';
 import importImpl from './impl/import-impl';
+import { iterateImpl, listAllImpl } from './impl/iterate-impl';
 import { listImpl, listInfoImpl } from './impl/list-impl';
 import { batchPurgeImpl, purgeAllImpl, purgeImpl } from './impl/purge-impl';
+import { resolveOptionalArguments } from './impl/request-options';
 import { batchRestoreImpl, restoreImpl } from './impl/restore-impl';
 import { updateImpl, updatePropertyImpl } from './impl/update-impl';
 
@@ -65,9 +69,9 @@ class PersonApi {
     // 性别
     { name: 'gender', type: [Object, String] },
     // 生日范围的（闭区间）起始值
-    { name: 'birthdayStart', type: String },
+    { name: 'birthdayStart', type: String, pattern: TIMESTAMP_PATTERN },
     // 生日范围的（闭区间）结束值
-    { name: 'birthdayEnd', type: String },
+    { name: 'birthdayEnd', type: String, pattern: TIMESTAMP_PATTERN },
     // 证件类型
     { name: 'credentialType', type: [Object, String] },
     // 证件号码
@@ -121,17 +125,59 @@ class PersonApi {
     // 是否已经被标记删除
     { name: 'deleted', type: Boolean },
     // 创建时间范围的（闭区间）起始值
-    { name: 'createTimeStart', type: String },
+    { name: 'createTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
     // 创建时间范围的（闭区间）结束值
-    { name: 'createTimeEnd', type: String },
+    { name: 'createTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
     // 修改时间范围的（闭区间）起始值
-    { name: 'modifyTimeStart', type: String },
+    { name: 'modifyTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
     // 修改时间范围的（闭区间）结束值
-    { name: 'modifyTimeEnd', type: String },
+    { name: 'modifyTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
     // 标记删除时间范围的（闭区间）起始值
-    { name: 'deleteTimeStart', type: String },
+    { name: 'deleteTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
     // 标记删除时间范围的（闭区间）结束值
-    { name: 'deleteTimeEnd', type: String },
+    { name: 'deleteTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
+  ];
+
+  /**
+   * 路由定义，用于生成OpenAPI文档，详见`generateOpenApiDocument()`的说明。
+   *
+   * @type {Array<Object>}
+   */
+  ROUTE_DEFINITIONS = [
+    { name: 'list', impl: 'listImpl', url: '/person' },
+    { name: 'iterate', impl: 'iterateImpl', url: '/person' },
+    { name: 'listAll', impl: 'listAllImpl', url: '/person' },
+    { name: 'listInfo', impl: 'listInfoImpl', url: '/person/info' },
+    { name: 'get', impl: 'getImpl', url: '/person/{id}' },
+    { name: 'getByUsername', impl: 'getByKeyImpl', url: '/person/username/{username}' },
+    { name: 'getInfo', impl: 'getInfoImpl', url: '/person/{id}/info' },
+    { name: 'getInfoByUsername', impl: 'getInfoByKeyImpl', url: '/person/username/{username}/info' },
+    { name: 'getCategory', impl: 'getPropertyImpl', url: '/person/{id}/category' },
+    { name: 'getPhoto', impl: 'getPropertyImpl', url: '/person/{id}/photo' },
+    { name: 'add', impl: 'addImpl', url: '/person' },
+    { name: 'update', impl: 'updateImpl', url: '/person/{id}' },
+    { name: 'updateContact', impl: 'updatePropertyImpl', url: '/person/{id}/contact' },
+    { name: 'updateComment', impl: 'updatePropertyImpl', url: '/person/{id}/comment' },
+    { name: 'updatePhoto', impl: 'updatePropertyImpl', url: '/person/{id}/photo' },
+    { name: 'delete', impl: 'deleteImpl', url: '/person/{id}' },
+    { name: 'batchDelete', impl: 'batchDeleteImpl', url: '/person/batch' },
+    { name: 'restore', impl: 'restoreImpl', url: '/person/{id}' },
+    { name: 'batchRestore', impl: 'batchRestoreImpl', url: '/person/batch' },
+    { name: 'purge', impl: 'purgeImpl', url: '/person/{id}/purge' },
+    { name: 'purgeAll', impl: 'purgeAllImpl', url: '/person/purge' },
+    { name: 'batchPurge', impl: 'batchPurgeImpl', url: '/person/batch/purge' },
+    { name: 'erase', impl: 'eraseImpl', url: '/person/{id}/erase' },
+    { name: 'eraseByUsername', impl: 'eraseByKeyImpl', url: '/person/username/{username}/erase' },
+    { name: 'batchErase', impl: 'batchEraseImpl', url: '/person/batch/erase' },
+    { name: 'exportXml', impl: 'exportImpl', url: '/person/export/xml' },
+    { name: 'exportJson', impl: 'exportImpl', url: '/person/export/json' },
+    { name: 'exportExcel', impl: 'exportImpl', url: '/person/export/excel' },
+    { name: 'exportCsv', impl: 'exportImpl', url: '/person/export/csv' },
+    { name: 'exportAsync', impl: 'exportAsyncImpl', url: '/person/export/{format}/async' },
+    { name: 'importXml', impl: 'importImpl', url: '/person/import/xml' },
+    { name: 'importJson', impl: 'importImpl', url: '/person/import/json' },
+    { name: 'importExcel', impl: 'importImpl', url: '/person/import/excel' },
+    { name: 'importCsv', impl: 'importImpl', url: '/person/import/csv' },
   ];
 
   /**
@@ -182,17 +228,152 @@ class PersonApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - sortField: string 用于排序的属性名称（CamelCase形式）；
    *  - sortOrder: SortOrder 指定是正序还是倒序。
-   * @param {boolean} transformUrls
+   * @param {boolean|object} transformUrls
    *     是否转换附件中的URL地址。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Page<Person>|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`Page`对象，包含符合条
    *     件的`Person`对象的分页数据；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   list(pageRequest = {}, criteria = {}, sortRequest = {}, transformUrls = true, showLoading = true) {
-    return listImpl(this, '/person', pageRequest, criteria, sortRequest, showLoading, { transformUrls });
+    const args = resolveOptionalArguments([transformUrls, showLoading], { transformUrls: true });
+    return listImpl(this, '/person', pageRequest, criteria, sortRequest, args.showLoading, {
+      transformUrls: args.transformUrls,
+    });
+  }
+
+  /**
+   * 逐页遍历符合条件的`Person`对象。
+   *
+   * 此函数返回一个异步迭代器，它按需逐页获取数据，依次产生每一个符合条件的对象；调用者可
+   * 以使用`for await`语句遍历，并可随时使用`break`提前结束遍历。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `name: string` 姓名中应包含的字符串；
+   *  - `username: string` 对应的用户的用户名；
+   *  - `gender: Gender|string` 性别；
+   *  - `birthdayStart: string` 生日范围的（闭区间）起始值；
+   *  - `birthdayEnd: string` 生日范围的（闭区间）结束值；
+   *  - `credentialType: CredentialType|string` 证件类型；
+   *  - `credentialNumber: string` 证件号码；
+   *  - `hasMedicare: boolean` 是否有医保；
+   *  - `medicareType: MedicareType|string` 医保类型；
+   *  - `medicareCityId: string|number|bigint` 医保所在城市的ID；
+   *  - `medicareCityCode: string` 医保所在城市的编码；
+   *  - `medicareCityName: string` 医保所在城市名称中应包含的字符串；
+   *  - `hasSocialSecurity: boolean` 是否有社保；
+   *  - `socialSecurityCityId: string|number|bigint` 社保所在城市的ID；
+   *  - `socialSecurityCityCode: string` 社保所在城市的编码；
+   *  - `socialSecurityCityName: string` 社保所在城市名称中应包含的字符串；
+   *  - `sourceId: string|number|bigint` 数据来源渠道的ID；
+   *  - `sourceCode: string` 数据来源渠道的编码；
+   *  - `sourceName: string` 数据来源渠道的名称中应包含的字符串；
+   *  - `categoryId: string|number|bigint` 所属类别的ID；
+   *  - `categoryCode: string` 所属类别的编码；
+   *  - `categoryName: string` 所属类别的名称包含的字符串；
+   *  - `phone: string` 座机号码；
+   *  - `mobile: string` 手机号码；
+   *  - `email: string` 电子邮件地址中应包含的字符串；
+   *  - `guardianId: string|number|bigint` 监护人的ID；
+   *  - `organizationId: string|number|bigint` 所属机构的ID；
+   *  - `organizationCode: string` 所属机构的编码；
+   *  - `organizationName: string` 所属机构名称中应包含的字符串；
+   *  - `test: boolean` 是否是测试数据；
+   *  - `deleted: boolean` 是否已经被标记删除；
+   *  - `createTimeStart: string`创建时间范围的（闭区间）起始值；
+   *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
+   *  - `modifyTimeStart: string` 修改时间范围的（闭区间）起始值；
+   *  - `modifyTimeEnd: string` 修改时间范围的（闭区间）结束值；
+   *  - `deleteTimeStart: string` 标记删除时间范围的（闭区间）起始值；
+   *  - `deleteTimeEnd: string` 标记删除时间范围的（闭区间）结束值；
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。允许的条件包括：
+   *  - sortField: string 用于排序的属性名称（CamelCase形式）；
+   *  - sortOrder: SortOrder 指定是正序还是倒序。
+   * @param {object} options
+   *     遍历选项，包含以下属性：
+   *  - `pageSize: number` 每次请求的分页大小，默认值为`100`；
+   *  - `maxItems: number` 最多产生的对象数目，默认不限制；
+   *  - `showLoading: boolean` 每次请求时是否显示加载提示，默认值为`true`；
+   *  - `signal: AbortSignal` 用于取消遍历的信号，默认值为`undefined`；
+   *  - `transformUrls: boolean` 是否转换附件中的URL地址，默认值为`true`。
+   * @return {AsyncGenerator<Person>}
+   *     一个异步迭代器，依次产生符合条件的`Person`对象。若某一页的请求失败，则迭代器抛出
+   *     该请求的`ErrorInfo`对象。
+   */
+  @Log
+  iterate(criteria = {}, sortRequest = {}, options = {}) {
+    const { transformUrls = true, ...iterateOptions } = options;
+    return iterateImpl(this, '/person', criteria, sortRequest, iterateOptions, { transformUrls });
+  }
+
+  /**
+   * 获取全部符合条件的`Person`对象。
+   *
+   * 此函数逐页获取全部符合条件的对象，并将它们收集到一个数组中。若符合条件的对象数目很
+   * 多，应考虑使用`iterate()`函数逐个处理。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `name: string` 姓名中应包含的字符串；
+   *  - `username: string` 对应的用户的用户名；
+   *  - `gender: Gender|string` 性别；
+   *  - `birthdayStart: string` 生日范围的（闭区间）起始值；
+   *  - `birthdayEnd: string` 生日范围的（闭区间）结束值；
+   *  - `credentialType: CredentialType|string` 证件类型；
+   *  - `credentialNumber: string` 证件号码；
+   *  - `hasMedicare: boolean` 是否有医保；
+   *  - `medicareType: MedicareType|string` 医保类型；
+   *  - `medicareCityId: string|number|bigint` 医保所在城市的ID；
+   *  - `medicareCityCode: string` 医保所在城市的编码；
+   *  - `medicareCityName: string` 医保所在城市名称中应包含的字符串；
+   *  - `hasSocialSecurity: boolean` 是否有社保；
+   *  - `socialSecurityCityId: string|number|bigint` 社保所在城市的ID；
+   *  - `socialSecurityCityCode: string` 社保所在城市的编码；
+   *  - `socialSecurityCityName: string` 社保所在城市名称中应包含的字符串；
+   *  - `sourceId: string|number|bigint` 数据来源渠道的ID；
+   *  - `sourceCode: string` 数据来源渠道的编码；
+   *  - `sourceName: string` 数据来源渠道的名称中应包含的字符串；
+   *  - `categoryId: string|number|bigint` 所属类别的ID；
+   *  - `categoryCode: string` 所属类别的编码；
+   *  - `categoryName: string` 所属类别的名称包含的字符串；
+   *  - `phone: string` 座机号码；
+   *  - `mobile: string` 手机号码；
+   *  - `email: string` 电子邮件地址中应包含的字符串；
+   *  - `guardianId: string|number|bigint` 监护人的ID；
+   *  - `organizationId: string|number|bigint` 所属机构的ID；
+   *  - `organizationCode: string` 所属机构的编码；
+   *  - `organizationName: string` 所属机构名称中应包含的字符串；
+   *  - `test: boolean` 是否是测试数据；
+   *  - `deleted: boolean` 是否已经被标记删除；
+   *  - `createTimeStart: string`创建时间范围的（闭区间）起始值；
+   *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
+   *  - `modifyTimeStart: string` 修改时间范围的（闭区间）起始值；
+   *  - `modifyTimeEnd: string` 修改时间范围的（闭区间）结束值；
+   *  - `deleteTimeStart: string` 标记删除时间范围的（闭区间）起始值；
+   *  - `deleteTimeEnd: string` 标记删除时间范围的（闭区间）结束值；
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。允许的条件包括：
+   *  - sortField: string 用于排序的属性名称（CamelCase形式）；
+   *  - sortOrder: SortOrder 指定是正序还是倒序。
+   * @param {object} options
+   *     遍历选项，包含以下属性：
+   *  - `pageSize: number` 每次请求的分页大小，默认值为`100`；
+   *  - `maxItems: number` 最多产生的对象数目，默认不限制；
+   *  - `showLoading: boolean` 每次请求时是否显示加载提示，默认值为`true`；
+   *  - `signal: AbortSignal` 用于取消遍历的信号，默认值为`undefined`；
+   *  - `transformUrls: boolean` 是否转换附件中的URL地址，默认值为`true`。
+   * @return {Promise<Array<Person>|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回包含全部符合条件的
+   *     `Person`对象的数组；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  listAll(criteria = {}, sortRequest = {}, options = {}) {
+    const { transformUrls = true, ...iterateOptions } = options;
+    return listAllImpl(this, '/person', criteria, sortRequest, iterateOptions, { transformUrls });
   }
 
   /**
@@ -243,8 +424,8 @@ class PersonApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Page<PersonInfo>|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`Page`对象，包含符合条
    *     件的`Person`对象的基本信息的分页数据；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -259,17 +440,18 @@ class PersonApi {
    *
    * @param {string|number|bigint} id
    *     `Person`对象的ID。
-   * @param {boolean} transformUrls
+   * @param {boolean|object} transformUrls
    *     是否转换附件中的URL地址。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Person|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`Person`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   get(id, transformUrls = true, showLoading = true) {
-    return getImpl(this, '/person/{id}', id, showLoading, { transformUrls });
+    const args = resolveOptionalArguments([transformUrls, showLoading], { transformUrls: true });
+    return getImpl(this, '/person/{id}', id, args.showLoading, { transformUrls: args.transformUrls });
   }
 
   /**
@@ -277,17 +459,20 @@ class PersonApi {
    *
    * @param {string} username
    *     `Person`对象对应的用户的用户名。
-   * @param {boolean} transformUrls
+   * @param {boolean|object} transformUrls
    *     是否转换附件中的URL地址。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Person|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`Person`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   getByUsername(username, transformUrls = true, showLoading = true) {
-    return getByKeyImpl(this, '/person/username/{username}', 'username', username, showLoading, { transformUrls });
+    const args = resolveOptionalArguments([transformUrls, showLoading], { transformUrls: true });
+    return getByKeyImpl(this, '/person/username/{username}', 'username', username, args.showLoading, {
+      transformUrls: args.transformUrls,
+    });
   }
 
   /**
@@ -295,8 +480,8 @@ class PersonApi {
    *
    * @param {string|number|bigint} id
    *     `Person`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<PersonInfo|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`PersonInfo`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -311,8 +496,8 @@ class PersonApi {
    *
    * @param {string} username
    *     `Person`对象对应的用户的用户名。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<PersonInfo|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`PersonInfo`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -327,8 +512,8 @@ class PersonApi {
    *
    * @param {string|number|bigint} id
    *     `Person`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<InfoWithEntity|null|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`Person`对象
    *     所属分类的基本信息，或`null`若该对象没有所属分类；若操作失败，则解析失败并返回一个
@@ -344,17 +529,20 @@ class PersonApi {
    *
    * @param {string|number|bigint} id
    *     `Person`对象的ID。
-   * @param {boolean} transformUrls
+   * @param {boolean|object} transformUrls
    *     是否转换附件中的URL地址。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Attachment|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`Person`对象的照片，
    *     注意若没有照片会返回`null`；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   getPhoto(id, transformUrls = true, showLoading = true) {
-    return getPropertyImpl(this, '/person/{id}/photo', 'photo', Attachment, id, showLoading, { transformUrls });
+    const args = resolveOptionalArguments([transformUrls, showLoading], { transformUrls: true });
+    return getPropertyImpl(this, '/person/{id}/photo', 'photo', Attachment, id, args.showLoading, {
+      transformUrls: args.transformUrls,
+    });
   }
 
   /**
@@ -362,19 +550,26 @@ class PersonApi {
    *
    * @param {Person|object} entity
    *     要添加的`Person`对象。
-   * @param {boolean} withUser
+   * @param {boolean|object} withUser
    *     是否同时添加新`Person`对象所绑定的用户对象`User`。默认值为`false`。
-   * @param {boolean} transformUrls
+   * @param {boolean|object} transformUrls
    *     是否转换附件中的URL地址。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Person|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回新增的`Person`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   add(entity, withUser = false, transformUrls = true, showLoading = true) {
-    return addImpl(this, '/person', entity, showLoading, { withUser, transformUrls });
+    const args = resolveOptionalArguments([withUser, transformUrls, showLoading], {
+      withUser: false,
+      transformUrls: true,
+    });
+    return addImpl(this, '/person', entity, args.showLoading, {
+      withUser: args.withUser,
+      transformUrls: args.transformUrls,
+    });
   }
 
   /**
@@ -382,17 +577,18 @@ class PersonApi {
    *
    * @param {Person|object} entity
    *     要更新的`Person`对象的数据，根据其ID确定要更新的对象。
-   * @param {boolean} withUser
+   * @param {boolean|object} withUser
    *     是否同时更新`Person`对象所绑定的用户对象`User`。默认值为`false`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Person|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新后的`Person`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   update(entity, withUser = false, showLoading = true) {
-    return updateImpl(this, '/person/{id}', entity, showLoading, { withUser });
+    const args = resolveOptionalArguments([withUser, showLoading], { withUser: false });
+    return updateImpl(this, '/person/{id}', entity, args.showLoading, { withUser: args.withUser });
   }
 
   /**
@@ -402,17 +598,20 @@ class PersonApi {
    *     `Person`对象的ID。
    * @param {Contact|object} contact
    *     要更新的`Person`对象的联系方式。
-   * @param {boolean} withUser
+   * @param {boolean|object} withUser
    *     是否同时更新`Person`对象所绑定的`User`对象的联系方式。默认值为`false`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<String|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回则数据被更新的UTC时间戳；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   updateContact(id, contact, withUser = false, showLoading = true) {
-    return updatePropertyImpl(this, '/person/{id}/contact', id, 'contact', Contact, contact, showLoading, { withUser });
+    const args = resolveOptionalArguments([withUser, showLoading], { withUser: false });
+    return updatePropertyImpl(this, '/person/{id}/contact', id, 'contact', Contact, contact, args.showLoading, {
+      withUser: args.withUser,
+    });
   }
 
   /**
@@ -422,17 +621,20 @@ class PersonApi {
    *     `Person`对象的ID。
    * @param {string} comment
    *     要更新的`Person`对象的备注。
-   * @param {boolean} withUser
+   * @param {boolean|object} withUser
    *     是否同时更新`Person`对象所绑定的`User`对象的备注。默认值为`false`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<String|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回则数据被更新的UTC时间戳；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   updateComment(id, comment, withUser = false, showLoading = true) {
-    return updatePropertyImpl(this, '/person/{id}/comment', id, 'comment', String, comment, showLoading, { withUser });
+    const args = resolveOptionalArguments([withUser, showLoading], { withUser: false });
+    return updatePropertyImpl(this, '/person/{id}/comment', id, 'comment', String, comment, args.showLoading, {
+      withUser: args.withUser,
+    });
   }
 
   /**
@@ -443,17 +645,20 @@ class PersonApi {
    * @param {Attachment|object} photo
    *     要更新的`Person`对象的照片，必须先调用`fileApi.update()` 上传文件，并利用返回
    *     的`Upload`对象构造一个`Attachment`对象。
-   * @param {boolean} transformUrls
+   * @param {boolean|object} transformUrls
    *     是否转换附件中的URL地址。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Attachment|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新后的`photo`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   updatePhoto(id, photo, transformUrls = true, showLoading = true) {
-    return updatePropertyImpl(this, '/person/{id}/photo', id, 'photo', Attachment, photo, showLoading, { transformUrls });
+    const args = resolveOptionalArguments([transformUrls, showLoading], { transformUrls: true });
+    return updatePropertyImpl(this, '/person/{id}/photo', id, 'photo', Attachment, photo, args.showLoading, {
+      transformUrls: args.transformUrls,
+    });
   }
 
   /**
@@ -461,17 +666,18 @@ class PersonApi {
    *
    * @param {string} id
    *     要标记删除的`Person`对象的ID。
-   * @param {boolean} withUser
+   * @param {boolean|object} withUser
    *     是否同时标记删除`Person`对象所绑定的用户对象`User`。默认值为`false`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据被标记删除的UTC时间戳，
    *     以ISO-8601格式表示为字符串；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   delete(id, withUser = false, showLoading = true) {
-    return deleteImpl(this, '/person/{id}', id, showLoading, { withUser });
+    const args = resolveOptionalArguments([withUser, showLoading], { withUser: false });
+    return deleteImpl(this, '/person/{id}', id, args.showLoading, { withUser: args.withUser });
   }
 
   /**
@@ -479,17 +685,18 @@ class PersonApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     要批量标记删除的`Person`对象的ID列表。
-   * @param {boolean} withUser
+   * @param {boolean|object} withUser
    *     是否同时标记删除`Person`对象所绑定的用户对象`User`。默认值为`false`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回被标记删除的对象的数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   batchDelete(ids, withUser = false, showLoading = true) {
-    return batchDeleteImpl(this, '/person/batch', ids, showLoading, { withUser });
+    const args = resolveOptionalArguments([withUser, showLoading], { withUser: false });
+    return batchDeleteImpl(this, '/person/batch', ids, args.showLoading, { withUser: args.withUser });
   }
 
   /**
@@ -497,19 +704,20 @@ class PersonApi {
    *
    * @param {string} id
    *     要恢复的`Person`对象的ID，该对象必须已经被标记删除。
-   * @param {boolean} withUser
+   * @param {boolean|object} withUser
    *     是否同时恢复`Person`对象所绑定的已被标记标记删除的用户对象`User`。若指定的
    *     `Person`对象未绑定`User`对象，或其绑定的`User`对象未被标记删除，则不对该`User`
    *     对象做操作。此参数默认值为`false`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   restore(id, withUser = false, showLoading = true) {
-    return restoreImpl(this, '/person/{id}', id, showLoading, { withUser });
+    const args = resolveOptionalArguments([withUser, showLoading], { withUser: false });
+    return restoreImpl(this, '/person/{id}', id, args.showLoading, { withUser: args.withUser });
   }
 
   /**
@@ -517,19 +725,20 @@ class PersonApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     要批量恢复的`Person`对象的ID列表，这些对象必须已经被标记删除。
-   * @param {boolean} withUser
+   * @param {boolean|object} withUser
    *     是否同时恢复`Person`对象所绑定的已被标记标记删除的用户对象`User`。若指定的
    *     `Person`对象未绑定`User`对象，或其绑定的`User`对象未被标记删除，则不对该`User`
    *     对象做操作。此参数默认值为`false`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回被恢复的对象的数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   batchRestore(ids, withUser = false, showLoading = true) {
-    return batchRestoreImpl(this, '/person/batch', ids, showLoading, { withUser });
+    const args = resolveOptionalArguments([withUser, showLoading], { withUser: false });
+    return batchRestoreImpl(this, '/person/batch', ids, args.showLoading, { withUser: args.withUser });
   }
 
   /**
@@ -537,37 +746,39 @@ class PersonApi {
    *
    * @param {string} id
    *     要清除的`Person`对象的ID，该对象必须已经被标记删除。
-   * @param {boolean} withUser
+   * @param {boolean|object} withUser
    *     是否同时彻底清除`Person`对象所绑定的已被标记标记删除的用户对象`User`。若指定的
    *     `Person`对象未绑定`User`对象，或其绑定的`User`对象未被标记删除，则不对该`User`
    *     对象做操作。此参数默认值为`false`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   purge(id, withUser = false, showLoading = true) {
-    return purgeImpl(this, '/person/{id}/purge', id, showLoading, { withUser });
+    const args = resolveOptionalArguments([withUser, showLoading], { withUser: false });
+    return purgeImpl(this, '/person/{id}/purge', id, args.showLoading, { withUser: args.withUser });
   }
 
   /**
    * 彻底清除全部已被标记删除的`Person`对象。
    *
-   * @param {boolean} withUser
+   * @param {boolean|object} withUser
    *     是否同时彻底清除所有已被标记删除的`Person`对象所绑定的已被标记标记删除的用户对象`User`。
    *     若某个已被标记删除的`Person`对象未绑定`User`对象，或其绑定的`User`对象未被标记
    *     删除，则不对该`User`对象做操作。此参数默认值为`false`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   purgeAll(withUser = false, showLoading = true) {
-    return purgeAllImpl(this, '/person/purge', showLoading, { withUser });
+    const args = resolveOptionalArguments([withUser, showLoading], { withUser: false });
+    return purgeAllImpl(this, '/person/purge', args.showLoading, { withUser: args.withUser });
   }
 
   /**
@@ -575,19 +786,20 @@ class PersonApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     要批量清除的`Person`对象的ID列表，这些对象必须已经被标记删除。
-   * @param {boolean} withUser
+   * @param {boolean|object} withUser
    *     是否同时彻底清除`Person`对象所绑定的已被标记标记删除的用户对象`User`。若指定的
    *     `Person`对象未绑定`User`对象，或其绑定的`User`对象未被标记删除，则不对该`User`
    *     对象做操作。此参数默认值为`false`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回被清除的对象的数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   batchPurge(ids, withUser = false, showLoading = true) {
-    return batchPurgeImpl(this, '/person/batch/purge', ids, showLoading, { withUser });
+    const args = resolveOptionalArguments([withUser, showLoading], { withUser: false });
+    return batchPurgeImpl(this, '/person/batch/purge', ids, args.showLoading, { withUser: args.withUser });
   }
 
   /**
@@ -597,17 +809,18 @@ class PersonApi {
    *
    * @param {string|number|bigint} id
    *     要擦除的`Person`对象的ID。
-   * @param {boolean} withUser
+   * @param {boolean|object} withUser
    *     是否同时擦除`Person`对象所绑定的用户对象`User`。此参数默认值为`false`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   erase(id, withUser = false, showLoading = true) {
-    return eraseImpl(this, '/person/{id}/erase', id, showLoading, { withUser });
+    const args = resolveOptionalArguments([withUser, showLoading], { withUser: false });
+    return eraseImpl(this, '/person/{id}/erase', id, args.showLoading, { withUser: args.withUser });
   }
 
   /**
@@ -617,17 +830,20 @@ class PersonApi {
    *
    * @param {string} username
    *     要擦除的`Person`对象对应的用户的用户名。
-   * @param {boolean} withUser
+   * @param {boolean|object} withUser
    *     是否同时擦除`Person`对象所绑定的用户对象`User`。此参数默认值为`false`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   eraseByUsername(username, withUser = false, showLoading = true) {
-    return eraseByKeyImpl(this, '/person/username/{username}/erase', 'username', username, showLoading, { withUser });
+    const args = resolveOptionalArguments([withUser, showLoading], { withUser: false });
+    return eraseByKeyImpl(this, '/person/username/{username}/erase', 'username', username, args.showLoading, {
+      withUser: args.withUser,
+    });
   }
 
   /**
@@ -637,17 +853,18 @@ class PersonApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     要批量擦除的`Person`对象的ID列表。
-   * @param {boolean} withUser
+   * @param {boolean|object} withUser
    *     是否同时擦除`Person`对象所绑定的用户对象`User`。此参数默认值为`false`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回被擦除的对象的数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   batchErase(ids, withUser = false, showLoading = true) {
-    return batchEraseImpl(this, '/person/batch/erase', ids, showLoading, { withUser });
+    const args = resolveOptionalArguments([withUser, showLoading], { withUser: false });
+    return batchEraseImpl(this, '/person/batch/erase', ids, args.showLoading, { withUser: args.withUser });
   }
 
   /**
@@ -657,14 +874,13 @@ class PersonApi {
    *     查询条件参数，所有条件之间用`AND`连接。
    * @param {object} sortRequest
    *     排序参数，指定按照哪个属性排序。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载文件。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
-   * @return {Promise<string|null|ErrorInfo>}
-   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功，如果`autoDownload`设置为`true`，
-   *     浏览器会自动下载导出的文件，并返回`null`，否则返回导出的文件的 Blob URL（注意：
-   *     这个Blob URL稍后需要通过`window.URL.revokeObjectURL(url)`释放）；若操作失败，
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象，如果`autoDownload`设置为`true`，浏览器还会自动保存导出的文件；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
@@ -679,14 +895,13 @@ class PersonApi {
    *     查询条件参数，所有条件之间用`AND`连接。
    * @param {object} sortRequest
    *     排序参数，指定按照哪个属性排序。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载文件。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
-   * @return {Promise<string|null|ErrorInfo>}
-   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功，如果`autoDownload`设置为`true`，
-   *     浏览器会自动下载导出的文件，并返回`null`，否则返回导出的文件的 Blob URL（注意：
-   *     这个Blob URL稍后需要通过`window.URL.revokeObjectURL(url)`释放）；若操作失败，
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象，如果`autoDownload`设置为`true`，浏览器还会自动保存导出的文件；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
@@ -701,14 +916,13 @@ class PersonApi {
    *     查询条件参数，所有条件之间用`AND`连接。
    * @param {object} sortRequest
    *     排序参数，指定按照哪个属性排序。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载文件。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
-   * @return {Promise<string|null|ErrorInfo>}
-   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功，如果`autoDownload`设置为`true`，
-   *     浏览器会自动下载导出的文件，并返回`null`，否则返回导出的文件的 Blob URL（注意：
-   *     这个Blob URL稍后需要通过`window.URL.revokeObjectURL(url)`释放）；若操作失败，
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象，如果`autoDownload`设置为`true`，浏览器还会自动保存导出的文件；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
@@ -723,14 +937,13 @@ class PersonApi {
    *     查询条件参数，所有条件之间用`AND`连接。
    * @param {object} sortRequest
    *     排序参数，指定按照哪个属性排序。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载文件。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
-   * @return {Promise<string|null|ErrorInfo>}
-   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功，如果`autoDownload`设置为`true`，
-   *     浏览器会自动下载导出的文件，并返回`null`，否则返回导出的文件的 Blob URL（注意：
-   *     这个Blob URL稍后需要通过`window.URL.revokeObjectURL(url)`释放）；若操作失败，
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象，如果`autoDownload`设置为`true`，浏览器还会自动保存导出的文件；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
@@ -738,17 +951,47 @@ class PersonApi {
     return exportImpl(this, '/person/export/csv', 'CSV', criteria, sortRequest, autoDownload, showLoading);
   }
 
+  /**
+   * 以服务器端异步任务的方式导出符合条件的`Person`对象为指定格式的文件。
+   *
+   * 此方法适用于导出大量数据的情形：首先提交一个导出任务，然后定时查询该任务的状态，
+   * 任务完成后再下载导出的文件，详见`exportAsyncImpl()`的说明。
+   *
+   * @param {string} format
+   *     导出的文件的格式，可以是`'XML'`、`'JSON'`、`'Excel'`或`'CSV'`，不区分大小写。
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。
+   * @param {object} options
+   *     导出选项，除了`showLoading`、`signal`等请求选项之外，还可以包含以下属性：
+   *  - `autoDownload: boolean` 任务完成后是否自动下载文件，默认值为`true`；
+   *  - `interval: number` 查询任务状态的时间间隔，单位为毫秒，默认值为`1000`；
+   *  - `maxWait: number` 等待任务完成的最长时间，单位为毫秒，默认值为`1800000`，即30分钟；
+   *  - `onProgress: function` 进度回调函数，每次查询到任务的状态后将以
+   *    `{ taskId, status, elapsed }`为参数调用之。
+   * @return {Promise<object|ErrorInfo>}
+   *     此操作的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象；若导出任务失败，则解析失败并返回一个`TaskFailedError`对象；若等待超时，
+   *     则解析失败并返回一个`TaskTimeoutError`对象；若请求失败，则解析失败并返回一个
+   *     `ErrorInfo`对象。
+   */
+  @Log
+  exportAsync(format, criteria = {}, sortRequest = {}, options = {}) {
+    return exportAsyncImpl(this, '/person/export/{format}/async', format, criteria, sortRequest, options);
+  }
+
   /**
    * 从XML文件导入`Person`对象。
    *
    * @param {File|Blob} file
    *     要导入的XML文件。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否使用并行处理。默认值为`false`。
    * @param {number} threads
    *     如果使用并行处理，指定并行线程数。默认值为`null`，表示使用系统默认的线程数。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回导入的对象的数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -763,12 +1006,12 @@ class PersonApi {
    *
    * @param {File|Blob} file
    *     要导入的JSON文件。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否使用并行处理。默认值为`false`。
    * @param {number} threads
    *     如果使用并行处理，指定并行线程数。默认值为`null`，表示使用系统默认的线程数。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回导入的对象的数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -783,12 +1026,12 @@ class PersonApi {
    *
    * @param {File|Blob} file
    *     要导入的Excel文件。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否使用并行处理。默认值为`false`。
    * @param {number} threads
    *     如果使用并行处理，指定并行线程数。默认值为`null`，表示使用系统默认的线程数。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回导入的对象的数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -803,12 +1046,12 @@ class PersonApi {
    *
    * @param {File|Blob} file
    *     要导入的CSV文件。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否使用并行处理。默认值为`false`。
    * @param {number} threads
    *     如果使用并行处理，指定并行线程数。默认值为`null`，表示使用系统默认的线程数。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回导入的对象的数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -8,12 +8,15 @@
 ////////////////////////////////////////////////////////////////////////////////
 import { Role, State, StatefulInfo } from '@qubit-ltd/common-model';
 import { HasLogger, Log } from '@qubit-ltd/logging';
+import { TIMESTAMP_PATTERN } from '../utils/check-criteria-constraints';
 import addImpl from './impl/add-impl';
 import { batchDeleteImpl, deleteImpl } from './impl/delete-impl';
 import { batchEraseImpl, eraseImpl } from './impl/erase-impl';
+import exportAsyncImpl from './impl/export-async-impl';
 import exportImpl from './impl/export-impl';
 import { getImpl, getInfoImpl } from './impl/get-impl';
 import importImpl from './impl/import-impl';
+import { iterateImpl, listAllImpl } from './impl/iterate-impl';
 import { listImpl, listInfoImpl } from './impl/list-impl';
 import { batchPurgeImpl, purgeAllImpl, purgeImpl } from './impl/purge-impl';
 import { batchRestoreImpl, restoreImpl } from './impl/restore-impl';
@@ -63,17 +66,52 @@ class RoleApi {
     // 是否已经被标记删除
     { name: 'deleted', type: Boolean },
     // 创建时间范围的（闭区间）起始值
-    { name: 'createTimeStart', type: String },
+    { name: 'createTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
     // 创建时间范围的（闭区间）结束值
-    { name: 'createTimeEnd', type: String },
+    { name: 'createTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
     // 修改时间范围的（闭区间）起始值
-    { name: 'modifyTimeStart', type: String },
+    { name: 'modifyTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
     // 修改时间范围的（闭区间）结束值
-    { name: 'modifyTimeEnd', type: String },
+    { name: 'modifyTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
     // 标记删除时间范围的（闭区间）起始值
-    { name: 'deleteTimeStart', type: String },
+    { name: 'deleteTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
     // 标记删除时间范围的（闭区间）结束值
-    { name: 'deleteTimeEnd', type: String },
+    { name: 'deleteTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
+  ];
+
+  /**
+   * 路由定义，用于生成OpenAPI文档，详见`generateOpenApiDocument()`的说明。
+   *
+   * @type {Array<Object>}
+   */
+  ROUTE_DEFINITIONS = [
+    { name: 'list', impl: 'listImpl', url: '/role' },
+    { name: 'iterate', impl: 'iterateImpl', url: '/role' },
+    { name: 'listAll', impl: 'listAllImpl', url: '/role' },
+    { name: 'listInfo', impl: 'listInfoImpl', url: '/role/info' },
+    { name: 'get', impl: 'getImpl', url: '/role/{id}' },
+    { name: 'getInfo', impl: 'getInfoImpl', url: '/role/{id}/info' },
+    { name: 'add', impl: 'addImpl', url: '/role' },
+    { name: 'update', impl: 'updateImpl', url: '/role/{id}' },
+    { name: 'updateState', impl: 'updatePropertyImpl', url: '/role/{id}/state' },
+    { name: 'delete', impl: 'deleteImpl', url: '/role/{id}' },
+    { name: 'batchDelete', impl: 'batchDeleteImpl', url: '/role/batch' },
+    { name: 'restore', impl: 'restoreImpl', url: '/role/{id}' },
+    { name: 'batchRestore', impl: 'batchRestoreImpl', url: '/role/batch' },
+    { name: 'purge', impl: 'purgeImpl', url: '/role/{id}/purge' },
+    { name: 'purgeAll', impl: 'purgeAllImpl', url: '/role/purge' },
+    { name: 'batchPurge', impl: 'batchPurgeImpl', url: '/role/batch/purge' },
+    { name: 'erase', impl: 'eraseImpl', url: '/role/{id}/erase' },
+    { name: 'batchErase', impl: 'batchEraseImpl', url: '/role/batch/erase' },
+    { name: 'exportXml', impl: 'exportImpl', url: '/role/export/xml' },
+    { name: 'exportJson', impl: 'exportImpl', url: '/role/export/json' },
+    { name: 'exportExcel', impl: 'exportImpl', url: '/role/export/excel' },
+    { name: 'exportCsv', impl: 'exportImpl', url: '/role/export/csv' },
+    { name: 'exportAsync', impl: 'exportAsyncImpl', url: '/role/export/{format}/async' },
+    { name: 'importXml', impl: 'importImpl', url: '/role/import/xml' },
+    { name: 'importJson', impl: 'importImpl', url: '/role/import/json' },
+    { name: 'importExcel', impl: 'importImpl', url: '/role/import/excel' },
+    { name: 'importCsv', impl: 'importImpl', url: '/role/import/csv' },
   ];
 
   /**
@@ -101,8 +139,8 @@ class RoleApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Page<Role>|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`Page`对象，包含符合条
    *     件的`Role`对象的分页数据；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -112,6 +150,88 @@ class RoleApi {
     return listImpl(this, '/role', pageRequest, criteria, sortRequest, showLoading);
   }
 
+  /**
+   * 逐页遍历符合条件的`Role`对象。
+   *
+   * 此函数返回一个异步迭代器，它按需逐页获取数据，依次产生每一个符合条件的对象；调用者可
+   * 以使用`for await`语句遍历，并可随时使用`break`提前结束遍历。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `appId: string|number|bigint` 所属应用的ID；
+   *  - `appCode: string` 所属应用的代码；
+   *  - `appName: string` 所属应用的名称包含的字符串；
+   *  - `name: string` 名称中应包含的字符串；
+   *  - `guest: boolean` 是否是访客角色；
+   *  - `basic: boolean` 是否是基本角色；
+   *  - `state: State|string` 状态；
+   *  - `deleted: boolean` 是否已经被标记删除；
+   *  - `createTimeStart: string`创建时间范围的（闭区间）起始值；
+   *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
+   *  - `modifyTimeStart: string` 修改时间范围的（闭区间）起始值；
+   *  - `modifyTimeEnd: string` 修改时间范围的（闭区间）结束值；
+   *  - `deleteTimeStart: string` 标记删除时间范围的（闭区间）起始值；
+   *  - `deleteTimeEnd: string` 标记删除时间范围的（闭区间）结束值；
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。允许的条件包括：
+   *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
+   *  - `sortOrder: SortOrder` 指定是正序还是倒序。
+   * @param {object} options
+   *     遍历选项，包含以下属性：
+   *  - `pageSize: number` 每次请求的分页大小，默认值为`100`；
+   *  - `maxItems: number` 最多产生的对象数目，默认不限制；
+   *  - `showLoading: boolean` 每次请求时是否显示加载提示，默认值为`true`；
+   *  - `signal: AbortSignal` 用于取消遍历的信号，默认值为`undefined`。
+   * @return {AsyncGenerator<Role>}
+   *     一个异步迭代器，依次产生符合条件的`Role`对象。若某一页的请求失败，则迭代器抛出
+   *     该请求的`ErrorInfo`对象。
+   */
+  @Log
+  iterate(criteria = {}, sortRequest = {}, options = {}) {
+    return iterateImpl(this, '/role', criteria, sortRequest, options);
+  }
+
+  /**
+   * 获取全部符合条件的`Role`对象。
+   *
+   * 此函数逐页获取全部符合条件的对象，并将它们收集到一个数组中。若符合条件的对象数目很
+   * 多，应考虑使用`iterate()`函数逐个处理。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `appId: string|number|bigint` 所属应用的ID；
+   *  - `appCode: string` 所属应用的代码；
+   *  - `appName: string` 所属应用的名称包含的字符串；
+   *  - `name: string` 名称中应包含的字符串；
+   *  - `guest: boolean` 是否是访客角色；
+   *  - `basic: boolean` 是否是基本角色；
+   *  - `state: State|string` 状态；
+   *  - `deleted: boolean` 是否已经被标记删除；
+   *  - `createTimeStart: string`创建时间范围的（闭区间）起始值；
+   *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
+   *  - `modifyTimeStart: string` 修改时间范围的（闭区间）起始值；
+   *  - `modifyTimeEnd: string` 修改时间范围的（闭区间）结束值；
+   *  - `deleteTimeStart: string` 标记删除时间范围的（闭区间）起始值；
+   *  - `deleteTimeEnd: string` 标记删除时间范围的（闭区间）结束值；
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。允许的条件包括：
+   *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
+   *  - `sortOrder: SortOrder` 指定是正序还是倒序。
+   * @param {object} options
+   *     遍历选项，包含以下属性：
+   *  - `pageSize: number` 每次请求的分页大小，默认值为`100`；
+   *  - `maxItems: number` 最多产生的对象数目，默认不限制；
+   *  - `showLoading: boolean` 每次请求时是否显示加载提示，默认值为`true`；
+   *  - `signal: AbortSignal` 用于取消遍历的信号，默认值为`undefined`。
+   * @return {Promise<Array<Role>|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回包含全部符合条件的
+   *     `Role`对象的数组；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  listAll(criteria = {}, sortRequest = {}, options = {}) {
+    return listAllImpl(this, '/role', criteria, sortRequest, options);
+  }
+
   /**
    * 列出符合条件的`Role`对象的基本信息。
    *
@@ -137,8 +257,8 @@ class RoleApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Page<StatefulInfo>|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`Page`对象，包含符合条
    *     件的`Role`对象的基本信息的分页数据；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -153,8 +273,8 @@ class RoleApi {
    *
    * @param {string|number|bigint} id
    *     `Role`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Role|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`Role`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -169,8 +289,8 @@ class RoleApi {
    *
    * @param {string|number|bigint} id
    *     `Role`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<StatefulInfo|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`StatefulInfo`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -185,8 +305,8 @@ class RoleApi {
    *
    * @param {Role} entity
    *     待创建的新`Role`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Role|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回新创建的`Role`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -201,8 +321,8 @@ class RoleApi {
    *
    * @param {Role} entity
    *     待更新的`Role`的新数据，其中必须包含ID属性值。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Role|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新后的`Role`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -219,8 +339,8 @@ class RoleApi {
    *     `Role`对象的ID。
    * @param {State|string} state
    *     要更新的`Role`对象的状态。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<String|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回则数据被更新的UTC时间戳；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -235,8 +355,8 @@ class RoleApi {
    *
    * @param {string|number|bigint} id
    *     指定的`Role`的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Instant|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回标记删除时的时间戳；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -251,8 +371,8 @@ class RoleApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量删除的`Role`的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回被标记删除的记录数；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -267,8 +387,8 @@ class RoleApi {
    *
    * @param {string|number|bigint} id
    *     指定的已被标记删除的`Role`的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -283,8 +403,8 @@ class RoleApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量恢复的已被标记删除的`Role`的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回实际恢复的实体的数目；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -299,8 +419,8 @@ class RoleApi {
    *
    * @param {string|number|bigint} id
    *     指定的已被标记删除的`Role`的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -313,8 +433,8 @@ class RoleApi {
   /**
    * 彻底清除全部已被标记删除的`Role`。
    *
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回被清除的数据数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -329,8 +449,8 @@ class RoleApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量彻底清除的已被标记删除的`Role`的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回实际被彻底清除的实体的数目；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -345,8 +465,8 @@ class RoleApi {
    *
    * @param {string|number|bigint} id
    *     指定的`Role`的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -361,8 +481,8 @@ class RoleApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量彻底删除的`Role`的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回实际删除的实体的数目；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -379,10 +499,10 @@ class RoleApi {
    *     查询条件参数。
    * @param {object} sortRequest
    *     排序参数。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|Blob|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，且`autoDownload`为`true`，则解析成功；
    *     若操作成功，且`autoDownload`为`false`，则解析成功并返回文件内容；若操作失败，
@@ -400,10 +520,10 @@ class RoleApi {
    *     查询条件参数。
    * @param {object} sortRequest
    *     排序参数。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|Blob|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，且`autoDownload`为`true`，则解析成功；
    *     若操作成功，且`autoDownload`为`false`，则解析成功并返回文件内容；若操作失败，
@@ -421,10 +541,10 @@ class RoleApi {
    *     查询条件参数。
    * @param {object} sortRequest
    *     排序参数。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|Blob|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，且`autoDownload`为`true`，则解析成功；
    *     若操作成功，且`autoDownload`为`false`，则解析成功并返回文件内容；若操作失败，
@@ -442,10 +562,10 @@ class RoleApi {
    *     查询条件参数。
    * @param {object} sortRequest
    *     排序参数。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|Blob|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，且`autoDownload`为`true`，则解析成功；
    *     若操作成功，且`autoDownload`为`false`，则解析成功并返回文件内容；若操作失败，
@@ -456,18 +576,48 @@ class RoleApi {
     return exportImpl(this, '/role/export/csv', 'CSV', criteria, sortRequest, autoDownload, showLoading);
   }
 
+  /**
+   * 以服务器端异步任务的方式导出符合条件的`Role`对象为指定格式的文件。
+   *
+   * 此方法适用于导出大量数据的情形：首先提交一个导出任务，然后定时查询该任务的状态，
+   * 任务完成后再下载导出的文件，详见`exportAsyncImpl()`的说明。
+   *
+   * @param {string} format
+   *     导出的文件的格式，可以是`'XML'`、`'JSON'`、`'Excel'`或`'CSV'`，不区分大小写。
+   * @param {object} criteria
+   *     查询条件参数。
+   * @param {object} sortRequest
+   *     排序参数。
+   * @param {object} options
+   *     导出选项，除了`showLoading`、`signal`等请求选项之外，还可以包含以下属性：
+   *  - `autoDownload: boolean` 任务完成后是否自动下载文件，默认值为`true`；
+   *  - `interval: number` 查询任务状态的时间间隔，单位为毫秒，默认值为`1000`；
+   *  - `maxWait: number` 等待任务完成的最长时间，单位为毫秒，默认值为`1800000`，即30分钟；
+   *  - `onProgress: function` 进度回调函数，每次查询到任务的状态后将以
+   *    `{ taskId, status, elapsed }`为参数调用之。
+   * @return {Promise<object|ErrorInfo>}
+   *     此操作的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象；若导出任务失败，则解析失败并返回一个`TaskFailedError`对象；若等待超时，
+   *     则解析失败并返回一个`TaskTimeoutError`对象；若请求失败，则解析失败并返回一个
+   *     `ErrorInfo`对象。
+   */
+  @Log
+  exportAsync(format, criteria = {}, sortRequest = {}, options = {}) {
+    return exportAsyncImpl(this, '/role/export/{format}/async', format, criteria, sortRequest, options);
+  }
+
   /**
    * 从XML文件导入`Role`对象。
    *
    * @param {Blob|File} file
    *     包含了要导入的`Role`对象的XML文件或二进制数据。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否并行导入。如果为`true`，则并行导入；否则，单线程导入。
    * @param {number|null} threads
    *     并行导入的线程数。若`parallel`为`false`，此参数无效。若此参数为`null`，则使用
    *     默认线程数。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的`Role`对象的
    *     数量；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -482,13 +632,13 @@ class RoleApi {
    *
    * @param {Blob|File} file
    *     包含了要导入的`Role`对象的JSON文件或二进制数据。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否并行导入。如果为`true`，则并行导入；否则，单线程导入。
    * @param {number|null} threads
    *     并行导入的线程数。若`parallel`为`false`，此参数无效。若此参数为`null`，则使用
    *     默认线程数。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的`Role`对象的
    *     数量；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -503,13 +653,13 @@ class RoleApi {
    *
    * @param {Blob|File} file
    *     包含了要导入的`Role`对象的Excel文件或二进制数据。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否并行导入。如果为`true`，则并行导入；否则，单线程导入。
    * @param {number|null} threads
    *     并行导入的线程数。若`parallel`为`false`，此参数无效。若此参数为`null`，则使用
    *     默认线程数。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的`Role`对象的
    *     数量；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -524,13 +674,13 @@ class RoleApi {
    *
    * @param {Blob|File} file
    *     包含了要导入的`Role`对象的CSV文件或二进制数据。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否并行导入。如果为`true`，则并行导入；否则，单线程导入。
    * @param {number|null} threads
    *     并行导入的线程数。若`parallel`为`false`，此参数无效。若此参数为`null`，则使用
    *     默认线程数。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的`Role`对象的
    *     数量；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -9,9 +9,11 @@
 import { Setting } from '@qubit-ltd/common-model';
 import { HasLogger, Log } from '@qubit-ltd/logging';
 import addImpl from './impl/add-impl';
+import exportAsyncImpl from './impl/export-async-impl';
 import exportImpl from './impl/export-impl';
 import { getImpl } from './impl/get-impl';
 import importImpl from './impl/import-impl';
+import { iterateImpl, listAllImpl } from './impl/iterate-impl';
 import { listImpl } from './impl/list-impl';
 import { updatePropertyImpl } from './impl/update-impl';
 
@@ -42,6 +44,29 @@ class SettingApi {
     { name: 'encrypted', type: Boolean },
   ];
 
+  /**
+   * 路由定义，用于生成OpenAPI文档，详见`generateOpenApiDocument()`的说明。
+   *
+   * @type {Array<Object>}
+   */
+  ROUTE_DEFINITIONS = [
+    { name: 'list', impl: 'listImpl', url: '/setting' },
+    { name: 'iterate', impl: 'iterateImpl', url: '/setting' },
+    { name: 'listAll', impl: 'listAllImpl', url: '/setting' },
+    { name: 'get', impl: 'getImpl', url: '/setting/{id}' },
+    { name: 'add', impl: 'addImpl', url: '/setting' },
+    { name: 'update', impl: 'updatePropertyImpl', url: '/setting/{id}' },
+    { name: 'exportXml', impl: 'exportImpl', url: '/setting/export/xml' },
+    { name: 'exportJson', impl: 'exportImpl', url: '/setting/export/json' },
+    { name: 'exportExcel', impl: 'exportImpl', url: '/setting/export/excel' },
+    { name: 'exportCsv', impl: 'exportImpl', url: '/setting/export/csv' },
+    { name: 'exportAsync', impl: 'exportAsyncImpl', url: '/setting/export/{format}/async' },
+    { name: 'importXml', impl: 'importImpl', url: '/setting/import/xml' },
+    { name: 'importJson', impl: 'importImpl', url: '/setting/import/json' },
+    { name: 'importExcel', impl: 'importImpl', url: '/setting/import/excel' },
+    { name: 'importCsv', impl: 'importImpl', url: '/setting/import/csv' },
+  ];
+
   /**
    * 列出符合条件的`Setting`对象。
    *
@@ -58,8 +83,8 @@ class SettingApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Page<Setting>|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`Page`对象，包含符合条
    *     件的`Setting`对象的分页数据；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -69,13 +94,77 @@ class SettingApi {
     return listImpl(this, '/setting', pageRequest, criteria, sortRequest, showLoading);
   }
 
+  /**
+   * 逐页遍历符合条件的`Setting`对象。
+   *
+   * 此函数返回一个异步迭代器，它按需逐页获取数据，依次产生每一个符合条件的对象；调用者可
+   * 以使用`for await`语句遍历，并可随时使用`break`提前结束遍历。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `name: string` 名称中应包含的字符串；
+   *  - `readonly: boolean` 是否只读；
+   *  - `nullable: boolean` 是否可以为空；
+   *  - `multiple: boolean` 是否可以取多个值；
+   *  - `encrypted: boolean` 是否加密；
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。允许的条件包括：
+   *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
+   *  - `sortOrder: SortOrder` 指定是正序还是倒序。
+   * @param {object} options
+   *     遍历选项，包含以下属性：
+   *  - `pageSize: number` 每次请求的分页大小，默认值为`100`；
+   *  - `maxItems: number` 最多产生的对象数目，默认不限制；
+   *  - `showLoading: boolean` 每次请求时是否显示加载提示，默认值为`true`；
+   *  - `signal: AbortSignal` 用于取消遍历的信号，默认值为`undefined`。
+   * @return {AsyncGenerator<Setting>}
+   *     一个异步迭代器，依次产生符合条件的`Setting`对象。若某一页的请求失败，则迭代器抛出
+   *     该请求的`ErrorInfo`对象。
+   */
+  @Log
+  iterate(criteria = {}, sortRequest = {}, options = {}) {
+    return iterateImpl(this, '/setting', criteria, sortRequest, options);
+  }
+
+  /**
+   * 获取全部符合条件的`Setting`对象。
+   *
+   * 此函数逐页获取全部符合条件的对象，并将它们收集到一个数组中。若符合条件的对象数目很
+   * 多，应考虑使用`iterate()`函数逐个处理。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `name: string` 名称中应包含的字符串；
+   *  - `readonly: boolean` 是否只读；
+   *  - `nullable: boolean` 是否可以为空；
+   *  - `multiple: boolean` 是否可以取多个值；
+   *  - `encrypted: boolean` 是否加密；
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。允许的条件包括：
+   *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
+   *  - `sortOrder: SortOrder` 指定是正序还是倒序。
+   * @param {object} options
+   *     遍历选项，包含以下属性：
+   *  - `pageSize: number` 每次请求的分页大小，默认值为`100`；
+   *  - `maxItems: number` 最多产生的对象数目，默认不限制；
+   *  - `showLoading: boolean` 每次请求时是否显示加载提示，默认值为`true`；
+   *  - `signal: AbortSignal` 用于取消遍历的信号，默认值为`undefined`。
+   * @return {Promise<Array<Setting>|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回包含全部符合条件的
+   *     `Setting`对象的数组；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  listAll(criteria = {}, sortRequest = {}, options = {}) {
+    return listAllImpl(this, '/setting', criteria, sortRequest, options);
+  }
+
   /**
    * 获取指定的`Setting`对象。
    *
    * @param {string} name
    *     指定的{@link Setting}的名称。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Setting|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`Setting`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -90,8 +179,8 @@ class SettingApi {
    *
    * @param {Setting|object} setting
    *     要添加的`Setting`对象。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Setting|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回新增的`Setting`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -108,8 +197,8 @@ class SettingApi {
    *     指定的{@link Setting}的名称。
    * @param {string} value
    *     待{@link Setting}的新取值，若不指定则表示将该{@link Setting}的值修改为{@code null}。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Setting|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新后的`Setting`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -124,8 +213,8 @@ class SettingApi {
    *
    * @param {string} name
    *     指定设置的名称。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<boolean|null|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定设置的值（转换为布尔值），注意可能为`null`；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -150,8 +239,8 @@ class SettingApi {
    *
    * @param {string} name
    *     指定设置的名称。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|null|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定设置的值（转换为数字），注意可能为`null`；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -170,8 +259,8 @@ class SettingApi {
    *
    * @param {string} name
    *     指定设置的名称。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|bigint|null|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定设置的值（转换为长整数），注意可能为`null`；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -194,8 +283,8 @@ class SettingApi {
    *
    * @param {string} name
    *     指定设置的名称。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|null|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定设置的值（转换为浮点数），注意可能为`null`；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -214,8 +303,8 @@ class SettingApi {
    *
    * @param {string} name
    *     指定设置的名称。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|null|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定设置的值（转换为双精度浮点数），注意可能为`null`；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -230,8 +319,8 @@ class SettingApi {
    *
    * @param {string} name
    *     指定设置的名称。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|null|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定设置的值（转换为字符串），注意可能为`null`；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -250,8 +339,8 @@ class SettingApi {
    *
    * @param {string} name
    *     指定设置的名称。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Date|null|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定设置的值（转换为日期），注意可能为`null`；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -272,8 +361,8 @@ class SettingApi {
    *     指定设置的名称。
    * @param {boolean} value
    *     要设置的布尔值。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据被修改时的时间戳；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -291,8 +380,8 @@ class SettingApi {
    *     指定设置的名称。
    * @param {number} value
    *     要设置的整数值。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据被修改时的时间戳；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -310,8 +399,8 @@ class SettingApi {
    *     指定设置的名称。
    * @param {number|bigint} value
    *     要设置的长整数值。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据被修改时的时间戳；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -329,8 +418,8 @@ class SettingApi {
    *     指定设置的名称。
    * @param {number} value
    *     要设置的浮点数值。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据被修改时的时间戳；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -348,8 +437,8 @@ class SettingApi {
    *     指定设置的名称。
    * @param {number} value
    *     要设置的双精度浮点数值。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据被修改时的时间戳；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -366,8 +455,8 @@ class SettingApi {
    *     指定设置的名称。
    * @param {string} value
    *     要设置的字符串值。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据被修改时的时间戳；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -384,8 +473,8 @@ class SettingApi {
    *     指定设置的名称。
    * @param {Date} value
    *     要设置的日期值。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据被修改时的时间戳；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -403,8 +492,8 @@ class SettingApi {
    *     指定的设置的名称。
    * @param {*} value
    *     待更新的新的值，若为`null`则不做更新。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新后的值；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -424,8 +513,8 @@ class SettingApi {
    *
    * @param {Setting|object} setting
    *     待更新的`Setting`对象，必须指定其`name`属性。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据被修改时的时间戳；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -456,14 +545,13 @@ class SettingApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载文件。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
-   * @return {Promise<string|null|ErrorInfo>}
-   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功，如果`autoDownload`设置为`true`，
-   *     浏览器会自动下载导出的文件，并返回`null`，否则返回导出的文件的 Blob URL（注意：
-   *     这个Blob URL稍后需要通过`window.URL.revokeObjectURL(url)`释放）；若操作失败，
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象，如果`autoDownload`设置为`true`，浏览器还会自动保存导出的文件；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
@@ -485,14 +573,13 @@ class SettingApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载文件。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
-   * @return {Promise<string|null|ErrorInfo>}
-   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功，如果`autoDownload`设置为`true`，
-   *     浏览器会自动下载导出的文件，并返回`null`，否则返回导出的文件的 Blob URL（注意：
-   *     这个Blob URL稍后需要通过`window.URL.revokeObjectURL(url)`释放）；若操作失败，
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象，如果`autoDownload`设置为`true`，浏览器还会自动保存导出的文件；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
@@ -514,14 +601,13 @@ class SettingApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载文件。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
-   * @return {Promise<string|null|ErrorInfo>}
-   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功，如果`autoDownload`设置为`true`，
-   *     浏览器会自动下载导出的文件，并返回`null`，否则返回导出的文件的 Blob URL（注意：
-   *     这个Blob URL稍后需要通过`window.URL.revokeObjectURL(url)`释放）；若操作失败，
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象，如果`autoDownload`设置为`true`，浏览器还会自动保存导出的文件；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
@@ -543,14 +629,13 @@ class SettingApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载文件。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
-   * @return {Promise<string|null|ErrorInfo>}
-   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功，如果`autoDownload`设置为`true`，
-   *     浏览器会自动下载导出的文件，并返回`null`，否则返回导出的文件的 Blob URL（注意：
-   *     这个Blob URL稍后需要通过`window.URL.revokeObjectURL(url)`释放）；若操作失败，
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象，如果`autoDownload`设置为`true`，浏览器还会自动保存导出的文件；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
@@ -558,18 +643,55 @@ class SettingApi {
     return exportImpl(this, '/setting/export/csv', 'CSV', criteria, sortRequest, autoDownload, showLoading);
   }
 
+  /**
+   * 以服务器端异步任务的方式导出符合条件的`Setting`对象为指定格式的文件。
+   *
+   * 此方法适用于导出大量数据的情形：首先提交一个导出任务，然后定时查询该任务的状态，
+   * 任务完成后再下载导出的文件，详见`exportAsyncImpl()`的说明。
+   *
+   * @param {string} format
+   *     导出的文件的格式，可以是`'XML'`、`'JSON'`、`'Excel'`或`'CSV'`，不区分大小写。
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `name: string` 名称中应包含的字符串；
+   *  - `readonly: boolean` 是否只读；
+   *  - `nullable: boolean` 是否可以为空；
+   *  - `multiple: boolean` 是否可以取多个值；
+   *  - `encrypted: boolean` 是否加密；
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。允许的条件包括：
+   *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
+   *  - `sortOrder: SortOrder` 指定是正序还是倒序。
+   * @param {object} options
+   *     导出选项，除了`showLoading`、`signal`等请求选项之外，还可以包含以下属性：
+   *  - `autoDownload: boolean` 任务完成后是否自动下载文件，默认值为`true`；
+   *  - `interval: number` 查询任务状态的时间间隔，单位为毫秒，默认值为`1000`；
+   *  - `maxWait: number` 等待任务完成的最长时间，单位为毫秒，默认值为`1800000`，即30分钟；
+   *  - `onProgress: function` 进度回调函数，每次查询到任务的状态后将以
+   *    `{ taskId, status, elapsed }`为参数调用之。
+   * @return {Promise<object|ErrorInfo>}
+   *     此操作的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象；若导出任务失败，则解析失败并返回一个`TaskFailedError`对象；若等待超时，
+   *     则解析失败并返回一个`TaskTimeoutError`对象；若请求失败，则解析失败并返回一个
+   *     `ErrorInfo`对象。
+   */
+  @Log
+  exportAsync(format, criteria = {}, sortRequest = {}, options = {}) {
+    return exportAsyncImpl(this, '/setting/export/{format}/async', format, criteria, sortRequest, options);
+  }
+
   /**
    * 从XML文件导入`Setting`对象。
    *
    * @param {File|Blob} file
    *     待导入的XML文件。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否并行导入。如果为`true`，则并行导入；否则，单线程导入。默认值为`false`。
    * @param {number|null} threads
    *     并行导入的线程数。若`parallel`为`false`，此参数无效。若此参数为`null`，则使用默认
    *     线程数。默认线程数由当前系统的CPU核心数决定。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的`Setting`对象的
    *     数量；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -584,13 +706,13 @@ class SettingApi {
    *
    * @param {File|Blob} file
    *     待导入的JSON文件。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否并行导入。如果为`true`，则并行导入；否则，单线程导入。默认值为`false`。
    * @param {number|null} threads
    *     并行导入的线程数。若`parallel`为`false`，此参数无效。若此参数为`null`，则使用默认
    *     线程数。默认线程数由当前系统的CPU核心数决定。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的`Setting`对象的
    *     数量；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -605,13 +727,13 @@ class SettingApi {
    *
    * @param {File|Blob} file
    *     待导入的Excel文件。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否并行导入。如果为`true`，则并行导入；否则，单线程导入。默认值为`false`。
    * @param {number|null} threads
    *     并行导入的线程数。若`parallel`为`false`，此参数无效。若此参数为`null`，则使用默认
    *     线程数。默认线程数由当前系统的CPU核心数决定。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的`Setting`对象的
    *     数量；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -626,13 +748,13 @@ class SettingApi {
    *
    * @param {File|Blob} file
    *     待导入的CSV文件。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否并行导入。如果为`true`，则并行导入；否则，单线程导入。默认值为`false`。
    * @param {number|null} threads
    *     并行导入的线程数。若`parallel`为`false`，此参数无效。若此参数为`null`，则使用默认
    *     线程数。默认线程数由当前系统的CPU核心数决定。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的`Setting`对象的
    *     数量；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -8,10 +8,12 @@
 ////////////////////////////////////////////////////////////////////////////////
 import { SocialNetwork, SocialNetworkAccount } from '@qubit-ltd/common-model';
 import { HasLogger, Log } from '@qubit-ltd/logging';
+import { TIMESTAMP_PATTERN } from '../utils/check-criteria-constraints';
 import addImpl from './impl/add-impl';
 import { batchDeleteImpl, deleteImpl } from './impl/delete-impl';
 import { batchEraseImpl, eraseImpl } from './impl/erase-impl';
 import { getByKeyImpl, getImpl } from './impl/get-impl';
+import { iterateImpl, listAllImpl } from './impl/iterate-impl';
 import { listImpl } from './impl/list-impl';
 import { batchPurgeImpl, purgeAllImpl, purgeImpl } from './impl/purge-impl';
 import { batchRestoreImpl, restoreImpl } from './impl/restore-impl';
@@ -41,12 +43,37 @@ class SocialNetworkAccountApi {
     { name: 'socialNetwork', type: [SocialNetwork, String] },
     { name: 'appId', type: String },
     { name: 'deleted', type: Boolean },
-    { name: 'createTimeStart', type: String },
-    { name: 'createTimeEnd', type: String },
-    { name: 'modifyTimeStart', type: String },
-    { name: 'modifyTimeEnd', type: String },
-    { name: 'deleteTimeStart', type: String },
-    { name: 'deleteTimeEnd', type: String },
+    { name: 'createTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
+    { name: 'createTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
+    { name: 'modifyTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
+    { name: 'modifyTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
+    { name: 'deleteTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
+    { name: 'deleteTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
+  ];
+
+  /**
+   * 路由定义，用于生成OpenAPI文档，详见`generateOpenApiDocument()`的说明。
+   *
+   * @type {Array<Object>}
+   */
+  ROUTE_DEFINITIONS = [
+    { name: 'list', impl: 'listImpl', url: '/social-network-account' },
+    { name: 'iterate', impl: 'iterateImpl', url: '/social-network-account' },
+    { name: 'listAll', impl: 'listAllImpl', url: '/social-network-account' },
+    { name: 'get', impl: 'getImpl', url: '/social-network-account/{id}' },
+    { name: 'getByOpenId', impl: 'getByKeyImpl', url: '/social-network-account/open-id/{socialNetwork}/{appId}/{openId}' },
+    { name: 'add', impl: 'addImpl', url: '/social-network-account' },
+    { name: 'update', impl: 'updateImpl', url: '/social-network-account/{id}' },
+    { name: 'updateByOpenId', impl: 'updateByKeyImpl', url: '/social-network-account/open-id/{socialNetwork}/{appId}/{openId}' },
+    { name: 'delete', impl: 'deleteImpl', url: '/social-network-account/{id}' },
+    { name: 'batchDelete', impl: 'batchDeleteImpl', url: '/social-network-account/batch' },
+    { name: 'restore', impl: 'restoreImpl', url: '/social-network-account/{id}' },
+    { name: 'batchRestore', impl: 'batchRestoreImpl', url: '/social-network-account/batch' },
+    { name: 'purge', impl: 'purgeImpl', url: '/social-network-account/{id}/purge' },
+    { name: 'purgeAll', impl: 'purgeAllImpl', url: '/social-network-account/purge' },
+    { name: 'batchPurge', impl: 'batchPurgeImpl', url: '/social-network-account/batch/purge' },
+    { name: 'erase', impl: 'eraseImpl', url: '/social-network-account/{id}/erase' },
+    { name: 'batchErase', impl: 'batchEraseImpl', url: '/social-network-account/batch/erase' },
   ];
 
   /**
@@ -70,8 +97,8 @@ class SocialNetworkAccountApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Page<SocialNetworkAccount>|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`Page`对象，包含符合条
    *     件的`SocialNetworkAccount`对象的分页数据；若操作失败，则解析失败并返回一个
@@ -82,13 +109,87 @@ class SocialNetworkAccountApi {
     return listImpl(this, '/social-network-account', pageRequest, criteria, sortRequest, showLoading);
   }
 
+  /**
+   * 逐页遍历符合条件的`SocialNetworkAccount`对象。
+   *
+   * 此函数返回一个异步迭代器，它按需逐页获取数据，依次产生每一个符合条件的对象；调用者可
+   * 以使用`for await`语句遍历，并可随时使用`break`提前结束遍历。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `username: string` 所属的用户的用户名；
+   *  - `socialNetwork: SocialNetwork|string` 所属的社交网络；
+   *  - `appId: string` 所属的社交网络内部的App ID；
+   *  - `deleted: boolean` 是否已经被标记删除；
+   *  - `createTimeStart: string`创建时间范围的（闭区间）起始值；
+   *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
+   *  - `modifyTimeStart: string` 修改时间范围的（闭区间）起始值；
+   *  - `modifyTimeEnd: string` 修改时间范围的（闭区间）结束值；
+   *  - `deleteTimeStart: string` 标记删除时间范围的（闭区间）起始值；
+   *  - `deleteTimeEnd: string` 标记删除时间范围的（闭区间）结束值；
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。允许的条件包括：
+   *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
+   *  - `sortOrder: SortOrder` 指定是正序还是倒序。
+   * @param {object} options
+   *     遍历选项，包含以下属性：
+   *  - `pageSize: number` 每次请求的分页大小，默认值为`100`；
+   *  - `maxItems: number` 最多产生的对象数目，默认不限制；
+   *  - `showLoading: boolean` 每次请求时是否显示加载提示，默认值为`true`；
+   *  - `signal: AbortSignal` 用于取消遍历的信号，默认值为`undefined`。
+   * @return {AsyncGenerator<SocialNetworkAccount>}
+   *     一个异步迭代器，依次产生符合条件的`SocialNetworkAccount`对象。若某一页的请求失败，则迭代器抛出
+   *     该请求的`ErrorInfo`对象。
+   */
+  @Log
+  iterate(criteria = {}, sortRequest = {}, options = {}) {
+    return iterateImpl(this, '/social-network-account', criteria, sortRequest, options);
+  }
+
+  /**
+   * 获取全部符合条件的`SocialNetworkAccount`对象。
+   *
+   * 此函数逐页获取全部符合条件的对象，并将它们收集到一个数组中。若符合条件的对象数目很
+   * 多，应考虑使用`iterate()`函数逐个处理。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `username: string` 所属的用户的用户名；
+   *  - `socialNetwork: SocialNetwork|string` 所属的社交网络；
+   *  - `appId: string` 所属的社交网络内部的App ID；
+   *  - `deleted: boolean` 是否已经被标记删除；
+   *  - `createTimeStart: string`创建时间范围的（闭区间）起始值；
+   *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
+   *  - `modifyTimeStart: string` 修改时间范围的（闭区间）起始值；
+   *  - `modifyTimeEnd: string` 修改时间范围的（闭区间）结束值；
+   *  - `deleteTimeStart: string` 标记删除时间范围的（闭区间）起始值；
+   *  - `deleteTimeEnd: string` 标记删除时间范围的（闭区间）结束值；
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。允许的条件包括：
+   *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
+   *  - `sortOrder: SortOrder` 指定是正序还是倒序。
+   * @param {object} options
+   *     遍历选项，包含以下属性：
+   *  - `pageSize: number` 每次请求的分页大小，默认值为`100`；
+   *  - `maxItems: number` 最多产生的对象数目，默认不限制；
+   *  - `showLoading: boolean` 每次请求时是否显示加载提示，默认值为`true`；
+   *  - `signal: AbortSignal` 用于取消遍历的信号，默认值为`undefined`。
+   * @return {Promise<Array<SocialNetworkAccount>|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回包含全部符合条件的
+   *     `SocialNetworkAccount`对象的数组；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  listAll(criteria = {}, sortRequest = {}, options = {}) {
+    return listAllImpl(this, '/social-network-account', criteria, sortRequest, options);
+  }
+
   /**
    * 获取指定的`SocialNetworkAccount`对象。
    *
    * @param {string|number|bigint} id
    *     `SocialNetworkAccount`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<SocialNetworkAccount|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`SocialNetworkAccount`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -107,8 +208,8 @@ class SocialNetworkAccountApi {
    *     指定的账号所属的社交网络内部的App ID。
    * @param {string} openId
    *     指定的账号在所属社交网络及其内部App ID下的Open ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<SocialNetworkAccount|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的
    *     `SocialNetworkAccount`对象；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -124,8 +225,8 @@ class SocialNetworkAccountApi {
    *
    * @param {SocialNetworkAccount|object} account
    *     要添加的`SocialNetworkAccount`对象。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<SocialNetworkAccount|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回新增的`SocialNetworkAccount`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -140,8 +241,8 @@ class SocialNetworkAccountApi {
    *
    * @param {SocialNetworkAccount|object} entity
    *     要更新的`SocialNetworkAccount`对象的数据，根据其ID确定要更新的对象。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<SocialNetworkAccount|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新后的`SocialNetworkAccount`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -156,8 +257,8 @@ class SocialNetworkAccountApi {
    *
    * @param {SocialNetworkAccount|object} entity
    *     要更新的`SocialNetworkAccount`对象的数据，根据其编码确定要更新的对象。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<SocialNetworkAccount|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新后的`SocialNetworkAccount`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -173,8 +274,8 @@ class SocialNetworkAccountApi {
    *
    * @param {string} id
    *     要标记删除的`SocialNetworkAccount`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据被标记删除的UTC时间戳，
    *     以ISO-8601格式表示为字符串；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -189,8 +290,8 @@ class SocialNetworkAccountApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量标记删除的`SocialNetworkAccount`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回被标记删除的记录数；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -205,8 +306,8 @@ class SocialNetworkAccountApi {
    *
    * @param {string} id
    *     要恢复的`SocialNetworkAccount`对象的ID，该对象必须已经被标记删除。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -221,8 +322,8 @@ class SocialNetworkAccountApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量恢复的已被标记删除的`SocialNetworkAccount`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回实际恢复的实体的数目；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -237,8 +338,8 @@ class SocialNetworkAccountApi {
    *
    * @param {string} id
    *     要清除的`SocialNetworkAccount`对象的ID，该对象必须已经被标记删除。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -251,8 +352,8 @@ class SocialNetworkAccountApi {
   /**
    * 彻底清除全部已被标记删除的`SocialNetworkAccount`对象。
    *
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -267,8 +368,8 @@ class SocialNetworkAccountApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量彻底清除的已被标记删除的`SocialNetworkAccount`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回实际被彻底清除的实体的数目；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -283,8 +384,8 @@ class SocialNetworkAccountApi {
    *
    * @param {string|number|bigint} id
    *     要彻底清除的`SocialNetworkAccount`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -299,8 +400,8 @@ class SocialNetworkAccountApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量彻底清除的`SocialNetworkAccount`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回实际删除的实体的数目；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -9,9 +9,11 @@
 import { http } from '@qubit-ltd/common-app';
 import { Software } from '@qubit-ltd/common-model';
 import { loading } from '@qubit-ltd/common-ui';
-import { checkArgumentType } from '@qubit-ltd/common-util';
 import { Log, Logger } from '@qubit-ltd/logging';
+import { shareInflightRequest } from './impl/inflight-request';
 import { assignOptions } from './impl/options';
+import { handleCancellation, normalizeRequestOptions, toRequestConfig } from './impl/request-options';
+import { retryRequest } from './impl/retry-policy';
 
 const logger = Logger.getLogger('SystemApi');
 
@@ -21,22 +23,36 @@ const logger = Logger.getLogger('SystemApi');
  * @author 胡海星
  */
 class SystemApi {
+  /**
+   * 路由定义，用于生成OpenAPI文档，详见`generateOpenApiDocument()`的说明。
+   *
+   * @type {Array<Object>}
+   */
+  ROUTE_DEFINITIONS = [
+    { name: 'getInfo', method: 'get', url: '/system/info' },
+    { name: 'getTime', method: 'get', url: '/system/time' },
+  ];
+
   /**
    * 获取系统信息。
    *
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Software|ErrorInfo>}
    *     一个`Promise`对象，若操作成功，解析成功并返回一个`Software`对象；否则，
    *     解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   getInfo(showLoading = true) {
-    checkArgumentType('showLoading', showLoading, Boolean);
-    if (showLoading) {
-      loading.showGetting();
-    }
-    return http.get('/system/info').then((obj) => {
+    const requestOptions = normalizeRequestOptions(showLoading);
+    const config = toRequestConfig(requestOptions);
+    const promise = shareInflightRequest('/system/info', config, () => retryRequest(this, requestOptions, () => {
+      if (requestOptions.showLoading) {
+        loading.showGetting();
+      }
+      return http.get('/system/info', config);
+    }));
+    return handleCancellation(promise, requestOptions).then((obj) => {
       const system = Software.create(obj, assignOptions);
       logger.info('Successfully get the system information.');
       logger.debug('The system information is:', system);
@@ -47,12 +63,22 @@ class SystemApi {
   /**
    * 获取服务器系统时间。
    *
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。默认值为`false`。
    * @return {string}
    *     系统当前的UTC时间戳，以字符串形式表示。
    */
   @Log
-  getTime() {
-    return http.get('/system/time').then((timestamp) => {
+  getTime(showLoading = false) {
+    const requestOptions = normalizeRequestOptions(showLoading);
+    const config = toRequestConfig(requestOptions);
+    const promise = shareInflightRequest('/system/time', config, () => retryRequest(this, requestOptions, () => {
+      if (requestOptions.showLoading) {
+        loading.showGetting();
+      }
+      return http.get('/system/time', config);
+    }));
+    return handleCancellation(promise, requestOptions).then((timestamp) => {
       logger.info('Successfully get the system time:', timestamp);
       return timestamp;
     });
@@ -8,7 +8,9 @@
 ////////////////////////////////////////////////////////////////////////////////
 import { TaskInfo, TaskStatus } from '@qubit-ltd/common-model';
 import { HasLogger, Log } from '@qubit-ltd/logging';
+import { TIMESTAMP_PATTERN } from '../utils/check-criteria-constraints';
 import { getImpl, getPropertyImpl } from './impl/get-impl';
+import { iterateImpl, listAllImpl } from './impl/iterate-impl';
 import { listImpl } from './impl/list-impl';
 
 /**
@@ -48,36 +50,50 @@ class TaskInfoApi {
     // 任务状态
     { name: 'status', type: [TaskStatus, String] },
     // 提交时间范围的（闭区间）起始值
-    { name: 'submitTimeStart', type: String },
+    { name: 'submitTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
     // 提交时间范围的（闭区间）结束值
-    { name: 'submitTimeEnd', type: String },
+    { name: 'submitTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
     // 开始时间范围的（闭区间）起始值
-    { name: 'startTimeStart', type: String },
+    { name: 'startTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
     // 开始时间范围的（闭区间）结束值
-    { name: 'startTimeEnd', type: String },
+    { name: 'startTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
     // 取消时间范围的（闭区间）起始值
-    { name: 'cancelTimeStart', type: String },
+    { name: 'cancelTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
     // 取消时间范围的（闭区间）结束值
-    { name: 'cancelTimeEnd', type: String },
+    { name: 'cancelTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
     // 完成时间范围的（闭区间）起始值
-    { name: 'finishTimeStart', type: String },
+    { name: 'finishTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
     // 完成时间范围的（闭区间）结束值
-    { name: 'finishTimeEnd', type: String },
+    { name: 'finishTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
     // 创建时间范围的（闭区间）起始值
-    { name: 'createTimeStart', type: String },
+    { name: 'createTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
     // 创建时间范围的（闭区间）结束值
-    { name: 'createTimeEnd', type: String },
+    { name: 'createTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
     // 修改时间范围的（闭区间）起始值
-    { name: 'modifyTimeStart', type: String },
+    { name: 'modifyTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
     // 修改时间范围的（闭区间）结束值
-    { name: 'modifyTimeEnd', type: String },
+    { name: 'modifyTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
+  ];
+
+  /**
+   * 路由定义，用于生成OpenAPI文档，详见`generateOpenApiDocument()`的说明。
+   *
+   * @type {Array<Object>}
+   */
+  ROUTE_DEFINITIONS = [
+    { name: 'list', impl: 'listImpl', url: '/task' },
+    { name: 'iterate', impl: 'iterateImpl', url: '/task' },
+    { name: 'listAll', impl: 'listAllImpl', url: '/task' },
+    { name: 'get', impl: 'getImpl', url: '/task/{id}' },
+    { name: 'getStatus', impl: 'getPropertyImpl', url: '/task/{id}/status' },
   ];
 
   /**
    * 列出符合条件的`TaskInfo`对象。
    *
    * @param {PageRequest|object} pageRequest
-   *     分页请求。
+   *     分页请求。也可以是形如`{ after, limit }`的游标分页请求，此时返回一个`CursorPage`
+   *     对象，其`nextCursor`和`previousCursor`属性可用于请求下一页和上一页。
    * @param {object} criteria
    *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
    *  - `categoryId: string|number|bigint` 所属类别的ID；
@@ -104,24 +120,121 @@ class TaskInfoApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
-   * @return {Promise<Page<TaskInfo>|ErrorInfo>}
-   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`Page`对象，包含符合条
-   *     件的`TaskInfo`对象的分页数据；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<Page<TaskInfo>|CursorPage<TaskInfo>|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`Page`对象（游标分页时为
+   *     `CursorPage`对象），包含符合条件的`TaskInfo`对象的分页数据；若操作失败，
+   *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   list(pageRequest = {}, criteria = {}, sortRequest = {}, showLoading = true) {
     return listImpl(this, '/task', pageRequest, criteria, sortRequest, showLoading);
   }
 
+  /**
+   * 逐页遍历符合条件的`TaskInfo`对象。
+   *
+   * 此函数返回一个异步迭代器，它按需逐页获取数据，依次产生每一个符合条件的对象；调用者可
+   * 以使用`for await`语句遍历，并可随时使用`break`提前结束遍历。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `categoryId: string|number|bigint` 所属类别的ID；
+   *  - `categoryCode: string` 所属类别的编码；
+   *  - `categoryName: string` 所属类别的名称包含的字符串；
+   *  - `targetEntity: string` 任务目标对象实体名称；
+   *  - `targetId: string|number|bigint` 任务目标对象ID；
+   *  - `resultEntity: string` 任务结果对象实体名称；
+   *  - `resultId: string|number|bigint` 任务结果对象ID；
+   *  - `status: TaskStatus|string` 任务状态；
+   *  - `submitTimeStart: string` 提交时间范围的（闭区间）起始值；
+   *  - `submitTimeEnd: string` 提交时间范围的（闭区间）结束值；
+   *  - `startTimeStart: string` 开始时间范围的（闭区间）起始值；
+   *  - `startTimeEnd: string` 开始时间范围的（闭区间）结束值；
+   *  - `cancelTimeStart: string` 取消时间范围的（闭区间）起始值；
+   *  - `cancelTimeEnd: string` 取消时间范围的（闭区间）结束值；
+   *  - `finishTimeStart: string` 完成时间范围的（闭区间）起始值；
+   *  - `finishTimeEnd: string` 完成时间范围的（闭区间）结束值；
+   *  - `createTimeStart: string` 创建时间范围的（闭区间）起始值；
+   *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
+   *  - `modifyTimeStart: string` 修改时间范围的（闭区间）起始值；
+   *  - `modifyTimeEnd: string` 修改时间范围的（闭区间）结束值；
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。允许的条件包括：
+   *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
+   *  - `sortOrder: SortOrder` 指定是正序还是倒序。
+   * @param {object} options
+   *     遍历选项，包含以下属性：
+   *  - `pageSize: number` 每次请求的分页大小，默认值为`100`；
+   *  - `maxItems: number` 最多产生的对象数目，默认不限制；
+   *  - `cursor: boolean` 是否使用游标分页逐页获取数据，默认值为`false`；
+   *  - `showLoading: boolean` 每次请求时是否显示加载提示，默认值为`true`；
+   *  - `signal: AbortSignal` 用于取消遍历的信号，默认值为`undefined`。
+   * @return {AsyncGenerator<TaskInfo>}
+   *     一个异步迭代器，依次产生符合条件的`TaskInfo`对象。若某一页的请求失败，则迭代器抛出
+   *     该请求的`ErrorInfo`对象。
+   */
+  @Log
+  iterate(criteria = {}, sortRequest = {}, options = {}) {
+    return iterateImpl(this, '/task', criteria, sortRequest, options);
+  }
+
+  /**
+   * 获取全部符合条件的`TaskInfo`对象。
+   *
+   * 此函数逐页获取全部符合条件的对象，并将它们收集到一个数组中。若符合条件的对象数目很
+   * 多，应考虑使用`iterate()`函数逐个处理。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `categoryId: string|number|bigint` 所属类别的ID；
+   *  - `categoryCode: string` 所属类别的编码；
+   *  - `categoryName: string` 所属类别的名称包含的字符串；
+   *  - `targetEntity: string` 任务目标对象实体名称；
+   *  - `targetId: string|number|bigint` 任务目标对象ID；
+   *  - `resultEntity: string` 任务结果对象实体名称；
+   *  - `resultId: string|number|bigint` 任务结果对象ID；
+   *  - `status: TaskStatus|string` 任务状态；
+   *  - `submitTimeStart: string` 提交时间范围的（闭区间）起始值；
+   *  - `submitTimeEnd: string` 提交时间范围的（闭区间）结束值；
+   *  - `startTimeStart: string` 开始时间范围的（闭区间）起始值；
+   *  - `startTimeEnd: string` 开始时间范围的（闭区间）结束值；
+   *  - `cancelTimeStart: string` 取消时间范围的（闭区间）起始值；
+   *  - `cancelTimeEnd: string` 取消时间范围的（闭区间）结束值；
+   *  - `finishTimeStart: string` 完成时间范围的（闭区间）起始值；
+   *  - `finishTimeEnd: string` 完成时间范围的（闭区间）结束值；
+   *  - `createTimeStart: string` 创建时间范围的（闭区间）起始值；
+   *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
+   *  - `modifyTimeStart: string` 修改时间范围的（闭区间）起始值；
+   *  - `modifyTimeEnd: string` 修改时间范围的（闭区间）结束值；
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。允许的条件包括：
+   *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
+   *  - `sortOrder: SortOrder` 指定是正序还是倒序。
+   * @param {object} options
+   *     遍历选项，包含以下属性：
+   *  - `pageSize: number` 每次请求的分页大小，默认值为`100`；
+   *  - `maxItems: number` 最多产生的对象数目，默认不限制；
+   *  - `cursor: boolean` 是否使用游标分页逐页获取数据，默认值为`false`；
+   *  - `showLoading: boolean` 每次请求时是否显示加载提示，默认值为`true`；
+   *  - `signal: AbortSignal` 用于取消遍历的信号，默认值为`undefined`。
+   * @return {Promise<Array<TaskInfo>|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回包含全部符合条件的
+   *     `TaskInfo`对象的数组；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  listAll(criteria = {}, sortRequest = {}, options = {}) {
+    return listAllImpl(this, '/task', criteria, sortRequest, options);
+  }
+
   /**
    * 获取指定的`TaskInfo`对象。
    *
    * @param {string|number|bigint} id
    *     `TaskInfo`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<TaskInfo|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`TaskInfo`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -136,8 +249,8 @@ class TaskInfoApi {
    *
    * @param {string|number|bigint} id
    *     `TaskInfo`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<TaskStatus|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`TaskInfo`对象的状态；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -8,11 +8,14 @@
 ////////////////////////////////////////////////////////////////////////////////
 import { AttachmentType, Upload } from '@qubit-ltd/common-model';
 import { HasLogger, Log } from '@qubit-ltd/logging';
+import { TIMESTAMP_PATTERN } from '../utils/check-criteria-constraints';
 import { batchDeleteImpl, deleteImpl } from './impl/delete-impl';
 import { batchEraseImpl, eraseImpl } from './impl/erase-impl';
 import { getImpl } from './impl/get-impl';
+import { iterateImpl, listAllImpl } from './impl/iterate-impl';
 import { listImpl } from './impl/list-impl';
 import { batchPurgeImpl, purgeAllImpl, purgeImpl } from './impl/purge-impl';
+import { resolveOptionalArguments } from './impl/request-options';
 import { batchRestoreImpl, restoreImpl } from './impl/restore-impl';
 
 /**
@@ -38,17 +41,39 @@ class UploadApi {
     { name: 'originalFilename', type: String },
     { name: 'type', type: [AttachmentType, String] },
     { name: 'deleted', type: Boolean },
-    { name: 'createTimeStart', type: String },
-    { name: 'createTimeEnd', type: String },
-    { name: 'deleteTimeStart', type: String },
-    { name: 'deleteTimeEnd', type: String },
+    { name: 'createTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
+    { name: 'createTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
+    { name: 'deleteTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
+    { name: 'deleteTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
+  ];
+
+  /**
+   * 路由定义，用于生成OpenAPI文档，详见`generateOpenApiDocument()`的说明。
+   *
+   * @type {Array<Object>}
+   */
+  ROUTE_DEFINITIONS = [
+    { name: 'list', impl: 'listImpl', url: '/upload' },
+    { name: 'iterate', impl: 'iterateImpl', url: '/upload' },
+    { name: 'listAll', impl: 'listAllImpl', url: '/upload' },
+    { name: 'get', impl: 'getImpl', url: '/upload/{id}' },
+    { name: 'delete', impl: 'deleteImpl', url: '/upload/{id}' },
+    { name: 'batchDelete', impl: 'batchDeleteImpl', url: '/upload/batch' },
+    { name: 'restore', impl: 'restoreImpl', url: '/upload/{id}' },
+    { name: 'batchRestore', impl: 'batchRestoreImpl', url: '/upload/batch' },
+    { name: 'purge', impl: 'purgeImpl', url: '/upload/{id}/purge' },
+    { name: 'purgeAll', impl: 'purgeAllImpl', url: '/upload/purge' },
+    { name: 'batchPurge', impl: 'batchPurgeImpl', url: '/upload/batch/purge' },
+    { name: 'erase', impl: 'eraseImpl', url: '/upload/{id}/erase' },
+    { name: 'batchErase', impl: 'batchEraseImpl', url: '/upload/batch/erase' },
   ];
 
   /**
    * 列出符合条件的`Upload`对象。
    *
    * @param {PageRequest|object} pageRequest
-   *     分页请求。
+   *     分页请求。也可以是形如`{ after, limit }`的游标分页请求，此时返回一个`CursorPage`
+   *     对象，其`nextCursor`和`previousCursor`属性可用于请求下一页和上一页。
    * @param {object} criteria
    *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
    *  - `originalFilename: string` 上传的原始文件的文件名所包含的字符串；
@@ -62,17 +87,95 @@ class UploadApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} transformUrls
+   * @param {boolean|object} transformUrls
    *     是否转换附件中的URL地址。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
-   * @return {Promise<Page<Upload>|ErrorInfo>}
-   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`Page`对象，包含符合条
-   *     件的`Upload`对象的分页数据；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<Page<Upload>|CursorPage<Upload>|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`Page`对象（游标分页时为
+   *     `CursorPage`对象），包含符合条件的`Upload`对象的分页数据；若操作失败，
+   *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   list(pageRequest = {}, criteria = {}, sortRequest = {}, transformUrls = true, showLoading = true) {
-    return listImpl(this, '/upload', pageRequest, criteria, sortRequest, showLoading, { transformUrls });
+    const args = resolveOptionalArguments([transformUrls, showLoading], { transformUrls: true });
+    return listImpl(this, '/upload', pageRequest, criteria, sortRequest, args.showLoading, {
+      transformUrls: args.transformUrls,
+    });
+  }
+
+  /**
+   * 逐页遍历符合条件的`Upload`对象。
+   *
+   * 此函数返回一个异步迭代器，它按需逐页获取数据，依次产生每一个符合条件的对象；调用者可
+   * 以使用`for await`语句遍历，并可随时使用`break`提前结束遍历。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `originalFilename: string` 上传的原始文件的文件名所包含的字符串；
+   *  - `type: AttachmentType|string` 附件类型；
+   *  - `deleted: boolean` 是否已经被标记删除；
+   *  - `createTimeStart: string`创建时间范围的（闭区间）起始值；
+   *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
+   *  - `deleteTimeStart: string` 标记删除时间范围的（闭区间）起始值；
+   *  - `deleteTimeEnd: string` 标记删除时间范围的（闭区间）结束值；
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。允许的条件包括：
+   *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
+   *  - `sortOrder: SortOrder` 指定是正序还是倒序。
+   * @param {object} options
+   *     遍历选项，包含以下属性：
+   *  - `pageSize: number` 每次请求的分页大小，默认值为`100`；
+   *  - `maxItems: number` 最多产生的对象数目，默认不限制；
+   *  - `cursor: boolean` 是否使用游标分页逐页获取数据，默认值为`false`；
+   *  - `showLoading: boolean` 每次请求时是否显示加载提示，默认值为`true`；
+   *  - `signal: AbortSignal` 用于取消遍历的信号，默认值为`undefined`；
+   *  - `transformUrls: boolean` 是否转换附件中的URL地址，默认值为`true`。
+   * @return {AsyncGenerator<Upload>}
+   *     一个异步迭代器，依次产生符合条件的`Upload`对象。若某一页的请求失败，则迭代器抛出
+   *     该请求的`ErrorInfo`对象。
+   */
+  @Log
+  iterate(criteria = {}, sortRequest = {}, options = {}) {
+    const { transformUrls = true, ...iterateOptions } = options;
+    return iterateImpl(this, '/upload', criteria, sortRequest, iterateOptions, { transformUrls });
+  }
+
+  /**
+   * 获取全部符合条件的`Upload`对象。
+   *
+   * 此函数逐页获取全部符合条件的对象，并将它们收集到一个数组中。若符合条件的对象数目很
+   * 多，应考虑使用`iterate()`函数逐个处理。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `originalFilename: string` 上传的原始文件的文件名所包含的字符串；
+   *  - `type: AttachmentType|string` 附件类型；
+   *  - `deleted: boolean` 是否已经被标记删除；
+   *  - `createTimeStart: string`创建时间范围的（闭区间）起始值；
+   *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
+   *  - `deleteTimeStart: string` 标记删除时间范围的（闭区间）起始值；
+   *  - `deleteTimeEnd: string` 标记删除时间范围的（闭区间）结束值；
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。允许的条件包括：
+   *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
+   *  - `sortOrder: SortOrder` 指定是正序还是倒序。
+   * @param {object} options
+   *     遍历选项，包含以下属性：
+   *  - `pageSize: number` 每次请求的分页大小，默认值为`100`；
+   *  - `maxItems: number` 最多产生的对象数目，默认不限制；
+   *  - `cursor: boolean` 是否使用游标分页逐页获取数据，默认值为`false`；
+   *  - `showLoading: boolean` 每次请求时是否显示加载提示，默认值为`true`；
+   *  - `signal: AbortSignal` 用于取消遍历的信号，默认值为`undefined`；
+   *  - `transformUrls: boolean` 是否转换附件中的URL地址，默认值为`true`。
+   * @return {Promise<Array<Upload>|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回包含全部符合条件的
+   *     `Upload`对象的数组；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  listAll(criteria = {}, sortRequest = {}, options = {}) {
+    const { transformUrls = true, ...iterateOptions } = options;
+    return listAllImpl(this, '/upload', criteria, sortRequest, iterateOptions, { transformUrls });
   }
 
   /**
@@ -80,17 +183,18 @@ class UploadApi {
    *
    * @param {string|number|bigint} id
    *     `Upload`对象的ID。
-   * @param {boolean} transformUrls
+   * @param {boolean|object} transformUrls
    *     是否将返回对象中所有文件的存储路径转换为外链URL。若为`null`或`false`则不作转换。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Upload|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`Upload`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   get(id, transformUrls = true, showLoading = true) {
-    return getImpl(this, '/upload/{id}', id, showLoading, { transformUrls });
+    const args = resolveOptionalArguments([transformUrls, showLoading], { transformUrls: true });
+    return getImpl(this, '/upload/{id}', id, args.showLoading, { transformUrls: args.transformUrls });
   }
 
   /**
@@ -98,8 +202,8 @@ class UploadApi {
    *
    * @param {string} id
    *     要标记删除的`Upload`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据被标记删除的UTC时间戳，
    *     以ISO-8601格式表示为字符串；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -114,8 +218,8 @@ class UploadApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     指定的`Upload`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回被标记删除的记录数；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -130,8 +234,8 @@ class UploadApi {
    *
    * @param {string} id
    *     要恢复的`Upload`对象的ID，该对象必须已经被标记删除。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -146,8 +250,8 @@ class UploadApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     指定的已被标记删除的`Upload`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回恢复的上传文件信息对象的数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -162,8 +266,8 @@ class UploadApi {
    *
    * @param {string} id
    *     要清除的`Upload`对象的ID，该对象必须已经被标记删除。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -176,8 +280,8 @@ class UploadApi {
   /**
    * 彻底清除全部已被标记删除的`Upload`对象。
    *
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回被清除的数据数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -192,8 +296,8 @@ class UploadApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     指定的已被标记删除的`Upload`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回被清除的上传文件信息对象的数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -208,8 +312,8 @@ class UploadApi {
    *
    * @param {string} id
    *     指定的`Upload`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -224,8 +328,8 @@ class UploadApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     指定的`Upload`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回被清除的上传文件信息对象的数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
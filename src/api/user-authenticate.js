@@ -19,6 +19,7 @@ import { checkArgumentType } from '@qubit-ltd/common-util';
 import { Log, Logger } from '@qubit-ltd/logging';
 import checkIdArgumentType from '../utils/check-id-argument-type';
 import { assignOptions, toJsonOptions } from './impl/options';
+import { handleCancellation, normalizeRequestOptions, toRequestConfig } from './impl/request-options';
 
 const logger = Logger.getLogger('UserAuthenticateApi');
 
@@ -28,13 +29,30 @@ const logger = Logger.getLogger('UserAuthenticateApi');
  * @author 胡海星
  */
 class UserAuthenticateApi {
+  /**
+   * 路由定义，用于生成OpenAPI文档，详见`generateOpenApiDocument()`的说明。
+   *
+   * @type {Array<Object>}
+   */
+  ROUTE_DEFINITIONS = [
+    { name: 'register', method: 'post', url: '/authenticate/user/register' },
+    { name: 'loginByUsername', method: 'post', url: '/authenticate/user/login' },
+    { name: 'loginByMobile', method: 'post', url: '/authenticate/user/login' },
+    { name: 'loginByOpenId', method: 'post', url: '/authenticate/user/login' },
+    { name: 'logout', method: 'post', url: '/authenticate/user/logout' },
+    { name: 'getLoginInfo', method: 'get', url: '/authenticate/user/info' },
+    { name: 'checkToken', method: 'get', url: '/authenticate/user/token/check' },
+    { name: 'bindOpenId', method: 'post', url: '/authenticate/user/social-network/bind' },
+    { name: 'resetPassword', method: 'post', url: '/authenticate/user/password/reset' },
+  ];
+
   /**
    * 注册新用户。
    *
    * @param {RegisterUserParams|object} params
    *     注册新用户所需的参数，必须符合`RegisterUserParams`的字段定义。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<LoginResponse|ErrorInfo>}
    *     此 HTTP 请求的 Promise。若操作成功，解析成功并返回一个`LoginResponse`对象，包含
    *     了新注册用户的登录信息；若操作失败，解析失败并返回一个`ErrorInfo`对象。
@@ -42,12 +60,14 @@ class UserAuthenticateApi {
   @Log
   register(params, showLoading = true) {
     checkArgumentType('params', params, [RegisterUserParams, Object]);
-    checkArgumentType('showLoading', showLoading, Boolean);
+    const requestOptions = normalizeRequestOptions(showLoading);
     const data = toJSON(params, toJsonOptions);
-    if (showLoading) {
+    if (requestOptions.showLoading) {
       loading.show('正在注册新用户...');
     }
-    return http.post('/authenticate/user/register', data).then((obj) => {
+    const config = toRequestConfig(requestOptions);
+    const promise = http.post('/authenticate/user/register', data, config);
+    return handleCancellation(promise, requestOptions).then((obj) => {
       const response = LoginResponse.create(obj, assignOptions);
       logger.info('Successfully register a new user.');
       return response;
@@ -61,8 +81,8 @@ class UserAuthenticateApi {
    *     用户名。
    * @param {string} password
    *     密码
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<LoginResponse|ErrorInfo>}
    *     此 HTTP 请求的 Promise，若操作成功，解析成功并返回一个`LoginResponse`对象，包含
    *     了指定用户的登录信息；若操作失败，解析失败并返回一个`ErrorInfo`对象。
@@ -71,15 +91,17 @@ class UserAuthenticateApi {
   loginByUsername(username, password, showLoading = true) {
     checkArgumentType('username', username, String);
     checkArgumentType('password', password, String);
-    checkArgumentType('showLoading', showLoading, Boolean);
+    const requestOptions = normalizeRequestOptions(showLoading);
     const data = toJSON({
       username,
       password,
     }, toJsonOptions);
-    if (showLoading) {
+    if (requestOptions.showLoading) {
       loading.show('正在登录...');
     }
-    return http.post('/authenticate/user/login', data).then((obj) => {
+    const config = toRequestConfig(requestOptions);
+    const promise = http.post('/authenticate/user/login', data, config);
+    return handleCancellation(promise, requestOptions).then((obj) => {
       const response = LoginResponse.create(obj, assignOptions);
       logger.info('Successfully login as:', response?.user?.username);
       return response;
@@ -95,8 +117,8 @@ class UserAuthenticateApi {
    *     手机号码。
    * @param {string} verifyCode
    *     验证码。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<LoginResponse|ErrorInfo>}
    *     此 HTTP 请求的 Promise，若操作成功，解析成功并返回一个`LoginResponse`对象，包含
    *     了指定用户的登录信息；若操作失败，解析失败并返回一个`ErrorInfo`对象。
@@ -105,15 +127,17 @@ class UserAuthenticateApi {
   loginByMobile(mobile, verifyCode, showLoading = true) {
     checkArgumentType('mobile', mobile, String);
     checkArgumentType('verifyCode', verifyCode, String);
-    checkArgumentType('showLoading', showLoading, Boolean);
+    const requestOptions = normalizeRequestOptions(showLoading);
     const data = toJSON({
       mobile,
       verifyCode,
     }, toJsonOptions);
-    if (showLoading) {
+    if (requestOptions.showLoading) {
       loading.show('正在登录...');
     }
-    return http.post('/authenticate/user/login', data).then((obj) => {
+    const config = toRequestConfig(requestOptions);
+    const promise = http.post('/authenticate/user/login', data, config);
+    return handleCancellation(promise, requestOptions).then((obj) => {
       const response = LoginResponse.create(obj, assignOptions);
       logger.info('Successfully login as:', response?.user?.username);
       return response;
@@ -129,8 +153,8 @@ class UserAuthenticateApi {
    *     该社交网络下的APP（公众号）的ID。
    * @param {string} openId
    *     用户在该社交网络指定的APP（公众号）下的Open ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<LoginResponse|ErrorInfo>}
    *     此 HTTP 请求的 Promise，若操作成功，解析成功并返回一个`LoginResponse`对象，包含
    *     了指定用户的登录信息；若操作失败，解析失败并返回一个`ErrorInfo`对象。
@@ -140,16 +164,18 @@ class UserAuthenticateApi {
     checkArgumentType('socialNetwork', socialNetwork, [SocialNetwork, String]);
     checkArgumentType('appId', appId, String);
     checkArgumentType('openId', openId, String);
-    checkArgumentType('showLoading', showLoading, Boolean);
+    const requestOptions = normalizeRequestOptions(showLoading);
     const data = toJSON({
       socialNetwork,
       appId,
       openId,
     }, toJsonOptions);
-    if (showLoading) {
+    if (requestOptions.showLoading) {
       loading.show('正在登录...');
     }
-    return http.post('/authenticate/user/login', data).then((obj) => {
+    const config = toRequestConfig(requestOptions);
+    const promise = http.post('/authenticate/user/login', data, config);
+    return handleCancellation(promise, requestOptions).then((obj) => {
       const response = LoginResponse.create(obj);
       logger.info('Successfully login as:', response?.user?.username);
       return response;
@@ -159,19 +185,21 @@ class UserAuthenticateApi {
   /**
    * 用户注销登录。
    *
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此 HTTP 请求的 Promise；若操作成功，解析成功且没有返回值；若操作失败，解析失败并返
    *     回一个`ErrorInfo`对象。
    */
   @Log
   logout(showLoading = true) {
-    checkArgumentType('showLoading', showLoading, Boolean);
-    if (showLoading) {
+    const requestOptions = normalizeRequestOptions(showLoading);
+    if (requestOptions.showLoading) {
       loading.show('正在注销...');
     }
-    return http.post('/authenticate/user/logout')
+    const config = toRequestConfig(requestOptions);
+    const promise = http.post('/authenticate/user/logout', config);
+    return handleCancellation(promise, requestOptions)
       .then(() => logger.info('Successfully logout.'));
   }
 
@@ -180,19 +208,21 @@ class UserAuthenticateApi {
    *
    * 当前已登录用户的Access Token必须包含在HTTP请求头中。
    *
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<LoginResponse|ErrorInfo>}
    *     此 HTTP 请求的 Promise，若操作成功，解析成功并返回一个`LoginResponse`对象，包含
    *     了指定用户的登录信息；若操作失败，解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   getLoginInfo(showLoading = true) {
-    checkArgumentType('showLoading', showLoading, Boolean);
-    if (showLoading) {
+    const requestOptions = normalizeRequestOptions(showLoading);
+    if (requestOptions.showLoading) {
       loading.showGetting();
     }
-    return http.get('/authenticate/user/info').then((data) => {
+    const config = toRequestConfig(requestOptions);
+    const promise = http.get('/authenticate/user/info', config);
+    return handleCancellation(promise, requestOptions).then((data) => {
       const response = LoginResponse.create(data, assignOptions);
       logger.info('Successfully get the login info of:', response?.user?.username);
       return response;
@@ -206,8 +236,8 @@ class UserAuthenticateApi {
    *     用户ID。
    * @param {Token|object} token
    *     当前的存取令牌。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Token|ErrorInfo>}
    *     此 HTTP 请求的 Promise；若指定的用户ID和存取令牌依旧有效，则解析成功并返回
    *     一个`Token`对象，包含该存取令牌的详细信息；否则，解析失败并返回一个`ErrorInfo`对象。
@@ -216,18 +246,20 @@ class UserAuthenticateApi {
   checkToken(userId, token, showLoading = true) {
     checkIdArgumentType(userId, 'userId');
     checkArgumentType('token', token, [Token, Object]);
-    checkArgumentType('showLoading', showLoading, Boolean);
+    const requestOptions = normalizeRequestOptions(showLoading);
     const params = toJSON({
       id: userId,
       token: token.value,
     }, toJsonOptions);
-    if (showLoading) {
+    if (requestOptions.showLoading) {
       loading.show('正在检查存取令牌...');
     }
-    return http.get('/authenticate/user/token/check', {
+    const config = toRequestConfig(requestOptions, {
       params,
       skipAutoErrorHandling: true, // 跳过自动异常处理，即不自动显示弹框展现错误信息
-    }).then((data) => {
+    });
+    const promise = http.get('/authenticate/user/token/check', config);
+    return handleCancellation(promise, requestOptions).then((data) => {
       const token = Token.create(data, assignOptions);
       logger.info('The token of the user is valid:', token);
       return token;
@@ -243,8 +275,8 @@ class UserAuthenticateApi {
    *     该社交网络下的APP（公众号）的ID。
    * @param {string} openId
    *     用户在该社交网络指定的APP（公众号）下的Open ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return
    *     此 HTTP 请求的 Promise。若操作成功，解析成功且没有返回值；若操作失败，解析失败并
    *     返回一个`ErrorInfo`对象。
@@ -254,16 +286,18 @@ class UserAuthenticateApi {
     checkArgumentType('socialNetwork', socialNetwork, [SocialNetwork, String]);
     checkArgumentType('appId', appId, String);
     checkArgumentType('openId', openId, String);
-    checkArgumentType('showLoading', showLoading, Boolean);
+    const requestOptions = normalizeRequestOptions(showLoading);
     const params = toJSON({
       socialNetwork,
       appId,
       openId,
     }, toJsonOptions);
-    if (showLoading) {
+    if (requestOptions.showLoading) {
       loading.show('正在绑定账号...');
     }
-    return http.post('/authenticate/user/social-network/bind', params).then(() => {
+    const config = toRequestConfig(requestOptions);
+    const promise = http.post('/authenticate/user/social-network/bind', params, config);
+    return handleCancellation(promise, requestOptions).then(() => {
       logger.info('Successfully bind the open ID to the current user:', socialNetwork, appId, openId);
     });
   }
@@ -279,8 +313,8 @@ class UserAuthenticateApi {
    *     用户的新密码。
    * @param {string} verifyCode
    *     用户通过手机号码或电子邮件收到的验证码。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此 HTTP 请求的 Promise；若操作成功，解析成功且没有返回值；若操作失败，解析失败并返
    *     回一个`ErrorInfo`对象。
@@ -291,7 +325,7 @@ class UserAuthenticateApi {
     checkArgumentType('email', email, String, true);
     checkArgumentType('password', password, String);
     checkArgumentType('verifyCode', verifyCode, String);
-    checkArgumentType('showLoading', showLoading, Boolean);
+    const requestOptions = normalizeRequestOptions(showLoading);
     if (mobile === null && email === null) {
       throw new Error('mobile 和 email 参数不能同时为 null');
     }
@@ -304,14 +338,16 @@ class UserAuthenticateApi {
     }
     params.append('password', password);
     params.append('verifyCode', verifyCode);
-    if (showLoading) {
+    if (requestOptions.showLoading) {
       loading.show('正在重置密码...');
     }
-    return http.post('/authenticate/user/password/reset', params, {
+    const config = toRequestConfig(requestOptions, {
       headers: {
         'Content-Type': 'application/x-www-form-urlencoded',
       },
-    }).then(() => {
+    });
+    const promise = http.post('/authenticate/user/password/reset', params, config);
+    return handleCancellation(promise, requestOptions).then(() => {
       logger.info('Successfully reset the password.');
     });
   }
@@ -8,11 +8,14 @@
 ////////////////////////////////////////////////////////////////////////////////
 import { UserRole } from '@qubit-ltd/common-model';
 import { HasLogger, Log } from '@qubit-ltd/logging';
+import { TIMESTAMP_PATTERN } from '../utils/check-criteria-constraints';
 import addImpl from './impl/add-impl';
 import { eraseImpl } from './impl/erase-impl';
+import exportAsyncImpl from './impl/export-async-impl';
 import exportImpl from './impl/export-impl';
 import { getImpl } from './impl/get-impl';
 import importImpl from './impl/import-impl';
+import { iterateImpl, listAllImpl } from './impl/iterate-impl';
 import { listImpl } from './impl/list-impl';
 
 /**
@@ -52,9 +55,32 @@ class UserRoleApi {
     // 角色名称包含的字符串
     { name: 'roleName', type: String },
     // 创建时间范围的（闭区间）起始值
-    { name: 'createTimeStart', type: String },
+    { name: 'createTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
     // 创建时间范围的（闭区间）结束值
-    { name: 'createTimeEnd', type: String },
+    { name: 'createTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
+  ];
+
+  /**
+   * 路由定义，用于生成OpenAPI文档，详见`generateOpenApiDocument()`的说明。
+   *
+   * @type {Array<Object>}
+   */
+  ROUTE_DEFINITIONS = [
+    { name: 'list', impl: 'listImpl', url: '/user-role' },
+    { name: 'iterate', impl: 'iterateImpl', url: '/user-role' },
+    { name: 'listAll', impl: 'listAllImpl', url: '/user-role' },
+    { name: 'get', impl: 'getImpl', url: '/user-role/{id}' },
+    { name: 'add', impl: 'addImpl', url: '/user-role' },
+    { name: 'erase', impl: 'eraseImpl', url: '/user-role/{id}/erase' },
+    { name: 'exportXml', impl: 'exportImpl', url: '/user-role/export/xml' },
+    { name: 'exportJson', impl: 'exportImpl', url: '/user-role/export/json' },
+    { name: 'exportExcel', impl: 'exportImpl', url: '/user-role/export/excel' },
+    { name: 'exportCsv', impl: 'exportImpl', url: '/user-role/export/csv' },
+    { name: 'exportAsync', impl: 'exportAsyncImpl', url: '/user-role/export/{format}/async' },
+    { name: 'importXml', impl: 'importImpl', url: '/user-role/import/xml' },
+    { name: 'importJson', impl: 'importImpl', url: '/user-role/import/json' },
+    { name: 'importExcel', impl: 'importImpl', url: '/user-role/import/excel' },
+    { name: 'importCsv', impl: 'importImpl', url: '/user-role/import/csv' },
   ];
 
   /**
@@ -78,8 +104,8 @@ class UserRoleApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Page<UserRole>|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`Page`对象，包含符合条
    *     件的`UserRole`对象的分页数据；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -89,13 +115,87 @@ class UserRoleApi {
     return listImpl(this, '/user-role', pageRequest, criteria, sortRequest, showLoading);
   }
 
+  /**
+   * 逐页遍历符合条件的`UserRole`对象。
+   *
+   * 此函数返回一个异步迭代器，它按需逐页获取数据，依次产生每一个符合条件的对象；调用者可
+   * 以使用`for await`语句遍历，并可随时使用`break`提前结束遍历。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `userId: string|number|bigint` 用户ID；
+   *  - `username: string` 用户名包含的字符串；
+   *  - `appId: string|number|bigint` 应用ID；
+   *  - `appCode: string` 应用代码；
+   *  - `appName: string` 应用名称包含的字符串；
+   *  - `roleId: string|number|bigint` 角色ID；
+   *  - `roleCode: string` 角色代码；
+   *  - `roleName: string` 角色名称包含的字符串；
+   *  - `createTimeStart: string` 创建时间范围的（闭区间）起始值；
+   *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。允许的条件包括：
+   *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
+   *  - `sortOrder: SortOrder` 指定是正序还是倒序。
+   * @param {object} options
+   *     遍历选项，包含以下属性：
+   *  - `pageSize: number` 每次请求的分页大小，默认值为`100`；
+   *  - `maxItems: number` 最多产生的对象数目，默认不限制；
+   *  - `showLoading: boolean` 每次请求时是否显示加载提示，默认值为`true`；
+   *  - `signal: AbortSignal` 用于取消遍历的信号，默认值为`undefined`。
+   * @return {AsyncGenerator<UserRole>}
+   *     一个异步迭代器，依次产生符合条件的`UserRole`对象。若某一页的请求失败，则迭代器抛出
+   *     该请求的`ErrorInfo`对象。
+   */
+  @Log
+  iterate(criteria = {}, sortRequest = {}, options = {}) {
+    return iterateImpl(this, '/user-role', criteria, sortRequest, options);
+  }
+
+  /**
+   * 获取全部符合条件的`UserRole`对象。
+   *
+   * 此函数逐页获取全部符合条件的对象，并将它们收集到一个数组中。若符合条件的对象数目很
+   * 多，应考虑使用`iterate()`函数逐个处理。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `userId: string|number|bigint` 用户ID；
+   *  - `username: string` 用户名包含的字符串；
+   *  - `appId: string|number|bigint` 应用ID；
+   *  - `appCode: string` 应用代码；
+   *  - `appName: string` 应用名称包含的字符串；
+   *  - `roleId: string|number|bigint` 角色ID；
+   *  - `roleCode: string` 角色代码；
+   *  - `roleName: string` 角色名称包含的字符串；
+   *  - `createTimeStart: string` 创建时间范围的（闭区间）起始值；
+   *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。允许的条件包括：
+   *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
+   *  - `sortOrder: SortOrder` 指定是正序还是倒序。
+   * @param {object} options
+   *     遍历选项，包含以下属性：
+   *  - `pageSize: number` 每次请求的分页大小，默认值为`100`；
+   *  - `maxItems: number` 最多产生的对象数目，默认不限制；
+   *  - `showLoading: boolean` 每次请求时是否显示加载提示，默认值为`true`；
+   *  - `signal: AbortSignal` 用于取消遍历的信号，默认值为`undefined`。
+   * @return {Promise<Array<UserRole>|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回包含全部符合条件的
+   *     `UserRole`对象的数组；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  listAll(criteria = {}, sortRequest = {}, options = {}) {
+    return listAllImpl(this, '/user-role', criteria, sortRequest, options);
+  }
+
   /**
    * 根据ID，获取指定的`UserRole`对象。
    *
    * @param {string|number|bigint} id
    *     `UserRole`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<UserRole|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`UserRole`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -110,8 +210,8 @@ class UserRoleApi {
    *
    * @param {UserRole} entity
    *     待添加的`UserRole`对象。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<UserRole|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回添加成功的`UserRole`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -126,8 +226,8 @@ class UserRoleApi {
    *
    * @param {string|number|bigint} id
    *     待清除的`UserRole`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<null|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回`null`；若操作失败，则解析
    *     失败并返回一个`ErrorInfo`对象。
@@ -154,10 +254,10 @@ class UserRoleApi {
    *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
    * @param {object} sortRequest
    *     排序参数，指定按照哪个属性排序。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载导出的文件。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Blob|null|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`Blob`对象（若
    *     `autoDownload`为`true`则返回`null`）；若操作失败，则解析失败并返回一个
@@ -186,10 +286,10 @@ class UserRoleApi {
    *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
    * @param {object} sortRequest
    *     排序参数，指定按照哪个属性排序。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载导出的文件。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Blob|null|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`Blob`对象（若
    *     `autoDownload`为`true`则返回`null`）；若操作失败，则解析失败并返回一个
@@ -218,10 +318,10 @@ class UserRoleApi {
    *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
    * @param {object} sortRequest
    *     排序参数，指定按照哪个属性排序。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载导出的文件。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Blob|null|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`Blob`对象（若
    *     `autoDownload`为`true`则返回`null`）；若操作失败，则解析失败并返回一个
@@ -250,10 +350,10 @@ class UserRoleApi {
    *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
    * @param {object} sortRequest
    *     排序参数，指定按照哪个属性排序。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载导出的文件。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Blob|null|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`Blob`对象（若
    *     `autoDownload`为`true`则返回`null`）；若操作失败，则解析失败并返回一个
@@ -264,17 +364,58 @@ class UserRoleApi {
     return exportImpl(this, '/user-role/export/csv', 'CSV', criteria, sortRequest, autoDownload, showLoading);
   }
 
+  /**
+   * 以服务器端异步任务的方式导出符合条件的`UserRole`对象为指定格式的文件。
+   *
+   * 此方法适用于导出大量数据的情形：首先提交一个导出任务，然后定时查询该任务的状态，
+   * 任务完成后再下载导出的文件，详见`exportAsyncImpl()`的说明。
+   *
+   * @param {string} format
+   *     导出的文件的格式，可以是`'XML'`、`'JSON'`、`'Excel'`或`'CSV'`，不区分大小写。
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `userId: string|number|bigint` 用户ID；
+   *  - `username: string` 用户名包含的字符串；
+   *  - `userRealname: string` 用户姓名包含的字符串；
+   *  - `appId: string|number|bigint` 应用ID；
+   *  - `appCode: string` 应用代码；
+   *  - `appName: string` 应用名称包含的字符串；
+   *  - `roleId: string|number|bigint` 角色ID；
+   *  - `roleCode: string` 角色代码；
+   *  - `roleName: string` 角色名称包含的字符串；
+   *  - `createTimeStart: string` 创建时间范围的（闭区间）起始值；
+   *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。
+   * @param {object} options
+   *     导出选项，除了`showLoading`、`signal`等请求选项之外，还可以包含以下属性：
+   *  - `autoDownload: boolean` 任务完成后是否自动下载文件，默认值为`true`；
+   *  - `interval: number` 查询任务状态的时间间隔，单位为毫秒，默认值为`1000`；
+   *  - `maxWait: number` 等待任务完成的最长时间，单位为毫秒，默认值为`1800000`，即30分钟；
+   *  - `onProgress: function` 进度回调函数，每次查询到任务的状态后将以
+   *    `{ taskId, status, elapsed }`为参数调用之。
+   * @return {Promise<object|ErrorInfo>}
+   *     此操作的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象；若导出任务失败，则解析失败并返回一个`TaskFailedError`对象；若等待超时，
+   *     则解析失败并返回一个`TaskTimeoutError`对象；若请求失败，则解析失败并返回一个
+   *     `ErrorInfo`对象。
+   */
+  @Log
+  exportAsync(format, criteria = {}, sortRequest = {}, options = {}) {
+    return exportAsyncImpl(this, '/user-role/export/{format}/async', format, criteria, sortRequest, options);
+  }
+
   /**
    * 从XML文件导入`UserRole`对象。
    *
    * @param {File} file
    *     包含要导入数据的XML文件。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否并行导入。
    * @param {number|null} threads
    *     并行导入的线程数，若`parallel`为`false`则此参数无效；若此参数为`null`则使用默认线程数。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回导入的记录数；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -289,12 +430,12 @@ class UserRoleApi {
    *
    * @param {File} file
    *     包含要导入数据的JSON文件。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否并行导入。
    * @param {number|null} threads
    *     并行导入的线程数，若`parallel`为`false`则此参数无效；若此参数为`null`则使用默认线程数。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回导入的记录数；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -309,12 +450,12 @@ class UserRoleApi {
    *
    * @param {File} file
    *     包含要导入数据的Excel文件。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否并行导入。
    * @param {number|null} threads
    *     并行导入的线程数，若`parallel`为`false`则此参数无效；若此参数为`null`则使用默认线程数。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回导入的记录数；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -329,12 +470,12 @@ class UserRoleApi {
    *
    * @param {File} file
    *     包含要导入数据的CSV文件。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否并行导入。
    * @param {number|null} threads
    *     并行导入的线程数，若`parallel`为`false`则此参数无效；若此参数为`null`则使用默认线程数。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回导入的记录数；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -8,10 +8,12 @@
 ////////////////////////////////////////////////////////////////////////////////
 import { State, StatefulInfo, User, UserInfo } from '@qubit-ltd/common-model';
 import { HasLogger, Log } from '@qubit-ltd/logging';
+import { TIMESTAMP_PATTERN } from '../utils/check-criteria-constraints';
 import addImpl from './impl/add-impl';
 import { batchDeleteImpl, deleteImpl } from './impl/delete-impl';
 import { batchEraseImpl, eraseImpl } from './impl/erase-impl';
 import { existsKeyImpl } from './impl/exists-impl';
+import exportAsyncImpl from './impl/export-async-impl';
 import exportImpl from './impl/export-impl';
 import {
   getByKeyImpl,
@@ -21,8 +23,11 @@ import {
   getPropertyImpl,
 } from './impl/get-impl';
 import importImpl from './impl/import-impl';
+import { iterateImpl, listAllImpl } from './impl/iterate-impl';
 import { listImpl, listInfoImpl } from './impl/list-impl';
+import { patchImpl } from './impl/patch-impl';
 import { batchPurgeImpl, purgeAllImpl, purgeImpl } from './impl/purge-impl';
+import { resolveOptionalArguments } from './impl/request-options';
 import { batchRestoreImpl, restoreImpl } from './impl/restore-impl';
 import {
   updateByKeyImpl,
@@ -63,21 +68,75 @@ class UserApi {
     { name: 'organizationCode', type: String },
     { name: 'organizationName', type: String },
     { name: 'state', type: [State, String] },
-    { name: 'lastLoginTimeStart', type: String },
-    { name: 'lastLoginTimeEnd', type: String },
-    { name: 'validTimeStart', type: String },
-    { name: 'validTimeEnd', type: String },
-    { name: 'expiredTimeStart', type: String },
-    { name: 'expiredTimeEnd', type: String },
+    { name: 'lastLoginTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
+    { name: 'lastLoginTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
+    { name: 'validTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
+    { name: 'validTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
+    { name: 'expiredTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
+    { name: 'expiredTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
     { name: 'predefined', type: Boolean },
     { name: 'test', type: Boolean },
     { name: 'deleted', type: Boolean },
-    { name: 'createTimeStart', type: String },
-    { name: 'createTimeEnd', type: String },
-    { name: 'modifyTimeStart', type: String },
-    { name: 'modifyTimeEnd', type: String },
-    { name: 'deleteTimeStart', type: String },
-    { name: 'deleteTimeEnd', type: String },
+    { name: 'createTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
+    { name: 'createTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
+    { name: 'modifyTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
+    { name: 'modifyTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
+    { name: 'deleteTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
+    { name: 'deleteTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
+  ];
+
+  /**
+   * 路由定义，用于生成OpenAPI文档，详见`generateOpenApiDocument()`的说明。
+   *
+   * @type {Array<Object>}
+   */
+  ROUTE_DEFINITIONS = [
+    { name: 'list', impl: 'listImpl', url: '/user' },
+    { name: 'iterate', impl: 'iterateImpl', url: '/user' },
+    { name: 'listAll', impl: 'listAllImpl', url: '/user' },
+    { name: 'listInfo', impl: 'listInfoImpl', url: '/user/info' },
+    { name: 'existUsername', impl: 'existsKeyImpl', url: '/user/username/{username}' },
+    { name: 'existMobile', impl: 'existsKeyImpl', url: '/user/mobile/{mobile}' },
+    { name: 'existEmail', impl: 'existsKeyImpl', url: '/user/email/{email}' },
+    { name: 'get', impl: 'getImpl', url: '/user/{id}' },
+    { name: 'getByUsername', impl: 'getByKeyImpl', url: '/user/username/{username}' },
+    { name: 'getByMobile', impl: 'getByKeyImpl', url: '/user/mobile/{mobile}' },
+    { name: 'getByEmail', impl: 'getByKeyImpl', url: '/user/email/{email}' },
+    { name: 'getInfo', impl: 'getInfoImpl', url: '/user/{id}/info' },
+    { name: 'getInfoByUsername', impl: 'getInfoByKeyImpl', url: '/user/username/{username}/info' },
+    { name: 'getInfoByMobile', impl: 'getInfoByKeyImpl', url: '/user/mobile/{mobile}/info' },
+    { name: 'getInfoByEmail', impl: 'getInfoByKeyImpl', url: '/user/email/{email}/info' },
+    { name: 'getOrganization', impl: 'getPropertyImpl', url: '/user/{id}/organization' },
+    { name: 'add', impl: 'addImpl', url: '/user' },
+    { name: 'update', impl: 'updateImpl', url: '/user/{id}' },
+    { name: 'patch', impl: 'patchImpl', url: '/user/{id}/patch' },
+    { name: 'updateByUsername', impl: 'updateByKeyImpl', url: '/user/username/{username}' },
+    { name: 'updateByMobile', impl: 'updateByKeyImpl', url: '/user/mobile/{mobile}' },
+    { name: 'updateByEmail', impl: 'updateByKeyImpl', url: '/user/email/{email}' },
+    { name: 'updateUsername', impl: 'updatePropertyImpl', url: '/user/{id}/username' },
+    { name: 'updatePassword', impl: 'updatePropertyImpl', url: '/user/{id}/password' },
+    { name: 'updateEmail', impl: 'updatePropertyImpl', url: '/user/{id}/email' },
+    { name: 'updateMobile', impl: 'updatePropertyImpl', url: '/user/{id}/mobile' },
+    { name: 'updateComment', impl: 'updatePropertyImpl', url: '/user/{id}/comment' },
+    { name: 'updateState', impl: 'updatePropertyImpl', url: '/user/{id}/state' },
+    { name: 'delete', impl: 'deleteImpl', url: '/user/{id}' },
+    { name: 'batchDelete', impl: 'batchDeleteImpl', url: '/user/batch' },
+    { name: 'restore', impl: 'restoreImpl', url: '/user/{id}' },
+    { name: 'batchRestore', impl: 'batchRestoreImpl', url: '/user/batch' },
+    { name: 'purge', impl: 'purgeImpl', url: '/user/{id}/purge' },
+    { name: 'purgeAll', impl: 'purgeAllImpl', url: '/user/purge' },
+    { name: 'batchPurge', impl: 'batchPurgeImpl', url: '/user/batch/purge' },
+    { name: 'erase', impl: 'eraseImpl', url: '/user/{id}/erase' },
+    { name: 'batchErase', impl: 'batchEraseImpl', url: '/user/batch/erase' },
+    { name: 'exportXml', impl: 'exportImpl', url: '/user/export/xml' },
+    { name: 'exportJson', impl: 'exportImpl', url: '/user/export/json' },
+    { name: 'exportExcel', impl: 'exportImpl', url: '/user/export/excel' },
+    { name: 'exportCsv', impl: 'exportImpl', url: '/user/export/csv' },
+    { name: 'exportAsync', impl: 'exportAsyncImpl', url: '/user/export/{format}/async' },
+    { name: 'importXml', impl: 'importImpl', url: '/user/import/xml' },
+    { name: 'importJson', impl: 'importImpl', url: '/user/import/json' },
+    { name: 'importExcel', impl: 'importImpl', url: '/user/import/excel' },
+    { name: 'importCsv', impl: 'importImpl', url: '/user/import/csv' },
   ];
 
   /**
@@ -112,17 +171,120 @@ class UserApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - sortField: string 用于排序的属性名称（CamelCase形式）；
    *  - sortOrder: SortOrder 指定是正序还是倒序。
-   * @param {boolean} transformUrls
+   * @param {boolean|object} transformUrls
    *     是否转换附件中的URL地址。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Page<User>|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`Page`对象，包含符合条
    *     件的`User`对象的分页数据；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   list(pageRequest = {}, criteria = {}, sortRequest = {}, transformUrls = true, showLoading = true) {
-    return listImpl(this, '/user', pageRequest, criteria, sortRequest, showLoading, { transformUrls });
+    const args = resolveOptionalArguments([transformUrls, showLoading], { transformUrls: true });
+    return listImpl(this, '/user', pageRequest, criteria, sortRequest, args.showLoading, {
+      transformUrls: args.transformUrls,
+    });
+  }
+
+  /**
+   * 逐页遍历符合条件的`User`对象。
+   *
+   * 此函数返回一个异步迭代器，它按需逐页获取数据，依次产生每一个符合条件的对象；调用者可
+   * 以使用`for await`语句遍历，并可随时使用`break`提前结束遍历。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `name: string` 姓名中应包含的字符串；
+   *  - `nickname: string` 昵称中应该包含的字符串；
+   *  - `organizationId: string|number|bigint` 所属机构的ID；
+   *  - `organizationCode: string` 所属机构的编码；
+   *  - `organizationName: string` 所属机构名称中应包含的字符串；
+   *  - `state: State|String` 状态；
+   *  - `lastLoginTimeStart: string`最后一次登录时间范围的（闭区间）起始值；
+   *  - `lastLoginTimeEnd: string` 最后一次登录时间范围的（闭区间）结束值；
+   *  - `validTimeStart: string`账户生效时间范围的（闭区间）起始值；
+   *  - `validTimeEnd: string` 账户生效时间范围的（闭区间）结束值；
+   *  - `expiredTimeStart: string`账户过期时间范围的（闭区间）起始值；
+   *  - `expiredTimeEnd: string` 账户过期时间范围的（闭区间）结束值；
+   *  - `predefined: boolean` 是否是预定义数据；
+   *  - `test: boolean` 是否是测试数据；
+   *  - `deleted: boolean` 是否已经被标记删除；
+   *  - `createTimeStart: string`创建时间范围的（闭区间）起始值；
+   *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
+   *  - `modifyTimeStart: string` 修改时间范围的（闭区间）起始值；
+   *  - `modifyTimeEnd: string` 修改时间范围的（闭区间）结束值；
+   *  - `deleteTimeStart: string` 标记删除时间范围的（闭区间）起始值；
+   *  - `deleteTimeEnd: string` 标记删除时间范围的（闭区间）结束值；
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。允许的条件包括：
+   *  - sortField: string 用于排序的属性名称（CamelCase形式）；
+   *  - sortOrder: SortOrder 指定是正序还是倒序。
+   * @param {object} options
+   *     遍历选项，包含以下属性：
+   *  - `pageSize: number` 每次请求的分页大小，默认值为`100`；
+   *  - `maxItems: number` 最多产生的对象数目，默认不限制；
+   *  - `showLoading: boolean` 每次请求时是否显示加载提示，默认值为`true`；
+   *  - `signal: AbortSignal` 用于取消遍历的信号，默认值为`undefined`；
+   *  - `transformUrls: boolean` 是否转换附件中的URL地址，默认值为`true`。
+   * @return {AsyncGenerator<User>}
+   *     一个异步迭代器，依次产生符合条件的`User`对象。若某一页的请求失败，则迭代器抛出
+   *     该请求的`ErrorInfo`对象。
+   */
+  @Log
+  iterate(criteria = {}, sortRequest = {}, options = {}) {
+    const { transformUrls = true, ...iterateOptions } = options;
+    return iterateImpl(this, '/user', criteria, sortRequest, iterateOptions, { transformUrls });
+  }
+
+  /**
+   * 获取全部符合条件的`User`对象。
+   *
+   * 此函数逐页获取全部符合条件的对象，并将它们收集到一个数组中。若符合条件的对象数目很
+   * 多，应考虑使用`iterate()`函数逐个处理。
+   *
+   * @param {object} criteria
+   *     查询条件参数，所有条件之间用`AND`连接。允许的条件包括：
+   *  - `name: string` 姓名中应包含的字符串；
+   *  - `nickname: string` 昵称中应该包含的字符串；
+   *  - `organizationId: string|number|bigint` 所属机构的ID；
+   *  - `organizationCode: string` 所属机构的编码；
+   *  - `organizationName: string` 所属机构名称中应包含的字符串；
+   *  - `state: State|String` 状态；
+   *  - `lastLoginTimeStart: string`最后一次登录时间范围的（闭区间）起始值；
+   *  - `lastLoginTimeEnd: string` 最后一次登录时间范围的（闭区间）结束值；
+   *  - `validTimeStart: string`账户生效时间范围的（闭区间）起始值；
+   *  - `validTimeEnd: string` 账户生效时间范围的（闭区间）结束值；
+   *  - `expiredTimeStart: string`账户过期时间范围的（闭区间）起始值；
+   *  - `expiredTimeEnd: string` 账户过期时间范围的（闭区间）结束值；
+   *  - `predefined: boolean` 是否是预定义数据；
+   *  - `test: boolean` 是否是测试数据；
+   *  - `deleted: boolean` 是否已经被标记删除；
+   *  - `createTimeStart: string`创建时间范围的（闭区间）起始值；
+   *  - `createTimeEnd: string` 创建时间范围的（闭区间）结束值；
+   *  - `modifyTimeStart: string` 修改时间范围的（闭区间）起始值；
+   *  - `modifyTimeEnd: string` 修改时间范围的（闭区间）结束值；
+   *  - `deleteTimeStart: string` 标记删除时间范围的（闭区间）起始值；
+   *  - `deleteTimeEnd: string` 标记删除时间范围的（闭区间）结束值；
+   * @param {object} sortRequest
+   *     排序参数，指定按照哪个属性排序。允许的条件包括：
+   *  - sortField: string 用于排序的属性名称（CamelCase形式）；
+   *  - sortOrder: SortOrder 指定是正序还是倒序。
+   * @param {object} options
+   *     遍历选项，包含以下属性：
+   *  - `pageSize: number` 每次请求的分页大小，默认值为`100`；
+   *  - `maxItems: number` 最多产生的对象数目，默认不限制；
+   *  - `showLoading: boolean` 每次请求时是否显示加载提示，默认值为`true`；
+   *  - `signal: AbortSignal` 用于取消遍历的信号，默认值为`undefined`；
+   *  - `transformUrls: boolean` 是否转换附件中的URL地址，默认值为`true`。
+   * @return {Promise<Array<User>|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回包含全部符合条件的
+   *     `User`对象的数组；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  listAll(criteria = {}, sortRequest = {}, options = {}) {
+    const { transformUrls = true, ...iterateOptions } = options;
+    return listAllImpl(this, '/user', criteria, sortRequest, iterateOptions, { transformUrls });
   }
 
   /**
@@ -157,8 +319,8 @@ class UserApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<Page<UserInfo>|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回一个`Page`对象，包含符合条
    *     件的`User`对象的基本信息的分页数据；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -173,8 +335,8 @@ class UserApi {
    *
    * @param {string} username
    *     指定的用户名。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<boolean|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的用户名是否已被用户注册；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -189,8 +351,8 @@ class UserApi {
    *
    * @param {string} mobile
    *     指定的手机号码。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<boolean|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的手机号码是否已被用户注册；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -205,8 +367,8 @@ class UserApi {
    *
    * @param {string} email
    *     指定的电子邮件地址。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<boolean|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的电子邮件地址是否已被用户注册；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -221,17 +383,18 @@ class UserApi {
    *
    * @param {string|number|bigint} id
    *     `User`对象的ID。
-   * @param {boolean} transformUrls
+   * @param {boolean|object} transformUrls
    *     是否转换附件中的URL地址。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<User|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`User`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   get(id, transformUrls = true, showLoading = true) {
-    return getImpl(this, '/user/{id}', id, showLoading, { transformUrls });
+    const args = resolveOptionalArguments([transformUrls, showLoading], { transformUrls: true });
+    return getImpl(this, '/user/{id}', id, args.showLoading, { transformUrls: args.transformUrls });
   }
 
   /**
@@ -239,17 +402,20 @@ class UserApi {
    *
    * @param {string} username
    *     `User`对象对应的用户的用户名。
-   * @param {boolean} transformUrls
+   * @param {boolean|object} transformUrls
    *     是否转换附件中的URL地址。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<User|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`User`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   getByUsername(username, transformUrls = true, showLoading = true) {
-    return getByKeyImpl(this, '/user/username/{username}', 'username', username, showLoading, { transformUrls });
+    const args = resolveOptionalArguments([transformUrls, showLoading], { transformUrls: true });
+    return getByKeyImpl(this, '/user/username/{username}', 'username', username, args.showLoading, {
+      transformUrls: args.transformUrls,
+    });
   }
 
   /**
@@ -257,17 +423,20 @@ class UserApi {
    *
    * @param {string} mobile
    *     `User`对象对应的用户的手机号码。
-   * @param {boolean} transformUrls
+   * @param {boolean|object} transformUrls
    *     是否转换附件中的URL地址。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<User|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`User`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   getByMobile(mobile, transformUrls = true, showLoading = true) {
-    return getByKeyImpl(this, '/user/mobile/{mobile}', 'mobile', mobile, showLoading, { transformUrls });
+    const args = resolveOptionalArguments([transformUrls, showLoading], { transformUrls: true });
+    return getByKeyImpl(this, '/user/mobile/{mobile}', 'mobile', mobile, args.showLoading, {
+      transformUrls: args.transformUrls,
+    });
   }
 
   /**
@@ -275,17 +444,20 @@ class UserApi {
    *
    * @param {string} email
    *     `User`对象对应的用户的电子邮件地址。
-   * @param {boolean} transformUrls
+   * @param {boolean|object} transformUrls
    *     是否转换附件中的URL地址。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<User|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`User`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
   getByEmail(email, transformUrls = true, showLoading = true) {
-    return getByKeyImpl(this, '/user/email/{email}', 'email', email, showLoading, { transformUrls });
+    const args = resolveOptionalArguments([transformUrls, showLoading], { transformUrls: true });
+    return getByKeyImpl(this, '/user/email/{email}', 'email', email, args.showLoading, {
+      transformUrls: args.transformUrls,
+    });
   }
 
   /**
@@ -293,8 +465,8 @@ class UserApi {
    *
    * @param {string|number|bigint} id
    *     `User`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<UserInfo|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`UserInfo`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -309,8 +481,8 @@ class UserApi {
    *
    * @param {string} username
    *     `User`对象对应的用户的用户名。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<UserInfo|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`UserInfo`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -325,8 +497,8 @@ class UserApi {
    *
    * @param {string} mobile
    *     `User`对象对应的用户的手机号码。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<UserInfo|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`UserInfo`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -341,8 +513,8 @@ class UserApi {
    *
    * @param {string} email
    *     `User`对象对应的用户的电子邮件地址。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<UserInfo|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`UserInfo`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -357,8 +529,8 @@ class UserApi {
    *
    * @param {string|number|bigint} id
    *     `User`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<StatefulInfo|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回指定的`User`对象所属机构的
    *     基本信息；注意若当前登录用户没有所属机构，返回值可以是`null`；若操作失败，则解析失败
@@ -374,8 +546,8 @@ class UserApi {
    *
    * @param {User|object} entity
    *     要添加的`User`对象。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<User|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回新增的`User`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -390,8 +562,8 @@ class UserApi {
    *
    * @param {User|object} entity
    *     要更新的`User`对象的数据，根据其ID确定要更新的对象。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<User|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新后的`User`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -401,13 +573,33 @@ class UserApi {
     return updateImpl(this, '/user/{id}', entity, showLoading);
   }
 
+  /**
+   * 根据ID，部分更新一个`User`对象。
+   *
+   * 此函数只将`modified`相对于`original`发生变化的属性发送给服务器。
+   *
+   * @param {User|object} original
+   *     原始的`User`对象，通常是从服务器获取的对象。
+   * @param {User|object} modified
+   *     修改后的`User`对象，根据其ID确定要更新的对象。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<User|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新后的`User`对象；
+   *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   */
+  @Log
+  patch(original, modified, showLoading = true) {
+    return patchImpl(this, '/user/{id}/patch', original, modified, showLoading);
+  }
+
   /**
    * 根据用户名，更新一个`User`对象。
    *
    * @param {User|object} entity
    *     要更新的`User`对象的数据，根据其用户名确定要更新的对象。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<User|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新后的`User`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -422,8 +614,8 @@ class UserApi {
    *
    * @param {User|object} entity
    *     要更新的`User`对象的数据，根据其手机号码确定要更新的对象。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<User|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新后的`User`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -438,8 +630,8 @@ class UserApi {
    *
    * @param {User|object} entity
    *     要更新的`User`对象的数据，根据其电子邮件地址确定要更新的对象。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<User|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回更新后的`User`对象；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -456,8 +648,8 @@ class UserApi {
    *     `User`对象的ID。
    * @param {string} username
    *     要更新的`User`对象的用户名。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<String|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回则数据被更新的UTC时间戳；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -474,8 +666,8 @@ class UserApi {
    *     `User`对象的ID。
    * @param {string} password
    *     要更新的`User`对象的密码的明文。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<String|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回则数据被更新的UTC时间戳；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -492,8 +684,8 @@ class UserApi {
    *     `User`对象的ID。
    * @param {string} email
    *     要更新的`User`对象的电子邮件地址。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<String|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回则数据被更新的UTC时间戳；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -510,8 +702,8 @@ class UserApi {
    *     `User`对象的ID。
    * @param {string} mobile
    *     要更新的`User`对象的手机号码。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<String|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回则数据被更新的UTC时间戳；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -528,8 +720,8 @@ class UserApi {
    *     `User`对象的ID。
    * @param {string} comment
    *     要更新的`User`对象的备注。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<String|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回则数据被更新的UTC时间戳；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -546,8 +738,8 @@ class UserApi {
    *     `User`对象的ID。
    * @param {State|string} state
    *     要更新的`User`对象的状态。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<String|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回则数据被更新的UTC时间戳；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -562,8 +754,8 @@ class UserApi {
    *
    * @param {string} id
    *     要标记删除的`User`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<string|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回数据被标记删除的UTC时间戳，
    *     以ISO-8601格式表示为字符串；若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -578,8 +770,8 @@ class UserApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量删除的`User`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回被标记删除的记录数；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -594,8 +786,8 @@ class UserApi {
    *
    * @param {string} id
    *     要恢复的`User`对象的ID，该对象必须已经被标记删除。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -610,8 +802,8 @@ class UserApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量恢复的已被标记删除的`User`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回实际恢复的实体的数目；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -626,8 +818,8 @@ class UserApi {
    *
    * @param {string} id
    *     要清除的`User`对象的ID，该对象必须已经被标记删除。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -640,8 +832,8 @@ class UserApi {
   /**
    * 彻底清除全部已被标记删除的`User`对象。
    *
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -656,8 +848,8 @@ class UserApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量彻底清除的已被标记删除的`User`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回实际被彻底清除的实体的数目；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -672,8 +864,8 @@ class UserApi {
    *
    * @param {string|number|bigint} id
    *     要彻底清除的`User`对象的ID。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<void|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功且没有返回值；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
@@ -688,8 +880,8 @@ class UserApi {
    *
    * @param {Array<string|number|bigint>} ids
    *     待批量彻底清除的`User`对象的ID列表。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回实际删除的实体的数目；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -729,14 +921,13 @@ class UserApi {
    *     排序参数，指定按照哪个属性排序。允许的条件包括：
    *  - `sortField: string` 用于排序的属性名称（CamelCase形式）；
    *  - `sortOrder: SortOrder` 指定是正序还是倒序。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载文件。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
-   * @return {Promise<string|null|ErrorInfo>}
-   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功，如果`autoDownload`设置为`true`，
-   *     浏览器会自动下载导出的文件，并返回`null`，否则返回导出的文件的 Blob URL（注意：
-   *     这个Blob URL稍后需要通过`window.URL.revokeObjectURL(url)`释放）；若操作失败，
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象，如果`autoDownload`设置为`true`，浏览器还会自动保存导出的文件；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
@@ -751,14 +942,13 @@ class UserApi {
    *    查询条件参数，与exportXml方法相同。
    * @param {object} sortRequest
    *     排序参数，与exportXml方法相同。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载文件。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
-   * @return {Promise<string|null|ErrorInfo>}
-   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功，如果`autoDownload`设置为`true`，
-   *     浏览器会自动下载导出的文件，并返回`null`，否则返回导出的文件的 Blob URL（注意：
-   *     这个Blob URL稍后需要通过`window.URL.revokeObjectURL(url)`释放）；若操作失败，
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象，如果`autoDownload`设置为`true`，浏览器还会自动保存导出的文件；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
@@ -773,14 +963,13 @@ class UserApi {
    *    查询条件参数，与exportXml方法相同。
    * @param {object} sortRequest
    *     排序参数，与exportXml方法相同。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载文件。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
-   * @return {Promise<string|null|ErrorInfo>}
-   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功，如果`autoDownload`设置为`true`，
-   *     浏览器会自动下载导出的文件，并返回`null`，否则返回导出的文件的 Blob URL（注意：
-   *     这个Blob URL稍后需要通过`window.URL.revokeObjectURL(url)`释放）；若操作失败，
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象，如果`autoDownload`设置为`true`，浏览器还会自动保存导出的文件；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
@@ -795,14 +984,13 @@ class UserApi {
    *    查询条件参数，与exportXml方法相同。
    * @param {object} sortRequest
    *     排序参数，与exportXml方法相同。
-   * @param {boolean} autoDownload
+   * @param {boolean|object} autoDownload
    *     是否自动下载文件。默认值为`true`。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
-   * @return {Promise<string|null|ErrorInfo>}
-   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功，如果`autoDownload`设置为`true`，
-   *     浏览器会自动下载导出的文件，并返回`null`，否则返回导出的文件的 Blob URL（注意：
-   *     这个Blob URL稍后需要通过`window.URL.revokeObjectURL(url)`释放）；若操作失败，
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象，如果`autoDownload`设置为`true`，浏览器还会自动保存导出的文件；若操作失败，
    *     则解析失败并返回一个`ErrorInfo`对象。
    */
   @Log
@@ -810,18 +998,48 @@ class UserApi {
     return exportImpl(this, '/user/export/csv', 'CSV', criteria, sortRequest, autoDownload, showLoading);
   }
 
+  /**
+   * 以服务器端异步任务的方式导出符合条件的`User`对象为指定格式的文件。
+   *
+   * 此方法适用于导出大量数据的情形：首先提交一个导出任务，然后定时查询该任务的状态，
+   * 任务完成后再下载导出的文件，详见`exportAsyncImpl()`的说明。
+   *
+   * @param {string} format
+   *     导出的文件的格式，可以是`'XML'`、`'JSON'`、`'Excel'`或`'CSV'`，不区分大小写。
+   * @param {object} criteria
+   *    查询条件参数，与exportXml方法相同。
+   * @param {object} sortRequest
+   *     排序参数，与exportXml方法相同。
+   * @param {object} options
+   *     导出选项，除了`showLoading`、`signal`等请求选项之外，还可以包含以下属性：
+   *  - `autoDownload: boolean` 任务完成后是否自动下载文件，默认值为`true`；
+   *  - `interval: number` 查询任务状态的时间间隔，单位为毫秒，默认值为`1000`；
+   *  - `maxWait: number` 等待任务完成的最长时间，单位为毫秒，默认值为`1800000`，即30分钟；
+   *  - `onProgress: function` 进度回调函数，每次查询到任务的状态后将以
+   *    `{ taskId, status, elapsed }`为参数调用之。
+   * @return {Promise<object|ErrorInfo>}
+   *     此操作的`Promise`对象。若操作成功，则解析成功并返回形如`{ blob, filename, mimeType }`
+   *     的对象；若导出任务失败，则解析失败并返回一个`TaskFailedError`对象；若等待超时，
+   *     则解析失败并返回一个`TaskTimeoutError`对象；若请求失败，则解析失败并返回一个
+   *     `ErrorInfo`对象。
+   */
+  @Log
+  exportAsync(format, criteria = {}, sortRequest = {}, options = {}) {
+    return exportAsyncImpl(this, '/user/export/{format}/async', format, criteria, sortRequest, options);
+  }
+
   /**
    * 从XML文件导入`User`对象。
    *
    * @param {File} file
    *     XML文件对象。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否并行导入。如果为`true`，则并行导入；否则，单线程导入。默认值为`false`。
    * @param {number} threads
    *     并行导入的线程数。若`parallel`为`false`，此参数无效。若此参数为`null`，
    *     则使用默认线程数。默认线程数由当前系统的CPU核心数决定。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的`User`对象的数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -836,13 +1054,13 @@ class UserApi {
    *
    * @param {File} file
    *     JSON文件对象。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否并行导入。如果为`true`，则并行导入；否则，单线程导入。默认值为`false`。
    * @param {number} threads
    *     并行导入的线程数。若`parallel`为`false`，此参数无效。若此参数为`null`，
    *     则使用默认线程数。默认线程数由当前系统的CPU核心数决定。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的`User`对象的数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -857,13 +1075,13 @@ class UserApi {
    *
    * @param {File} file
    *     Excel文件对象。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否并行导入。如果为`true`，则并行导入；否则，单线程导入。默认值为`false`。
    * @param {number} threads
    *     并行导入的线程数。若`parallel`为`false`，此参数无效。若此参数为`null`，
    *     则使用默认线程数。默认线程数由当前系统的CPU核心数决定。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的`User`对象的数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
@@ -878,13 +1096,13 @@ class UserApi {
    *
    * @param {File} file
    *     CSV文件对象。
-   * @param {boolean} parallel
+   * @param {boolean|object} parallel
    *     是否并行导入。如果为`true`，则并行导入；否则，单线程导入。默认值为`false`。
    * @param {number} threads
    *     并行导入的线程数。若`parallel`为`false`，此参数无效。若此参数为`null`，
    *     则使用默认线程数。默认线程数由当前系统的CPU核心数决定。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return {Promise<number|ErrorInfo>}
    *     此HTTP请求的`Promise`对象。若操作成功，则解析成功并返回成功导入的`User`对象的数量；
    *     若操作失败，则解析失败并返回一个`ErrorInfo`对象。
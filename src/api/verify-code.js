@@ -11,6 +11,7 @@ import { VerifyScene } from '@qubit-ltd/common-model';
 import { loading } from '@qubit-ltd/common-ui';
 import { checkArgumentType } from '@qubit-ltd/common-util';
 import { Log, Logger } from '@qubit-ltd/logging';
+import { handleCancellation, normalizeRequestOptions, toRequestConfig } from './impl/request-options';
 
 const logger = Logger.getLogger('VerifyCodeApi');
 
@@ -20,6 +21,16 @@ const logger = Logger.getLogger('VerifyCodeApi');
  * @author 胡海星
  */
 class VerifyCodeApi {
+  /**
+   * 路由定义，用于生成OpenAPI文档，详见`generateOpenApiDocument()`的说明。
+   *
+   * @type {Array<Object>}
+   */
+  ROUTE_DEFINITIONS = [
+    { name: 'sendBySms', method: 'post', url: '/verify-code/sms' },
+    { name: 'sendByEmail', method: 'post', url: '/verify-code/email' },
+  ];
+
   /**
    * 向指定的手机号码发送短信验证码。
    *
@@ -27,8 +38,8 @@ class VerifyCodeApi {
    *     指定的手机号码。
    * @param {VerifyScene|string} scene
    *     验证码使用场景的枚举值，此参数必须是个`VerifyScene`对象或字符串。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return
    *     此 HTTP 请求的 Promise。
    */
@@ -36,19 +47,21 @@ class VerifyCodeApi {
   sendBySms(mobile, scene, showLoading = true) {
     checkArgumentType('mobile', mobile, String);
     checkArgumentType('scene', scene, [VerifyScene, String]);
-    checkArgumentType('showLoading', showLoading, Boolean);
+    const requestOptions = normalizeRequestOptions(showLoading);
     logger.info('Sending verification code to the mobile:', mobile);
     const params = new URLSearchParams();
     params.append('mobile', mobile);
     params.append('scene', String(scene));
-    if (showLoading) {
+    if (requestOptions.showLoading) {
       loading.show('正在发送手机验证码...');
     }
-    return http.post('/verify-code/sms', params, {
+    const config = toRequestConfig(requestOptions, {
       headers: {
         'Content-Type': 'application/x-www-form-urlencoded',
       },
-    }).then(() => logger.info('Successfully send the verification code to the mobile:', mobile));
+    });
+    const promise = http.post('/verify-code/sms', params, config);
+    return handleCancellation(promise, requestOptions).then(() => logger.info('Successfully send the verification code to the mobile:', mobile));
   }
 
   /**
@@ -58,8 +71,8 @@ class VerifyCodeApi {
    *     指定的电子邮箱地址。
    * @param {VerifyScene|string} scene
    *     验证码使用场景的枚举值，此参数必须是个`VerifyScene`对象或字符串。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return
    *     此 HTTP 请求的 Promise。
    */
@@ -67,19 +80,21 @@ class VerifyCodeApi {
   sendByEmail(email, scene, showLoading = true) {
     checkArgumentType('email', email, String);
     checkArgumentType('scene', scene, [VerifyScene, String]);
-    checkArgumentType('showLoading', showLoading, Boolean);
+    const requestOptions = normalizeRequestOptions(showLoading);
     logger.info('Sending verification code to the email:', email);
     const params = new URLSearchParams();
     params.append('email', email);
     params.append('scene', String(scene));
-    if (showLoading) {
+    if (requestOptions.showLoading) {
       loading.show('正在发送邮箱验证码...');
     }
-    return http.post('/verify-code/email', params, {
+    const config = toRequestConfig(requestOptions, {
       headers: {
         'Content-Type': 'application/x-www-form-urlencoded',
       },
-    }).then(() => logger.info('Successfully send the verification code to the email:', email));
+    });
+    const promise = http.post('/verify-code/email', params, config);
+    return handleCancellation(promise, requestOptions).then(() => logger.info('Successfully send the verification code to the email:', email));
   }
 }
 
@@ -10,6 +10,7 @@ import { http } from '@qubit-ltd/common-app';
 import { loading } from '@qubit-ltd/common-ui';
 import { checkArgumentType } from '@qubit-ltd/common-util';
 import { Log, Logger } from '@qubit-ltd/logging';
+import { handleCancellation, normalizeRequestOptions, toRequestConfig } from './impl/request-options';
 
 const logger = Logger.getLogger('WechatApi');
 
@@ -19,32 +20,45 @@ const logger = Logger.getLogger('WechatApi');
  * @author 胡海星
  */
 class WechatApi {
+  /**
+   * 路由定义，用于生成OpenAPI文档，详见`generateOpenApiDocument()`的说明。
+   *
+   * @type {Array<Object>}
+   */
+  ROUTE_DEFINITIONS = [
+    { name: 'getJsConfig', method: 'get', url: '/wechat/js/config' },
+    { name: 'getAuthorizationPageUrl', method: 'get', url: '/wechat/js/authorization' },
+    { name: 'getOpenId', method: 'get', url: '/wechat/js/open-id/{code}' },
+  ];
+
   /**
    * 获取 JS-SDK 用于获取授权的配置信息。
    *
    * @param {string} url
    *     请求网页的URL，注意可能带有查询参数。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @returns
    *     JS-SDK 用于获取授权的配置信息。
    */
   @Log
   getJsConfig(url, showLoading = true) {
     checkArgumentType('url', url, String);
-    checkArgumentType('showLoading', showLoading, Boolean);
+    const requestOptions = normalizeRequestOptions(showLoading);
     logger.info('Getting the WeChat JS-SDK configuration for URL:', url);
-    if (showLoading) {
+    if (requestOptions.showLoading) {
       loading.show('正在获取微信JS-SDK配置信息...');
     }
     // 注意：我们没有采用直接拼接URL的方式带上query string，
     // 因为需要对参数url做 URI encoding，
     // 否则如果参数url中也带有hash或query，就会出错。
-    return http.get('/wechat/js/config', {
+    const config = toRequestConfig(requestOptions, {
       params: {
         url,
       },
-    }).then(() => logger.info('Successfully get the WeChat JS-SDK configuration for URL:', url));
+    });
+    const promise = http.get('/wechat/js/config', config);
+    return handleCancellation(promise, requestOptions).then(() => logger.info('Successfully get the WeChat JS-SDK configuration for URL:', url));
   }
 
   /**
@@ -56,27 +70,29 @@ class WechatApi {
    * @param {string} url
    *     发起授权申请的网页的URL，授权成功此函数返回微信授权页面的URL，用户同意授权后页面会重
    *     新跳转回此URL并带上授权码参数(参数名为"code")。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @returns
    *     微信公众号授权页面URL，其中包含了所需的参数以及授权完毕回跳URL。
    */
   @Log
   getAuthorizationPageUrl(url, showLoading = true) {
     checkArgumentType('url', url, String);
-    checkArgumentType('showLoading', showLoading, Boolean);
+    const requestOptions = normalizeRequestOptions(showLoading);
     logger.info('Getting the WeChat authorization page URL for URL:', url);
-    if (showLoading) {
+    if (requestOptions.showLoading) {
       loading.show('正在获取微信公众号授权页面URL...');
     }
     // 注意：我们没有采用直接拼接URL的方式带上query string，
     // 因为需要对参数url做 URI encoding，
     // 否则如果参数url中也带有hash或query，就会出错。
-    return http.get('/wechat/js/authorization', {
+    const config = toRequestConfig(requestOptions, {
       params: {
         url,
       },
-    }).then(() => logger.info('Successfully get the WeChat authorization page URL for URL:', url));
+    });
+    const promise = http.get('/wechat/js/authorization', config);
+    return handleCancellation(promise, requestOptions).then(() => logger.info('Successfully get the WeChat authorization page URL for URL:', url));
   }
 
   /**
@@ -84,20 +100,22 @@ class WechatApi {
    *
    * @param {string} code
    *     通过微信公众号授权获取的一次性授权码。
-   * @param {boolean} showLoading
-   *     是否显示加载提示。
+   * @param {boolean|object} showLoading
+   *     是否显示加载提示，或者一个请求选项对象。
    * @return
    *     当前用户在指定公众号中的openId。
    */
   @Log
   getOpenId(code, showLoading = true) {
     checkArgumentType('code', code, String);
-    checkArgumentType('showLoading', showLoading, Boolean);
+    const requestOptions = normalizeRequestOptions(showLoading);
     logger.info('Getting the WeChat open ID for code:', code);
-    if (showLoading) {
+    if (requestOptions.showLoading) {
       loading.show('正在获取微信Open ID...');
     }
-    return http.get(`/wechat/js/open-id/${code}`)
+    const config = toRequestConfig(requestOptions);
+    const promise = http.get(`/wechat/js/open-id/${code}`, config);
+    return handleCancellation(promise, requestOptions)
       .then(() => logger.info('Successfully get the WeChat open ID for code:', code));
   }
 
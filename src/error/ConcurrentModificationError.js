@@ -0,0 +1,60 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * 此错误表示以乐观锁模式更新实体对象时，该实体对象已被他人修改。
+ *
+ * 调用者可以通过`error instanceof ConcurrentModificationError`将其与服务器返回的
+ * `ErrorInfo`对象区分开来，并根据`localEntity`和`serverEntity`提示用户合并修改或者
+ * 放弃本地的修改。
+ *
+ * @author 胡海星
+ */
+class ConcurrentModificationError extends Error {
+  /**
+   * 调用者试图提交的本地实体对象。
+   *
+   * @type {object}
+   */
+  localEntity;
+
+  /**
+   * 服务器上当前的实体对象；若无法获取，则为`null`。
+   *
+   * @type {object|null}
+   */
+  serverEntity;
+
+  /**
+   * 服务器返回的冲突错误，通常是一个`ErrorInfo`对象。
+   *
+   * @type {any}
+   */
+  cause;
+
+  /**
+   * 构造一个`ConcurrentModificationError`对象。
+   *
+   * @param {object} localEntity
+   *     调用者试图提交的本地实体对象。
+   * @param {object|null} serverEntity
+   *     服务器上当前的实体对象；若无法获取，则为`null`。
+   * @param {any} cause
+   *     服务器返回的冲突错误。
+   */
+  constructor(localEntity, serverEntity = null, cause = undefined) {
+    super('The entity has been modified by others.');
+    this.name = 'ConcurrentModificationError';
+    this.localEntity = localEntity;
+    this.serverEntity = serverEntity;
+    this.cause = cause;
+  }
+}
+
+export default ConcurrentModificationError;
@@ -0,0 +1,39 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * 此错误表示HTTP请求已被调用者通过`AbortSignal`取消。
+ *
+ * 被取消的请求所返回的`Promise`对象将解析失败并返回此错误对象，调用者可以通过
+ * `error instanceof RequestCancelledError`将其与服务器返回的`ErrorInfo`对象区分开来。
+ *
+ * @author 胡海星
+ */
+class RequestCancelledError extends Error {
+  /**
+   * 取消请求的原因，即`AbortSignal.reason`。
+   *
+   * @type {any}
+   */
+  reason;
+
+  /**
+   * 构造一个`RequestCancelledError`对象。
+   *
+   * @param {any} reason
+   *     取消请求的原因，通常为`AbortSignal.reason`。
+   */
+  constructor(reason = undefined) {
+    super('The request has been cancelled.');
+    this.name = 'RequestCancelledError';
+    this.reason = reason;
+  }
+}
+
+export default RequestCancelledError;
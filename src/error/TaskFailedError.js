@@ -0,0 +1,48 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * 此错误表示服务器端的异步任务未能成功完成。
+ *
+ * 例如异步导出任务执行失败或者在服务器端被取消时，相应的`Promise`对象将解析失败并返回
+ * 此错误对象，调用者可以通过`error instanceof TaskFailedError`将其与服务器返回的
+ * `ErrorInfo`对象区分开来，并通过`task`属性获取该任务的详细信息。
+ *
+ * @author 胡海星
+ */
+class TaskFailedError extends Error {
+  /**
+   * 未能成功完成的任务，通常是一个`TaskInfo`对象。
+   *
+   * @type {object}
+   */
+  task;
+
+  /**
+   * 该任务结束时的状态。
+   *
+   * @type {TaskStatus|string}
+   */
+  status;
+
+  /**
+   * 构造一个`TaskFailedError`对象。
+   *
+   * @param {object} task
+   *     未能成功完成的任务，通常是一个`TaskInfo`对象。
+   */
+  constructor(task) {
+    super(`The task ${task?.id} ended with the status ${task?.status}.`);
+    this.name = 'TaskFailedError';
+    this.task = task;
+    this.status = task?.status;
+  }
+}
+
+export default TaskFailedError;
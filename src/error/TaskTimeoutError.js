@@ -0,0 +1,60 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * 此错误表示等待服务器端的异步任务完成的时间超过了允许的最长时间。
+ *
+ * 例如异步导出任务在`maxWait`毫秒内仍未到达终止状态时，相应的`Promise`对象将解析失败并
+ * 返回此错误对象。注意此时该任务仍会在服务器端继续执行，调用者可以通过`task`属性获取该
+ * 任务的ID，稍后再查询其状态。
+ *
+ * @author 胡海星
+ */
+class TaskTimeoutError extends Error {
+  /**
+   * 未能按时完成的任务，通常是一个`TaskInfo`对象。
+   *
+   * @type {object}
+   */
+  task;
+
+  /**
+   * 最后一次查询到的该任务的状态。
+   *
+   * @type {TaskStatus|string}
+   */
+  status;
+
+  /**
+   * 等待该任务完成的最长时间，单位为毫秒。
+   *
+   * @type {number}
+   */
+  maxWait;
+
+  /**
+   * 构造一个`TaskTimeoutError`对象。
+   *
+   * @param {object} task
+   *     未能按时完成的任务，通常是一个`TaskInfo`对象。
+   * @param {TaskStatus|string} status
+   *     最后一次查询到的该任务的状态。
+   * @param {number} maxWait
+   *     等待该任务完成的最长时间，单位为毫秒。
+   */
+  constructor(task, status, maxWait) {
+    super(`The task ${task?.id} did not finish within ${maxWait} ms, its last status is ${status}.`);
+    this.name = 'TaskTimeoutError';
+    this.task = task;
+    this.status = status;
+    this.maxWait = maxWait;
+  }
+}
+
+export default TaskTimeoutError;
@@ -12,6 +12,7 @@ import attachmentApi from './api/attachment';
 import categoryApi from './api/category';
 import cityApi from './api/city';
 import countryApi from './api/country';
+import createEntityApi from './api/create-entity-api';
 import currentUserApi from './api/current-user';
 import departmentApi from './api/department';
 import deviceApi from './api/device';
@@ -24,7 +25,25 @@ import feedbackApi from './api/feedback';
 import fileApi from './api/file';
 import faqApi from './api/faq';
 import { assignOptions, toJsonOptions } from './api/impl/options';
-import addImpl from './api/impl/add-impl';
+import {
+  handleCancellation,
+  normalizeRequestOptions,
+  resolveOptionalArguments,
+  toRequestConfig,
+} from './api/impl/request-options';
+import {
+  ResponseCache,
+  responseCache,
+  fetchWithCache,
+  invalidateResponseCache,
+} from './api/impl/response-cache';
+import { shareInflightRequest } from './api/impl/inflight-request';
+import { toSortParams } from './api/impl/sort-params';
+import { normalizeFields, checkFieldsArgument, projectFields } from './api/impl/field-projection';
+import { retryPolicy, retryRequest } from './api/impl/retry-policy';
+import { batchPolicy, sendBatchRequest } from './api/impl/batch-request';
+import { OfflineQueue, offlineQueue } from './api/impl/offline-queue';
+import { addImpl, batchAddImpl } from './api/impl/add-impl';
 import {
   deleteImpl,
   deleteByKeyImpl,
@@ -44,6 +63,7 @@ import {
   existsKeyImpl,
   existsParentAndKeyImpl,
 } from './api/impl/exists-impl';
+import exportAsyncImpl from './api/impl/export-async-impl';
 import exportImpl from './api/impl/export-impl';
 import {
   getImpl,
@@ -57,10 +77,15 @@ import {
   getPropertyByParentAndKeyImpl,
 } from './api/impl/get-impl';
 import importImpl from './api/impl/import-impl';
+import {
+  iterateImpl,
+  listAllImpl,
+} from './api/impl/iterate-impl';
 import {
   listImpl,
   listInfoImpl,
 } from './api/impl/list-impl';
+import { diffEntity, patchImpl } from './api/impl/patch-impl';
 import {
   purgeImpl,
   purgeByKeyImpl,
@@ -78,6 +103,7 @@ import {
 import {
   updateImpl,
   updateByKeyImpl,
+  batchUpdateImpl,
   updatePropertyImpl,
   updatePropertyByKeyImpl,
   updateByParentAndKeyImpl,
@@ -98,12 +124,30 @@ import userAuthenticateApi from './api/user-authenticate';
 import userRoleApi from './api/user-role';
 import verifyCodeApi from './api/verify-code';
 import wechatApi from './api/wechat';
+import ConcurrentModificationError from './error/ConcurrentModificationError';
+import RequestCancelledError from './error/RequestCancelledError';
+import TaskFailedError from './error/TaskFailedError';
+import TaskTimeoutError from './error/TaskTimeoutError';
+import MockBackend from './mock/MockBackend';
+import MockCollection from './mock/MockCollection';
+import BatchFailure from './model/BatchFailure';
+import BatchResult from './model/BatchResult';
+import ImportIssue from './model/ImportIssue';
+import ImportReport from './model/ImportReport';
+import CursorPage from './model/CursorPage';
+import Criteria from './params/Criteria';
 import TaskFilter from './params/TaskFilter';
+import IndexedDbOfflineStorage from './storage/IndexedDbOfflineStorage';
+import MemoryOfflineStorage from './storage/MemoryOfflineStorage';
+import checkCriteriaConstraints, { TIMESTAMP_PATTERN } from './utils/check-criteria-constraints';
 import checkIdArgumentType from './utils/check-id-argument-type';
 import checkIdArrayArgumentType from './utils/check-id-array-argument-type';
 import checkObjectArgument from './utils/check-object-argument';
-import checkPageRequestArgument from './utils/check-page-request-argument';
+import checkPageRequestArgument, { isCursorPageRequest } from './utils/check-page-request-argument';
 import checkSortRequestArgument from './utils/check-sort-request-argument';
+import generateOpenApiDocument from './utils/generate-openapi-document';
+import getErrorStatus from './utils/get-error-status';
+import resolvePropertyPath from './utils/resolve-property-path';
 import wechat from './utils/wechat';
 
 export {
@@ -140,9 +184,32 @@ export {
   userRoleApi,
   verifyCodeApi,
   wechatApi,
+  createEntityApi,
   assignOptions,
   toJsonOptions,
+  normalizeRequestOptions,
+  toRequestConfig,
+  handleCancellation,
+  resolveOptionalArguments,
+  ResponseCache,
+  responseCache,
+  fetchWithCache,
+  invalidateResponseCache,
+  shareInflightRequest,
+  toSortParams,
+  normalizeFields,
+  checkFieldsArgument,
+  projectFields,
+  retryPolicy,
+  retryRequest,
+  batchPolicy,
+  sendBatchRequest,
+  OfflineQueue,
+  offlineQueue,
+  MemoryOfflineStorage,
+  IndexedDbOfflineStorage,
   addImpl,
+  batchAddImpl,
   deleteImpl,
   deleteByKeyImpl,
   deleteAllImpl,
@@ -157,6 +224,7 @@ export {
   existsKeyImpl,
   existsParentAndKeyImpl,
   exportImpl,
+  exportAsyncImpl,
   getImpl,
   getByKeyImpl,
   getInfoImpl,
@@ -167,6 +235,8 @@ export {
   getInfoByParentAndKeyImpl,
   getPropertyByParentAndKeyImpl,
   importImpl,
+  iterateImpl,
+  listAllImpl,
   listImpl,
   listInfoImpl,
   purgeImpl,
@@ -181,14 +251,35 @@ export {
   restoreByParentAndKeyImpl,
   updateImpl,
   updateByKeyImpl,
+  batchUpdateImpl,
   updatePropertyImpl,
   updatePropertyByKeyImpl,
   updateByParentAndKeyImpl,
+  patchImpl,
+  diffEntity,
   wechat,
   checkObjectArgument,
+  checkCriteriaConstraints,
+  TIMESTAMP_PATTERN,
   checkIdArgumentType,
   checkIdArrayArgumentType,
   checkPageRequestArgument,
+  isCursorPageRequest,
   checkSortRequestArgument,
+  getErrorStatus,
+  resolvePropertyPath,
+  generateOpenApiDocument,
+  Criteria,
   TaskFilter,
+  RequestCancelledError,
+  ConcurrentModificationError,
+  TaskFailedError,
+  TaskTimeoutError,
+  BatchResult,
+  BatchFailure,
+  ImportReport,
+  ImportIssue,
+  CursorPage,
+  MockBackend,
+  MockCollection,
 };
@@ -0,0 +1,637 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { clone } from '@qubit-ltd/clone';
+import MockCollection, { createMockError, selectFields, toSnakeCase } from './MockCollection';
+
+/**
+ * 模拟后端支持的HTTP方法。
+ *
+ * @type {Array<string>}
+ */
+const METHODS = ['get', 'head', 'post', 'put', 'patch', 'delete'];
+
+/**
+ * 获取请求头的值，请求头的名称不区分大小写。
+ *
+ * @param {object|undefined} headers
+ *     请求头，可以是普通对象，也可以是`AxiosHeaders`对象。
+ * @param {string} name
+ *     请求头的名称。
+ * @return {string|undefined}
+ *     请求头的值；若不存在，则返回`undefined`。
+ * @private
+ */
+function getHeader(headers, name) {
+  if (!headers) {
+    return undefined;
+  }
+  if (typeof headers.get === 'function') {
+    return headers.get(name) ?? undefined;
+  }
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === name.toLowerCase());
+  return (key === undefined ? undefined : headers[key]);
+}
+
+/**
+ * 从请求的URL中解析出路径和查询参数。
+ *
+ * @param {string} url
+ *     请求的URL，可以包含查询字符串。
+ * @param {object|undefined} params
+ *     请求配置中的查询参数。
+ * @return {object}
+ *     形如`{ path, params }`的对象。
+ * @private
+ */
+function parseUrl(url, params) {
+  const [path, search] = url.split('?');
+  const result = { ...params };
+  new URLSearchParams(search ?? '').forEach((value, key) => {
+    result[key] = value;
+  });
+  return { path: (path.replace(/\/+$/, '') || '/'), params: result };
+}
+
+/**
+ * 将 JSON Merge Patch（RFC 7396）应用于一个JSON值。
+ *
+ * @param {any} target
+ *     原始的JSON值，若为对象则将被直接修改。
+ * @param {any} patch
+ *     要应用的补丁。
+ * @return {any}
+ *     应用补丁后的JSON值。
+ * @private
+ */
+function mergePatch(target, patch) {
+  if ((patch === null) || (typeof patch !== 'object') || Array.isArray(patch)) {
+    return patch;
+  }
+  const result = ((target !== null) && (typeof target === 'object') && !Array.isArray(target)) ? target : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = mergePatch(result[key], value);
+    }
+  }
+  return result;
+}
+
+/**
+ * 构造批量操作的返回值。
+ *
+ * @param {Array<any>} succeeded
+ *     处理成功的项的列表。
+ * @param {Array<object>} failed
+ *     处理失败的项的列表。
+ * @param {object} params
+ *     查询参数。
+ * @param {boolean} counting
+ *     若未要求返回逐项的处理结果，是否只返回处理成功的项的数目。
+ * @return {any}
+ *     批量操作的返回值。
+ * @private
+ */
+function toBatchResponse(succeeded, failed, params, counting) {
+  if (String(params.batch_result) === 'true') {
+    return { succeeded, failed };
+  }
+  return (counting ? succeeded.length : succeeded);
+}
+
+/**
+ * 此类实现了一个内存中的模拟后端，它理解各个实体API所使用的URL约定，可以在没有真实后端
+ * 的情况下端到端地运行本库提供的API。
+ *
+ * 对于注册的基础URL`/xxx`，模拟后端支持以下请求：
+ * - `GET /xxx`、`GET /xxx/info`：分页查询，支持分页、排序和过滤条件；
+ * - `GET /xxx/{id}`、`GET /xxx/{id}/info`、`GET /xxx/{key}/{value}`：获取实体对象；
+ * - `GET /xxx/{id}/{property}`：获取实体对象的属性；
+ * - `HEAD /xxx/{id}`、`HEAD /xxx/{key}/{value}`：检测实体对象是否存在，若存在则返回`200`
+ *   响应，否则返回`404`响应；
+ * - `POST /xxx`、`POST /xxx/batch`：添加实体对象；
+ * - `PUT /xxx/{id}`、`PUT /xxx/{key}/{value}`、`PUT /xxx/batch`：更新实体对象；
+ * - `PUT /xxx/{id}/{property}`：更新实体对象的属性；
+ * - `PATCH /xxx/{id}/patch`：按照 JSON Merge Patch 的语义部分更新实体对象；
+ * - `PATCH /xxx`、`PATCH /xxx/{id}`、`PATCH /xxx/batch`、`PATCH /xxx/{key}/{value}`：
+ *   恢复已被标记删除的实体对象；
+ * - `DELETE /xxx/{id}`、`DELETE /xxx/{key}/{value}`、`DELETE /xxx`、
+ *   `DELETE /xxx/batch`：标记删除实体对象；
+ * - `DELETE /xxx/{id}/purge`、`DELETE /xxx/purge`、`DELETE /xxx/batch/purge`：彻底
+ *   清除已被标记删除的实体对象；
+ * - `DELETE /xxx/{id}/erase`、`DELETE /xxx/batch/erase`：彻底清除实体对象。
+ *
+ * 其中`{key}`为集合的唯一键，例如`code`。更新请求若包含`If-Unmodified-Since`请求头，则
+ * 在实体对象已被修改时返回`412`响应。
+ *
+ * 未注册的基础URL在第一次被请求时自动注册，其基础URL为请求路径的第一段。基础URL包含多段
+ * 路径（例如`/dict/entry`）的集合，必须通过`register()`方法显式地注册。
+ *
+ * 模拟后端可以通过`adapter`属性作为 axios 的适配器使用，也可以通过`install()`方法直接
+ * 替换`http`对象的请求方法：
+ *
+ * ```js
+ * import { http } from '@qubit-ltd/common-app';
+ * import { MockBackend, cityApi } from '@qubit-ltd/common-api';
+ *
+ * const backend = new MockBackend();
+ * backend.register('/city', { data: [{ code: 'SH', name: '上海' }] });
+ * const uninstall = backend.install(http);
+ * const page = await cityApi.list({ pageIndex: 0, pageSize: 10 }, { name: '上海' });
+ * uninstall();
+ * ```
+ *
+ * @author 胡海星
+ */
+class MockBackend {
+  /**
+   * 基础URL到实体对象集合的映射表。
+   *
+   * @type {Map<string, MockCollection>}
+   * @private
+   */
+  __collections = new Map();
+
+  /**
+   * 注册一个实体对象的集合。
+   *
+   * @param {string} baseUrl
+   *     集合的基础URL，例如`/city`或`/dict/entry`。
+   * @param {object} options
+   *     集合的选项，详见`MockCollection`的构造函数。
+   * @return {MockCollection}
+   *     注册的集合。
+   */
+  register(baseUrl, options = {}) {
+    const collection = new MockCollection(options);
+    this.__collections.set(baseUrl.replace(/\/+$/, ''), collection);
+    return collection;
+  }
+
+  /**
+   * 获取指定基础URL的集合。
+   *
+   * @param {string} baseUrl
+   *     集合的基础URL。
+   * @return {MockCollection|undefined}
+   *     指定基础URL的集合；若未注册，则返回`undefined`。
+   */
+  collection(baseUrl) {
+    return this.__collections.get(baseUrl.replace(/\/+$/, ''));
+  }
+
+  /**
+   * 清空所有集合中的实体对象。
+   */
+  reset() {
+    this.__collections.forEach((collection) => collection.clear());
+  }
+
+  /**
+   * 查找处理指定路径的集合，若未找到则自动注册之。
+   *
+   * @param {string} path
+   *     请求的路径。
+   * @return {object}
+   *     形如`{ collection, segments }`的对象，其中`segments`为路径中基础URL之后的各段。
+   * @private
+   */
+  __resolve(path) {
+    let baseUrl = null;
+    for (const url of this.__collections.keys()) {
+      if (((path === url) || path.startsWith(`${url}/`)) && (url.length > (baseUrl?.length ?? -1))) {
+        baseUrl = url;
+      }
+    }
+    if (baseUrl === null) {
+      baseUrl = `/${path.split('/')[1]}`;
+      this.register(baseUrl);
+    }
+    const segments = path.slice(baseUrl.length).split('/').filter((s) => s !== '').map(decodeURIComponent);
+    return { collection: this.__collections.get(baseUrl), segments };
+  }
+
+  /**
+   * 处理一个HTTP请求。
+   *
+   * @param {string} method
+   *     HTTP请求的方法，不区分大小写。
+   * @param {string} url
+   *     请求的URL。
+   * @param {any} data
+   *     请求体。
+   * @param {object} config
+   *     请求配置，可以包含`params`和`headers`属性。
+   * @return {Promise<any>}
+   *     响应数据的`Promise`对象。若请求失败，则解析失败并返回一个包含`status`和`data`
+   *     属性的错误响应对象。
+   */
+  handle(method, url, data = undefined, config = {}) {
+    try {
+      const { path, params } = parseUrl(url, config?.params);
+      const { collection, segments } = this.__resolve(path);
+      const request = {
+        method: method.toLowerCase(),
+        segments,
+        params,
+        data,
+        headers: config?.headers,
+      };
+      return Promise.resolve(this.__dispatch(collection, request));
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  /**
+   * 根据请求的方法和路径分派请求。
+   *
+   * @param {MockCollection} collection
+   *     处理请求的集合。
+   * @param {object} request
+   *     请求，包含`method`、`segments`、`params`、`data`和`headers`属性。
+   * @return {any}
+   *     响应数据。
+   * @private
+   */
+  __dispatch(collection, request) {
+    const { method, segments, params, data, headers } = request;
+    const [first, second, third] = segments;
+    switch (method) {
+      case 'get':
+        if ((segments.length === 0) || ((segments.length === 1) && (first === 'info'))) {
+          return collection.query(params);
+        }
+        return this.__get(collection, segments, params);
+      case 'head':
+        if (segments.length > 0) {
+          // 若实体对象不存在，`__get()`将抛出状态码为`404`的错误响应
+          this.__get(collection, segments, params);
+          return null;
+        }
+        break;
+      case 'post':
+        if (segments.length === 0) {
+          return clone(collection.insert(data));
+        }
+        if (first === 'batch') {
+          return this.__batch(data, params, false, (item) => collection.insert(item));
+        }
+        break;
+      case 'put':
+        if (first === 'batch') {
+          return this.__batch(data, params, false, (item) => (
+            this.__update(collection, collection.get(item.id), item, true)
+          ));
+        }
+        return this.__put(collection, segments, data, headers);
+      case 'patch':
+        if (segments.length === 0) {
+          return this.__restoreAll(collection);
+        }
+        if (first === 'batch') {
+          return this.__batch(data, params, true, (id) => this.__restore(collection.get(id)));
+        }
+        if ((segments.length === 2) && (second === 'patch') && !collection.keys.includes(toSnakeCase(first))) {
+          return this.__patch(collection, collection.get(first), data);
+        }
+        return this.__restore(this.__find(collection, segments));
+      case 'delete':
+        if (segments.length === 0) {
+          return this.__deleteAll(collection, params);
+        }
+        if ((segments.length === 1) && (first === 'purge')) {
+          return this.__purgeAll(collection);
+        }
+        if (first === 'batch') {
+          return this.__batchDelete(collection, second, data, params);
+        }
+        if ((segments.length === 2) && ['purge', 'erase'].includes(second)) {
+          return this.__remove(collection, collection.get(first), second);
+        }
+        if ((segments.length === 3) && ['purge', 'erase'].includes(third)) {
+          return this.__remove(collection, this.__find(collection, [first, second]), third);
+        }
+        return this.__delete(this.__find(collection, segments));
+      default:
+        break;
+    }
+    throw createMockError(501, 'NOT_IMPLEMENTED', `The mock backend does not support ${method.toUpperCase()} ${segments.join('/')}.`);
+  }
+
+  /**
+   * 根据ID或唯一键查找实体对象。
+   *
+   * @param {MockCollection} collection
+   *     实体对象所在的集合。
+   * @param {Array<string>} segments
+   *     路径中基础URL之后的各段，形如`[id]`或`[key, value]`。
+   * @return {object}
+   *     找到的实体对象。
+   * @throws {object}
+   *     若实体对象不存在，则抛出一个状态码为`404`的错误响应。
+   * @private
+   */
+  __find(collection, segments) {
+    const [first, second] = segments;
+    const entity = (segments.length === 1 ? collection.find(first) : collection.findByKey(first, second));
+    if (!entity) {
+      throw createMockError(404, 'NOT_FOUND', `The entity "${segments.join('/')}" does not exist.`);
+    }
+    return entity;
+  }
+
+  /**
+   * 处理`GET`请求，获取实体对象或其属性。
+   *
+   * @param {MockCollection} collection
+   *     实体对象所在的集合。
+   * @param {Array<string>} segments
+   *     路径中基础URL之后的各段。
+   * @param {object} params
+   *     查询参数；若获取的是实体对象，则其中的`fields`参数指定需要返回的属性。
+   * @return {any}
+   *     实体对象或其属性的值。
+   * @private
+   */
+  __get(collection, segments, params) {
+    const rest = ((segments[segments.length - 1] === 'info') ? segments.slice(0, -1) : segments);
+    const [first, second] = rest;
+    if ((rest.length === 2) && collection.keys.includes(toSnakeCase(first))) {
+      return selectFields(clone(this.__find(collection, rest)), params?.fields);
+    }
+    const entity = (rest.length === 2 ? collection.get(first) : this.__find(collection, rest));
+    if (rest.length === 2) {
+      return clone(entity[toSnakeCase(second)] ?? null);
+    }
+    return selectFields(clone(entity), params?.fields);
+  }
+
+  /**
+   * 处理`PUT`请求，更新实体对象或其属性。
+   *
+   * @param {MockCollection} collection
+   *     实体对象所在的集合。
+   * @param {Array<string>} segments
+   *     路径中基础URL之后的各段。
+   * @param {any} data
+   *     请求体。
+   * @param {object} headers
+   *     请求头。
+   * @return {any}
+   *     更新后的实体对象，或者更新属性的时间戳。
+   * @private
+   */
+  __put(collection, segments, data, headers) {
+    const [first, second] = segments;
+    if ((segments.length === 2) && !collection.keys.includes(toSnakeCase(first))) {
+      const entity = collection.get(first);
+      collection.modify(entity, { [toSnakeCase(second)]: data });
+      return entity.modify_time;
+    }
+    const entity = this.__find(collection, segments);
+    const since = getHeader(headers, 'If-Unmodified-Since');
+    const time = entity.modify_time ?? entity.create_time;
+    if (since && time && (Date.parse(time) > Date.parse(since) + 999)) {
+      throw createMockError(412, 'CONCURRENT_MODIFICATION', `The entity "${entity.id}" has been modified.`);
+    }
+    return this.__update(collection, entity, data, true);
+  }
+
+  /**
+   * 更新一个实体对象。
+   *
+   * @param {MockCollection} collection
+   *     实体对象所在的集合。
+   * @param {object} entity
+   *     要更新的实体对象。
+   * @param {object} data
+   *     新的属性值。
+   * @param {boolean} replace
+   *     是否以`data`替换实体对象的全部属性。
+   * @return {object}
+   *     更新后的实体对象的副本。
+   * @private
+   */
+  __update(collection, entity, data, replace = false) {
+    return clone(collection.modify(entity, data, replace));
+  }
+
+  /**
+   * 按照 JSON Merge Patch（RFC 7396）的语义部分更新一个实体对象。
+   *
+   * @param {MockCollection} collection
+   *     实体对象所在的集合。
+   * @param {object} entity
+   *     要更新的实体对象。
+   * @param {object} patch
+   *     部分更新的请求体，值为`null`的属性表示清空该属性，嵌套的对象表示只修改其中的部分
+   *     属性。
+   * @return {object}
+   *     更新后的实体对象的副本。
+   * @private
+   */
+  __patch(collection, entity, patch) {
+    return this.__update(collection, entity, mergePatch(clone(entity), patch), true);
+  }
+
+  /**
+   * 标记删除一个实体对象。
+   *
+   * @param {object} entity
+   *     要标记删除的实体对象。
+   * @private
+   */
+  __delete(entity) {
+    if (!entity.delete_time) {
+      entity.delete_time = new Date().toISOString();
+    }
+  }
+
+  /**
+   * 恢复一个已被标记删除的实体对象。
+   *
+   * @param {object} entity
+   *     要恢复的实体对象。
+   * @private
+   */
+  __restore(entity) {
+    delete entity.delete_time;
+  }
+
+  /**
+   * 彻底清除一个实体对象。
+   *
+   * @param {MockCollection} collection
+   *     实体对象所在的集合。
+   * @param {object} entity
+   *     要清除的实体对象。
+   * @param {string} action
+   *     操作的名称，`purge`表示只能清除已被标记删除的实体对象，`erase`表示可以清除任何
+   *     实体对象。
+   * @private
+   */
+  __remove(collection, entity, action) {
+    if ((action === 'purge') && !entity.delete_time) {
+      throw createMockError(400, 'NOT_DELETED', `The entity "${entity.id}" is not marked as deleted.`);
+    }
+    collection.remove(entity);
+  }
+
+  /**
+   * 标记删除集合中满足条件的所有实体对象。
+   *
+   * @param {MockCollection} collection
+   *     实体对象所在的集合。
+   * @param {object} params
+   *     查询参数，详见`MockCollection.filter()`的说明。
+   * @return {number}
+   *     被标记删除的实体对象的数目。
+   * @private
+   */
+  __deleteAll(collection, params) {
+    const entities = collection.filter({ ...params, deleted: false });
+    entities.forEach((entity) => this.__delete(entity));
+    return entities.length;
+  }
+
+  /**
+   * 恢复集合中所有已被标记删除的实体对象。
+   *
+   * @param {MockCollection} collection
+   *     实体对象所在的集合。
+   * @return {number}
+   *     被恢复的实体对象的数目。
+   * @private
+   */
+  __restoreAll(collection) {
+    const entities = collection.filter({ deleted: true });
+    entities.forEach((entity) => this.__restore(entity));
+    return entities.length;
+  }
+
+  /**
+   * 彻底清除集合中所有已被标记删除的实体对象。
+   *
+   * @param {MockCollection} collection
+   *     实体对象所在的集合。
+   * @return {number}
+   *     被清除的实体对象的数目。
+   * @private
+   */
+  __purgeAll(collection) {
+    const entities = collection.filter({ deleted: true });
+    entities.forEach((entity) => collection.remove(entity));
+    return entities.length;
+  }
+
+  /**
+   * 批量标记删除、清除或擦除实体对象。
+   *
+   * @param {MockCollection} collection
+   *     实体对象所在的集合。
+   * @param {string|undefined} action
+   *     操作的名称，`undefined`表示标记删除，`purge`表示清除，`erase`表示擦除。
+   * @param {Array<string>} ids
+   *     实体对象的ID列表。
+   * @param {object} params
+   *     查询参数。
+   * @return {number|object}
+   *     处理成功的实体对象的数目，或者逐项的处理结果。
+   * @private
+   */
+  __batchDelete(collection, action, ids, params) {
+    return this.__batch(ids, params, true, (id) => {
+      const entity = collection.get(id);
+      if (action) {
+        this.__remove(collection, entity, action);
+      } else {
+        this.__delete(entity);
+      }
+      return id;
+    });
+  }
+
+  /**
+   * 逐项处理批量操作。
+   *
+   * @param {Array<any>} items
+   *     批量操作的项的列表。
+   * @param {object} params
+   *     查询参数。
+   * @param {boolean} counting
+   *     若未要求返回逐项的处理结果，是否只返回处理成功的项的数目。
+   * @param {function} action
+   *     处理每一项的函数，返回处理结果。
+   * @return {any}
+   *     批量操作的返回值。
+   * @private
+   */
+  __batch(items, params, counting, action) {
+    const succeeded = [];
+    const failed = [];
+    (items ?? []).forEach((item, index) => {
+      try {
+        const result = action(item);
+        succeeded.push(counting ? item : clone(result));
+      } catch (error) {
+        failed.push({ index, id: (typeof item === 'object' ? (item?.id ?? null) : item), error: error.data });
+      }
+    });
+    return toBatchResponse(succeeded, failed, params, counting);
+  }
+
+  /**
+   * 可以作为 axios 适配器使用的函数。
+   *
+   * 将其设置为 axios 实例的`defaults.adapter`，即可将该实例的所有请求交由此模拟后端处理。
+   *
+   * @type {function}
+   */
+  adapter = (config) => {
+    const data = ((typeof config.data === 'string') ? JSON.parse(config.data) : config.data);
+    return this.handle(config.method ?? 'get', config.url, data, config).then((result) => ({
+      data: result,
+      status: 200,
+      statusText: 'OK',
+      headers: {},
+      config,
+    }), (error) => {
+      const response = { data: error.data, status: error.status, headers: {}, config };
+      return Promise.reject(Object.assign(new Error(error.data?.message), { config, response }));
+    });
+  };
+
+  /**
+   * 将指定的`http`对象的请求方法替换为由此模拟后端处理。
+   *
+   * 替换后的请求方法直接解析成功并返回响应数据，或者解析失败并返回一个包含`status`和
+   * `data`属性的错误响应对象。
+   *
+   * @param {object} http
+   *     要替换其请求方法的`http`对象。
+   * @return {function}
+   *     恢复原有请求方法的函数。
+   */
+  install(http) {
+    const originals = {};
+    for (const method of METHODS) {
+      originals[method] = http[method];
+      http[method] = ['get', 'head', 'delete'].includes(method)
+        ? (url, config) => this.handle(method, url, config?.data, config)
+        : (url, data, config) => this.handle(method, url, data, config);
+    }
+    return () => {
+      Object.assign(http, originals);
+    };
+  }
+}
+
+export default MockBackend;
@@ -0,0 +1,574 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { clone } from '@qubit-ltd/clone';
+import { projectFields } from '../api/impl/field-projection';
+
+/**
+ * 不作为过滤条件的查询参数的名称。
+ *
+ * @type {Array<string>}
+ */
+const NON_CRITERIA_PARAMS = [
+  'page_index',
+  'page_size',
+  'sort_field',
+  'sort_order',
+  'transform_urls',
+  'batch_result',
+  'filter',
+  'fields',
+  'after',
+  'before',
+  'limit',
+];
+
+/**
+ * 将驼峰形式的名称转换为下划线形式。
+ *
+ * @param {string} name
+ *     驼峰形式的名称，例如`createTime`。
+ * @return {string}
+ *     下划线形式的名称，例如`create_time`。
+ * @private
+ */
+function toSnakeCase(name) {
+  return name.replace(/-/g, '_').replace(/[A-Z]/g, (c) => `_${c.toLowerCase()}`);
+}
+
+/**
+ * 判断一个值是否为空。
+ *
+ * @param {any} value
+ *     待判断的值。
+ * @return {boolean}
+ *     若该值为`undefined`、`null`或空字符串，则返回`true`；否则返回`false`。
+ * @private
+ */
+function isEmpty(value) {
+  return (value === undefined) || (value === null) || (value === '');
+}
+
+/**
+ * 获取实体对象中指定属性路径的值。
+ *
+ * @param {object} entity
+ *     实体对象。
+ * @param {string} path
+ *     以`.`分隔的属性路径，例如`category.name`。
+ * @return {any}
+ *     该属性路径的值；若路径中的某个属性不存在，则返回`undefined`。
+ * @private
+ */
+function getProperty(entity, path) {
+  return path.split('.').reduce((obj, key) => obj?.[key], entity);
+}
+
+/**
+ * 只保留实体对象中由查询参数`fields`指定的属性。
+ *
+ * @param {object} entity
+ *     实体对象，将被直接修改。
+ * @param {string|undefined} fields
+ *     以逗号分隔的驼峰形式的属性路径，例如`id,name,contact.mobile`；若为空，则不做
+ *     任何处理。
+ * @return {object}
+ *     处理后的实体对象，即参数`entity`本身。
+ * @private
+ */
+function selectFields(entity, fields) {
+  if (isEmpty(fields)) {
+    return entity;
+  }
+  const paths = String(fields).split(',')
+    .map((path) => path.trim().split('.').map(toSnakeCase).join('.'))
+    .filter((path) => path !== '');
+  return projectFields(entity, paths);
+}
+
+/**
+ * 比较两个值的大小，空值总是排在最后。
+ *
+ * @param {any} x
+ *     第一个值。
+ * @param {any} y
+ *     第二个值。
+ * @return {number}
+ *     若`x < y`则返回负数，若`x > y`则返回正数，否则返回`0`。
+ * @private
+ */
+function compareValues(x, y) {
+  if (isEmpty(x) || isEmpty(y)) {
+    return (isEmpty(x) ? 1 : 0) - (isEmpty(y) ? 1 : 0);
+  }
+  if ((typeof x === 'number') && (typeof y === 'number')) {
+    return x - y;
+  }
+  return String(x).localeCompare(String(y));
+}
+
+/**
+ * 构造一个表示服务器错误响应的对象。
+ *
+ * @param {number} status
+ *     HTTP响应状态码。
+ * @param {string} code
+ *     错误代码。
+ * @param {string} message
+ *     错误信息。
+ * @return {object}
+ *     表示服务器错误响应的对象，其`status`属性为HTTP响应状态码，`data`属性为
+ *     `ErrorInfo`格式的响应体。
+ */
+function createMockError(status, code, message) {
+  return {
+    status,
+    data: {
+      type: (status >= 500 ? 'SERVER_ERROR' : 'CLIENT_ERROR'),
+      code,
+      message,
+    },
+  };
+}
+
+/**
+ * 将 SQL 的`LIKE`模式转换为正则表达式。
+ *
+ * @param {string} pattern
+ *     `LIKE`模式，其中`%`匹配任意多个字符，`_`匹配单个字符。
+ * @return {RegExp}
+ *     对应的正则表达式。
+ * @private
+ */
+function likeToRegExp(pattern) {
+  const source = String(pattern)
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/%/g, '.*')
+    .replace(/_/g, '.');
+  return new RegExp(`^${source}$`, 's');
+}
+
+/**
+ * 判断实体对象是否满足`Criteria`对象序列化后的查询条件。
+ *
+ * @param {object} entity
+ *     待判断的实体对象。
+ * @param {object} node
+ *     查询条件的语法树节点，格式详见`Criteria.prototype.toJSON()`的说明。
+ * @return {boolean}
+ *     若实体对象满足该查询条件，则返回`true`；否则返回`false`。
+ * @throws {object}
+ *     若查询条件的格式不合法，则抛出状态码为`400`的模拟错误响应。
+ * @private
+ */
+function matchCondition(entity, node) {
+  if (node?.logic === 'AND') {
+    return node.conditions.every((child) => matchCondition(entity, child));
+  }
+  if (node?.logic === 'OR') {
+    return node.conditions.some((child) => matchCondition(entity, child));
+  }
+  const field = getProperty(entity, String(node?.field));
+  const value = node?.value;
+  switch (node?.operator) {
+    case 'EQ':
+      return !isEmpty(field) && (String(field) === String(value));
+    case 'NE':
+      return isEmpty(field) || (String(field) !== String(value));
+    case 'GT':
+      return !isEmpty(field) && (compareValues(field, value) > 0);
+    case 'GE':
+      return !isEmpty(field) && (compareValues(field, value) >= 0);
+    case 'LT':
+      return !isEmpty(field) && (compareValues(field, value) < 0);
+    case 'LE':
+      return !isEmpty(field) && (compareValues(field, value) <= 0);
+    case 'IN':
+      return !isEmpty(field) && value.some((v) => String(field) === String(v));
+    case 'LIKE':
+      return !isEmpty(field) && likeToRegExp(value).test(String(field));
+    case 'IS_NULL':
+      return isEmpty(field);
+    case 'IS_NOT_NULL':
+      return !isEmpty(field);
+    case 'BETWEEN':
+      return !isEmpty(field)
+        && (compareValues(field, value[0]) >= 0)
+        && (compareValues(field, value[1]) <= 0);
+    default:
+      throw createMockError(400, 'INVALID_FILTER', `Unsupported filter operator: ${node?.operator}`);
+  }
+}
+
+/**
+ * 根据游标分页参数截取已排序的实体对象列表。
+ *
+ * 模拟后端以实体对象的ID作为游标：`after`表示从该ID的对象之后开始，`before`表示截止到
+ * 该ID的对象之前；返回的`next_cursor`和`previous_cursor`分别为当前页最后一个和第一个
+ * 对象的ID，若不存在下一页或上一页，则为`null`。
+ *
+ * @param {Array<object>} entities
+ *     已过滤和排序的实体对象列表。
+ * @param {object} params
+ *     查询参数，包含`after`、`before`和`limit`。
+ * @return {object}
+ *     服务器端JSON格式的游标分页数据，包含`content`、`next_cursor`、`previous_cursor`
+ *     和`limit`属性。
+ * @throws {object}
+ *     若游标指定的对象不存在，则抛出一个状态码为`400`的错误响应。
+ * @private
+ */
+function sliceByCursor(entities, params) {
+  const indexOf = (cursor) => {
+    const index = entities.findIndex((entity) => String(entity.id) === String(cursor));
+    if (index < 0) {
+      throw createMockError(400, 'INVALID_CURSOR', `The cursor "${cursor}" is invalid.`);
+    }
+    return index;
+  };
+  const limit = Number(params.limit ?? (entities.length || 1));
+  let start = 0;
+  let end = limit;
+  if (!isEmpty(params.after)) {
+    start = indexOf(params.after) + 1;
+    end = start + limit;
+  } else if (!isEmpty(params.before)) {
+    end = indexOf(params.before);
+    start = Math.max(0, end - limit);
+  }
+  const content = entities.slice(start, end);
+  const last = content[content.length - 1];
+  return {
+    content: content.map((entity) => selectFields(clone(entity), params.fields)),
+    next_cursor: ((last && (end < entities.length)) ? String(last.id) : null),
+    previous_cursor: ((content.length > 0) && (start > 0) ? String(content[0].id) : null),
+    limit,
+  };
+}
+
+/**
+ * 此类表示模拟后端中一种实体对象的集合。
+ *
+ * 集合中的实体对象均以服务器端的JSON格式保存，即属性名为下划线形式。实体对象的`id`属性
+ * 由集合自动分配；添加、更新和标记删除实体对象时，集合将自动维护其`create_time`、
+ * `modify_time`和`delete_time`属性。
+ *
+ * @author 胡海星
+ */
+class MockCollection {
+  /**
+   * 可以用作实体对象唯一键的属性名称的列表，例如`code`、`username`等。
+   *
+   * @type {Array<string>}
+   */
+  keys;
+
+  /**
+   * 自定义的过滤条件，键为查询参数的名称，值为过滤函数`(entity, value) => boolean`。
+   *
+   * 未在此处定义的查询参数将按照默认的规则过滤，详见`filter()`的说明。
+   *
+   * @type {object}
+   */
+  filters;
+
+  /**
+   * 集合中的实体对象的列表，按照添加的顺序排列。
+   *
+   * @type {Array<object>}
+   * @private
+   */
+  __entities = [];
+
+  /**
+   * 下一个自动分配的ID。
+   *
+   * @type {number}
+   * @private
+   */
+  __nextId = 1;
+
+  /**
+   * 构造一个`MockCollection`对象。
+   *
+   * @param {object} options
+   *     集合的选项，可以包含以下属性：
+   *     - `keys: Array<string>` 可以用作实体对象唯一键的属性名称的列表，默认值为
+   *       `['code']`；
+   *     - `filters: object` 自定义的过滤条件；
+   *     - `data: Array<object>` 集合的初始数据，其属性名为下划线形式。
+   */
+  constructor(options = {}) {
+    this.keys = options.keys ?? ['code'];
+    this.filters = options.filters ?? {};
+    (options.data ?? []).forEach((entity) => this.insert(entity));
+  }
+
+  /**
+   * 获取集合中实体对象的数目，包括已被标记删除的实体对象。
+   *
+   * @return {number}
+   *     集合中实体对象的数目。
+   */
+  get size() {
+    return this.__entities.length;
+  }
+
+  /**
+   * 获取集合中所有的实体对象，包括已被标记删除的实体对象。
+   *
+   * @return {Array<object>}
+   *     集合中所有实体对象的副本的列表。
+   */
+  all() {
+    return this.__entities.map((entity) => clone(entity));
+  }
+
+  /**
+   * 根据ID查找实体对象。
+   *
+   * @param {string|number} id
+   *     实体对象的ID。
+   * @return {object|undefined}
+   *     找到的实体对象；若不存在，则返回`undefined`。
+   */
+  find(id) {
+    return this.__entities.find((entity) => String(entity.id) === String(id));
+  }
+
+  /**
+   * 根据唯一键查找实体对象。
+   *
+   * @param {string} key
+   *     唯一键的属性名称，可以是驼峰形式或下划线形式。
+   * @param {string} value
+   *     唯一键的值。
+   * @return {object|undefined}
+   *     找到的实体对象；若不存在，则返回`undefined`。
+   */
+  findByKey(key, value) {
+    const field = toSnakeCase(key);
+    return this.__entities.find((entity) => String(entity[field]) === String(value));
+  }
+
+  /**
+   * 根据ID查找实体对象，若不存在则抛出异常。
+   *
+   * @param {string|number} id
+   *     实体对象的ID。
+   * @return {object}
+   *     找到的实体对象。
+   * @throws {object}
+   *     若实体对象不存在，则抛出一个状态码为`404`的错误响应。
+   */
+  get(id) {
+    const entity = this.find(id);
+    if (!entity) {
+      throw createMockError(404, 'NOT_FOUND', `The entity with ID "${id}" does not exist.`);
+    }
+    return entity;
+  }
+
+  /**
+   * 添加一个实体对象。
+   *
+   * @param {object} data
+   *     要添加的实体对象，其属性名为下划线形式。若其没有`id`属性，则自动分配一个ID。
+   * @return {object}
+   *     添加后的实体对象。
+   * @throws {object}
+   *     若该实体对象的ID或唯一键与已有的实体对象重复，则抛出一个状态码为`409`的错误响应。
+   */
+  insert(data) {
+    const entity = clone(data ?? {});
+    delete entity.delete_time;
+    if (isEmpty(entity.id)) {
+      while (this.find(this.__nextId)) {
+        ++this.__nextId;
+      }
+      entity.id = String(this.__nextId++);
+    } else if (this.find(entity.id)) {
+      throw createMockError(409, 'DUPLICATE_KEY', `The entity with ID "${entity.id}" already exists.`);
+    }
+    for (const key of this.keys) {
+      if (!isEmpty(entity[key]) && this.findByKey(key, entity[key])) {
+        throw createMockError(409, 'DUPLICATE_KEY', `The entity with ${key} "${entity[key]}" already exists.`);
+      }
+    }
+    entity.create_time = entity.create_time ?? new Date().toISOString();
+    this.__entities.push(entity);
+    return entity;
+  }
+
+  /**
+   * 更新一个实体对象的属性。
+   *
+   * @param {object} entity
+   *     要更新的实体对象。
+   * @param {object} data
+   *     新的属性值，其属性名为下划线形式。若某个属性的值为`null`，则清空该属性。
+   * @param {boolean} replace
+   *     是否以`data`替换实体对象的全部属性；否则只更新`data`中包含的属性。
+   * @return {object}
+   *     更新后的实体对象。
+   */
+  modify(entity, data, replace = false) {
+    const { id, create_time: createTime, delete_time: deleteTime } = entity;
+    if (replace) {
+      Object.keys(entity).forEach((key) => delete entity[key]);
+    }
+    for (const [key, value] of Object.entries(clone(data ?? {}))) {
+      if (value === null) {
+        delete entity[key];
+      } else {
+        entity[key] = value;
+      }
+    }
+    Object.assign(entity, { id, create_time: createTime, modify_time: new Date().toISOString() });
+    if (deleteTime) {
+      entity.delete_time = deleteTime;
+    } else {
+      delete entity.delete_time;
+    }
+    return entity;
+  }
+
+  /**
+   * 从集合中移除一个实体对象。
+   *
+   * @param {object} entity
+   *     要移除的实体对象。
+   */
+  remove(entity) {
+    this.__entities = this.__entities.filter((e) => e !== entity);
+  }
+
+  /**
+   * 清空集合中的所有实体对象。
+   */
+  clear() {
+    this.__entities = [];
+    this.__nextId = 1;
+  }
+
+  /**
+   * 根据查询参数过滤实体对象。
+   *
+   * 查询参数中的分页、排序等参数将被忽略，其余的参数按照以下规则过滤：
+   * - 若`filters`中定义了该参数的过滤函数，则使用该过滤函数；
+   * - 参数`deleted`表示是否只返回已被标记删除（或未被标记删除）的实体对象；
+   * - 以`_start`或`_end`结尾的参数表示对应属性的取值范围（包含边界）；
+   * - 对于字符串类型的属性，其值包含参数值即满足条件；
+   * - 对于其他类型的属性，其值与参数值相等即满足条件。
+   *
+   * 参数名称可以是以`.`分隔的属性路径，例如`category.name`，表示嵌套对象的属性。
+   *
+   * 值为空的参数将被忽略。
+   *
+   * 此外，参数`filter`表示由`Criteria`对象序列化得到的复合查询条件，实体对象必须同时满足
+   * 该条件和上述其他参数。
+   *
+   * @param {object} params
+   *     查询参数，其属性名为下划线形式。
+   * @return {Array<object>}
+   *     满足条件的实体对象的列表。
+   * @throws {object}
+   *     若参数`filter`不是合法的复合查询条件，则抛出状态码为`400`的模拟错误响应。
+   */
+  filter(params = {}) {
+    const criteria = Object.entries(params)
+      .filter(([name, value]) => !NON_CRITERIA_PARAMS.includes(name) && !isEmpty(value));
+    let filter = null;
+    if (!isEmpty(params.filter)) {
+      try {
+        filter = JSON.parse(params.filter);
+      } catch (e) {
+        throw createMockError(400, 'INVALID_FILTER', `Invalid filter: ${e.message}`);
+      }
+    }
+    const entities = (filter ? this.__entities.filter((e) => matchCondition(e, filter)) : this.__entities);
+    return entities.filter((entity) => criteria.every(([name, value]) => {
+      if (this.filters[name]) {
+        return this.filters[name](entity, value);
+      }
+      if (name === 'deleted') {
+        return !isEmpty(entity.delete_time) === (String(value) === 'true');
+      }
+      if (name.endsWith('_start')) {
+        const field = getProperty(entity, name.slice(0, -'_start'.length));
+        return !isEmpty(field) && (compareValues(field, value) >= 0);
+      }
+      if (name.endsWith('_end')) {
+        const field = getProperty(entity, name.slice(0, -'_end'.length));
+        return !isEmpty(field) && (compareValues(field, value) <= 0);
+      }
+      const field = getProperty(entity, name);
+      if (typeof field === 'string') {
+        return field.includes(String(value));
+      }
+      return String(field) === String(value);
+    }));
+  }
+
+  /**
+   * 根据查询参数分页查询实体对象。
+   *
+   * @param {object} params
+   *     查询参数，其属性名为下划线形式，可以包含分页参数`page_index`和`page_size`、排序
+   *     参数`sort_field`和`sort_order`，以及过滤条件，详见`filter()`的说明。多列排序时，
+   *     `sort_field`和`sort_order`分别为以逗号分隔的字段名称和排序方向，两者按位置对应。
+   *     若指定了参数`fields`，则返回的实体对象只包含其指定的属性。若指定了游标分页参数
+   *     `after`、`before`或`limit`，则按游标分页，详见`sliceByCursor()`的说明。
+   * @return {object}
+   *     服务器端JSON格式的分页数据，包含`content`、`total_count`、`total_pages`、
+   *     `page_index`和`page_size`属性；游标分页时，包含`content`、`next_cursor`、
+   *     `previous_cursor`和`limit`属性。
+   */
+  query(params = {}) {
+    const entities = this.filter(params);
+    if (!isEmpty(params.sort_field)) {
+      const orders = String(params.sort_order ?? '').split(',');
+      const keys = String(params.sort_field).split(',').map((name, i) => ({
+        field: toSnakeCase(name.trim()),
+        sign: (orders[i]?.trim().toUpperCase() === 'DESC' ? -1 : 1),
+      }));
+      entities.sort((x, y) => {
+        for (const { field, sign } of keys) {
+          const result = sign * compareValues(getProperty(x, field), getProperty(y, field));
+          if (result !== 0) {
+            return result;
+          }
+        }
+        return 0;
+      });
+    }
+    if (!isEmpty(params.after) || !isEmpty(params.before) || !isEmpty(params.limit)) {
+      return sliceByCursor(entities, params);
+    }
+    const totalCount = entities.length;
+    const pageIndex = Number(params.page_index ?? 0);
+    const pageSize = Number(params.page_size ?? (totalCount || 1));
+    const start = pageIndex * pageSize;
+    return {
+      content: entities.slice(start, start + pageSize)
+        .map((entity) => selectFields(clone(entity), params.fields)),
+      total_count: totalCount,
+      total_pages: Math.ceil(totalCount / pageSize),
+      page_index: pageIndex,
+      page_size: pageSize,
+    };
+  }
+}
+
+export {
+  createMockError,
+  selectFields,
+  toSnakeCase,
+};
+
+export default MockCollection;
@@ -0,0 +1,56 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { Label, Model, Nullable, Type } from '@qubit-ltd/common-decorator';
+import { ErrorInfo } from '@qubit-ltd/common-model';
+
+/**
+ * 此模型表示批量操作中处理失败的一项。
+ *
+ * @author 胡海星
+ */
+@Model
+class BatchFailure {
+  /**
+   * 处理失败的项在批量操作的参数列表中的索引，从`0`开始。
+   *
+   * @type {number|null}
+   */
+  @Label('索引')
+  @Nullable
+  index = null;
+
+  /**
+   * 处理失败的实体对象的ID。对于批量添加操作，该值为`null`。
+   *
+   * @type {string|number|bigint|null}
+   */
+  @Label('ID')
+  @Nullable
+  id = null;
+
+  /**
+   * 处理失败的原因。
+   *
+   * @type {ErrorInfo|null}
+   */
+  @Type(ErrorInfo)
+  @Label('错误信息')
+  @Nullable
+  error = null;
+
+  /**
+   * 该项是否因为之前的分块请求失败而未被发送给服务器，详见`sendBatchRequest()`的说明。
+   *
+   * @type {boolean}
+   */
+  @Label('是否跳过')
+  skipped = false;
+}
+
+export default BatchFailure;
@@ -0,0 +1,81 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { ElementType, Label, Model } from '@qubit-ltd/common-decorator';
+import BatchFailure from './BatchFailure';
+
+/**
+ * 此模型表示批量操作的逐项处理结果。
+ *
+ * 批量操作的请求选项中指定`batchResult: true`时，批量操作将解析成功并返回此对象，而不是
+ * 仅返回处理成功的项的列表或数目。
+ *
+ * @author 胡海星
+ */
+@Model
+class BatchResult {
+  /**
+   * 处理成功的项的列表。对于批量添加和批量更新操作，其元素为处理成功的实体对象；对于其他
+   * 批量操作，其元素为处理成功的实体对象的ID。
+   *
+   * @type {Array<object|string|number|bigint>}
+   */
+  @Label('成功项列表')
+  succeeded = [];
+
+  /**
+   * 处理失败的项的列表。
+   *
+   * @type {Array<BatchFailure>}
+   */
+  @ElementType(BatchFailure)
+  @Label('失败项列表')
+  failed = [];
+
+  /**
+   * 处理成功的项的数目。
+   *
+   * @type {number}
+   */
+  get successCount() {
+    return this.succeeded.length;
+  }
+
+  /**
+   * 处理失败的项的数目。
+   *
+   * @type {number}
+   */
+  get failureCount() {
+    return this.failed.length;
+  }
+
+  /**
+   * 判断是否所有项都处理成功。
+   *
+   * @return {boolean}
+   *     若所有项都处理成功，则返回`true`；否则返回`false`。
+   */
+  isAllSucceeded() {
+    return this.failed.length === 0;
+  }
+
+  /**
+   * 获取处理失败的实体对象的ID列表。
+   *
+   * @return {Array<string|number|bigint>}
+   *     处理失败的实体对象的ID列表，不包括ID为`null`的项。
+   */
+  getFailedIds() {
+    return this.failed
+      .map((failure) => failure.id)
+      .filter((id) => (id !== null) && (id !== undefined));
+  }
+}
+
+export default BatchResult;
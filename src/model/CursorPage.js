@@ -0,0 +1,102 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { Label, Model, Nullable } from '@qubit-ltd/common-decorator';
+
+/**
+ * 此模型表示游标分页查询返回的一页数据。
+ *
+ * 与按页码分页的`Page`对象不同，游标分页不返回总数据条数和总页数，而是返回指向下一页和
+ * 上一页的游标。对于不断追加新数据的大表（例如操作日志），游标分页的查询速度不受页码的
+ * 影响，且遍历过程中新追加的数据不会导致重复或遗漏。
+ *
+ * @author 胡海星
+ */
+@Model
+class CursorPage {
+  /**
+   * 当前页的数据列表。
+   *
+   * @type {Array<object>}
+   */
+  @Label('数据列表')
+  content = [];
+
+  /**
+   * 指向下一页的游标；若当前页已是最后一页，则为`null`。
+   *
+   * @type {string|null}
+   */
+  @Label('下一页游标')
+  @Nullable
+  nextCursor = null;
+
+  /**
+   * 指向上一页的游标；若当前页已是第一页，则为`null`。
+   *
+   * @type {string|null}
+   */
+  @Label('上一页游标')
+  @Nullable
+  previousCursor = null;
+
+  /**
+   * 每页的数据条数；若请求时未指定且服务器未返回，则为`null`。
+   *
+   * @type {number|null}
+   */
+  @Label('每页数据条数')
+  @Nullable
+  limit = null;
+
+  /**
+   * 是否存在下一页。
+   *
+   * @type {boolean}
+   */
+  get hasNext() {
+    return (this.nextCursor !== null) && (this.nextCursor !== undefined);
+  }
+
+  /**
+   * 是否存在上一页。
+   *
+   * @type {boolean}
+   */
+  get hasPrevious() {
+    return (this.previousCursor !== null) && (this.previousCursor !== undefined);
+  }
+
+  /**
+   * 获取请求下一页数据的游标分页请求。
+   *
+   * @return {object|null}
+   *     形如`{ after, limit }`的游标分页请求；若不存在下一页，则返回`null`。
+   */
+  getNextRequest() {
+    if (!this.hasNext) {
+      return null;
+    }
+    return (this.limit === null ? { after: this.nextCursor } : { after: this.nextCursor, limit: this.limit });
+  }
+
+  /**
+   * 获取请求上一页数据的游标分页请求。
+   *
+   * @return {object|null}
+   *     形如`{ before, limit }`的游标分页请求；若不存在上一页，则返回`null`。
+   */
+  getPreviousRequest() {
+    if (!this.hasPrevious) {
+      return null;
+    }
+    return (this.limit === null ? { before: this.previousCursor } : { before: this.previousCursor, limit: this.limit });
+  }
+}
+
+export default CursorPage;
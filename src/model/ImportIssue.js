@@ -0,0 +1,54 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { Label, Model, Nullable } from '@qubit-ltd/common-decorator';
+
+/**
+ * 此模型表示导入文件中的某一行存在的问题，即被拒绝的行的错误或者警告。
+ *
+ * @author 胡海星
+ */
+@Model
+class ImportIssue {
+  /**
+   * 存在问题的行在导入文件中的行号，从`1`开始；若该问题与具体的行无关，则为`null`。
+   *
+   * @type {number|null}
+   */
+  @Label('行号')
+  @Nullable
+  row = null;
+
+  /**
+   * 存在问题的列的名称；若该问题与具体的列无关，则为`null`。
+   *
+   * @type {string|null}
+   */
+  @Label('列')
+  @Nullable
+  column = null;
+
+  /**
+   * 问题的代码，例如`REQUIRED`、`INVALID_FORMAT`等。
+   *
+   * @type {string|null}
+   */
+  @Label('代码')
+  @Nullable
+  code = null;
+
+  /**
+   * 问题的描述信息。
+   *
+   * @type {string}
+   */
+  @Label('描述')
+  message = '';
+}
+
+export default ImportIssue;
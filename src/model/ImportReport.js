@@ -0,0 +1,89 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { ElementType, Label, Model } from '@qubit-ltd/common-decorator';
+import ImportIssue from './ImportIssue';
+
+/**
+ * 此模型表示导入文件的逐行校验结果。
+ *
+ * 导入操作的请求选项中指定`dryRun: true`或者`importReport: true`时，导入操作将解析成功
+ * 并返回此对象，而不是仅返回成功导入的对象的数目。
+ *
+ * @author 胡海星
+ */
+@Model
+class ImportReport {
+  /**
+   * 是否只校验了导入的文件而未实际导入。
+   *
+   * @type {boolean}
+   */
+  @Label('仅校验')
+  dryRun = false;
+
+  /**
+   * 校验通过的行的数目。若`dryRun`为`false`，即为成功导入的对象的数目。
+   *
+   * @type {number}
+   */
+  @Label('通过行数')
+  accepted = 0;
+
+  /**
+   * 被拒绝的行的错误列表。同一行可能有多个错误。
+   *
+   * @type {Array<ImportIssue>}
+   */
+  @ElementType(ImportIssue)
+  @Label('错误列表')
+  rejected = [];
+
+  /**
+   * 不影响导入的警告列表。
+   *
+   * @type {Array<ImportIssue>}
+   */
+  @ElementType(ImportIssue)
+  @Label('警告列表')
+  warnings = [];
+
+  /**
+   * 被拒绝的行的数目，同一行的多个错误只计算一次。
+   *
+   * @type {number}
+   */
+  get rejectedCount() {
+    return this.getRejectedRows().length;
+  }
+
+  /**
+   * 判断导入的文件是否没有任何被拒绝的行。
+   *
+   * @return {boolean}
+   *     若没有被拒绝的行，则返回`true`；否则返回`false`。
+   */
+  isValid() {
+    return this.rejected.length === 0;
+  }
+
+  /**
+   * 获取被拒绝的行的行号列表。
+   *
+   * @return {Array<number>}
+   *     按升序排列的被拒绝的行的行号列表，不包括与具体的行无关的错误。
+   */
+  getRejectedRows() {
+    const rows = this.rejected
+      .map((issue) => issue.row)
+      .filter((row) => (row !== null) && (row !== undefined));
+    return [...new Set(rows)].sort((x, y) => x - y);
+  }
+}
+
+export default ImportReport;
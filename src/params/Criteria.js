@@ -0,0 +1,542 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { checkArgumentType } from '@qubit-ltd/common-util';
+import { checkCriteriaRange, checkCriteriaValue } from '../utils/check-criteria-constraints';
+import resolveCriteriaType from '../utils/resolve-criteria-type';
+
+/**
+ * 序列化后的复合查询条件在查询参数中的名称。
+ *
+ * @type {string}
+ * @private
+ */
+const FILTER_PARAM = 'filter';
+
+/**
+ * 将驼峰形式的名称转换为下划线形式。
+ *
+ * @param {string} name
+ *     驼峰形式的名称，例如`createTime`。
+ * @return {string}
+ *     下划线形式的名称，例如`create_time`。
+ * @private
+ */
+function toSnakeCase(name) {
+  return name.replace(/[A-Z]/g, (c) => `_${c.toLowerCase()}`);
+}
+
+/**
+ * 用指定的逻辑运算符连接两个语法树节点。
+ *
+ * 若某个节点本身就是以相同逻辑运算符连接的分组，则将其子节点直接并入新的分组，从而避免
+ * 产生不必要的嵌套。
+ *
+ * @param {string} logic
+ *     逻辑运算符，`AND`或`OR`。
+ * @param {Array<object>} nodes
+ *     待连接的语法树节点。
+ * @return {object}
+ *     连接后的语法树节点。
+ * @private
+ */
+function joinNodes(logic, nodes) {
+  const conditions = nodes.flatMap((node) => (node.logic === logic ? node.conditions : [node]));
+  return (conditions.length === 1 ? conditions[0] : { logic, conditions });
+}
+
+/**
+ * 遍历语法树中的所有比较条件。
+ *
+ * @param {object} node
+ *     语法树节点。
+ * @param {function} callback
+ *     对每个比较条件调用的函数。
+ * @private
+ */
+function forEachCondition(node, callback) {
+  if (node.logic) {
+    node.conditions.forEach((child) => forEachCondition(child, callback));
+  } else {
+    callback(node);
+  }
+}
+
+/**
+ * 将语法树节点转换为服务器端JSON格式的对象。
+ *
+ * @param {object} node
+ *     语法树节点。
+ * @return {object}
+ *     服务器端JSON格式的对象，其属性名均为下划线形式。
+ * @private
+ */
+function toJsonNode(node) {
+  if (node.logic) {
+    return { logic: node.logic, conditions: node.conditions.map(toJsonNode) };
+  }
+  const result = { field: toSnakeCase(node.field), operator: node.operator };
+  if (node.value !== undefined) {
+    result.value = node.value;
+  }
+  return result;
+}
+
+/**
+ * 将`bigint`类型的值序列化为字符串的`JSON.stringify()`的替换函数。
+ *
+ * @param {string} key
+ *     属性名。
+ * @param {any} value
+ *     属性值。
+ * @return {any}
+ *     替换后的属性值。
+ * @private
+ */
+function replaceBigInt(key, value) {
+  return (typeof value === 'bigint' ? value.toString() : value);
+}
+
+/**
+ * 此类用于构造单个字段的比较条件。
+ *
+ * 此类的对象由`Criteria.where()`、`Criteria.prototype.and()`或`Criteria.prototype.or()`
+ * 返回，调用其任一比较方法后即得到一个新的`Criteria`对象。
+ *
+ * @author 胡海星
+ * @private
+ */
+class ConditionBuilder {
+  /**
+   * 比较条件的字段名称。
+   *
+   * @type {string}
+   * @private
+   */
+  __field;
+
+  /**
+   * 根据构造的比较条件生成`Criteria`对象的函数。
+   *
+   * @type {function}
+   * @private
+   */
+  __complete;
+
+  /**
+   * 构造一个`ConditionBuilder`对象。
+   *
+   * @param {string} field
+   *     比较条件的字段名称。
+   * @param {function} complete
+   *     根据构造的比较条件生成`Criteria`对象的函数。
+   */
+  constructor(field, complete) {
+    checkArgumentType('field', field, String);
+    this.__field = field;
+    this.__complete = complete;
+  }
+
+  /**
+   * 构造一个比较条件。
+   *
+   * @param {string} operator
+   *     比较运算符。
+   * @param {any} value
+   *     比较的值。
+   * @return {Criteria}
+   *     包含此比较条件的查询条件。
+   * @private
+   */
+  __build(operator, value = undefined) {
+    return this.__complete({ field: this.__field, operator, value });
+  }
+
+  /**
+   * 字段的值等于指定的值。
+   *
+   * @param {any} value
+   *     指定的值。
+   * @return {Criteria}
+   *     包含此比较条件的查询条件。
+   */
+  eq(value) {
+    return this.__build('EQ', value);
+  }
+
+  /**
+   * 字段的值不等于指定的值。
+   *
+   * @param {any} value
+   *     指定的值。
+   * @return {Criteria}
+   *     包含此比较条件的查询条件。
+   */
+  ne(value) {
+    return this.__build('NE', value);
+  }
+
+  /**
+   * 字段的值大于指定的值。
+   *
+   * @param {any} value
+   *     指定的值。
+   * @return {Criteria}
+   *     包含此比较条件的查询条件。
+   */
+  gt(value) {
+    return this.__build('GT', value);
+  }
+
+  /**
+   * 字段的值大于或等于指定的值。
+   *
+   * @param {any} value
+   *     指定的值。
+   * @return {Criteria}
+   *     包含此比较条件的查询条件。
+   */
+  ge(value) {
+    return this.__build('GE', value);
+  }
+
+  /**
+   * 字段的值小于指定的值。
+   *
+   * @param {any} value
+   *     指定的值。
+   * @return {Criteria}
+   *     包含此比较条件的查询条件。
+   */
+  lt(value) {
+    return this.__build('LT', value);
+  }
+
+  /**
+   * 字段的值小于或等于指定的值。
+   *
+   * @param {any} value
+   *     指定的值。
+   * @return {Criteria}
+   *     包含此比较条件的查询条件。
+   */
+  le(value) {
+    return this.__build('LE', value);
+  }
+
+  /**
+   * 字段的值在指定的值列表中。
+   *
+   * @param {Array<any>} values
+   *     指定的值列表，不能为空。
+   * @return {Criteria}
+   *     包含此比较条件的查询条件。
+   * @throws RangeError
+   *     若值列表为空，则抛出此异常。
+   */
+  in(values) {
+    checkArgumentType(this.__field, values, Array);
+    if (values.length === 0) {
+      throw new RangeError(`The value list of the field "${this.__field}" cannot be empty.`);
+    }
+    return this.__build('IN', [...values]);
+  }
+
+  /**
+   * 字段的值匹配指定的模式。
+   *
+   * 模式的语法与 SQL 的`LIKE`运算符相同，即`%`匹配任意多个字符，`_`匹配单个字符。
+   *
+   * @param {string} pattern
+   *     指定的模式。
+   * @return {Criteria}
+   *     包含此比较条件的查询条件。
+   */
+  like(pattern) {
+    checkArgumentType(this.__field, pattern, String);
+    return this.__build('LIKE', pattern);
+  }
+
+  /**
+   * 字段的值为`null`。
+   *
+   * @return {Criteria}
+   *     包含此比较条件的查询条件。
+   */
+  isNull() {
+    return this.__build('IS_NULL');
+  }
+
+  /**
+   * 字段的值不为`null`。
+   *
+   * @return {Criteria}
+   *     包含此比较条件的查询条件。
+   */
+  isNotNull() {
+    return this.__build('IS_NOT_NULL');
+  }
+
+  /**
+   * 字段的值在指定的范围内（包含边界）。
+   *
+   * @param {any} lower
+   *     范围的下界。
+   * @param {any} upper
+   *     范围的上界。
+   * @return {Criteria}
+   *     包含此比较条件的查询条件。
+   */
+  between(lower, upper) {
+    return this.__build('BETWEEN', [lower, upper]);
+  }
+}
+
+/**
+ * 此类表示由比较条件和逻辑运算符组成的复合查询条件。
+ *
+ * 与仅支持以`AND`连接的相等条件的普通查询条件对象不同，此类支持`eq`、`ne`、`gt`、`ge`、
+ * `lt`、`le`、`in`、`like`、`isNull`、`isNotNull`和`between`等比较运算符，以及任意嵌套
+ * 的`AND`和`OR`分组。例如：
+ *
+ * ```js
+ * const criteria = Criteria.where('state').in([State.NORMAL, State.LOCKED])
+ *   .and('createTime').between('2024-01-01 00:00:00', '2024-12-31 23:59:59')
+ *   .or(Criteria.where('predefined').eq(true).and('name').like('系统%'));
+ * const page = await appApi.list({ pageIndex: 0, pageSize: 10 }, criteria);
+ * ```
+ *
+ * 条件按照从左到右的顺序组合，即`a.and(b).or(c)`表示`(a AND b) OR c`；需要改变组合顺序
+ * 时，可以将一个`Criteria`对象作为`and()`或`or()`的参数，或者使用`Criteria.allOf()`和
+ * `Criteria.anyOf()`构造分组。`Criteria`对象是不可变的，每次组合都将返回一个新的对象。
+ *
+ * 各个API的`list()`、`listInfo()`、`iterate()`、`listAll()`和`exportXxx()`方法均可以
+ * 接受`Criteria`对象作为查询条件，其中的字段将按照API的`CRITERIA_DEFINITIONS`进行检查，
+ * 并被序列化为JSON字符串，作为查询参数`filter`发送给服务器，详见`toParams()`的说明。
+ *
+ * @author 胡海星
+ */
+class Criteria {
+  /**
+   * 此查询条件的语法树的根节点。
+   *
+   * 比较条件表示为`{ field, operator, value }`，分组表示为`{ logic, conditions }`。
+   *
+   * @type {object}
+   * @private
+   */
+  __node;
+
+  /**
+   * 构造一个`Criteria`对象。
+   *
+   * 调用者应当使用`Criteria.where()`、`Criteria.allOf()`或`Criteria.anyOf()`构造
+   * `Criteria`对象，而不是直接调用此构造函数。
+   *
+   * @param {object} node
+   *     查询条件的语法树的根节点。
+   */
+  constructor(node) {
+    this.__node = node;
+  }
+
+  /**
+   * 以指定的字段开始构造一个查询条件。
+   *
+   * @param {string} field
+   *     字段名称，例如`state`。
+   * @return {ConditionBuilder}
+   *     用于构造该字段的比较条件的对象。
+   */
+  static where(field) {
+    return new ConditionBuilder(field, (node) => new Criteria(node));
+  }
+
+  /**
+   * 构造一个要求所有指定的查询条件都成立的分组。
+   *
+   * @param {...Criteria} criteria
+   *     指定的查询条件，至少包含一个。
+   * @return {Criteria}
+   *     以`AND`连接的分组。
+   */
+  static allOf(...criteria) {
+    return Criteria.__group('AND', criteria);
+  }
+
+  /**
+   * 构造一个要求至少一个指定的查询条件成立的分组。
+   *
+   * @param {...Criteria} criteria
+   *     指定的查询条件，至少包含一个。
+   * @return {Criteria}
+   *     以`OR`连接的分组。
+   */
+  static anyOf(...criteria) {
+    return Criteria.__group('OR', criteria);
+  }
+
+  /**
+   * 构造一个以指定逻辑运算符连接的分组。
+   *
+   * @param {string} logic
+   *     逻辑运算符，`AND`或`OR`。
+   * @param {Array<Criteria>} criteria
+   *     指定的查询条件。
+   * @return {Criteria}
+   *     构造的分组。
+   * @private
+   */
+  static __group(logic, criteria) {
+    if (criteria.length === 0) {
+      throw new RangeError('At least one criteria must be specified.');
+    }
+    criteria.forEach((c, i) => checkArgumentType(`criteria[${i}]`, c, Criteria));
+    return new Criteria(joinNodes(logic, criteria.map((c) => c.__node)));
+  }
+
+  /**
+   * 以`AND`连接此查询条件与另一个条件。
+   *
+   * @param {string|Criteria} fieldOrCriteria
+   *     若为字符串，表示下一个比较条件的字段名称；若为`Criteria`对象，则直接与之连接。
+   * @return {ConditionBuilder|Criteria}
+   *     若参数为字段名称，返回用于构造该字段的比较条件的对象；否则返回连接后的查询条件。
+   */
+  and(fieldOrCriteria) {
+    return this.__join('AND', fieldOrCriteria);
+  }
+
+  /**
+   * 以`OR`连接此查询条件与另一个条件。
+   *
+   * @param {string|Criteria} fieldOrCriteria
+   *     若为字符串，表示下一个比较条件的字段名称；若为`Criteria`对象，则直接与之连接。
+   * @return {ConditionBuilder|Criteria}
+   *     若参数为字段名称，返回用于构造该字段的比较条件的对象；否则返回连接后的查询条件。
+   */
+  or(fieldOrCriteria) {
+    return this.__join('OR', fieldOrCriteria);
+  }
+
+  /**
+   * 以指定的逻辑运算符连接此查询条件与另一个条件。
+   *
+   * @param {string} logic
+   *     逻辑运算符，`AND`或`OR`。
+   * @param {string|Criteria} fieldOrCriteria
+   *     下一个比较条件的字段名称，或者另一个查询条件。
+   * @return {ConditionBuilder|Criteria}
+   *     用于构造下一个比较条件的对象，或者连接后的查询条件。
+   * @private
+   */
+  __join(logic, fieldOrCriteria) {
+    if (fieldOrCriteria instanceof Criteria) {
+      return new Criteria(joinNodes(logic, [this.__node, fieldOrCriteria.__node]));
+    }
+    return new ConditionBuilder(fieldOrCriteria, (node) => (
+      new Criteria(joinNodes(logic, [this.__node, node]))
+    ));
+  }
+
+  /**
+   * 按照查询条件定义检查此查询条件。
+   *
+   * 每个比较条件的字段必须在定义中声明；对于只声明了`xxxStart`和`xxxEnd`的范围字段，
+   * 也可以使用字段`xxx`。比较的值必须符合字段定义的类型及约束，其中`in`和`between`检查
+   * 其中的每个值，`like`要求其值为字符串，`isNull`和`isNotNull`不检查值；此外，`between`
+   * 的下界不能大于其上界。若定义为空，则只检查`like`的值和`between`的范围。
+   *
+   * 若提供了实体类，则未在定义中声明的、以`.`分隔的属性路径（例如`category.name`）也是
+   * 合法的字段，此时将按照实体类的`@Type`元数据逐级检查路径中的每个属性，并按照解析得到
+   * 的属性类型检查比较的值，详见`resolveCriteriaType()`的说明。
+   *
+   * @param {Array<object>} definitions
+   *     查询条件定义，格式与各API的`CRITERIA_DEFINITIONS`相同。
+   * @param {string} name
+   *     查询条件参数的名称，用于错误信息。
+   * @param {Function|undefined} Class
+   *     查询的实体类的构造器函数，用于检查属性路径。若未提供此参数，则不允许使用属性路径。
+   * @throws TypeError
+   *     若某个比较条件的字段未定义，或者其值的类型不合法，则抛出此异常。
+   * @throws RangeError
+   *     若某个比较条件的值不满足字段定义中的约束，则抛出此异常。
+   */
+  validate(definitions = [], name = 'criteria', Class = undefined) {
+    const fields = new Map();
+    for (const def of (definitions ?? [])) {
+      if (def && typeof def.name === 'string' && def.type) {
+        fields.set(def.name, def);
+      }
+    }
+    forEachCondition(this.__node, ({ field, operator, value }) => {
+      const path = `${name}.${field}`;
+      const def = fields.get(field) ?? fields.get(`${field}Start`) ?? fields.get(`${field}End`);
+      let type = def?.type;
+      if ((def === undefined) && (typeof Class === 'function') && field.includes('.')) {
+        type = resolveCriteriaType(Class, field);
+      } else if ((fields.size > 0) && (def === undefined)) {
+        throw new TypeError(`Unsupported field: "${path}"`);
+      }
+      switch (operator) {
+        case 'IS_NULL':
+        case 'IS_NOT_NULL':
+          break;
+        case 'LIKE':
+          checkArgumentType(path, value, String);
+          break;
+        case 'IN':
+        case 'BETWEEN':
+          value.forEach((v, i) => {
+            if (type) {
+              checkArgumentType(`${path}[${i}]`, v, type);
+            }
+            checkCriteriaValue(`${path}[${i}]`, v, def);
+          });
+          if (operator === 'BETWEEN') {
+            checkCriteriaRange(`${path}[0]`, value[0], `${path}[1]`, value[1]);
+          }
+          break;
+        default:
+          if (type) {
+            checkArgumentType(path, value, type);
+          }
+          checkCriteriaValue(path, value, def);
+          break;
+      }
+    });
+  }
+
+  /**
+   * 获取此查询条件的服务器端JSON格式。
+   *
+   * 比较条件表示为`{ field, operator, value }`，其中`field`为下划线形式的字段名称，
+   * `operator`为`EQ`、`NE`、`GT`、`GE`、`LT`、`LE`、`IN`、`LIKE`、`IS_NULL`、
+   * `IS_NOT_NULL`或`BETWEEN`；`IN`和`BETWEEN`的`value`为数组，`IS_NULL`和`IS_NOT_NULL`
+   * 没有`value`。分组表示为`{ logic, conditions }`，其中`logic`为`AND`或`OR`。
+   *
+   * @return {object}
+   *     此查询条件的服务器端JSON格式。
+   */
+  toJSON() {
+    return toJsonNode(this.__node);
+  }
+
+  /**
+   * 获取发送此查询条件所需的查询参数。
+   *
+   * @return {object}
+   *     查询参数，其`filter`属性为此查询条件的服务器端JSON格式序列化后的字符串，其中
+   *     `bigint`类型的值被序列化为字符串。
+   */
+  toParams() {
+    return { [FILTER_PARAM]: JSON.stringify(this, replaceBigInt) };
+  }
+}
+
+export default Criteria;
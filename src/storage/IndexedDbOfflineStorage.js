@@ -0,0 +1,128 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * 离线操作列表在对象仓库中的键。
+ *
+ * @type {string}
+ */
+const ENTRIES_KEY = 'entries';
+
+/**
+ * 此类实现了一个将离线操作队列保存在浏览器的 IndexedDB 中的存储。
+ *
+ * 保存在此存储中的离线操作在页面刷新或浏览器重启后依然存在。
+ *
+ * @author 胡海星
+ */
+class IndexedDbOfflineStorage {
+  /**
+   * IndexedDB 数据库的名称。
+   *
+   * @type {string}
+   */
+  databaseName;
+
+  /**
+   * 保存离线操作列表的对象仓库的名称。
+   *
+   * @type {string}
+   */
+  storeName;
+
+  /**
+   * 打开的数据库的`Promise`对象。
+   *
+   * @type {Promise<IDBDatabase>|null}
+   * @private
+   */
+  __database = null;
+
+  /**
+   * 构造一个`IndexedDbOfflineStorage`对象。
+   *
+   * @param {string} databaseName
+   *     IndexedDB 数据库的名称。
+   * @param {string} storeName
+   *     保存离线操作列表的对象仓库的名称。
+   */
+  constructor(databaseName = 'qubit-offline-queue', storeName = 'mutations') {
+    this.databaseName = databaseName;
+    this.storeName = storeName;
+  }
+
+  /**
+   * 打开数据库，若对象仓库不存在则创建之。
+   *
+   * @return {Promise<IDBDatabase>}
+   *     打开的数据库的`Promise`对象。
+   * @private
+   */
+  __open() {
+    if (!this.__database) {
+      this.__database = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.databaseName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      this.__database.catch(() => {
+        this.__database = null;
+      });
+    }
+    return this.__database;
+  }
+
+  /**
+   * 在一个事务中对对象仓库执行指定的操作。
+   *
+   * @param {string} mode
+   *     事务的模式，可以是`readonly`或`readwrite`。
+   * @param {function} action
+   *     要执行的操作，其参数为对象仓库，返回一个`IDBRequest`对象。
+   * @return {Promise<any>}
+   *     事务完成后解析成功并返回该请求的结果的`Promise`对象。
+   * @private
+   */
+  __execute(mode, action) {
+    return this.__open().then((database) => new Promise((resolve, reject) => {
+      const transaction = database.transaction(this.storeName, mode);
+      const request = action(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    }));
+  }
+
+  /**
+   * 读取保存的离线操作列表。
+   *
+   * @return {Promise<Array<object>>}
+   *     保存的离线操作列表的`Promise`对象。
+   */
+  load() {
+    return this.__execute('readonly', (store) => store.get(ENTRIES_KEY))
+      .then((entries) => entries ?? []);
+  }
+
+  /**
+   * 保存离线操作列表。
+   *
+   * @param {Array<object>} entries
+   *     要保存的离线操作列表。
+   * @return {Promise<void>}
+   *     保存完成后解析成功的`Promise`对象。
+   */
+  save(entries) {
+    return this.__execute('readwrite', (store) => store.put(entries, ENTRIES_KEY))
+      .then(() => undefined);
+  }
+}
+
+export default IndexedDbOfflineStorage;
@@ -0,0 +1,54 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * 此类实现了一个将离线操作队列保存在内存中的存储。
+ *
+ * 保存在此存储中的离线操作在页面刷新或进程退出后将会丢失，适用于Node.js环境或测试。
+ *
+ * 离线操作队列的存储应当实现以下两个方法：
+ * - `load(): Promise<Array<object>>` 读取保存的离线操作列表；
+ * - `save(entries: Array<object>): Promise<void>` 保存离线操作列表。
+ *
+ * @author 胡海星
+ */
+class MemoryOfflineStorage {
+  /**
+   * 保存的离线操作列表。
+   *
+   * @type {Array<object>}
+   * @private
+   */
+  __entries = [];
+
+  /**
+   * 读取保存的离线操作列表。
+   *
+   * @return {Promise<Array<object>>}
+   *     保存的离线操作列表的`Promise`对象。
+   */
+  load() {
+    return Promise.resolve([...this.__entries]);
+  }
+
+  /**
+   * 保存离线操作列表。
+   *
+   * @param {Array<object>} entries
+   *     要保存的离线操作列表。
+   * @return {Promise<void>}
+   *     保存完成后解析成功的`Promise`对象。
+   */
+  save(entries) {
+    this.__entries = [...entries];
+    return Promise.resolve();
+  }
+}
+
+export default MemoryOfflineStorage;
@@ -0,0 +1,177 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * 时间戳格式的查询条件的值应当匹配的正则表达式。
+ *
+ * 允许的格式包括`2024-01-01`、`2024-01-01 08:00:00`、`2024-01-01T08:00:00.000Z`和
+ * `2024-01-01T08:00:00+08:00`等，即日期，以及可选的时间、毫秒和时区。
+ *
+ * @type {RegExp}
+ */
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d{1,9})?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * 判断一个值是否为空。
+ *
+ * @param {any} value
+ *     待判断的值。
+ * @return {boolean}
+ *     若该值为`undefined`、`null`或空字符串，则返回`true`；否则返回`false`。
+ * @private
+ */
+function isEmpty(value) {
+  return (value === undefined) || (value === null) || (value === '');
+}
+
+/**
+ * 获取查询条件的值的字符串形式。
+ *
+ * @param {any} value
+ *     查询条件的值，可以是枚举对象。
+ * @return {string}
+ *     该值的字符串形式；对于枚举对象，返回其`value`属性。
+ * @private
+ */
+function toText(value) {
+  return String(value?.value ?? value);
+}
+
+/**
+ * 比较两个查询条件的值的大小。
+ *
+ * 若两个值都是时间戳格式的字符串，则按照其表示的时间比较；若都是字符串，则按照字典序
+ * 比较；否则按照数值比较，`number`和`bigint`可以混合比较。
+ *
+ * @param {any} x
+ *     第一个值。
+ * @param {any} y
+ *     第二个值。
+ * @return {number}
+ *     若`x < y`则返回负数，若`x > y`则返回正数，否则返回`0`。
+ * @private
+ */
+function compareValues(x, y) {
+  if ((typeof x === 'string') && (typeof y === 'string')
+      && TIMESTAMP_PATTERN.test(x) && TIMESTAMP_PATTERN.test(y)) {
+    const tx = Date.parse(x);
+    const ty = Date.parse(y);
+    if (Number.isFinite(tx) && Number.isFinite(ty)) {
+      return tx - ty;
+    }
+  }
+  if (x < y) {
+    return -1;
+  }
+  return (x > y ? 1 : 0);
+}
+
+/**
+ * 检查单个查询条件的值是否满足其定义中的约束。
+ *
+ * 查询条件定义除了`name`和`type`之外，还可以包含以下可选的约束：
+ * - `pattern: RegExp` 值的字符串形式必须匹配此正则表达式，例如`TIMESTAMP_PATTERN`；
+ * - `min: any` 值必须大于或等于此值；
+ * - `max: any` 值必须小于或等于此值；
+ * - `values: Array` 值必须是此数组中的某个元素，枚举对象按照其`value`属性比较。
+ *
+ * 值为`undefined`、`null`或空字符串时不检查约束。
+ *
+ * @param {string} path
+ *     查询条件的路径，例如`criteria.createTimeStart`，用于错误信息。
+ * @param {any} value
+ *     查询条件的值。
+ * @param {object} definition
+ *     该查询条件的定义。
+ * @throws RangeError
+ *     若值不满足约束，则抛出此异常。
+ */
+function checkCriteriaValue(path, value, definition) {
+  if (isEmpty(value) || !definition) {
+    return;
+  }
+  const { pattern, min, max, values } = definition;
+  if (pattern && !pattern.test(String(value))) {
+    throw new RangeError(`The value of the argument '${path}' does not match the pattern ${pattern}: "${value}".`);
+  }
+  if (!isEmpty(min) && (compareValues(value, min) < 0)) {
+    throw new RangeError(`The value of the argument '${path}' must be greater than or equal to ${min}, but it is ${value}.`);
+  }
+  if (!isEmpty(max) && (compareValues(value, max) > 0)) {
+    throw new RangeError(`The value of the argument '${path}' must be less than or equal to ${max}, but it is ${value}.`);
+  }
+  if (Array.isArray(values) && !values.some((v) => (v === value) || (toText(v) === toText(value)))) {
+    throw new RangeError(`The value of the argument '${path}' must be one of `
+      + `${values.map(toText).join(', ')}, but it is ${toText(value)}.`);
+  }
+}
+
+/**
+ * 检查一个范围的下界是否不大于其上界。
+ *
+ * @param {string} lowerPath
+ *     下界的路径，用于错误信息。
+ * @param {any} lower
+ *     下界的值。
+ * @param {string} upperPath
+ *     上界的路径，用于错误信息。
+ * @param {any} upper
+ *     上界的值。
+ * @throws RangeError
+ *     若下界大于上界，则抛出此异常。
+ */
+function checkCriteriaRange(lowerPath, lower, upperPath, upper) {
+  if (!isEmpty(lower) && !isEmpty(upper) && (compareValues(lower, upper) > 0)) {
+    throw new RangeError(`The value of the argument '${lowerPath}' must not be greater than `
+      + `the value of the argument '${upperPath}': ${lower} > ${upper}.`);
+  }
+}
+
+/**
+ * 检查查询条件对象中的值是否满足查询条件定义中的约束。
+ *
+ * 除了逐个检查每个查询条件的约束（详见`checkCriteriaValue()`的说明）之外，此函数还将
+ * 名为`xxxStart`和`xxxEnd`的一对查询条件视为一个闭区间，并要求其起始值不大于结束值。
+ *
+ * @param {string} name
+ *     查询条件参数的名称，用于错误信息。
+ * @param {object} criteria
+ *     查询条件对象。
+ * @param {Array<object>} definitions
+ *     查询条件定义，格式与各API的`CRITERIA_DEFINITIONS`相同。
+ * @throws RangeError
+ *     若某个查询条件的值不满足约束，则抛出此异常。
+ */
+function checkCriteriaConstraints(name, criteria, definitions) {
+  const defs = new Map();
+  for (const def of (definitions ?? [])) {
+    if (def && (typeof def.name === 'string')) {
+      defs.set(def.name, def);
+    }
+  }
+  for (const [key, value] of Object.entries(criteria)) {
+    checkCriteriaValue(`${name}.${key}`, value, defs.get(key));
+  }
+  for (const key of Object.keys(criteria)) {
+    if (key.endsWith('Start')) {
+      const endKey = `${key.slice(0, -'Start'.length)}End`;
+      if (defs.has(key) && defs.has(endKey)) {
+        checkCriteriaRange(`${name}.${key}`, criteria[key], `${name}.${endKey}`, criteria[endKey]);
+      }
+    }
+  }
+}
+
+export {
+  TIMESTAMP_PATTERN,
+  checkCriteriaValue,
+  checkCriteriaRange,
+};
+
+export default checkCriteriaConstraints;
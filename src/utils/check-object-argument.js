@@ -7,23 +7,41 @@
 //
 ////////////////////////////////////////////////////////////////////////////////
 import { checkArgumentType } from '@qubit-ltd/common-util';
+import Criteria from '../params/Criteria';
+import checkCriteriaConstraints from './check-criteria-constraints';
+import resolveCriteriaType from './resolve-criteria-type';
 
 /**
  * 检查指定的对象参数是否合法。
  *
+ * 若参数是一个`Criteria`对象，则按照属性定义检查其中的每个比较条件，详见
+ * `Criteria.prototype.validate()`的说明。
+ *
+ * 除了检查每个属性的类型之外，此函数还检查属性定义中的`pattern`、`min`、`max`和`values`
+ * 等约束，以及名为`xxxStart`和`xxxEnd`的一对属性所表示的范围，详见
+ * `checkCriteriaConstraints()`的说明。
+ *
+ * 若提供了实体类，则未在属性定义中声明的、以`.`分隔的属性路径（例如`category.name`）
+ * 也是合法的属性名，此时将按照实体类的`@Type`元数据逐级检查路径中的每个属性，并按照
+ * 解析得到的属性类型检查其值，详见`resolveCriteriaType()`的说明。
+ *
  * @param {string} name
  *     要检查的参数的名称。
  * @param {object} obj
  *     要检查的参数的值。
  * @param {Array<object>} definition
- *     要检查的参数的属性定义。每个定义包含name（字段名）和type（类型）。
- *     例如：[{ name: 'field1', type: String }, { name: 'field2', type: Number }]
+ *     要检查的参数的属性定义。每个定义包含name（字段名）和type（类型），以及可选的约束。
+ *     例如：[{ name: 'field1', type: String }, { name: 'field2', type: Number, min: 0 }]
  * @param {boolean} nullable
  *     要检查的参数是否允许为`null`或`undefined`。
+ * @param {Function|undefined} Class
+ *     查询的实体类的构造器函数，用于检查属性路径。若未提供此参数，则不允许使用属性路径。
  * @throws TypeError
  *     如果`criteria`不是一个合法的查询条件参数，则抛出此异常。
+ * @throws RangeError
+ *     如果`criteria`中某个属性的值不满足其定义中的约束，则抛出此异常。
  */
-function checkObjectArgument(name, obj, definition = [], nullable = false) {
+function checkObjectArgument(name, obj, definition = [], nullable = false, Class = undefined) {
   if (obj === null) {
     if (!nullable) {
       throw new TypeError(`The value of the argument '${name}' cannot be null.`);
@@ -35,6 +53,11 @@ function checkObjectArgument(name, obj, definition = [], nullable = false) {
     }
     return;  // 允许undefined值时提前返回
   }
+  // 复合查询条件由其自身检查
+  if (obj instanceof Criteria) {
+    obj.validate(definition, name, Class);
+    return;
+  }
   // 检查参数类型
   checkArgumentType(name, obj, Object);
   // 如果参数为空对象，直接返回
@@ -61,10 +84,17 @@ function checkObjectArgument(name, obj, definition = [], nullable = false) {
     // 检查是否是定义的字段
     if (fields.has(key)) {
       checkArgumentType(`${name}.${key}`, val, fields.get(key));
+    } else if ((typeof Class === 'function') && key.includes('.')) {
+      const type = resolveCriteriaType(Class, key);
+      if (type) {
+        checkArgumentType(`${name}.${key}`, val, type);
+      }
     } else {
       throw new TypeError(`Unsupported field: "${name}.${key}"`);
     }
   }
+  // 检查属性定义中的约束
+  checkCriteriaConstraints(name, obj, definition);
 }
 
 export default checkObjectArgument;
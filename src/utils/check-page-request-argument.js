@@ -9,18 +9,88 @@
 import { PageRequest } from '@qubit-ltd/common-model';
 import { checkArgumentType } from '@qubit-ltd/common-util';
 
+/**
+ * 判断一个值是否不为空。
+ *
+ * @param {any} value
+ *     待判断的值。
+ * @return {boolean}
+ *     若该值既不是`undefined`也不是`null`，则返回`true`；否则返回`false`。
+ * @private
+ */
+function isPresent(value) {
+  return (value !== undefined) && (value !== null);
+}
+
+/**
+ * 判断指定的分页请求参数是否为游标分页请求。
+ *
+ * 游标分页请求形如`{ after, limit }`或`{ before, limit }`，其中`after`和`before`是上一次
+ * 查询返回的`CursorPage`对象中的游标，`limit`是每页的数据条数。只要指定了这三个属性中的
+ * 任何一个，即视为游标分页请求；否则视为按页码分页的请求。
+ *
+ * @param {object} pageRequest
+ *     分页请求参数。
+ * @return {boolean}
+ *     若该参数为游标分页请求，则返回`true`；否则返回`false`。
+ */
+function isCursorPageRequest(pageRequest) {
+  return isPresent(pageRequest?.after)
+    || isPresent(pageRequest?.before)
+    || isPresent(pageRequest?.limit);
+}
+
+/**
+ * 检查指定的游标分页请求参数是否合法。
+ *
+ * @param {object} pageRequest
+ *     要检查的游标分页请求参数。
+ * @throws TypeError
+ *     如果参数的属性类型不正确，则抛出此异常。
+ * @throws RangeError
+ *     如果参数同时指定了`after`和`before`，或者同时指定了页码，或者`limit`不是正整数，
+ *     则抛出此异常。
+ * @private
+ */
+function checkCursorPageRequest(pageRequest) {
+  const { after, before, limit, pageIndex, pageSize } = pageRequest;
+  checkArgumentType('pageRequest.after', after, String, true);
+  checkArgumentType('pageRequest.before', before, String, true);
+  checkArgumentType('pageRequest.limit', limit, Number, true);
+  if (isPresent(after) && isPresent(before)) {
+    throw new RangeError('The cursor page request cannot specify both "after" and "before".');
+  }
+  if (isPresent(pageIndex) || isPresent(pageSize)) {
+    throw new RangeError('The cursor page request cannot be combined with "pageIndex" or "pageSize".');
+  }
+  if (isPresent(limit) && !(Number.isInteger(limit) && (limit > 0))) {
+    throw new RangeError(`The limit of the cursor page request must be a positive integer: ${limit}`);
+  }
+}
+
 /**
  * 检查指定的分页请求参数是否合法。
  *
+ * 分页请求参数可以是按页码分页的请求`{ pageIndex, pageSize }`，也可以是游标分页请求
+ * `{ after, limit }`或`{ before, limit }`，详见`isCursorPageRequest()`的说明。
+ *
  * @param {PageRequest|object} pageRequest
  *     要检查的分页请求参数。
  * @throws TypeError
  *     如果`pageRequest`不是一个合法的分页请求参数，则抛出此异常。
+ * @throws RangeError
+ *     如果游标分页请求的属性组合或取值不合法，则抛出此异常。
  */
 function checkPageRequestArgument(pageRequest) {
   checkArgumentType('pageRequest', pageRequest, [PageRequest, Object]);
+  if (isCursorPageRequest(pageRequest)) {
+    checkCursorPageRequest(pageRequest);
+    return;
+  }
   checkArgumentType('pageRequest.pageIndex', pageRequest.pageIndex, Number, true);
   checkArgumentType('pageRequest.pageSize', pageRequest.pageSize, Number, true);
 }
 
+export { isCursorPageRequest };
+
 export default checkPageRequestArgument;
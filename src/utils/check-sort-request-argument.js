@@ -8,23 +8,34 @@
 ////////////////////////////////////////////////////////////////////////////////
 import { SortOrder, SortRequest } from '@qubit-ltd/common-model';
 import { checkArgumentType } from '@qubit-ltd/common-util';
+import resolvePropertyPath from './resolve-property-path';
 
 /**
- * 检查指定的排序请求参数是否合法。
+ * 检查单个排序请求是否合法。
  *
+ * @param {string} name
+ *     排序请求参数的名称，用于错误信息。
  * @param {SortRequest|object} sortRequest
- *     要检查的排序请求参数。
+ *     要检查的排序请求。
  * @param {Function|undefined} Class
- *     待检索的实体类的构造器函数，用于检查`sortRequest.sortField`是否为指定类的字段。若
- *     未提供此参数，则忽略。
+ *     待检索的实体类的构造器函数；若为`undefined`，则不检查排序字段是否为其字段。
+ * @param {boolean} fieldRequired
+ *     是否必须指定排序字段。
  * @throws TypeError
- *     如果`pageRequest`不是一个合法的排序请求参数，则抛出此异常。
+ *     如果`sortRequest`不是一个合法的排序请求，则抛出此异常。
+ * @private
  */
-function checkSortRequestArgument(sortRequest, Class = undefined) {
-  checkArgumentType('sortRequest', sortRequest, [SortRequest, Object]);
-  checkArgumentType('sortRequest.sortField', sortRequest.sortField, String, true);
-  checkArgumentType('sortRequest.sortOrder', sortRequest.sortOrder, [SortOrder, String], true);
-  if ((typeof Class === 'function') && (sortRequest.sortField)) {
+function checkSortKey(name, sortRequest, Class, fieldRequired) {
+  checkArgumentType(name, sortRequest, [SortRequest, Object]);
+  checkArgumentType(`${name}.sortField`, sortRequest.sortField, String, !fieldRequired);
+  checkArgumentType(`${name}.sortOrder`, sortRequest.sortOrder, [SortOrder, String], true);
+  if (fieldRequired && !sortRequest.sortField) {
+    throw new TypeError(`The value of the argument '${name}.sortField' cannot be empty.`);
+  }
+  if ((typeof Class === 'function') && sortRequest.sortField?.includes('.')) {
+    // 嵌套的属性路径按照各级属性的类型逐级检查
+    resolvePropertyPath(Class, sortRequest.sortField);
+  } else if ((typeof Class === 'function') && (sortRequest.sortField)) {
     // 检查`sortRequest.sortField`是否为指定类的字段
     const obj = new Class();
     const fields = Object.keys(obj);
@@ -34,4 +45,39 @@ function checkSortRequestArgument(sortRequest, Class = undefined) {
   }
 }
 
+/**
+ * 检查指定的排序请求参数是否合法。
+ *
+ * 排序请求参数可以是单个排序请求，也可以是按照优先级从高到低排列的多个排序请求组成的
+ * 数组，例如`[{ sortField: 'province' }, { sortField: 'city' }, { sortField: 'name' }]`，
+ * 此时每个排序请求都必须指定排序字段，且同一个字段不能重复出现。
+ *
+ * 排序字段可以是以`.`分隔的属性路径，例如`category.name`，此时将按照模型类的`@Type`
+ * 元数据逐级检查路径中的每个属性，详见`resolvePropertyPath()`的说明。
+ *
+ * @param {SortRequest|object|Array<SortRequest|object>} sortRequest
+ *     要检查的排序请求参数。
+ * @param {Function|undefined} Class
+ *     待检索的实体类的构造器函数，用于检查`sortRequest.sortField`是否为指定类的字段或
+ *     属性路径。若未提供此参数，则忽略。
+ * @throws TypeError
+ *     如果`sortRequest`不是一个合法的排序请求参数，则抛出此异常。
+ * @throws RangeError
+ *     如果多个排序请求中的某个字段重复出现，则抛出此异常。
+ */
+function checkSortRequestArgument(sortRequest, Class = undefined) {
+  if (!Array.isArray(sortRequest)) {
+    checkSortKey('sortRequest', sortRequest, Class, false);
+    return;
+  }
+  const seen = new Set();
+  sortRequest.forEach((key, i) => {
+    checkSortKey(`sortRequest[${i}]`, key, Class, true);
+    if (seen.has(key.sortField)) {
+      throw new RangeError(`The sort field '${key.sortField}' is specified more than once.`);
+    }
+    seen.add(key.sortField);
+  });
+}
+
 export default checkSortRequestArgument;
@@ -0,0 +1,690 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { TaskInfo } from '@qubit-ltd/common-model';
+import { checkArgumentType } from '@qubit-ltd/common-util';
+import { Logger } from '@qubit-ltd/logging';
+
+const logger = Logger.getLogger('OpenApiGenerator');
+
+/**
+ * 各个实现函数对应的HTTP请求的方法、参数、请求体和响应体的类型。
+ *
+ * 其中`query`表示查询参数的类型，`page`为分页查询参数，`list`为不分页的查询参数；
+ * `request`和`response`分别表示请求体和响应体的类型，详见`toBodySchema()`的说明；
+ * `batch`表示是否支持`batch_result`查询参数；`report`表示是否支持`dry_run`和
+ * `import_report`查询参数。
+ *
+ * @type {object}
+ * @private
+ */
+const IMPL_OPERATIONS = {
+  listImpl: { method: 'get', query: 'page', response: 'page' },
+  iterateImpl: { method: 'get', query: 'page', response: 'page' },
+  listAllImpl: { method: 'get', query: 'page', response: 'page' },
+  listInfoImpl: { method: 'get', query: 'page', response: 'infoPage' },
+  getImpl: { method: 'get', response: 'entity' },
+  getByKeyImpl: { method: 'get', response: 'entity' },
+  getByParentAndKeyImpl: { method: 'get', response: 'entity' },
+  getInfoImpl: { method: 'get', response: 'info' },
+  getInfoByKeyImpl: { method: 'get', response: 'info' },
+  getInfoByParentAndKeyImpl: { method: 'get', response: 'info' },
+  getPropertyImpl: { method: 'get', response: 'any' },
+  getPropertyByKeyImpl: { method: 'get', response: 'any' },
+  getPropertyByParentAndKeyImpl: { method: 'get', response: 'any' },
+  existsImpl: { method: 'head', response: 'none' },
+  existsKeyImpl: { method: 'head', response: 'none' },
+  existsParentAndKeyImpl: { method: 'head', response: 'none' },
+  addImpl: { method: 'post', request: 'entity', response: 'entity' },
+  batchAddImpl: { method: 'post', request: 'entities', response: 'entities', batch: true },
+  updateImpl: { method: 'put', request: 'entity', response: 'entity' },
+  updateByKeyImpl: { method: 'put', request: 'entity', response: 'entity' },
+  updateByParentAndKeyImpl: { method: 'put', request: 'entity', response: 'entity' },
+  batchUpdateImpl: { method: 'put', request: 'entities', response: 'entities', batch: true },
+  updatePropertyImpl: { method: 'put', request: 'any', response: 'timestamp' },
+  updatePropertyByKeyImpl: { method: 'put', request: 'any', response: 'timestamp' },
+  patchImpl: { method: 'patch', request: 'mergePatch', response: 'entity' },
+  deleteImpl: { method: 'delete', response: 'none' },
+  deleteByKeyImpl: { method: 'delete', response: 'none' },
+  deleteByParentAndKeyImpl: { method: 'delete', response: 'none' },
+  deleteAllImpl: { method: 'delete', response: 'count' },
+  batchDeleteImpl: { method: 'delete', request: 'ids', response: 'count', batch: true },
+  restoreImpl: { method: 'patch', response: 'none' },
+  restoreByKeyImpl: { method: 'patch', response: 'none' },
+  restoreByParentAndKeyImpl: { method: 'patch', response: 'none' },
+  restoreAllImpl: { method: 'patch', response: 'count' },
+  batchRestoreImpl: { method: 'patch', request: 'ids', response: 'count', batch: true },
+  purgeImpl: { method: 'delete', response: 'none' },
+  purgeByKeyImpl: { method: 'delete', response: 'none' },
+  purgeByParentAndKeyImpl: { method: 'delete', response: 'none' },
+  purgeAllImpl: { method: 'delete', response: 'count' },
+  batchPurgeImpl: { method: 'delete', request: 'ids', response: 'count', batch: true },
+  eraseImpl: { method: 'delete', response: 'none' },
+  eraseByKeyImpl: { method: 'delete', response: 'none' },
+  eraseByParentAndKeyImpl: { method: 'delete', response: 'none' },
+  eraseAllImpl: { method: 'delete', response: 'count' },
+  batchEraseImpl: { method: 'delete', request: 'ids', response: 'count', batch: true },
+  exportImpl: { method: 'get', query: 'list', response: 'file' },
+  exportAsyncImpl: { method: 'post', query: 'list', response: 'task' },
+  importImpl: { method: 'post', query: 'import', request: 'file', response: 'count', report: true },
+};
+
+/**
+ * JavaScript内置类型对应的OpenAPI数据模型。
+ *
+ * @type {object}
+ * @private
+ */
+const PRIMITIVE_SCHEMAS = {
+  String: { type: 'string' },
+  Number: { type: 'number' },
+  BigInt: { type: 'integer', format: 'int64' },
+  Boolean: { type: 'boolean' },
+  Date: { type: 'string', format: 'date-time' },
+  Object: { type: 'object' },
+  Array: { type: 'array', items: {} },
+};
+
+/**
+ * 表示服务器错误信息的数据模型。
+ *
+ * @type {object}
+ * @private
+ */
+const ERROR_INFO_SCHEMA = {
+  type: 'object',
+  properties: {
+    type: { type: 'string' },
+    code: { type: 'string' },
+    message: { type: 'string' },
+    params: { type: 'array', items: {} },
+  },
+};
+
+/**
+ * 表示批量操作结果的数据模型。
+ *
+ * @type {object}
+ * @private
+ */
+const BATCH_RESULT_SCHEMA = {
+  type: 'object',
+  properties: {
+    succeeded: { type: 'array', items: {} },
+    failed: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          index: { type: 'integer' },
+          id: { type: 'string' },
+          error: { $ref: '#/components/schemas/ErrorInfo' },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * 表示导入文件的逐行校验结果的数据模型。
+ *
+ * @type {object}
+ * @private
+ */
+const IMPORT_ISSUE_SCHEMA = {
+  type: 'object',
+  properties: {
+    row: { type: 'integer', nullable: true },
+    column: { type: 'string', nullable: true },
+    code: { type: 'string', nullable: true },
+    message: { type: 'string' },
+  },
+};
+
+/**
+ * 表示导入报告的数据模型。
+ *
+ * @type {object}
+ * @private
+ */
+const IMPORT_REPORT_SCHEMA = {
+  type: 'object',
+  properties: {
+    dry_run: { type: 'boolean' },
+    accepted: { type: 'integer' },
+    rejected: { type: 'array', items: IMPORT_ISSUE_SCHEMA },
+    warnings: { type: 'array', items: IMPORT_ISSUE_SCHEMA },
+  },
+};
+
+/**
+ * 将驼峰形式的名称转换为下划线形式。
+ *
+ * @param {string} name
+ *     驼峰形式的名称，例如`createTime`。
+ * @return {string}
+ *     下划线形式的名称，例如`create_time`。
+ * @private
+ */
+function toSnakeCase(name) {
+  return name.replace(/[A-Z]/g, (c) => `_${c.toLowerCase()}`);
+}
+
+/**
+ * 判断一个类是否为枚举类。
+ *
+ * @param {function} type
+ *     指定的类。
+ * @return {boolean}
+ *     若该类具有静态的`values()`方法，则返回`true`；否则返回`false`。注意`Object`类的
+ *     静态方法`Object.values()`不是枚举类的`values()`方法。
+ * @private
+ */
+function isEnumClass(type) {
+  return (typeof type === 'function')
+    && (typeof type.values === 'function')
+    && (type.values !== Object.values);
+}
+
+/**
+ * 获取一个枚举类的数据模型。
+ *
+ * @param {function} type
+ *     指定的枚举类。
+ * @return {object}
+ *     该枚举类的数据模型，其取值为各枚举值的`value`属性。
+ * @private
+ */
+function toEnumSchema(type) {
+  return {
+    type: 'string',
+    enum: type.values().map((e) => String(e?.value ?? e)),
+  };
+}
+
+/**
+ * 此类用于收集OpenAPI文档中`components.schemas`部分的数据模型。
+ *
+ * @author 胡海星
+ * @private
+ */
+class SchemaRegistry {
+  /**
+   * 已收集的数据模型，键为模型名称。
+   *
+   * @type {object}
+   */
+  schemas = {
+    ErrorInfo: ERROR_INFO_SCHEMA,
+    BatchResult: BATCH_RESULT_SCHEMA,
+    ImportReport: IMPORT_REPORT_SCHEMA,
+  };
+
+  /**
+   * 获取一个模型类的数据模型的引用，必要时生成该数据模型。
+   *
+   * 模型类的属性由其默认构造的实例推断：属性名转换为下划线形式，属性的类型由其默认值的
+   * 类型推断；默认值为`null`或`undefined`的属性无法推断类型，其数据模型为
+   * `{ nullable: true }`。
+   *
+   * @param {function} type
+   *     指定的模型类。
+   * @return {object}
+   *     该模型类的数据模型的引用。
+   */
+  ref(type) {
+    const name = type.name;
+    if (!Object.hasOwn(this.schemas, name)) {
+      // 先占位，以支持相互引用的模型类
+      this.schemas[name] = { type: 'object' };
+      this.schemas[name] = this.__modelSchema(type);
+    }
+    return { $ref: `#/components/schemas/${name}` };
+  }
+
+  /**
+   * 获取一个模型类的分页数据的数据模型的引用，必要时生成该数据模型。
+   *
+   * @param {function} type
+   *     分页数据中元素的模型类。
+   * @return {object}
+   *     该分页数据的数据模型的引用。
+   */
+  pageRef(type) {
+    const name = `${type.name}Page`;
+    if (!Object.hasOwn(this.schemas, name)) {
+      this.schemas[name] = {
+        type: 'object',
+        properties: {
+          content: { type: 'array', items: this.ref(type) },
+          total_count: { type: 'integer' },
+          total_pages: { type: 'integer' },
+          page_index: { type: 'integer' },
+          page_size: { type: 'integer' },
+        },
+      };
+    }
+    return { $ref: `#/components/schemas/${name}` };
+  }
+
+  /**
+   * 生成一个模型类的数据模型。
+   *
+   * @param {function} Model
+   *     指定的模型类。
+   * @return {object}
+   *     该模型类的数据模型。
+   * @private
+   */
+  __modelSchema(Model) {
+    let instance;
+    try {
+      instance = new Model();
+    } catch (error) {
+      logger.warn('Cannot instantiate the model class %s:', Model.name, error);
+      return { type: 'object' };
+    }
+    const properties = {};
+    for (const [key, value] of Object.entries(instance)) {
+      properties[toSnakeCase(key)] = this.__valueSchema(value);
+    }
+    return { type: 'object', properties };
+  }
+
+  /**
+   * 根据属性的默认值推断其数据模型。
+   *
+   * @param {any} value
+   *     属性的默认值。
+   * @return {object}
+   *     该属性的数据模型。
+   * @private
+   */
+  __valueSchema(value) {
+    if ((value === null) || (value === undefined)) {
+      return { nullable: true };
+    }
+    switch (typeof value) {
+      case 'string':
+        return { type: 'string' };
+      case 'number':
+        return { type: 'number' };
+      case 'bigint':
+        return { type: 'integer', format: 'int64' };
+      case 'boolean':
+        return { type: 'boolean' };
+      default:
+        break;
+    }
+    if (Array.isArray(value)) {
+      return { type: 'array', items: {} };
+    }
+    const type = value.constructor;
+    if (isEnumClass(type)) {
+      return toEnumSchema(type);
+    }
+    if (PRIMITIVE_SCHEMAS[type?.name] || (typeof type !== 'function')) {
+      return { ...(PRIMITIVE_SCHEMAS[type?.name] ?? { type: 'object' }) };
+    }
+    return this.ref(type);
+  }
+}
+
+/**
+ * 获取一个查询条件的参数类型的数据模型。
+ *
+ * @param {function|Array<function>} type
+ *     查询条件定义中的`type`属性，可以是一个类或多个类的数组。若为数组，则优先使用其中
+ *     的枚举类，其次使用字符串类型，否则使用第一个类。
+ * @return {object}
+ *     该参数类型的数据模型。
+ * @private
+ */
+function toParameterSchema(type) {
+  if (Array.isArray(type)) {
+    const enumType = type.find(isEnumClass);
+    if (enumType) {
+      return toEnumSchema(enumType);
+    }
+    return toParameterSchema(type.includes(String) ? String : type[0]);
+  }
+  if (isEnumClass(type)) {
+    return toEnumSchema(type);
+  }
+  return { ...(PRIMITIVE_SCHEMAS[type?.name] ?? PRIMITIVE_SCHEMAS.String) };
+}
+
+/**
+ * 将查询条件定义中的约束添加到其参数类型的数据模型中。
+ *
+ * @param {object} schema
+ *     查询条件的参数类型的数据模型，将被直接修改。
+ * @param {object} definition
+ *     查询条件定义，其中可能包含`pattern`、`min`、`max`和`values`等约束，详见
+ *     `checkCriteriaValue()`的说明。
+ * @return {object}
+ *     添加约束后的数据模型。
+ * @private
+ */
+function applyConstraints(schema, definition) {
+  const { pattern, min, max, values } = definition;
+  if (pattern) {
+    schema.pattern = pattern.source;
+  }
+  if ((typeof min === 'number') || (typeof min === 'bigint')) {
+    schema.minimum = Number(min);
+  }
+  if ((typeof max === 'number') || (typeof max === 'bigint')) {
+    schema.maximum = Number(max);
+  }
+  if (Array.isArray(values)) {
+    schema.enum = values.map((v) => String(v?.value ?? v));
+  }
+  return schema;
+}
+
+/**
+ * 构造一个查询参数的定义。
+ *
+ * @param {string} name
+ *     查询参数的名称。
+ * @param {object} schema
+ *     查询参数的数据模型。
+ * @return {object}
+ *     该查询参数的定义。
+ * @private
+ */
+function queryParameter(name, schema) {
+  return { name, in: 'query', required: false, schema };
+}
+
+/**
+ * 获取一个操作的所有参数的定义。
+ *
+ * @param {object} api
+ *     API对象。
+ * @param {string} url
+ *     操作的URL模板。
+ * @param {object} operation
+ *     操作的类型，详见`IMPL_OPERATIONS`的说明。
+ * @return {Array<object>}
+ *     该操作的所有参数的定义。
+ * @private
+ */
+function toParameters(api, url, operation) {
+  const parameters = [...url.matchAll(/\{(\w+)\}/g)].map(([, name]) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: { type: 'string' },
+  }));
+  if (operation.query === 'page') {
+    parameters.push(queryParameter('page_index', { type: 'integer' }));
+    parameters.push(queryParameter('page_size', { type: 'integer' }));
+  }
+  if ((operation.query === 'page') || (operation.query === 'list')) {
+    for (const def of (api.CRITERIA_DEFINITIONS ?? [])) {
+      const schema = applyConstraints(toParameterSchema(def.type), def);
+      parameters.push(queryParameter(toSnakeCase(def.name), schema));
+    }
+    parameters.push(queryParameter('sort_field', { type: 'string' }));
+    parameters.push(queryParameter('sort_order', { type: 'string', enum: ['ASC', 'DESC'] }));
+  }
+  if (operation.query === 'import') {
+    parameters.push(queryParameter('parallel', { type: 'boolean' }));
+    parameters.push(queryParameter('threads', { type: 'integer' }));
+  }
+  if (operation.batch) {
+    parameters.push(queryParameter('batch_result', { type: 'boolean' }));
+  }
+  if (operation.report) {
+    parameters.push(queryParameter('dry_run', { type: 'boolean' }));
+    parameters.push(queryParameter('import_report', { type: 'boolean' }));
+  }
+  return parameters;
+}
+
+/**
+ * 获取请求体或响应体的数据模型。
+ *
+ * 请求体或响应体的类型可以是：
+ * - `entity`：一个实体对象；
+ * - `entities`：实体对象的数组；
+ * - `info`：一个实体对象的基本信息；
+ * - `page`、`infoPage`：实体对象或其基本信息的分页数据；
+ * - `ids`：实体对象的ID的数组；
+ * - `count`：受影响的实体对象的数目；
+ * - `timestamp`：操作完成的时间戳；
+ * - `task`：服务器端异步任务的`TaskInfo`对象；
+ * - `any`：无法确定类型的JSON数据。
+ *
+ * @param {string} kind
+ *     请求体或响应体的类型。
+ * @param {object} api
+ *     API对象。
+ * @param {SchemaRegistry} registry
+ *     数据模型的注册表。
+ * @return {object}
+ *     该请求体或响应体的数据模型。
+ * @private
+ */
+function toBodySchema(kind, api, registry) {
+  const infoClass = api.entityInfoClass ?? api.entityClass;
+  switch (kind) {
+    case 'entity':
+      return registry.ref(api.entityClass);
+    case 'entities':
+      return { type: 'array', items: registry.ref(api.entityClass) };
+    case 'info':
+      return registry.ref(infoClass);
+    case 'page':
+      return registry.pageRef(api.entityClass);
+    case 'infoPage':
+      return registry.pageRef(infoClass);
+    case 'ids':
+      return { type: 'array', items: { type: 'string' } };
+    case 'count':
+      return { type: 'integer' };
+    case 'timestamp':
+      return { type: 'string', format: 'date-time' };
+    case 'task':
+      return registry.ref(TaskInfo);
+    default:
+      return {};
+  }
+}
+
+/**
+ * 构造一个JSON格式的请求体或响应体的内容定义。
+ *
+ * @param {object} schema
+ *     请求体或响应体的数据模型。
+ * @param {string} mediaType
+ *     请求体或响应体的MIME类型。
+ * @return {object}
+ *     该请求体或响应体的内容定义。
+ * @private
+ */
+function toContent(schema, mediaType = 'application/json') {
+  return { [mediaType]: { schema } };
+}
+
+/**
+ * 构造一个操作的定义。
+ *
+ * @param {object} api
+ *     API对象。
+ * @param {string} apiName
+ *     API对象的名称。
+ * @param {string} methodName
+ *     API对象中声明该操作的方法的名称。
+ * @param {string} url
+ *     操作的URL模板。
+ * @param {object} operation
+ *     操作的类型，详见`IMPL_OPERATIONS`的说明。
+ * @param {SchemaRegistry} registry
+ *     数据模型的注册表。
+ * @return {object}
+ *     该操作的定义。
+ * @private
+ */
+function toOperation(api, apiName, methodName, url, operation, registry) {
+  const result = {
+    operationId: `${apiName}.${methodName}`,
+    tags: [apiName],
+    parameters: toParameters(api, url, operation),
+  };
+  switch (operation.request) {
+    case undefined:
+      break;
+    case 'file':
+      result.requestBody = {
+        required: true,
+        content: toContent({
+          type: 'object',
+          properties: { file: { type: 'string', format: 'binary' } },
+        }, 'multipart/form-data'),
+      };
+      break;
+    case 'mergePatch':
+      result.requestBody = {
+        required: true,
+        content: toContent({ type: 'object' }, 'application/merge-patch+json'),
+      };
+      break;
+    default:
+      result.requestBody = {
+        required: true,
+        content: toContent(toBodySchema(operation.request, api, registry)),
+      };
+      break;
+  }
+  result.responses = {};
+  let schema;
+  switch (operation.response) {
+    case 'none':
+      result.responses['200'] = { description: 'OK' };
+      break;
+    case 'file':
+      result.responses['200'] = {
+        description: 'OK',
+        content: toContent({ type: 'string', format: 'binary' }, 'application/octet-stream'),
+      };
+      break;
+    default:
+      schema = toBodySchema(operation.response, api, registry);
+      if (operation.batch) {
+        // 指定`batch_result`查询参数时，服务器返回批量操作结果
+        schema = { oneOf: [schema, { $ref: '#/components/schemas/BatchResult' }] };
+      }
+      if (operation.report) {
+        // 指定`dry_run`或`import_report`查询参数时，服务器返回导入报告
+        schema = { oneOf: [schema, { $ref: '#/components/schemas/ImportReport' }] };
+      }
+      result.responses['200'] = { description: 'OK', content: toContent(schema) };
+      break;
+  }
+  result.responses.default = {
+    description: 'Error',
+    content: toContent({ $ref: '#/components/schemas/ErrorInfo' }),
+  };
+  result['x-client-methods'] = [methodName];
+  return result;
+}
+
+/**
+ * 根据API对象所声明的路由定义生成OpenAPI 3文档。
+ *
+ * 由于API对象的方法经过了装饰器的包装和编译器的转译，无法在运行时可靠地获取其请求的URL，
+ * 因此每个API对象需要通过其`ROUTE_DEFINITIONS`属性声明其各个方法请求的URL。该属性是一个
+ * 路由定义的数组，每个路由定义是一个包含以下属性的对象：
+ * - `name: string` 声明该路由的方法的名称；
+ * - `impl: string` 该方法调用的实现函数的名称，例如`listImpl`，据此确定HTTP请求的方法、
+ *   请求体和响应体的类型；
+ * - `method: string` 该方法直接调用`http`对象时，HTTP请求的方法，例如`get`。此时其请求体
+ *   和响应体的类型无法确定，将被表示为任意JSON数据。`impl`和`method`两者必须提供其一；
+ * - `url: string` 请求的URL模板，其中以`{name}`表示路径参数。
+ *
+ * 本库提供的各个API对象（例如`organizationApi`）均已声明了路由定义，`createEntityApi()`
+ * 生成的API对象也已根据其配置自动声明了路由定义；自定义的API类可以自行声明
+ * `ROUTE_DEFINITIONS`属性。没有声明路由定义的API对象将被忽略。查询参数的类型由
+ * API对象的`CRITERIA_DEFINITIONS`确定，请求体和响应体的数据模型由API对象的`entityClass`
+ * 和`entityInfoClass`确定。
+ *
+ * 多个方法请求同一URL和HTTP方法时（例如`list()`和`listAll()`），生成的文档中只包含一个
+ * 操作，其`operationId`由第一个方法确定，所有方法的名称记录在其`x-client-methods`属性
+ * 中，以便与服务器端的路由逐一核对。
+ *
+ * 使用示例（在Node.js环境中）：
+ * ```js
+ * import fs from 'node:fs';
+ * import { createEntityApi, generateOpenApiDocument } from '@qubit-ltd/common-api';
+ *
+ * const productApi = createEntityApi({ baseUrl: '/product', entityClass: Product });
+ * const document = generateOpenApiDocument({ productApi }, { title: 'Common API', version: '1.0.0' });
+ * fs.writeFileSync('openapi.json', JSON.stringify(document, null, 2));
+ * ```
+ *
+ * @param {object} apis
+ *     要生成文档的API对象，键为API对象的名称，例如`{ productApi, orderApi }`。
+ * @param {object} options
+ *     可选的参数，可以包含以下属性：
+ *     - `title: string` 文档的标题，默认为`API`；
+ *     - `version: string` 文档的版本，默认为`1.0.0`；
+ *     - `description: string` 文档的描述；
+ *     - `servers: Array<object>` 服务器列表，例如`[{ url: 'https://api.example.com' }]`。
+ * @return {object}
+ *     生成的OpenAPI 3文档对象，可以直接序列化为JSON。
+ * @throws TypeError
+ *     若参数不合法，则抛出此异常。
+ * @author 胡海星
+ */
+function generateOpenApiDocument(apis, options = {}) {
+  checkArgumentType('apis', apis, Object);
+  checkArgumentType('options', options, Object);
+  const registry = new SchemaRegistry();
+  const paths = {};
+  for (const [apiName, api] of Object.entries(apis)) {
+    if (!Array.isArray(api.ROUTE_DEFINITIONS)) {
+      logger.warn('The %s does not declare its ROUTE_DEFINITIONS, ignored.', apiName);
+      continue;
+    }
+    for (const { name, impl, method, url } of api.ROUTE_DEFINITIONS) {
+      const operation = (impl ? IMPL_OPERATIONS[impl] : { method: method?.toLowerCase(), response: 'any' });
+      if (!operation?.method) {
+        logger.warn('Unsupported route of the method %s.%s, ignored:', apiName, name, impl ?? method);
+        continue;
+      }
+      paths[url] = paths[url] ?? {};
+      const existing = paths[url][operation.method];
+      if (existing) {
+        existing['x-client-methods'].push(name);
+      } else {
+        paths[url][operation.method] = toOperation(api, apiName, name, url, operation, registry);
+      }
+    }
+  }
+  const document = {
+    openapi: '3.0.3',
+    info: {
+      title: options.title ?? 'API',
+      version: options.version ?? '1.0.0',
+    },
+  };
+  if (options.description) {
+    document.info.description = options.description;
+  }
+  if (options.servers) {
+    document.servers = options.servers;
+  }
+  document.paths = paths;
+  document.components = { schemas: registry.schemas };
+  return document;
+}
+
+export default generateOpenApiDocument;
@@ -0,0 +1,23 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * 获取请求失败返回的错误对象中的HTTP响应状态码。
+ *
+ * @param {any} error
+ *     请求失败返回的错误对象，可以是带有`status`属性的`ErrorInfo`对象，也可以是带有
+ *     `response.status`属性的HTTP错误对象。
+ * @return {number|undefined}
+ *     HTTP响应状态码；若无法获取，则返回`undefined`。
+ */
+function getErrorStatus(error) {
+  return error?.status ?? error?.response?.status;
+}
+
+export default getErrorStatus;
@@ -0,0 +1,38 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { isEnumClass } from '@qubit-ltd/common-decorator';
+import resolvePropertyPath from './resolve-property-path';
+
+/**
+ * 沿着属性路径解析查询条件中该属性的值所允许的类型。
+ *
+ * 属性的类型由`resolvePropertyPath()`解析。由于查询条件的值通常以字符串形式传递，
+ * 枚举类型和`Date`类型的属性还允许字符串形式的值，例如`'NORMAL'`或
+ * `'2024-01-01T00:00:00Z'`，这与各API的`CRITERIA_DEFINITIONS`中的约定相同。
+ *
+ * @param {function} Class
+ *     属性路径的根对象的类。
+ * @param {string} path
+ *     属性路径，例如`category.name`。
+ * @return {function|Array<function>|undefined}
+ *     查询条件中该属性的值所允许的类型；若无法确定属性的类型，则返回`undefined`，此时
+ *     不检查其值的类型。
+ * @throws TypeError
+ *     若属性路径不合法，则抛出此异常，详见`resolvePropertyPath()`的说明。
+ * @author 胡海星
+ */
+function resolveCriteriaType(Class, path) {
+  const type = resolvePropertyPath(Class, path);
+  if (isEnumClass(type) || (type === Date)) {
+    return [type, String];
+  }
+  return type;
+}
+
+export default resolveCriteriaType;
@@ -0,0 +1,52 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { getDefaultInstance, getFieldType } from '@qubit-ltd/common-decorator';
+
+/**
+ * 沿着属性路径解析指定类的属性的类型。
+ *
+ * 属性路径由以`.`分隔的属性名组成，例如`category.name`或`contact.mobile`。路径中的
+ * 每个属性都必须是其所属类的字段；除最后一个属性之外，每个属性的类型都必须能够确定，
+ * 即由`@Type`装饰器标注，或者可以从其默认值推断，详见`getFieldType()`的说明。
+ *
+ * @param {function} Class
+ *     属性路径的根对象的类。
+ * @param {string} path
+ *     属性路径。
+ * @return {function|undefined}
+ *     路径中最后一个属性的类型；若无法确定，则返回`undefined`。
+ * @throws TypeError
+ *     若路径中的某个属性不是其所属类的字段，或者某个中间属性的类型无法确定，则抛出此异常，
+ *     其错误信息指明解析失败的属性。
+ * @author 胡海星
+ */
+function resolvePropertyPath(Class, path) {
+  const segments = path.split('.');
+  let Current = Class;
+  let type;
+  segments.forEach((segment, i) => {
+    if (i > 0) {
+      if (typeof type !== 'function') {
+        const parent = segments.slice(0, i).join('.');
+        throw new TypeError(`Cannot resolve the type of the property '${parent}' in the path `
+          + `'${path}' of the class ${Class.name}, please annotate it with @Type.`);
+      }
+      Current = type;
+    }
+    const fields = (segment ? Object.keys(getDefaultInstance(Current)) : []);
+    if (!fields.includes(segment)) {
+      throw new TypeError(`The property '${segment}' in the path '${path}' is not a field `
+        + `of the class ${Current.name}.`);
+    }
+    type = getFieldType(Current, segment);
+  });
+  return type;
+}
+
+export default resolvePropertyPath;
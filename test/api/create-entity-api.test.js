@@ -0,0 +1,331 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { http } from '@qubit-ltd/common-app';
+import createEntityApi from '../../src/api/create-entity-api';
+
+// mock dependencies
+jest.mock('@qubit-ltd/common-app', () => ({
+  http: {
+    get: jest.fn(),
+    post: jest.fn(),
+    put: jest.fn(),
+    patch: jest.fn(),
+    delete: jest.fn(),
+    download: jest.fn(),
+  },
+}));
+
+jest.mock('@qubit-ltd/common-ui', () => ({
+  loading: {
+    showGetting: jest.fn(),
+    showAdding: jest.fn(),
+    showUpdating: jest.fn(),
+    showDeleting: jest.fn(),
+    showRestoring: jest.fn(),
+    showPurging: jest.fn(),
+    showErasing: jest.fn(),
+    showExporting: jest.fn(),
+    showImporting: jest.fn(),
+  },
+}));
+
+// 测试用的实体类
+class Product {
+  id = null;
+
+  code = '';
+
+  name = '';
+
+  static create(obj) {
+    return Object.assign(new Product(), obj);
+  }
+
+  static createArray(array) {
+    return array.map((obj) => Product.create(obj));
+  }
+
+  static createPage(obj) {
+    return obj;
+  }
+}
+
+// 测试用的实体基本信息类
+class ProductInfo {
+  id = null;
+
+  name = '';
+
+  static create(obj) {
+    return Object.assign(new ProductInfo(), obj);
+  }
+
+  static createPage(obj) {
+    return obj;
+  }
+}
+
+describe('create-entity-api.js', () => {
+  beforeEach(() => {
+    http.get.mockReset();
+    http.post.mockReset();
+    http.put.mockReset();
+    http.patch.mockReset();
+    http.delete.mockReset();
+  });
+
+  describe('createEntityApi', () => {
+    it('应当生成包含全部标准方法的API对象', () => {
+      const api = createEntityApi({
+        baseUrl: '/product',
+        entityClass: Product,
+        entityInfoClass: ProductInfo,
+        keys: ['code'],
+      });
+      expect(api.entityClass).toBe(Product);
+      expect(api.entityInfoClass).toBe(ProductInfo);
+      expect(api.CRITERIA_DEFINITIONS).toEqual([]);
+      expect(api.logger).toBeDefined();
+      expect(api.constructor.name).toBe('ProductApi');
+      const methods = [
+        'list', 'iterate', 'listAll', 'listInfo', 'get', 'getByCode', 'getInfo', 'getInfoByCode',
+        'add', 'batchAdd', 'update', 'updateByCode', 'batchUpdate', 'patch', 'delete', 'deleteByCode', 'batchDelete',
+        'restore', 'restoreByCode', 'batchRestore', 'purge', 'purgeByCode',
+        'purgeAll', 'batchPurge', 'erase', 'eraseByCode', 'batchErase',
+        'exportXml', 'exportJson', 'exportExcel', 'exportCsv', 'exportAsync',
+        'importXml', 'importJson', 'importExcel', 'importCsv',
+      ];
+      for (const method of methods) {
+        expect(typeof api[method]).toBe('function');
+      }
+      expect(api.ROUTE_DEFINITIONS.map((route) => route.name)).toEqual(methods);
+    });
+
+    it('应当声明与各方法请求的URL一致的路由定义', () => {
+      const api = createEntityApi({
+        baseUrl: '/product/',
+        entityClass: Product,
+        keys: ['code'],
+        capabilities: ['get', 'purge'],
+      });
+      expect(api.ROUTE_DEFINITIONS).toEqual([
+        { name: 'get', impl: 'getImpl', url: '/product/{id}' },
+        { name: 'getByCode', impl: 'getByKeyImpl', url: '/product/code/{code}' },
+        { name: 'purge', impl: 'purgeImpl', url: '/product/{id}/purge' },
+        { name: 'purgeByCode', impl: 'purgeByKeyImpl', url: '/product/code/{code}/purge' },
+        { name: 'purgeAll', impl: 'purgeAllImpl', url: '/product/purge' },
+        { name: 'batchPurge', impl: 'batchPurgeImpl', url: '/product/batch/purge' },
+      ]);
+    });
+
+    it('应当只生成指定能力对应的方法', () => {
+      const api = createEntityApi({
+        baseUrl: '/product',
+        entityClass: Product,
+        keys: ['code'],
+        capabilities: ['list', 'get'],
+      });
+      expect(typeof api.list).toBe('function');
+      expect(typeof api.get).toBe('function');
+      expect(typeof api.getByCode).toBe('function');
+      expect(api.listInfo).toBeUndefined();
+      expect(api.update).toBeUndefined();
+      expect(api.updateByCode).toBeUndefined();
+      expect(api.delete).toBeUndefined();
+      expect(api.exportCsv).toBeUndefined();
+    });
+
+    it('不同的API对象之间不应当共享方法', () => {
+      const api1 = createEntityApi({
+        baseUrl: '/product',
+        entityClass: Product,
+        capabilities: ['get'],
+      });
+      const api2 = createEntityApi({
+        baseUrl: '/contract',
+        entityClass: Product,
+        name: 'ContractApi',
+        capabilities: ['list'],
+      });
+      expect(api1.list).toBeUndefined();
+      expect(api2.get).toBeUndefined();
+      expect(api2.constructor.name).toBe('ContractApi');
+    });
+
+    it('list() 应当使用根URL及查询条件定义', async () => {
+      const api = createEntityApi({
+        baseUrl: '/product/',
+        entityClass: Product,
+        criteria: [{ name: 'name', type: String }],
+      });
+      http.get.mockResolvedValue({ content: [] });
+      await api.list({ pageIndex: 1, pageSize: 10 }, { name: 'abc' }, {}, false);
+      expect(http.get).toHaveBeenCalledWith('/product', {
+        params: { page_index: 1, page_size: 10, name: 'abc' },
+      });
+      expect(() => api.list({}, { unknown: 'abc' }, {}, false)).toThrow(TypeError);
+    });
+
+    it('listAll() 应当逐页获取全部对象', async () => {
+      const api = createEntityApi({
+        baseUrl: '/product',
+        entityClass: Product,
+      });
+      http.get
+        .mockResolvedValueOnce({ content: [{ id: '1' }, { id: '2' }], totalPages: 2 })
+        .mockResolvedValueOnce({ content: [{ id: '3' }], totalPages: 2 });
+      const result = await api.listAll({}, {}, { pageSize: 2, showLoading: false });
+      expect(result.map((p) => p.id)).toEqual(['1', '2', '3']);
+      expect(http.get).toHaveBeenLastCalledWith('/product', {
+        params: { page_index: 1, page_size: 2 },
+      });
+    });
+
+    it('listInfo() 应当使用 info URL 并创建基本信息对象', async () => {
+      const api = createEntityApi({
+        baseUrl: '/product',
+        entityClass: Product,
+        entityInfoClass: ProductInfo,
+      });
+      http.get.mockResolvedValue({ content: [] });
+      await api.listInfo({}, {}, {}, false);
+      expect(http.get).toHaveBeenCalledWith('/product/info', { params: {} });
+    });
+
+    it('get() 与 getByCode() 应当使用正确的URL', async () => {
+      const api = createEntityApi({
+        baseUrl: '/product',
+        entityClass: Product,
+        keys: ['code'],
+      });
+      http.get.mockResolvedValue({ id: '1', code: 'P001' });
+      const p1 = await api.get('1', false);
+      expect(http.get).toHaveBeenLastCalledWith('/product/1', { params: {} });
+      expect(p1).toBeInstanceOf(Product);
+      await api.getByCode('P001', false);
+      expect(http.get).toHaveBeenLastCalledWith('/product/code/P001', { params: {} });
+    });
+
+    it('getInfo() 与 getInfoByCode() 应当使用正确的URL', async () => {
+      const api = createEntityApi({
+        baseUrl: '/product',
+        entityClass: Product,
+        entityInfoClass: ProductInfo,
+        keys: ['code'],
+      });
+      http.get.mockResolvedValue({ id: '1' });
+      const info = await api.getInfo('1', false);
+      expect(http.get).toHaveBeenLastCalledWith('/product/1/info');
+      expect(info).toBeInstanceOf(ProductInfo);
+      await api.getInfoByCode('P001', false);
+      expect(http.get).toHaveBeenLastCalledWith('/product/code/P001/info');
+    });
+
+    it('add()、update() 与 updateByCode() 应当使用正确的URL', async () => {
+      const api = createEntityApi({
+        baseUrl: '/product',
+        entityClass: Product,
+        keys: ['code'],
+      });
+      http.post.mockResolvedValue({ id: '1' });
+      http.put.mockResolvedValue({ id: '1' });
+      await api.add({ name: 'abc' }, false);
+      expect(http.post).toHaveBeenCalledWith('/product', { name: 'abc' }, { params: {} });
+      await api.update({ id: '1', name: 'abc' }, false);
+      expect(http.put).toHaveBeenLastCalledWith('/product/1', { id: '1', name: 'abc' }, { params: {} });
+      await api.updateByCode({ code: 'P001', name: 'abc' }, false);
+      expect(http.put).toHaveBeenLastCalledWith('/product/code/P001', { code: 'P001', name: 'abc' }, { params: {} });
+    });
+
+    it('batchAdd() 与 batchUpdate() 应当使用正确的URL', async () => {
+      const api = createEntityApi({
+        baseUrl: '/product',
+        entityClass: Product,
+      });
+      http.post.mockResolvedValue([{ id: '1' }]);
+      http.put.mockResolvedValue([{ id: '1' }]);
+      await api.batchAdd([{ name: 'abc' }], false);
+      expect(http.post).toHaveBeenCalledWith('/product/batch', [{ name: 'abc' }], { params: {} });
+      await api.batchUpdate([{ id: '1', name: 'abc' }], false);
+      expect(http.put).toHaveBeenCalledWith('/product/batch', [{ id: '1', name: 'abc' }], { params: {} });
+    });
+
+    it('patch() 应当使用正确的URL并只发送发生变化的属性', async () => {
+      const api = createEntityApi({
+        baseUrl: '/product',
+        entityClass: Product,
+      });
+      http.patch.mockResolvedValue({ id: '1', name: 'xyz' });
+      await api.patch({ id: '1', code: 'P001', name: 'abc' }, { id: '1', code: 'P001', name: 'xyz' }, false);
+      expect(http.patch).toHaveBeenCalledWith('/product/1/patch', { name: 'xyz' }, {
+        params: {},
+        headers: { 'Content-Type': 'application/merge-patch+json' },
+      });
+    });
+
+    it('删除、恢复、清除和擦除方法应当使用正确的URL', async () => {
+      const api = createEntityApi({
+        baseUrl: '/product',
+        entityClass: Product,
+        keys: ['code'],
+      });
+      http.delete.mockResolvedValue(1);
+      http.patch.mockResolvedValue(1);
+      await api.delete('1', false);
+      expect(http.delete).toHaveBeenLastCalledWith('/product/1', { params: {} });
+      await api.deleteByCode('P001', false);
+      expect(http.delete).toHaveBeenLastCalledWith('/product/code/P001', { params: {} });
+      await api.batchDelete(['1', '2'], false);
+      expect(http.delete).toHaveBeenLastCalledWith('/product/batch', { data: ['1', '2'], params: {} });
+      await api.restore('1', false);
+      expect(http.patch).toHaveBeenLastCalledWith('/product/1', { params: {} });
+      await api.restoreByCode('P001', false);
+      expect(http.patch).toHaveBeenLastCalledWith('/product/code/P001', { params: {} });
+      await api.purge('1', false);
+      expect(http.delete).toHaveBeenLastCalledWith('/product/1/purge', { params: {} });
+      await api.purgeByCode('P001', false);
+      expect(http.delete).toHaveBeenLastCalledWith('/product/code/P001/purge', { params: {} });
+      await api.purgeAll(false);
+      expect(http.delete).toHaveBeenLastCalledWith('/product/purge', { params: {} });
+      await api.batchPurge(['1'], false);
+      expect(http.delete).toHaveBeenLastCalledWith('/product/batch/purge', { data: ['1'], params: {} });
+      await api.erase('1', false);
+      expect(http.delete).toHaveBeenLastCalledWith('/product/1/erase', { params: {} });
+      await api.eraseByCode('P001', false);
+      expect(http.delete).toHaveBeenLastCalledWith('/product/code/P001/erase', { params: {} });
+      await api.batchErase(['1'], false);
+      expect(http.delete).toHaveBeenLastCalledWith('/product/batch/erase', { data: ['1'], params: {} });
+    });
+
+    it('通用键方法应当拒绝未声明的键名', () => {
+      const api = createEntityApi({
+        baseUrl: '/product',
+        entityClass: Product,
+        keys: ['code'],
+      });
+      expect(() => api.getByKey('name', 'abc', false)).toThrow(TypeError);
+    });
+
+    it('当配置参数不合法时应当抛出错误', () => {
+      expect(() => createEntityApi()).toThrow(TypeError);
+      expect(() => createEntityApi({ entityClass: Product })).toThrow(TypeError);
+      expect(() => createEntityApi({ baseUrl: '/product' })).toThrow(TypeError);
+      expect(() => createEntityApi({
+        baseUrl: '/product',
+        entityClass: Product,
+        keys: [1],
+      })).toThrow(TypeError);
+      expect(() => createEntityApi({
+        baseUrl: '/product',
+        entityClass: Product,
+        capabilities: ['unknown'],
+      })).toThrow(TypeError);
+    });
+  });
+});
@@ -0,0 +1,71 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { http } from '@qubit-ltd/common-app';
+import fileApi from '../../src/api/file';
+import RequestCancelledError from '../../src/error/RequestCancelledError';
+
+// 模拟 http
+jest.mock('@qubit-ltd/common-app', () => ({
+  http: {
+    get: jest.fn(),
+  },
+}));
+
+// 模拟 loading
+jest.mock('@qubit-ltd/common-ui', () => ({
+  loading: {
+    showDownloading: jest.fn(),
+    clear: jest.fn(),
+  },
+}));
+
+describe('file.js', () => {
+  beforeEach(() => {
+    http.get.mockReset();
+  });
+
+  describe('download', () => {
+    it('应当将 timeout 和 headers 传递给下载请求', async () => {
+      const blob = new Blob(['abc'], { type: 'text/plain' });
+      http.get.mockResolvedValue(blob);
+
+      const result = await fileApi.download('a/b.txt', {
+        autoDownload: false,
+        showLoading: false,
+        timeout: 5000,
+        headers: { 'X-Request-Id': '1' },
+      });
+
+      expect(http.get).toHaveBeenCalledWith('/file/download', expect.objectContaining({
+        params: { path: 'a/b.txt' },
+        responseType: 'blob',
+        timeout: 5000,
+        headers: { 'X-Request-Id': '1' },
+      }));
+      expect(result).toEqual({ blob, filename: 'downloaded_file', mimeType: 'text/plain' });
+    });
+
+    it('取消下载时应当中止底层的 http 请求', async () => {
+      http.get.mockImplementation((url, config) => new Promise((resolve, reject) => {
+        config.signal.addEventListener('abort', () => reject(new Error('canceled')), { once: true });
+      }));
+      const controller = new AbortController();
+
+      const promise = fileApi.download('a/b.txt', {
+        autoDownload: false,
+        showLoading: false,
+        signal: controller.signal,
+      });
+      controller.abort();
+
+      await expect(promise).rejects.toBeInstanceOf(RequestCancelledError);
+      expect(http.get.mock.calls[0][1].signal.aborted).toBe(true);
+    });
+  });
+});
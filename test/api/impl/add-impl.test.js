@@ -8,7 +8,7 @@
 ////////////////////////////////////////////////////////////////////////////////
 // import axios from 'axios'; // 暂时不需要
 import { http } from '@qubit-ltd/common-app';
-import addImpl from '../../../src/api/impl/add-impl';
+import addImpl, { batchAddImpl } from '../../../src/api/impl/add-impl';
 
 // mock http.post
 jest.mock('@qubit-ltd/common-app', () => ({
@@ -26,6 +26,10 @@ class TestEntity {
   static create(obj) {
     return new TestEntity(obj);
   }
+
+  static createArray(array) {
+    return array.map((obj) => new TestEntity(obj));
+  }
 }
 
 // 构造最简 mock api
@@ -124,4 +128,50 @@ describe('add-impl.js', () => {
       expect(result).toEqual(mockResponse);
     });
   });
+
+  describe('batchAddImpl', () => {
+    it('应当正确调用 POST API 批量添加对象并返回新增对象的列表', async () => {
+      const entities = [
+        { code: 'c1', name: '对象1' },
+        { code: 'c2', name: '对象2' },
+      ];
+      http.post.mockResolvedValue([
+        { id: '1', code: 'c1', name: '对象1' },
+        { id: '2', code: 'c2', name: '对象2' },
+      ]);
+
+      const result = await batchAddImpl(mockApi, 'test-api-url/batch', entities, false);
+
+      expect(http.post).toHaveBeenCalledWith('test-api-url/batch', entities, { params: {} });
+      expect(result).toHaveLength(2);
+      expect(result[0]).toBeInstanceOf(TestEntity);
+      expect(result[1].id).toBe('2');
+      expect(mockApi.logger.info).toHaveBeenCalledWith('Successfully batch added %d %ss.', 2, 'TestEntity');
+    });
+
+    it('指定 batchResult 时应当返回逐项的处理结果', async () => {
+      const entities = [
+        { code: 'c1', name: '对象1' },
+        { code: 'c1', name: '对象2' },
+      ];
+      http.post.mockResolvedValue({
+        succeeded: [{ id: '1', code: 'c1', name: '对象1' }],
+        failed: [{ index: 1, error: { type: 'CLIENT_ERROR', code: 'DUPLICATE_KEY' } }],
+      });
+
+      const result = await batchAddImpl(mockApi, 'test-api-url/batch', entities, { showLoading: false, batchResult: true });
+
+      expect(http.post).toHaveBeenCalledWith('test-api-url/batch', entities, { params: { batch_result: true } });
+      expect(result.successCount).toBe(1);
+      expect(result.succeeded[0]).toBeInstanceOf(TestEntity);
+      expect(result.failed[0].index).toBe(1);
+      expect(result.getFailedIds()).toEqual([]);
+    });
+
+    it('参数不合法时应当抛出 TypeError', () => {
+      expect(() => batchAddImpl(mockApi, 'test-api-url/batch', null, false)).toThrow(TypeError);
+      expect(() => batchAddImpl(mockApi, 'test-api-url/batch', [{ code: 'c1' }, 'c2'], false)).toThrow(TypeError);
+      expect(http.post).not.toHaveBeenCalled();
+    });
+  });
 });
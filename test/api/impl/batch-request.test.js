@@ -0,0 +1,189 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { http } from '@qubit-ltd/common-app';
+import { loading } from '@qubit-ltd/common-ui';
+import {
+  batchAddImpl,
+  batchDeleteImpl,
+  sendBatchRequest,
+} from '../../../src';
+
+// mock dependencies
+jest.mock('@qubit-ltd/common-app', () => ({
+  http: {
+    post: jest.fn(),
+    delete: jest.fn(),
+  },
+}));
+
+jest.mock('@qubit-ltd/common-ui', () => ({
+  loading: {
+    showAdding: jest.fn(),
+    showDeleting: jest.fn(),
+    clear: jest.fn(),
+  },
+}));
+
+// 定义测试实体类
+class Test {
+  static create(obj) {
+    return { ...obj };
+  }
+
+  static createArray(array) {
+    return array.map((obj) => ({ ...obj }));
+  }
+}
+
+// 构造最简 mock api
+const mockApi = {
+  entityClass: Test,
+  logger: {
+    info: jest.fn(),
+    debug: jest.fn(),
+  },
+};
+
+describe('batch-request.js', () => {
+  beforeEach(() => {
+    http.post.mockReset();
+    http.delete.mockReset();
+    loading.showDeleting.mockReset();
+  });
+
+  describe('sendBatchRequest', () => {
+    it('项数不超过分块大小时应当只发送一次请求', async () => {
+      const send = jest.fn().mockResolvedValue(3);
+      const onProgress = jest.fn();
+      const result = await sendBatchRequest(mockApi, { chunkSize: 3, onProgress }, [1, 2, 3], send);
+      expect(result).toBe(3);
+      expect(send).toHaveBeenCalledTimes(1);
+      expect(send).toHaveBeenCalledWith([1, 2, 3]);
+      expect(onProgress).toHaveBeenCalledWith({ completed: 3, total: 3 });
+    });
+
+    it('应当限制同时发送的分块请求的数目', async () => {
+      let running = 0;
+      let maxRunning = 0;
+      const send = jest.fn().mockImplementation((chunk) => {
+        running += 1;
+        maxRunning = Math.max(maxRunning, running);
+        return new Promise((resolve) => {
+          setTimeout(() => {
+            running -= 1;
+            resolve(chunk.length);
+          }, 0);
+        });
+      });
+      const items = Array.from({ length: 10 }, (_, i) => i);
+      const result = await sendBatchRequest(mockApi, { chunkSize: 2, concurrency: 2 }, items, send);
+      expect(result).toBe(10);
+      expect(send).toHaveBeenCalledTimes(5);
+      expect(maxRunning).toBe(2);
+    });
+
+    it('应当支持为API对象单独指定分块策略', async () => {
+      const send = jest.fn().mockImplementation((chunk) => Promise.resolve(chunk));
+      const api = { ...mockApi, batchPolicy: { chunkSize: 2 } };
+      const result = await sendBatchRequest(api, {}, [1, 2, 3, 4, 5], send);
+      expect(result).toEqual([1, 2, 3, 4, 5]);
+      expect(send).toHaveBeenCalledTimes(3);
+    });
+
+    it('批量请求的请求选项不合法时应当抛出错误且不发送请求', () => {
+      const send = jest.fn();
+      expect(() => sendBatchRequest(mockApi, { chunkSize: '2' }, [1, 2, 3], send)).toThrow(TypeError);
+      expect(() => sendBatchRequest(mockApi, { concurrency: '2' }, [1, 2, 3], send)).toThrow(TypeError);
+      expect(() => sendBatchRequest(mockApi, { batchResult: 'true' }, [1, 2, 3], send)).toThrow(TypeError);
+      expect(() => sendBatchRequest(mockApi, { onProgress: 'progress' }, [1, 2, 3], send)).toThrow(TypeError);
+      expect(send).not.toHaveBeenCalled();
+    });
+
+    it('某个分块请求失败时应当不再发送其余的分块请求', async () => {
+      const error = { type: 'SERVER_ERROR' };
+      const send = jest.fn()
+        .mockResolvedValueOnce(2)
+        .mockRejectedValueOnce(error)
+        .mockResolvedValue(2);
+      await expect(sendBatchRequest(mockApi, { chunkSize: 2 }, [1, 2, 3, 4, 5, 6], send)).rejects.toBe(error);
+      expect(send).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('批量操作', () => {
+    it('批量删除时应当分块发送并累加删除的数目，且报告进度', async () => {
+      http.delete.mockImplementation((url, config) => Promise.resolve(config.data.length));
+      const onProgress = jest.fn();
+      const ids = ['1', '2', '3', '4', '5'];
+      const result = await batchDeleteImpl(mockApi, '/test/batch', ids, { chunkSize: 2, onProgress });
+      expect(result).toBe(5);
+      expect(http.delete).toHaveBeenCalledTimes(3);
+      expect(http.delete).toHaveBeenNthCalledWith(1, '/test/batch', { data: ['1', '2'], params: {} });
+      expect(http.delete).toHaveBeenNthCalledWith(3, '/test/batch', { data: ['5'], params: {} });
+      expect(loading.showDeleting).toHaveBeenCalledTimes(3);
+      expect(onProgress.mock.calls).toEqual([
+        [{ completed: 2, total: 5 }],
+        [{ completed: 4, total: 5 }],
+        [{ completed: 5, total: 5 }],
+      ]);
+    });
+
+    it('应当合并各个分块的逐项处理结果，并修正失败项的索引', async () => {
+      http.delete
+        .mockResolvedValueOnce({ succeeded: ['1'], failed: [{ index: 1, id: '2' }] })
+        .mockResolvedValueOnce({ succeeded: ['3'], failed: [{ index: 1, id: '4' }] });
+      const options = { showLoading: false, chunkSize: 2, batchResult: true };
+      const result = await batchDeleteImpl(mockApi, '/test/batch', ['1', '2', '3', '4'], options);
+      expect(result.succeeded).toEqual(['1', '3']);
+      expect(result.failed.map((failure) => failure.index)).toEqual([1, 3]);
+      expect(result.getFailedIds()).toEqual(['2', '4']);
+    });
+
+    it('指定 batchResult 时某个分块请求失败应当返回已完成的分块的结果，并列出失败和跳过的项', async () => {
+      const error = { type: 'SERVER_ERROR', code: 'INTERNAL_ERROR' };
+      http.delete
+        .mockResolvedValueOnce({ succeeded: ['1'], failed: [{ index: 1, id: '2' }] })
+        .mockRejectedValueOnce(error);
+      const options = { showLoading: false, chunkSize: 2, batchResult: true };
+      const result = await batchDeleteImpl(mockApi, '/test/batch', ['1', '2', '3', '4', '5'], options);
+      expect(http.delete).toHaveBeenCalledTimes(2);
+      expect(result.succeeded).toEqual(['1']);
+      expect(result.failed.map((failure) => failure.index)).toEqual([1, 2, 3, 4]);
+      expect(result.getFailedIds()).toEqual(['2', '3', '4', '5']);
+      expect(result.failed.map((failure) => failure.skipped)).toEqual([false, false, false, true]);
+      expect(result.failed[1].error).not.toBeNull();
+      expect(result.failed[3].error).toBeNull();
+    });
+
+    it('指定 batchResult 时应当等待正在进行的分块请求完成后再返回部分结果', async () => {
+      const error = { type: 'SERVER_ERROR' };
+      const send = jest.fn()
+        .mockRejectedValueOnce(error)
+        .mockResolvedValueOnce({ succeeded: [3, 4], failed: [] });
+      const options = { chunkSize: 2, concurrency: 2, batchResult: true };
+      const result = await sendBatchRequest(mockApi, options, [1, 2, 3, 4, 5, 6], send);
+      expect(send).toHaveBeenCalledTimes(2);
+      expect(result.succeeded).toEqual([3, 4]);
+      expect(result.failed).toEqual([
+        { index: 0, id: 1, error, skipped: false },
+        { index: 1, id: 2, error, skipped: false },
+        { index: 4, id: 5, error: null, skipped: true },
+        { index: 5, id: 6, error: null, skipped: true },
+      ]);
+    });
+
+    it('批量添加时应当按照原有的顺序连接各个分块返回的对象', async () => {
+      http.post.mockImplementation((url, data) => Promise.resolve(data.map((obj) => ({ ...obj, id: obj.code }))));
+      const entities = [{ code: 'a' }, { code: 'b' }, { code: 'c' }];
+      const result = await batchAddImpl(mockApi, '/test/batch', entities, { showLoading: false, chunkSize: 2 });
+      expect(result.map((obj) => obj.id)).toEqual(['a', 'b', 'c']);
+      expect(http.post).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -9,6 +9,7 @@
 import { http } from '@qubit-ltd/common-app';
 import { loading } from '@qubit-ltd/common-ui';
 import { deleteImpl, deleteByKeyImpl, deleteAllImpl, batchDeleteImpl } from '../../../src/api/impl/delete-impl';
+import BatchResult from '../../../src/model/BatchResult';
 
 // mock dependencies
 jest.mock('@qubit-ltd/common-app', () => ({
@@ -156,6 +157,27 @@ describe('delete-impl.js', () => {
       expect(result).toBe(count);
     });
 
+    it('指定 batchResult 时应当返回逐项的处理结果', async () => {
+      http.delete.mockResolvedValue({
+        succeeded: ['123', '789'],
+        failed: [{ index: 1, id: '456', error: { type: 'CLIENT_ERROR', code: 'NOT_FOUND' } }],
+      });
+      const ids = ['123', '456', '789'];
+
+      const result = await batchDeleteImpl(mockApi, 'test-api-url/batch', ids, { showLoading: false, batchResult: true });
+
+      expect(http.delete).toHaveBeenCalledWith('test-api-url/batch', {
+        data: ['123', '456', '789'],
+        params: { batch_result: true },
+      });
+      expect(result).toBeInstanceOf(BatchResult);
+      expect(result.successCount).toBe(2);
+      expect(result.failureCount).toBe(1);
+      expect(result.isAllSucceeded()).toBe(false);
+      expect(result.getFailedIds()).toEqual(['456']);
+      expect(result.failed[0].error.code).toBe('NOT_FOUND');
+    });
+
     it('当 IDs 数组为空时应当抛出错误', () => {
       expect(() => batchDeleteImpl(mockApi, 'test-api-url/batch', [], false))
         .toThrow(TypeError);
@@ -0,0 +1,193 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { http } from '@qubit-ltd/common-app';
+import { downloadBlob, parseContentDisposition } from '../../../src/api/impl/download-blob';
+
+jest.mock('@qubit-ltd/common-app', () => ({
+  http: {
+    get: jest.fn(),
+  },
+}));
+
+/**
+ * 模拟一个支持取消的 HTTP 请求：在`config.signal`被触发时解析失败。
+ */
+function mockAbortableGet(url, config) {
+  return new Promise((resolve, reject) => {
+    config.signal.addEventListener('abort', () => reject(new Error('canceled')), { once: true });
+  });
+}
+
+describe('download-blob.js', () => {
+  let createObjectURL;
+  let click;
+
+  beforeEach(() => {
+    http.get.mockReset();
+    createObjectURL = jest.fn(() => 'blob:test-url');
+    window.URL.createObjectURL = createObjectURL;
+    window.URL.revokeObjectURL = jest.fn();
+    click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    click.mockRestore();
+  });
+
+  describe('downloadBlob', () => {
+    it('应当以 blob 形式发送请求并返回 { blob, filename, mimeType }', async () => {
+      const blob = new Blob(['abc'], { type: 'text/plain' });
+      http.get.mockResolvedValue(blob);
+
+      const options = { showLoading: false };
+      const result = await downloadBlob('/file/download', { path: 'a.txt' }, 'text/plain', false, 'a.txt', 'a', options);
+
+      expect(http.get).toHaveBeenCalledWith('/file/download', expect.objectContaining({
+        params: { path: 'a.txt' },
+        responseType: 'blob',
+      }));
+      expect(result).toEqual({ blob, filename: 'a.txt', mimeType: 'text/plain' });
+      expect(click).not.toHaveBeenCalled();
+    });
+
+    it('应当将 signal 传递给底层请求，触发时中止该请求且不保存文件', async () => {
+      http.get.mockImplementation(mockAbortableGet);
+      const controller = new AbortController();
+
+      const promise = downloadBlob('/file/download', {}, null, true, null, 'default.txt', {
+        showLoading: false,
+        signal: controller.signal,
+      });
+      controller.abort();
+
+      await expect(promise).rejects.toThrow('canceled');
+      const config = http.get.mock.calls[0][1];
+      expect(config.signal).toBe(controller.signal);
+      expect(config.signal.aborted).toBe(true);
+      expect(createObjectURL).not.toHaveBeenCalled();
+    });
+
+    it('请求完成前 signal 已被触发时不应当保存文件', async () => {
+      const controller = new AbortController();
+      http.get.mockImplementation(() => {
+        controller.abort();
+        return Promise.resolve(new Blob(['abc']));
+      });
+
+      await downloadBlob('/file/download', {}, null, true, null, 'default.txt', {
+        showLoading: false,
+        signal: controller.signal,
+      });
+
+      expect(createObjectURL).not.toHaveBeenCalled();
+    });
+
+    it('未指定文件名称和MIME类型时应当从响应头中解析', async () => {
+      const blob = new Blob(['abc']);
+      http.get.mockImplementation((url, config) => {
+        const data = config.transformResponse[0](blob, {
+          'content-type': 'text/csv; charset=UTF-8',
+          'content-disposition': 'attachment; filename="report.csv"',
+        });
+        return Promise.resolve(data);
+      });
+
+      const result = await downloadBlob('/export', {}, null, true, null, 'default.csv', { showLoading: false });
+
+      expect(result).toEqual({ blob, filename: 'report.csv', mimeType: 'text/csv' });
+      expect(createObjectURL).toHaveBeenCalledWith(blob);
+      expect(click).toHaveBeenCalled();
+    });
+
+    it('响应头中没有文件名称时应当使用默认文件名称', async () => {
+      const blob = new Blob(['abc'], { type: 'application/octet-stream' });
+      http.get.mockResolvedValue(blob);
+
+      const result = await downloadBlob('/export', {}, null, false, null, 'default.csv', { showLoading: false });
+
+      expect(result).toEqual({ blob, filename: 'default.csv', mimeType: 'application/octet-stream' });
+    });
+
+    it('应当将下载进度转换为 { loaded, total } 形式', async () => {
+      http.get.mockImplementation((url, config) => {
+        config.onDownloadProgress({ loaded: 4, total: 8 });
+        config.onDownloadProgress({ loaded: 8 });
+        return Promise.resolve(new Blob(['abc']));
+      });
+      const onDownloadProgress = jest.fn();
+
+      await downloadBlob('/export', {}, null, false, null, 'default.csv', {
+        showLoading: false,
+        onDownloadProgress,
+      });
+
+      expect(onDownloadProgress).toHaveBeenNthCalledWith(1, { loaded: 4, total: 8 });
+      expect(onDownloadProgress).toHaveBeenNthCalledWith(2, { loaded: 8, total: null });
+    });
+    it('期望的不是 JSON 文件而服务器返回 JSON 数据时应当以其作为错误信息解析失败且不保存文件', async () => {
+      const error = { type: 'SERVER_ERROR', code: 'EXPORT_FAILED', message: 'Failed to export.' };
+      const blob = new Blob([JSON.stringify(error)]);
+      http.get.mockImplementation((url, config) => {
+        const data = config.transformResponse[0](blob, {
+          'content-type': 'application/json; charset=UTF-8',
+        });
+        return Promise.resolve(data);
+      });
+
+      const promise = downloadBlob('/export', {}, 'text/csv', true, null, 'default.csv', { showLoading: false });
+
+      await expect(promise).rejects.toEqual(error);
+      expect(createObjectURL).not.toHaveBeenCalled();
+      expect(click).not.toHaveBeenCalled();
+    });
+
+    it('未指定MIME类型时应当只将形如 ErrorInfo 的 JSON 数据视为错误信息', async () => {
+      const error = { type: 'SERVER_ERROR', code: 'FILE_NOT_FOUND' };
+      http.get.mockResolvedValue(new Blob([JSON.stringify(error)], { type: 'application/json' }));
+      await expect(downloadBlob('/file/download', {}, null, true, null, 'a.json', { showLoading: false }))
+        .rejects.toEqual(error);
+      expect(click).not.toHaveBeenCalled();
+
+      const blob = new Blob(['{"name":"foo"}'], { type: 'application/json' });
+      http.get.mockResolvedValue(blob);
+      const result = await downloadBlob('/file/download', {}, null, true, null, 'a.json', { showLoading: false });
+      expect(result).toEqual({ blob, filename: 'a.json', mimeType: 'application/json' });
+      expect(click).toHaveBeenCalled();
+    });
+
+    it('期望的就是 JSON 文件时应当正常下载', async () => {
+      const blob = new Blob(['{"type":"a","code":"b"}'], { type: 'application/json' });
+      http.get.mockResolvedValue(blob);
+
+      const result = await downloadBlob('/file/download', {}, 'application/json', false, 'a.json', 'a', {
+        showLoading: false,
+      });
+
+      expect(result).toEqual({ blob, filename: 'a.json', mimeType: 'application/json' });
+    });
+  });
+
+  describe('parseContentDisposition', () => {
+    it('应当解析带引号和不带引号的文件名称', () => {
+      expect(parseContentDisposition('attachment; filename="a b.csv"')).toBe('a b.csv');
+      expect(parseContentDisposition('attachment; filename=a.csv; size=3')).toBe('a.csv');
+    });
+
+    it('应当优先使用 RFC 6266 形式的文件名称', () => {
+      const value = 'attachment; filename="fallback.xlsx"; filename*=UTF-8\'\'%E5%91%98%E5%B7%A5.xlsx';
+      expect(parseContentDisposition(value)).toBe('员工.xlsx');
+    });
+
+    it('无法解析时应当返回 null', () => {
+      expect(parseContentDisposition(undefined)).toBeNull();
+      expect(parseContentDisposition('inline')).toBeNull();
+      expect(parseContentDisposition('attachment; filename=""')).toBeNull();
+    });
+  });
+});
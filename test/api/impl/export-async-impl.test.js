@@ -0,0 +1,212 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { http } from '@qubit-ltd/common-app';
+import { loading } from '@qubit-ltd/common-ui';
+import fileApi from '../../../src/api/file';
+import exportAsyncImpl from '../../../src/api/impl/export-async-impl';
+import taskInfoApi from '../../../src/api/task-info';
+import RequestCancelledError from '../../../src/error/RequestCancelledError';
+import TaskFailedError from '../../../src/error/TaskFailedError';
+import TaskTimeoutError from '../../../src/error/TaskTimeoutError';
+
+// mock dependencies
+jest.mock('@qubit-ltd/common-app', () => ({
+  http: {
+    post: jest.fn(),
+  },
+}));
+
+jest.mock('@qubit-ltd/common-ui', () => ({
+  loading: {
+    showExporting: jest.fn(),
+    clear: jest.fn(),
+  },
+}));
+
+jest.mock('@qubit-ltd/common-model', () => ({
+  CommonMimeType: {
+    CSV: 'text/csv',
+    XLSX: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  },
+  SortOrder: class SortOrder {},
+  SortRequest: class SortRequest {},
+  TaskInfo: {
+    create: (obj) => ({ ...obj }),
+  },
+}));
+
+jest.mock('../../../src/api/task-info', () => ({
+  getStatus: jest.fn(),
+  get: jest.fn(),
+}));
+
+jest.mock('../../../src/api/file', () => ({
+  download: jest.fn(),
+}));
+
+// 定义测试用的 API 对象
+const mockApi = {
+  entityClass: {
+    name: 'TestEntity',
+  },
+  CRITERIA_DEFINITIONS: [
+    { name: 'name', type: String },
+  ],
+  logger: {
+    info: jest.fn(),
+    debug: jest.fn(),
+  },
+};
+
+const EXPORT_URL = '/test/export/{format}/async';
+
+describe('export-async-impl.js', () => {
+  beforeEach(() => {
+    http.post.mockReset();
+    taskInfoApi.getStatus.mockReset();
+    taskInfoApi.get.mockReset();
+    fileApi.download.mockReset();
+    loading.showExporting.mockReset();
+    mockApi.logger.info.mockReset();
+    http.post.mockResolvedValue({ id: '1', status: 'SUBMITTED' });
+  });
+
+  describe('exportAsyncImpl', () => {
+    it('应当提交导出任务，查询其状态直到完成，然后下载导出的文件', async () => {
+      const result = { blob: new Blob(['a,b']), filename: 'TestEntity.csv', mimeType: 'text/csv' };
+      taskInfoApi.getStatus.mockResolvedValueOnce('RUNNING').mockResolvedValueOnce('FINISHED');
+      taskInfoApi.get.mockResolvedValue({ id: '1', status: 'FINISHED', resultId: 'export/1.csv' });
+      fileApi.download.mockResolvedValue(result);
+      const onProgress = jest.fn();
+
+      const actual = await exportAsyncImpl(mockApi, EXPORT_URL, 'CSV', { name: 'test' }, {}, {
+        interval: 0,
+        autoDownload: false,
+        onProgress,
+      });
+
+      expect(actual).toBe(result);
+      expect(loading.showExporting).toHaveBeenCalled();
+      expect(http.post).toHaveBeenCalledWith('/test/export/csv/async', null, {
+        params: { name: 'test' },
+      });
+      expect(taskInfoApi.getStatus).toHaveBeenCalledTimes(2);
+      expect(taskInfoApi.getStatus).toHaveBeenCalledWith('1', expect.objectContaining({ showLoading: false }));
+      expect(onProgress).toHaveBeenNthCalledWith(1, { taskId: '1', status: 'RUNNING', elapsed: expect.any(Number) });
+      expect(onProgress).toHaveBeenNthCalledWith(2, { taskId: '1', status: 'FINISHED', elapsed: expect.any(Number) });
+      expect(taskInfoApi.get).toHaveBeenCalledWith('1', expect.objectContaining({ showLoading: false }));
+      expect(fileApi.download).toHaveBeenCalledWith('export/1.csv', {
+        mimeType: 'text/csv',
+        autoDownload: false,
+        showLoading: true,
+        signal: undefined,
+        timeout: undefined,
+        headers: undefined,
+      });
+      expect(mockApi.logger.info).toHaveBeenCalledWith(
+        'Successfully export %ss in %s format:',
+        'TestEntity',
+        'CSV',
+        'TestEntity.csv',
+      );
+    });
+
+    it('应当支持枚举对象形式的任务状态和自定义的文件路径', async () => {
+      const finished = { value: 'FINISHED' };
+      http.post.mockResolvedValue({ id: '2', status: finished });
+      taskInfoApi.get.mockResolvedValue({ id: '2', status: finished, resultId: '2' });
+      fileApi.download.mockResolvedValue({});
+
+      await exportAsyncImpl(mockApi, EXPORT_URL, 'xlsx', {}, {}, {
+        showLoading: false,
+        resolvePath: (task) => `export/${task.id}.xlsx`,
+      });
+
+      expect(loading.showExporting).not.toHaveBeenCalled();
+      expect(taskInfoApi.getStatus).not.toHaveBeenCalled();
+      expect(fileApi.download).toHaveBeenCalledWith('export/2.xlsx', expect.objectContaining({
+        mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        autoDownload: true,
+      }));
+    });
+
+    it('应当将 timeout 和 headers 传递给下载文件的请求', async () => {
+      http.post.mockResolvedValue({ id: '3', status: 'FINISHED' });
+      taskInfoApi.get.mockResolvedValue({ id: '3', status: 'FINISHED', resultId: 'export/3.csv' });
+      fileApi.download.mockResolvedValue({});
+      const headers = { 'X-Request-Id': 'abc' };
+
+      await exportAsyncImpl(mockApi, EXPORT_URL, 'csv', {}, {}, { timeout: 5000, headers });
+
+      expect(http.post).toHaveBeenCalledWith('/test/export/csv/async', null, expect.objectContaining({
+        timeout: 5000,
+        headers,
+      }));
+      expect(fileApi.download).toHaveBeenCalledWith('export/3.csv', expect.objectContaining({
+        timeout: 5000,
+        headers,
+      }));
+    });
+
+    it('导出任务失败时应当解析失败并返回 TaskFailedError', async () => {
+      const task = { id: '1', status: 'FAILED' };
+      taskInfoApi.getStatus.mockResolvedValue('FAILED');
+      taskInfoApi.get.mockResolvedValue(task);
+
+      const promise = exportAsyncImpl(mockApi, EXPORT_URL, 'csv', {}, {}, { interval: 0 });
+
+      await expect(promise).rejects.toBeInstanceOf(TaskFailedError);
+      await expect(promise).rejects.toMatchObject({ task, status: 'FAILED' });
+      expect(fileApi.download).not.toHaveBeenCalled();
+    });
+
+    it('取消时应当停止查询任务状态并解析失败返回 RequestCancelledError', async () => {
+      const controller = new AbortController();
+      taskInfoApi.getStatus.mockResolvedValue('RUNNING');
+
+      const promise = exportAsyncImpl(mockApi, EXPORT_URL, 'csv', {}, {}, {
+        interval: 0,
+        signal: controller.signal,
+        onProgress: () => controller.abort(),
+      });
+
+      await expect(promise).rejects.toBeInstanceOf(RequestCancelledError);
+      expect(taskInfoApi.getStatus).toHaveBeenCalledTimes(1);
+      expect(taskInfoApi.get).not.toHaveBeenCalled();
+      expect(fileApi.download).not.toHaveBeenCalled();
+    });
+
+    it('等待超过 maxWait 时应当停止查询并解析失败返回 TaskTimeoutError', async () => {
+      taskInfoApi.getStatus.mockResolvedValue('RUNNING');
+      const now = jest.spyOn(Date, 'now');
+      // 提交任务时及第一次查询前均未超时，第一次查询后已超时
+      now.mockReturnValueOnce(0).mockReturnValueOnce(0).mockReturnValue(100);
+
+      const promise = exportAsyncImpl(mockApi, EXPORT_URL, 'csv', {}, {}, { interval: 0, maxWait: 100 });
+
+      await expect(promise).rejects.toBeInstanceOf(TaskTimeoutError);
+      await expect(promise).rejects.toMatchObject({ task: { id: '1' }, status: 'RUNNING', maxWait: 100 });
+      now.mockRestore();
+      expect(taskInfoApi.getStatus).toHaveBeenCalledTimes(1);
+      expect(taskInfoApi.get).not.toHaveBeenCalled();
+      expect(fileApi.download).not.toHaveBeenCalled();
+    });
+
+    it('参数不合法时应当抛出错误', () => {
+      expect(() => exportAsyncImpl(mockApi, EXPORT_URL, 1, {}, {})).toThrow(TypeError);
+      expect(() => exportAsyncImpl(mockApi, EXPORT_URL, 'pdf', {}, {})).toThrow(RangeError);
+      expect(() => exportAsyncImpl(mockApi, EXPORT_URL, 'csv', {}, {}, { interval: -1 })).toThrow(RangeError);
+      expect(() => exportAsyncImpl(mockApi, EXPORT_URL, 'csv', {}, {}, { maxWait: -1 })).toThrow(RangeError);
+      expect(() => exportAsyncImpl(mockApi, EXPORT_URL, 'csv', {}, {}, { maxWait: '100' })).toThrow(TypeError);
+      expect(() => exportAsyncImpl(mockApi, EXPORT_URL, 'csv', {}, {}, { onProgress: 'invalid' })).toThrow(TypeError);
+      expect(() => exportAsyncImpl(mockApi, EXPORT_URL, 'csv', {}, {}, { autoDownload: 'true' })).toThrow(TypeError);
+      expect(http.post).not.toHaveBeenCalled();
+    });
+  });
+});
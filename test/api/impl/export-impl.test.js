@@ -9,17 +9,19 @@
 import { http } from '@qubit-ltd/common-app';
 import { loading } from '@qubit-ltd/common-ui';
 import exportImpl from '../../../src/api/impl/export-impl';
+import RequestCancelledError from '../../../src/error/RequestCancelledError';
 
 // mock dependencies
 jest.mock('@qubit-ltd/common-app', () => ({
   http: {
-    download: jest.fn(),
+    get: jest.fn(),
   },
 }));
 
 jest.mock('@qubit-ltd/common-ui', () => ({
   loading: {
     showExporting: jest.fn(),
+    clear: jest.fn(),
   },
 }));
 
@@ -57,54 +59,87 @@ const mockApi = {
 
 describe('export-impl.js', () => {
   beforeEach(() => {
-    http.download.mockReset();
+    http.get.mockReset();
     loading.showExporting.mockReset();
     mockApi.logger.info.mockReset();
     mockApi.logger.debug.mockReset();
   });
 
   describe('exportImpl', () => {
-    it('应当正确调用下载 API 导出 CSV 文件', async () => {
-      const mockResult = { filename: 'test.csv', url: 'blob:test-url' };
-      http.download.mockResolvedValue(mockResult);
+    it('应当以二进制数据的形式下载导出的 CSV 文件', async () => {
+      const blob = new Blob(['a,b\n1,2'], { type: 'text/csv' });
+      http.get.mockResolvedValue(blob);
 
       const criteria = { name: 'test' };
       const sortRequest = { sortField: 'name', sortOrder: 'ASC' };
       const result = await exportImpl(mockApi, 'test-api-url/export', 'csv', criteria, sortRequest, false, false);
 
-      expect(http.download).toHaveBeenCalledWith(
-        'test-api-url/export',
-        { name: 'test', sort_field: 'name', sort_order: 'ASC' },
-        'text/csv',
-        false,
-      );
+      expect(http.get).toHaveBeenCalledWith('test-api-url/export', expect.objectContaining({
+        params: { name: 'test', sort_field: 'name', sort_order: 'ASC' },
+        responseType: 'blob',
+      }));
       expect(mockApi.logger.info).toHaveBeenCalledWith(
-        'Successfully export Apps to a CSV file:',
-        'test.csv',
+        'Successfully export %ss in %s format:',
+        'TestEntity',
+        'CSV',
+        'TestEntity.csv',
       );
-      expect(result).toEqual(mockResult);
+      expect(result).toEqual({ blob, filename: 'TestEntity.csv', mimeType: 'text/csv' });
     });
 
-    it('应当正确调用下载 API 导出 XLSX 文件', async () => {
-      const mockResult = { filename: 'test.xlsx', url: 'blob:test-url' };
-      http.download.mockResolvedValue(mockResult);
+    it('应当以二进制数据的形式下载导出的 XLSX 文件', async () => {
+      const blob = new Blob(['xlsx']);
+      http.get.mockResolvedValue(blob);
+      window.URL.createObjectURL = jest.fn(() => 'blob:test-url');
+      window.URL.revokeObjectURL = jest.fn();
+      const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
 
       const criteria = { status: 'active' };
       const sortRequest = {};
       const result = await exportImpl(mockApi, 'test-api-url/export', 'xlsx', criteria, sortRequest, true, false);
 
-      expect(http.download).toHaveBeenCalledWith(
-        'test-api-url/export',
-        { status: 'active' },
-        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-        true,
-      );
-      expect(result).toEqual(mockResult);
+      expect(http.get).toHaveBeenCalledWith('test-api-url/export', expect.objectContaining({
+        params: { status: 'active' },
+        responseType: 'blob',
+      }));
+      expect(result).toEqual({
+        blob,
+        filename: 'TestEntity.xlsx',
+        mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      });
+      expect(click).toHaveBeenCalled();
+      click.mockRestore();
+    });
+
+    it('应当从 Content-Disposition 响应头中解析导出的文件名称', async () => {
+      const blob = new Blob(['a,b\n1,2']);
+      http.get.mockImplementation((url, config) => Promise.resolve(config.transformResponse[0](blob, {
+        'content-type': 'text/csv',
+        'content-disposition': 'attachment; filename*=UTF-8\'\'%E5%91%98%E5%B7%A5.csv',
+      })));
+
+      const result = await exportImpl(mockApi, 'test-api-url/export', 'csv', {}, {}, false, false);
+
+      expect(result).toEqual({ blob, filename: '员工.csv', mimeType: 'text/csv' });
+    });
+
+    it('无论 autoDownload 的值如何都应当返回相同形式的结果', async () => {
+      const blob = new Blob(['a,b\n1,2']);
+      http.get.mockResolvedValue(blob);
+      window.URL.createObjectURL = jest.fn(() => 'blob:test-url');
+      window.URL.revokeObjectURL = jest.fn();
+      const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+      const saved = await exportImpl(mockApi, 'test-api-url/export', 'csv', {}, {}, true, false);
+      const unsaved = await exportImpl(mockApi, 'test-api-url/export', 'csv', {}, {}, false, false);
+
+      expect(saved).toEqual({ blob, filename: 'TestEntity.csv', mimeType: 'text/csv' });
+      expect(unsaved).toEqual(saved);
+      click.mockRestore();
     });
 
     it('当 showLoading 为 true 时应当显示加载提示', async () => {
-      const mockResult = { filename: 'test.csv' };
-      http.download.mockResolvedValue(mockResult);
+      http.get.mockResolvedValue(new Blob([]));
 
       await exportImpl(mockApi, 'test-api-url/export', 'csv', {}, {}, false, true);
 
@@ -112,8 +147,7 @@ describe('export-impl.js', () => {
     });
 
     it('当 showLoading 为 false 时不应当显示加载提示', async () => {
-      const mockResult = { filename: 'test.csv' };
-      http.download.mockResolvedValue(mockResult);
+      http.get.mockResolvedValue(new Blob([]));
 
       await exportImpl(mockApi, 'test-api-url/export', 'csv', {}, {}, false, false);
 
@@ -121,19 +155,152 @@ describe('export-impl.js', () => {
     });
 
     it('当 criteria 为空对象时应当正常工作', async () => {
-      const mockResult = { filename: 'test.csv' };
-      http.download.mockResolvedValue(mockResult);
+      http.get.mockResolvedValue(new Blob([]));
 
       await exportImpl(mockApi, 'test-api-url/export', 'csv', {}, {}, false, false);
 
-      expect(http.download).toHaveBeenCalledWith(
-        'test-api-url/export',
-        {},
-        'text/csv',
-        false,
+      expect(http.get).toHaveBeenCalledWith('test-api-url/export', expect.objectContaining({
+        params: {},
+      }));
+    });
+
+    it('应当支持以请求选项对象代替 autoDownload 和 showLoading 参数', async () => {
+      http.get.mockResolvedValue(new Blob([]));
+
+      await exportImpl(mockApi, 'test-api-url/export', 'csv', { name: 'test' }, {}, {
+        autoDownload: false,
+        showLoading: false,
+        params: { withDeleted: true },
+      });
+
+      expect(http.get).toHaveBeenCalledWith('test-api-url/export', expect.objectContaining({
+        params: { name: 'test', with_deleted: true },
+      }));
+      expect(loading.showExporting).not.toHaveBeenCalled();
+    });
+
+    it('应当将 timeout 和 headers 传递给下载请求', async () => {
+      http.get.mockResolvedValue(new Blob([]));
+
+      await exportImpl(mockApi, 'test-api-url/export', 'csv', {}, {}, {
+        autoDownload: false,
+        showLoading: false,
+        timeout: 5000,
+        headers: { 'X-Request-Id': '1' },
+      });
+
+      expect(http.get).toHaveBeenCalledWith('test-api-url/export', expect.objectContaining({
+        timeout: 5000,
+        headers: { 'X-Request-Id': '1' },
+      }));
+    });
+
+    it('指定 onDownloadProgress 时应当以二进制数据的形式下载并报告进度', async () => {
+      const blob = new Blob(['a,b\n1,2'], { type: 'text/csv' });
+      http.get.mockImplementation((url, config) => {
+        config.onDownloadProgress({ loaded: 4, total: 8 });
+        config.onDownloadProgress({ loaded: 8 });
+        return Promise.resolve(blob);
+      });
+      const onDownloadProgress = jest.fn();
+
+      const result = await exportImpl(mockApi, 'test-api-url/export', 'csv', { name: 'test' }, {}, {
+        autoDownload: false,
+        showLoading: false,
+        onDownloadProgress,
+      });
+
+      expect(http.get).toHaveBeenCalledWith('test-api-url/export', expect.objectContaining({
+        params: { name: 'test' },
+        responseType: 'blob',
+      }));
+      expect(onDownloadProgress).toHaveBeenNthCalledWith(1, { loaded: 4, total: 8 });
+      expect(onDownloadProgress).toHaveBeenNthCalledWith(2, { loaded: 8, total: null });
+      expect(result).toEqual({ blob, filename: 'TestEntity.csv', mimeType: 'text/csv' });
+      expect(mockApi.logger.info).toHaveBeenCalledWith(
+        'Successfully export %ss in %s format:',
+        'TestEntity',
+        'CSV',
+        'TestEntity.csv',
       );
     });
 
+    it('以二进制数据的形式下载且 autoDownload 为 true 时应当保存文件', async () => {
+      const blob = new Blob(['<xml/>']);
+      http.get.mockResolvedValue(blob);
+      const createObjectURL = jest.fn(() => 'blob:test-url');
+      const revokeObjectURL = jest.fn();
+      window.URL.createObjectURL = createObjectURL;
+      window.URL.revokeObjectURL = revokeObjectURL;
+      const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+      const result = await exportImpl(mockApi, 'test-api-url/export', 'xlsx', {}, {}, {
+        showLoading: false,
+        onDownloadProgress: jest.fn(),
+      });
+
+      expect(result.filename).toBe('TestEntity.xlsx');
+      expect(createObjectURL).toHaveBeenCalledWith(blob);
+      expect(click).toHaveBeenCalled();
+      expect(revokeObjectURL).toHaveBeenCalledWith('blob:test-url');
+      click.mockRestore();
+    });
+
+    it('指定 signal 时应当将其传递给 http 请求并支持取消', async () => {
+      http.get.mockReturnValue(new Promise(() => {}));
+      const controller = new AbortController();
+
+      const promise = exportImpl(mockApi, 'test-api-url/export', 'csv', {}, {}, {
+        autoDownload: false,
+        signal: controller.signal,
+      });
+      controller.abort();
+
+      await expect(promise).rejects.toBeInstanceOf(RequestCancelledError);
+      expect(http.get).toHaveBeenCalledWith('test-api-url/export', expect.objectContaining({
+        signal: controller.signal,
+        responseType: 'blob',
+      }));
+      expect(loading.showExporting).toHaveBeenCalled();
+      expect(loading.clear).toHaveBeenCalled();
+    });
+
+    it('取消导出时应当中止底层的 http 请求且不保存文件', async () => {
+      http.get.mockImplementation((url, config) => new Promise((resolve, reject) => {
+        config.signal.addEventListener('abort', () => reject(new Error('canceled')), { once: true });
+      }));
+      const createObjectURL = jest.fn();
+      window.URL.createObjectURL = createObjectURL;
+      const controller = new AbortController();
+
+      const promise = exportImpl(mockApi, 'test-api-url/export', 'csv', {}, {}, {
+        showLoading: false,
+        signal: controller.signal,
+      });
+      controller.abort();
+
+      await expect(promise).rejects.toBeInstanceOf(RequestCancelledError);
+      expect(http.get.mock.calls[0][1].signal.aborted).toBe(true);
+      expect(createObjectURL).not.toHaveBeenCalled();
+    });
+
+    it('导出接口返回 JSON 格式的错误信息时应当解析失败且不保存文件', async () => {
+      const error = { type: 'SERVER_ERROR', code: 'EXPORT_FAILED', message: 'Failed to export.' };
+      http.get.mockResolvedValue(new Blob([JSON.stringify(error)], { type: 'application/json' }));
+      const createObjectURL = jest.fn();
+      window.URL.createObjectURL = createObjectURL;
+
+      const promise = exportImpl(mockApi, 'test-api-url/export', 'xlsx', {}, {}, true, false);
+
+      await expect(promise).rejects.toEqual(error);
+      expect(createObjectURL).not.toHaveBeenCalled();
+    });
+
+    it('当 onDownloadProgress 不是函数时应当抛出错误', () => {
+      expect(() => exportImpl(mockApi, 'test-api-url/export', 'csv', {}, {}, { onDownloadProgress: 'invalid' }))
+        .toThrow(TypeError);
+    });
+
     it('当 autoDownload 不是布尔值时应当抛出错误', () => {
       expect(() => exportImpl(mockApi, 'test-api-url/export', 'csv', {}, {}, 'invalid', false))
         .toThrow(TypeError);
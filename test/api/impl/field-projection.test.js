@@ -0,0 +1,98 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { Type } from '@qubit-ltd/common-decorator';
+import { checkFieldsArgument, normalizeFields, projectFields } from '../../../src';
+
+class Contact {
+  mobile = '';
+
+  email = '';
+}
+
+class Category {
+  id = null;
+
+  name = '';
+}
+
+class Person {
+  id = null;
+
+  name = '';
+
+  contact = new Contact();
+
+  @Type(Category)
+  category = null;
+}
+
+describe('field-projection.js', () => {
+  describe('normalizeFields', () => {
+    it('应当支持字符串数组和以逗号分隔的字符串', () => {
+      expect(normalizeFields(['id', 'name'])).toEqual(['id', 'name']);
+      expect(normalizeFields('id, name ,contact.mobile,')).toEqual(['id', 'name', 'contact.mobile']);
+      expect(normalizeFields(undefined)).toBeUndefined();
+      expect(normalizeFields(null)).toBeUndefined();
+    });
+
+    it('参数不合法时应当抛出错误', () => {
+      expect(() => normalizeFields(123)).toThrow(TypeError);
+      expect(() => normalizeFields(['id', 1])).toThrow(TypeError);
+      expect(() => normalizeFields([])).toThrow(RangeError);
+      expect(() => normalizeFields(' , ')).toThrow(RangeError);
+    });
+  });
+
+  describe('checkFieldsArgument', () => {
+    it('应当接受实体类的属性和属性路径', () => {
+      expect(() => checkFieldsArgument(['id', 'contact.mobile', 'category.name'], Person)).not.toThrow();
+      expect(() => checkFieldsArgument(undefined, Person)).not.toThrow();
+    });
+
+    it('属性不存在时应当抛出 TypeError', () => {
+      expect(() => checkFieldsArgument(['id', 'contact.phone'], Person))
+        .toThrow("The property 'phone' in the path 'contact.phone' is not a field of the class Contact.");
+      expect(() => checkFieldsArgument(['age'], Person)).toThrow(TypeError);
+    });
+  });
+
+  describe('projectFields', () => {
+    it('应当只保留指定的属性和子属性', () => {
+      const person = {
+        id: '1',
+        name: 'Alice',
+        contact: { mobile: '13800000000', email: 'alice@example.com' },
+        category: { id: '2', name: 'VIP' },
+      };
+      const result = projectFields(person, ['id', 'name', 'contact.mobile']);
+      expect(result).toBe(person);
+      expect(result).toEqual({ id: '1', name: 'Alice', contact: { mobile: '13800000000' } });
+    });
+
+    it('同时指定属性和其子属性时应当保留整个属性', () => {
+      const person = { id: '1', contact: { mobile: '138', email: 'a@b.c' } };
+      expect(projectFields(person, ['contact', 'contact.mobile'])).toEqual({
+        contact: { mobile: '138', email: 'a@b.c' },
+      });
+    });
+
+    it('应当处理数组和空值属性', () => {
+      const person = { id: '1', tags: [{ id: 1, name: 'a' }, { id: 2, name: 'b' }], category: null };
+      expect(projectFields(person, ['tags.name', 'category.name'])).toEqual({
+        tags: [{ name: 'a' }, { name: 'b' }],
+        category: null,
+      });
+    });
+
+    it('未指定属性列表时应当原样返回对象', () => {
+      const person = { id: '1', name: 'Alice' };
+      expect(projectFields(person, undefined)).toEqual({ id: '1', name: 'Alice' });
+    });
+  });
+});
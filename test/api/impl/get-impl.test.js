@@ -85,6 +85,21 @@ describe('get-impl.js', () => {
       // 验证异常
       await expect(getImpl(mockApi, 'test-api-url/{id}', '123', false)).rejects.toThrow('API 错误');
     });
+
+    it('指定 fields 选项时应当只返回指定的属性', async () => {
+      http.get.mockResolvedValue({
+        id: '123',
+        code: 'test-code',
+        name: '测试对象',
+        contact: { mobile: '13800000000', email: 'test@example.com' },
+      });
+      const result = await getImpl(mockApi, 'test-api-url/{id}', '123', {
+        showLoading: false,
+        fields: ['id', 'contact.mobile'],
+      });
+      expect(http.get).toHaveBeenCalledWith('test-api-url/123', { params: { fields: 'id,contact.mobile' } });
+      expect(result).toEqual({ id: '123', contact: { mobile: '13800000000' } });
+    });
   });
 
   describe('getByKeyImpl', () => {
@@ -9,6 +9,7 @@
 import { http } from '@qubit-ltd/common-app';
 import { loading } from '@qubit-ltd/common-ui';
 import importImpl from '../../../src/api/impl/import-impl';
+import ImportReport from '../../../src/model/ImportReport';
 
 // mock dependencies
 jest.mock('@qubit-ltd/common-app', () => ({
@@ -93,6 +94,28 @@ describe('import-impl.js', () => {
       expect(result).toBe(count);
     });
 
+    it('应当支持以请求选项对象代替 parallel、threads 和 showLoading 参数', async () => {
+      http.post.mockResolvedValue(3);
+      const file = createMockFile('test.csv');
+
+      await importImpl(mockApi, 'test-api-url/import', 'csv', file, {
+        parallel: true,
+        showLoading: false,
+        timeout: 60000,
+      });
+
+      expect(http.post).toHaveBeenCalledWith(
+        'test-api-url/import',
+        expect.any(FormData),
+        {
+          params: { parallel: true },
+          headers: { 'Content-Type': 'multipart/form-data' },
+          timeout: 60000,
+        },
+      );
+      expect(loading.showImporting).not.toHaveBeenCalled();
+    });
+
     it('当 showLoading 为 true 时应当显示加载提示', async () => {
       const count = 5;
       http.post.mockResolvedValue(count);
@@ -147,6 +170,84 @@ describe('import-impl.js', () => {
       );
     });
 
+    it('指定 dryRun 时应当只校验文件并返回 ImportReport 对象', async () => {
+      http.post.mockResolvedValue({
+        accepted: 8,
+        rejected: [
+          { row: 5, column: 'name', code: 'REQUIRED', message: '名称不能为空' },
+          { row: 3, column: 'code', code: 'DUPLICATED', message: '编码重复' },
+          { row: 5, column: 'code', code: 'INVALID', message: '编码格式不正确' },
+        ],
+        warnings: [
+          { row: 2, column: 'remark', message: '备注过长，将被截断' },
+        ],
+      });
+      const file = createMockFile('test.csv');
+
+      const report = await importImpl(mockApi, 'test-api-url/import', 'csv', file, {
+        dryRun: true,
+        showLoading: false,
+      });
+
+      expect(http.post).toHaveBeenCalledWith(
+        'test-api-url/import',
+        expect.any(FormData),
+        {
+          params: { parallel: false, dry_run: true },
+          headers: { 'Content-Type': 'multipart/form-data' },
+        },
+      );
+      expect(report).toBeInstanceOf(ImportReport);
+      expect(report.dryRun).toBe(true);
+      expect(report.accepted).toBe(8);
+      expect(report.rejected[0]).toMatchObject({ row: 5, column: 'name', message: '名称不能为空' });
+      expect(report.warnings).toHaveLength(1);
+      expect(report.rejectedCount).toBe(2);
+      expect(report.getRejectedRows()).toEqual([3, 5]);
+      expect(report.isValid()).toBe(false);
+      expect(mockApi.logger.info).toHaveBeenCalledWith(
+        'Successfully %s %d %ss from a %s file: %s, and %d rows rejected.',
+        'validate',
+        8,
+        'TestEntity',
+        'csv',
+        'test.csv',
+        2,
+      );
+    });
+
+    it('指定 importReport 时应当导入文件并返回 ImportReport 对象', async () => {
+      http.post.mockResolvedValue({ accepted: 10, rejected: [], warnings: [] });
+      const file = createMockFile('test.csv');
+
+      const report = await importImpl(mockApi, 'test-api-url/import', 'csv', file, {
+        parallel: true,
+        importReport: true,
+        showLoading: false,
+      });
+
+      expect(http.post).toHaveBeenCalledWith(
+        'test-api-url/import',
+        expect.any(FormData),
+        {
+          params: { parallel: true, import_report: true },
+          headers: { 'Content-Type': 'multipart/form-data' },
+        },
+      );
+      expect(report).toBeInstanceOf(ImportReport);
+      expect(report.dryRun).toBe(false);
+      expect(report.accepted).toBe(10);
+      expect(report.isValid()).toBe(true);
+    });
+
+    it('当 dryRun 或 importReport 不是布尔值时应当抛出错误', () => {
+      const file = createMockFile('test.csv');
+      expect(() => importImpl(mockApi, 'test-api-url/import', 'csv', file, { dryRun: 'true' }))
+        .toThrow(TypeError);
+      expect(() => importImpl(mockApi, 'test-api-url/import', 'csv', file, { importReport: 1 }))
+        .toThrow(TypeError);
+    });
+
     it('当 file 不是 File 对象时应当抛出错误', () => {
       expect(() => importImpl(mockApi, 'test-api-url/import', 'csv', 'invalid', false, 4, false))
         .toThrow(TypeError);
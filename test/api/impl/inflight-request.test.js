@@ -0,0 +1,157 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { http } from '@qubit-ltd/common-app';
+import { loading } from '@qubit-ltd/common-ui';
+import {
+  getImpl,
+  listImpl,
+  shareInflightRequest,
+} from '../../../src';
+import { discardInflightRequests } from '../../../src/api/impl/inflight-request';
+
+// mock dependencies
+jest.mock('@qubit-ltd/common-app', () => ({
+  http: {
+    get: jest.fn(),
+  },
+}));
+
+jest.mock('@qubit-ltd/common-ui', () => ({
+  loading: {
+    showGetting: jest.fn(),
+    clear: jest.fn(),
+  },
+}));
+
+// 定义测试实体类
+class Test {
+  static create(obj) {
+    return { ...obj };
+  }
+
+  static createPage(obj) {
+    return { ...obj };
+  }
+}
+
+// 构造最简 mock api
+const mockApi = {
+  CRITERIA_DEFINITIONS: [
+    { name: 'name', type: String },
+  ],
+  entityClass: Test,
+  logger: {
+    info: jest.fn(),
+    debug: jest.fn(),
+  },
+};
+
+describe('inflight-request.js', () => {
+  beforeEach(() => {
+    http.get.mockReset();
+    loading.showGetting.mockReset();
+  });
+
+  describe('shareInflightRequest', () => {
+    it('并发的相同请求应当共享同一个 Promise 对象', async () => {
+      const fetch = jest.fn().mockResolvedValue(1);
+      const config = { params: { a: 1, b: 2 } };
+      const first = shareInflightRequest('/test', config, fetch);
+      const second = shareInflightRequest('/test', { params: { b: 2, a: 1 } }, fetch);
+      expect(second).toBe(first);
+      expect(fetch).toHaveBeenCalledTimes(1);
+      await expect(first).resolves.toBe(1);
+    });
+
+    it('请求结束后应当重新发送请求', async () => {
+      const fetch = jest.fn()
+        .mockRejectedValueOnce({ type: 'SERVER_ERROR' })
+        .mockResolvedValueOnce(1)
+        .mockResolvedValueOnce(2);
+      await expect(shareInflightRequest('/test', undefined, fetch)).rejects.toEqual({ type: 'SERVER_ERROR' });
+      await expect(shareInflightRequest('/test', undefined, fetch)).resolves.toBe(1);
+      await expect(shareInflightRequest('/test', undefined, fetch)).resolves.toBe(2);
+      expect(fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('查询参数或请求头不同的请求不应当被合并', async () => {
+      const fetch = jest.fn().mockResolvedValue(1);
+      await Promise.all([
+        shareInflightRequest('/test', { params: { a: 1 } }, fetch),
+        shareInflightRequest('/test', { params: { a: 2 } }, fetch),
+        shareInflightRequest('/test', { params: { a: 1 }, headers: { 'X-Request-Id': 'abc' } }, fetch),
+      ]);
+      expect(fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('指定了 signal 的请求不应当被合并', async () => {
+      const fetch = jest.fn().mockResolvedValue(1);
+      const { signal } = new AbortController();
+      await Promise.all([
+        shareInflightRequest('/test', { signal }, fetch),
+        shareInflightRequest('/test', { signal }, fetch),
+      ]);
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('丢弃进行中的请求后，相同的请求应当重新发送', async () => {
+      let resolveFirst;
+      let resolveSecond;
+      const fetch = jest.fn()
+        .mockReturnValueOnce(new Promise((resolve) => {
+          resolveFirst = resolve;
+        }))
+        .mockReturnValueOnce(new Promise((resolve) => {
+          resolveSecond = resolve;
+        }));
+      const first = shareInflightRequest('/test', undefined, fetch);
+      discardInflightRequests();
+      const second = shareInflightRequest('/test', undefined, fetch);
+      const third = shareInflightRequest('/test', undefined, fetch);
+      expect(second).not.toBe(first);
+      expect(third).toBe(second);
+      resolveFirst(1);
+      await expect(first).resolves.toBe(1);
+      // 被丢弃的请求结束时不应当移除新的请求
+      expect(shareInflightRequest('/test', undefined, fetch)).toBe(second);
+      resolveSecond(2);
+      await expect(second).resolves.toBe(2);
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('getImpl 和 listImpl', () => {
+    it('并发的相同请求应当只发送一次HTTP请求并只显示一次加载提示', async () => {
+      http.get.mockResolvedValue({ id: 1, name: 'foo' });
+      const [first, second] = await Promise.all([
+        getImpl(mockApi, '/test/{id}', 1, true),
+        getImpl(mockApi, '/test/{id}', 1, true),
+      ]);
+      expect(first).toEqual({ id: 1, name: 'foo' });
+      expect(second).toEqual(first);
+      expect(second).not.toBe(first);
+      expect(http.get).toHaveBeenCalledTimes(1);
+      expect(loading.showGetting).toHaveBeenCalledTimes(1);
+    });
+
+    it('共享的请求失败时所有调用者都应当得到错误', async () => {
+      const error = { type: 'SERVER_ERROR' };
+      http.get.mockRejectedValue(error);
+      const results = await Promise.allSettled([
+        listImpl(mockApi, '/test', {}, { name: 'foo' }, {}, false),
+        listImpl(mockApi, '/test', {}, { name: 'foo' }, {}, false),
+      ]);
+      expect(results).toEqual([
+        { status: 'rejected', reason: error },
+        { status: 'rejected', reason: error },
+      ]);
+      expect(http.get).toHaveBeenCalledTimes(1);
+    });
+  });
+});
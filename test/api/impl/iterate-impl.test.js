@@ -0,0 +1,219 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { http } from '@qubit-ltd/common-app';
+import { loading } from '@qubit-ltd/common-ui';
+import { iterateImpl, listAllImpl } from '../../../src';
+
+// mock dependencies
+jest.mock('@qubit-ltd/common-app', () => ({
+  http: {
+    get: jest.fn(),
+  },
+}));
+
+jest.mock('@qubit-ltd/common-ui', () => ({
+  loading: {
+    showGetting: jest.fn(),
+  },
+}));
+
+// 构造最简 mock api
+const mockApi = {
+  CRITERIA_DEFINITIONS: [
+    { name: 'name', type: String },
+  ],
+  entityClass: {
+    name: 'Test',
+    createPage: (obj) => obj,
+    createArray: (array) => array,
+  },
+  logger: {
+    info: jest.fn(),
+    debug: jest.fn(),
+  },
+};
+
+// 构造分页数据
+function makePage(pageIndex, pageSize, totalCount) {
+  const totalPages = Math.ceil(totalCount / pageSize);
+  const start = pageIndex * pageSize;
+  const end = Math.min(start + pageSize, totalCount);
+  const content = [];
+  for (let i = start; i < end; ++i) {
+    content.push({ id: i });
+  }
+  return { pageIndex, pageSize, totalCount, totalPages, content };
+}
+
+// 根据请求参数模拟分页接口
+function mockPagedGet(totalCount) {
+  http.get.mockImplementation((url, { params }) => Promise.resolve(
+    makePage(params.page_index, params.page_size, totalCount),
+  ));
+}
+
+// 根据请求参数模拟游标分页接口，以对象的ID作为游标
+function mockCursorGet(totalCount) {
+  http.get.mockImplementation((url, { params }) => {
+    const start = (params.after === undefined ? 0 : Number(params.after) + 1);
+    const end = Math.min(start + params.limit, totalCount);
+    const content = [];
+    for (let i = start; i < end; ++i) {
+      content.push({ id: i });
+    }
+    return Promise.resolve({
+      content,
+      next_cursor: (end < totalCount ? String(end - 1) : null),
+      previous_cursor: (start > 0 ? String(start) : null),
+    });
+  });
+}
+
+describe('iterate-impl.js', () => {
+  beforeEach(() => {
+    http.get.mockReset();
+    loading.showGetting.mockReset();
+    mockApi.logger.info.mockReset();
+  });
+
+  describe('iterateImpl', () => {
+    it('应当逐页获取并依次产生全部对象', async () => {
+      mockPagedGet(5);
+      const ids = [];
+      for await (const obj of iterateImpl(mockApi, '/test', {}, {}, { pageSize: 2, showLoading: false })) {
+        ids.push(obj.id);
+      }
+      expect(ids).toEqual([0, 1, 2, 3, 4]);
+      expect(http.get).toHaveBeenCalledTimes(3);
+      expect(http.get).toHaveBeenNthCalledWith(1, '/test', { params: { page_index: 0, page_size: 2 } });
+      expect(http.get).toHaveBeenNthCalledWith(3, '/test', { params: { page_index: 2, page_size: 2 } });
+      expect(loading.showGetting).not.toHaveBeenCalled();
+      expect(mockApi.logger.info).toHaveBeenLastCalledWith('Successfully iterated %d %ss in %d pages.', 5, 'Test', 3);
+    });
+
+    it('应当将查询条件传递给每一页的请求', async () => {
+      mockPagedGet(3);
+      const result = [];
+      for await (const obj of iterateImpl(mockApi, '/test', { name: 'abc' }, {}, { pageSize: 2, showLoading: false })) {
+        result.push(obj);
+      }
+      expect(result.length).toBe(3);
+      expect(http.get).toHaveBeenNthCalledWith(2, '/test', {
+        params: { page_index: 1, page_size: 2, name: 'abc' },
+      });
+    });
+
+    it('默认情况下应当使用默认分页大小并显示加载提示', async () => {
+      mockPagedGet(1);
+      const result = [];
+      for await (const obj of iterateImpl(mockApi, '/test')) {
+        result.push(obj);
+      }
+      expect(result).toEqual([{ id: 0 }]);
+      expect(http.get).toHaveBeenCalledWith('/test', { params: { page_index: 0, page_size: 100 } });
+      expect(loading.showGetting).toHaveBeenCalledTimes(1);
+    });
+
+    it('提前结束遍历时不应当请求后续页面', async () => {
+      mockPagedGet(10);
+      const ids = [];
+      for await (const obj of iterateImpl(mockApi, '/test', {}, {}, { pageSize: 2, showLoading: false })) {
+        ids.push(obj.id);
+        if (ids.length === 3) {
+          break;
+        }
+      }
+      expect(ids).toEqual([0, 1, 2]);
+      expect(http.get).toHaveBeenCalledTimes(2);
+    });
+
+    it('达到 maxItems 时应当结束遍历', async () => {
+      mockPagedGet(10);
+      const ids = [];
+      for await (const obj of iterateImpl(mockApi, '/test', {}, {}, { pageSize: 4, maxItems: 5, showLoading: false })) {
+        ids.push(obj.id);
+      }
+      expect(ids).toEqual([0, 1, 2, 3, 4]);
+      expect(http.get).toHaveBeenCalledTimes(2);
+    });
+
+    it('maxItems 为 0 时不应当发出任何请求', async () => {
+      mockPagedGet(10);
+      const result = await listAllImpl(mockApi, '/test', {}, {}, { maxItems: 0, showLoading: false });
+      expect(result).toEqual([]);
+      expect(http.get).not.toHaveBeenCalled();
+    });
+
+    it('获取到空页时应当结束遍历', async () => {
+      http.get.mockResolvedValue({ content: [], totalPages: 3 });
+      const result = [];
+      for await (const obj of iterateImpl(mockApi, '/test', {}, {}, { showLoading: false })) {
+        result.push(obj);
+      }
+      expect(result).toEqual([]);
+      expect(http.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('指定 cursor 选项时应当使用游标分页逐页获取数据', async () => {
+      mockCursorGet(5);
+      const ids = [];
+      for await (const obj of iterateImpl(mockApi, '/test', {}, {}, { pageSize: 2, cursor: true, showLoading: false })) {
+        ids.push(obj.id);
+      }
+      expect(ids).toEqual([0, 1, 2, 3, 4]);
+      expect(http.get).toHaveBeenCalledTimes(3);
+      expect(http.get).toHaveBeenNthCalledWith(1, '/test', { params: { limit: 2 } });
+      expect(http.get).toHaveBeenNthCalledWith(2, '/test', { params: { after: '1', limit: 2 } });
+      expect(http.get).toHaveBeenNthCalledWith(3, '/test', { params: { after: '3', limit: 2 } });
+      expect(mockApi.logger.info).toHaveBeenLastCalledWith('Successfully iterated %d %ss in %d pages.', 5, 'Test', 3);
+    });
+
+    it('使用游标分页时达到 maxItems 应当结束遍历', async () => {
+      mockCursorGet(10);
+      const result = await listAllImpl(mockApi, '/test', {}, {}, { pageSize: 4, maxItems: 5, cursor: true, showLoading: false });
+      expect(result.map((obj) => obj.id)).toEqual([0, 1, 2, 3, 4]);
+      expect(http.get).toHaveBeenCalledTimes(2);
+    });
+
+    it('请求失败时迭代器应当抛出错误', async () => {
+      const error = { type: 'SERVER_ERROR', code: 'INTERNAL_ERROR' };
+      http.get.mockRejectedValue(error);
+      const iterator = iterateImpl(mockApi, '/test', {}, {}, { showLoading: false });
+      await expect(iterator.next()).rejects.toEqual(error);
+    });
+
+    it('参数不合法时应当立即抛出错误', () => {
+      expect(() => iterateImpl(mockApi, '/test', { unknown: 'x' })).toThrow(TypeError);
+      expect(() => iterateImpl(mockApi, '/test', {}, {}, { pageSize: '10' })).toThrow(TypeError);
+      expect(() => iterateImpl(mockApi, '/test', {}, {}, { pageSize: 0 })).toThrow(RangeError);
+      expect(() => iterateImpl(mockApi, '/test', {}, {}, { maxItems: -1 })).toThrow(RangeError);
+      expect(() => iterateImpl(mockApi, '/test', {}, {}, { cursor: 'true' })).toThrow(TypeError);
+      expect(http.get).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('listAllImpl', () => {
+    it('应当返回全部符合条件的对象', async () => {
+      mockPagedGet(7);
+      const result = await listAllImpl(mockApi, '/test', {}, {}, { pageSize: 3, showLoading: false });
+      expect(result.map((obj) => obj.id)).toEqual([0, 1, 2, 3, 4, 5, 6]);
+      expect(http.get).toHaveBeenCalledTimes(3);
+    });
+
+    it('应当遵守 maxItems 的限制', async () => {
+      mockPagedGet(7);
+      const result = await listAllImpl(mockApi, '/test', {}, {}, { pageSize: 3, maxItems: 4, showLoading: false });
+      expect(result.length).toBe(4);
+    });
+
+    it('参数不合法时应当返回失败的 Promise', async () => {
+      await expect(listAllImpl(mockApi, '/test', {}, {}, { pageSize: -1 })).rejects.toThrow(RangeError);
+    });
+  });
+});
@@ -9,7 +9,12 @@
 // import axios from 'axios'; // 暂时不需要
 import { http } from '@qubit-ltd/common-app';
 import { loading } from '@qubit-ltd/common-ui';
-import { listImpl as realListImpl, listInfoImpl as realListInfoImpl } from '../../../src';
+import {
+  CursorPage,
+  listImpl as realListImpl,
+  listInfoImpl as realListInfoImpl,
+  RequestCancelledError,
+} from '../../../src';
 
 // mock dependencies
 jest.mock('@qubit-ltd/common-app', () => ({
@@ -21,6 +26,7 @@ jest.mock('@qubit-ltd/common-app', () => ({
 jest.mock('@qubit-ltd/common-ui', () => ({
   loading: {
     showGetting: jest.fn(),
+    clear: jest.fn(),
   },
 }));
 
@@ -30,10 +36,12 @@ const mockApi = {
   entityClass: {
     name: 'Test',
     createPage: (obj) => obj,
+    createArray: (array) => array,
   },
   entityInfoClass: {
     name: 'TestInfo',
     createPage: (obj) => obj,
+    createArray: (array) => array,
   },
   logger: {
     info: jest.fn(),
@@ -328,6 +336,56 @@ describe('list-impl.js', () => {
       expect(mockApi.logger.debug).toHaveBeenCalledWith('The page of infos of %ss is:', 'Test', mockResponse);
     });
 
+    it('应当将多个排序请求序列化为以逗号分隔的排序参数', async () => {
+      http.get.mockResolvedValue({ content: [] });
+      const sortRequest = [
+        { sortField: 'province', sortOrder: 'ASC' },
+        { sortField: 'city' },
+        { sortField: 'name', sortOrder: 'DESC' },
+      ];
+
+      await realListImpl(mockApi, 'test-api-url/list', {}, {}, sortRequest, false, {});
+      await realListInfoImpl(mockApi, 'test-api-url/list/info', {}, {}, sortRequest, false, {});
+
+      const params = {
+        sort_field: 'province,city,name',
+        sort_order: 'ASC,ASC,DESC',
+      };
+      expect(http.get).toHaveBeenNthCalledWith(1, 'test-api-url/list', { params });
+      expect(http.get).toHaveBeenNthCalledWith(2, 'test-api-url/list/info', { params });
+    });
+
+    it('游标分页请求应当返回 CursorPage 对象', async () => {
+      http.get.mockResolvedValue({
+        content: [{ id: '11' }, { id: '12' }],
+        next_cursor: '12',
+        previous_cursor: '11',
+      });
+
+      const page = await realListImpl(mockApi, 'test-api-url/list', { after: '10', limit: 2 }, {}, {}, false, {});
+      expect(http.get).toHaveBeenCalledWith('test-api-url/list', { params: { after: '10', limit: 2 } });
+      expect(page).toBeInstanceOf(CursorPage);
+      expect(page.content).toEqual([{ id: '11' }, { id: '12' }]);
+      expect(page.limit).toBe(2);
+      expect(page.hasNext).toBe(true);
+      expect(page.getNextRequest()).toEqual({ after: '12', limit: 2 });
+      expect(page.getPreviousRequest()).toEqual({ before: '11', limit: 2 });
+
+      http.get.mockResolvedValue({ content: [{ id: '1' }], next_cursor: null, previous_cursor: null, limit: 5 });
+      const infoPage = await realListInfoImpl(mockApi, 'test-api-url/list/info', { limit: 5 }, {}, {}, false, {});
+      expect(infoPage).toBeInstanceOf(CursorPage);
+      expect(infoPage.hasNext).toBe(false);
+      expect(infoPage.getNextRequest()).toBeNull();
+    });
+
+    it('游标分页请求不合法时应当抛出错误', () => {
+      expect(() => realListImpl(mockApi, 'test-api-url/list', { after: 10 }, {}, {}, false)).toThrow(TypeError);
+      expect(() => realListImpl(mockApi, 'test-api-url/list', { after: 'a', before: 'b' }, {}, {}, false)).toThrow(RangeError);
+      expect(() => realListImpl(mockApi, 'test-api-url/list', { after: 'a', pageIndex: 1 }, {}, {}, false)).toThrow(RangeError);
+      expect(() => realListImpl(mockApi, 'test-api-url/list', { limit: 0 }, {}, {}, false)).toThrow(RangeError);
+      expect(http.get).not.toHaveBeenCalled();
+    });
+
     it('listImpl 当 showLoading 为 false 时不应当显示加载提示', async () => {
       const mockResponse = { content: [] };
       http.get.mockResolvedValue(mockResponse);
@@ -348,6 +406,33 @@ describe('list-impl.js', () => {
       expect(http.get).toHaveBeenCalled();
     });
 
+    it('listImpl 应当将 signal 传递给 http 请求', async () => {
+      const mockResponse = { content: [] };
+      http.get.mockResolvedValue(mockResponse);
+      const controller = new AbortController();
+
+      await realListImpl(mockApi, 'test-api-url/list', {}, {}, {}, { signal: controller.signal }, {});
+
+      expect(http.get).toHaveBeenCalledWith('test-api-url/list', {
+        params: {},
+        signal: controller.signal,
+      });
+      expect(loading.showGetting).toHaveBeenCalled();
+    });
+
+    it('listImpl 请求被取消时应当抛出 RequestCancelledError 并清除加载提示', async () => {
+      http.get.mockReturnValue(new Promise(() => {}));
+      loading.clear.mockClear();
+      const controller = new AbortController();
+
+      const promise = realListImpl(mockApi, 'test-api-url/list', {}, {}, {}, { signal: controller.signal }, {});
+      controller.abort();
+
+      await expect(promise).rejects.toBeInstanceOf(RequestCancelledError);
+      expect(loading.clear).toHaveBeenCalledTimes(1);
+      expect(mockApi.logger.info).not.toHaveBeenCalledWith('Successfully list %ss.', 'Test');
+    });
+
     it('listImpl 应当正确处理复杂的查询条件和选项', async () => {
       const mockResponse = { content: [] };
       http.get.mockResolvedValue(mockResponse);
@@ -389,6 +474,36 @@ describe('list-impl.js', () => {
       });
     });
 
+    it('listInfoImpl 指定 fields 选项时应当只返回基本信息的指定属性', async () => {
+      http.get.mockResolvedValue({
+        content: [
+          { id: '1', code: 'A', name: '测试1' },
+          { id: '2', code: 'B', name: '测试2' },
+        ],
+      });
+      const result = await realListInfoImpl(mockApi, 'test-api-url/list/info', {}, {}, {}, {
+        showLoading: false,
+        fields: 'id,name',
+      });
+      expect(http.get).toHaveBeenCalledWith('test-api-url/list/info', { params: { fields: 'id,name' } });
+      expect(result.content).toEqual([
+        { id: '1', name: '测试1' },
+        { id: '2', name: '测试2' },
+      ]);
+    });
+
+    it('listInfoImpl 的 fields 选项包含基本信息类中不存在的属性时应当抛出 TypeError', () => {
+      class TestInfo {
+        id = null;
+
+        name = '';
+      }
+      const api = { ...mockApi, entityInfoClass: TestInfo };
+      expect(() => realListInfoImpl(api, 'test-api-url/list/info', {}, {}, {}, { fields: ['id', 'contact'] }))
+        .toThrow(TypeError);
+      expect(http.get).not.toHaveBeenCalled();
+    });
+
     it('listInfoImpl 应当正确处理复杂的查询条件和选项', async () => {
       const mockResponse = { content: [] };
       http.get.mockResolvedValue(mockResponse);
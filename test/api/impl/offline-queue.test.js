@@ -0,0 +1,223 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { http } from '@qubit-ltd/common-app';
+import { loading } from '@qubit-ltd/common-ui';
+import { Logger } from '@qubit-ltd/logging';
+import {
+  addImpl,
+  deleteImpl,
+  MemoryOfflineStorage,
+  offlineQueue,
+  updateImpl,
+  updatePropertyImpl,
+} from '../../../src';
+
+// mock dependencies
+jest.mock('@qubit-ltd/common-app', () => ({
+  http: {
+    post: jest.fn(),
+    put: jest.fn(),
+    delete: jest.fn(),
+  },
+}));
+
+jest.mock('@qubit-ltd/common-ui', () => ({
+  loading: {
+    showAdding: jest.fn(),
+    showUpdating: jest.fn(),
+    showDeleting: jest.fn(),
+    clear: jest.fn(),
+  },
+}));
+
+// 定义测试实体类
+class Test {
+  static create(obj) {
+    return { ...obj };
+  }
+}
+
+// 构造最简 mock api
+const mockApi = {
+  entityClass: Test,
+  logger: {
+    info: jest.fn(),
+    debug: jest.fn(),
+  },
+};
+
+describe('offline-queue.js', () => {
+  let online = false;
+
+  beforeEach(async () => {
+    http.post.mockReset();
+    http.put.mockReset();
+    http.delete.mockReset();
+    loading.showAdding.mockReset();
+    online = false;
+    offlineQueue.enabled = true;
+    offlineQueue.storage = new MemoryOfflineStorage();
+    offlineQueue.isOnline = () => online;
+    await offlineQueue.clear();
+  });
+
+  afterEach(() => {
+    offlineQueue.stop();
+  });
+
+  it('离线时应当将操作加入队列而不发送请求', async () => {
+    const result = await addImpl(mockApi, '/test', { name: 'foo' }, true);
+    expect(result).toEqual({ name: 'foo' });
+    expect(http.post).not.toHaveBeenCalled();
+    expect(loading.showAdding).not.toHaveBeenCalled();
+    const entries = await offlineQueue.getEntries();
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({
+      action: 'add',
+      method: 'post',
+      url: '/test',
+      data: { name: 'foo' },
+      entityName: 'Test',
+    });
+  });
+
+  it('在线或未启用离线模式时应当直接发送请求', async () => {
+    http.post.mockResolvedValue({ id: 1, name: 'foo' });
+    online = true;
+    await addImpl(mockApi, '/test', { name: 'foo' }, false);
+    online = false;
+    offlineQueue.enabled = false;
+    await addImpl(mockApi, '/test', { name: 'foo' }, false);
+    expect(http.post).toHaveBeenCalledTimes(2);
+    await expect(offlineQueue.getEntries()).resolves.toEqual([]);
+  });
+
+  it('应当按照加入队列的顺序重放操作，并报告冲突', async () => {
+    await addImpl(mockApi, '/test', { name: 'foo' }, false);
+    await updateImpl(mockApi, '/test/{id}', { id: 2, name: 'bar' }, false);
+    await deleteImpl(mockApi, '/test/{id}', 3, false);
+    const calls = [];
+    const conflict = { status: 412 };
+    http.post.mockImplementation(() => {
+      calls.push('post');
+      return Promise.resolve({ id: 1, name: 'foo' });
+    });
+    http.put.mockImplementation(() => {
+      calls.push('put');
+      return Promise.reject(conflict);
+    });
+    http.delete.mockImplementation(() => {
+      calls.push('delete');
+      return Promise.resolve();
+    });
+    const listener = jest.fn();
+    offlineQueue.addListener(listener);
+    online = true;
+    const outcomes = await offlineQueue.replay();
+    offlineQueue.removeListener(listener);
+    expect(calls).toEqual(['post', 'put', 'delete']);
+    expect(http.delete).toHaveBeenCalledWith('/test/3', { params: {} });
+    expect(outcomes.map((outcome) => outcome.status)).toEqual(['succeeded', 'conflict', 'succeeded']);
+    expect(listener).toHaveBeenCalledTimes(3);
+    await expect(offlineQueue.getEntries()).resolves.toEqual([]);
+  });
+
+  it('重放时发生网络错误应当停止重放并保留剩余的操作', async () => {
+    await deleteImpl(mockApi, '/test/{id}', 1, false);
+    await deleteImpl(mockApi, '/test/{id}', 2, false);
+    http.delete
+      .mockResolvedValueOnce()
+      .mockRejectedValueOnce({ type: 'NETWORK_ERROR' });
+    online = true;
+    const outcomes = await offlineQueue.replay();
+    expect(outcomes).toHaveLength(1);
+    const entries = await offlineQueue.getEntries();
+    expect(entries.map((entry) => entry.url)).toEqual(['/test/2']);
+  });
+
+  it('网络恢复时重放失败应当记录错误而不是产生未处理的 rejection', async () => {
+    const error = new Error('storage unavailable');
+    offlineQueue.storage = { load: jest.fn().mockRejectedValue(error) };
+    const logError = jest.spyOn(Logger.getLogger('OfflineQueue'), 'error').mockImplementation(() => {});
+    await offlineQueue.start();
+    window.dispatchEvent(new Event('online'));
+    await new Promise((resolve) => {
+      setTimeout(resolve, 0);
+    });
+    expect(offlineQueue.storage.load).toHaveBeenCalled();
+    expect(logError).toHaveBeenCalledWith(expect.any(String), error);
+    logError.mockRestore();
+  });
+
+  it('重放过程中新的操作应当加入队列，并在队列中的操作之后发送', async () => {
+    await addImpl(mockApi, '/test', { name: 'foo' }, false);
+    await deleteImpl(mockApi, '/test/{id}', 3, false);
+    const calls = [];
+    let resolvePost;
+    http.post.mockImplementation(() => {
+      calls.push('post');
+      return new Promise((resolve) => {
+        resolvePost = resolve;
+      });
+    });
+    http.put.mockImplementation(() => {
+      calls.push('put');
+      return Promise.resolve({ id: 2, name: 'bar' });
+    });
+    http.delete.mockImplementation(() => {
+      calls.push('delete');
+      return Promise.resolve();
+    });
+    online = true;
+    const replaying = offlineQueue.replay();
+    expect(offlineQueue.isActive()).toBe(true);
+    const updating = updateImpl(mockApi, '/test/{id}', { id: 2, name: 'bar' }, false);
+    await new Promise((resolve) => {
+      setTimeout(resolve, 0);
+    });
+    expect(calls).toEqual(['post']);
+    resolvePost({ id: 1, name: 'foo' });
+    await expect(replaying).resolves.toHaveLength(2);
+    await expect(updating).resolves.toEqual({ id: 2, name: 'bar' });
+    // 加入队列的操作在其后自动重放
+    await offlineQueue.replay();
+    expect(calls).toEqual(['post', 'delete', 'put']);
+    await expect(offlineQueue.getEntries()).resolves.toEqual([]);
+    expect(offlineQueue.isActive()).toBe(false);
+  });
+
+  it('队列中还有未重放的操作时，网络在线也应当将新的操作加入队列', async () => {
+    await deleteImpl(mockApi, '/test/{id}', 1, false);
+    http.delete.mockRejectedValueOnce({ type: 'NETWORK_ERROR' });
+    online = true;
+    await offlineQueue.replay();
+    expect(offlineQueue.isActive()).toBe(true);
+    http.delete.mockResolvedValue();
+    await deleteImpl(mockApi, '/test/{id}', 2, false);
+    await offlineQueue.replay();
+    expect(http.delete.mock.calls.map(([url]) => url)).toEqual(['/test/1', '/test/1', '/test/2']);
+    await expect(offlineQueue.getEntries()).resolves.toEqual([]);
+  });
+
+  it('属性更新加入队列时应当返回其加入队列的时间戳', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(Date.UTC(2024, 0, 1));
+    const result = await updatePropertyImpl(mockApi, '/test/{id}/state', 1, 'state', String, 'DISABLED', false);
+    now.mockRestore();
+    expect(result).toBe('2024-01-01T00:00:00.000Z');
+    const [entry] = await offlineQueue.getEntries();
+    expect(entry).toMatchObject({ action: 'updateProperty', url: '/test/1/state', data: 'DISABLED' });
+  });
+
+  it('加入队列时应当忽略 signal', async () => {
+    const controller = new AbortController();
+    await deleteImpl(mockApi, '/test/{id}', 1, { signal: controller.signal });
+    const [entry] = await offlineQueue.getEntries();
+    expect(entry.config.signal).toBeUndefined();
+  });
+});
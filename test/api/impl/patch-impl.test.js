@@ -0,0 +1,126 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { http } from '@qubit-ltd/common-app';
+import { loading } from '@qubit-ltd/common-ui';
+import { diffEntity, patchImpl } from '../../../src/api/impl/patch-impl';
+
+// mock dependencies
+jest.mock('@qubit-ltd/common-app', () => ({
+  http: {
+    patch: jest.fn(),
+  },
+}));
+
+jest.mock('@qubit-ltd/common-ui', () => ({
+  loading: {
+    showUpdating: jest.fn(),
+  },
+}));
+
+// 定义测试实体类
+class TestEntity {
+  constructor(data) {
+    Object.assign(this, data);
+  }
+
+  static create(obj) {
+    return new TestEntity(obj);
+  }
+}
+
+// 定义测试用的 API 对象
+const mockApi = {
+  entityClass: TestEntity,
+  logger: {
+    info: jest.fn(),
+    debug: jest.fn(),
+  },
+};
+
+describe('patch-impl.js', () => {
+  beforeEach(() => {
+    http.patch.mockReset();
+    loading.showUpdating.mockReset();
+    mockApi.logger.info.mockReset();
+  });
+
+  describe('diffEntity', () => {
+    it('应当只包含发生变化的属性，并将属性名转换为下划线形式', () => {
+      const original = { id: '1', name: 'foo', displayName: 'Foo', age: 18 };
+      const modified = { id: '1', name: 'foo', displayName: 'Bar', age: 18 };
+      expect(diffEntity(original, modified)).toEqual({ display_name: 'Bar' });
+    });
+
+    it('被清空的属性应当以 null 表示，新增的属性应当包含在结果中', () => {
+      const original = { id: '1', name: 'foo', comment: 'hello' };
+      const modified = { id: '1', name: 'foo', comment: null, mobile: '13800000000' };
+      expect(diffEntity(original, modified)).toEqual({ comment: null, mobile: '13800000000' });
+    });
+
+    it('嵌套的对象发生变化时应当只包含其发生变化的属性', () => {
+      const original = { id: '1', address: { city: 'A', street: 'B' }, tags: ['x', 'y'] };
+      const modified = { id: '1', address: { street: 'B', city: 'C' }, tags: ['x', 'y'] };
+      expect(diffEntity(original, modified)).toEqual({ address: { city: 'C' } });
+      expect(diffEntity(original, { ...original, address: { street: 'B', city: 'A' } })).toEqual({});
+    });
+
+    it('被清空的嵌套属性应当以 null 表示', () => {
+      const original = { id: '1', contact: { mobile: '13800000000', address: { city: 'A', street: 'B' } } };
+      const modified = { id: '1', contact: { mobile: null, address: { city: 'A' } } };
+      expect(diffEntity(original, modified)).toEqual({
+        contact: {
+          mobile: null,
+          address: { street: null },
+        },
+      });
+      expect(diffEntity(original, { id: '1', contact: null })).toEqual({ contact: null });
+    });
+
+    it('数组发生变化时应当包含其完整的新值', () => {
+      const original = { id: '1', tags: ['x', 'y'] };
+      expect(diffEntity(original, { id: '1', tags: ['x'] })).toEqual({ tags: ['x'] });
+      expect(diffEntity(original, { id: '1', tags: ['x', 'y'] })).toEqual({});
+    });
+  });
+
+  describe('patchImpl', () => {
+    it('应当通过 PATCH 请求只发送发生变化的属性', async () => {
+      http.patch.mockResolvedValue({ id: '123', name: 'bar', comment: 'hello' });
+      const original = { id: '123', name: 'foo', comment: 'hello' };
+      const modified = { id: '123', name: 'bar', comment: 'hello' };
+
+      const result = await patchImpl(mockApi, 'test-api-url/{id}/patch', original, modified, true);
+
+      expect(http.patch).toHaveBeenCalledWith('test-api-url/123/patch', { name: 'bar' }, {
+        params: {},
+        headers: { 'Content-Type': 'application/merge-patch+json' },
+      });
+      expect(loading.showUpdating).toHaveBeenCalled();
+      expect(result).toBeInstanceOf(TestEntity);
+      expect(result.name).toBe('bar');
+      expect(mockApi.logger.info).toHaveBeenCalledWith('Successfully patch the %s by its ID:', 'TestEntity', '123');
+    });
+
+    it('没有属性发生变化时不应当发送请求', async () => {
+      const entity = { id: '123', name: 'foo' };
+
+      const result = await patchImpl(mockApi, 'test-api-url/{id}', entity, { ...entity }, true);
+
+      expect(http.patch).not.toHaveBeenCalled();
+      expect(loading.showUpdating).not.toHaveBeenCalled();
+      expect(result).toBeInstanceOf(TestEntity);
+      expect(result.name).toBe('foo');
+    });
+
+    it('参数不合法时应当抛出 TypeError', () => {
+      expect(() => patchImpl(mockApi, 'test-api-url/{id}', null, { id: '1' }, false)).toThrow(TypeError);
+      expect(() => patchImpl(mockApi, 'test-api-url/{id}', { id: '1' }, { name: 'foo' }, false)).toThrow(TypeError);
+    });
+  });
+});
@@ -0,0 +1,219 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { loading } from '@qubit-ltd/common-ui';
+import {
+  handleCancellation,
+  normalizeRequestOptions,
+  RequestCancelledError,
+  resolveOptionalArguments,
+  toRequestConfig,
+} from '../../../src';
+
+// mock dependencies
+jest.mock('@qubit-ltd/common-app', () => ({
+  http: {},
+}));
+
+jest.mock('@qubit-ltd/common-ui', () => ({
+  loading: {
+    clear: jest.fn(),
+  },
+}));
+
+describe('request-options.js', () => {
+  beforeEach(() => {
+    loading.clear.mockReset();
+  });
+
+  describe('normalizeRequestOptions', () => {
+    it('应当支持布尔值参数', () => {
+      expect(normalizeRequestOptions(true)).toEqual({ showLoading: true, signal: undefined });
+      expect(normalizeRequestOptions(false)).toEqual({ showLoading: false, signal: undefined });
+    });
+
+    it('应当支持请求选项对象参数', () => {
+      const controller = new AbortController();
+      expect(normalizeRequestOptions({ signal: controller.signal })).toEqual({
+        showLoading: true,
+        signal: controller.signal,
+      });
+      expect(normalizeRequestOptions({ showLoading: false })).toEqual({
+        showLoading: false,
+        signal: undefined,
+      });
+    });
+
+    it('应当支持超时、请求头和查询参数等请求选项', () => {
+      expect(normalizeRequestOptions({
+        timeout: 3000,
+        headers: { 'X-Request-Id': 'abc' },
+        params: { withRoles: true },
+        transformUrls: false,
+      })).toEqual({
+        showLoading: true,
+        signal: undefined,
+        timeout: 3000,
+        headers: { 'X-Request-Id': 'abc' },
+        params: { withRoles: true, transformUrls: false },
+      });
+      expect(normalizeRequestOptions({ transformUrls: true }).params).toEqual({ transformUrls: true });
+      expect(normalizeRequestOptions({}).params).toBeUndefined();
+    });
+
+    it('应当将需要返回的属性列表作为查询参数', () => {
+      expect(normalizeRequestOptions({ fields: ['id', 'name', 'contact.mobile'] })).toEqual({
+        showLoading: true,
+        signal: undefined,
+        params: { fields: 'id,name,contact.mobile' },
+        fields: ['id', 'name', 'contact.mobile'],
+      });
+      expect(normalizeRequestOptions({ fields: 'id, name', params: { withRoles: true } })).toEqual({
+        showLoading: true,
+        signal: undefined,
+        params: { withRoles: true, fields: 'id,name' },
+        fields: ['id', 'name'],
+      });
+      expect(() => normalizeRequestOptions({ fields: 1 })).toThrow(TypeError);
+      expect(() => normalizeRequestOptions({ fields: [] })).toThrow(RangeError);
+    });
+
+    it('应当原样返回仅对特定操作有效的选项而不检查其类型', () => {
+      const options = normalizeRequestOptions({ dryRun: 'true', chunkSize: '2', optimisticLock: 'yes' });
+      expect(options.dryRun).toBe('true');
+      expect(options.chunkSize).toBe('2');
+      expect(options.optimisticLock).toBe('yes');
+    });
+
+    it('参数不合法时应当抛出错误', () => {
+      expect(() => normalizeRequestOptions('invalid')).toThrow(TypeError);
+      expect(() => normalizeRequestOptions(null)).toThrow(TypeError);
+      expect(() => normalizeRequestOptions(undefined)).toThrow(TypeError);
+      expect(() => normalizeRequestOptions({ showLoading: 'true' })).toThrow(TypeError);
+      expect(() => normalizeRequestOptions({ signal: 'signal' })).toThrow(TypeError);
+      expect(() => normalizeRequestOptions({ timeout: '3000' })).toThrow(TypeError);
+      expect(() => normalizeRequestOptions({ transformUrls: 'false' })).toThrow(TypeError);
+      expect(() => normalizeRequestOptions({ onDownloadProgress: 'progress' })).toThrow(TypeError);
+    });
+  });
+
+  describe('toRequestConfig', () => {
+    it('未指定 signal 时应当原样返回请求配置', () => {
+      const config = { params: { a: 1 } };
+      expect(toRequestConfig({ showLoading: true }, config)).toBe(config);
+      expect(toRequestConfig({ showLoading: true })).toBeUndefined();
+    });
+
+    it('指定 signal 时应当将其加入请求配置', () => {
+      const { signal } = new AbortController();
+      expect(toRequestConfig({ signal }, { params: { a: 1 } })).toEqual({ params: { a: 1 }, signal });
+      expect(toRequestConfig({ signal })).toEqual({ signal });
+    });
+
+    it('应当合并请求头和查询参数', () => {
+      const config = {
+        params: { page_index: 0 },
+        headers: { 'Content-Type': 'multipart/form-data' },
+      };
+      const requestOptions = {
+        showLoading: true,
+        timeout: 3000,
+        headers: { 'X-Request-Id': 'abc' },
+        params: { transformUrls: false },
+      };
+      expect(toRequestConfig(requestOptions, config)).toEqual({
+        params: { page_index: 0, transform_urls: false },
+        headers: { 'Content-Type': 'multipart/form-data', 'X-Request-Id': 'abc' },
+        timeout: 3000,
+      });
+      expect(config).toEqual({
+        params: { page_index: 0 },
+        headers: { 'Content-Type': 'multipart/form-data' },
+      });
+      expect(toRequestConfig({ showLoading: true, timeout: 0 })).toEqual({ timeout: 0 });
+    });
+  });
+
+  describe('resolveOptionalArguments', () => {
+    const defaults = { withUser: false, transformUrls: true };
+
+    it('应当支持按位置传递的参数', () => {
+      expect(resolveOptionalArguments([true, false, false], defaults)).toEqual({
+        withUser: true,
+        transformUrls: false,
+        showLoading: false,
+      });
+      const { signal } = new AbortController();
+      expect(resolveOptionalArguments([true, false, { signal }], defaults)).toEqual({
+        withUser: true,
+        transformUrls: false,
+        showLoading: { signal },
+      });
+    });
+
+    it('应当支持以请求选项对象代替位置参数', () => {
+      expect(resolveOptionalArguments([{ transformUrls: false, showLoading: false }, true, true], defaults)).toEqual({
+        withUser: false,
+        transformUrls: false,
+        showLoading: { showLoading: false },
+      });
+      expect(resolveOptionalArguments([true, { timeout: 1000 }, true], defaults)).toEqual({
+        withUser: true,
+        transformUrls: true,
+        showLoading: { timeout: 1000 },
+      });
+    });
+
+    it('不应当将非普通对象视为请求选项对象', () => {
+      const callback = () => {};
+      expect(resolveOptionalArguments([callback, null, true], { onProgress: undefined, threads: null })).toEqual({
+        onProgress: callback,
+        threads: null,
+        showLoading: true,
+      });
+    });
+  });
+
+  describe('handleCancellation', () => {
+    it('未指定 signal 时应当原样返回 Promise 对象', () => {
+      const promise = Promise.resolve(1);
+      expect(handleCancellation(promise, { showLoading: true })).toBe(promise);
+    });
+
+    it('请求未被取消时应当返回请求的结果', async () => {
+      const controller = new AbortController();
+      const options = { showLoading: true, signal: controller.signal };
+      await expect(handleCancellation(Promise.resolve(1), options)).resolves.toBe(1);
+      const error = { type: 'SERVER_ERROR' };
+      await expect(handleCancellation(Promise.reject(error), options)).rejects.toBe(error);
+      expect(loading.clear).not.toHaveBeenCalled();
+    });
+
+    it('请求被取消时应当抛出 RequestCancelledError 并清除加载提示', async () => {
+      const controller = new AbortController();
+      const promise = new Promise(() => {});
+      const result = handleCancellation(promise, { showLoading: true, signal: controller.signal });
+      controller.abort('navigate away');
+      await expect(result).rejects.toBeInstanceOf(RequestCancelledError);
+      await expect(result).rejects.toMatchObject({
+        name: 'RequestCancelledError',
+        reason: 'navigate away',
+      });
+      expect(loading.clear).toHaveBeenCalledTimes(1);
+    });
+
+    it('请求已被取消时应当立即抛出 RequestCancelledError', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      const promise = Promise.reject(new Error('canceled'));
+      const result = handleCancellation(promise, { showLoading: false, signal: controller.signal });
+      await expect(result).rejects.toBeInstanceOf(RequestCancelledError);
+      expect(loading.clear).not.toHaveBeenCalled();
+    });
+  });
+});
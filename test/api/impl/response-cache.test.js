@@ -0,0 +1,231 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { http } from '@qubit-ltd/common-app';
+import { loading } from '@qubit-ltd/common-ui';
+import {
+  getInfoImpl,
+  listInfoImpl,
+  ResponseCache,
+  responseCache,
+  updateImpl,
+} from '../../../src';
+
+// mock dependencies
+jest.mock('@qubit-ltd/common-app', () => ({
+  http: {
+    get: jest.fn(),
+    put: jest.fn(),
+  },
+}));
+
+jest.mock('@qubit-ltd/common-ui', () => ({
+  loading: {
+    showGetting: jest.fn(),
+    showUpdating: jest.fn(),
+  },
+}));
+
+// 定义测试实体类
+class Test {
+  static create(obj) {
+    return { ...obj };
+  }
+}
+
+class TestInfo {
+  static create(obj) {
+    return { ...obj };
+  }
+
+  static createPage(obj) {
+    return { ...obj };
+  }
+}
+
+// 构造最简 mock api
+const mockApi = {
+  CRITERIA_DEFINITIONS: [
+    { name: 'name', type: String },
+  ],
+  entityClass: Test,
+  entityInfoClass: TestInfo,
+  cacheOptions: { ttl: 1000 },
+  logger: {
+    info: jest.fn(),
+    debug: jest.fn(),
+  },
+};
+
+describe('response-cache.js', () => {
+  beforeEach(() => {
+    http.get.mockReset();
+    http.put.mockReset();
+    loading.showGetting.mockReset();
+    responseCache.clear();
+  });
+
+  describe('ResponseCache', () => {
+    it('应当在存活时间内返回缓存的值', () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+      const cache = new ResponseCache();
+      cache.set('key', { id: 1 }, Test, 100);
+      expect(cache.has('key')).toBe(true);
+      expect(cache.get('key')).toEqual({ id: 1 });
+      now.mockReturnValue(1100);
+      expect(cache.has('key')).toBe(false);
+      expect(cache.get('key')).toBeUndefined();
+      expect(cache.size).toBe(0);
+      now.mockRestore();
+    });
+
+    it('应当支持缓存 null 值', () => {
+      const cache = new ResponseCache();
+      cache.set('key', null, Test);
+      expect(cache.has('key')).toBe(true);
+      expect(cache.get('key')).toBeNull();
+    });
+
+    it('超过最大条目数时应当移除最近最少使用的条目', () => {
+      const cache = new ResponseCache();
+      cache.maxSize = 2;
+      cache.set('a', 1, Test);
+      cache.set('b', 2, Test);
+      cache.get('a');
+      cache.set('c', 3, Test);
+      expect(cache.size).toBe(2);
+      expect(cache.has('a')).toBe(true);
+      expect(cache.has('b')).toBe(false);
+      expect(cache.has('c')).toBe(true);
+    });
+
+    it('应当使指定实体类的所有条目失效', () => {
+      const Other = class {};
+      const cache = new ResponseCache();
+      cache.set('a', 1, Test);
+      cache.set('b', 2, Other);
+      cache.set('c', 3, Test);
+      expect(cache.invalidate(Test)).toBe(2);
+      expect(cache.has('a')).toBe(false);
+      expect(cache.has('b')).toBe(true);
+      expect(cache.has('c')).toBe(false);
+    });
+
+    it('应当使依赖于指定实体类的条目失效', () => {
+      const Other = class {};
+      const cache = new ResponseCache();
+      cache.set('a', 1, [Test, Other]);
+      cache.set('b', 2, Test);
+      expect(cache.invalidate(Other)).toBe(1);
+      expect(cache.has('a')).toBe(false);
+      expect(cache.has('b')).toBe(true);
+    });
+
+    it('实体类的版本号变化后不应当放入条目', () => {
+      const Other = class {};
+      const cache = new ResponseCache();
+      const generation = cache.generation([Test, Other]);
+      expect(cache.set('a', 1, [Test, Other], 100, generation)).toBe(true);
+      cache.invalidate(Other);
+      expect(cache.generation([Test, Other])).not.toBe(generation);
+      expect(cache.set('b', 2, [Test, Other], 100, generation)).toBe(false);
+      expect(cache.has('b')).toBe(false);
+      const cleared = cache.generation(Test);
+      cache.clear();
+      expect(cache.set('c', 3, Test, 100, cleared)).toBe(false);
+    });
+  });
+
+  describe('fetchWithCache', () => {
+    it('缓存命中时不应当发送请求，也不应当显示加载提示', async () => {
+      http.get.mockResolvedValue({ id: 1, name: 'foo' });
+      const first = await getInfoImpl(mockApi, '/test/{id}/info', 1, true);
+      const second = await getInfoImpl(mockApi, '/test/{id}/info', 1, true);
+      expect(second).toEqual(first);
+      expect(second).not.toBe(first);
+      expect(http.get).toHaveBeenCalledTimes(1);
+      expect(http.get).toHaveBeenCalledWith('/test/1/info');
+      expect(loading.showGetting).toHaveBeenCalledTimes(1);
+    });
+
+    it('应当以URL和查询参数作为缓存的键', async () => {
+      http.get.mockResolvedValue({ content: [] });
+      await listInfoImpl(mockApi, '/test/info', {}, { name: 'foo' }, {}, false);
+      await listInfoImpl(mockApi, '/test/info', {}, { name: 'bar' }, {}, false);
+      await listInfoImpl(mockApi, '/test/info', {}, { name: 'foo' }, {}, false);
+      expect(http.get).toHaveBeenCalledTimes(2);
+    });
+
+    it('未启用缓存时应当总是发送请求', async () => {
+      http.get.mockResolvedValue({ id: 1 });
+      const api = { ...mockApi, cacheOptions: undefined };
+      await getInfoImpl(api, '/test/{id}/info', 1, false);
+      await getInfoImpl(api, '/test/{id}/info', 1, false);
+      expect(http.get).toHaveBeenCalledTimes(2);
+      await getInfoImpl(api, '/test/{id}/info', 1, { cache: true, showLoading: false });
+      await getInfoImpl(api, '/test/{id}/info', 1, { cache: true, showLoading: false });
+      expect(http.get).toHaveBeenCalledTimes(3);
+    });
+
+    it('请求选项中的 cache 属性应当优先于 API 对象的缓存设置', async () => {
+      http.get.mockResolvedValue({ id: 1 });
+      await getInfoImpl(mockApi, '/test/{id}/info', 1, { cache: false, showLoading: false });
+      await getInfoImpl(mockApi, '/test/{id}/info', 1, { cache: false, showLoading: false });
+      expect(http.get).toHaveBeenCalledTimes(2);
+    });
+
+    it('请求失败时不应当缓存结果', async () => {
+      const error = { type: 'SERVER_ERROR' };
+      http.get.mockRejectedValueOnce(error).mockResolvedValueOnce({ id: 1 });
+      await expect(getInfoImpl(mockApi, '/test/{id}/info', 1, false)).rejects.toBe(error);
+      await expect(getInfoImpl(mockApi, '/test/{id}/info', 1, false)).resolves.toEqual({ id: 1 });
+      expect(http.get).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('invalidateResponseCache', () => {
+    it('更新实体对象后应当使该实体类的缓存失效', async () => {
+      http.get.mockResolvedValue({ id: 1, name: 'foo' });
+      http.put.mockResolvedValue({ id: 1, name: 'bar' });
+      await getInfoImpl(mockApi, '/test/{id}/info', 1, false);
+      await updateImpl(mockApi, '/test/{id}', { id: 1, name: 'bar' }, false);
+      await getInfoImpl(mockApi, '/test/{id}/info', 1, false);
+      expect(http.get).toHaveBeenCalledTimes(2);
+    });
+
+    it('修改 API 对象声明依赖的实体类后应当使其缓存失效', async () => {
+      class Entry {
+        static create(obj) {
+          return { ...obj };
+        }
+      }
+      const dictApi = { ...mockApi, cacheDependencies: [Entry] };
+      const entryApi = { ...mockApi, entityClass: Entry };
+      http.get.mockResolvedValue({ id: 1, name: 'foo' });
+      http.put.mockResolvedValue({ id: 2, name: 'bar' });
+      await getInfoImpl(dictApi, '/test/{id}/info', 1, false);
+      await updateImpl(entryApi, '/entry/{id}', { id: 2, name: 'bar' }, false);
+      await getInfoImpl(dictApi, '/test/{id}/info', 1, false);
+      expect(http.get).toHaveBeenCalledTimes(2);
+    });
+
+    it('修改期间进行中的查询不应当用过时的数据填充缓存', async () => {
+      let resolveGet;
+      http.get.mockReturnValueOnce(new Promise((resolve) => {
+        resolveGet = resolve;
+      })).mockResolvedValue({ id: 1, name: 'bar' });
+      http.put.mockResolvedValue({ id: 1, name: 'bar' });
+      const pending = getInfoImpl(mockApi, '/test/{id}/info', 1, false);
+      await updateImpl(mockApi, '/test/{id}', { id: 1, name: 'bar' }, false);
+      resolveGet({ id: 1, name: 'foo' });
+      await expect(pending).resolves.toEqual({ id: 1, name: 'foo' });
+      await expect(getInfoImpl(mockApi, '/test/{id}/info', 1, false)).resolves.toEqual({ id: 1, name: 'bar' });
+      expect(http.get).toHaveBeenCalledTimes(2);
+    });
+  });
+});
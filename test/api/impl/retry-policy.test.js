@@ -0,0 +1,152 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { http } from '@qubit-ltd/common-app';
+import { loading } from '@qubit-ltd/common-ui';
+import {
+  addImpl,
+  getImpl,
+  RequestCancelledError,
+  retryRequest,
+} from '../../../src';
+
+// mock dependencies
+jest.mock('@qubit-ltd/common-app', () => ({
+  http: {
+    get: jest.fn(),
+    post: jest.fn(),
+  },
+}));
+
+jest.mock('@qubit-ltd/common-ui', () => ({
+  loading: {
+    showGetting: jest.fn(),
+    showAdding: jest.fn(),
+    clear: jest.fn(),
+  },
+}));
+
+// 定义测试实体类
+class Test {
+  static create(obj) {
+    return { ...obj };
+  }
+}
+
+// 构造最简 mock api
+const mockApi = {
+  entityClass: Test,
+  logger: {
+    info: jest.fn(),
+    debug: jest.fn(),
+  },
+};
+
+// 不等待的重试策略，避免测试耗时
+const noDelay = { initialDelay: 0, jitter: 0 };
+
+describe('retry-policy.js', () => {
+  beforeEach(() => {
+    http.get.mockReset();
+    http.post.mockReset();
+    loading.showGetting.mockReset();
+  });
+
+  describe('幂等的请求', () => {
+    it('暂时性错误应当被重试，且每次重试都应当显示加载提示', async () => {
+      http.get
+        .mockRejectedValueOnce({ status: 503 })
+        .mockRejectedValueOnce({ response: { status: 502 } })
+        .mockResolvedValueOnce({ id: 1 });
+      const result = await getImpl(mockApi, '/test/{id}', 1, { retry: noDelay });
+      expect(result).toEqual({ id: 1 });
+      expect(http.get).toHaveBeenCalledTimes(3);
+      expect(loading.showGetting).toHaveBeenCalledTimes(3);
+    });
+
+    it('尝试次数达到上限后应当返回最后一次的错误', async () => {
+      const error = { status: 503 };
+      http.get.mockRejectedValue(error);
+      await expect(getImpl(mockApi, '/test/{id}', 1, { retry: noDelay })).rejects.toBe(error);
+      expect(http.get).toHaveBeenCalledTimes(3);
+    });
+
+    it('不可重试的错误不应当被重试', async () => {
+      const error = { status: 400, type: 'CLIENT_ERROR' };
+      http.get.mockRejectedValue(error);
+      await expect(getImpl(mockApi, '/test/{id}', 1, { retry: noDelay })).rejects.toBe(error);
+      expect(http.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('请求选项的 retry 为 false 时不应当重试', async () => {
+      http.get.mockRejectedValue({ status: 503 });
+      await expect(getImpl(mockApi, '/test/{id}', 1, { retry: false })).rejects.toEqual({ status: 503 });
+      expect(http.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('应当支持为API对象单独指定重试策略', async () => {
+      http.get.mockRejectedValue({ status: 503 });
+      const api = { ...mockApi, retryPolicy: { ...noDelay, maxAttempts: 2 } };
+      await expect(getImpl(api, '/test/{id}', 1, false)).rejects.toEqual({ status: 503 });
+      expect(http.get).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('非幂等的请求', () => {
+    it('默认不应当重试', async () => {
+      http.post.mockRejectedValue({ status: 503 });
+      await expect(addImpl(mockApi, '/test', { name: 'foo' }, false)).rejects.toEqual({ status: 503 });
+      expect(http.post).toHaveBeenCalledTimes(1);
+    });
+
+    it('显式地启用时应当重试', async () => {
+      http.post.mockRejectedValueOnce({ status: 503 }).mockResolvedValueOnce({ id: 1 });
+      const api = { ...mockApi, retryPolicy: { ...noDelay, retryNonIdempotent: true } };
+      await expect(addImpl(api, '/test', { name: 'foo' }, false)).resolves.toEqual({ id: 1 });
+      expect(http.post).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('Retry-After 响应头', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('状态码为 429 时应当等待 Retry-After 指定的时间', async () => {
+      jest.useFakeTimers();
+      const fetch = jest.fn()
+        .mockRejectedValueOnce({ status: 429, response: { headers: { 'retry-after': '2' } } })
+        .mockResolvedValueOnce(1);
+      const promise = retryRequest(mockApi, { showLoading: false }, fetch);
+      await jest.advanceTimersByTimeAsync(1999);
+      expect(fetch).toHaveBeenCalledTimes(1);
+      await jest.advanceTimersByTimeAsync(1);
+      await expect(promise).resolves.toBe(1);
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('Retry-After 指定的时间超过最长等待时间时不应当重试', async () => {
+      const error = { status: 429, response: { headers: { 'retry-after': '3600' } } };
+      const fetch = jest.fn().mockRejectedValue(error);
+      await expect(retryRequest(mockApi, { showLoading: false }, fetch)).rejects.toBe(error);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  it('等待重试期间请求被取消时应当不再重试', async () => {
+    jest.useFakeTimers();
+    const controller = new AbortController();
+    const fetch = jest.fn().mockRejectedValue({ status: 503 });
+    const promise = retryRequest(mockApi, { showLoading: false, signal: controller.signal }, fetch);
+    await jest.advanceTimersByTimeAsync(0);
+    controller.abort();
+    await expect(promise).rejects.toBeInstanceOf(RequestCancelledError);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    jest.useRealTimers();
+  });
+});
@@ -8,9 +8,12 @@
 ////////////////////////////////////////////////////////////////////////////////
 import { http } from '@qubit-ltd/common-app';
 import { loading } from '@qubit-ltd/common-ui';
+import ConcurrentModificationError from '../../../src/error/ConcurrentModificationError';
+import RequestCancelledError from '../../../src/error/RequestCancelledError';
 import {
   updateImpl,
   updateByKeyImpl,
+  batchUpdateImpl,
   updatePropertyImpl,
   updatePropertyByKeyImpl,
   updateByParentAndKeyImpl,
@@ -19,6 +22,7 @@ import {
 // mock dependencies
 jest.mock('@qubit-ltd/common-app', () => ({
   http: {
+    get: jest.fn(),
     put: jest.fn(),
   },
 }));
@@ -38,6 +42,10 @@ class TestEntity {
   static create(obj) {
     return new TestEntity(obj);
   }
+
+  static createArray(array) {
+    return array.map((obj) => new TestEntity(obj));
+  }
 }
 
 // 定义测试用的 API 对象
@@ -46,11 +54,13 @@ const mockApi = {
   logger: {
     info: jest.fn(),
     debug: jest.fn(),
+    warn: jest.fn(),
   },
 };
 
 describe('update-impl.js', () => {
   beforeEach(() => {
+    http.get.mockReset();
     http.put.mockReset();
     loading.showUpdating.mockReset();
     mockApi.logger.info.mockReset();
@@ -149,6 +159,30 @@ describe('update-impl.js', () => {
     });
   });
 
+  describe('batchUpdateImpl', () => {
+    it('应当正确调用 PUT API 批量更新对象并返回更新后对象的列表', async () => {
+      const entities = [
+        { id: '1', name: '对象1' },
+        { id: '2', name: '对象2' },
+      ];
+      http.put.mockResolvedValue(entities);
+
+      const result = await batchUpdateImpl(mockApi, 'test-api-url/batch', entities, true);
+
+      expect(http.put).toHaveBeenCalledWith('test-api-url/batch', entities, { params: {} });
+      expect(loading.showUpdating).toHaveBeenCalled();
+      expect(result).toHaveLength(2);
+      expect(result[0]).toBeInstanceOf(TestEntity);
+      expect(mockApi.logger.info).toHaveBeenCalledWith('Successfully batch updated %d %ss.', 2, 'TestEntity');
+    });
+
+    it('对象缺少ID时应当抛出 TypeError', () => {
+      expect(() => batchUpdateImpl(mockApi, 'test-api-url/batch', [{ id: '1' }, { name: 'foo' }], false))
+        .toThrow(TypeError);
+      expect(http.put).not.toHaveBeenCalled();
+    });
+  });
+
   describe('updatePropertyImpl', () => {
     it('应当正确调用 PUT API 更新对象属性', async () => {
       const mockResponse = { timestamp: '2023-07-01T12:00:00Z' };
@@ -413,6 +447,124 @@ describe('update-impl.js', () => {
     });
   });
 
+  describe('乐观锁模式', () => {
+    const entity = { id: '123', name: '本地修改', modifyTime: '2023-07-01T12:00:00Z' };
+    const conflict = { status: 412, type: 'PRECONDITION_FAILED' };
+
+    it('应当将实体对象的修改时间作为前置条件发送', async () => {
+      http.put.mockResolvedValue({ id: '123', name: '本地修改' });
+
+      await updateImpl(mockApi, 'test-api-url/{id}', entity, { showLoading: false, optimisticLock: true });
+
+      expect(http.put).toHaveBeenCalledWith('test-api-url/123', {
+        id: '123',
+        name: '本地修改',
+        modify_time: '2023-07-01T12:00:00Z',
+      }, {
+        params: {},
+        headers: { 'If-Unmodified-Since': 'Sat, 01 Jul 2023 12:00:00 GMT' },
+      });
+    });
+
+    it('应当支持以 ETag 作为前置条件，并支持为API对象启用乐观锁模式', async () => {
+      http.put.mockResolvedValue({ code: 'TEST_CODE' });
+      const api = { ...mockApi, optimisticLock: true };
+
+      await updateByKeyImpl(api, 'test-api-url/{code}', 'code', { code: 'TEST_CODE' }, {
+        showLoading: false,
+        optimisticLock: { etag: '"v2"' },
+      });
+
+      expect(http.put).toHaveBeenCalledWith('test-api-url/TEST_CODE', { code: 'TEST_CODE' }, {
+        params: {},
+        headers: { 'If-Match': '"v2"' },
+      });
+    });
+
+    it('发生并发修改冲突时应当返回包含本地和服务器实体对象的 ConcurrentModificationError', async () => {
+      http.put.mockRejectedValue(conflict);
+      http.get.mockResolvedValue({ id: '123', name: '他人修改' });
+
+      const promise = updateImpl(mockApi, 'test-api-url/{id}', entity, { showLoading: false, optimisticLock: true });
+
+      await expect(promise).rejects.toBeInstanceOf(ConcurrentModificationError);
+      await expect(promise).rejects.toMatchObject({
+        localEntity: entity,
+        serverEntity: { id: '123', name: '他人修改' },
+        cause: conflict,
+      });
+      expect(http.get).toHaveBeenCalledWith('test-api-url/123');
+      expect(mockApi.logger.info).not.toHaveBeenCalled();
+    });
+
+    it('无法获取服务器上的实体对象时 serverEntity 应当为 null', async () => {
+      http.put.mockRejectedValue({ response: { status: 409, data: { code: 'CONCURRENT_MODIFICATION' } } });
+      http.get.mockRejectedValue({ status: 404 });
+
+      await expect(updateImpl(mockApi, 'test-api-url/{id}', entity, { optimisticLock: true }))
+        .rejects.toMatchObject({ name: 'ConcurrentModificationError', serverEntity: null });
+    });
+
+    it('重新获取实体对象时应当使用相同的请求选项，并支持取消', async () => {
+      http.put.mockRejectedValue(conflict);
+      let rejectGet;
+      http.get.mockImplementation(() => new Promise((resolve, reject) => {
+        rejectGet = reject;
+      }));
+      const controller = new AbortController();
+
+      const promise = updateImpl(mockApi, 'test-api-url/{id}', entity, {
+        showLoading: false,
+        optimisticLock: true,
+        signal: controller.signal,
+        timeout: 5000,
+        headers: { 'X-Request-Id': 'abc' },
+      });
+      await new Promise((resolve) => {
+        setTimeout(resolve, 0);
+      });
+
+      expect(http.get).toHaveBeenCalledWith('test-api-url/123', {
+        signal: controller.signal,
+        timeout: 5000,
+        headers: { 'X-Request-Id': 'abc' },
+      });
+      controller.abort();
+      rejectGet({ type: 'CANCELLED' });
+      await expect(promise).rejects.toBeInstanceOf(RequestCancelledError);
+    });
+
+    it('其他错误或未启用乐观锁模式时应当原样返回服务器的错误', async () => {
+      const error = { status: 500, type: 'SERVER_ERROR' };
+      http.put.mockRejectedValueOnce(error).mockRejectedValueOnce(conflict);
+
+      await expect(updateImpl(mockApi, 'test-api-url/{id}', entity, { optimisticLock: true })).rejects.toBe(error);
+      await expect(updateImpl(mockApi, 'test-api-url/{id}', entity, false)).rejects.toBe(conflict);
+      expect(http.get).not.toHaveBeenCalled();
+    });
+
+    it('错误代码不表示并发修改的 409 响应应当原样返回', async () => {
+      const duplicate = { status: 409, type: 'CLIENT_ERROR', code: 'DUPLICATE_KEY' };
+      http.put.mockRejectedValue(duplicate);
+
+      await expect(updateImpl(mockApi, 'test-api-url/{id}', entity, { optimisticLock: true })).rejects.toBe(duplicate);
+      expect(http.get).not.toHaveBeenCalled();
+    });
+
+    it('启用乐观锁模式但实体对象没有时间戳时应当抛出 TypeError', () => {
+      expect(() => updateImpl(mockApi, 'test-api-url/{id}', { id: '123', name: '无时间戳' }, {
+        showLoading: false,
+        optimisticLock: true,
+      })).toThrow(TypeError);
+      expect(http.put).not.toHaveBeenCalled();
+    });
+
+    it('optimisticLock 既不是布尔值也不是对象时应当抛出 TypeError', () => {
+      expect(() => updateImpl(mockApi, 'test-api-url/{id}', entity, { optimisticLock: 'true' })).toThrow(TypeError);
+      expect(http.put).not.toHaveBeenCalled();
+    });
+  });
+
   // 添加更多边界情况测试
   describe('边界情况测试', () => {
     it('updateImpl 应当正确处理实体类实例', async () => {
@@ -70,6 +70,52 @@ describe('user.js', () => {
     });
   });
 
+  describe('请求选项对象', () => {
+    it('应当支持以请求选项对象代替位置参数', async () => {
+      http.get.mockResolvedValue({ id: '123', username: 'testuser' });
+      loading.showGetting.mockClear();
+
+      const result = await userApi.get('123', {
+        transformUrls: false,
+        showLoading: false,
+        timeout: 5000,
+        headers: { 'X-Request-Id': 'abc' },
+      });
+
+      expect(http.get).toHaveBeenCalledWith('/user/123', {
+        params: { transform_urls: false },
+        timeout: 5000,
+        headers: { 'X-Request-Id': 'abc' },
+      });
+      expect(loading.showGetting).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ id: 123, username: 'testuser' });
+    });
+
+    it('未指定的可选参数应当使用其默认值', async () => {
+      http.get.mockResolvedValue({ id: '123', username: 'testuser' });
+      loading.showGetting.mockClear();
+
+      await userApi.get('123', { params: { withRoles: true } });
+
+      expect(http.get).toHaveBeenCalledWith('/user/123', {
+        params: { transform_urls: true, with_roles: true },
+      });
+      expect(loading.showGetting).toHaveBeenCalledTimes(1);
+    });
+
+    it('应当继续支持位置参数', async () => {
+      http.get.mockResolvedValue({ id: '123', username: 'testuser' });
+      loading.showGetting.mockClear();
+
+      await userApi.get('123', false, false);
+
+      expect(http.get).toHaveBeenCalledWith('/user/123', {
+        params: { transform_urls: false },
+      });
+      expect(loading.showGetting).not.toHaveBeenCalled();
+    });
+  });
+
   describe('getByUsername', () => {
     it('应当正确通过用户名获取用户', async () => {
       // 模拟返回数据
@@ -44,9 +44,11 @@ describe('index.js', () => {
     expect(api.appAuthenticateApi).toBeDefined();
     expect(api.verifyCodeApi).toBeDefined();
     expect(api.wechatApi).toBeDefined();
+    expect(api.createEntityApi).toBeDefined();
 
     // 测试实现函数导出
     expect(api.addImpl).toBeDefined();
+    expect(api.batchAddImpl).toBeDefined();
     expect(api.deleteImpl).toBeDefined();
     expect(api.deleteByKeyImpl).toBeDefined();
     expect(api.deleteAllImpl).toBeDefined();
@@ -61,6 +63,7 @@ describe('index.js', () => {
     expect(api.existsKeyImpl).toBeDefined();
     expect(api.existsParentAndKeyImpl).toBeDefined();
     expect(api.exportImpl).toBeDefined();
+    expect(api.exportAsyncImpl).toBeDefined();
     expect(api.getImpl).toBeDefined();
     expect(api.getByKeyImpl).toBeDefined();
     expect(api.getInfoImpl).toBeDefined();
@@ -71,6 +74,8 @@ describe('index.js', () => {
     expect(api.getInfoByParentAndKeyImpl).toBeDefined();
     expect(api.getPropertyByParentAndKeyImpl).toBeDefined();
     expect(api.importImpl).toBeDefined();
+    expect(api.iterateImpl).toBeDefined();
+    expect(api.listAllImpl).toBeDefined();
     expect(api.listImpl).toBeDefined();
     expect(api.listInfoImpl).toBeDefined();
     expect(api.purgeImpl).toBeDefined();
@@ -85,20 +90,62 @@ describe('index.js', () => {
     expect(api.restoreByParentAndKeyImpl).toBeDefined();
     expect(api.updateImpl).toBeDefined();
     expect(api.updateByKeyImpl).toBeDefined();
+    expect(api.batchUpdateImpl).toBeDefined();
     expect(api.updatePropertyImpl).toBeDefined();
     expect(api.updatePropertyByKeyImpl).toBeDefined();
     expect(api.updateByParentAndKeyImpl).toBeDefined();
+    expect(api.patchImpl).toBeDefined();
+    expect(api.diffEntity).toBeDefined();
 
     // 测试工具函数导出
     expect(api.checkObjectArgument).toBeDefined();
+    expect(api.checkCriteriaConstraints).toBeDefined();
+    expect(api.TIMESTAMP_PATTERN).toBeInstanceOf(RegExp);
     expect(api.checkIdArgumentType).toBeDefined();
     expect(api.checkIdArrayArgumentType).toBeDefined();
     expect(api.checkPageRequestArgument).toBeDefined();
     expect(api.checkSortRequestArgument).toBeDefined();
+    expect(api.resolvePropertyPath).toBeDefined();
     expect(api.wechat).toBeDefined();
+    expect(api.Criteria).toBeDefined();
     expect(api.TaskFilter).toBeDefined();
     expect(api.assignOptions).toBeDefined();
     expect(api.toJsonOptions).toBeDefined();
+    expect(api.normalizeRequestOptions).toBeDefined();
+    expect(api.toRequestConfig).toBeDefined();
+    expect(api.handleCancellation).toBeDefined();
+    expect(api.resolveOptionalArguments).toBeDefined();
+    expect(api.ResponseCache).toBeDefined();
+    expect(api.responseCache).toBeDefined();
+    expect(api.fetchWithCache).toBeDefined();
+    expect(api.invalidateResponseCache).toBeDefined();
+    expect(api.shareInflightRequest).toBeDefined();
+    expect(api.toSortParams).toBeDefined();
+    expect(api.normalizeFields).toBeDefined();
+    expect(api.checkFieldsArgument).toBeDefined();
+    expect(api.projectFields).toBeDefined();
+    expect(api.retryPolicy).toBeDefined();
+    expect(api.retryRequest).toBeDefined();
+    expect(api.batchPolicy).toBeDefined();
+    expect(api.sendBatchRequest).toBeDefined();
+    expect(api.OfflineQueue).toBeDefined();
+    expect(api.offlineQueue).toBeDefined();
+    expect(api.MemoryOfflineStorage).toBeDefined();
+    expect(api.IndexedDbOfflineStorage).toBeDefined();
+    expect(api.RequestCancelledError).toBeDefined();
+    expect(api.ConcurrentModificationError).toBeDefined();
+    expect(api.TaskFailedError).toBeDefined();
+    expect(api.TaskTimeoutError).toBeDefined();
+    expect(api.getErrorStatus).toBeDefined();
+    expect(api.generateOpenApiDocument).toBeDefined();
+    expect(api.BatchResult).toBeDefined();
+    expect(api.BatchFailure).toBeDefined();
+    expect(api.ImportReport).toBeDefined();
+    expect(api.ImportIssue).toBeDefined();
+    expect(api.CursorPage).toBeDefined();
+    expect(api.isCursorPageRequest).toBeDefined();
+    expect(api.MockBackend).toBeDefined();
+    expect(api.MockCollection).toBeDefined();
 
     // 测试函数类型
     expect(typeof api.addImpl).toBe('function');
@@ -108,6 +155,7 @@ describe('index.js', () => {
     expect(typeof api.updateImpl).toBe('function');
     expect(typeof api.checkObjectArgument).toBe('function');
     expect(typeof api.checkIdArgumentType).toBe('function');
+    expect(typeof api.Criteria).toBe('function');
     expect(typeof api.TaskFilter).toBe('function');
   });
 });
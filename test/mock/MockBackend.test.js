@@ -0,0 +1,227 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { http } from '@qubit-ltd/common-app';
+import createEntityApi from '../../src/api/create-entity-api';
+import { existsImpl, existsKeyImpl } from '../../src/api/impl/exists-impl';
+import { responseCache } from '../../src/api/impl/response-cache';
+import MockBackend from '../../src/mock/MockBackend';
+import Criteria from '../../src/params/Criteria';
+
+// mock dependencies
+jest.mock('@qubit-ltd/common-app', () => ({
+  http: {},
+}));
+
+jest.mock('@qubit-ltd/common-ui', () => ({
+  loading: {
+    showGetting: jest.fn(),
+    showAdding: jest.fn(),
+    showUpdating: jest.fn(),
+    showDeleting: jest.fn(),
+    showRestoring: jest.fn(),
+    showPurging: jest.fn(),
+    showErasing: jest.fn(),
+  },
+}));
+
+// 测试用的实体类
+class Product {
+  id = null;
+
+  code = '';
+
+  name = '';
+
+  price = null;
+
+  static create(obj) {
+    return Object.assign(new Product(), obj);
+  }
+
+  static createArray(array) {
+    return array.map((obj) => Product.create(obj));
+  }
+
+  static createPage(obj) {
+    return { ...obj, content: Product.createArray(obj.content) };
+  }
+}
+
+describe('MockBackend', () => {
+  let backend;
+  let uninstall;
+  let api;
+
+  beforeEach(() => {
+    responseCache.clear();
+    backend = new MockBackend();
+    backend.register('/product', {
+      data: [
+        { code: 'P001', name: '苹果', price: 5 },
+        { code: 'P002', name: '香蕉', price: 3 },
+        { code: 'P003', name: '青苹果', price: 4 },
+      ],
+    });
+    uninstall = backend.install(http);
+    api = createEntityApi({
+      baseUrl: '/product',
+      entityClass: Product,
+      keys: ['code'],
+      criteria: [
+        { name: 'name', type: String },
+        { name: 'deleted', type: Boolean },
+      ],
+    });
+  });
+
+  afterEach(() => {
+    uninstall();
+  });
+
+  it('应当支持分页、过滤和排序', async () => {
+    const page = await api.list({ pageIndex: 0, pageSize: 1 }, { name: '苹果' }, {
+      sortField: 'price',
+      sortOrder: 'DESC',
+    }, false);
+    expect(page.total_count).toBe(2);
+    expect(page.total_pages).toBe(2);
+    expect(page.content).toHaveLength(1);
+    expect(page.content[0].code).toBe('P001');
+  });
+
+  it('应当支持多列排序', async () => {
+    await api.add({ code: 'P004', name: '梨', price: 4 }, false);
+    const page = await api.list({ pageIndex: 0, pageSize: 10 }, {}, [
+      { sortField: 'price', sortOrder: 'DESC' },
+      { sortField: 'code', sortOrder: 'DESC' },
+    ], false);
+    expect(page.content.map((p) => p.code)).toEqual(['P001', 'P004', 'P003', 'P002']);
+  });
+
+  it('应当支持以 Criteria 对象表示的复合查询条件', async () => {
+    const criteria = Criteria.where('name').like('苹%').or('name').eq('香蕉');
+    const page = await api.list({ pageIndex: 0, pageSize: 10 }, criteria, {
+      sortField: 'price',
+      sortOrder: 'ASC',
+    }, false);
+    expect(page.content.map((p) => p.code)).toEqual(['P002', 'P001']);
+    expect(() => api.list({}, Criteria.where('price').gt(3), {}, false)).toThrow(TypeError);
+  });
+
+  it('应当支持只返回实体对象的部分属性', async () => {
+    const page = await api.list({ pageIndex: 0, pageSize: 10 }, {}, {
+      sortField: 'code',
+      sortOrder: 'ASC',
+    }, { showLoading: false, fields: ['code', 'name'] });
+    expect(page.content).toEqual([
+      { code: 'P001', name: '苹果' },
+      { code: 'P002', name: '香蕉' },
+      { code: 'P003', name: '青苹果' },
+    ]);
+    const found = await api.get('2', { showLoading: false, fields: 'id,price' });
+    expect(found).toEqual({ id: '2', price: 3 });
+    expect(() => api.get('2', { fields: ['weight'] })).toThrow(TypeError);
+  });
+
+  it('应当支持游标分页', async () => {
+    const first = await api.list({ limit: 2 }, {}, {}, false);
+    expect(first.content.map((p) => p.code)).toEqual(['P001', 'P002']);
+    expect(first.hasPrevious).toBe(false);
+    await api.add({ code: 'P004', name: '梨', price: 4 }, false);
+    const second = await api.list(first.getNextRequest(), {}, {}, false);
+    expect(second.content.map((p) => p.code)).toEqual(['P003', 'P004']);
+    expect(second.hasNext).toBe(false);
+    const previous = await api.list(second.getPreviousRequest(), {}, {}, false);
+    expect(previous.content.map((p) => p.code)).toEqual(['P001', 'P002']);
+    await expect(api.list({ after: '99', limit: 2 }, {}, {}, false)).rejects.toMatchObject({
+      status: 400,
+      data: { code: 'INVALID_CURSOR' },
+    });
+  });
+
+  it('应当支持添加、获取和更新实体对象', async () => {
+    const added = await api.add({ code: 'P004', name: '橙子' }, false);
+    expect(added.id).toBe('4');
+    const found = await api.getByKey('code', 'P004', false);
+    expect(found.name).toBe('橙子');
+    const updated = await api.update({ ...found, name: '脐橙' }, false);
+    expect(updated.name).toBe('脐橙');
+    expect(backend.collection('/product').find('4').modify_time).toBeDefined();
+  });
+
+  it('应当支持标记删除、恢复和清除实体对象', async () => {
+    await api.delete('1', false);
+    let page = await api.list({ pageIndex: 0, pageSize: 10 }, { deleted: true }, {}, false);
+    expect(page.content.map((p) => p.id)).toEqual(['1']);
+    await api.restore('1', false);
+    page = await api.list({ pageIndex: 0, pageSize: 10 }, { deleted: true }, {}, false);
+    expect(page.content).toEqual([]);
+    await expect(api.batchDelete(['1', '2'], false)).resolves.toBe(2);
+    await expect(api.batchPurge(['1', '2'], false)).resolves.toBe(2);
+    expect(backend.collection('/product').size).toBe(1);
+  });
+
+  it('应当支持部分更新实体对象，并与恢复请求区分开来', async () => {
+    const original = await api.get('1', false);
+    await api.delete('1', false);
+    const patched = await api.patch(original, { ...original, name: '红苹果', price: null }, false);
+    expect(patched.name).toBe('红苹果');
+    expect(patched.price).toBeNull();
+    expect(patched.code).toBe('P001');
+    expect(backend.collection('/product').find('1')).not.toHaveProperty('price');
+    // 部分更新不应当恢复已被标记删除的实体对象
+    expect(backend.collection('/product').find('1').delete_time).toBeDefined();
+    await api.restore('1', false);
+    expect(backend.collection('/product').find('1').delete_time).toBeUndefined();
+  });
+
+  it('部分更新时应当清空被清空的嵌套属性', async () => {
+    const collection = backend.collection('/product');
+    collection.modify(collection.find('2'), { spec: { color: 'yellow', size: 'L' } });
+    await backend.handle('patch', '/product/2/patch', { spec: { size: null } });
+    expect(collection.find('2').spec).toEqual({ color: 'yellow' });
+  });
+
+  it('不存在的实体对象应当返回 404 错误', async () => {
+    await expect(api.get('100', false)).rejects.toMatchObject({
+      status: 404,
+      data: { code: 'NOT_FOUND' },
+    });
+  });
+
+  it('应当支持以 HEAD 请求检测实体对象是否存在', async () => {
+    backend.register('/fruit', {
+      keys: ['code', 'name'],
+      data: [{ code: 'F001', name: '苹果' }],
+    });
+    const fruitApi = createEntityApi({ baseUrl: '/fruit', entityClass: Product, keys: ['code', 'name'] });
+    const notFound = { status: 404, data: { code: 'NOT_FOUND' } };
+    // exists()
+    await expect(existsImpl(fruitApi, '/fruit/{id}', '1', false)).resolves.toBe(true);
+    await expect(existsImpl(fruitApi, '/fruit/{id}', '100', false)).rejects.toMatchObject(notFound);
+    // existsByCode()
+    await expect(existsKeyImpl(fruitApi, '/fruit/code/{code}', 'code', 'F001', false)).resolves.toBe(true);
+    await expect(existsKeyImpl(fruitApi, '/fruit/code/{code}', 'code', 'F100', false)).rejects.toMatchObject(notFound);
+    // existsByName()
+    await expect(existsKeyImpl(fruitApi, '/fruit/name/{name}', 'name', '苹果', false)).resolves.toBe(true);
+    await expect(existsKeyImpl(fruitApi, '/fruit/name/{name}', 'name', '香蕉', false)).rejects.toMatchObject(notFound);
+    const response = await backend.adapter({ method: 'head', url: '/fruit/code/F001' });
+    expect(response.status).toBe(200);
+    await expect(backend.adapter({ method: 'head', url: '/fruit/code/F100' }))
+      .rejects.toMatchObject({ response: { status: 404 } });
+  });
+
+  it('应当作为 axios 适配器返回响应对象', async () => {
+    const response = await backend.adapter({ method: 'get', url: '/product/code/P002', params: {} });
+    expect(response.status).toBe(200);
+    expect(response.data.name).toBe('香蕉');
+    await expect(backend.adapter({ method: 'delete', url: '/product/2/purge' }))
+      .rejects.toMatchObject({ response: { status: 400 } });
+  });
+});
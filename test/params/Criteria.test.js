@@ -0,0 +1,111 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import Criteria from '../../src/params/Criteria';
+
+const DEFINITIONS = [
+  { name: 'name', type: String },
+  { name: 'state', type: String },
+  { name: 'level', type: Number, min: 0 },
+  { name: 'createTimeStart', type: String },
+  { name: 'createTimeEnd', type: String },
+];
+
+describe('Criteria', () => {
+  it('应当构造单个比较条件', () => {
+    expect(Criteria.where('state').eq('NORMAL').toJSON()).toEqual({
+      field: 'state',
+      operator: 'EQ',
+      value: 'NORMAL',
+    });
+    expect(Criteria.where('deleteTime').isNull().toJSON()).toEqual({
+      field: 'delete_time',
+      operator: 'IS_NULL',
+    });
+  });
+
+  it('应当按照从左到右的顺序组合条件，并合并相同逻辑运算符的分组', () => {
+    const criteria = Criteria.where('state').in(['NORMAL', 'LOCKED'])
+      .and('createTime').between('2024-01-01', '2024-12-31')
+      .and(Criteria.where('name').like('系统%'))
+      .or(Criteria.where('level').gt(3));
+    expect(criteria.toJSON()).toEqual({
+      logic: 'OR',
+      conditions: [{
+        logic: 'AND',
+        conditions: [
+          { field: 'state', operator: 'IN', value: ['NORMAL', 'LOCKED'] },
+          { field: 'create_time', operator: 'BETWEEN', value: ['2024-01-01', '2024-12-31'] },
+          { field: 'name', operator: 'LIKE', value: '系统%' },
+        ],
+      }, {
+        field: 'level',
+        operator: 'GT',
+        value: 3,
+      }],
+    });
+  });
+
+  it('应当支持嵌套的分组', () => {
+    const criteria = Criteria.where('state').ne('DISABLED')
+      .and(Criteria.anyOf(Criteria.where('level').ge(3), Criteria.where('name').isNotNull()));
+    expect(criteria.toJSON()).toEqual({
+      logic: 'AND',
+      conditions: [
+        { field: 'state', operator: 'NE', value: 'DISABLED' },
+        {
+          logic: 'OR',
+          conditions: [
+            { field: 'level', operator: 'GE', value: 3 },
+            { field: 'name', operator: 'IS_NOT_NULL' },
+          ],
+        },
+      ],
+    });
+    expect(Criteria.allOf(Criteria.where('level').le(1)).toJSON())
+      .toEqual({ field: 'level', operator: 'LE', value: 1 });
+  });
+
+  it('组合条件时不应当修改原有的对象', () => {
+    const base = Criteria.where('level').lt(5);
+    base.and('name').eq('foo');
+    expect(base.toJSON()).toEqual({ field: 'level', operator: 'LT', value: 5 });
+  });
+
+  it('应当序列化为查询参数 filter', () => {
+    const params = Criteria.where('id').eq(12345678901234567890n).toParams();
+    expect(params).toEqual({
+      filter: '{"field":"id","operator":"EQ","value":"12345678901234567890"}',
+    });
+  });
+
+  it('应当按照查询条件定义检查字段和值的类型', () => {
+    const criteria = Criteria.where('createTime').ge('2024-01-01').or('level').in([1, 2]);
+    expect(() => criteria.validate(DEFINITIONS)).not.toThrow();
+    expect(() => Criteria.where('foo').eq('x').validate(DEFINITIONS))
+      .toThrow('Unsupported field: "criteria.foo"');
+    expect(() => Criteria.where('level').in([1, '2']).validate(DEFINITIONS)).toThrow(TypeError);
+    expect(() => Criteria.where('level').isNull().validate(DEFINITIONS)).not.toThrow();
+    expect(() => Criteria.where('foo').eq('x').validate()).not.toThrow();
+  });
+
+  it('应当检查查询条件定义中的约束和 between 的范围', () => {
+    expect(() => Criteria.where('level').gt(-1).validate(DEFINITIONS)).toThrow(RangeError);
+    expect(() => Criteria.where('level').in([1, -1]).validate(DEFINITIONS)).toThrow(RangeError);
+    expect(() => Criteria.where('level').between(5, 1).validate(DEFINITIONS)).toThrow(RangeError);
+    expect(() => Criteria.where('level').between(1, 5).validate(DEFINITIONS)).not.toThrow();
+  });
+
+  it('参数不合法时应当抛出异常', () => {
+    expect(() => Criteria.where('state').in([])).toThrow(RangeError);
+    expect(() => Criteria.where('name').like(1)).toThrow(TypeError);
+    expect(() => Criteria.where(1)).toThrow(TypeError);
+    expect(() => Criteria.anyOf()).toThrow(RangeError);
+    expect(() => Criteria.allOf({})).toThrow(TypeError);
+  });
+});
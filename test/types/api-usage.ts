@@ -0,0 +1,43 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+// 此文件只用于`yarn type-check`检查`types`目录中的声明文件能否正确地推导出调用结果的
+// 类型，不会被执行，也不会被发布。
+
+import type { App, Page, Person, PersonInfo } from '@qubit-ltd/common-model';
+import { appApi, createEntityApi, CursorPage, personApi } from '../../types';
+import type { ModelClass } from '../../types';
+
+declare class Fruit {
+  name: string;
+}
+
+declare const FruitClass: ModelClass<Fruit>;
+
+async function checkListOverloads(): Promise<void> {
+  const page: Page<App> = await appApi.list({ pageIndex: 0, pageSize: 10 });
+  const cursorPage: CursorPage<App> = await appApi.list({ after: 'abc', limit: 10 });
+  const infoPage: CursorPage<PersonInfo> = await personApi.listInfo({ after: 'abc' });
+  const persons: CursorPage<Person> = await personApi.list({ after: 'abc' }, {}, [], { transformUrls: false });
+  // @ts-expect-error 游标分页请求返回的不是`Page`对象
+  const wrongPage: Page<App> = await appApi.list({ after: 'abc' });
+  // @ts-expect-error 分页数据中的元素类型必须一致
+  const wrongContent: Page<number> = await appApi.list();
+  console.log(page, cursorPage, infoPage, persons, wrongPage, wrongContent);
+}
+
+async function checkEntityApi(): Promise<void> {
+  const fruitApi = createEntityApi({ entityClass: FruitClass, baseUrl: '/fruit' });
+  const page = await fruitApi.list({ after: 'abc' });
+  const next: string | null = page.nextCursor;
+  const name: string = page.content[0].name;
+  console.log(next, name);
+}
+
+export { checkListOverloads, checkEntityApi };
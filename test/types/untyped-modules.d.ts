@@ -0,0 +1,118 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+// 以下依赖库没有提供类型声明，此文件只用于`yarn type-check`检查`types`目录中的声明文件，
+// 不会被发布。若依赖库提供了类型声明，则优先使用其提供的类型声明。
+//
+// 为了不掩盖`types`目录中的类型错误，此处没有将模型类型声明为`any`：分页数据具有确定的
+// 结构，其他模型类型和枚举类型也是各自独立的对象类型。
+
+declare module '@qubit-ltd/common-model' {
+  /**
+   * 模型类的基类，仅用于类型检查。模型对象的具体属性由`@qubit-ltd/common-model`定义，
+   * 此处不一一列出，但模型对象不能与字符串、数字等其他类型的值混用。
+   */
+  export class Model {
+    [key: string]: any;
+  }
+
+  /**
+   * 枚举类的基类，仅用于类型检查，详见`@qubit-ltd/common-decorator`中`@Enum`的说明。
+   */
+  export class EnumValue {
+    readonly value: string;
+
+    readonly name: string;
+
+    readonly code?: string;
+  }
+
+  export class Page<T = any> {
+    pageIndex: number;
+
+    pageSize: number;
+
+    totalCount: number;
+
+    totalPages: number;
+
+    content: T[];
+  }
+
+  export class ErrorInfo {
+    type: string;
+
+    code: string;
+
+    message?: string;
+
+    params?: any[];
+  }
+
+  export class Address extends Model {}
+  export class App extends Model {}
+  export class Attachment extends Model {}
+  export class Category extends Model {}
+  export class City extends Model {}
+  export class Contact extends Model {}
+  export class Country extends Model {}
+  export class Credential extends Model {}
+  export class CredentialInfo extends Model {}
+  export class Department extends Model {}
+  export class Device extends Model {}
+  export class DeviceInfo extends Model {}
+  export class Dict extends Model {}
+  export class DictEntry extends Model {}
+  export class DictEntryInfo extends Model {}
+  export class District extends Model {}
+  export class Employee extends Model {}
+  export class EmployeeInfo extends Model {}
+  export class Environment extends Model {}
+  export class Faq extends Model {}
+  export class Feedback extends Model {}
+  export class FeedbackTrack extends Model {}
+  export class Hardware extends Model {}
+  export class Info extends Model {}
+  export class InfoWithEntity extends Model {}
+  export class Location extends Model {}
+  export class LoginResponse extends Model {}
+  export class OperationLog extends Model {}
+  export class OperationLogInfo extends Model {}
+  export class Organization extends Model {}
+  export class Person extends Model {}
+  export class PersonInfo extends Model {}
+  export class Province extends Model {}
+  export class RegisterUserParams extends Model {}
+  export class Role extends Model {}
+  export class Setting extends Model {}
+  export class SocialNetworkAccount extends Model {}
+  export class Software extends Model {}
+  export class StatefulInfo extends Model {}
+  export class Street extends Model {}
+  export class TaskInfo extends Model {}
+  export class Token extends Model {}
+  export class Upload extends Model {}
+  export class User extends Model {}
+  export class UserInfo extends Model {}
+  export class UserRole extends Model {}
+
+  export class AttachmentType extends EnumValue {}
+  export class CredentialType extends EnumValue {}
+  export class FeedbackAction extends EnumValue {}
+  export class FeedbackStatus extends EnumValue {}
+  export class FeedbackType extends EnumValue {}
+  export class SocialNetwork extends EnumValue {}
+  export class State extends EnumValue {}
+  export class TaskStatus extends EnumValue {}
+  export class VerifyScene extends EnumValue {}
+}
+
+declare module '@qubit-ltd/logging' {
+  export type Logger = any;
+}
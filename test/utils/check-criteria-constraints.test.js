@@ -0,0 +1,80 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import checkCriteriaConstraints, {
+  TIMESTAMP_PATTERN,
+  checkCriteriaValue,
+} from '../../src/utils/check-criteria-constraints';
+
+const DEFINITIONS = [
+  { name: 'createTimeStart', type: String, pattern: TIMESTAMP_PATTERN },
+  { name: 'createTimeEnd', type: String, pattern: TIMESTAMP_PATTERN },
+  { name: 'latencyStart', type: [Number, BigInt], min: 0 },
+  { name: 'latencyEnd', type: [Number, BigInt], min: 0, max: 60000 },
+  { name: 'httpMethod', type: String, values: ['GET', 'POST'] },
+];
+
+describe('TIMESTAMP_PATTERN', () => {
+  it('应当匹配日期和常见的时间戳格式', () => {
+    expect(TIMESTAMP_PATTERN.test('2024-01-01')).toBe(true);
+    expect(TIMESTAMP_PATTERN.test('2024-01-01 08:00:00')).toBe(true);
+    expect(TIMESTAMP_PATTERN.test('2024-01-01T08:00:00.000Z')).toBe(true);
+    expect(TIMESTAMP_PATTERN.test('2024-01-01T08:00:00+08:00')).toBe(true);
+    expect(TIMESTAMP_PATTERN.test('2024/01/01')).toBe(false);
+    expect(TIMESTAMP_PATTERN.test('yesterday')).toBe(false);
+  });
+});
+
+describe('checkCriteriaValue', () => {
+  it('应当检查 pattern、min、max 和 values 约束', () => {
+    expect(() => checkCriteriaValue('c.t', '2024-01-01', DEFINITIONS[0])).not.toThrow();
+    expect(() => checkCriteriaValue('c.t', '01/01/2024', DEFINITIONS[0])).toThrow(RangeError);
+    expect(() => checkCriteriaValue('c.l', -1n, DEFINITIONS[2]))
+      .toThrow("The value of the argument 'c.l' must be greater than or equal to 0, but it is -1.");
+    expect(() => checkCriteriaValue('c.l', 60001, DEFINITIONS[3])).toThrow(RangeError);
+    expect(() => checkCriteriaValue('c.m', 'PUT', DEFINITIONS[4]))
+      .toThrow("The value of the argument 'c.m' must be one of GET, POST, but it is PUT.");
+  });
+
+  it('值为空或没有定义时不应当检查约束', () => {
+    expect(() => checkCriteriaValue('c.t', '', DEFINITIONS[0])).not.toThrow();
+    expect(() => checkCriteriaValue('c.t', null, DEFINITIONS[0])).not.toThrow();
+    expect(() => checkCriteriaValue('c.t', 'foo', undefined)).not.toThrow();
+  });
+});
+
+describe('checkCriteriaConstraints', () => {
+  it('应当接受满足约束的查询条件', () => {
+    const criteria = {
+      createTimeStart: '2024-01-01 00:00:00',
+      createTimeEnd: '2024-01-02T08:00:00+08:00',
+      latencyStart: 0,
+      latencyEnd: 100n,
+      httpMethod: 'GET',
+    };
+    expect(() => checkCriteriaConstraints('criteria', criteria, DEFINITIONS)).not.toThrow();
+  });
+
+  it('应当拒绝起始值大于结束值的范围', () => {
+    expect(() => checkCriteriaConstraints('criteria', {
+      createTimeStart: '2024-02-01',
+      createTimeEnd: '2024-01-01',
+    }, DEFINITIONS)).toThrow("The value of the argument 'criteria.createTimeStart' must not be "
+      + "greater than the value of the argument 'criteria.createTimeEnd'");
+    expect(() => checkCriteriaConstraints('criteria', {
+      latencyStart: 200,
+      latencyEnd: 100n,
+    }, DEFINITIONS)).toThrow(RangeError);
+  });
+
+  it('只给出范围的一端时不应当检查范围', () => {
+    expect(() => checkCriteriaConstraints('criteria', {
+      createTimeStart: '2024-02-01',
+    }, DEFINITIONS)).not.toThrow();
+  });
+});
@@ -7,6 +7,7 @@
 //
 ////////////////////////////////////////////////////////////////////////////////
 import { State } from '@qubit-ltd/common-model';
+import Criteria from '../../src/params/Criteria';
 import checkObjectArgument from '../../src/utils/check-object-argument';
 
 // 定义测试的查询条件字段
@@ -105,4 +106,91 @@ describe('checkObjectArgument', () => {
       expect(() => checkObjectArgument('criteria', criteria, [])).not.toThrow();
     });
   });
+
+  describe('约束检查', () => {
+    const definitions = [
+      { name: 'createTimeStart', type: String, pattern: /^\d{4}-\d{2}-\d{2}$/ },
+      { name: 'createTimeEnd', type: String, pattern: /^\d{4}-\d{2}-\d{2}$/ },
+      { name: 'level', type: Number, min: 1, max: 5 },
+    ];
+
+    it('应当接受满足约束的字段', () => {
+      const criteria = { createTimeStart: '2024-01-01', createTimeEnd: '2024-01-31', level: 3 };
+      expect(() => checkObjectArgument('criteria', criteria, definitions)).not.toThrow();
+    });
+
+    it('应当拒绝不满足约束的字段', () => {
+      expect(() => checkObjectArgument('criteria', { createTimeStart: '2024-1-1' }, definitions))
+        .toThrow(RangeError);
+      expect(() => checkObjectArgument('criteria', { level: 6 }, definitions)).toThrow(RangeError);
+      expect(() => checkObjectArgument('criteria', {
+        createTimeStart: '2024-02-01',
+        createTimeEnd: '2024-01-31',
+      }, definitions)).toThrow(RangeError);
+    });
+  });
+
+  describe('属性路径', () => {
+    class Category {
+      name = '';
+    }
+
+    class Product {
+      name = '';
+
+      price = 0;
+
+      createTime = new Date();
+
+      category = new Category();
+    }
+
+    it('提供实体类时应当接受合法的属性路径', () => {
+      expect(() => checkObjectArgument('criteria', { 'category.name': '水果' }, TEST_CRITERIA_DEFINITIONS, false, Product))
+        .not.toThrow();
+      const criteria = Criteria.where('category.name').like('水%');
+      expect(() => checkObjectArgument('criteria', criteria, TEST_CRITERIA_DEFINITIONS, false, Product)).not.toThrow();
+    });
+
+    it('应当拒绝不合法的属性路径', () => {
+      expect(() => checkObjectArgument('criteria', { 'category.code': 'x' }, TEST_CRITERIA_DEFINITIONS, false, Product))
+        .toThrow("The property 'code' in the path 'category.code' is not a field of the class Category.");
+      expect(() => checkObjectArgument('criteria', { 'category.name': 'x' }, TEST_CRITERIA_DEFINITIONS))
+        .toThrow('Unsupported field: "criteria.category.name"');
+    });
+
+    it('应当按照属性路径解析得到的类型检查其值', () => {
+      expect(() => checkObjectArgument('criteria', { 'category.name': 123 }, TEST_CRITERIA_DEFINITIONS, false, Product))
+        .toThrow(TypeError);
+      const criteria = Criteria.where('category.name').eq(123);
+      expect(() => checkObjectArgument('criteria', criteria, TEST_CRITERIA_DEFINITIONS, false, Product))
+        .toThrow(TypeError);
+      const inCriteria = Criteria.where('category.name').in(['水果', 1]);
+      expect(() => checkObjectArgument('criteria', inCriteria, TEST_CRITERIA_DEFINITIONS, false, Product))
+        .toThrow(TypeError);
+    });
+
+    it('Date 类型的属性路径应当允许字符串形式的值', () => {
+      class Order {
+        product = new Product();
+      }
+      const criteria = Criteria.where('product.createTime').ge('2024-01-01T00:00:00Z');
+      expect(() => checkObjectArgument('criteria', criteria, TEST_CRITERIA_DEFINITIONS, false, Order)).not.toThrow();
+      expect(() => checkObjectArgument('criteria', { 'product.price': 'x' }, TEST_CRITERIA_DEFINITIONS, false, Order))
+        .toThrow(TypeError);
+    });
+  });
+
+  describe('Criteria对象', () => {
+    it('应当按照定义检查Criteria对象中的字段', () => {
+      const criteria = Criteria.where('name').like('测试%').and('createTime').ge('2024-01-01');
+      expect(() => checkObjectArgument('criteria', criteria, TEST_CRITERIA_DEFINITIONS)).not.toThrow();
+    });
+
+    it('应当拒绝Criteria对象中未定义的字段', () => {
+      const criteria = Criteria.where('name').eq('test').or('unknownField').eq('value');
+      expect(() => checkObjectArgument('criteria', criteria, TEST_CRITERIA_DEFINITIONS))
+        .toThrow('Unsupported field: "criteria.unknownField"');
+    });
+  });
 });
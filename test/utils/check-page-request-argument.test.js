@@ -7,7 +7,7 @@
 //
 ////////////////////////////////////////////////////////////////////////////////
 import { PageRequest } from '@qubit-ltd/common-model';
-import { checkPageRequestArgument } from '../../src';
+import { checkPageRequestArgument, isCursorPageRequest } from '../../src';
 
 describe('checkArgumentPageRequest', () => {
   it('throws TypeError when pageRequest is null', () => {
@@ -56,4 +56,33 @@ describe('checkArgumentPageRequest', () => {
     const pageRequest = { pageIndex: 0 };
     expect(() => checkPageRequestArgument(pageRequest)).not.toThrow();
   });
+
+  it('does not throw when pageRequest is a valid cursor page request', () => {
+    expect(() => checkPageRequestArgument({ limit: 20 })).not.toThrow();
+    expect(() => checkPageRequestArgument({ after: 'abc', limit: 20 })).not.toThrow();
+    expect(() => checkPageRequestArgument({ before: 'abc' })).not.toThrow();
+  });
+
+  it('throws TypeError when the cursor or limit has a wrong type', () => {
+    expect(() => checkPageRequestArgument({ after: 123 })).toThrow(TypeError);
+    expect(() => checkPageRequestArgument({ before: 'abc', limit: '20' })).toThrow(TypeError);
+  });
+
+  it('throws RangeError when the cursor page request is inconsistent', () => {
+    expect(() => checkPageRequestArgument({ after: 'a', before: 'b' })).toThrow(RangeError);
+    expect(() => checkPageRequestArgument({ after: 'a', pageSize: 10 })).toThrow(RangeError);
+    expect(() => checkPageRequestArgument({ limit: 0 })).toThrow(RangeError);
+    expect(() => checkPageRequestArgument({ limit: 2.5 })).toThrow(RangeError);
+  });
+});
+
+describe('isCursorPageRequest', () => {
+  it('returns true only when after, before or limit is specified', () => {
+    expect(isCursorPageRequest({ after: 'abc' })).toBe(true);
+    expect(isCursorPageRequest({ before: 'abc' })).toBe(true);
+    expect(isCursorPageRequest({ limit: 10 })).toBe(true);
+    expect(isCursorPageRequest({ pageIndex: 0, pageSize: 10 })).toBe(false);
+    expect(isCursorPageRequest({ after: null })).toBe(false);
+    expect(isCursorPageRequest({})).toBe(false);
+  });
 });
@@ -97,4 +97,61 @@ describe('checkArgumentSortRequest', () => {
     const sortRequest = { sortOrder: SortOrder.DESC };
     expect(() => checkSortRequestArgument(sortRequest, Entity)).not.toThrow();
   });
+
+  describe('多个排序请求', () => {
+    class Entity {
+      province = '';
+
+      city = '';
+
+      name = '';
+    }
+
+    it('does not throw when every sort key is a field of the entity class', () => {
+      const sortRequest = [
+        { sortField: 'province', sortOrder: SortOrder.ASC },
+        new SortRequest('city', SortOrder.ASC),
+        { sortField: 'name' },
+      ];
+      expect(() => checkSortRequestArgument(sortRequest, Entity)).not.toThrow();
+      expect(() => checkSortRequestArgument([], Entity)).not.toThrow();
+    });
+
+    it('throws TypeError when a sort key is invalid', () => {
+      expect(() => checkSortRequestArgument([{ sortField: 'province' }, { sortField: 'street' }], Entity))
+        .toThrow("The sort field 'street' is not a field of the class Entity.");
+      expect(() => checkSortRequestArgument([{ sortOrder: 'ASC' }], Entity)).toThrow(TypeError);
+      expect(() => checkSortRequestArgument([{ sortField: '' }], Entity))
+        .toThrow("The value of the argument 'sortRequest[0].sortField' cannot be empty.");
+      expect(() => checkSortRequestArgument([null])).toThrow(TypeError);
+    });
+
+    it('throws RangeError when a sort field is specified more than once', () => {
+      const sortRequest = [{ sortField: 'city' }, { sortField: 'city', sortOrder: 'DESC' }];
+      expect(() => checkSortRequestArgument(sortRequest, Entity)).toThrow(RangeError);
+    });
+  });
+
+  describe('嵌套的属性路径', () => {
+    class Contact {
+      mobile = '';
+    }
+
+    class Customer {
+      name = '';
+
+      contact = new Contact();
+    }
+
+    it('does not throw when the sort field is a valid property path', () => {
+      expect(() => checkSortRequestArgument({ sortField: 'contact.mobile' }, Customer)).not.toThrow();
+      expect(() => checkSortRequestArgument([{ sortField: 'contact.mobile' }, { sortField: 'name' }], Customer))
+        .not.toThrow();
+    });
+
+    it('throws TypeError naming the failing segment of the property path', () => {
+      expect(() => checkSortRequestArgument({ sortField: 'contact.phone' }, Customer))
+        .toThrow("The property 'phone' in the path 'contact.phone' is not a field of the class Contact.");
+    });
+  });
 });
@@ -0,0 +1,201 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { Logger } from '@qubit-ltd/logging';
+import * as commonApi from '../../src';
+import { createEntityApi, generateOpenApiDocument } from '../../src';
+
+class Bar {
+  id = null;
+
+  name = '';
+}
+
+class Foo {
+  id = null;
+
+  name = '';
+
+  visible = true;
+
+  bar = new Bar();
+}
+
+const fooApi = {
+  entityClass: Foo,
+  ROUTE_DEFINITIONS: [
+    { name: 'list', impl: 'listImpl', url: '/foo' },
+    { name: 'listAll', impl: 'listAllImpl', url: '/foo' },
+    { name: 'get', impl: 'getImpl', url: '/foo/{id}' },
+    { name: 'batchDelete', impl: 'batchDeleteImpl', url: '/foo/batch' },
+    { name: 'getMe', method: 'GET', url: '/foo/me' },
+  ],
+  CRITERIA_DEFINITIONS: [
+    { name: 'name', type: String, pattern: /^\w+$/ },
+    { name: 'barId', type: [String, Number, BigInt] },
+  ],
+};
+
+describe('generateOpenApiDocument', () => {
+  const document = generateOpenApiDocument({ fooApi }, {
+    title: 'Foo API',
+    version: '2.0.0',
+  });
+
+  it('应当生成文档的基本信息', () => {
+    expect(document.openapi).toBe('3.0.3');
+    expect(document.info).toEqual({ title: 'Foo API', version: '2.0.0' });
+    expect(Object.keys(document.paths)).toEqual(['/foo', '/foo/{id}', '/foo/batch', '/foo/me']);
+  });
+
+  it('列表操作应当包含分页、查询条件和排序参数，并合并相同的路由', () => {
+    const operation = document.paths['/foo'].get;
+    expect(operation.operationId).toBe('fooApi.list');
+    expect(operation['x-client-methods']).toEqual(['list', 'listAll']);
+    expect(operation.parameters.map((p) => p.name)).toEqual([
+      'page_index',
+      'page_size',
+      'name',
+      'bar_id',
+      'sort_field',
+      'sort_order',
+    ]);
+    expect(operation.parameters[2].schema).toEqual({ type: 'string', pattern: '^\\w+$' });
+    expect(operation.parameters[3].schema).toEqual({ type: 'string' });
+    expect(operation.responses['200'].content['application/json'].schema)
+      .toEqual({ $ref: '#/components/schemas/FooPage' });
+  });
+
+  it('应当生成路径参数和实体类的数据模型', () => {
+    const operation = document.paths['/foo/{id}'].get;
+    expect(operation.parameters).toEqual([
+      { name: 'id', in: 'path', required: true, schema: { type: 'string' } },
+    ]);
+    expect(document.components.schemas.Foo).toEqual({
+      type: 'object',
+      properties: {
+        id: { nullable: true },
+        name: { type: 'string' },
+        visible: { type: 'boolean' },
+        bar: { $ref: '#/components/schemas/Bar' },
+      },
+    });
+    expect(document.components.schemas.Bar).toBeDefined();
+  });
+
+  it('批量操作应当包含请求体和 batch_result 参数', () => {
+    const operation = document.paths['/foo/batch'].delete;
+    expect(operation.requestBody.content['application/json'].schema)
+      .toEqual({ type: 'array', items: { type: 'string' } });
+    expect(operation.parameters.map((p) => p.name)).toEqual(['batch_result']);
+    expect(operation.responses['200'].content['application/json'].schema.oneOf).toHaveLength(2);
+  });
+
+  it('直接调用 http 对象的方法应当只生成路径和HTTP方法', () => {
+    const operation = document.paths['/foo/me'].get;
+    expect(operation.operationId).toBe('fooApi.getMe');
+    expect(operation.responses['200'].content['application/json'].schema).toEqual({});
+  });
+
+  it('应当使用 createEntityApi() 生成的路由定义并按照 keys 展开键方法', () => {
+    const bazApi = createEntityApi({
+      baseUrl: '/baz',
+      entityClass: Foo,
+      keys: ['code', 'name'],
+      capabilities: ['get', 'update'],
+    });
+    const result = generateOpenApiDocument({ bazApi });
+    expect(Object.keys(result.paths)).toEqual([
+      '/baz/{id}',
+      '/baz/code/{code}',
+      '/baz/name/{name}',
+      '/baz/batch',
+      '/baz/{id}/patch',
+    ]);
+    expect(result.paths['/baz/code/{code}'].get.operationId).toBe('bazApi.getByCode');
+    expect(result.paths['/baz/name/{name}'].put['x-client-methods']).toEqual(['updateByName']);
+    expect(result.paths['/baz/{id}/patch'].patch.requestBody.content)
+      .toHaveProperty(['application/merge-patch+json']);
+  });
+
+  it('本库提供的所有 API 对象都应当声明路由定义', () => {
+    const apis = Object.fromEntries(Object.entries(commonApi)
+      .filter(([name, value]) => name.endsWith('Api') && (typeof value === 'object')));
+    expect(Object.keys(apis)).toEqual(expect.arrayContaining(['organizationApi', 'personApi', 'wechatApi']));
+    const warn = jest.spyOn(Logger.getLogger('OpenApiGenerator'), 'warn');
+    const result = generateOpenApiDocument(apis);
+    expect(warn).not.toHaveBeenCalled();
+    warn.mockRestore();
+    for (const [apiName, api] of Object.entries(apis)) {
+      expect(api.ROUTE_DEFINITIONS.length).toBeGreaterThan(0);
+      for (const { name, url } of api.ROUTE_DEFINITIONS) {
+        const methods = Object.values(result.paths[url]).flatMap((op) => op['x-client-methods']);
+        expect(`${apiName}.${name}: ${methods}`).toContain(name);
+      }
+    }
+    expect(result.paths['/organization'].get['x-client-methods']).toEqual(['list', 'iterate', 'listAll']);
+    expect(result.paths['/person/{id}'].get.operationId).toBe('personApi.get');
+    expect(result.paths['/person/{id}'].put.operationId).toBe('personApi.update');
+    expect(result.paths['/system/time'].get.operationId).toBe('systemApi.getTime');
+    expect(result.paths['/person'].get.parameters.find((p) => p.name === 'gender').schema)
+      .toEqual({ type: 'string' });
+    expect(result.components.schemas.Organization).toBeDefined();
+  });
+
+  it('应当忽略没有声明路由定义的 API 对象', () => {
+    const result = generateOpenApiDocument({ bazApi: { entityClass: Foo } });
+    expect(result.paths).toEqual({});
+  });
+
+  it('异步导出操作应当包含格式路径参数并返回任务信息', () => {
+    const api = {
+      ...fooApi,
+      ROUTE_DEFINITIONS: [{ name: 'exportAsync', impl: 'exportAsyncImpl', url: '/baz/export/{format}/async' }],
+    };
+    const result = generateOpenApiDocument({ bazApi: api });
+    const operation = result.paths['/baz/export/{format}/async'].post;
+    expect(operation.operationId).toBe('bazApi.exportAsync');
+    expect(operation.parameters.map((p) => p.name)).toEqual([
+      'format',
+      'name',
+      'bar_id',
+      'sort_field',
+      'sort_order',
+    ]);
+    expect(operation.responses['200'].content['application/json'].schema)
+      .toEqual({ $ref: '#/components/schemas/TaskInfo' });
+    expect(result.components.schemas.TaskInfo).toBeDefined();
+  });
+
+  it('导入操作应当包含 dry_run 和 import_report 参数', () => {
+    const api = {
+      ...fooApi,
+      ROUTE_DEFINITIONS: [{ name: 'importCsv', impl: 'importImpl', url: '/baz/import/csv' }],
+    };
+    const result = generateOpenApiDocument({ bazApi: api });
+    const operation = result.paths['/baz/import/csv'].post;
+    expect(operation.parameters.map((p) => p.name)).toEqual([
+      'parallel',
+      'threads',
+      'dry_run',
+      'import_report',
+    ]);
+    expect(operation.responses['200'].content['application/json'].schema).toEqual({
+      oneOf: [
+        { type: 'integer' },
+        { $ref: '#/components/schemas/ImportReport' },
+      ],
+    });
+    expect(result.components.schemas.ImportReport.properties.rejected.type).toBe('array');
+  });
+
+  it('参数不合法时应当抛出 TypeError', () => {
+    expect(() => generateOpenApiDocument(null)).toThrow(TypeError);
+    expect(() => generateOpenApiDocument({}, 'invalid')).toThrow(TypeError);
+  });
+});
@@ -0,0 +1,25 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { getErrorStatus } from '../../src';
+
+describe('getErrorStatus', () => {
+  it('returns the status of an ErrorInfo object', () => {
+    expect(getErrorStatus({ type: 'SERVER_ERROR', status: 503 })).toBe(503);
+  });
+
+  it('returns the status of the response of an HTTP error', () => {
+    expect(getErrorStatus({ response: { status: 409 } })).toBe(409);
+  });
+
+  it('returns undefined when the status is unavailable', () => {
+    expect(getErrorStatus({ type: 'SERVER_ERROR' })).toBeUndefined();
+    expect(getErrorStatus(null)).toBeUndefined();
+    expect(getErrorStatus(undefined)).toBeUndefined();
+  });
+});
@@ -0,0 +1,50 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { Enum } from '@qubit-ltd/common-decorator';
+import resolveCriteriaType from '../../src/utils/resolve-criteria-type';
+
+@Enum
+class Color {
+  static RED = 'Red';
+
+  static GREEN = 'Green';
+}
+
+class Category {
+  id = null;
+
+  name = '';
+
+  color = Color.RED;
+
+  createTime = new Date();
+}
+
+class Product {
+  category = new Category();
+}
+
+describe('resolveCriteriaType', () => {
+  it('应当返回属性路径解析得到的类型', () => {
+    expect(resolveCriteriaType(Product, 'category.name')).toBe(String);
+  });
+
+  it('枚举类型和 Date 类型的属性应当还允许字符串形式的值', () => {
+    expect(resolveCriteriaType(Product, 'category.color')).toEqual([Color, String]);
+    expect(resolveCriteriaType(Product, 'category.createTime')).toEqual([Date, String]);
+  });
+
+  it('无法确定属性的类型时应当返回 undefined', () => {
+    expect(resolveCriteriaType(Product, 'category.id')).toBeUndefined();
+  });
+
+  it('属性路径不合法时应当抛出 TypeError', () => {
+    expect(() => resolveCriteriaType(Product, 'category.code')).toThrow(TypeError);
+  });
+});
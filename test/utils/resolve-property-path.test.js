@@ -0,0 +1,57 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { Type } from '@qubit-ltd/common-decorator';
+import { resolvePropertyPath } from '../../src';
+
+class Contact {
+  mobile = '';
+
+  email = '';
+}
+
+class Category {
+  id = null;
+
+  name = '';
+}
+
+class Product {
+  name = '';
+
+  contact = new Contact();
+
+  @Type(Category)
+  category = null;
+
+  owner = null;
+}
+
+describe('resolvePropertyPath', () => {
+  it('应当根据默认值和 @Type 元数据解析属性路径', () => {
+    expect(resolvePropertyPath(Product, 'name')).toBe(String);
+    expect(resolvePropertyPath(Product, 'contact.mobile')).toBe(String);
+    expect(resolvePropertyPath(Product, 'category')).toBe(Category);
+    expect(resolvePropertyPath(Product, 'category.name')).toBe(String);
+    expect(resolvePropertyPath(Product, 'category.id')).toBeUndefined();
+  });
+
+  it('属性不存在时应当在错误信息中指明该属性', () => {
+    expect(() => resolvePropertyPath(Product, 'contact.phone'))
+      .toThrow("The property 'phone' in the path 'contact.phone' is not a field of the class Contact.");
+    expect(() => resolvePropertyPath(Product, 'vendor.name'))
+      .toThrow("The property 'vendor' in the path 'vendor.name' is not a field of the class Product.");
+    expect(() => resolvePropertyPath(Product, 'name.length')).toThrow(TypeError);
+  });
+
+  it('中间属性的类型无法确定时应当抛出 TypeError', () => {
+    expect(() => resolvePropertyPath(Product, 'owner.name'))
+      .toThrow("Cannot resolve the type of the property 'owner' in the path 'owner.name' of the class "
+        + 'Product, please annotate it with @Type.');
+  });
+});
@@ -0,0 +1,44 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { Environment, Token } from '@qubit-ltd/common-model';
+import type { RouteDefinition, ShowLoading } from '../common';
+
+/**
+ * 提供应用认证相关API。
+ */
+declare class AppAuthenticateApi {
+  /**
+   * 路由定义，用于生成OpenAPI文档。
+   */
+  ROUTE_DEFINITIONS: RouteDefinition[];
+
+  /**
+   * 通过应用密钥获取应用的存取令牌。
+   */
+  authenticate(
+    code: string,
+    securityKey: string,
+    environment?: Environment,
+    showLoading?: ShowLoading,
+  ): Promise<Token>;
+
+  /**
+   * 检查应用当前的存取令牌是否合法并依然有效，并获取关于存取令牌的创建时间、生命周期等详细信息。
+   */
+  checkToken(code: string, token: Token, showLoading?: ShowLoading): Promise<Token>;
+
+  /**
+   * 通过客户端手上已有的指定应用的旧存取令牌，刷新认证信息并更换最新的存取令牌。
+   */
+  refreshToken(code: string, token: Token, showLoading?: ShowLoading): Promise<Token>;
+}
+
+declare const appAuthenticateApi: AppAuthenticateApi;
+
+export default appAuthenticateApi;
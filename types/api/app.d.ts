@@ -0,0 +1,412 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { App, InfoWithEntity, Page, State, StatefulInfo } from '@qubit-ltd/common-model';
+import type {
+  CriteriaDefinition,
+  CursorPageRequest,
+  Id,
+  ModelClass,
+  PageRequest,
+  RouteDefinition,
+  ShowLoading,
+  SortRequest,
+} from '../common';
+import type { RequestOptions } from './impl/request-options';
+import type { ExportResult } from './impl/export-impl';
+import type { ExportAsyncOptions } from './impl/export-async-impl';
+import type { IterateOptions } from './impl/iterate-impl';
+import type BatchResult from '../model/BatchResult';
+import type CursorPage from '../model/CursorPage';
+import type ImportReport from '../model/ImportReport';
+import type Criteria from '../params/Criteria';
+
+/**
+ * `appApi`的查询条件。
+ */
+export interface AppCriteria {
+  name?: string;
+  organizationId?: Id;
+  organizationName?: string;
+  appId?: Id;
+  appCode?: string;
+  appName?: string;
+  state?: State | string;
+  lastAuthorizeTimeStart?: string;
+  lastAuthorizeTimeEnd?: string;
+  predefined?: boolean;
+  deleted?: boolean;
+  createTimeStart?: string;
+  createTimeEnd?: string;
+  modifyTimeStart?: string;
+  modifyTimeEnd?: string;
+  deleteTimeStart?: string;
+  deleteTimeEnd?: string;
+}
+
+/**
+ * 提供管理`App`对象的API。
+ */
+declare class AppApi {
+  /**
+   * 此API所管理的实体对象的类。
+   */
+  entityClass: ModelClass<App>;
+
+  /**
+   * 此API所管理的实体对象的基本信息的类。
+   */
+  entityInfoClass: ModelClass<StatefulInfo>;
+
+  /**
+   * 查询条件定义。
+   */
+  CRITERIA_DEFINITIONS: CriteriaDefinition[];
+
+  /**
+   * 路由定义，用于生成OpenAPI文档。
+   */
+  ROUTE_DEFINITIONS: RouteDefinition[];
+
+  /**
+   * 列出符合条件的`App`对象。
+   */
+  list(
+    pageRequest?: PageRequest,
+    criteria?: AppCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<Page<App>>;
+  list(
+    pageRequest: CursorPageRequest,
+    criteria?: AppCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<CursorPage<App>>;
+
+  /**
+   * 逐页遍历符合条件的`App`对象。
+   */
+  iterate(
+    criteria?: AppCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: IterateOptions,
+  ): AsyncGenerator<App>;
+
+  /**
+   * 获取全部符合条件的`App`对象。
+   */
+  listAll(
+    criteria?: AppCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: IterateOptions,
+  ): Promise<App[]>;
+
+  /**
+   * 列出符合条件的`App`对象的基本信息。
+   */
+  listInfo(
+    pageRequest?: PageRequest,
+    criteria?: AppCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<Page<StatefulInfo>>;
+  listInfo(
+    pageRequest: CursorPageRequest,
+    criteria?: AppCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<CursorPage<StatefulInfo>>;
+
+  /**
+   * 根据ID，获取指定的`App`对象。
+   */
+  get(id: Id, showLoading?: ShowLoading): Promise<App>;
+
+  /**
+   * 根据代码，获取指定的`App`对象。
+   */
+  getByCode(code: string, showLoading?: ShowLoading): Promise<App>;
+
+  /**
+   * 根据ID，获取指定的`App`对象的基本信息。
+   */
+  getInfo(id: Id, showLoading?: ShowLoading): Promise<StatefulInfo>;
+
+  /**
+   * 根据代码，获取指定的`App`对象的基本信息。
+   */
+  getInfoByCode(code: string, showLoading?: ShowLoading): Promise<StatefulInfo>;
+
+  /**
+   * 根据ID，获取指定的`App`对象所属分类的基本信息。
+   */
+  getCategory(id: Id, showLoading?: ShowLoading): Promise<InfoWithEntity | null>;
+
+  /**
+   * 根据代码，获取指定的`App`对象所属分类的基本信息。
+   */
+  getCategoryByCode(code: string, showLoading?: ShowLoading): Promise<InfoWithEntity | null>;
+
+  /**
+   * 添加一个`App`对象。
+   */
+  add(entity: App, showLoading?: ShowLoading): Promise<App>;
+
+  /**
+   * 根据ID，更新一个`App`对象。
+   */
+  update(entity: App, showLoading?: ShowLoading): Promise<App>;
+
+  /**
+   * 根据代码，更新一个`App`对象。
+   */
+  updateByCode(entity: App, showLoading?: ShowLoading): Promise<App>;
+
+  /**
+   * 根据ID，更新一个`App`对象的状态。
+   */
+  updateState(id: Id, state: State | string, showLoading?: ShowLoading): Promise<string>;
+
+  /**
+   * 根据代码，更新一个`App`对象的状态。
+   */
+  updateStateByCode(
+    code: string,
+    state: State | string,
+    showLoading?: ShowLoading,
+  ): Promise<string>;
+
+  /**
+   * 根据ID，更新一个`App`对象的备注。
+   */
+  updateComment(id: Id, comment: string, showLoading?: ShowLoading): Promise<string>;
+
+  /**
+   * 根据代码，更新一个`App`对象的备注。
+   */
+  updateCommentByCode(code: string, comment: string, showLoading?: ShowLoading): Promise<string>;
+
+  /**
+   * 根据ID，标记删除一个`App`对象。
+   */
+  delete(id: string, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 根据代码，标记删除一个`App`对象。
+   */
+  deleteByCode(code: string, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 批量标记删除指定的`App`对象。
+   */
+  batchDelete(ids: Id[], options: RequestOptions & { batchResult: true }): Promise<BatchResult<Id>>;
+  batchDelete(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+
+  /**
+   * 根据ID，恢复一个被标记删除的`App`对象。
+   */
+  restore(id: string, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 根据代码，恢复一个被标记删除的`App`对象。
+   */
+  restoreByCode(code: string, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 批量恢复已被标记删除的`App`对象。
+   */
+  batchRestore(
+    ids: Id[],
+    options: RequestOptions & { batchResult: true },
+  ): Promise<BatchResult<Id>>;
+  batchRestore(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+
+  /**
+   * 根据ID，清除一个被标记删除的`App`对象。
+   */
+  purge(id: string, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 根据代码，清除一个被标记删除的`App`对象。
+   */
+  purgeByCode(code: string, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 彻底清除全部已被标记删除的`App`对象。
+   */
+  purgeAll(showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 彻底清除指定的`App`对象（无论其是否被标记删除）。
+   */
+  erase(id: Id, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 根据代码，彻底清除指定的`App`对象（无论其是否被标记删除）。
+   */
+  eraseByCode(code: string, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 批量彻底清除指定的`App`对象（无论其是否被标记删除）。
+   */
+  batchErase(ids: Id[], options: RequestOptions & { batchResult: true }): Promise<BatchResult<Id>>;
+  batchErase(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+
+  /**
+   * 批量彻底清除已被标记删除的`App`对象。
+   */
+  batchPurge(ids: Id[], options: RequestOptions & { batchResult: true }): Promise<BatchResult<Id>>;
+  batchPurge(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+
+  /**
+   * 导出符合条件的`App`对象为XML文件。
+   */
+  exportXml(
+    criteria?: AppCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    autoDownload?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<ExportResult>;
+  exportXml(
+    criteria?: AppCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { autoDownload?: boolean },
+  ): Promise<ExportResult>;
+
+  /**
+   * 导出符合条件的`App`对象为JSON文件。
+   */
+  exportJson(
+    criteria?: AppCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    autoDownload?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<ExportResult>;
+  exportJson(
+    criteria?: AppCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { autoDownload?: boolean },
+  ): Promise<ExportResult>;
+
+  /**
+   * 导出符合条件的`App`对象为Excel文件。
+   */
+  exportExcel(
+    criteria?: AppCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    autoDownload?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<ExportResult>;
+  exportExcel(
+    criteria?: AppCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { autoDownload?: boolean },
+  ): Promise<ExportResult>;
+
+  /**
+   * 导出符合条件的`App`对象为CSV文件。
+   */
+  exportCsv(
+    criteria?: AppCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    autoDownload?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<ExportResult>;
+  exportCsv(
+    criteria?: AppCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { autoDownload?: boolean },
+  ): Promise<ExportResult>;
+
+  /**
+   * 以服务器端异步任务的方式导出符合条件的`App`对象。
+   */
+  exportAsync(
+    format: string,
+    criteria?: AppCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: ExportAsyncOptions,
+  ): Promise<ExportResult>;
+
+  /**
+   * 从XML文件导入`App`对象。
+   */
+  importXml(
+    file: File,
+    options: RequestOptions & { parallel?: boolean, threads?: number } & ({ dryRun: true } | { importReport: true }),
+  ): Promise<ImportReport>;
+  importXml(
+    file: File,
+    parallel?: boolean,
+    threads?: number,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+  importXml(
+    file: File,
+    options?: RequestOptions & { parallel?: boolean, threads?: number },
+  ): Promise<number>;
+
+  /**
+   * 从JSON文件导入`App`对象。
+   */
+  importJson(
+    file: File,
+    options: RequestOptions & { parallel?: boolean, threads?: number } & ({ dryRun: true } | { importReport: true }),
+  ): Promise<ImportReport>;
+  importJson(
+    file: File,
+    parallel?: boolean,
+    threads?: number,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+  importJson(
+    file: File,
+    options?: RequestOptions & { parallel?: boolean, threads?: number },
+  ): Promise<number>;
+
+  /**
+   * 从Excel文件导入`App`对象。
+   */
+  importExcel(
+    file: File,
+    options: RequestOptions & { parallel?: boolean, threads?: number } & ({ dryRun: true } | { importReport: true }),
+  ): Promise<ImportReport>;
+  importExcel(
+    file: File,
+    parallel?: boolean,
+    threads?: number,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+  importExcel(
+    file: File,
+    options?: RequestOptions & { parallel?: boolean, threads?: number },
+  ): Promise<number>;
+
+  /**
+   * 从CSV文件导入`App`对象。
+   */
+  importCsv(
+    file: File,
+    options: RequestOptions & { parallel?: boolean, threads?: number } & ({ dryRun: true } | { importReport: true }),
+  ): Promise<ImportReport>;
+  importCsv(
+    file: File,
+    parallel?: boolean,
+    threads?: number,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+  importCsv(
+    file: File,
+    options?: RequestOptions & { parallel?: boolean, threads?: number },
+  ): Promise<number>;
+}
+
+declare const appApi: AppApi;
+
+export default appApi;
@@ -0,0 +1,184 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { Attachment, Page, State } from '@qubit-ltd/common-model';
+import type {
+  CriteriaDefinition,
+  CursorPageRequest,
+  Id,
+  ModelClass,
+  PageRequest,
+  RouteDefinition,
+  ShowLoading,
+  SortRequest,
+} from '../common';
+import type { RequestOptions } from './impl/request-options';
+import type { IterateOptions } from './impl/iterate-impl';
+import type BatchResult from '../model/BatchResult';
+import type CursorPage from '../model/CursorPage';
+import type Criteria from '../params/Criteria';
+
+/**
+ * `attachmentApi`的查询条件。
+ */
+export interface AttachmentCriteria {
+  ownerType?: string;
+  ownerId?: Id;
+  ownerProperty?: string;
+  type?: string;
+  categoryId?: Id;
+  categoryCode?: string;
+  categoryName?: string;
+  title?: string;
+  uploadId?: Id;
+  state?: State | string;
+  visible?: boolean;
+  deleted?: boolean;
+  createTimeStart?: string;
+  createTimeEnd?: string;
+  modifyTimeStart?: string;
+  modifyTimeEnd?: string;
+  deleteTimeStart?: string;
+  deleteTimeEnd?: string;
+  transformUrls?: boolean;
+}
+
+/**
+ * 提供管理`Attachment`对象的API。
+ */
+declare class AttachmentApi {
+  /**
+   * 此API所管理的实体对象的类。
+   */
+  entityClass: ModelClass<Attachment>;
+
+  /**
+   * 查询条件定义。
+   */
+  CRITERIA_DEFINITIONS: CriteriaDefinition[];
+
+  /**
+   * 路由定义，用于生成OpenAPI文档。
+   */
+  ROUTE_DEFINITIONS: RouteDefinition[];
+
+  /**
+   * 列出符合条件的`Attachment`对象。
+   */
+  list(
+    pageRequest?: PageRequest,
+    criteria?: AttachmentCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<Page<Attachment>>;
+  list(
+    pageRequest: CursorPageRequest,
+    criteria?: AttachmentCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<CursorPage<Attachment>>;
+
+  /**
+   * 逐页遍历符合条件的`Attachment`对象。
+   */
+  iterate(
+    criteria?: AttachmentCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: IterateOptions,
+  ): AsyncGenerator<Attachment>;
+
+  /**
+   * 获取全部符合条件的`Attachment`对象。
+   */
+  listAll(
+    criteria?: AttachmentCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: IterateOptions,
+  ): Promise<Attachment[]>;
+
+  /**
+   * 获取指定的`Attachment`对象。
+   */
+  get(id: Id, showLoading?: ShowLoading): Promise<Attachment>;
+
+  /**
+   * 添加一个`Attachment`对象。
+   */
+  add(entity: Attachment, showLoading?: ShowLoading): Promise<Attachment>;
+
+  /**
+   * 根据ID，更新一个`Attachment`对象。
+   */
+  update(entity: Attachment, showLoading?: ShowLoading): Promise<Attachment>;
+
+  /**
+   * 根据ID，更新一个`Attachment`对象的状态。
+   */
+  updateState(id: Id, state: State | string, showLoading?: ShowLoading): Promise<string>;
+
+  /**
+   * 根据ID，更新一个`Attachment`对象的可见性。
+   */
+  updateVisible(id: Id, visible: boolean, showLoading?: ShowLoading): Promise<string>;
+
+  /**
+   * 根据ID，标记删除一个`Attachment`对象。
+   */
+  delete(id: string, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 批量标记删除指定的`Attachment`对象。
+   */
+  batchDelete(ids: Id[], options: RequestOptions & { batchResult: true }): Promise<BatchResult<Id>>;
+  batchDelete(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+
+  /**
+   * 根据ID，恢复一个被标记删除的`Attachment`对象。
+   */
+  restore(id: string, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 批量恢复已被标记删除的`Attachment`对象。
+   */
+  batchRestore(
+    ids: Id[],
+    options: RequestOptions & { batchResult: true },
+  ): Promise<BatchResult<Id>>;
+  batchRestore(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+
+  /**
+   * 根据ID，清除一个被标记删除的`Attachment`对象。
+   */
+  purge(id: string, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 彻底清除全部已被标记删除的`Attachment`对象。
+   */
+  purgeAll(showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 批量彻底清除已被标记删除的`Attachment`对象。
+   */
+  batchPurge(ids: Id[], options: RequestOptions & { batchResult: true }): Promise<BatchResult<Id>>;
+  batchPurge(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+
+  /**
+   * 彻底清除指定的`Attachment`对象（无论其是否被标记删除）。
+   */
+  erase(id: Id, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 批量彻底清除指定的`Attachment`对象（无论其是否被标记删除）。
+   */
+  batchErase(ids: Id[], options: RequestOptions & { batchResult: true }): Promise<BatchResult<Id>>;
+  batchErase(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+}
+
+declare const attachmentApi: AttachmentApi;
+
+export default attachmentApi;
@@ -0,0 +1,392 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { Category, InfoWithEntity, Page } from '@qubit-ltd/common-model';
+import type {
+  CriteriaDefinition,
+  CursorPageRequest,
+  Id,
+  ModelClass,
+  PageRequest,
+  RouteDefinition,
+  ShowLoading,
+  SortRequest,
+} from '../common';
+import type { RequestOptions } from './impl/request-options';
+import type { ExportResult } from './impl/export-impl';
+import type { ExportAsyncOptions } from './impl/export-async-impl';
+import type { IterateOptions } from './impl/iterate-impl';
+import type BatchResult from '../model/BatchResult';
+import type CursorPage from '../model/CursorPage';
+import type ImportReport from '../model/ImportReport';
+import type Criteria from '../params/Criteria';
+
+/**
+ * `categoryApi`的查询条件。
+ */
+export interface CategoryCriteria {
+  entity?: string;
+  name?: string;
+  parentId?: Id;
+  parentCode?: string;
+  parentName?: string;
+  predefined?: boolean;
+  deleted?: boolean;
+  createTimeStart?: string;
+  createTimeEnd?: string;
+  modifyTimeStart?: string;
+  modifyTimeEnd?: string;
+  deleteTimeStart?: string;
+  deleteTimeEnd?: string;
+}
+
+/**
+ * 提供管理`Category`对象的API。
+ */
+declare class CategoryApi {
+  /**
+   * 此API所管理的实体对象的类。
+   */
+  entityClass: ModelClass<Category>;
+
+  /**
+   * 此API所管理的实体对象的基本信息的类。
+   */
+  entityInfoClass: ModelClass<InfoWithEntity>;
+
+  /**
+   * 查询条件定义。
+   */
+  CRITERIA_DEFINITIONS: CriteriaDefinition[];
+
+  /**
+   * 路由定义，用于生成OpenAPI文档。
+   */
+  ROUTE_DEFINITIONS: RouteDefinition[];
+
+  /**
+   * 列出符合条件的`Category`对象。
+   */
+  list(
+    pageRequest?: PageRequest,
+    criteria?: CategoryCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<Page<Category>>;
+  list(
+    pageRequest: CursorPageRequest,
+    criteria?: CategoryCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<CursorPage<Category>>;
+
+  /**
+   * 逐页遍历符合条件的`Category`对象。
+   */
+  iterate(
+    criteria?: CategoryCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: IterateOptions,
+  ): AsyncGenerator<Category>;
+
+  /**
+   * 获取全部符合条件的`Category`对象。
+   */
+  listAll(
+    criteria?: CategoryCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: IterateOptions,
+  ): Promise<Category[]>;
+
+  /**
+   * 列出符合条件的`Category`对象的基本信息。
+   */
+  listInfo(
+    pageRequest?: PageRequest,
+    criteria?: CategoryCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<Page<InfoWithEntity>>;
+  listInfo(
+    pageRequest: CursorPageRequest,
+    criteria?: CategoryCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<CursorPage<InfoWithEntity>>;
+
+  /**
+   * 根据ID，获取指定的`Category`对象。
+   */
+  get(id: Id, showLoading?: ShowLoading): Promise<Category>;
+
+  /**
+   * 根据代码，获取指定的`Category`对象。
+   */
+  getByCode(code: string, showLoading?: ShowLoading): Promise<Category>;
+
+  /**
+   * 根据ID，获取指定的`Category`对象的基本信息。
+   */
+  getInfo(id: Id, showLoading?: ShowLoading): Promise<InfoWithEntity>;
+
+  /**
+   * 根据代码，获取指定的`Category`对象的基本信息。
+   */
+  getInfoByCode(code: string, showLoading?: ShowLoading): Promise<InfoWithEntity>;
+
+  /**
+   * 添加一个`Category`对象。
+   */
+  add(entity: Category, showLoading?: ShowLoading): Promise<Category>;
+
+  /**
+   * 批量添加`Category`对象。
+   */
+  batchAdd(
+    entities: Category[],
+    options: RequestOptions & { batchResult: true },
+  ): Promise<BatchResult<Category>>;
+  batchAdd(entities: Category[], showLoading?: ShowLoading): Promise<Category[]>;
+
+  /**
+   * 根据ID，更新一个`Category`对象。
+   */
+  update(entity: Category, showLoading?: ShowLoading): Promise<Category>;
+
+  /**
+   * 根据ID，批量更新`Category`对象。
+   */
+  batchUpdate(
+    entities: Category[],
+    options: RequestOptions & { batchResult: true },
+  ): Promise<BatchResult<Category>>;
+  batchUpdate(entities: Category[], showLoading?: ShowLoading): Promise<Category[]>;
+
+  /**
+   * 根据编码，更新一个`Category`对象。
+   */
+  updateByCode(entity: Category, showLoading?: ShowLoading): Promise<Category>;
+
+  /**
+   * 根据ID，标记删除一个`Category`对象。
+   */
+  delete(id: string, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 根据编码，标记删除一个`Category`对象。
+   */
+  deleteByCode(code: string, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 批量标记删除指定的`Category`对象。
+   */
+  batchDelete(ids: Id[], options: RequestOptions & { batchResult: true }): Promise<BatchResult<Id>>;
+  batchDelete(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+
+  /**
+   * 根据ID，恢复一个被标记删除的`Category`对象。
+   */
+  restore(id: string, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 根据编码，恢复一个被标记删除的`Category`对象。
+   */
+  restoreByCode(code: string, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 批量恢复已被标记删除的`Category`对象。
+   */
+  batchRestore(
+    ids: Id[],
+    options: RequestOptions & { batchResult: true },
+  ): Promise<BatchResult<Id>>;
+  batchRestore(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+
+  /**
+   * 根据ID，清除一个被标记删除的`Category`对象。
+   */
+  purge(id: string, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 根据编码，清除一个被标记删除的`Category`对象。
+   */
+  purgeByCode(code: string, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 彻底清除全部已被标记删除的`Category`对象。
+   */
+  purgeAll(showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 批量彻底清除已被标记删除的`Category`对象。
+   */
+  batchPurge(ids: Id[], options: RequestOptions & { batchResult: true }): Promise<BatchResult<Id>>;
+  batchPurge(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+
+  /**
+   * 彻底清除指定的`Category`对象（无论其是否被标记删除）。
+   */
+  erase(id: Id, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 根据编码，彻底清除指定的`Category`对象（无论其是否被标记删除）。
+   */
+  eraseByCode(code: string, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 批量彻底清除指定的`Category`对象（无论其是否被标记删除）。
+   */
+  batchErase(ids: Id[], options: RequestOptions & { batchResult: true }): Promise<BatchResult<Id>>;
+  batchErase(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+
+  /**
+   * 导出符合条件的`Category`对象为XML文件。
+   */
+  exportXml(
+    criteria?: CategoryCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    autoDownload?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<ExportResult>;
+  exportXml(
+    criteria?: CategoryCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { autoDownload?: boolean },
+  ): Promise<ExportResult>;
+
+  /**
+   * 导出符合条件的`Category`对象为JSON文件。
+   */
+  exportJson(
+    criteria?: CategoryCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    autoDownload?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<ExportResult>;
+  exportJson(
+    criteria?: CategoryCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { autoDownload?: boolean },
+  ): Promise<ExportResult>;
+
+  /**
+   * 导出符合条件的`Category`对象为Excel文件。
+   */
+  exportExcel(
+    criteria?: CategoryCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    autoDownload?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<ExportResult>;
+  exportExcel(
+    criteria?: CategoryCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { autoDownload?: boolean },
+  ): Promise<ExportResult>;
+
+  /**
+   * 导出符合条件的`Category`对象为CSV文件。
+   */
+  exportCsv(
+    criteria?: CategoryCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    autoDownload?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<ExportResult>;
+  exportCsv(
+    criteria?: CategoryCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { autoDownload?: boolean },
+  ): Promise<ExportResult>;
+
+  /**
+   * 以服务器端异步任务的方式导出符合条件的`Category`对象。
+   */
+  exportAsync(
+    format: string,
+    criteria?: CategoryCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: ExportAsyncOptions,
+  ): Promise<ExportResult>;
+
+  /**
+   * 从XML文件导入`Category`对象。
+   */
+  importXml(
+    file: File,
+    options: RequestOptions & { parallel?: boolean, threads?: number } & ({ dryRun: true } | { importReport: true }),
+  ): Promise<ImportReport>;
+  importXml(
+    file: File,
+    parallel?: boolean,
+    threads?: number,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+  importXml(
+    file: File,
+    options?: RequestOptions & { parallel?: boolean, threads?: number },
+  ): Promise<number>;
+
+  /**
+   * 从JSON文件导入`Category`对象。
+   */
+  importJson(
+    file: File,
+    options: RequestOptions & { parallel?: boolean, threads?: number } & ({ dryRun: true } | { importReport: true }),
+  ): Promise<ImportReport>;
+  importJson(
+    file: File,
+    parallel?: boolean,
+    threads?: number,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+  importJson(
+    file: File,
+    options?: RequestOptions & { parallel?: boolean, threads?: number },
+  ): Promise<number>;
+
+  /**
+   * 从Excel文件导入`Category`对象。
+   */
+  importExcel(
+    file: File,
+    options: RequestOptions & { parallel?: boolean, threads?: number } & ({ dryRun: true } | { importReport: true }),
+  ): Promise<ImportReport>;
+  importExcel(
+    file: File,
+    parallel?: boolean,
+    threads?: number,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+  importExcel(
+    file: File,
+    options?: RequestOptions & { parallel?: boolean, threads?: number },
+  ): Promise<number>;
+
+  /**
+   * 从CSV文件导入`Category`对象。
+   */
+  importCsv(
+    file: File,
+    options: RequestOptions & { parallel?: boolean, threads?: number } & ({ dryRun: true } | { importReport: true }),
+  ): Promise<ImportReport>;
+  importCsv(
+    file: File,
+    parallel?: boolean,
+    threads?: number,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+  importCsv(
+    file: File,
+    options?: RequestOptions & { parallel?: boolean, threads?: number },
+  ): Promise<number>;
+}
+
+declare const categoryApi: CategoryApi;
+
+export default categoryApi;
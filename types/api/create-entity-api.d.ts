@@ -0,0 +1,297 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { Info, Page } from '@qubit-ltd/common-model';
+import type {
+  CriteriaDefinition,
+  CursorPageRequest,
+  Id,
+  ModelClass,
+  PageRequest,
+  RouteDefinition,
+  ShowLoading,
+  SortRequest,
+} from '../common';
+import type { IterateOptions } from './impl/iterate-impl';
+import type { RequestOptions } from './impl/request-options';
+import type { ExportResult } from './impl/export-impl';
+import type { ExportAsyncOptions } from './impl/export-async-impl';
+import type BatchResult from '../model/BatchResult';
+import type CursorPage from '../model/CursorPage';
+import type ImportReport from '../model/ImportReport';
+import type Criteria from '../params/Criteria';
+
+/**
+ * `createEntityApi()`所支持的操作。
+ */
+export type EntityApiCapability =
+  | 'list'
+  | 'listInfo'
+  | 'get'
+  | 'getInfo'
+  | 'add'
+  | 'update'
+  | 'delete'
+  | 'restore'
+  | 'purge'
+  | 'erase'
+  | 'export'
+  | 'import';
+
+/**
+ * `createEntityApi()`的配置。
+ *
+ * @typeParam T
+ *     此API所管理的实体对象的类型。
+ * @typeParam I
+ *     此API所管理的实体对象的基本信息的类型。
+ * @typeParam K
+ *     除ID外，可唯一确定实体对象的键名。
+ */
+export interface EntityApiConfig<T, I = Info, K extends string = never> {
+  /**
+   * 实体API的根URL，例如`/product`。
+   */
+  baseUrl: string;
+
+  /**
+   * 此API所管理的实体对象的类。
+   */
+  entityClass: ModelClass<T>;
+
+  /**
+   * 此API所管理的实体对象的基本信息的类，默认为`Info`。
+   */
+  entityInfoClass?: ModelClass<I>;
+
+  /**
+   * 查询条件定义，默认为空数组。
+   */
+  criteria?: CriteriaDefinition[];
+
+  /**
+   * 除ID外，可唯一确定实体对象的键名列表，默认为空数组。
+   */
+  keys?: K[];
+
+  /**
+   * 此API所支持的操作，默认支持全部操作。
+   */
+  capabilities?: EntityApiCapability[];
+
+  /**
+   * 此API的名称，用于日志输出，默认为`${entityClass.name}Api`。
+   */
+  name?: string;
+}
+
+/**
+ * `createEntityApi()`生成的API对象的通用方法。
+ *
+ * 未在配置的`capabilities`中列出的操作所对应的方法不存在。
+ */
+export interface EntityApiMethods<T, I, C> {
+  entityClass: ModelClass<T>;
+
+  entityInfoClass: ModelClass<I>;
+
+  CRITERIA_DEFINITIONS: CriteriaDefinition[];
+
+  ROUTE_DEFINITIONS: RouteDefinition[];
+
+  baseUrl: string;
+
+  keys: string[];
+
+  list(
+    pageRequest?: PageRequest,
+    criteria?: C | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<Page<T>>;
+  list(
+    pageRequest: CursorPageRequest,
+    criteria?: C | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<CursorPage<T>>;
+
+  iterate(criteria?: C | Criteria, sortRequest?: SortRequest | SortRequest[], options?: IterateOptions): AsyncGenerator<T>;
+
+  listAll(criteria?: C | Criteria, sortRequest?: SortRequest | SortRequest[], options?: IterateOptions): Promise<T[]>;
+
+  listInfo(
+    pageRequest?: PageRequest,
+    criteria?: C | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<Page<I>>;
+  listInfo(
+    pageRequest: CursorPageRequest,
+    criteria?: C | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<CursorPage<I>>;
+
+  get(id: Id, showLoading?: ShowLoading): Promise<T>;
+
+  getByKey(keyName: string, keyValue: string, showLoading?: ShowLoading): Promise<T>;
+
+  getInfo(id: Id, showLoading?: ShowLoading): Promise<I>;
+
+  getInfoByKey(keyName: string, keyValue: string, showLoading?: ShowLoading): Promise<I>;
+
+  add(entity: T, showLoading?: ShowLoading): Promise<T>;
+
+  batchAdd(entities: T[], options: RequestOptions & { batchResult: true }): Promise<BatchResult<T>>;
+  batchAdd(entities: T[], showLoading?: ShowLoading): Promise<T[]>;
+
+  update(entity: T, showLoading?: ShowLoading): Promise<T>;
+
+  updateByKey(keyName: string, entity: T, showLoading?: ShowLoading): Promise<T>;
+
+  batchUpdate(entities: T[], options: RequestOptions & { batchResult: true }): Promise<BatchResult<T>>;
+  batchUpdate(entities: T[], showLoading?: ShowLoading): Promise<T[]>;
+
+  patch(original: T, modified: T, showLoading?: ShowLoading): Promise<T>;
+
+  delete(id: Id, showLoading?: ShowLoading): Promise<void>;
+
+  deleteByKey(keyName: string, keyValue: string, showLoading?: ShowLoading): Promise<void>;
+
+  batchDelete(ids: Id[], options: RequestOptions & { batchResult: true }): Promise<BatchResult<Id>>;
+  batchDelete(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+
+  restore(id: Id, showLoading?: ShowLoading): Promise<void>;
+
+  restoreByKey(keyName: string, keyValue: string, showLoading?: ShowLoading): Promise<void>;
+
+  batchRestore(ids: Id[], options: RequestOptions & { batchResult: true }): Promise<BatchResult<Id>>;
+  batchRestore(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+
+  purge(id: Id, showLoading?: ShowLoading): Promise<void>;
+
+  purgeByKey(keyName: string, keyValue: string, showLoading?: ShowLoading): Promise<void>;
+
+  purgeAll(showLoading?: ShowLoading): Promise<void>;
+
+  batchPurge(ids: Id[], options: RequestOptions & { batchResult: true }): Promise<BatchResult<Id>>;
+  batchPurge(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+
+  erase(id: Id, showLoading?: ShowLoading): Promise<void>;
+
+  eraseByKey(keyName: string, keyValue: string, showLoading?: ShowLoading): Promise<void>;
+
+  batchErase(ids: Id[], options: RequestOptions & { batchResult: true }): Promise<BatchResult<Id>>;
+  batchErase(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+
+  exportXml(
+    criteria?: C | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    autoDownload?: boolean | (RequestOptions & { autoDownload?: boolean }),
+    showLoading?: ShowLoading,
+  ): Promise<ExportResult>;
+
+  exportJson(
+    criteria?: C | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    autoDownload?: boolean | (RequestOptions & { autoDownload?: boolean }),
+    showLoading?: ShowLoading,
+  ): Promise<ExportResult>;
+
+  exportExcel(
+    criteria?: C | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    autoDownload?: boolean | (RequestOptions & { autoDownload?: boolean }),
+    showLoading?: ShowLoading,
+  ): Promise<ExportResult>;
+
+  exportCsv(
+    criteria?: C | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    autoDownload?: boolean | (RequestOptions & { autoDownload?: boolean }),
+    showLoading?: ShowLoading,
+  ): Promise<ExportResult>;
+
+  exportAsync(
+    format: string,
+    criteria?: C | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: ExportAsyncOptions,
+  ): Promise<ExportResult>;
+
+  importXml(
+    file: File,
+    options: RequestOptions & { parallel?: boolean, threads?: number } & ({ dryRun: true } | { importReport: true }),
+  ): Promise<ImportReport>;
+  importXml(file: File, parallel?: boolean, threads?: number, showLoading?: ShowLoading): Promise<number>;
+  importXml(file: File, options?: RequestOptions & { parallel?: boolean, threads?: number }): Promise<number>;
+
+  importJson(
+    file: File,
+    options: RequestOptions & { parallel?: boolean, threads?: number } & ({ dryRun: true } | { importReport: true }),
+  ): Promise<ImportReport>;
+  importJson(file: File, parallel?: boolean, threads?: number, showLoading?: ShowLoading): Promise<number>;
+  importJson(file: File, options?: RequestOptions & { parallel?: boolean, threads?: number }): Promise<number>;
+
+  importExcel(
+    file: File,
+    options: RequestOptions & { parallel?: boolean, threads?: number } & ({ dryRun: true } | { importReport: true }),
+  ): Promise<ImportReport>;
+  importExcel(file: File, parallel?: boolean, threads?: number, showLoading?: ShowLoading): Promise<number>;
+  importExcel(file: File, options?: RequestOptions & { parallel?: boolean, threads?: number }): Promise<number>;
+
+  importCsv(
+    file: File,
+    options: RequestOptions & { parallel?: boolean, threads?: number } & ({ dryRun: true } | { importReport: true }),
+  ): Promise<ImportReport>;
+  importCsv(file: File, parallel?: boolean, threads?: number, showLoading?: ShowLoading): Promise<number>;
+  importCsv(file: File, options?: RequestOptions & { parallel?: boolean, threads?: number }): Promise<number>;
+}
+
+/**
+ * 根据配置的`keys`生成的别名方法，例如`getByCode()`、`updateByCode()`等。
+ */
+export type EntityApiKeyMethods<T, I, K extends string> = {
+  [P in K as `getBy${Capitalize<P>}`]: (keyValue: string, showLoading?: ShowLoading) => Promise<T>;
+} & {
+  [P in K as `getInfoBy${Capitalize<P>}`]: (keyValue: string, showLoading?: ShowLoading) => Promise<I>;
+} & {
+  [P in K as `updateBy${Capitalize<P>}`]: (entity: T, showLoading?: ShowLoading) => Promise<T>;
+} & {
+  [P in K as
+    | `deleteBy${Capitalize<P>}`
+    | `restoreBy${Capitalize<P>}`
+    | `purgeBy${Capitalize<P>}`
+    | `eraseBy${Capitalize<P>}`
+  ]: (keyValue: string, showLoading?: ShowLoading) => Promise<void>;
+};
+
+/**
+ * `createEntityApi()`生成的API对象。
+ *
+ * @typeParam T
+ *     此API所管理的实体对象的类型。
+ * @typeParam I
+ *     此API所管理的实体对象的基本信息的类型。
+ * @typeParam C
+ *     此API的查询条件的类型。
+ * @typeParam K
+ *     除ID外，可唯一确定实体对象的键名。
+ */
+export type EntityApi<T, I = Info, C = Record<string, any>, K extends string = never> =
+  EntityApiMethods<T, I, C> & EntityApiKeyMethods<T, I, K>;
+
+/**
+ * 创建一个管理指定实体的API对象。
+ */
+declare function createEntityApi<T, I = Info, C = Record<string, any>, K extends string = never>(
+  config: EntityApiConfig<T, I, K>,
+): EntityApi<T, I, C, K>;
+
+export default createEntityApi;
@@ -0,0 +1,133 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type {
+  Credential,
+  CredentialInfo,
+  Employee,
+  EmployeeInfo,
+  Info,
+  Organization,
+  Person,
+  PersonInfo,
+  StatefulInfo,
+  User,
+  UserInfo,
+} from '@qubit-ltd/common-model';
+import type { RouteDefinition, ShowLoading } from '../common';
+
+/**
+ * 提供对当前登录用户的操作的API。
+ */
+declare class CurrentUserApi {
+  /**
+   * 路由定义，用于生成OpenAPI文档。
+   */
+  ROUTE_DEFINITIONS: RouteDefinition[];
+
+  /**
+   * 获取当前登录用户对应的用户的信息。
+   */
+  getUser(showLoading?: ShowLoading): Promise<User>;
+
+  /**
+   * 获取当前登录用户对应的用户的基本信息。
+   */
+  getUserInfo(showLoading?: ShowLoading): Promise<UserInfo>;
+
+  /**
+   * 获取当前登录用户对应的用户所属机构的完整信息。
+   */
+  getUserOrganization(showLoading?: ShowLoading): Promise<Organization>;
+
+  /**
+   * 获取当前登录用户对应的用户所属机构的基本信息。
+   */
+  getUserOrganizationInfo(showLoading?: ShowLoading): Promise<StatefulInfo>;
+
+  /**
+   * 更新当前登录用户的信息。
+   */
+  updateUser(user: User, showLoading?: ShowLoading): Promise<User>;
+
+  /**
+   * 检测当前登录用户是否拥有个人信息。
+   */
+  existPerson(showLoading?: ShowLoading): Promise<boolean>;
+
+  /**
+   * 获取当前登录用户的个人信息。
+   */
+  getPerson(showLoading?: ShowLoading): Promise<Person>;
+
+  /**
+   * 获取当前登录用户的个人信息的基本信息。
+   */
+  getPersonInfo(showLoading?: ShowLoading): Promise<PersonInfo>;
+
+  /**
+   * 为当前登录用户新增个人信息。
+   */
+  addPerson(person: Person, showLoading?: ShowLoading): Promise<Person>;
+
+  /**
+   * 更新当前登录用户的个人信息。
+   */
+  updatePerson(person: Person, showLoading?: ShowLoading): Promise<Person>;
+
+  /**
+   * 将当前登录用户绑定到指定的个人。
+   */
+  bindPerson(
+    name: string,
+    mobile: string,
+    credential: Credential | CredentialInfo,
+    verifyCode: string,
+    showLoading?: ShowLoading,
+  ): Promise<PersonInfo>;
+
+  /**
+   * 检测当前登录用户是否绑定了某个员工。
+   */
+  existEmployee(showLoading?: ShowLoading): Promise<boolean>;
+
+  /**
+   * 获取当前登录用户所绑定的员工信息。
+   */
+  getEmployee(showLoading?: ShowLoading): Promise<Employee>;
+
+  /**
+   * 获取当前登录用户所绑定的员工的基本信息。
+   */
+  getEmployeeInfo(showLoading?: ShowLoading): Promise<EmployeeInfo>;
+
+  /**
+   * 为当前登录用户新增员工信息。
+   */
+  addEmployee(employee: Employee, showLoading?: ShowLoading): Promise<Employee>;
+
+  /**
+   * 更新当前登录用户所绑定的员工的信息。
+   */
+  updateEmployee(employee: Employee, showLoading?: ShowLoading): Promise<Employee>;
+
+  /**
+   * 将当前登录用户绑定到指定的员工。
+   */
+  bindEmployee(
+    name: string,
+    mobile: string,
+    organization: StatefulInfo | Info,
+    verifyCode: string,
+    showLoading?: ShowLoading,
+  ): Promise<EmployeeInfo>;
+}
+
+declare const currentUserApi: CurrentUserApi;
+
+export default currentUserApi;
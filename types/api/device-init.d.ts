@@ -0,0 +1,39 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { Device } from '@qubit-ltd/common-model';
+import type { RouteDefinition, ShowLoading } from '../common';
+
+/**
+ * 提供设备初始化的API。
+ */
+declare class DeviceInitApi {
+  /**
+   * 路由定义，用于生成OpenAPI文档。
+   */
+  ROUTE_DEFINITIONS: RouteDefinition[];
+
+  /**
+   * 注册指定的设备。
+   */
+  register(device: Device, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 注销指定的设备。
+   */
+  unregister(code: string, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 解绑指定的设备。
+   */
+  unbound(code: string, showLoading?: ShowLoading): Promise<void>;
+}
+
+declare const deviceInitApi: DeviceInitApi;
+
+export default deviceInitApi;
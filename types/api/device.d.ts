@@ -0,0 +1,417 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type {
+  Address,
+  CredentialType,
+  Device,
+  DeviceInfo,
+  Hardware,
+  Location,
+  Page,
+  PersonInfo,
+  State,
+} from '@qubit-ltd/common-model';
+import type {
+  CriteriaDefinition,
+  CursorPageRequest,
+  Id,
+  ModelClass,
+  PageRequest,
+  RouteDefinition,
+  ShowLoading,
+  SortRequest,
+} from '../common';
+import type { RequestOptions } from './impl/request-options';
+import type { ExportResult } from './impl/export-impl';
+import type { ExportAsyncOptions } from './impl/export-async-impl';
+import type { IterateOptions } from './impl/iterate-impl';
+import type BatchResult from '../model/BatchResult';
+import type CursorPage from '../model/CursorPage';
+import type ImportReport from '../model/ImportReport';
+import type Criteria from '../params/Criteria';
+
+/**
+ * `deviceApi`的查询条件。
+ */
+export interface DeviceCriteria {
+  appId?: Id;
+  appCode?: string;
+  appName?: string;
+  name?: string;
+  ownerId?: Id;
+  ownerUsername?: string;
+  ownerName?: string;
+  ownerMobile?: string;
+  ownerCredentialType?: CredentialType | string;
+  ownerCredentialNumber?: string;
+  ipAddress?: string;
+  countryId?: Id;
+  countryCode?: string;
+  countryName?: string;
+  provinceId?: Id;
+  provinceCode?: string;
+  provinceName?: string;
+  cityId?: Id;
+  cityCode?: string;
+  cityName?: string;
+  districtId?: Id;
+  districtCode?: string;
+  districtName?: string;
+  streetId?: Id;
+  streetCode?: string;
+  streetName?: string;
+  registerTimeStart?: string;
+  registerTimeEnd?: string;
+  lastStartupTimeStart?: string;
+  lastStartupTimeEnd?: string;
+  lastHeartbeatTimeStart?: string;
+  lastHeartbeatTimeEnd?: string;
+  state?: State | string;
+  deleted?: boolean;
+  createTimeStart?: string;
+  createTimeEnd?: string;
+  modifyTimeStart?: string;
+  modifyTimeEnd?: string;
+  deleteTimeStart?: string;
+  deleteTimeEnd?: string;
+}
+
+/**
+ * 提供管理`Device`对象的API。
+ */
+declare class DeviceApi {
+  /**
+   * 此API所管理的实体对象的类。
+   */
+  entityClass: ModelClass<Device>;
+
+  /**
+   * 此API所管理的实体对象的基本信息的类。
+   */
+  entityInfoClass: ModelClass<DeviceInfo>;
+
+  /**
+   * 查询条件定义。
+   */
+  CRITERIA_DEFINITIONS: CriteriaDefinition[];
+
+  /**
+   * 路由定义，用于生成OpenAPI文档。
+   */
+  ROUTE_DEFINITIONS: RouteDefinition[];
+
+  /**
+   * 列出符合条件的`Device`对象。
+   */
+  list(
+    pageRequest?: PageRequest,
+    criteria?: DeviceCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<Page<Device>>;
+  list(
+    pageRequest: CursorPageRequest,
+    criteria?: DeviceCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<CursorPage<Device>>;
+
+  /**
+   * 逐页遍历符合条件的`Device`对象。
+   */
+  iterate(
+    criteria?: DeviceCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: IterateOptions,
+  ): AsyncGenerator<Device>;
+
+  /**
+   * 获取全部符合条件的`Device`对象。
+   */
+  listAll(
+    criteria?: DeviceCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: IterateOptions,
+  ): Promise<Device[]>;
+
+  /**
+   * 列出符合条件的`Device`对象的基本信息。
+   */
+  listInfo(
+    pageRequest?: PageRequest,
+    criteria?: DeviceCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<Page<DeviceInfo>>;
+  listInfo(
+    pageRequest: CursorPageRequest,
+    criteria?: DeviceCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<CursorPage<DeviceInfo>>;
+
+  /**
+   * 根据ID，获取指定的`Device`对象。
+   */
+  get(id: Id, showLoading?: ShowLoading): Promise<Device>;
+
+  /**
+   * 根据代码，获取指定的`Device`对象。
+   */
+  getByCode(code: string, showLoading?: ShowLoading): Promise<Device>;
+
+  /**
+   * 根据ID，获取指定的`Device`对象的基本信息。
+   */
+  getInfo(id: Id, showLoading?: ShowLoading): Promise<DeviceInfo>;
+
+  /**
+   * 根据代码，获取指定的`Device`对象的基本信息。
+   */
+  getInfoByCode(code: string, showLoading?: ShowLoading): Promise<DeviceInfo>;
+
+  /**
+   * 添加一个`Device`对象。
+   */
+  add(entity: Device, showLoading?: ShowLoading): Promise<Device>;
+
+  /**
+   * 根据ID，更新一个`Device`对象。
+   */
+  update(entity: Device, showLoading?: ShowLoading): Promise<Device>;
+
+  /**
+   * 根据ID，部分更新一个`Device`对象。
+   */
+  patch(original: Device, modified: Device, showLoading?: ShowLoading): Promise<Device>;
+
+  /**
+   * 根据代码，更新一个`Device`对象。
+   */
+  updateByCode(entity: Device, showLoading?: ShowLoading): Promise<Device>;
+
+  /**
+   * 根据ID，更新一个`Device`对象的硬件信息。
+   */
+  updateHardware(id: Id, hardware: Hardware, showLoading?: ShowLoading): Promise<string>;
+
+  /**
+   * 根据ID，更新一个`Device`对象的操作系统信息。
+   */
+  updateOperatingSystem(id: Id, operatingSystem: any, showLoading?: ShowLoading): Promise<string>;
+
+  /**
+   * 根据ID，更新一个`Device`对象的软件信息。
+   */
+  updateSoftwares(id: Id, softwares: any[], showLoading?: ShowLoading): Promise<string>;
+
+  /**
+   * 根据ID，更新一个`Device`对象的部署地址。
+   */
+  updateDeployAddress(id: Id, deployAddress: Address, showLoading?: ShowLoading): Promise<string>;
+
+  /**
+   * 根据ID，更新一个`Device`对象的地理位置坐标。
+   */
+  updateLocation(id: Id, location: Location, showLoading?: ShowLoading): Promise<string>;
+
+  /**
+   * 根据ID，更新一个`Device`对象的IP地址。
+   */
+  updateIpAddress(id: Id, ipAddress: string, showLoading?: ShowLoading): Promise<string>;
+
+  /**
+   * 根据ID，更新一个`Device`对象的所有者。
+   */
+  updateOwner(id: Id, owner: PersonInfo, showLoading?: ShowLoading): Promise<string>;
+
+  /**
+   * 根据ID，更新一个`Device`对象的最后一次启动时间。
+   */
+  updateLastStartupTime(
+    id: Id,
+    lastStartupTime: string,
+    showLoading?: ShowLoading,
+  ): Promise<string>;
+
+  /**
+   * 根据ID，更新一个`Device`对象的最后一次心跳时间。
+   */
+  updateLastHeartbeatTime(
+    id: Id,
+    lastHeartbeatTime: string,
+    showLoading?: ShowLoading,
+  ): Promise<string>;
+
+  /**
+   * 根据ID，更新一个`Device`对象的状态。
+   */
+  updateState(id: Id, state: State | string, showLoading?: ShowLoading): Promise<string>;
+
+  /**
+   * 根据代码，更新一个`Device`对象的状态。
+   */
+  updateStateByCode(
+    code: string,
+    state: State | string,
+    showLoading?: ShowLoading,
+  ): Promise<string>;
+
+  /**
+   * 根据ID，标记删除一个`Device`对象。
+   */
+  delete(id: Id, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 根据代码，标记删除一个`Device`对象。
+   */
+  deleteByCode(code: string, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 批量标记删除指定的`Device`对象。
+   */
+  batchDelete(ids: Id[], options: RequestOptions & { batchResult: true }): Promise<BatchResult<Id>>;
+  batchDelete(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+
+  /**
+   * 根据ID，恢复一个被标记删除的`Device`对象。
+   */
+  restore(id: Id, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 根据代码，恢复一个被标记删除的`Device`对象。
+   */
+  restoreByCode(code: string, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 批量恢复已被标记删除的`Device`对象。
+   */
+  batchRestore(
+    ids: Id[],
+    options: RequestOptions & { batchResult: true },
+  ): Promise<BatchResult<Id>>;
+  batchRestore(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+
+  /**
+   * 根据ID，清除一个被标记删除的`Device`对象。
+   */
+  purge(id: Id, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 根据代码，清除一个被标记删除的`Device`对象。
+   */
+  purgeByCode(code: string, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 彻底清除全部已被标记删除的`Device`对象。
+   */
+  purgeAll(showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 批量彻底清除已被标记删除的`Device`对象。
+   */
+  batchPurge(ids: Id[], options: RequestOptions & { batchResult: true }): Promise<BatchResult<Id>>;
+  batchPurge(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+
+  /**
+   * 彻底清除指定的`Device`对象（无论其是否被标记删除）。
+   */
+  erase(id: Id, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 根据代码，彻底清除指定的`Device`对象（无论其是否被标记删除）。
+   */
+  eraseByCode(code: string, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 批量彻底清除指定的`Device`对象（无论其是否被标记删除）。
+   */
+  batchErase(ids: Id[], options: RequestOptions & { batchResult: true }): Promise<BatchResult<Id>>;
+  batchErase(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+
+  /**
+   * 导出符合条件的`Device`对象为XML文件。
+   */
+  exportXml(
+    criteria?: DeviceCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    autoDownload?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<ExportResult>;
+  exportXml(
+    criteria?: DeviceCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { autoDownload?: boolean },
+  ): Promise<ExportResult>;
+
+  /**
+   * 导出符合条件的`Device`对象为JSON文件。
+   */
+  exportJson(
+    criteria?: DeviceCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    autoDownload?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<ExportResult>;
+  exportJson(
+    criteria?: DeviceCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { autoDownload?: boolean },
+  ): Promise<ExportResult>;
+
+  /**
+   * 以服务器端异步任务的方式导出符合条件的`Device`对象。
+   */
+  exportAsync(
+    format: string,
+    criteria?: DeviceCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: ExportAsyncOptions,
+  ): Promise<ExportResult>;
+
+  /**
+   * 从XML文件导入`Device`对象。
+   */
+  importXml(
+    file: File,
+    options: RequestOptions & { parallel?: boolean, threads?: number } & ({ dryRun: true } | { importReport: true }),
+  ): Promise<ImportReport>;
+  importXml(
+    file: File,
+    parallel?: boolean,
+    threads?: number,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+  importXml(
+    file: File,
+    options?: RequestOptions & { parallel?: boolean, threads?: number },
+  ): Promise<number>;
+
+  /**
+   * 从JSON文件导入`Device`对象。
+   */
+  importJson(
+    file: File,
+    options: RequestOptions & { parallel?: boolean, threads?: number } & ({ dryRun: true } | { importReport: true }),
+  ): Promise<ImportReport>;
+  importJson(
+    file: File,
+    parallel?: boolean,
+    threads?: number,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+  importJson(
+    file: File,
+    options?: RequestOptions & { parallel?: boolean, threads?: number },
+  ): Promise<number>;
+}
+
+declare const deviceApi: DeviceApi;
+
+export default deviceApi;
@@ -0,0 +1,370 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type {
+  Dict,
+  DictEntry,
+  DictEntryInfo,
+  InfoWithEntity,
+  Page,
+  State,
+  StatefulInfo,
+} from '@qubit-ltd/common-model';
+import type {
+  CriteriaDefinition,
+  CursorPageRequest,
+  Id,
+  ModelClass,
+  PageRequest,
+  RouteDefinition,
+  ShowLoading,
+  SortRequest,
+} from '../common';
+import type { RequestOptions } from './impl/request-options';
+import type { ExportResult } from './impl/export-impl';
+import type { ExportAsyncOptions } from './impl/export-async-impl';
+import type { IterateOptions } from './impl/iterate-impl';
+import type BatchResult from '../model/BatchResult';
+import type CursorPage from '../model/CursorPage';
+import type ImportReport from '../model/ImportReport';
+import type Criteria from '../params/Criteria';
+
+/**
+ * `dictApi`的查询条件。
+ */
+export interface DictCriteria {
+  name?: string;
+  standardDoc?: string;
+  standardCode?: string;
+  appId?: Id;
+  appCode?: string;
+  appName?: string;
+  categoryId?: Id;
+  categoryCode?: string;
+  categoryName?: string;
+  state?: State | string;
+  predefined?: boolean;
+  deleted?: boolean;
+  createTimeStart?: string;
+  createTimeEnd?: string;
+  modifyTimeStart?: string;
+  modifyTimeEnd?: string;
+  deleteTimeStart?: string;
+  deleteTimeEnd?: string;
+}
+
+/**
+ * 提供管理`Dict`对象的API。
+ */
+declare class DictApi {
+  /**
+   * 此API所管理的实体对象的类。
+   */
+  entityClass: ModelClass<Dict>;
+
+  /**
+   * 此API所管理的实体对象的基本信息的类。
+   */
+  entityInfoClass: ModelClass<StatefulInfo>;
+
+  /**
+   * 响应缓存条目所依赖的其他实体类。
+   */
+  cacheDependencies: Function[];
+
+  /**
+   * 查询条件定义。
+   */
+  CRITERIA_DEFINITIONS: CriteriaDefinition[];
+
+  /**
+   * 路由定义，用于生成OpenAPI文档。
+   */
+  ROUTE_DEFINITIONS: RouteDefinition[];
+
+  /**
+   * 列出符合条件的`Dict`对象。
+   */
+  list(
+    pageRequest?: PageRequest,
+    criteria?: DictCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<Page<Dict>>;
+  list(
+    pageRequest: CursorPageRequest,
+    criteria?: DictCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<CursorPage<Dict>>;
+
+  /**
+   * 逐页遍历符合条件的`Dict`对象。
+   */
+  iterate(
+    criteria?: DictCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: IterateOptions,
+  ): AsyncGenerator<Dict>;
+
+  /**
+   * 获取全部符合条件的`Dict`对象。
+   */
+  listAll(
+    criteria?: DictCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: IterateOptions,
+  ): Promise<Dict[]>;
+
+  /**
+   * 列出符合条件的`Dict`对象的基本信息。
+   */
+  listInfo(
+    pageRequest?: PageRequest,
+    criteria?: DictCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<Page<StatefulInfo>>;
+  listInfo(
+    pageRequest: CursorPageRequest,
+    criteria?: DictCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<CursorPage<StatefulInfo>>;
+
+  /**
+   * 根据ID，获取指定的`Dict`对象。
+   */
+  get(id: Id, showLoading?: ShowLoading): Promise<Dict>;
+
+  /**
+   * 根据代码，获取指定的`Dict`对象。
+   */
+  getByCode(code: string, showLoading?: ShowLoading): Promise<Dict>;
+
+  /**
+   * 根据ID，获取指定的`Dict`对象的基本信息。
+   */
+  getInfo(id: Id, showLoading?: ShowLoading): Promise<StatefulInfo>;
+
+  /**
+   * 根据代码，获取指定的`Dict`对象的基本信息。
+   */
+  getInfoByCode(code: string, showLoading?: ShowLoading): Promise<StatefulInfo>;
+
+  /**
+   * 根据ID，获取指定的`Dict`对象所属分类的基本信息。
+   */
+  getCategory(id: Id, showLoading?: ShowLoading): Promise<InfoWithEntity | null>;
+
+  /**
+   * 根据代码，获取指定的`Dict`对象所属分类的基本信息。
+   */
+  getCategoryByCode(code: string, showLoading?: ShowLoading): Promise<InfoWithEntity | null>;
+
+  /**
+   * 根据ID，获取指定的`Dict`对象的所有词条的列表。
+   */
+  getEntries(id: Id, showLoading?: ShowLoading): Promise<DictEntry[]>;
+
+  /**
+   * 根据代码，获取指定的`Dict`对象的所有词条的列表。
+   */
+  getEntriesByCode(code: string, showLoading?: ShowLoading): Promise<DictEntry[]>;
+
+  /**
+   * 根据ID，获取指定的`Dict`对象的所有词条的基本信息列表。
+   */
+  getEntryInfos(id: Id, showLoading?: ShowLoading): Promise<DictEntryInfo[]>;
+
+  /**
+   * 根据代码，获取指定的`Dict`对象的所有词条的基本信息列表。
+   */
+  getEntryInfosByCode(code: string, showLoading?: ShowLoading): Promise<DictEntryInfo[]>;
+
+  /**
+   * 添加一个`Dict`对象。
+   */
+  add(entity: Dict, showLoading?: ShowLoading): Promise<Dict>;
+
+  /**
+   * 根据ID，更新一个`Dict`对象。
+   */
+  update(entity: Dict, showLoading?: ShowLoading): Promise<Dict>;
+
+  /**
+   * 根据代码，更新一个`Dict`对象。
+   */
+  updateByCode(entity: Dict, showLoading?: ShowLoading): Promise<Dict>;
+
+  /**
+   * 根据ID，更新一个`Dict`对象的状态。
+   */
+  updateState(id: Id, state: State | string, showLoading?: ShowLoading): Promise<string>;
+
+  /**
+   * 根据代码，更新一个`Dict`对象的状态。
+   */
+  updateStateByCode(
+    code: string,
+    state: State | string,
+    showLoading?: ShowLoading,
+  ): Promise<string>;
+
+  /**
+   * 根据ID，标记删除一个`Dict`对象。
+   */
+  delete(id: string, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 根据代码，标记删除一个`Dict`对象。
+   */
+  deleteByCode(code: string, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 批量标记删除指定的`Dict`对象。
+   */
+  batchDelete(ids: Id[], options: RequestOptions & { batchResult: true }): Promise<BatchResult<Id>>;
+  batchDelete(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+
+  /**
+   * 根据ID，恢复一个被标记删除的`Dict`对象。
+   */
+  restore(id: string, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 根据代码，恢复一个被标记删除的`Dict`对象。
+   */
+  restoreByCode(code: string, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 批量恢复已被标记删除的`Dict`对象。
+   */
+  batchRestore(
+    ids: Id[],
+    options: RequestOptions & { batchResult: true },
+  ): Promise<BatchResult<Id>>;
+  batchRestore(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+
+  /**
+   * 根据ID，清除一个被标记删除的`Dict`对象。
+   */
+  purge(id: string, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 根据代码，清除一个被标记删除的`Dict`对象。
+   */
+  purgeByCode(code: string, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 彻底清除全部已被标记删除的`Dict`对象。
+   */
+  purgeAll(showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 批量彻底清除已被标记删除的`Dict`对象。
+   */
+  batchPurge(ids: Id[], options: RequestOptions & { batchResult: true }): Promise<BatchResult<Id>>;
+  batchPurge(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+
+  /**
+   * 彻底清除指定的`Dict`对象（无论其是否被标记删除）。
+   */
+  erase(id: Id, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 根据代码，彻底清除指定的`Dict`对象（无论其是否被标记删除）。
+   */
+  eraseByCode(code: string, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 批量彻底清除指定的`Dict`对象（无论其是否被标记删除）。
+   */
+  batchErase(ids: Id[], options: RequestOptions & { batchResult: true }): Promise<BatchResult<Id>>;
+  batchErase(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+
+  /**
+   * 导出符合条件的`Dict`对象为XML文件。
+   */
+  exportXml(
+    criteria?: DictCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    autoDownload?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<ExportResult>;
+  exportXml(
+    criteria?: DictCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { autoDownload?: boolean },
+  ): Promise<ExportResult>;
+
+  /**
+   * 导出符合条件的`Dict`对象为JSON文件。
+   */
+  exportJson(
+    criteria?: DictCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    autoDownload?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<ExportResult>;
+  exportJson(
+    criteria?: DictCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { autoDownload?: boolean },
+  ): Promise<ExportResult>;
+
+  /**
+   * 以服务器端异步任务的方式导出符合条件的`Dict`对象。
+   */
+  exportAsync(
+    format: string,
+    criteria?: DictCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: ExportAsyncOptions,
+  ): Promise<ExportResult>;
+
+  /**
+   * 从XML文件导入`Dict`对象。
+   */
+  importXml(
+    file: File,
+    options: RequestOptions & { parallel?: boolean, threads?: number } & ({ dryRun: true } | { importReport: true }),
+  ): Promise<ImportReport>;
+  importXml(
+    file: File,
+    parallel?: boolean,
+    threads?: number,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+  importXml(
+    file: File,
+    options?: RequestOptions & { parallel?: boolean, threads?: number },
+  ): Promise<number>;
+
+  /**
+   * 从JSON文件导入`Dict`对象。
+   */
+  importJson(
+    file: File,
+    options: RequestOptions & { parallel?: boolean, threads?: number } & ({ dryRun: true } | { importReport: true }),
+  ): Promise<ImportReport>;
+  importJson(
+    file: File,
+    parallel?: boolean,
+    threads?: number,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+  importJson(
+    file: File,
+    options?: RequestOptions & { parallel?: boolean, threads?: number },
+  ): Promise<number>;
+}
+
+declare const dictApi: DictApi;
+
+export default dictApi;
@@ -0,0 +1,545 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type {
+  Attachment,
+  Employee,
+  EmployeeInfo,
+  InfoWithEntity,
+  Page,
+  State,
+} from '@qubit-ltd/common-model';
+import type {
+  CriteriaDefinition,
+  CursorPageRequest,
+  Id,
+  ModelClass,
+  PageRequest,
+  RouteDefinition,
+  ShowLoading,
+  SortRequest,
+} from '../common';
+import type { RequestOptions } from './impl/request-options';
+import type { ExportResult } from './impl/export-impl';
+import type { ExportAsyncOptions } from './impl/export-async-impl';
+import type { IterateOptions } from './impl/iterate-impl';
+import type BatchResult from '../model/BatchResult';
+import type CursorPage from '../model/CursorPage';
+import type ImportReport from '../model/ImportReport';
+import type Criteria from '../params/Criteria';
+
+/**
+ * `employeeApi`的查询条件。
+ */
+export interface EmployeeCriteria {
+  username?: string;
+  personId?: Id;
+  internalCode?: string;
+  name?: string;
+  gender?: object | string;
+  credentialType?: object | string;
+  credentialNumber?: string;
+  categoryId?: Id;
+  categoryCode?: string;
+  categoryName?: string;
+  organizationId?: Id;
+  organizationCode?: string;
+  organizationName?: string;
+  departmentId?: Id;
+  departmentCode?: string;
+  departmentName?: string;
+  phone?: string;
+  mobile?: string;
+  email?: string;
+  jobTitle?: string;
+  state?: object | string;
+  test?: boolean;
+  deleted?: boolean;
+  createTimeStart?: string;
+  createTimeEnd?: string;
+  modifyTimeStart?: string;
+  modifyTimeEnd?: string;
+  deleteTimeStart?: string;
+  deleteTimeEnd?: string;
+}
+
+/**
+ * 提供管理`Employee`对象的API。
+ */
+declare class EmployeeApi {
+  /**
+   * 此API所管理的实体对象的类。
+   */
+  entityClass: ModelClass<Employee>;
+
+  /**
+   * 此API所管理的实体对象的基本信息的类。
+   */
+  entityInfoClass: ModelClass<EmployeeInfo>;
+
+  /**
+   * 查询条件定义。
+   */
+  CRITERIA_DEFINITIONS: CriteriaDefinition[];
+
+  /**
+   * 路由定义，用于生成OpenAPI文档。
+   */
+  ROUTE_DEFINITIONS: RouteDefinition[];
+
+  /**
+   * 列出符合条件的`Employee`对象。
+   */
+  list(
+    pageRequest?: PageRequest,
+    criteria?: EmployeeCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    transformUrls?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<Page<Employee>>;
+  list(
+    pageRequest: CursorPageRequest,
+    criteria?: EmployeeCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    transformUrls?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<CursorPage<Employee>>;
+  list(
+    pageRequest?: PageRequest,
+    criteria?: EmployeeCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { transformUrls?: boolean },
+  ): Promise<Page<Employee>>;
+  list(
+    pageRequest: CursorPageRequest,
+    criteria?: EmployeeCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { transformUrls?: boolean },
+  ): Promise<CursorPage<Employee>>;
+
+  /**
+   * 逐页遍历符合条件的`Employee`对象。
+   */
+  iterate(
+    criteria?: EmployeeCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: IterateOptions,
+  ): AsyncGenerator<Employee>;
+
+  /**
+   * 获取全部符合条件的`Employee`对象。
+   */
+  listAll(
+    criteria?: EmployeeCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: IterateOptions,
+  ): Promise<Employee[]>;
+
+  /**
+   * 列出符合条件的`Employee`对象的基本信息。
+   */
+  listInfo(
+    pageRequest?: PageRequest,
+    criteria?: EmployeeCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<Page<EmployeeInfo>>;
+  listInfo(
+    pageRequest: CursorPageRequest,
+    criteria?: EmployeeCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<CursorPage<EmployeeInfo>>;
+
+  /**
+   * 根据ID，获取指定的`Employee`对象。
+   */
+  get(id: Id, transformUrls?: boolean, showLoading?: ShowLoading): Promise<Employee>;
+  get(id: Id, options?: RequestOptions & { transformUrls?: boolean }): Promise<Employee>;
+
+  /**
+   * 根据代码，获取指定的`Employee`对象。
+   */
+  getByCode(code: string, transformUrls?: boolean, showLoading?: ShowLoading): Promise<Employee>;
+  getByCode(
+    code: string,
+    options?: RequestOptions & { transformUrls?: boolean },
+  ): Promise<Employee>;
+
+  /**
+   * 根据ID，获取指定的`Employee`对象的基本信息。
+   */
+  getInfo(id: Id, showLoading?: ShowLoading): Promise<EmployeeInfo>;
+
+  /**
+   * 根据代码，获取指定的`Employee`对象的基本信息。
+   */
+  getInfoByCode(code: string, showLoading?: ShowLoading): Promise<EmployeeInfo>;
+
+  /**
+   * 根据ID，获取指定的`Employee`对象所属分类的基本信息。
+   */
+  getCategory(id: Id, showLoading?: ShowLoading): Promise<InfoWithEntity | null>;
+
+  /**
+   * 根据代码，获取指定的`Employee`对象所属分类的基本信息。
+   */
+  getCategoryByCode(code: string, showLoading?: ShowLoading): Promise<InfoWithEntity | null>;
+
+  /**
+   * 获取指定的`Employee`对象的照片。
+   */
+  getPhoto(id: Id, transformUrls?: boolean, showLoading?: ShowLoading): Promise<Attachment>;
+  getPhoto(id: Id, options?: RequestOptions & { transformUrls?: boolean }): Promise<Attachment>;
+
+  /**
+   * 添加一个`Employee`对象。
+   */
+  add(
+    entity: Employee,
+    withUser?: boolean,
+    transformUrls?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<Employee>;
+  add(
+    entity: Employee,
+    options?: RequestOptions & { withUser?: boolean, transformUrls?: boolean },
+  ): Promise<Employee>;
+
+  /**
+   * 根据ID，更新一个`Employee`对象。
+   */
+  update(entity: Employee, withUser?: boolean, showLoading?: ShowLoading): Promise<Employee>;
+  update(entity: Employee, options?: RequestOptions & { withUser?: boolean }): Promise<Employee>;
+
+  /**
+   * 根据代码，更新一个`Employee`对象。
+   */
+  updateByCode(entity: Employee, withUser?: boolean, showLoading?: ShowLoading): Promise<Employee>;
+  updateByCode(
+    entity: Employee,
+    options?: RequestOptions & { withUser?: boolean },
+  ): Promise<Employee>;
+
+  /**
+   * 根据ID，更新一个`Employee`对象的状态。
+   */
+  updateState(
+    id: Id,
+    state: State | string,
+    withUser?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<string>;
+  updateState(
+    id: Id,
+    state: State | string,
+    options?: RequestOptions & { withUser?: boolean },
+  ): Promise<string>;
+
+  /**
+   * 根据代码，更新一个`Employee`对象的状态。
+   */
+  updateStateByCode(
+    code: string,
+    state: State | string,
+    withUser?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<string>;
+  updateStateByCode(
+    code: string,
+    state: State | string,
+    options?: RequestOptions & { withUser?: boolean },
+  ): Promise<string>;
+
+  /**
+   * 根据ID，更新一个`Employee`对象的照片。
+   */
+  updatePhoto(
+    id: Id,
+    photo: Attachment,
+    transformUrls?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<Attachment>;
+  updatePhoto(
+    id: Id,
+    photo: Attachment,
+    options?: RequestOptions & { transformUrls?: boolean },
+  ): Promise<Attachment>;
+
+  /**
+   * 根据ID，标记删除一个`Employee`对象。
+   */
+  delete(id: string, withUser?: boolean, showLoading?: ShowLoading): Promise<void>;
+  delete(id: string, options?: RequestOptions & { withUser?: boolean }): Promise<void>;
+
+  /**
+   * 根据代码，标记删除一个`Employee`对象。
+   */
+  deleteByCode(code: string, withUser?: boolean, showLoading?: ShowLoading): Promise<void>;
+  deleteByCode(code: string, options?: RequestOptions & { withUser?: boolean }): Promise<void>;
+
+  /**
+   * 批量标记删除指定的`Employee`对象。
+   */
+  batchDelete(
+    ids: Id[],
+    withUser: boolean,
+    options: RequestOptions & { batchResult: true },
+  ): Promise<BatchResult<Id>>;
+  batchDelete(
+    ids: Id[],
+    options: RequestOptions & { withUser?: boolean, batchResult: true },
+  ): Promise<BatchResult<Id>>;
+  batchDelete(
+    ids: Id[],
+    withUser?: boolean | Record<string, any>,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+
+  /**
+   * 根据ID，恢复一个被标记删除的`Employee`对象。
+   */
+  restore(id: string, withUser?: boolean, showLoading?: ShowLoading): Promise<void>;
+  restore(id: string, options?: RequestOptions & { withUser?: boolean }): Promise<void>;
+
+  /**
+   * 根据代码，恢复一个被标记删除的`Employee`对象。
+   */
+  restoreByCode(code: string, withUser?: boolean, showLoading?: ShowLoading): Promise<void>;
+  restoreByCode(code: string, options?: RequestOptions & { withUser?: boolean }): Promise<void>;
+
+  /**
+   * 批量恢复已被标记删除的`Employee`对象。
+   */
+  batchRestore(
+    ids: Id[],
+    withUser: boolean,
+    options: RequestOptions & { batchResult: true },
+  ): Promise<BatchResult<Id>>;
+  batchRestore(
+    ids: Id[],
+    options: RequestOptions & { withUser?: boolean, batchResult: true },
+  ): Promise<BatchResult<Id>>;
+  batchRestore(
+    ids: Id[],
+    withUser?: boolean | Record<string, any>,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+
+  /**
+   * 根据ID，清除一个被标记删除的`Employee`对象。
+   */
+  purge(id: string, withUser?: boolean, showLoading?: ShowLoading): Promise<void>;
+  purge(id: string, options?: RequestOptions & { withUser?: boolean }): Promise<void>;
+
+  /**
+   * 根据代码，清除一个被标记删除的`Employee`对象。
+   */
+  purgeByCode(code: string, withUser?: boolean, showLoading?: ShowLoading): Promise<void>;
+  purgeByCode(code: string, options?: RequestOptions & { withUser?: boolean }): Promise<void>;
+
+  /**
+   * 彻底清除全部已被标记删除的`Employee`对象。
+   */
+  purgeAll(withUser?: boolean, showLoading?: ShowLoading): Promise<void>;
+  purgeAll(options?: RequestOptions & { withUser?: boolean }): Promise<void>;
+
+  /**
+   * 批量清除多个被标记删除的`Employee`对象。
+   */
+  batchPurge(
+    ids: Id[],
+    withUser: boolean,
+    options: RequestOptions & { batchResult: true },
+  ): Promise<BatchResult<Id>>;
+  batchPurge(
+    ids: Id[],
+    options: RequestOptions & { withUser?: boolean, batchResult: true },
+  ): Promise<BatchResult<Id>>;
+  batchPurge(
+    ids: Id[],
+    withUser?: boolean | Record<string, any>,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+
+  /**
+   * 彻底清除指定的`Employee`对象（无论其是否被标记删除）。
+   */
+  erase(id: Id, withUser?: boolean, showLoading?: ShowLoading): Promise<void>;
+  erase(id: Id, options?: RequestOptions & { withUser?: boolean }): Promise<void>;
+
+  /**
+   * 根据代码，彻底清除指定的`Employee`对象（无论其是否被标记删除）。
+   */
+  eraseByCode(code: string, withUser?: boolean, showLoading?: ShowLoading): Promise<void>;
+  eraseByCode(code: string, options?: RequestOptions & { withUser?: boolean }): Promise<void>;
+
+  /**
+   * 批量彻底清除指定的`Employee`对象（无论其是否被标记删除）。
+   */
+  batchErase(
+    ids: Id[],
+    withUser: boolean,
+    options: RequestOptions & { batchResult: true },
+  ): Promise<BatchResult<Id>>;
+  batchErase(
+    ids: Id[],
+    options: RequestOptions & { withUser?: boolean, batchResult: true },
+  ): Promise<BatchResult<Id>>;
+  batchErase(
+    ids: Id[],
+    withUser?: boolean | Record<string, any>,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+
+  /**
+   * 导出符合条件的`Employee`对象为XML文件。
+   */
+  exportXml(
+    criteria?: EmployeeCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    autoDownload?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<ExportResult>;
+  exportXml(
+    criteria?: EmployeeCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { autoDownload?: boolean },
+  ): Promise<ExportResult>;
+
+  /**
+   * 导出符合条件的`Employee`对象为JSON文件。
+   */
+  exportJson(
+    criteria?: EmployeeCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    autoDownload?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<ExportResult>;
+  exportJson(
+    criteria?: EmployeeCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { autoDownload?: boolean },
+  ): Promise<ExportResult>;
+
+  /**
+   * 导出符合条件的`Employee`对象为Excel文件。
+   */
+  exportExcel(
+    criteria?: EmployeeCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    autoDownload?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<ExportResult>;
+  exportExcel(
+    criteria?: EmployeeCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { autoDownload?: boolean },
+  ): Promise<ExportResult>;
+
+  /**
+   * 导出符合条件的`Employee`对象为CSV文件。
+   */
+  exportCsv(
+    criteria?: EmployeeCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    autoDownload?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<ExportResult>;
+  exportCsv(
+    criteria?: EmployeeCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { autoDownload?: boolean },
+  ): Promise<ExportResult>;
+
+  /**
+   * 以服务器端异步任务的方式导出符合条件的`Employee`对象。
+   */
+  exportAsync(
+    format: string,
+    criteria?: EmployeeCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: ExportAsyncOptions,
+  ): Promise<ExportResult>;
+
+  /**
+   * 从XML文件导入`Employee`对象。
+   */
+  importXml(
+    file: File,
+    options: RequestOptions & { parallel?: boolean, threads?: number } & ({ dryRun: true } | { importReport: true }),
+  ): Promise<ImportReport>;
+  importXml(
+    file: File,
+    parallel?: boolean,
+    threads?: number,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+  importXml(
+    file: File,
+    options?: RequestOptions & { parallel?: boolean, threads?: number },
+  ): Promise<number>;
+
+  /**
+   * 从JSON文件导入`Employee`对象。
+   */
+  importJson(
+    file: File,
+    options: RequestOptions & { parallel?: boolean, threads?: number } & ({ dryRun: true } | { importReport: true }),
+  ): Promise<ImportReport>;
+  importJson(
+    file: File,
+    parallel?: boolean,
+    threads?: number,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+  importJson(
+    file: File,
+    options?: RequestOptions & { parallel?: boolean, threads?: number },
+  ): Promise<number>;
+
+  /**
+   * 从Excel文件导入`Employee`对象。
+   */
+  importExcel(
+    file: File,
+    options: RequestOptions & { parallel?: boolean, threads?: number } & ({ dryRun: true } | { importReport: true }),
+  ): Promise<ImportReport>;
+  importExcel(
+    file: File,
+    parallel?: boolean,
+    threads?: number,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+  importExcel(
+    file: File,
+    options?: RequestOptions & { parallel?: boolean, threads?: number },
+  ): Promise<number>;
+
+  /**
+   * 从CSV文件导入`Employee`对象。
+   */
+  importCsv(
+    file: File,
+    options: RequestOptions & { parallel?: boolean, threads?: number } & ({ dryRun: true } | { importReport: true }),
+  ): Promise<ImportReport>;
+  importCsv(
+    file: File,
+    parallel?: boolean,
+    threads?: number,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+  importCsv(
+    file: File,
+    options?: RequestOptions & { parallel?: boolean, threads?: number },
+  ): Promise<number>;
+}
+
+declare const employeeApi: EmployeeApi;
+
+export default employeeApi;
@@ -0,0 +1,239 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { Faq, Page, State, StatefulInfo } from '@qubit-ltd/common-model';
+import type {
+  CriteriaDefinition,
+  CursorPageRequest,
+  Id,
+  ModelClass,
+  PageRequest,
+  RouteDefinition,
+  ShowLoading,
+  SortRequest,
+} from '../common';
+import type { RequestOptions } from './impl/request-options';
+import type { ExportResult } from './impl/export-impl';
+import type { ExportAsyncOptions } from './impl/export-async-impl';
+import type { IterateOptions } from './impl/iterate-impl';
+import type BatchResult from '../model/BatchResult';
+import type CursorPage from '../model/CursorPage';
+import type ImportReport from '../model/ImportReport';
+import type Criteria from '../params/Criteria';
+
+/**
+ * `faqApi`的查询条件。
+ */
+export interface FaqCriteria {
+  appId?: Id;
+  appCode?: string;
+  appName?: string;
+  categoryId?: Id;
+  categoryCode?: string;
+  categoryName?: string;
+  productId?: Id;
+  productCode?: string;
+  productName?: string;
+  question?: string;
+  answer?: string;
+  state?: State | string;
+  deleted?: boolean;
+  createTimeStart?: string;
+  createTimeEnd?: string;
+  modifyTimeStart?: string;
+  modifyTimeEnd?: string;
+  deleteTimeStart?: string;
+  deleteTimeEnd?: string;
+}
+
+/**
+ * 提供管理`Faq`对象的API。
+ */
+declare class FaqApi {
+  /**
+   * 此API所管理的实体对象的类。
+   */
+  entityClass: ModelClass<Faq>;
+
+  /**
+   * 此API所管理的实体对象的基本信息的类。
+   */
+  entityInfoClass: ModelClass<StatefulInfo>;
+
+  /**
+   * 查询条件定义。
+   */
+  CRITERIA_DEFINITIONS: CriteriaDefinition[];
+
+  /**
+   * 路由定义，用于生成OpenAPI文档。
+   */
+  ROUTE_DEFINITIONS: RouteDefinition[];
+
+  /**
+   * 列出符合条件的`Faq`对象。
+   */
+  list(
+    pageRequest: PageRequest,
+    criteria?: FaqCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<Page<Faq>>;
+  list(
+    pageRequest: CursorPageRequest,
+    criteria?: FaqCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<CursorPage<Faq>>;
+
+  /**
+   * 逐页遍历符合条件的`Faq`对象。
+   */
+  iterate(
+    criteria?: FaqCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: IterateOptions,
+  ): AsyncGenerator<Faq>;
+
+  /**
+   * 获取全部符合条件的`Faq`对象。
+   */
+  listAll(
+    criteria?: FaqCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: IterateOptions,
+  ): Promise<Faq[]>;
+
+  /**
+   * 列出符合条件的`Faq`对象的基本信息。
+   */
+  listInfo(
+    pageRequest: PageRequest,
+    criteria?: FaqCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<Page<StatefulInfo>>;
+  listInfo(
+    pageRequest: CursorPageRequest,
+    criteria?: FaqCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<CursorPage<StatefulInfo>>;
+
+  /**
+   * 根据ID，获取一个`Faq`对象。
+   */
+  get(id: Id, showLoading?: ShowLoading): Promise<Faq>;
+
+  /**
+   * 根据ID，获取一个`Faq`对象的基本信息。
+   */
+  getInfo(id: Id, showLoading?: ShowLoading): Promise<StatefulInfo>;
+
+  /**
+   * 添加一个新的`Faq`对象。
+   */
+  add(entity: Faq, showLoading?: ShowLoading): Promise<Faq>;
+
+  /**
+   * 根据ID，更新一个`Faq`对象。
+   */
+  update(id: Id, entity: Faq, showLoading?: ShowLoading): Promise<string>;
+
+  /**
+   * 根据ID，更新一个`Faq`对象的状态。
+   */
+  updateState(id: Id, state: State | string, showLoading?: ShowLoading): Promise<string>;
+
+  /**
+   * 根据ID，标记删除一个`Faq`对象。
+   */
+  delete(id: Id, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 批量标记删除指定的`Faq`对象。
+   */
+  batchDelete(ids: Id[], options: RequestOptions & { batchResult: true }): Promise<BatchResult<Id>>;
+  batchDelete(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+
+  /**
+   * 根据ID，恢复一个被标记删除的`Faq`对象。
+   */
+  restore(id: Id, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 批量恢复被标记删除的`Faq`对象。
+   */
+  batchRestore(
+    ids: Id[],
+    options: RequestOptions & { batchResult: true },
+  ): Promise<BatchResult<Id>>;
+  batchRestore(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+
+  /**
+   * 根据ID，彻底删除一个`Faq`对象。
+   */
+  erase(id: Id, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 批量彻底删除指定的`Faq`对象。
+   */
+  batchErase(ids: Id[], options: RequestOptions & { batchResult: true }): Promise<BatchResult<Id>>;
+  batchErase(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+
+  /**
+   * 根据ID，清除一个`Faq`对象。
+   */
+  purge(id: Id, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 批量清除指定的`Faq`对象。
+   */
+  batchPurge(ids: Id[], options: RequestOptions & { batchResult: true }): Promise<BatchResult<Id>>;
+  batchPurge(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+
+  /**
+   * 清除所有被标记删除的`Faq`对象。
+   */
+  purgeAll(showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 导出符合条件的`Faq`对象。
+   */
+  export(
+    criteria?: FaqCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    format?: string,
+    showLoading?: ShowLoading,
+  ): Promise<ExportResult>;
+  export(
+    criteria?: FaqCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { format?: string, autoDownload?: boolean },
+  ): Promise<ExportResult>;
+
+  /**
+   * 以服务器端异步任务的方式导出符合条件的`Faq`对象。
+   */
+  exportAsync(
+    format: string,
+    criteria?: FaqCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: ExportAsyncOptions,
+  ): Promise<ExportResult>;
+
+  /**
+   * 导入`Faq`对象。
+   */
+  import(file: File, options: RequestOptions & ({ dryRun: true } | { importReport: true })): Promise<ImportReport>;
+  import(file: File, showLoading?: ShowLoading): Promise<number>;
+}
+
+declare const faqApi: FaqApi;
+
+export default faqApi;
@@ -0,0 +1,206 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type {
+  Feedback,
+  FeedbackAction,
+  FeedbackStatus,
+  FeedbackTrack,
+  FeedbackType,
+  Page,
+} from '@qubit-ltd/common-model';
+import type {
+  CriteriaDefinition,
+  CursorPageRequest,
+  Id,
+  ModelClass,
+  PageRequest,
+  RouteDefinition,
+  ShowLoading,
+  SortRequest,
+} from '../common';
+import type { RequestOptions } from './impl/request-options';
+import type { IterateOptions } from './impl/iterate-impl';
+import type BatchResult from '../model/BatchResult';
+import type CursorPage from '../model/CursorPage';
+import type Criteria from '../params/Criteria';
+
+/**
+ * `feedbackApi`的查询条件。
+ */
+export interface FeedbackCriteria {
+  appId?: Id;
+  appCode?: string;
+  appName?: string;
+  type?: FeedbackType | string;
+  category?: string;
+  submitterId?: Id;
+  submitterUsername?: string;
+  status?: FeedbackStatus | string;
+  deleted?: boolean;
+  createTimeStart?: string;
+  createTimeEnd?: string;
+  modifyTimeStart?: string;
+  modifyTimeEnd?: string;
+  deleteTimeStart?: string;
+  deleteTimeEnd?: string;
+}
+
+/**
+ * 提供管理`Feedback`对象的API。
+ */
+declare class FeedbackApi {
+  /**
+   * 此API所管理的实体对象的类。
+   */
+  entityClass: ModelClass<Feedback>;
+
+  /**
+   * 查询条件定义。
+   */
+  CRITERIA_DEFINITIONS: CriteriaDefinition[];
+
+  /**
+   * 路由定义，用于生成OpenAPI文档。
+   */
+  ROUTE_DEFINITIONS: RouteDefinition[];
+
+  /**
+   * 列出符合条件的`Feedback`对象。
+   */
+  list(
+    pageRequest?: PageRequest,
+    criteria?: FeedbackCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    transformUrls?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<Page<Feedback>>;
+  list(
+    pageRequest: CursorPageRequest,
+    criteria?: FeedbackCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    transformUrls?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<CursorPage<Feedback>>;
+  list(
+    pageRequest?: PageRequest,
+    criteria?: FeedbackCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { transformUrls?: boolean },
+  ): Promise<Page<Feedback>>;
+  list(
+    pageRequest: CursorPageRequest,
+    criteria?: FeedbackCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { transformUrls?: boolean },
+  ): Promise<CursorPage<Feedback>>;
+
+  /**
+   * 逐页遍历符合条件的`Feedback`对象。
+   */
+  iterate(
+    criteria?: FeedbackCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: IterateOptions,
+  ): AsyncGenerator<Feedback>;
+
+  /**
+   * 获取全部符合条件的`Feedback`对象。
+   */
+  listAll(
+    criteria?: FeedbackCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: IterateOptions,
+  ): Promise<Feedback[]>;
+
+  /**
+   * 获取指定的`Feedback`对象。
+   */
+  get(id: Id, transformUrls?: boolean, showLoading?: ShowLoading): Promise<Feedback>;
+  get(id: Id, options?: RequestOptions & { transformUrls?: boolean }): Promise<Feedback>;
+
+  /**
+   * 获取指定的`Feedback`的所有跟踪记录列表。
+   */
+  getTracks(id: Id, transformUrls?: boolean, showLoading?: ShowLoading): Promise<FeedbackTrack[]>;
+  getTracks(
+    id: Id,
+    options?: RequestOptions & { transformUrls?: boolean },
+  ): Promise<FeedbackTrack[]>;
+
+  /**
+   * 添加一个`Feedback`对象。
+   */
+  add(entity: Feedback, showLoading?: ShowLoading): Promise<Feedback>;
+
+  /**
+   * 根据ID，更新一个`Feedback`对象。
+   */
+  performAction(
+    id: Id,
+    action: FeedbackAction | string,
+    track: FeedbackTrack,
+    showLoading?: ShowLoading,
+  ): Promise<FeedbackTrack>;
+
+  /**
+   * 标记删除指定的`Feedback`对象。
+   */
+  delete(id: Id, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 批量标记删除指定的`Feedback`对象。
+   */
+  batchDelete(ids: Id[], options: RequestOptions & { batchResult: true }): Promise<BatchResult<Id>>;
+  batchDelete(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+
+  /**
+   * 恢复指定的已被标记删除的`Feedback`对象。
+   */
+  restore(id: Id, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 批量恢复指定的已被标记删除的`Feedback`对象。
+   */
+  batchRestore(
+    ids: Id[],
+    options: RequestOptions & { batchResult: true },
+  ): Promise<BatchResult<Id>>;
+  batchRestore(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+
+  /**
+   * 彻底清除指定的已被标记删除的`Feedback`对象。
+   */
+  purge(id: Id, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 彻底清除全部已被标记删除的`Feedback`对象。
+   */
+  purgeAll(showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 批量彻底清除指定的已被标记删除的`Feedback`对象。
+   */
+  batchPurge(ids: Id[], options: RequestOptions & { batchResult: true }): Promise<BatchResult<Id>>;
+  batchPurge(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+
+  /**
+   * 彻底清除指定的`Feedback`对象。
+   */
+  erase(id: Id, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 批量彻底清除指定的`Feedback`对象。
+   */
+  batchErase(ids: Id[], options: RequestOptions & { batchResult: true }): Promise<BatchResult<Id>>;
+  batchErase(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+}
+
+declare const feedbackApi: FeedbackApi;
+
+export default feedbackApi;
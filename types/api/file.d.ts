@@ -0,0 +1,91 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { Upload } from '@qubit-ltd/common-model';
+import type { RouteDefinition, ShowLoading } from '../common';
+import type { RequestOptions } from './impl/request-options';
+
+/**
+ * 提供文件上传、下载服务的API。
+ */
+declare class FileApi {
+  /**
+   * 路由定义，用于生成OpenAPI文档。
+   */
+  ROUTE_DEFINITIONS: RouteDefinition[];
+
+  /**
+   * 上载一个文件。
+   */
+  upload(
+    filename: string,
+    file: Blob | File,
+    contentType?: string | null,
+    onUploadProgress?: Function | null,
+    showLoading?: ShowLoading,
+  ): Promise<Upload>;
+  upload(
+    filename: string,
+    file: Blob | File,
+    options?: RequestOptions & { contentType?: string | null, onUploadProgress?: Function | null },
+  ): Promise<Upload>;
+
+  /**
+   * 上载一个文件并做哈希值校验。
+   */
+  uploadWithHash(
+    filename: string,
+    algorithm: string | null,
+    hash: string | null,
+    file: Blob | File,
+    contentType?: string | null,
+    onUploadProgress?: Function | null,
+    showLoading?: ShowLoading,
+  ): Promise<Upload>;
+  uploadWithHash(
+    filename: string,
+    algorithm: string | null,
+    hash: string | null,
+    file: Blob | File,
+    options?: RequestOptions & { contentType?: string | null, onUploadProgress?: Function | null },
+  ): Promise<Upload>;
+
+  /**
+   * 下载指定的文件。
+   */
+  download(
+    path: string,
+    mimeType?: string | null,
+    autoDownload?: boolean,
+    filename?: string,
+    showLoading?: ShowLoading,
+  ): Promise<Record<string, any>>;
+  download(
+    path: string,
+    options?: RequestOptions & { mimeType?: string | null, autoDownload?: boolean, filename?: string },
+  ): Promise<Record<string, any>>;
+
+  /**
+   * 获取待下载文件在服务器上相对路径的绝对下载URL。
+   */
+  getDownloadUrl(path: string, showLoading?: ShowLoading): Promise<string>;
+
+  /**
+   * 获取待下载的文件内容的BASE64编码。
+   */
+  getBase64(path: string, showLoading?: ShowLoading): Promise<string>;
+
+  /**
+   * 获取待下载的文件内容的BASE64编码的数据URL。
+   */
+  getBase64DataUrl(path: string, showLoading?: ShowLoading): Promise<string>;
+}
+
+declare const fileApi: FileApi;
+
+export default fileApi;
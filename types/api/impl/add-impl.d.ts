@@ -0,0 +1,35 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { ApiObject, Id, ShowLoading } from '../../common';
+import type { RequestOptions } from './request-options';
+import type BatchResult from '../../model/BatchResult';
+
+/**
+ * 添加一个新的实体对象。
+ */
+export declare function addImpl<T, I = any>(
+  api: ApiObject<T, I>,
+  url: string,
+  entity: T,
+  showLoading?: ShowLoading,
+  options?: RequestOptions,
+): Promise<T>;
+
+/**
+ * 批量添加新的实体对象。
+ */
+export declare function batchAddImpl<T, I = any>(
+  api: ApiObject<T, I>,
+  url: string,
+  entities: T[],
+  showLoading?: ShowLoading,
+  options?: RequestOptions,
+): Promise<T[] | BatchResult<T>>;
+
+export default addImpl;
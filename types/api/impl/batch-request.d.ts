@@ -0,0 +1,51 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { ApiObject } from '../../common';
+import type { NormalizedRequestOptions } from './request-options';
+
+/**
+ * 批量请求分块策略。
+ */
+export interface BatchPolicy {
+  /**
+   * 每个分块最多包含的项的数目。
+   */
+  chunkSize: number;
+
+  /**
+   * 最多同时发送的分块请求的数目。
+   */
+  concurrency: number;
+}
+
+/**
+ * 全局的批量请求分块策略。
+ */
+export declare const batchPolicy: BatchPolicy;
+
+/**
+ * 按照分块策略分块发送一个批量请求，并合并各个分块的响应。
+ *
+ * @param api
+ *     调用此函数的API对象。
+ * @param requestOptions
+ *     由`normalizeRequestOptions()`返回的请求选项对象。
+ * @param items
+ *     批量请求的所有项。
+ * @param send
+ *     发送一个分块请求的函数。
+ * @return
+ *     合并后的响应数据的`Promise`对象。
+ */
+export declare function sendBatchRequest<T, R>(
+  api: ApiObject,
+  requestOptions: NormalizedRequestOptions,
+  items: T[],
+  send: (chunk: T[]) => Promise<R>,
+): Promise<R>;
@@ -0,0 +1,47 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type BatchResult from '../../model/BatchResult';
+import type { ApiObject } from '../../common';
+import type { NormalizedRequestOptions } from './request-options';
+
+/**
+ * 获取批量操作的查询参数。
+ *
+ * @param options
+ *     其他附加的查询参数。
+ * @param requestOptions
+ *     由`normalizeRequestOptions()`返回的请求选项对象。
+ * @return
+ *     批量操作的查询参数。
+ */
+export declare function getBatchParams(
+  options: Record<string, any>,
+  requestOptions: NormalizedRequestOptions,
+): Record<string, any>;
+
+/**
+ * 将服务器返回的批量操作结果转换为`BatchResult`对象。
+ *
+ * @param api
+ *     调用此函数的API对象。
+ * @param action
+ *     批量操作的名称，用于日志输出。
+ * @param obj
+ *     服务器返回的批量操作结果。
+ * @param withEntities
+ *     成功项是否为实体对象，默认值为`false`。
+ * @return
+ *     转换后的`BatchResult`对象。
+ */
+export declare function toBatchResult<T = any>(
+  api: ApiObject,
+  action: string,
+  obj: object,
+  withEntities?: boolean,
+): BatchResult<T>;
@@ -0,0 +1,28 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type CursorPage from '../../model/CursorPage';
+import type { CursorPageRequest, ModelClass } from '../../common';
+
+/**
+ * 将服务器返回的游标分页数据转换为`CursorPage`对象。
+ *
+ * @param Class
+ *     数据列表中元素的类。
+ * @param obj
+ *     服务器返回的游标分页数据。
+ * @param pageRequest
+ *     游标分页请求。
+ * @return
+ *     转换后的`CursorPage`对象。
+ */
+export declare function toCursorPage<T>(
+  Class: ModelClass<T>,
+  obj: any,
+  pageRequest: CursorPageRequest,
+): CursorPage<T>;
@@ -0,0 +1,69 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { ApiObject, Id, ShowLoading } from '../../common';
+import type { RequestOptions } from './request-options';
+import type BatchResult from '../../model/BatchResult';
+
+/**
+ * 标记删除指定ID的实体对象。
+ */
+export declare function deleteImpl(
+  api: ApiObject,
+  url: string,
+  id: Id,
+  showLoading?: ShowLoading,
+  options?: RequestOptions,
+): Promise<void>;
+
+/**
+ * 标记删除指定键值的实体对象。
+ */
+export declare function deleteByKeyImpl(
+  api: ApiObject,
+  url: string,
+  keyName: string,
+  keyValue: string,
+  showLoading?: ShowLoading,
+  options?: RequestOptions,
+): Promise<void>;
+
+/**
+ * 标记删除所有实体对象。
+ */
+export declare function deleteAllImpl(
+  api: ApiObject,
+  url: string,
+  showLoading?: ShowLoading,
+  options?: RequestOptions,
+): Promise<void>;
+
+/**
+ * 批量标记删除指定ID的实体对象。
+ */
+export declare function batchDeleteImpl(
+  api: ApiObject,
+  url: string,
+  ids: Id[],
+  showLoading?: ShowLoading,
+  options?: RequestOptions,
+): Promise<number | BatchResult<Id>>;
+
+/**
+ * 标记删除指定父对象下指定键值的实体对象。
+ */
+export declare function deleteByParentAndKeyImpl(
+  api: ApiObject,
+  url: string,
+  parentKeyName: string,
+  parentKeyValue: Id,
+  keyName: string,
+  keyValue: string,
+  showLoading?: ShowLoading,
+  options?: RequestOptions,
+): Promise<void>;
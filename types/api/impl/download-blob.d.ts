@@ -0,0 +1,27 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { RequestOptions } from './request-options';
+
+/**
+ * 以二进制数据的形式下载文件，返回形如`{ blob, filename, mimeType }`的对象。
+ */
+export declare function downloadBlob(
+  url: string,
+  params: Record<string, any>,
+  mimeType: string | null,
+  autoDownload: boolean,
+  filename: string | null,
+  defaultFilename: string,
+  requestOptions: RequestOptions,
+): Promise<{ blob: Blob, filename: string, mimeType: string | null }>;
+
+/**
+ * 从`Content-Disposition`响应头中解析文件名称。
+ */
+export declare function parseContentDisposition(disposition: string | null | undefined): string | null;
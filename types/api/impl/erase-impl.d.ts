@@ -0,0 +1,69 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { ApiObject, Id, ShowLoading } from '../../common';
+import type { RequestOptions } from './request-options';
+import type BatchResult from '../../model/BatchResult';
+
+/**
+ * 彻底清除指定ID的实体对象。
+ */
+export declare function eraseImpl(
+  api: ApiObject,
+  url: string,
+  id: Id,
+  showLoading?: ShowLoading,
+  options?: RequestOptions,
+): Promise<void>;
+
+/**
+ * 彻底清除指定键值的实体对象。
+ */
+export declare function eraseByKeyImpl(
+  api: ApiObject,
+  url: string,
+  keyName: string,
+  keyValue: string,
+  showLoading?: ShowLoading,
+  options?: RequestOptions,
+): Promise<void>;
+
+/**
+ * 彻底清除所有实体对象。
+ */
+export declare function eraseAllImpl(
+  api: ApiObject,
+  url: string,
+  showLoading?: ShowLoading,
+  options?: RequestOptions,
+): Promise<void>;
+
+/**
+ * 批量彻底清除指定ID的实体对象。
+ */
+export declare function batchEraseImpl(
+  api: ApiObject,
+  url: string,
+  ids: Id[],
+  showLoading?: ShowLoading,
+  options?: RequestOptions,
+): Promise<number | BatchResult<Id>>;
+
+/**
+ * 彻底清除指定父对象下指定键值的实体对象。
+ */
+export declare function eraseByParentAndKeyImpl(
+  api: ApiObject,
+  url: string,
+  parentKeyName: string,
+  parentKeyValue: Id,
+  keyName: string,
+  keyValue: string,
+  showLoading?: ShowLoading,
+  options?: RequestOptions,
+): Promise<void>;
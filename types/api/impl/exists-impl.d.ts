@@ -0,0 +1,43 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { ApiObject, Id, ShowLoading } from '../../common';
+
+/**
+ * 判断指定ID的实体对象是否存在。
+ */
+export declare function existsImpl(
+  api: ApiObject,
+  url: string,
+  id: Id,
+  showLoading?: ShowLoading,
+): Promise<boolean>;
+
+/**
+ * 判断指定键值的实体对象是否存在。
+ */
+export declare function existsKeyImpl(
+  api: ApiObject,
+  url: string,
+  keyName: string,
+  keyValue: string,
+  showLoading?: ShowLoading,
+): Promise<boolean>;
+
+/**
+ * 判断指定父对象下指定键值的实体对象是否存在。
+ */
+export declare function existsParentAndKeyImpl(
+  api: ApiObject,
+  url: string,
+  parentKeyName: string,
+  parentKeyValue: Id,
+  keyName: string,
+  keyValue: string,
+  showLoading?: ShowLoading,
+): Promise<boolean>;
@@ -0,0 +1,88 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { TaskInfo, TaskStatus } from '@qubit-ltd/common-model';
+import type { ApiObject, Id, SortRequest } from '../../common';
+import type { ExportResult } from './export-impl';
+import type { RequestOptions } from './request-options';
+import type Criteria from '../../params/Criteria';
+
+/**
+ * 查询异步导出任务的状态的默认时间间隔，单位为毫秒。
+ */
+export declare const DEFAULT_POLL_INTERVAL: number;
+
+/**
+ * 等待异步导出任务完成的默认最长时间，单位为毫秒。
+ */
+export declare const DEFAULT_MAX_WAIT: number;
+
+/**
+ * 异步导出任务的进度。
+ */
+export interface ExportTaskProgress {
+  /**
+   * 导出任务的ID。
+   */
+  taskId: Id;
+
+  /**
+   * 导出任务当前的状态。
+   */
+  status: TaskStatus | string;
+
+  /**
+   * 提交导出任务后经过的时间，单位为毫秒。
+   */
+  elapsed: number;
+}
+
+/**
+ * 异步导出的选项。
+ */
+export interface ExportAsyncOptions extends Omit<RequestOptions, 'onProgress'> {
+  /**
+   * 任务完成后是否让浏览器自动保存导出的文件，默认值为`true`。
+   */
+  autoDownload?: boolean;
+
+  /**
+   * 查询任务状态的时间间隔，单位为毫秒，默认值为`DEFAULT_POLL_INTERVAL`。
+   */
+  interval?: number;
+
+  /**
+   * 等待任务完成的最长时间，单位为毫秒，默认值为`DEFAULT_MAX_WAIT`。超时后解析失败并返回
+   * 一个`TaskTimeoutError`对象；若为`Infinity`则一直等待。
+   */
+  maxWait?: number;
+
+  /**
+   * 进度回调函数，每次查询到任务的状态后调用。
+   */
+  onProgress?: (progress: ExportTaskProgress) => void;
+
+  /**
+   * 根据已完成的任务获取导出的文件在服务器上的相对路径，默认使用任务的`resultId`属性。
+   */
+  resolvePath?: (task: TaskInfo) => string;
+}
+
+/**
+ * 以服务器端异步任务的方式导出符合条件的实体对象。
+ */
+declare function exportAsyncImpl(
+  api: ApiObject,
+  url: string,
+  format: string,
+  criteria?: Record<string, any> | Criteria,
+  sortRequest?: SortRequest | SortRequest[],
+  options?: ExportAsyncOptions,
+): Promise<ExportResult>;
+
+export default exportAsyncImpl;
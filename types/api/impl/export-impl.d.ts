@@ -0,0 +1,46 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { ApiObject, ShowLoading, SortRequest } from '../../common';
+import type { RequestOptions } from './request-options';
+import type Criteria from '../../params/Criteria';
+
+/**
+ * 导出文件的结果，无论是否自动保存导出的文件都具有相同的形式。
+ */
+export interface ExportResult {
+  /**
+   * 导出的文件的二进制数据。
+   */
+  blob: Blob;
+
+  /**
+   * 导出的文件的名称，优先从`Content-Disposition`响应头中解析。
+   */
+  filename: string;
+
+  /**
+   * 导出的文件的MIME类型。
+   */
+  mimeType: string;
+}
+
+/**
+ * 按照指定的条件导出实体对象列表。
+ */
+declare function exportImpl(
+  api: ApiObject,
+  url: string,
+  format: string,
+  criteria?: Record<string, any> | Criteria,
+  sortRequest?: SortRequest | SortRequest[],
+  autoDownload?: boolean | (RequestOptions & { autoDownload?: boolean }),
+  showLoading?: ShowLoading,
+): Promise<ExportResult>;
+
+export default exportImpl;
@@ -0,0 +1,23 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * 规范化请求选项中的`fields`选项，返回去除空白和空项之后的属性列表。
+ */
+export declare function normalizeFields(fields: string[] | string | undefined | null): string[] | undefined;
+
+/**
+ * 检查需要返回的属性是否都是指定实体类的属性或属性路径。
+ */
+export declare function checkFieldsArgument(fields: string[] | undefined, Class?: Function): void;
+
+/**
+ * 只保留对象中指定的属性，从而得到一个部分的模型对象；返回参数`obj`本身。
+ */
+export declare function projectFields<T extends object>(obj: T, fields: string[] | undefined): T;
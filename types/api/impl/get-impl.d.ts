@@ -0,0 +1,124 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { ApiObject, Id, ModelClass, ShowLoading } from '../../common';
+import type { RequestOptions } from './request-options';
+
+/**
+ * 获取指定ID的实体对象。
+ */
+export declare function getImpl<T, I = any>(
+  api: ApiObject<T, I>,
+  url: string,
+  id: Id,
+  showLoading?: ShowLoading,
+  options?: RequestOptions,
+): Promise<T>;
+
+/**
+ * 获取指定键值的实体对象。
+ */
+export declare function getByKeyImpl<T, I = any>(
+  api: ApiObject<T, I>,
+  url: string,
+  keyName: string,
+  keyValue: string,
+  showLoading?: ShowLoading,
+  options?: RequestOptions,
+): Promise<T>;
+
+/**
+ * 获取指定ID的实体对象的基本信息。
+ */
+export declare function getInfoImpl<T, I = any>(
+  api: ApiObject<T, I>,
+  url: string,
+  id: Id,
+  showLoading?: ShowLoading,
+): Promise<I>;
+
+/**
+ * 获取指定键值的实体对象的基本信息。
+ */
+export declare function getInfoByKeyImpl<T, I = any>(
+  api: ApiObject<T, I>,
+  url: string,
+  keyName: string,
+  keyValue: string,
+  showLoading?: ShowLoading,
+): Promise<I>;
+
+/**
+ * 获取指定ID的实体对象的指定属性。
+ */
+export declare function getPropertyImpl<P>(
+  api: ApiObject,
+  url: string,
+  propertyName: string,
+  propertyClass: ModelClass<P>,
+  id: Id,
+  showLoading?: ShowLoading,
+  options?: RequestOptions,
+): Promise<P | null>;
+
+/**
+ * 获取指定键值的实体对象的指定属性。
+ */
+export declare function getPropertyByKeyImpl<P>(
+  api: ApiObject,
+  url: string,
+  propertyName: string,
+  propertyClass: ModelClass<P>,
+  keyName: string,
+  keyValue: string,
+  showLoading?: ShowLoading,
+  options?: RequestOptions,
+): Promise<P | null>;
+
+/**
+ * 获取指定父对象下指定键值的实体对象。
+ */
+export declare function getByParentAndKeyImpl<T, I = any>(
+  api: ApiObject<T, I>,
+  url: string,
+  parentKeyName: string,
+  parentKeyValue: Id,
+  keyName: string,
+  keyValue: string,
+  showLoading?: ShowLoading,
+  options?: RequestOptions,
+): Promise<T>;
+
+/**
+ * 获取指定父对象下指定键值的实体对象的基本信息。
+ */
+export declare function getInfoByParentAndKeyImpl<T, I = any>(
+  api: ApiObject<T, I>,
+  url: string,
+  parentKeyName: string,
+  parentKeyValue: Id,
+  keyName: string,
+  keyValue: string,
+  showLoading?: ShowLoading,
+): Promise<I>;
+
+/**
+ * 获取指定父对象下指定键值的实体对象的指定属性。
+ */
+export declare function getPropertyByParentAndKeyImpl<P>(
+  api: ApiObject,
+  url: string,
+  propertyName: string,
+  propertyClass: ModelClass<P>,
+  parentKeyName: string,
+  parentKeyValue: Id,
+  keyName: string,
+  keyValue: string,
+  showLoading?: ShowLoading,
+  options?: RequestOptions,
+): Promise<P | null>;
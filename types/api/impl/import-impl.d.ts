@@ -0,0 +1,26 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { ApiObject, ShowLoading } from '../../common';
+import type { RequestOptions } from './request-options';
+import type ImportReport from '../../model/ImportReport';
+
+/**
+ * 从文件中导入实体对象列表。
+ */
+declare function importImpl(
+  api: ApiObject,
+  url: string,
+  format: string,
+  file: File,
+  parallel?: boolean | (RequestOptions & { parallel?: boolean, threads?: number }),
+  threads?: number,
+  showLoading?: ShowLoading,
+): Promise<number | ImportReport>;
+
+export default importImpl;
@@ -0,0 +1,44 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { RequestConfig } from './request-options';
+
+/**
+ * 构造一个GET请求的键。
+ *
+ * @param url
+ *     请求的URL。
+ * @param config
+ *     请求配置。
+ * @return
+ *     由URL、查询参数和请求头构成的键。
+ */
+export declare function buildRequestKey(url: string, config?: RequestConfig): string;
+
+/**
+ * 合并并发的相同GET请求，使其共享同一个正在进行的请求。
+ *
+ * @param url
+ *     请求的URL。
+ * @param config
+ *     请求配置。
+ * @param fetch
+ *     发送请求的函数。
+ * @return
+ *     请求的响应数据的`Promise`对象。
+ */
+export declare function shareInflightRequest<R>(
+  url: string,
+  config: RequestConfig | undefined,
+  fetch: () => Promise<R>,
+): Promise<R>;
+
+/**
+ * 丢弃所有正在进行中的GET请求的记录，之后发起的相同请求将发送新的HTTP请求。
+ */
+export declare function discardInflightRequests(): void;
@@ -0,0 +1,70 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { ApiObject, SortRequest } from '../../common';
+import type { RequestOptions } from './request-options';
+import type Criteria from '../../params/Criteria';
+
+/**
+ * 遍历实体对象列表时默认的每页数据条数。
+ */
+export declare const DEFAULT_ITERATE_PAGE_SIZE: number;
+
+/**
+ * 遍历实体对象列表的选项。
+ */
+export interface IterateOptions {
+  /**
+   * 每页的数据条数，默认值为`DEFAULT_ITERATE_PAGE_SIZE`。
+   */
+  pageSize?: number;
+
+  /**
+   * 最多遍历的实体对象的数目，默认不限制。
+   */
+  maxItems?: number;
+
+  /**
+   * 是否使用游标分页逐页获取数据，默认值为`false`。
+   */
+  cursor?: boolean;
+
+  /**
+   * 是否显示加载提示，默认值为`false`。
+   */
+  showLoading?: boolean;
+
+  /**
+   * 用于中止遍历的信号。
+   */
+  signal?: AbortSignal;
+}
+
+/**
+ * 逐页遍历符合条件的实体对象。
+ */
+export declare function iterateImpl<T, I = any>(
+  api: ApiObject<T, I>,
+  url: string,
+  criteria?: Record<string, any> | Criteria,
+  sortRequest?: SortRequest | SortRequest[],
+  iterateOptions?: IterateOptions,
+  options?: RequestOptions,
+): AsyncGenerator<T, void, undefined>;
+
+/**
+ * 获取符合条件的所有实体对象。
+ */
+export declare function listAllImpl<T, I = any>(
+  api: ApiObject<T, I>,
+  url: string,
+  criteria?: Record<string, any> | Criteria,
+  sortRequest?: SortRequest | SortRequest[],
+  iterateOptions?: IterateOptions,
+  options?: RequestOptions,
+): Promise<T[]>;
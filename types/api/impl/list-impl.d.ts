@@ -0,0 +1,57 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { Page } from '@qubit-ltd/common-model';
+import type { ApiObject, CursorPageRequest, PageRequest, ShowLoading, SortRequest } from '../../common';
+import type { RequestOptions } from './request-options';
+import type CursorPage from '../../model/CursorPage';
+import type Criteria from '../../params/Criteria';
+
+/**
+ * 分页查询符合条件的实体对象列表。
+ */
+export declare function listImpl<T, I = any>(
+  api: ApiObject<T, I>,
+  url: string,
+  pageRequest?: PageRequest,
+  criteria?: Record<string, any> | Criteria,
+  sortRequest?: SortRequest | SortRequest[],
+  showLoading?: ShowLoading,
+  options?: RequestOptions,
+): Promise<Page<T>>;
+export declare function listImpl<T, I = any>(
+  api: ApiObject<T, I>,
+  url: string,
+  pageRequest: CursorPageRequest,
+  criteria?: Record<string, any> | Criteria,
+  sortRequest?: SortRequest | SortRequest[],
+  showLoading?: ShowLoading,
+  options?: RequestOptions,
+): Promise<CursorPage<T>>;
+
+/**
+ * 分页查询符合条件的实体对象的基本信息列表。
+ */
+export declare function listInfoImpl<T, I = any>(
+  api: ApiObject<T, I>,
+  url: string,
+  pageRequest?: PageRequest,
+  criteria?: Record<string, any> | Criteria,
+  sortRequest?: SortRequest | SortRequest[],
+  showLoading?: ShowLoading,
+  options?: RequestOptions,
+): Promise<Page<I>>;
+export declare function listInfoImpl<T, I = any>(
+  api: ApiObject<T, I>,
+  url: string,
+  pageRequest: CursorPageRequest,
+  criteria?: Record<string, any> | Criteria,
+  sortRequest?: SortRequest | SortRequest[],
+  showLoading?: ShowLoading,
+  options?: RequestOptions,
+): Promise<CursorPage<I>>;
@@ -0,0 +1,166 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { ApiObject } from '../../common';
+import type { RequestConfig } from './request-options';
+
+/**
+ * 离线操作队列中的一个离线操作。
+ */
+export interface OfflineMutation {
+  /**
+   * 操作的名称。
+   */
+  action: 'add' | 'update' | 'updateProperty' | 'delete';
+
+  /**
+   * HTTP请求的方法。
+   */
+  method: 'post' | 'put' | 'delete';
+
+  /**
+   * HTTP请求的URL。
+   */
+  url: string;
+
+  /**
+   * HTTP请求的请求体。
+   */
+  data?: any;
+
+  /**
+   * HTTP请求的配置，包括查询参数和请求头。
+   */
+  config?: RequestConfig;
+
+  /**
+   * 操作的实体类的名称。
+   */
+  entityName: string;
+
+  /**
+   * 操作加入队列的时间戳。
+   */
+  time: number;
+}
+
+/**
+ * 离线操作的存储。
+ */
+export interface OfflineStorage {
+  /**
+   * 读取存储中所有的离线操作。
+   */
+  load(): Promise<OfflineMutation[]>;
+
+  /**
+   * 以指定的离线操作列表替换存储中所有的离线操作。
+   */
+  save(entries: OfflineMutation[]): Promise<void>;
+}
+
+/**
+ * 一个离线操作的重放结果。
+ */
+export interface ReplayOutcome {
+  /**
+   * 被重放的离线操作。
+   */
+  entry: OfflineMutation;
+
+  /**
+   * 重放的结果。
+   */
+  status: 'succeeded' | 'conflict' | 'failed';
+
+  /**
+   * 重放成功时服务器返回的数据。
+   */
+  result?: any;
+
+  /**
+   * 重放失败时服务器返回的错误。
+   */
+  error?: any;
+}
+
+/**
+ * 此类实现了一个离线操作队列。
+ */
+export declare class OfflineQueue {
+  /**
+   * 是否启用离线模式，默认值为`false`。
+   */
+  enabled: boolean;
+
+  /**
+   * 保存离线操作的存储，默认保存在内存中。
+   */
+  storage: OfflineStorage;
+
+  /**
+   * 判断网络是否在线的函数，默认使用`navigator.onLine`。
+   */
+  isOnline: () => boolean;
+
+  /**
+   * 判断当前的操作是否应当加入离线队列。
+   *
+   * 若已启用离线模式，且网络处于离线状态，或者队列中还有尚未重放的操作，或者正在进行重放，
+   * 则返回`true`。
+   */
+  isActive(): boolean;
+
+  /**
+   * 将一个离线操作加入队列；若此时网络在线，则加入队列后自动重放。
+   */
+  enqueue(
+    api: ApiObject,
+    mutation: Pick<OfflineMutation, 'action' | 'method' | 'url' | 'data' | 'config'>,
+  ): Promise<OfflineMutation>;
+
+  /**
+   * 获取队列中所有的离线操作。
+   */
+  getEntries(): Promise<OfflineMutation[]>;
+
+  /**
+   * 清空队列中所有的离线操作。
+   */
+  clear(): Promise<void>;
+
+  /**
+   * 添加一个重放结果的监听器。
+   */
+  addListener(listener: (outcome: ReplayOutcome) => void): void;
+
+  /**
+   * 移除一个重放结果的监听器。
+   */
+  removeListener(listener: (outcome: ReplayOutcome) => void): void;
+
+  /**
+   * 按照加入队列的顺序重放队列中的离线操作。
+   */
+  replay(): Promise<ReplayOutcome[]>;
+
+  /**
+   * 启用离线模式，并在网络恢复时自动重放队列中的离线操作。
+   */
+  start(): Promise<ReplayOutcome[]>;
+
+  /**
+   * 停用离线模式。
+   */
+  stop(): void;
+}
+
+/**
+ * 全局共享的离线操作队列。
+ */
+export declare const offlineQueue: OfflineQueue;
@@ -0,0 +1,29 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * 由`@Model`装饰的类的`assign()`、`create()`和`createArray()`方法的选项。
+ */
+export declare const assignOptions: {
+  normalize: boolean;
+  convertNaming: boolean;
+  sourceNamingStyle: string;
+  targetNamingStyle: string;
+};
+
+/**
+ * 由`@Model`装饰的类的`toJSON()`和`toJsonString()`方法的选项。
+ */
+export declare const toJsonOptions: {
+  normalize: boolean;
+  removeEmptyFields: boolean;
+  convertNaming: boolean;
+  sourceNamingStyle: string;
+  targetNamingStyle: string;
+  space: number | string | undefined;
+};
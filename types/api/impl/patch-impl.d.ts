@@ -0,0 +1,30 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { ApiObject, ShowLoading } from '../../common';
+import type { RequestOptions } from './request-options';
+
+/**
+ * 计算修改后的实体对象相对于原始实体对象被修改的属性。
+ */
+export declare function diffEntity(
+  original: object,
+  modified: object,
+): Record<string, any>;
+
+/**
+ * 以 JSON merge patch 的方式局部更新一个实体对象。
+ */
+export declare function patchImpl<T, I = any>(
+  api: ApiObject<T, I>,
+  url: string,
+  original: T,
+  modified: T,
+  showLoading?: ShowLoading,
+  options?: RequestOptions,
+): Promise<T>;
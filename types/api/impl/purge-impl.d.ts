@@ -0,0 +1,69 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { ApiObject, Id, ShowLoading } from '../../common';
+import type { RequestOptions } from './request-options';
+import type BatchResult from '../../model/BatchResult';
+
+/**
+ * 彻底清除已被标记删除的指定ID的实体对象。
+ */
+export declare function purgeImpl(
+  api: ApiObject,
+  url: string,
+  id: Id,
+  showLoading?: ShowLoading,
+  options?: RequestOptions,
+): Promise<void>;
+
+/**
+ * 彻底清除已被标记删除的指定键值的实体对象。
+ */
+export declare function purgeByKeyImpl(
+  api: ApiObject,
+  url: string,
+  keyName: string,
+  keyValue: string,
+  showLoading?: ShowLoading,
+  options?: RequestOptions,
+): Promise<void>;
+
+/**
+ * 彻底清除已被标记删除的所有实体对象。
+ */
+export declare function purgeAllImpl(
+  api: ApiObject,
+  url: string,
+  showLoading?: ShowLoading,
+  options?: RequestOptions,
+): Promise<void>;
+
+/**
+ * 批量彻底清除已被标记删除的指定ID的实体对象。
+ */
+export declare function batchPurgeImpl(
+  api: ApiObject,
+  url: string,
+  ids: Id[],
+  showLoading?: ShowLoading,
+  options?: RequestOptions,
+): Promise<number | BatchResult<Id>>;
+
+/**
+ * 彻底清除已被标记删除的指定父对象下指定键值的实体对象。
+ */
+export declare function purgeByParentAndKeyImpl(
+  api: ApiObject,
+  url: string,
+  parentKeyName: string,
+  parentKeyValue: Id,
+  keyName: string,
+  keyValue: string,
+  showLoading?: ShowLoading,
+  options?: RequestOptions,
+): Promise<void>;
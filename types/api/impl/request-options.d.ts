@@ -0,0 +1,206 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { RetryPolicy } from './retry-policy';
+
+/**
+ * 批量操作的进度。
+ */
+export interface BatchProgress {
+  /**
+   * 已完成的分块请求的数目。
+   */
+  completed: number;
+
+  /**
+   * 分块请求的总数目。
+   */
+  total: number;
+}
+
+/**
+ * 下载的进度。
+ */
+export interface DownloadProgress {
+  /**
+   * 已接收的字节数。
+   */
+  loaded: number;
+
+  /**
+   * 总字节数；若服务器未返回数据的长度，则为`null`。
+   */
+  total: number | null;
+}
+
+/**
+ * 请求选项对象，可以代替各个API方法的`showLoading`参数。
+ */
+export interface RequestOptions {
+  /**
+   * 是否显示加载提示，默认值为`true`。
+   */
+  showLoading?: boolean;
+
+  /**
+   * 用于取消请求的信号。
+   */
+  signal?: AbortSignal;
+
+  /**
+   * 请求的超时时间，单位为毫秒，默认使用`http`对象的全局设置。
+   */
+  timeout?: number;
+
+  /**
+   * 附加的请求头，将与默认的请求头合并。
+   */
+  headers?: Record<string, string>;
+
+  /**
+   * 附加的查询参数，其属性名将被转换为下划线形式。
+   */
+  params?: Record<string, any>;
+
+  /**
+   * 是否转换附件中的URL地址，将作为查询参数传递给服务器。
+   */
+  transformUrls?: boolean;
+
+  /**
+   * 只请求实体对象的指定属性，可以是属性路径的数组或以逗号分隔的字符串，将作为查询参数
+   * 传递给服务器，仅对获取完整实体对象的请求有效。
+   */
+  fields?: string[] | string;
+
+  /**
+   * 是否使用响应缓存，或者形如`{ ttl }`的缓存选项，仅对支持缓存的查询请求有效。
+   */
+  cache?: boolean | { ttl?: number };
+
+  /**
+   * 是否重试失败的请求，或者覆盖默认重试策略的部分属性。
+   */
+  retry?: boolean | Partial<RetryPolicy>;
+
+  /**
+   * 是否以乐观锁模式更新实体对象，或者形如`{ etag }`的乐观锁选项。
+   */
+  optimisticLock?: boolean | { etag?: string };
+
+  /**
+   * 是否要求服务器返回批量操作的逐项处理结果，仅对批量操作有效。
+   */
+  batchResult?: boolean;
+
+  /**
+   * 批量操作的每个分块最多包含的项的数目，仅对批量操作有效。
+   */
+  chunkSize?: number;
+
+  /**
+   * 批量操作最多同时发送的分块请求的数目，仅对批量操作有效。
+   */
+  concurrency?: number;
+
+  /**
+   * 批量操作的进度回调函数，仅对批量操作有效。
+   */
+  onProgress?: (progress: BatchProgress) => void;
+
+  /**
+   * 下载的进度回调函数，仅对导出操作有效。
+   */
+  onDownloadProgress?: (progress: DownloadProgress) => void;
+
+  /**
+   * 是否只校验导入的文件而不实际导入，仅对导入操作有效。
+   */
+  dryRun?: boolean;
+
+  /**
+   * 是否要求服务器返回导入文件的逐行校验结果，仅对导入操作有效。
+   */
+  importReport?: boolean;
+}
+
+/**
+ * 由`normalizeRequestOptions()`返回的规范化的请求选项对象。
+ */
+export interface NormalizedRequestOptions extends Omit<RequestOptions, 'showLoading' | 'transformUrls' | 'fields'> {
+  showLoading: boolean;
+  fields?: string[];
+}
+
+/**
+ * 传递给`http`对象的请求配置。
+ */
+export interface RequestConfig {
+  signal?: AbortSignal;
+  timeout?: number;
+  headers?: Record<string, string>;
+  params?: Record<string, any>;
+  [key: string]: any;
+}
+
+/**
+ * 规范化各个`impl`函数的`showLoading`参数。
+ *
+ * @param showLoading
+ *     待规范化的`showLoading`参数，可以是布尔值或者请求选项对象。
+ * @return
+ *     规范化后的请求选项对象。
+ * @throws TypeError
+ *     若参数不是布尔值或者合法的请求选项对象，则抛出此异常。
+ */
+export declare function normalizeRequestOptions(showLoading: boolean | RequestOptions): NormalizedRequestOptions;
+
+/**
+ * 根据请求选项构造传递给`http`对象的请求配置。
+ *
+ * @param requestOptions
+ *     由`normalizeRequestOptions()`返回的请求选项对象。
+ * @param config
+ *     原有的请求配置。
+ * @return
+ *     传递给`http`对象的请求配置。
+ */
+export declare function toRequestConfig(
+  requestOptions: NormalizedRequestOptions,
+  config?: RequestConfig,
+): RequestConfig | undefined;
+
+/**
+ * 处理HTTP请求的取消。
+ *
+ * @param promise
+ *     HTTP请求的`Promise`对象。
+ * @param requestOptions
+ *     由`normalizeRequestOptions()`返回的请求选项对象。
+ * @return
+ *     处理了请求取消的`Promise`对象，请求被取消时解析失败并返回`RequestCancelledError`。
+ */
+export declare function handleCancellation<T>(
+  promise: Promise<T>,
+  requestOptions: NormalizedRequestOptions,
+): Promise<T>;
+
+/**
+ * 解析API方法中位于`showLoading`参数之前的可选参数。
+ *
+ * @param args
+ *     各个可选标志参数的实际值，最后一个元素为`showLoading`参数的实际值。
+ * @param defaults
+ *     各个可选标志参数的默认值，其属性按照参数的声明顺序排列。
+ * @return
+ *     解析后的参数对象，包含各个可选标志参数的值，以及`showLoading`参数的值。
+ */
+export declare function resolveOptionalArguments<D extends Record<string, any>>(
+  args: any[],
+  defaults: D,
+): D & { showLoading: boolean | RequestOptions | undefined };
@@ -0,0 +1,123 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { ApiObject } from '../../common';
+import type { NormalizedRequestOptions, RequestConfig } from './request-options';
+
+/**
+ * 响应缓存条目默认的存活时间，单位为毫秒。
+ */
+export declare const DEFAULT_CACHE_TTL: number;
+
+/**
+ * 响应缓存默认的最大条目数。
+ */
+export declare const DEFAULT_CACHE_MAX_SIZE: number;
+
+/**
+ * 此类实现了一个带有存活时间和容量限制的响应缓存。
+ */
+export declare class ResponseCache {
+  /**
+   * 缓存条目默认的存活时间，单位为毫秒。
+   */
+  ttl: number;
+
+  /**
+   * 缓存的最大条目数。
+   */
+  maxSize: number;
+
+  /**
+   * 缓存中未过期条目的数目。
+   */
+  readonly size: number;
+
+  /**
+   * 判断缓存中是否存在指定键的未过期条目。
+   */
+  has(key: string): boolean;
+
+  /**
+   * 获取缓存中指定键的未过期条目的值；若不存在则返回`undefined`。
+   */
+  get(key: string): any;
+
+  /**
+   * 获取指定实体类的当前版本号，每次使其缓存条目失效时版本号都会增大。
+   */
+  generation(entityClasses: Function | Function[]): number;
+
+  /**
+   * 将一个条目放入缓存。
+   *
+   * @param key
+   *     条目的键。
+   * @param value
+   *     条目的值。
+   * @param entityClasses
+   *     条目所依赖的实体类，用于按实体类使缓存失效。
+   * @param ttl
+   *     条目的存活时间，单位为毫秒，默认为`ttl`属性的值。
+   * @param generation
+   *     发送请求前获取的实体类的版本号；若此后这些实体类的缓存条目已经失效，则不放入此条目。
+   * @return
+   *     是否放入了此条目。
+   */
+  set(key: string, value: any, entityClasses: Function | Function[], ttl?: number, generation?: number): boolean;
+
+  /**
+   * 使依赖于指定实体类的所有缓存条目失效。
+   *
+   * @return
+   *     被移除的条目的数目。
+   */
+  invalidate(entityClass: Function): number;
+
+  /**
+   * 清空缓存。
+   */
+  clear(): void;
+}
+
+/**
+ * 全局共享的响应缓存。
+ */
+export declare const responseCache: ResponseCache;
+
+/**
+ * 通过响应缓存执行一个GET请求。
+ *
+ * @param api
+ *     调用此函数的API对象。
+ * @param url
+ *     请求的URL。
+ * @param config
+ *     请求配置。
+ * @param requestOptions
+ *     由`normalizeRequestOptions()`返回的请求选项对象。
+ * @param fetch
+ *     缓存未命中时发送请求的函数。
+ * @return
+ *     响应数据的`Promise`对象。
+ */
+export declare function fetchWithCache<R>(
+  api: ApiObject,
+  url: string,
+  config: RequestConfig | undefined,
+  requestOptions: NormalizedRequestOptions,
+  fetch: () => Promise<R>,
+): Promise<R>;
+
+/**
+ * 使指定API对象所管理的实体类的所有缓存条目失效。
+ *
+ * @param api
+ *     API对象。
+ */
+export declare function invalidateResponseCache(api: ApiObject): void;
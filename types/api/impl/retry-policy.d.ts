@@ -0,0 +1,88 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { ApiObject } from '../../common';
+import type { NormalizedRequestOptions } from './request-options';
+
+/**
+ * 请求重试策略。
+ */
+export interface RetryPolicy {
+  /**
+   * 最多尝试的次数（包括第一次请求），设置为`1`表示不重试。
+   */
+  maxAttempts: number;
+
+  /**
+   * 第一次重试前等待的时间，单位为毫秒。
+   */
+  initialDelay: number;
+
+  /**
+   * 两次尝试之间最长的等待时间，单位为毫秒。
+   */
+  maxDelay: number;
+
+  /**
+   * 每次重试后等待时间的增长倍数。
+   */
+  multiplier: number;
+
+  /**
+   * 等待时间的随机抖动比例，取值范围为`[0, 1]`。
+   */
+  jitter: number;
+
+  /**
+   * 需要重试的HTTP响应状态码。
+   */
+  retryStatuses: number[];
+
+  /**
+   * 是否重试非幂等的请求。
+   */
+  retryNonIdempotent: boolean;
+}
+
+/**
+ * 全局的请求重试策略。
+ */
+export declare const retryPolicy: RetryPolicy;
+
+/**
+ * 按照重试策略执行一个请求。
+ *
+ * @param api
+ *     调用此函数的API对象。
+ * @param requestOptions
+ *     由`normalizeRequestOptions()`返回的请求选项对象。
+ * @param fetch
+ *     发送请求的函数，每次尝试时调用一次。
+ * @param idempotent
+ *     此请求是否是幂等的，默认值为`true`。
+ * @return
+ *     请求的响应数据的`Promise`对象。
+ */
+export declare function retryRequest<R>(
+  api: ApiObject,
+  requestOptions: NormalizedRequestOptions,
+  fetch: () => Promise<R>,
+  idempotent?: boolean,
+): Promise<R>;
+
+/**
+ * 等待指定的时间。
+ *
+ * @param delay
+ *     等待的时间，单位为毫秒。
+ * @param signal
+ *     用于取消请求的信号。若在等待期间请求被取消，则立即结束等待。
+ * @return
+ *     等待结束后解析成功的`Promise`对象。
+ */
+export declare function sleep(delay: number, signal?: AbortSignal): Promise<void>;
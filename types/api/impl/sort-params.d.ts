@@ -0,0 +1,14 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { SortRequest } from '../../common';
+
+/**
+ * 将排序请求转换为查询参数，多个排序请求的字段名称和排序方向分别以逗号连接。
+ */
+export declare function toSortParams(sortRequest: SortRequest | SortRequest[]): SortRequest;
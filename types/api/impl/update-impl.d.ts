@@ -0,0 +1,89 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { ApiObject, Id, ShowLoading } from '../../common';
+import type { RequestOptions } from './request-options';
+import type BatchResult from '../../model/BatchResult';
+
+/**
+ * 更新指定ID的实体对象。
+ */
+export declare function updateImpl<T, I = any>(
+  api: ApiObject<T, I>,
+  url: string,
+  entity: T,
+  showLoading?: ShowLoading,
+  options?: RequestOptions,
+): Promise<T>;
+
+/**
+ * 更新指定键值的实体对象。
+ */
+export declare function updateByKeyImpl<T, I = any>(
+  api: ApiObject<T, I>,
+  url: string,
+  keyName: string,
+  entity: T,
+  showLoading?: ShowLoading,
+  options?: RequestOptions,
+): Promise<T>;
+
+/**
+ * 批量更新实体对象。
+ */
+export declare function batchUpdateImpl<T, I = any>(
+  api: ApiObject<T, I>,
+  url: string,
+  entities: T[],
+  showLoading?: ShowLoading,
+  options?: RequestOptions,
+): Promise<T[] | BatchResult<T>>;
+
+/**
+ * 更新指定ID的实体对象的指定属性，返回服务器更新该属性的时间戳；若操作被加入离线队列，
+ * 则返回其加入队列的时间戳。
+ */
+export declare function updatePropertyImpl(
+  api: ApiObject,
+  url: string,
+  id: Id,
+  propertyName: string,
+  propertyClass: Function | Function[],
+  propertyValue: any,
+  showLoading?: ShowLoading,
+  options?: RequestOptions,
+): Promise<string>;
+
+/**
+ * 更新指定键值的实体对象的指定属性。
+ */
+export declare function updatePropertyByKeyImpl(
+  api: ApiObject,
+  url: string,
+  keyName: string,
+  keyValue: string,
+  propertyName: string,
+  propertyClass: Function | Function[],
+  propertyValue: any,
+  showLoading?: ShowLoading,
+  options?: RequestOptions,
+): Promise<any>;
+
+/**
+ * 更新指定父对象下指定键值的实体对象。
+ */
+export declare function updateByParentAndKeyImpl<T, I = any>(
+  api: ApiObject<T, I>,
+  url: string,
+  parentKeyName: string,
+  parentKeyValue: Id,
+  keyName: string,
+  entity: T,
+  showLoading?: ShowLoading,
+  options?: RequestOptions,
+): Promise<T>;
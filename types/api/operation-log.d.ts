@@ -0,0 +1,146 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { OperationLog, OperationLogInfo, Page } from '@qubit-ltd/common-model';
+import type {
+  CriteriaDefinition,
+  CursorPageRequest,
+  Id,
+  ModelClass,
+  PageRequest,
+  RouteDefinition,
+  ShowLoading,
+  SortRequest,
+} from '../common';
+import type { IterateOptions } from './impl/iterate-impl';
+import type CursorPage from '../model/CursorPage';
+import type Criteria from '../params/Criteria';
+
+/**
+ * `operationLogApi`的查询条件。
+ */
+export interface OperationLogCriteria {
+  action?: string;
+  resource?: string;
+  property?: string;
+  username?: string;
+  userId?: Id;
+  appId?: Id;
+  appCode?: string;
+  success?: boolean;
+  errorType?: string;
+  errorCode?: string;
+  requestTimeStart?: string;
+  requestTimeEnd?: string;
+  responseTimeStart?: string;
+  responseTimeEnd?: string;
+  latencyStart?: number | bigint;
+  latencyEnd?: number | bigint;
+  clientIp?: string;
+  requestHost?: string;
+  httpMethod?: string;
+  traceId?: string;
+  spanId?: string;
+  correlationId?: string;
+  requestId?: string;
+  apiVersion?: string;
+  endpoint?: string;
+  service?: string;
+  serviceHost?: string;
+  thread?: string;
+  instance?: string;
+}
+
+/**
+ * 提供管理`OperationLog`对象的API。
+ */
+declare class OperationLogApi {
+  /**
+   * 此API所管理的实体对象的类。
+   */
+  entityClass: ModelClass<OperationLog>;
+
+  /**
+   * 此API所管理的实体对象的基本信息的类。
+   */
+  entityInfoClass: ModelClass<OperationLogInfo>;
+
+  /**
+   * 查询条件定义。
+   */
+  CRITERIA_DEFINITIONS: CriteriaDefinition[];
+
+  /**
+   * 路由定义，用于生成OpenAPI文档。
+   */
+  ROUTE_DEFINITIONS: RouteDefinition[];
+
+  /**
+   * 列出符合条件的`OperationLog`对象。
+   */
+  list(
+    pageRequest?: PageRequest,
+    criteria?: OperationLogCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<Page<OperationLog>>;
+  list(
+    pageRequest: CursorPageRequest,
+    criteria?: OperationLogCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<CursorPage<OperationLog>>;
+
+  /**
+   * 逐页遍历符合条件的`OperationLog`对象。
+   */
+  iterate(
+    criteria?: OperationLogCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: IterateOptions,
+  ): AsyncGenerator<OperationLog>;
+
+  /**
+   * 获取全部符合条件的`OperationLog`对象。
+   */
+  listAll(
+    criteria?: OperationLogCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: IterateOptions,
+  ): Promise<OperationLog[]>;
+
+  /**
+   * 列出符合条件的`OperationLog`对象的基本信息。
+   */
+  listInfo(
+    pageRequest?: PageRequest,
+    criteria?: OperationLogCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<Page<OperationLogInfo>>;
+  listInfo(
+    pageRequest: CursorPageRequest,
+    criteria?: OperationLogCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<CursorPage<OperationLogInfo>>;
+
+  /**
+   * 根据ID，获取指定的`OperationLog`对象。
+   */
+  get(id: Id, showLoading?: ShowLoading): Promise<OperationLog>;
+
+  /**
+   * 根据ID，获取指定的`OperationLog`对象的基本信息。
+   */
+  getInfo(id: Id, showLoading?: ShowLoading): Promise<OperationLogInfo>;
+}
+
+declare const operationLogApi: OperationLogApi;
+
+export default operationLogApi;
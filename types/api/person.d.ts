@@ -0,0 +1,528 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type {
+  Attachment,
+  Contact,
+  InfoWithEntity,
+  Page,
+  Person,
+  PersonInfo,
+} from '@qubit-ltd/common-model';
+import type {
+  CriteriaDefinition,
+  CursorPageRequest,
+  Id,
+  ModelClass,
+  PageRequest,
+  RouteDefinition,
+  ShowLoading,
+  SortRequest,
+} from '../common';
+import type { RequestOptions } from './impl/request-options';
+import type { ExportResult } from './impl/export-impl';
+import type { ExportAsyncOptions } from './impl/export-async-impl';
+import type { IterateOptions } from './impl/iterate-impl';
+import type BatchResult from '../model/BatchResult';
+import type CursorPage from '../model/CursorPage';
+import type ImportReport from '../model/ImportReport';
+import type Criteria from '../params/Criteria';
+
+/**
+ * `personApi`的查询条件。
+ */
+export interface PersonCriteria {
+  name?: string;
+  username?: string;
+  gender?: object | string;
+  birthdayStart?: string;
+  birthdayEnd?: string;
+  credentialType?: object | string;
+  credentialNumber?: string;
+  hasMedicare?: boolean;
+  medicareType?: object | string;
+  medicareCityId?: Id;
+  medicareCityCode?: string;
+  medicareCityName?: string;
+  hasSocialSecurity?: boolean;
+  socialSecurityCityId?: Id;
+  socialSecurityCityCode?: string;
+  socialSecurityCityName?: string;
+  sourceId?: Id;
+  sourceCode?: string;
+  sourceName?: string;
+  categoryId?: Id;
+  categoryCode?: string;
+  categoryName?: string;
+  phone?: string;
+  mobile?: string;
+  email?: string;
+  guardianId?: Id;
+  organizationId?: Id;
+  organizationCode?: string;
+  organizationName?: string;
+  test?: boolean;
+  deleted?: boolean;
+  createTimeStart?: string;
+  createTimeEnd?: string;
+  modifyTimeStart?: string;
+  modifyTimeEnd?: string;
+  deleteTimeStart?: string;
+  deleteTimeEnd?: string;
+}
+
+/**
+ * 提供管理`Person`对象的API。
+ */
+declare class PersonApi {
+  /**
+   * 此API所管理的实体对象的类。
+   */
+  entityClass: ModelClass<Person>;
+
+  /**
+   * 此API所管理的实体对象的基本信息的类。
+   */
+  entityInfoClass: ModelClass<PersonInfo>;
+
+  /**
+   * 查询条件定义。
+   */
+  CRITERIA_DEFINITIONS: CriteriaDefinition[];
+
+  /**
+   * 路由定义，用于生成OpenAPI文档。
+   */
+  ROUTE_DEFINITIONS: RouteDefinition[];
+
+  /**
+   * 列出符合条件的`Person`对象。
+   */
+  list(
+    pageRequest?: PageRequest,
+    criteria?: PersonCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    transformUrls?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<Page<Person>>;
+  list(
+    pageRequest: CursorPageRequest,
+    criteria?: PersonCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    transformUrls?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<CursorPage<Person>>;
+  list(
+    pageRequest?: PageRequest,
+    criteria?: PersonCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { transformUrls?: boolean },
+  ): Promise<Page<Person>>;
+  list(
+    pageRequest: CursorPageRequest,
+    criteria?: PersonCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { transformUrls?: boolean },
+  ): Promise<CursorPage<Person>>;
+
+  /**
+   * 逐页遍历符合条件的`Person`对象。
+   */
+  iterate(
+    criteria?: PersonCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: IterateOptions,
+  ): AsyncGenerator<Person>;
+
+  /**
+   * 获取全部符合条件的`Person`对象。
+   */
+  listAll(
+    criteria?: PersonCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: IterateOptions,
+  ): Promise<Person[]>;
+
+  /**
+   * 列出符合条件的`Person`对象的基本信息。
+   */
+  listInfo(
+    pageRequest?: PageRequest,
+    criteria?: PersonCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<Page<PersonInfo>>;
+  listInfo(
+    pageRequest: CursorPageRequest,
+    criteria?: PersonCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<CursorPage<PersonInfo>>;
+
+  /**
+   * 获取指定的`Person`对象。
+   */
+  get(id: Id, transformUrls?: boolean, showLoading?: ShowLoading): Promise<Person>;
+  get(id: Id, options?: RequestOptions & { transformUrls?: boolean }): Promise<Person>;
+
+  /**
+   * 获取指定的`Person`对象。
+   */
+  getByUsername(
+    username: string,
+    transformUrls?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<Person>;
+  getByUsername(
+    username: string,
+    options?: RequestOptions & { transformUrls?: boolean },
+  ): Promise<Person>;
+
+  /**
+   * 获取指定的`Person`对象的基本信息。
+   */
+  getInfo(id: Id, showLoading?: ShowLoading): Promise<PersonInfo>;
+
+  /**
+   * 获取指定的`Person`对象的基本信息。
+   */
+  getInfoByUsername(username: string, showLoading?: ShowLoading): Promise<PersonInfo>;
+
+  /**
+   * 获取指定的`Person`对象所属分类的基本信息。
+   */
+  getCategory(id: Id, showLoading?: ShowLoading): Promise<InfoWithEntity | null>;
+
+  /**
+   * 获取指定的`Person`对象的照片。
+   */
+  getPhoto(id: Id, transformUrls?: boolean, showLoading?: ShowLoading): Promise<Attachment>;
+  getPhoto(id: Id, options?: RequestOptions & { transformUrls?: boolean }): Promise<Attachment>;
+
+  /**
+   * 添加一个`Person`对象。
+   */
+  add(
+    entity: Person,
+    withUser?: boolean,
+    transformUrls?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<Person>;
+  add(
+    entity: Person,
+    options?: RequestOptions & { withUser?: boolean, transformUrls?: boolean },
+  ): Promise<Person>;
+
+  /**
+   * 根据ID，更新一个`Person`对象。
+   */
+  update(entity: Person, withUser?: boolean, showLoading?: ShowLoading): Promise<Person>;
+  update(entity: Person, options?: RequestOptions & { withUser?: boolean }): Promise<Person>;
+
+  /**
+   * 根据ID，更新一个`Person`对象的联系方式。
+   */
+  updateContact(
+    id: Id,
+    contact: Contact,
+    withUser?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<string>;
+  updateContact(
+    id: Id,
+    contact: Contact,
+    options?: RequestOptions & { withUser?: boolean },
+  ): Promise<string>;
+
+  /**
+   * 根据ID，更新一个`Person`对象的备注。
+   */
+  updateComment(
+    id: Id,
+    comment: string,
+    withUser?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<string>;
+  updateComment(
+    id: Id,
+    comment: string,
+    options?: RequestOptions & { withUser?: boolean },
+  ): Promise<string>;
+
+  /**
+   * 根据ID，更新一个`Person`对象的照片。
+   */
+  updatePhoto(
+    id: Id,
+    photo: Attachment,
+    transformUrls?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<Attachment>;
+  updatePhoto(
+    id: Id,
+    photo: Attachment,
+    options?: RequestOptions & { transformUrls?: boolean },
+  ): Promise<Attachment>;
+
+  /**
+   * 根据ID，标记删除一个`Person`对象。
+   */
+  delete(id: string, withUser?: boolean, showLoading?: ShowLoading): Promise<void>;
+  delete(id: string, options?: RequestOptions & { withUser?: boolean }): Promise<void>;
+
+  /**
+   * 批量标记删除`Person`对象。
+   */
+  batchDelete(
+    ids: Id[],
+    withUser: boolean,
+    options: RequestOptions & { batchResult: true },
+  ): Promise<BatchResult<Id>>;
+  batchDelete(
+    ids: Id[],
+    options: RequestOptions & { withUser?: boolean, batchResult: true },
+  ): Promise<BatchResult<Id>>;
+  batchDelete(
+    ids: Id[],
+    withUser?: boolean | Record<string, any>,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+
+  /**
+   * 根据ID，恢复一个被标记删除的`Person`对象。
+   */
+  restore(id: string, withUser?: boolean, showLoading?: ShowLoading): Promise<void>;
+  restore(id: string, options?: RequestOptions & { withUser?: boolean }): Promise<void>;
+
+  /**
+   * 批量恢复被标记删除的`Person`对象。
+   */
+  batchRestore(
+    ids: Id[],
+    withUser: boolean,
+    options: RequestOptions & { batchResult: true },
+  ): Promise<BatchResult<Id>>;
+  batchRestore(
+    ids: Id[],
+    options: RequestOptions & { withUser?: boolean, batchResult: true },
+  ): Promise<BatchResult<Id>>;
+  batchRestore(
+    ids: Id[],
+    withUser?: boolean | Record<string, any>,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+
+  /**
+   * 根据ID，清除一个被标记删除的`Person`对象。
+   */
+  purge(id: string, withUser?: boolean, showLoading?: ShowLoading): Promise<void>;
+  purge(id: string, options?: RequestOptions & { withUser?: boolean }): Promise<void>;
+
+  /**
+   * 彻底清除全部已被标记删除的`Person`对象。
+   */
+  purgeAll(withUser?: boolean, showLoading?: ShowLoading): Promise<void>;
+  purgeAll(options?: RequestOptions & { withUser?: boolean }): Promise<void>;
+
+  /**
+   * 批量清除已被标记删除的`Person`对象。
+   */
+  batchPurge(
+    ids: Id[],
+    withUser: boolean,
+    options: RequestOptions & { batchResult: true },
+  ): Promise<BatchResult<Id>>;
+  batchPurge(
+    ids: Id[],
+    options: RequestOptions & { withUser?: boolean, batchResult: true },
+  ): Promise<BatchResult<Id>>;
+  batchPurge(
+    ids: Id[],
+    withUser?: boolean | Record<string, any>,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+
+  /**
+   * 根据ID，擦除一个`Person`对象，无论其是否被标记删除。
+   */
+  erase(id: Id, withUser?: boolean, showLoading?: ShowLoading): Promise<void>;
+  erase(id: Id, options?: RequestOptions & { withUser?: boolean }): Promise<void>;
+
+  /**
+   * 根据用户名，擦除一个`Person`对象，无论其是否被标记删除。
+   */
+  eraseByUsername(username: string, withUser?: boolean, showLoading?: ShowLoading): Promise<void>;
+  eraseByUsername(
+    username: string,
+    options?: RequestOptions & { withUser?: boolean },
+  ): Promise<void>;
+
+  /**
+   * 批量擦除`Person`对象，无论其是否被标记删除。
+   */
+  batchErase(
+    ids: Id[],
+    withUser: boolean,
+    options: RequestOptions & { batchResult: true },
+  ): Promise<BatchResult<Id>>;
+  batchErase(
+    ids: Id[],
+    options: RequestOptions & { withUser?: boolean, batchResult: true },
+  ): Promise<BatchResult<Id>>;
+  batchErase(
+    ids: Id[],
+    withUser?: boolean | Record<string, any>,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+
+  /**
+   * 导出符合条件的`Person`对象为XML文件。
+   */
+  exportXml(
+    criteria?: PersonCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    autoDownload?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<ExportResult>;
+  exportXml(
+    criteria?: PersonCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { autoDownload?: boolean },
+  ): Promise<ExportResult>;
+
+  /**
+   * 导出符合条件的`Person`对象为JSON文件。
+   */
+  exportJson(
+    criteria?: PersonCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    autoDownload?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<ExportResult>;
+  exportJson(
+    criteria?: PersonCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { autoDownload?: boolean },
+  ): Promise<ExportResult>;
+
+  /**
+   * 导出符合条件的`Person`对象为Excel文件。
+   */
+  exportExcel(
+    criteria?: PersonCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    autoDownload?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<ExportResult>;
+  exportExcel(
+    criteria?: PersonCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { autoDownload?: boolean },
+  ): Promise<ExportResult>;
+
+  /**
+   * 导出符合条件的`Person`对象为CSV文件。
+   */
+  exportCsv(
+    criteria?: PersonCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    autoDownload?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<ExportResult>;
+  exportCsv(
+    criteria?: PersonCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { autoDownload?: boolean },
+  ): Promise<ExportResult>;
+
+  /**
+   * 以服务器端异步任务的方式导出符合条件的`Person`对象。
+   */
+  exportAsync(
+    format: string,
+    criteria?: PersonCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: ExportAsyncOptions,
+  ): Promise<ExportResult>;
+
+  /**
+   * 从XML文件导入`Person`对象。
+   */
+  importXml(
+    file: File | Blob,
+    options: RequestOptions & { parallel?: boolean, threads?: number } & ({ dryRun: true } | { importReport: true }),
+  ): Promise<ImportReport>;
+  importXml(
+    file: File | Blob,
+    parallel?: boolean,
+    threads?: number,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+  importXml(
+    file: File | Blob,
+    options?: RequestOptions & { parallel?: boolean, threads?: number },
+  ): Promise<number>;
+
+  /**
+   * 从JSON文件导入`Person`对象。
+   */
+  importJson(
+    file: File | Blob,
+    options: RequestOptions & { parallel?: boolean, threads?: number } & ({ dryRun: true } | { importReport: true }),
+  ): Promise<ImportReport>;
+  importJson(
+    file: File | Blob,
+    parallel?: boolean,
+    threads?: number,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+  importJson(
+    file: File | Blob,
+    options?: RequestOptions & { parallel?: boolean, threads?: number },
+  ): Promise<number>;
+
+  /**
+   * 从Excel文件导入`Person`对象。
+   */
+  importExcel(
+    file: File | Blob,
+    options: RequestOptions & { parallel?: boolean, threads?: number } & ({ dryRun: true } | { importReport: true }),
+  ): Promise<ImportReport>;
+  importExcel(
+    file: File | Blob,
+    parallel?: boolean,
+    threads?: number,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+  importExcel(
+    file: File | Blob,
+    options?: RequestOptions & { parallel?: boolean, threads?: number },
+  ): Promise<number>;
+
+  /**
+   * 从CSV文件导入`Person`对象。
+   */
+  importCsv(
+    file: File | Blob,
+    options: RequestOptions & { parallel?: boolean, threads?: number } & ({ dryRun: true } | { importReport: true }),
+  ): Promise<ImportReport>;
+  importCsv(
+    file: File | Blob,
+    parallel?: boolean,
+    threads?: number,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+  importCsv(
+    file: File | Blob,
+    options?: RequestOptions & { parallel?: boolean, threads?: number },
+  ): Promise<number>;
+}
+
+declare const personApi: PersonApi;
+
+export default personApi;
@@ -0,0 +1,345 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { Page, Role, State, StatefulInfo } from '@qubit-ltd/common-model';
+import type {
+  CriteriaDefinition,
+  CursorPageRequest,
+  Id,
+  ModelClass,
+  PageRequest,
+  RouteDefinition,
+  ShowLoading,
+  SortRequest,
+} from '../common';
+import type { RequestOptions } from './impl/request-options';
+import type { ExportResult } from './impl/export-impl';
+import type { ExportAsyncOptions } from './impl/export-async-impl';
+import type { IterateOptions } from './impl/iterate-impl';
+import type BatchResult from '../model/BatchResult';
+import type CursorPage from '../model/CursorPage';
+import type ImportReport from '../model/ImportReport';
+import type Criteria from '../params/Criteria';
+
+/**
+ * `roleApi`的查询条件。
+ */
+export interface RoleCriteria {
+  appId?: Id;
+  appCode?: string;
+  appName?: string;
+  name?: string;
+  guest?: boolean;
+  basic?: boolean;
+  state?: string;
+  deleted?: boolean;
+  createTimeStart?: string;
+  createTimeEnd?: string;
+  modifyTimeStart?: string;
+  modifyTimeEnd?: string;
+  deleteTimeStart?: string;
+  deleteTimeEnd?: string;
+}
+
+/**
+ * 提供管理`Role`对象的API。
+ */
+declare class RoleApi {
+  /**
+   * 此API所管理的实体对象的类。
+   */
+  entityClass: ModelClass<Role>;
+
+  /**
+   * 此API所管理的实体对象的基本信息的类。
+   */
+  entityInfoClass: ModelClass<StatefulInfo>;
+
+  /**
+   * 查询条件定义。
+   */
+  CRITERIA_DEFINITIONS: CriteriaDefinition[];
+
+  /**
+   * 路由定义，用于生成OpenAPI文档。
+   */
+  ROUTE_DEFINITIONS: RouteDefinition[];
+
+  /**
+   * 列出符合条件的`Role`对象。
+   */
+  list(
+    pageRequest?: PageRequest,
+    criteria?: RoleCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<Page<Role>>;
+  list(
+    pageRequest: CursorPageRequest,
+    criteria?: RoleCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<CursorPage<Role>>;
+
+  /**
+   * 逐页遍历符合条件的`Role`对象。
+   */
+  iterate(
+    criteria?: RoleCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: IterateOptions,
+  ): AsyncGenerator<Role>;
+
+  /**
+   * 获取全部符合条件的`Role`对象。
+   */
+  listAll(
+    criteria?: RoleCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: IterateOptions,
+  ): Promise<Role[]>;
+
+  /**
+   * 列出符合条件的`Role`对象的基本信息。
+   */
+  listInfo(
+    pageRequest?: PageRequest,
+    criteria?: RoleCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<Page<StatefulInfo>>;
+  listInfo(
+    pageRequest: CursorPageRequest,
+    criteria?: RoleCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<CursorPage<StatefulInfo>>;
+
+  /**
+   * 根据ID，获取指定的`Role`对象。
+   */
+  get(id: Id, showLoading?: ShowLoading): Promise<Role>;
+
+  /**
+   * 根据ID，获取指定的`Role`对象的基本信息。
+   */
+  getInfo(id: Id, showLoading?: ShowLoading): Promise<StatefulInfo>;
+
+  /**
+   * 创建一个新`Role`。
+   */
+  add(entity: Role, showLoading?: ShowLoading): Promise<Role>;
+
+  /**
+   * 更新一个指定的`Role`。
+   */
+  update(entity: Role, showLoading?: ShowLoading): Promise<Role>;
+
+  /**
+   * 根据ID，更新一个`Role`对象的状态。
+   */
+  updateState(id: Id, state: State | string, showLoading?: ShowLoading): Promise<string>;
+
+  /**
+   * 标记删除指定的`Role`。
+   */
+  delete(id: Id, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 批量标记删除指定的`Role`。
+   */
+  batchDelete(ids: Id[], options: RequestOptions & { batchResult: true }): Promise<BatchResult<Id>>;
+  batchDelete(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+
+  /**
+   * 恢复指定的已被标记删除的`Role`。
+   */
+  restore(id: Id, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 批量恢复已被标记删除的`Role`。
+   */
+  batchRestore(
+    ids: Id[],
+    options: RequestOptions & { batchResult: true },
+  ): Promise<BatchResult<Id>>;
+  batchRestore(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+
+  /**
+   * 彻底清除指定的已被标记删除的`Role`。
+   */
+  purge(id: Id, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 彻底清除全部已被标记删除的`Role`。
+   */
+  purgeAll(showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 批量彻底清除已被标记删除的`Role`。
+   */
+  batchPurge(ids: Id[], options: RequestOptions & { batchResult: true }): Promise<BatchResult<Id>>;
+  batchPurge(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+
+  /**
+   * 彻底清除指定的`Role`。
+   */
+  erase(id: Id, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 批量彻底删除指定的`Role`。
+   */
+  batchErase(ids: Id[], options: RequestOptions & { batchResult: true }): Promise<BatchResult<Id>>;
+  batchErase(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+
+  /**
+   * 导出选中的`Role`为XML格式。
+   */
+  exportXml(
+    criteria?: RoleCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    autoDownload?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<void | Blob>;
+  exportXml(
+    criteria?: RoleCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { autoDownload?: boolean },
+  ): Promise<void | Blob>;
+
+  /**
+   * 导出选中的`Role`为JSON格式。
+   */
+  exportJson(
+    criteria?: RoleCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    autoDownload?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<void | Blob>;
+  exportJson(
+    criteria?: RoleCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { autoDownload?: boolean },
+  ): Promise<void | Blob>;
+
+  /**
+   * 导出选中的`Role`为Excel格式。
+   */
+  exportExcel(
+    criteria?: RoleCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    autoDownload?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<void | Blob>;
+  exportExcel(
+    criteria?: RoleCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { autoDownload?: boolean },
+  ): Promise<void | Blob>;
+
+  /**
+   * 导出选中的`Role`为CSV格式。
+   */
+  exportCsv(
+    criteria?: RoleCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    autoDownload?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<void | Blob>;
+  exportCsv(
+    criteria?: RoleCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { autoDownload?: boolean },
+  ): Promise<void | Blob>;
+
+  /**
+   * 以服务器端异步任务的方式导出符合条件的`Role`对象。
+   */
+  exportAsync(
+    format: string,
+    criteria?: RoleCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: ExportAsyncOptions,
+  ): Promise<ExportResult>;
+
+  /**
+   * 从XML文件导入`Role`对象。
+   */
+  importXml(
+    file: Blob | File,
+    options: RequestOptions & { parallel?: boolean, threads?: number | null } & ({ dryRun: true } | { importReport: true }),
+  ): Promise<ImportReport>;
+  importXml(
+    file: Blob | File,
+    parallel?: boolean,
+    threads?: number | null,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+  importXml(
+    file: Blob | File,
+    options?: RequestOptions & { parallel?: boolean, threads?: number | null },
+  ): Promise<number>;
+
+  /**
+   * 从JSON文件导入`Role`对象。
+   */
+  importJson(
+    file: Blob | File,
+    options: RequestOptions & { parallel?: boolean, threads?: number | null } & ({ dryRun: true } | { importReport: true }),
+  ): Promise<ImportReport>;
+  importJson(
+    file: Blob | File,
+    parallel?: boolean,
+    threads?: number | null,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+  importJson(
+    file: Blob | File,
+    options?: RequestOptions & { parallel?: boolean, threads?: number | null },
+  ): Promise<number>;
+
+  /**
+   * 从Excel文件导入`Role`对象。
+   */
+  importExcel(
+    file: Blob | File,
+    options: RequestOptions & { parallel?: boolean, threads?: number | null } & ({ dryRun: true } | { importReport: true }),
+  ): Promise<ImportReport>;
+  importExcel(
+    file: Blob | File,
+    parallel?: boolean,
+    threads?: number | null,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+  importExcel(
+    file: Blob | File,
+    options?: RequestOptions & { parallel?: boolean, threads?: number | null },
+  ): Promise<number>;
+
+  /**
+   * 从CSV文件导入`Role`对象。
+   */
+  importCsv(
+    file: Blob | File,
+    options: RequestOptions & { parallel?: boolean, threads?: number | null } & ({ dryRun: true } | { importReport: true }),
+  ): Promise<ImportReport>;
+  importCsv(
+    file: Blob | File,
+    parallel?: boolean,
+    threads?: number | null,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+  importCsv(
+    file: Blob | File,
+    options?: RequestOptions & { parallel?: boolean, threads?: number | null },
+  ): Promise<number>;
+}
+
+declare const roleApi: RoleApi;
+
+export default roleApi;
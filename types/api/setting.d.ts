@@ -0,0 +1,331 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { Page, Setting } from '@qubit-ltd/common-model';
+import type {
+  CriteriaDefinition,
+  CursorPageRequest,
+  ModelClass,
+  PageRequest,
+  RouteDefinition,
+  ShowLoading,
+  SortRequest,
+} from '../common';
+import type { RequestOptions } from './impl/request-options';
+import type { ExportResult } from './impl/export-impl';
+import type { ExportAsyncOptions } from './impl/export-async-impl';
+import type { IterateOptions } from './impl/iterate-impl';
+import type CursorPage from '../model/CursorPage';
+import type ImportReport from '../model/ImportReport';
+import type Criteria from '../params/Criteria';
+
+/**
+ * `settingApi`的查询条件。
+ */
+export interface SettingCriteria {
+  name?: string;
+  readonly?: boolean;
+  nullable?: boolean;
+  multiple?: boolean;
+  encrypted?: boolean;
+}
+
+/**
+ * 提供管理`Setting`对象的API。
+ */
+declare class SettingApi {
+  /**
+   * 此API所管理的实体对象的类。
+   */
+  entityClass: ModelClass<Setting>;
+
+  /**
+   * 查询条件定义。
+   */
+  CRITERIA_DEFINITIONS: CriteriaDefinition[];
+
+  /**
+   * 路由定义，用于生成OpenAPI文档。
+   */
+  ROUTE_DEFINITIONS: RouteDefinition[];
+
+  /**
+   * 列出符合条件的`Setting`对象。
+   */
+  list(
+    pageRequest?: PageRequest,
+    criteria?: SettingCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<Page<Setting>>;
+  list(
+    pageRequest: CursorPageRequest,
+    criteria?: SettingCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<CursorPage<Setting>>;
+
+  /**
+   * 逐页遍历符合条件的`Setting`对象。
+   */
+  iterate(
+    criteria?: SettingCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: IterateOptions,
+  ): AsyncGenerator<Setting>;
+
+  /**
+   * 获取全部符合条件的`Setting`对象。
+   */
+  listAll(
+    criteria?: SettingCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: IterateOptions,
+  ): Promise<Setting[]>;
+
+  /**
+   * 获取指定的`Setting`对象。
+   */
+  get(name: string, showLoading?: ShowLoading): Promise<Setting>;
+
+  /**
+   * 添加一个`Setting`对象。
+   */
+  add(setting: Setting, showLoading?: ShowLoading): Promise<Setting>;
+
+  /**
+   * 根据ID，更新一个`Setting`对象。
+   */
+  update(name: string, value: string, showLoading?: ShowLoading): Promise<Setting>;
+
+  /**
+   * 以布尔值形式获取指定设置的值。
+   */
+  getBool(name: string, showLoading?: ShowLoading): Promise<boolean | null>;
+
+  /**
+   * 以数字形式获取指定设置的值。
+   */
+  getInt(name: string, showLoading?: ShowLoading): Promise<number | null>;
+
+  /**
+   * 以长整数形式获取指定设置的值。
+   */
+  getLong(name: string, showLoading?: ShowLoading): Promise<number | bigint | null>;
+
+  /**
+   * 以浮点数形式获取指定设置的值。
+   */
+  getFloat(name: string, showLoading?: ShowLoading): Promise<number | null>;
+
+  /**
+   * 以双精度浮点数形式获取指定设置的值。
+   */
+  getDouble(name: string, showLoading?: ShowLoading): Promise<number | null>;
+
+  /**
+   * 以字符串形式获取指定设置的值。
+   */
+  getString(name: string, showLoading?: ShowLoading): Promise<string | null>;
+
+  /**
+   * 以日期形式获取指定设置的值。
+   */
+  getDate(name: string, showLoading?: ShowLoading): Promise<Date | null>;
+
+  /**
+   * 以布尔值的形式设置指定设置的值。
+   */
+  setBool(name: string, value: boolean, showLoading?: ShowLoading): Promise<string>;
+
+  /**
+   * 以整数的形式设置指定设置的值。
+   */
+  setInt(name: string, value: number, showLoading?: ShowLoading): Promise<string>;
+
+  /**
+   * 以长整数的形式设置指定设置的值。
+   */
+  setLong(name: string, value: number | bigint, showLoading?: ShowLoading): Promise<string>;
+
+  /**
+   * 以浮点数的形式设置指定设置的值。
+   */
+  setFloat(name: string, value: number, showLoading?: ShowLoading): Promise<string>;
+
+  /**
+   * 以双精度浮点数的形式设置指定设置的值。
+   */
+  setDouble(name: string, value: number, showLoading?: ShowLoading): Promise<string>;
+
+  /**
+   * 以字符串的形式设置指定设置的值。
+   */
+  setString(name: string, value: string, showLoading?: ShowLoading): Promise<string>;
+
+  /**
+   * 以日期的形式设置指定设置的值。
+   */
+  setDate(name: string, value: Date, showLoading?: ShowLoading): Promise<string>;
+
+  /**
+   * 检查并更新指定的设置的值。
+   */
+  checkAndUpdate(name: string, value: any, showLoading?: ShowLoading): Promise<string>;
+
+  /**
+   * 根据名称更新一个已存在的`Setting`的类型和取值。
+   */
+  updateTypeValueByName(setting: Setting, showLoading?: ShowLoading): Promise<string>;
+
+  /**
+   * 导出符合条件的`Setting`对象为XML文件。
+   */
+  exportXml(
+    criteria?: SettingCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    autoDownload?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<ExportResult>;
+  exportXml(
+    criteria?: SettingCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { autoDownload?: boolean },
+  ): Promise<ExportResult>;
+
+  /**
+   * 导出符合条件的`Setting`对象为JSON文件。
+   */
+  exportJson(
+    criteria?: SettingCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    autoDownload?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<ExportResult>;
+  exportJson(
+    criteria?: SettingCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { autoDownload?: boolean },
+  ): Promise<ExportResult>;
+
+  /**
+   * 导出符合条件的`Setting`对象为Excel文件。
+   */
+  exportExcel(
+    criteria?: SettingCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    autoDownload?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<ExportResult>;
+  exportExcel(
+    criteria?: SettingCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { autoDownload?: boolean },
+  ): Promise<ExportResult>;
+
+  /**
+   * 导出符合条件的`Setting`对象为CSV文件。
+   */
+  exportCsv(
+    criteria?: SettingCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    autoDownload?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<ExportResult>;
+  exportCsv(
+    criteria?: SettingCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { autoDownload?: boolean },
+  ): Promise<ExportResult>;
+
+  /**
+   * 以服务器端异步任务的方式导出符合条件的`Setting`对象。
+   */
+  exportAsync(
+    format: string,
+    criteria?: SettingCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: ExportAsyncOptions,
+  ): Promise<ExportResult>;
+
+  /**
+   * 从XML文件导入`Setting`对象。
+   */
+  importXml(
+    file: File | Blob,
+    options: RequestOptions & { parallel?: boolean, threads?: number | null } & ({ dryRun: true } | { importReport: true }),
+  ): Promise<ImportReport>;
+  importXml(
+    file: File | Blob,
+    parallel?: boolean,
+    threads?: number | null,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+  importXml(
+    file: File | Blob,
+    options?: RequestOptions & { parallel?: boolean, threads?: number | null },
+  ): Promise<number>;
+
+  /**
+   * 从JSON文件导入`Setting`对象。
+   */
+  importJson(
+    file: File | Blob,
+    options: RequestOptions & { parallel?: boolean, threads?: number | null } & ({ dryRun: true } | { importReport: true }),
+  ): Promise<ImportReport>;
+  importJson(
+    file: File | Blob,
+    parallel?: boolean,
+    threads?: number | null,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+  importJson(
+    file: File | Blob,
+    options?: RequestOptions & { parallel?: boolean, threads?: number | null },
+  ): Promise<number>;
+
+  /**
+   * 从Excel文件导入`Setting`对象。
+   */
+  importExcel(
+    file: File | Blob,
+    options: RequestOptions & { parallel?: boolean, threads?: number | null } & ({ dryRun: true } | { importReport: true }),
+  ): Promise<ImportReport>;
+  importExcel(
+    file: File | Blob,
+    parallel?: boolean,
+    threads?: number | null,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+  importExcel(
+    file: File | Blob,
+    options?: RequestOptions & { parallel?: boolean, threads?: number | null },
+  ): Promise<number>;
+
+  /**
+   * 从CSV文件导入`Setting`对象。
+   */
+  importCsv(
+    file: File | Blob,
+    options: RequestOptions & { parallel?: boolean, threads?: number | null } & ({ dryRun: true } | { importReport: true }),
+  ): Promise<ImportReport>;
+  importCsv(
+    file: File | Blob,
+    parallel?: boolean,
+    threads?: number | null,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+  importCsv(
+    file: File | Blob,
+    options?: RequestOptions & { parallel?: boolean, threads?: number | null },
+  ): Promise<number>;
+}
+
+declare const settingApi: SettingApi;
+
+export default settingApi;
@@ -0,0 +1,34 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { Software } from '@qubit-ltd/common-model';
+import type { RouteDefinition, ShowLoading } from '../common';
+
+/**
+ * 提供管理系统信息和系统配置的API。
+ */
+declare class SystemApi {
+  /**
+   * 路由定义，用于生成OpenAPI文档。
+   */
+  ROUTE_DEFINITIONS: RouteDefinition[];
+
+  /**
+   * 获取系统信息。
+   */
+  getInfo(showLoading?: ShowLoading): Promise<Software>;
+
+  /**
+   * 获取服务器系统时间。
+   */
+  getTime(showLoading?: ShowLoading): Promise<string>;
+}
+
+declare const systemApi: SystemApi;
+
+export default systemApi;
@@ -0,0 +1,116 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { Page, TaskInfo, TaskStatus } from '@qubit-ltd/common-model';
+import type {
+  CriteriaDefinition,
+  CursorPageRequest,
+  Id,
+  ModelClass,
+  PageRequest,
+  RouteDefinition,
+  ShowLoading,
+  SortRequest,
+} from '../common';
+import type { IterateOptions } from './impl/iterate-impl';
+import type CursorPage from '../model/CursorPage';
+import type Criteria from '../params/Criteria';
+
+/**
+ * `taskInfoApi`的查询条件。
+ */
+export interface TaskInfoCriteria {
+  categoryId?: Id;
+  categoryCode?: string;
+  categoryName?: string;
+  targetEntity?: string;
+  targetId?: Id;
+  resultEntity?: string;
+  resultId?: Id;
+  status?: TaskStatus | string;
+  submitTimeStart?: string;
+  submitTimeEnd?: string;
+  startTimeStart?: string;
+  startTimeEnd?: string;
+  cancelTimeStart?: string;
+  cancelTimeEnd?: string;
+  finishTimeStart?: string;
+  finishTimeEnd?: string;
+  createTimeStart?: string;
+  createTimeEnd?: string;
+  modifyTimeStart?: string;
+  modifyTimeEnd?: string;
+}
+
+/**
+ * 提供管理`TaskInfo`对象的API。
+ */
+declare class TaskInfoApi {
+  /**
+   * 此API所管理的实体对象的类。
+   */
+  entityClass: ModelClass<TaskInfo>;
+
+  /**
+   * 查询条件定义。
+   */
+  CRITERIA_DEFINITIONS: CriteriaDefinition[];
+
+  /**
+   * 路由定义，用于生成OpenAPI文档。
+   */
+  ROUTE_DEFINITIONS: RouteDefinition[];
+
+  /**
+   * 列出符合条件的`TaskInfo`对象。
+   */
+  list(
+    pageRequest?: PageRequest,
+    criteria?: TaskInfoCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<Page<TaskInfo>>;
+  list(
+    pageRequest: CursorPageRequest,
+    criteria?: TaskInfoCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<CursorPage<TaskInfo>>;
+
+  /**
+   * 逐页遍历符合条件的`TaskInfo`对象。
+   */
+  iterate(
+    criteria?: TaskInfoCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: IterateOptions,
+  ): AsyncGenerator<TaskInfo>;
+
+  /**
+   * 获取全部符合条件的`TaskInfo`对象。
+   */
+  listAll(
+    criteria?: TaskInfoCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: IterateOptions,
+  ): Promise<TaskInfo[]>;
+
+  /**
+   * 获取指定的`TaskInfo`对象。
+   */
+  get(id: Id, showLoading?: ShowLoading): Promise<TaskInfo>;
+
+  /**
+   * 获取指定的`TaskInfo`的状态。
+   */
+  getStatus(id: Id, showLoading?: ShowLoading): Promise<TaskStatus>;
+}
+
+declare const taskInfoApi: TaskInfoApi;
+
+export default taskInfoApi;
@@ -0,0 +1,167 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { AttachmentType, Page, Upload } from '@qubit-ltd/common-model';
+import type {
+  CriteriaDefinition,
+  CursorPageRequest,
+  Id,
+  ModelClass,
+  PageRequest,
+  RouteDefinition,
+  ShowLoading,
+  SortRequest,
+} from '../common';
+import type { RequestOptions } from './impl/request-options';
+import type { IterateOptions } from './impl/iterate-impl';
+import type BatchResult from '../model/BatchResult';
+import type CursorPage from '../model/CursorPage';
+import type Criteria from '../params/Criteria';
+
+/**
+ * `uploadApi`的查询条件。
+ */
+export interface UploadCriteria {
+  originalFilename?: string;
+  type?: AttachmentType | string;
+  deleted?: boolean;
+  createTimeStart?: string;
+  createTimeEnd?: string;
+  deleteTimeStart?: string;
+  deleteTimeEnd?: string;
+}
+
+/**
+ * 提供管理`Upload`对象的API。
+ */
+declare class UploadApi {
+  /**
+   * 此API所管理的实体对象的类。
+   */
+  entityClass: ModelClass<Upload>;
+
+  /**
+   * 查询条件定义。
+   */
+  CRITERIA_DEFINITIONS: CriteriaDefinition[];
+
+  /**
+   * 路由定义，用于生成OpenAPI文档。
+   */
+  ROUTE_DEFINITIONS: RouteDefinition[];
+
+  /**
+   * 列出符合条件的`Upload`对象。
+   */
+  list(
+    pageRequest?: PageRequest,
+    criteria?: UploadCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    transformUrls?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<Page<Upload>>;
+  list(
+    pageRequest: CursorPageRequest,
+    criteria?: UploadCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    transformUrls?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<CursorPage<Upload>>;
+  list(
+    pageRequest?: PageRequest,
+    criteria?: UploadCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { transformUrls?: boolean },
+  ): Promise<Page<Upload>>;
+  list(
+    pageRequest: CursorPageRequest,
+    criteria?: UploadCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { transformUrls?: boolean },
+  ): Promise<CursorPage<Upload>>;
+
+  /**
+   * 逐页遍历符合条件的`Upload`对象。
+   */
+  iterate(
+    criteria?: UploadCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: IterateOptions,
+  ): AsyncGenerator<Upload>;
+
+  /**
+   * 获取全部符合条件的`Upload`对象。
+   */
+  listAll(
+    criteria?: UploadCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: IterateOptions,
+  ): Promise<Upload[]>;
+
+  /**
+   * 获取指定的`Upload`对象。
+   */
+  get(id: Id, transformUrls?: boolean, showLoading?: ShowLoading): Promise<Upload>;
+  get(id: Id, options?: RequestOptions & { transformUrls?: boolean }): Promise<Upload>;
+
+  /**
+   * 根据ID，标记删除一个`Upload`对象。
+   */
+  delete(id: string, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 批量标记删除指定的`Upload`对象。
+   */
+  batchDelete(ids: Id[], options: RequestOptions & { batchResult: true }): Promise<BatchResult<Id>>;
+  batchDelete(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+
+  /**
+   * 根据ID，恢复一个被标记删除的`Upload`对象。
+   */
+  restore(id: string, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 批量恢复指定的已被标记删除的`Upload`对象。
+   */
+  batchRestore(
+    ids: Id[],
+    options: RequestOptions & { batchResult: true },
+  ): Promise<BatchResult<Id>>;
+  batchRestore(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+
+  /**
+   * 根据ID，清除一个被标记删除的`Upload`对象。
+   */
+  purge(id: string, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 彻底清除全部已被标记删除的`Upload`对象。
+   */
+  purgeAll(showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 批量彻底清除指定的已被标记删除的`Upload`对象。
+   */
+  batchPurge(ids: Id[], options: RequestOptions & { batchResult: true }): Promise<BatchResult<Id>>;
+  batchPurge(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+
+  /**
+   * 彻底清除指定的`Upload`对象（无论其是否被标记删除）。
+   */
+  erase(id: string, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 批量彻底清除指定的`Upload`对象（无论其是否被标记删除）。
+   */
+  batchErase(ids: Id[], options: RequestOptions & { batchResult: true }): Promise<BatchResult<Id>>;
+  batchErase(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+}
+
+declare const uploadApi: UploadApi;
+
+export default uploadApi;
@@ -0,0 +1,98 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type {
+  LoginResponse,
+  RegisterUserParams,
+  SocialNetwork,
+  Token,
+} from '@qubit-ltd/common-model';
+import type { Id, RouteDefinition, ShowLoading } from '../common';
+
+/**
+ * 提供用户认证相关API。
+ */
+declare class UserAuthenticateApi {
+  /**
+   * 路由定义，用于生成OpenAPI文档。
+   */
+  ROUTE_DEFINITIONS: RouteDefinition[];
+
+  /**
+   * 注册新用户。
+   */
+  register(params: RegisterUserParams, showLoading?: ShowLoading): Promise<LoginResponse>;
+
+  /**
+   * 使用用户名密码登录。
+   */
+  loginByUsername(
+    username: string,
+    password: string,
+    showLoading?: ShowLoading,
+  ): Promise<LoginResponse>;
+
+  /**
+   * 使用手机号码和验证码登录。
+   */
+  loginByMobile(
+    mobile: string,
+    verifyCode: string,
+    showLoading?: ShowLoading,
+  ): Promise<LoginResponse>;
+
+  /**
+   * 使用社交网络的Open ID登录。
+   */
+  loginByOpenId(
+    socialNetwork: SocialNetwork | string,
+    appId: string,
+    openId: string,
+    showLoading?: ShowLoading,
+  ): Promise<LoginResponse>;
+
+  /**
+   * 用户注销登录。
+   */
+  logout(showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 获取当前已登录用户的登录信息。
+   */
+  getLoginInfo(showLoading?: ShowLoading): Promise<LoginResponse>;
+
+  /**
+   * 检查指定的用户ID和Access Token是否依旧有效。
+   */
+  checkToken(userId: Id, token: Token, showLoading?: ShowLoading): Promise<Token>;
+
+  /**
+   * 将当前登录用户的账号绑定到指定的Open ID。
+   */
+  bindOpenId(
+    socialNetwork: SocialNetwork | string,
+    appId: string,
+    openId: string,
+    showLoading?: ShowLoading,
+  ): Promise<any>;
+
+  /**
+   * 重置密码。
+   */
+  resetPassword(
+    mobile: string | null,
+    email: string | null,
+    password: string,
+    verifyCode: string,
+    showLoading?: ShowLoading,
+  ): Promise<void>;
+}
+
+declare const userAuthenticateApi: UserAuthenticateApi;
+
+export default userAuthenticateApi;
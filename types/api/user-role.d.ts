@@ -0,0 +1,257 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { Page, UserRole } from '@qubit-ltd/common-model';
+import type {
+  CriteriaDefinition,
+  CursorPageRequest,
+  Id,
+  ModelClass,
+  PageRequest,
+  RouteDefinition,
+  ShowLoading,
+  SortRequest,
+} from '../common';
+import type { RequestOptions } from './impl/request-options';
+import type { ExportResult } from './impl/export-impl';
+import type { ExportAsyncOptions } from './impl/export-async-impl';
+import type { IterateOptions } from './impl/iterate-impl';
+import type CursorPage from '../model/CursorPage';
+import type ImportReport from '../model/ImportReport';
+import type Criteria from '../params/Criteria';
+
+/**
+ * `userRoleApi`的查询条件。
+ */
+export interface UserRoleCriteria {
+  userId?: Id;
+  username?: string;
+  appId?: Id;
+  appCode?: string;
+  appName?: string;
+  roleId?: Id;
+  roleCode?: string;
+  roleName?: string;
+  createTimeStart?: string;
+  createTimeEnd?: string;
+}
+
+/**
+ * 提供管理`UserRole`对象的API。
+ */
+declare class UserRoleApi {
+  /**
+   * 此API所管理的实体对象的类。
+   */
+  entityClass: ModelClass<UserRole>;
+
+  /**
+   * 查询条件定义。
+   */
+  CRITERIA_DEFINITIONS: CriteriaDefinition[];
+
+  /**
+   * 路由定义，用于生成OpenAPI文档。
+   */
+  ROUTE_DEFINITIONS: RouteDefinition[];
+
+  /**
+   * 列出符合条件的`UserRole`对象。
+   */
+  list(
+    pageRequest?: PageRequest,
+    criteria?: UserRoleCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<Page<UserRole>>;
+  list(
+    pageRequest: CursorPageRequest,
+    criteria?: UserRoleCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<CursorPage<UserRole>>;
+
+  /**
+   * 逐页遍历符合条件的`UserRole`对象。
+   */
+  iterate(
+    criteria?: UserRoleCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: IterateOptions,
+  ): AsyncGenerator<UserRole>;
+
+  /**
+   * 获取全部符合条件的`UserRole`对象。
+   */
+  listAll(
+    criteria?: UserRoleCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: IterateOptions,
+  ): Promise<UserRole[]>;
+
+  /**
+   * 根据ID，获取指定的`UserRole`对象。
+   */
+  get(id: Id, showLoading?: ShowLoading): Promise<UserRole>;
+
+  /**
+   * 添加一个新的`UserRole`对象。
+   */
+  add(entity: UserRole, showLoading?: ShowLoading): Promise<UserRole>;
+
+  /**
+   * 彻底清除指定的`UserRole`对象。
+   */
+  erase(id: Id, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 导出指定的`UserRole`对象为XML格式。
+   */
+  exportXml(
+    criteria?: UserRoleCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    autoDownload?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<Blob | null>;
+  exportXml(
+    criteria?: UserRoleCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { autoDownload?: boolean },
+  ): Promise<Blob | null>;
+
+  /**
+   * 导出指定的`UserRole`对象为JSON格式。
+   */
+  exportJson(
+    criteria?: UserRoleCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    autoDownload?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<Blob | null>;
+  exportJson(
+    criteria?: UserRoleCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { autoDownload?: boolean },
+  ): Promise<Blob | null>;
+
+  /**
+   * 导出指定的`UserRole`对象为Excel格式。
+   */
+  exportExcel(
+    criteria?: UserRoleCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    autoDownload?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<Blob | null>;
+  exportExcel(
+    criteria?: UserRoleCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { autoDownload?: boolean },
+  ): Promise<Blob | null>;
+
+  /**
+   * 导出指定的`UserRole`对象为CSV格式。
+   */
+  exportCsv(
+    criteria?: UserRoleCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    autoDownload?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<Blob | null>;
+  exportCsv(
+    criteria?: UserRoleCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { autoDownload?: boolean },
+  ): Promise<Blob | null>;
+
+  /**
+   * 以服务器端异步任务的方式导出符合条件的`UserRole`对象。
+   */
+  exportAsync(
+    format: string,
+    criteria?: UserRoleCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: ExportAsyncOptions,
+  ): Promise<ExportResult>;
+
+  /**
+   * 从XML文件导入`UserRole`对象。
+   */
+  importXml(
+    file: File,
+    options: RequestOptions & { parallel?: boolean, threads?: number } & ({ dryRun: true } | { importReport: true }),
+  ): Promise<ImportReport>;
+  importXml(
+    file: File,
+    parallel?: boolean,
+    threads?: number | null,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+  importXml(
+    file: File,
+    options?: RequestOptions & { parallel?: boolean, threads?: number | null },
+  ): Promise<number>;
+
+  /**
+   * 从JSON文件导入`UserRole`对象。
+   */
+  importJson(
+    file: File,
+    options: RequestOptions & { parallel?: boolean, threads?: number } & ({ dryRun: true } | { importReport: true }),
+  ): Promise<ImportReport>;
+  importJson(
+    file: File,
+    parallel?: boolean,
+    threads?: number | null,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+  importJson(
+    file: File,
+    options?: RequestOptions & { parallel?: boolean, threads?: number | null },
+  ): Promise<number>;
+
+  /**
+   * 从Excel文件导入`UserRole`对象。
+   */
+  importExcel(
+    file: File,
+    options: RequestOptions & { parallel?: boolean, threads?: number } & ({ dryRun: true } | { importReport: true }),
+  ): Promise<ImportReport>;
+  importExcel(
+    file: File,
+    parallel?: boolean,
+    threads?: number | null,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+  importExcel(
+    file: File,
+    options?: RequestOptions & { parallel?: boolean, threads?: number | null },
+  ): Promise<number>;
+
+  /**
+   * 从CSV文件导入`UserRole`对象。
+   */
+  importCsv(
+    file: File,
+    options: RequestOptions & { parallel?: boolean, threads?: number } & ({ dryRun: true } | { importReport: true }),
+  ): Promise<ImportReport>;
+  importCsv(
+    file: File,
+    parallel?: boolean,
+    threads?: number | null,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+  importCsv(
+    file: File,
+    options?: RequestOptions & { parallel?: boolean, threads?: number | null },
+  ): Promise<number>;
+}
+
+declare const userRoleApi: UserRoleApi;
+
+export default userRoleApi;
@@ -0,0 +1,475 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { Page, State, StatefulInfo, User, UserInfo } from '@qubit-ltd/common-model';
+import type {
+  CriteriaDefinition,
+  CursorPageRequest,
+  Id,
+  ModelClass,
+  PageRequest,
+  RouteDefinition,
+  ShowLoading,
+  SortRequest,
+} from '../common';
+import type { RequestOptions } from './impl/request-options';
+import type { ExportResult } from './impl/export-impl';
+import type { ExportAsyncOptions } from './impl/export-async-impl';
+import type { IterateOptions } from './impl/iterate-impl';
+import type BatchResult from '../model/BatchResult';
+import type CursorPage from '../model/CursorPage';
+import type ImportReport from '../model/ImportReport';
+import type Criteria from '../params/Criteria';
+
+/**
+ * `userApi`的查询条件。
+ */
+export interface UserCriteria {
+  name?: string;
+  nickname?: string;
+  organizationId?: Id;
+  organizationCode?: string;
+  organizationName?: string;
+  state?: State | string;
+  lastLoginTimeStart?: string;
+  lastLoginTimeEnd?: string;
+  validTimeStart?: string;
+  validTimeEnd?: string;
+  expiredTimeStart?: string;
+  expiredTimeEnd?: string;
+  predefined?: boolean;
+  test?: boolean;
+  deleted?: boolean;
+  createTimeStart?: string;
+  createTimeEnd?: string;
+  modifyTimeStart?: string;
+  modifyTimeEnd?: string;
+  deleteTimeStart?: string;
+  deleteTimeEnd?: string;
+}
+
+/**
+ * 提供管理`User`对象的API。
+ */
+declare class UserApi {
+  /**
+   * 此API所管理的实体对象的类。
+   */
+  entityClass: ModelClass<User>;
+
+  /**
+   * 此API所管理的实体对象的基本信息的类。
+   */
+  entityInfoClass: ModelClass<UserInfo>;
+
+  /**
+   * 查询条件定义。
+   */
+  CRITERIA_DEFINITIONS: CriteriaDefinition[];
+
+  /**
+   * 路由定义，用于生成OpenAPI文档。
+   */
+  ROUTE_DEFINITIONS: RouteDefinition[];
+
+  /**
+   * 列出符合条件的`User`对象。
+   */
+  list(
+    pageRequest?: PageRequest,
+    criteria?: UserCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    transformUrls?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<Page<User>>;
+  list(
+    pageRequest: CursorPageRequest,
+    criteria?: UserCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    transformUrls?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<CursorPage<User>>;
+  list(
+    pageRequest?: PageRequest,
+    criteria?: UserCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { transformUrls?: boolean },
+  ): Promise<Page<User>>;
+  list(
+    pageRequest: CursorPageRequest,
+    criteria?: UserCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { transformUrls?: boolean },
+  ): Promise<CursorPage<User>>;
+
+  /**
+   * 逐页遍历符合条件的`User`对象。
+   */
+  iterate(
+    criteria?: UserCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: IterateOptions,
+  ): AsyncGenerator<User>;
+
+  /**
+   * 获取全部符合条件的`User`对象。
+   */
+  listAll(
+    criteria?: UserCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: IterateOptions,
+  ): Promise<User[]>;
+
+  /**
+   * 列出符合条件的`User`对象的基本信息。
+   */
+  listInfo(
+    pageRequest?: PageRequest,
+    criteria?: UserCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<Page<UserInfo>>;
+  listInfo(
+    pageRequest: CursorPageRequest,
+    criteria?: UserCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    showLoading?: ShowLoading,
+  ): Promise<CursorPage<UserInfo>>;
+
+  /**
+   * 检测指定的用户名是否已被用户注册。
+   */
+  existUsername(username: string, showLoading?: ShowLoading): Promise<boolean>;
+
+  /**
+   * 检测指定的手机号码是否已被用户注册。
+   */
+  existMobile(mobile: string, showLoading?: ShowLoading): Promise<boolean>;
+
+  /**
+   * 检测指定的电子邮件地址是否已被用户注册。
+   */
+  existEmail(email: string, showLoading?: ShowLoading): Promise<boolean>;
+
+  /**
+   * 获取指定的`User`对象。
+   */
+  get(id: Id, transformUrls?: boolean, showLoading?: ShowLoading): Promise<User>;
+  get(id: Id, options?: RequestOptions & { transformUrls?: boolean }): Promise<User>;
+
+  /**
+   * 获取指定的`User`对象。
+   */
+  getByUsername(
+    username: string,
+    transformUrls?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<User>;
+  getByUsername(
+    username: string,
+    options?: RequestOptions & { transformUrls?: boolean },
+  ): Promise<User>;
+
+  /**
+   * 获取指定的`User`对象。
+   */
+  getByMobile(mobile: string, transformUrls?: boolean, showLoading?: ShowLoading): Promise<User>;
+  getByMobile(
+    mobile: string,
+    options?: RequestOptions & { transformUrls?: boolean },
+  ): Promise<User>;
+
+  /**
+   * 获取指定的`User`对象。
+   */
+  getByEmail(email: string, transformUrls?: boolean, showLoading?: ShowLoading): Promise<User>;
+  getByEmail(email: string, options?: RequestOptions & { transformUrls?: boolean }): Promise<User>;
+
+  /**
+   * 获取指定的`User`对象的基本信息。
+   */
+  getInfo(id: Id, showLoading?: ShowLoading): Promise<UserInfo>;
+
+  /**
+   * 获取指定的`User`对象的基本信息。
+   */
+  getInfoByUsername(username: string, showLoading?: ShowLoading): Promise<UserInfo>;
+
+  /**
+   * 获取指定的`User`对象的基本信息。
+   */
+  getInfoByMobile(mobile: string, showLoading?: ShowLoading): Promise<UserInfo>;
+
+  /**
+   * 获取指定的`User`对象的基本信息。
+   */
+  getInfoByEmail(email: string, showLoading?: ShowLoading): Promise<UserInfo>;
+
+  /**
+   * 获取指定的`User`对象所属机构的基本信息。
+   */
+  getOrganization(id: Id, showLoading?: ShowLoading): Promise<StatefulInfo>;
+
+  /**
+   * 添加一个`User`对象。
+   */
+  add(entity: User, showLoading?: ShowLoading): Promise<User>;
+
+  /**
+   * 根据ID，更新一个`User`对象。
+   */
+  update(entity: User, showLoading?: ShowLoading): Promise<User>;
+
+  /**
+   * 根据ID，部分更新一个`User`对象。
+   */
+  patch(original: User, modified: User, showLoading?: ShowLoading): Promise<User>;
+
+  /**
+   * 根据用户名，更新一个`User`对象。
+   */
+  updateByUsername(entity: User, showLoading?: ShowLoading): Promise<User>;
+
+  /**
+   * 根据手机号码，更新一个`User`对象。
+   */
+  updateByMobile(entity: User, showLoading?: ShowLoading): Promise<User>;
+
+  /**
+   * 根据电子邮件地址，更新一个`User`对象。
+   */
+  updateByEmail(entity: User, showLoading?: ShowLoading): Promise<User>;
+
+  /**
+   * 根据ID，更新一个`User`对象的用户名。
+   */
+  updateUsername(id: Id, username: string, showLoading?: ShowLoading): Promise<string>;
+
+  /**
+   * 根据ID，更新一个`User`对象的密码。
+   */
+  updatePassword(id: Id, password: string, showLoading?: ShowLoading): Promise<string>;
+
+  /**
+   * 根据ID，更新一个`User`对象的电子邮件地址。
+   */
+  updateEmail(id: Id, email: string, showLoading?: ShowLoading): Promise<string>;
+
+  /**
+   * 根据ID，更新一个`User`对象的手机号码。
+   */
+  updateMobile(id: Id, mobile: string, showLoading?: ShowLoading): Promise<string>;
+
+  /**
+   * 根据ID，更新一个`User`对象的备注。
+   */
+  updateComment(id: Id, comment: string, showLoading?: ShowLoading): Promise<string>;
+
+  /**
+   * 根据ID，更新一个`User`对象的状态。
+   */
+  updateState(id: Id, state: State | string, showLoading?: ShowLoading): Promise<string>;
+
+  /**
+   * 根据ID，标记删除一个`User`对象。
+   */
+  delete(id: string, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 批量标记删除指定的`User`对象。
+   */
+  batchDelete(ids: Id[], options: RequestOptions & { batchResult: true }): Promise<BatchResult<Id>>;
+  batchDelete(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+
+  /**
+   * 根据ID，恢复一个被标记删除的`User`对象。
+   */
+  restore(id: string, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 批量恢复已被标记删除的`User`对象。
+   */
+  batchRestore(
+    ids: Id[],
+    options: RequestOptions & { batchResult: true },
+  ): Promise<BatchResult<Id>>;
+  batchRestore(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+
+  /**
+   * 根据ID，清除一个被标记删除的`User`对象。
+   */
+  purge(id: string, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 彻底清除全部已被标记删除的`User`对象。
+   */
+  purgeAll(showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 批量彻底清除已被标记删除的`User`对象。
+   */
+  batchPurge(ids: Id[], options: RequestOptions & { batchResult: true }): Promise<BatchResult<Id>>;
+  batchPurge(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+
+  /**
+   * 彻底清除指定的`User`对象（无论其是否被标记删除）。
+   */
+  erase(id: Id, showLoading?: ShowLoading): Promise<void>;
+
+  /**
+   * 批量彻底清除指定的`User`对象（无论其是否被标记删除）。
+   */
+  batchErase(ids: Id[], options: RequestOptions & { batchResult: true }): Promise<BatchResult<Id>>;
+  batchErase(ids: Id[], showLoading?: ShowLoading): Promise<number>;
+
+  /**
+   * 导出符合条件的`User`对象为XML文件。
+   */
+  exportXml(
+    criteria?: UserCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    autoDownload?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<ExportResult>;
+  exportXml(
+    criteria?: UserCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { autoDownload?: boolean },
+  ): Promise<ExportResult>;
+
+  /**
+   * 导出符合条件的`User`对象为JSON文件。
+   */
+  exportJson(
+    criteria?: UserCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    autoDownload?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<ExportResult>;
+  exportJson(
+    criteria?: UserCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { autoDownload?: boolean },
+  ): Promise<ExportResult>;
+
+  /**
+   * 导出符合条件的`User`对象为Excel文件。
+   */
+  exportExcel(
+    criteria?: UserCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    autoDownload?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<ExportResult>;
+  exportExcel(
+    criteria?: UserCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { autoDownload?: boolean },
+  ): Promise<ExportResult>;
+
+  /**
+   * 导出符合条件的`User`对象为CSV文件。
+   */
+  exportCsv(
+    criteria?: UserCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    autoDownload?: boolean,
+    showLoading?: ShowLoading,
+  ): Promise<ExportResult>;
+  exportCsv(
+    criteria?: UserCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: RequestOptions & { autoDownload?: boolean },
+  ): Promise<ExportResult>;
+
+  /**
+   * 以服务器端异步任务的方式导出符合条件的`User`对象。
+   */
+  exportAsync(
+    format: string,
+    criteria?: UserCriteria | Criteria,
+    sortRequest?: SortRequest | SortRequest[],
+    options?: ExportAsyncOptions,
+  ): Promise<ExportResult>;
+
+  /**
+   * 从XML文件导入`User`对象。
+   */
+  importXml(
+    file: File,
+    options: RequestOptions & { parallel?: boolean, threads?: number } & ({ dryRun: true } | { importReport: true }),
+  ): Promise<ImportReport>;
+  importXml(
+    file: File,
+    parallel?: boolean,
+    threads?: number,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+  importXml(
+    file: File,
+    options?: RequestOptions & { parallel?: boolean, threads?: number },
+  ): Promise<number>;
+
+  /**
+   * 从JSON文件导入`User`对象。
+   */
+  importJson(
+    file: File,
+    options: RequestOptions & { parallel?: boolean, threads?: number } & ({ dryRun: true } | { importReport: true }),
+  ): Promise<ImportReport>;
+  importJson(
+    file: File,
+    parallel?: boolean,
+    threads?: number,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+  importJson(
+    file: File,
+    options?: RequestOptions & { parallel?: boolean, threads?: number },
+  ): Promise<number>;
+
+  /**
+   * 从Excel文件导入`User`对象。
+   */
+  importExcel(
+    file: File,
+    options: RequestOptions & { parallel?: boolean, threads?: number } & ({ dryRun: true } | { importReport: true }),
+  ): Promise<ImportReport>;
+  importExcel(
+    file: File,
+    parallel?: boolean,
+    threads?: number,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+  importExcel(
+    file: File,
+    options?: RequestOptions & { parallel?: boolean, threads?: number },
+  ): Promise<number>;
+
+  /**
+   * 从CSV文件导入`User`对象。
+   */
+  importCsv(
+    file: File,
+    options: RequestOptions & { parallel?: boolean, threads?: number } & ({ dryRun: true } | { importReport: true }),
+  ): Promise<ImportReport>;
+  importCsv(
+    file: File,
+    parallel?: boolean,
+    threads?: number,
+    showLoading?: ShowLoading,
+  ): Promise<number>;
+  importCsv(
+    file: File,
+    options?: RequestOptions & { parallel?: boolean, threads?: number },
+  ): Promise<number>;
+}
+
+declare const userApi: UserApi;
+
+export default userApi;
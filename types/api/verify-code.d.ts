@@ -0,0 +1,34 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { VerifyScene } from '@qubit-ltd/common-model';
+import type { RouteDefinition, ShowLoading } from '../common';
+
+/**
+ * 提供验证码发送服务API
+ */
+declare class VerifyCodeApi {
+  /**
+   * 路由定义，用于生成OpenAPI文档。
+   */
+  ROUTE_DEFINITIONS: RouteDefinition[];
+
+  /**
+   * 向指定的手机号码发送短信验证码。
+   */
+  sendBySms(mobile: string, scene: VerifyScene | string, showLoading?: ShowLoading): Promise<any>;
+
+  /**
+   * 向指定的电子邮箱发送短信验证码。
+   */
+  sendByEmail(email: string, scene: VerifyScene | string, showLoading?: ShowLoading): Promise<any>;
+}
+
+declare const verifyCodeApi: VerifyCodeApi;
+
+export default verifyCodeApi;
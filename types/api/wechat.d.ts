@@ -0,0 +1,38 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { RouteDefinition, ShowLoading } from '../common';
+
+/**
+ * 提供微信相关服务API
+ */
+declare class WechatApi {
+  /**
+   * 路由定义，用于生成OpenAPI文档。
+   */
+  ROUTE_DEFINITIONS: RouteDefinition[];
+
+  /**
+   * 获取 JS-SDK 用于获取授权的配置信息。
+   */
+  getJsConfig(url: string, showLoading?: ShowLoading): Promise<any>;
+
+  /**
+   * 获取微信公众号授权页面URL。
+   */
+  getAuthorizationPageUrl(url: string, showLoading?: ShowLoading): Promise<any>;
+
+  /**
+   * 获取微信当前用户的openId。
+   */
+  getOpenId(code: string, showLoading?: ShowLoading): Promise<any>;
+}
+
+declare const wechatApi: WechatApi;
+
+export default wechatApi;
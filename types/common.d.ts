@@ -0,0 +1,213 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { Page } from '@qubit-ltd/common-model';
+import type { Logger } from '@qubit-ltd/logging';
+import type { RequestOptions } from './api/impl/request-options';
+import type { RetryPolicy } from './api/impl/retry-policy';
+import type { BatchPolicy } from './api/impl/batch-request';
+
+/**
+ * 实体对象的ID，服务器端的长整数ID可以用字符串、数字或`bigint`表示。
+ */
+export type Id = string | number | bigint;
+
+/**
+ * 各个API方法的`showLoading`参数，可以是一个布尔值，表示是否显示加载提示；也可以是一个
+ * 请求选项对象，详见`normalizeRequestOptions()`的说明。
+ */
+export type ShowLoading = boolean | RequestOptions;
+
+/**
+ * 分页请求。
+ */
+export interface PageRequest {
+  /**
+   * 页码，从`0`开始。
+   */
+  pageIndex?: number;
+
+  /**
+   * 每页的数据条数。
+   */
+  pageSize?: number;
+}
+
+/**
+ * 游标分页请求，`after`和`before`不能同时指定。
+ */
+export interface CursorPageRequest {
+  /**
+   * 从此游标之后开始获取数据，通常为上一页的`nextCursor`。
+   */
+  after?: string;
+
+  /**
+   * 获取此游标之前的数据，通常为下一页的`previousCursor`。
+   */
+  before?: string;
+
+  /**
+   * 每页的数据条数，必须为正整数。
+   */
+  limit?: number;
+}
+
+/**
+ * 排序请求。
+ */
+export interface SortRequest {
+  /**
+   * 排序的属性名称。
+   */
+  sortField?: string;
+
+  /**
+   * 排序的方向。
+   */
+  sortOrder?: 'ASC' | 'DESC' | 'asc' | 'desc';
+}
+
+/**
+ * 查询条件的定义，即各API对象的`CRITERIA_DEFINITIONS`中的元素。
+ */
+export interface CriteriaDefinition {
+  /**
+   * 查询条件的名称。
+   */
+  name: string;
+
+  /**
+   * 查询条件的值允许的类型。
+   */
+  type: Function | Function[];
+
+  /**
+   * 查询条件的值的字符串形式必须匹配的正则表达式。
+   */
+  pattern?: RegExp;
+
+  /**
+   * 查询条件的值的最小值（包含）。
+   */
+  min?: any;
+
+  /**
+   * 查询条件的值的最大值（包含）。
+   */
+  max?: any;
+
+  /**
+   * 查询条件的值允许的取值集合。
+   */
+  values?: any[];
+}
+
+/**
+ * API对象的方法所声明的路由，用于生成OpenAPI文档。
+ */
+export interface RouteDefinition {
+  /**
+   * 声明该路由的方法的名称。
+   */
+  name: string;
+
+  /**
+   * 该方法调用的实现函数的名称，例如`listImpl`。
+   */
+  impl?: string;
+
+  /**
+   * 该方法直接调用`http`对象时，HTTP请求的方法，例如`get`。
+   */
+  method?: string;
+
+  /**
+   * 请求的URL模板，其中以`{name}`表示路径参数。
+   */
+  url: string;
+}
+
+/**
+ * 由`@Model`装饰的模型类。
+ *
+ * @typeParam T
+ *     模型类的实例的类型。
+ */
+export interface ModelClass<T> {
+  new (...args: any[]): T;
+
+  readonly name: string;
+
+  create(obj: any, options?: object): T;
+
+  createArray(array: any[], options?: object): T[];
+
+  createPage(page: any, options?: object): Page<T>;
+}
+
+/**
+ * 各个`impl`函数的`api`参数所需的API对象。
+ *
+ * @typeParam T
+ *     此API所管理的实体对象的类型。
+ * @typeParam I
+ *     此API所管理的实体对象的基本信息的类型。
+ */
+export interface ApiObject<T = any, I = any> {
+  /**
+   * 此API所管理的实体对象的类。
+   */
+  entityClass: ModelClass<T>;
+
+  /**
+   * 此API所管理的实体对象的基本信息的类。
+   */
+  entityInfoClass?: ModelClass<I>;
+
+  /**
+   * 查询条件定义。
+   */
+  CRITERIA_DEFINITIONS?: CriteriaDefinition[];
+
+  /**
+   * 路由定义，用于生成OpenAPI文档。
+   */
+  ROUTE_DEFINITIONS?: RouteDefinition[];
+
+  /**
+   * 此API的logger。
+   */
+  logger: Logger;
+
+  /**
+   * 此API的响应缓存选项，详见`fetchWithCache()`的说明。
+   */
+  cacheOptions?: boolean | { ttl?: number };
+
+  /**
+   * 此API的响应缓存条目所依赖的其他实体类，其中任何一个实体类的对象被修改时，此API的缓存
+   * 条目都将失效。
+   */
+  cacheDependencies?: Function[];
+
+  /**
+   * 此API的请求重试策略，覆盖全局重试策略的部分属性。
+   */
+  retryPolicy?: Partial<RetryPolicy>;
+
+  /**
+   * 此API的批量请求分块策略，覆盖全局分块策略的部分属性。
+   */
+  batchPolicy?: Partial<BatchPolicy>;
+
+  /**
+   * 是否默认以乐观锁模式更新实体对象。
+   */
+  optimisticLock?: boolean;
+}
@@ -0,0 +1,42 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * 此错误表示以乐观锁模式更新实体对象时，该实体对象已被他人修改。
+ */
+declare class ConcurrentModificationError<T = any> extends Error {
+  /**
+   * 调用者试图提交的本地实体对象。
+   */
+  localEntity: T;
+
+  /**
+   * 服务器上当前的实体对象；若无法获取，则为`null`。
+   */
+  serverEntity: T | null;
+
+  /**
+   * 服务器返回的冲突错误，通常是一个`ErrorInfo`对象。
+   */
+  cause: any;
+
+  /**
+   * 构造一个`ConcurrentModificationError`对象。
+   *
+   * @param localEntity
+   *     调用者试图提交的本地实体对象。
+   * @param serverEntity
+   *     服务器上当前的实体对象；若无法获取，则为`null`。
+   * @param cause
+   *     服务器返回的冲突错误。
+   */
+  constructor(localEntity: T, serverEntity?: T | null, cause?: any);
+}
+
+export default ConcurrentModificationError;
@@ -0,0 +1,28 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * 表示请求已被取消的错误。
+ */
+declare class RequestCancelledError extends Error {
+  /**
+   * 取消请求的原因，即`AbortSignal`的`reason`属性。
+   */
+  reason: any;
+
+  /**
+   * 构造一个`RequestCancelledError`对象。
+   *
+   * @param reason
+   *     取消请求的原因。
+   */
+  constructor(reason?: any);
+}
+
+export default RequestCancelledError;
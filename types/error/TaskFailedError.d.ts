@@ -0,0 +1,34 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { TaskInfo, TaskStatus } from '@qubit-ltd/common-model';
+
+/**
+ * 此错误表示服务器端的异步任务未能成功完成。
+ */
+declare class TaskFailedError extends Error {
+  /**
+   * 未能成功完成的任务。
+   */
+  task: TaskInfo;
+
+  /**
+   * 该任务结束时的状态。
+   */
+  status: TaskStatus | string;
+
+  /**
+   * 构造一个`TaskFailedError`对象。
+   *
+   * @param task
+   *     未能成功完成的任务。
+   */
+  constructor(task: TaskInfo);
+}
+
+export default TaskFailedError;
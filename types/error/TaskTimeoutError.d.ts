@@ -0,0 +1,43 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { TaskInfo, TaskStatus } from '@qubit-ltd/common-model';
+
+/**
+ * 此错误表示等待服务器端的异步任务完成的时间超过了允许的最长时间。
+ */
+declare class TaskTimeoutError extends Error {
+  /**
+   * 未能按时完成的任务。
+   */
+  task: TaskInfo;
+
+  /**
+   * 最后一次查询到的该任务的状态。
+   */
+  status: TaskStatus | string;
+
+  /**
+   * 等待该任务完成的最长时间，单位为毫秒。
+   */
+  maxWait: number;
+
+  /**
+   * 构造一个`TaskTimeoutError`对象。
+   *
+   * @param task
+   *     未能按时完成的任务。
+   * @param status
+   *     最后一次查询到的该任务的状态。
+   * @param maxWait
+   *     等待该任务完成的最长时间，单位为毫秒。
+   */
+  constructor(task: TaskInfo, status: TaskStatus | string, maxWait: number);
+}
+
+export default TaskTimeoutError;
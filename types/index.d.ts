@@ -0,0 +1,208 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+export { default as appApi } from './api/app';
+export { default as appAuthenticateApi } from './api/app-authenticate';
+export { default as attachmentApi } from './api/attachment';
+export { default as categoryApi } from './api/category';
+export { default as cityApi } from './api/city';
+export { default as countryApi } from './api/country';
+export { default as createEntityApi } from './api/create-entity-api';
+export { default as currentUserApi } from './api/current-user';
+export { default as departmentApi } from './api/department';
+export { default as deviceApi } from './api/device';
+export { default as deviceInitApi } from './api/device-init';
+export { default as dictApi } from './api/dict';
+export { default as dictEntryApi } from './api/dict-entry';
+export { default as districtApi } from './api/district';
+export { default as employeeApi } from './api/employee';
+export { default as feedbackApi } from './api/feedback';
+export { default as fileApi } from './api/file';
+export { default as faqApi } from './api/faq';
+export { assignOptions, toJsonOptions } from './api/impl/options';
+export {
+  handleCancellation,
+  normalizeRequestOptions,
+  resolveOptionalArguments,
+  toRequestConfig,
+} from './api/impl/request-options';
+export {
+  ResponseCache,
+  responseCache,
+  fetchWithCache,
+  invalidateResponseCache,
+} from './api/impl/response-cache';
+export { shareInflightRequest } from './api/impl/inflight-request';
+export { toSortParams } from './api/impl/sort-params';
+export { normalizeFields, checkFieldsArgument, projectFields } from './api/impl/field-projection';
+export { retryPolicy, retryRequest } from './api/impl/retry-policy';
+export { batchPolicy, sendBatchRequest } from './api/impl/batch-request';
+export { OfflineQueue, offlineQueue } from './api/impl/offline-queue';
+export { addImpl, batchAddImpl } from './api/impl/add-impl';
+export {
+  deleteImpl,
+  deleteByKeyImpl,
+  deleteAllImpl,
+  batchDeleteImpl,
+  deleteByParentAndKeyImpl,
+} from './api/impl/delete-impl';
+export {
+  eraseImpl,
+  eraseByKeyImpl,
+  eraseAllImpl,
+  batchEraseImpl,
+  eraseByParentAndKeyImpl,
+} from './api/impl/erase-impl';
+export {
+  existsImpl,
+  existsKeyImpl,
+  existsParentAndKeyImpl,
+} from './api/impl/exists-impl';
+export { default as exportImpl } from './api/impl/export-impl';
+export { default as exportAsyncImpl } from './api/impl/export-async-impl';
+export {
+  getImpl,
+  getByKeyImpl,
+  getInfoImpl,
+  getInfoByKeyImpl,
+  getPropertyImpl,
+  getPropertyByKeyImpl,
+  getByParentAndKeyImpl,
+  getInfoByParentAndKeyImpl,
+  getPropertyByParentAndKeyImpl,
+} from './api/impl/get-impl';
+export { default as importImpl } from './api/impl/import-impl';
+export {
+  iterateImpl,
+  listAllImpl,
+} from './api/impl/iterate-impl';
+export {
+  listImpl,
+  listInfoImpl,
+} from './api/impl/list-impl';
+export { diffEntity, patchImpl } from './api/impl/patch-impl';
+export {
+  purgeImpl,
+  purgeByKeyImpl,
+  purgeAllImpl,
+  batchPurgeImpl,
+  purgeByParentAndKeyImpl,
+} from './api/impl/purge-impl';
+export {
+  restoreImpl,
+  restoreByKeyImpl,
+  restoreAllImpl,
+  batchRestoreImpl,
+  restoreByParentAndKeyImpl,
+} from './api/impl/restore-impl';
+export {
+  updateImpl,
+  updateByKeyImpl,
+  batchUpdateImpl,
+  updatePropertyImpl,
+  updatePropertyByKeyImpl,
+  updateByParentAndKeyImpl,
+} from './api/impl/update-impl';
+export { default as operationLogApi } from './api/operation-log';
+export { default as organizationApi } from './api/organization';
+export { default as personApi } from './api/person';
+export { default as provinceApi } from './api/province';
+export { default as roleApi } from './api/role';
+export { default as settingApi } from './api/setting';
+export { default as socialNetworkAccountApi } from './api/social-network-account';
+export { default as streetApi } from './api/street';
+export { default as systemApi } from './api/system';
+export { default as taskInfoApi } from './api/task-info';
+export { default as uploadApi } from './api/upload';
+export { default as userApi } from './api/user';
+export { default as userAuthenticateApi } from './api/user-authenticate';
+export { default as userRoleApi } from './api/user-role';
+export { default as verifyCodeApi } from './api/verify-code';
+export { default as wechatApi } from './api/wechat';
+export { default as ConcurrentModificationError } from './error/ConcurrentModificationError';
+export { default as TaskFailedError } from './error/TaskFailedError';
+export { default as TaskTimeoutError } from './error/TaskTimeoutError';
+export { default as RequestCancelledError } from './error/RequestCancelledError';
+export { default as MockBackend } from './mock/MockBackend';
+export { default as MockCollection } from './mock/MockCollection';
+export { default as BatchFailure } from './model/BatchFailure';
+export { default as BatchResult } from './model/BatchResult';
+export { default as ImportIssue } from './model/ImportIssue';
+export { default as ImportReport } from './model/ImportReport';
+export { default as CursorPage } from './model/CursorPage';
+export { default as Criteria } from './params/Criteria';
+export type { ConditionBuilder, CriteriaNode } from './params/Criteria';
+export { default as TaskFilter } from './params/TaskFilter';
+export { default as IndexedDbOfflineStorage } from './storage/IndexedDbOfflineStorage';
+export { default as MemoryOfflineStorage } from './storage/MemoryOfflineStorage';
+export { default as checkCriteriaConstraints, TIMESTAMP_PATTERN } from './utils/check-criteria-constraints';
+export { default as checkIdArgumentType } from './utils/check-id-argument-type';
+export { default as checkIdArrayArgumentType } from './utils/check-id-array-argument-type';
+export { default as checkObjectArgument } from './utils/check-object-argument';
+export { default as checkPageRequestArgument, isCursorPageRequest } from './utils/check-page-request-argument';
+export { default as checkSortRequestArgument } from './utils/check-sort-request-argument';
+export { default as generateOpenApiDocument } from './utils/generate-openapi-document';
+export { default as getErrorStatus } from './utils/get-error-status';
+export { default as resolvePropertyPath } from './utils/resolve-property-path';
+export { default as wechat } from './utils/wechat';
+export type {
+  ApiObject,
+  CriteriaDefinition,
+  RouteDefinition,
+  Id,
+  ModelClass,
+  CursorPageRequest,
+  PageRequest,
+  ShowLoading,
+  SortRequest,
+} from './common';
+export type {
+  BatchProgress,
+  DownloadProgress,
+  NormalizedRequestOptions,
+  RequestConfig,
+  RequestOptions,
+} from './api/impl/request-options';
+export type { RetryPolicy } from './api/impl/retry-policy';
+export type { BatchPolicy } from './api/impl/batch-request';
+export type { IterateOptions } from './api/impl/iterate-impl';
+export type { ExportResult } from './api/impl/export-impl';
+export type { ExportAsyncOptions, ExportTaskProgress } from './api/impl/export-async-impl';
+export type { OfflineMutation, OfflineStorage, ReplayOutcome } from './api/impl/offline-queue';
+export type {
+  EntityApi,
+  EntityApiCapability,
+  EntityApiConfig,
+} from './api/create-entity-api';
+export type { MockCollectionOptions, MockCursorPage, MockError, MockPage } from './mock/MockCollection';
+export type { OpenApiDocumentOptions } from './utils/generate-openapi-document';
+export type { AppCriteria } from './api/app';
+export type { AttachmentCriteria } from './api/attachment';
+export type { CategoryCriteria } from './api/category';
+export type { CityCriteria } from './api/city';
+export type { CountryCriteria } from './api/country';
+export type { DepartmentCriteria } from './api/department';
+export type { DeviceCriteria } from './api/device';
+export type { DictEntryCriteria } from './api/dict-entry';
+export type { DictCriteria } from './api/dict';
+export type { DistrictCriteria } from './api/district';
+export type { EmployeeCriteria } from './api/employee';
+export type { FaqCriteria } from './api/faq';
+export type { FeedbackCriteria } from './api/feedback';
+export type { OperationLogCriteria } from './api/operation-log';
+export type { OrganizationCriteria } from './api/organization';
+export type { PersonCriteria } from './api/person';
+export type { ProvinceCriteria } from './api/province';
+export type { RoleCriteria } from './api/role';
+export type { SettingCriteria } from './api/setting';
+export type { SocialNetworkAccountCriteria } from './api/social-network-account';
+export type { StreetCriteria } from './api/street';
+export type { TaskInfoCriteria } from './api/task-info';
+export type { UploadCriteria } from './api/upload';
+export type { UserRoleCriteria } from './api/user-role';
+export type { UserCriteria } from './api/user';
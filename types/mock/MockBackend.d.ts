@@ -0,0 +1,52 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type MockCollection from './MockCollection';
+import type { MockCollectionOptions } from './MockCollection';
+
+/**
+ * 此类实现了一个在内存中模拟服务器端实体对象API的后端。
+ */
+declare class MockBackend {
+  /**
+   * 注册一个实体对象的集合。
+   */
+  register(baseUrl: string, options?: MockCollectionOptions): MockCollection;
+
+  /**
+   * 获取指定基础URL的集合；若未注册，则返回`undefined`。
+   */
+  collection(baseUrl: string): MockCollection | undefined;
+
+  /**
+   * 清空所有集合中的实体对象。
+   */
+  reset(): void;
+
+  /**
+   * 处理一个HTTP请求。
+   */
+  handle(
+    method: string,
+    url: string,
+    data?: any,
+    config?: { params?: Record<string, any>, headers?: Record<string, any> },
+  ): Promise<any>;
+
+  /**
+   * 可以作为 axios 适配器使用的函数。
+   */
+  adapter: (config: Record<string, any>) => Promise<Record<string, any>>;
+
+  /**
+   * 将指定的`http`对象的请求方法替换为由此模拟后端处理，返回恢复原有请求方法的函数。
+   */
+  install(http: object): () => void;
+}
+
+export default MockBackend;
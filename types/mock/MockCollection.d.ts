@@ -0,0 +1,127 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * 模拟后端的错误响应。
+ */
+export interface MockError {
+  /**
+   * HTTP响应状态码。
+   */
+  status: number;
+
+  /**
+   * `ErrorInfo`格式的响应体。
+   */
+  data: {
+    type: 'CLIENT_ERROR' | 'SERVER_ERROR';
+    code: string;
+    message: string;
+  };
+}
+
+/**
+ * `MockCollection`的构造函数的选项。
+ */
+export interface MockCollectionOptions {
+  /**
+   * 可以用作实体对象唯一键的属性名称的列表，默认值为`['code']`。
+   */
+  keys?: string[];
+
+  /**
+   * 自定义的过滤条件，键为查询参数的名称，值为过滤函数。
+   */
+  filters?: Record<string, (entity: Record<string, any>, value: any) => boolean>;
+
+  /**
+   * 集合的初始数据，其属性名为下划线形式。
+   */
+  data?: Record<string, any>[];
+}
+
+/**
+ * 服务器端JSON格式的分页数据。
+ */
+export interface MockPage {
+  content: Record<string, any>[];
+  total_count: number;
+  total_pages: number;
+  page_index: number;
+  page_size: number;
+}
+
+/**
+ * 模拟后端返回的服务器端JSON格式的游标分页数据。
+ */
+export interface MockCursorPage {
+  content: Record<string, any>[];
+  next_cursor: string | null;
+  previous_cursor: string | null;
+  limit: number;
+}
+
+/**
+ * 将驼峰形式或者以连字符分隔的名称转换为下划线形式。
+ */
+export declare function toSnakeCase(name: string): string;
+
+/**
+ * 只保留实体对象中由以逗号分隔的属性路径指定的属性。
+ */
+export declare function selectFields<T extends object>(entity: T, fields?: string): T;
+
+/**
+ * 创建一个表示服务器错误响应的对象。
+ */
+export declare function createMockError(status: number, code: string, message: string): MockError;
+
+/**
+ * 此类表示模拟后端中一种实体对象的集合。
+ */
+declare class MockCollection {
+  /**
+   * 可以用作实体对象唯一键的属性名称的列表。
+   */
+  keys: string[];
+
+  /**
+   * 自定义的过滤条件。
+   */
+  filters: Record<string, (entity: Record<string, any>, value: any) => boolean>;
+
+  constructor(options?: MockCollectionOptions);
+
+  /**
+   * 集合中实体对象的数目，包括已被标记删除的实体对象。
+   */
+  readonly size: number;
+
+  all(): Record<string, any>[];
+
+  find(id: string | number): Record<string, any> | undefined;
+
+  findByKey(key: string, value: string): Record<string, any> | undefined;
+
+  get(id: string | number): Record<string, any>;
+
+  insert(data: Record<string, any>): Record<string, any>;
+
+  modify(entity: Record<string, any>, data: Record<string, any>, replace?: boolean): Record<string, any>;
+
+  remove(entity: Record<string, any>): void;
+
+  clear(): void;
+
+  filter(params?: Record<string, any>): Record<string, any>[];
+
+  query(params?: Record<string, any>): MockPage | MockCursorPage;
+}
+
+export default MockCollection;
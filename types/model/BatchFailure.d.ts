@@ -0,0 +1,37 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { ErrorInfo } from '@qubit-ltd/common-model';
+import type { Id } from '../common';
+
+/**
+ * 此模型表示批量操作中处理失败的一项。
+ */
+declare class BatchFailure {
+  /**
+   * 处理失败的项在批量操作的参数列表中的索引，从`0`开始。
+   */
+  index: number | null;
+
+  /**
+   * 处理失败的实体对象的ID。对于批量添加操作，该值为`null`。
+   */
+  id: Id | null;
+
+  /**
+   * 处理失败的原因。
+   */
+  error: ErrorInfo | null;
+
+  /**
+   * 该项是否因为之前的分块请求失败而未被发送给服务器。
+   */
+  skipped: boolean;
+}
+
+export default BatchFailure;
@@ -0,0 +1,51 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { Id } from '../common';
+import type BatchFailure from './BatchFailure';
+
+/**
+ * 此模型表示批量操作的逐项处理结果。
+ *
+ * @typeParam T
+ *     处理成功的项的类型。对于批量添加和批量更新操作，为实体对象的类型；对于其他批量
+ *     操作，为实体对象的ID的类型。
+ */
+declare class BatchResult<T = any> {
+  /**
+   * 处理成功的项的列表。
+   */
+  succeeded: T[];
+
+  /**
+   * 处理失败的项的列表。
+   */
+  failed: BatchFailure[];
+
+  /**
+   * 处理成功的项的数目。
+   */
+  readonly successCount: number;
+
+  /**
+   * 处理失败的项的数目。
+   */
+  readonly failureCount: number;
+
+  /**
+   * 判断是否所有项都处理成功。
+   */
+  isAllSucceeded(): boolean;
+
+  /**
+   * 获取处理失败的实体对象的ID列表，不包括ID为`null`的项。
+   */
+  getFailedIds(): Id[];
+}
+
+export default BatchResult;
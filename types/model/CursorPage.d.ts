@@ -0,0 +1,59 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { CursorPageRequest } from '../common';
+
+/**
+ * 此模型表示游标分页查询返回的一页数据。
+ *
+ * @typeParam T
+ *     数据列表中元素的类型。
+ */
+declare class CursorPage<T = any> {
+  /**
+   * 当前页的数据列表。
+   */
+  content: T[];
+
+  /**
+   * 指向下一页的游标；若当前页已是最后一页，则为`null`。
+   */
+  nextCursor: string | null;
+
+  /**
+   * 指向上一页的游标；若当前页已是第一页，则为`null`。
+   */
+  previousCursor: string | null;
+
+  /**
+   * 每页的数据条数。
+   */
+  limit: number | null;
+
+  /**
+   * 是否存在下一页。
+   */
+  readonly hasNext: boolean;
+
+  /**
+   * 是否存在上一页。
+   */
+  readonly hasPrevious: boolean;
+
+  /**
+   * 获取请求下一页数据的游标分页请求；若不存在下一页，则返回`null`。
+   */
+  getNextRequest(): CursorPageRequest | null;
+
+  /**
+   * 获取请求上一页数据的游标分页请求；若不存在上一页，则返回`null`。
+   */
+  getPreviousRequest(): CursorPageRequest | null;
+}
+
+export default CursorPage;
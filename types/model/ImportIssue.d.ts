@@ -0,0 +1,35 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * 此模型表示导入文件中的某一行存在的问题，即被拒绝的行的错误或者警告。
+ */
+declare class ImportIssue {
+  /**
+   * 存在问题的行在导入文件中的行号，从`1`开始；若该问题与具体的行无关，则为`null`。
+   */
+  row: number | null;
+
+  /**
+   * 存在问题的列的名称；若该问题与具体的列无关，则为`null`。
+   */
+  column: string | null;
+
+  /**
+   * 问题的代码，例如`REQUIRED`、`INVALID_FORMAT`等。
+   */
+  code: string | null;
+
+  /**
+   * 问题的描述信息。
+   */
+  message: string;
+}
+
+export default ImportIssue;
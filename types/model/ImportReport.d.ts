@@ -0,0 +1,51 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type ImportIssue from './ImportIssue';
+
+/**
+ * 此模型表示导入文件的逐行校验结果。
+ */
+declare class ImportReport {
+  /**
+   * 是否只校验了导入的文件而未实际导入。
+   */
+  dryRun: boolean;
+
+  /**
+   * 校验通过的行的数目。若`dryRun`为`false`，即为成功导入的对象的数目。
+   */
+  accepted: number;
+
+  /**
+   * 被拒绝的行的错误列表。同一行可能有多个错误。
+   */
+  rejected: ImportIssue[];
+
+  /**
+   * 不影响导入的警告列表。
+   */
+  warnings: ImportIssue[];
+
+  /**
+   * 被拒绝的行的数目，同一行的多个错误只计算一次。
+   */
+  readonly rejectedCount: number;
+
+  /**
+   * 判断导入的文件是否没有任何被拒绝的行。
+   */
+  isValid(): boolean;
+
+  /**
+   * 获取按升序排列的被拒绝的行的行号列表。
+   */
+  getRejectedRows(): number[];
+}
+
+export default ImportReport;
@@ -0,0 +1,80 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { CriteriaDefinition } from '../common';
+
+/**
+ * 复合查询条件的服务器端JSON格式。
+ */
+export type CriteriaNode =
+  | {
+    field: string;
+    operator: 'EQ' | 'NE' | 'GT' | 'GE' | 'LT' | 'LE' | 'IN' | 'LIKE'
+      | 'IS_NULL' | 'IS_NOT_NULL' | 'BETWEEN';
+    value?: any;
+  }
+  | {
+    logic: 'AND' | 'OR';
+    conditions: CriteriaNode[];
+  };
+
+/**
+ * 用于构造单个字段的比较条件的对象。
+ */
+export interface ConditionBuilder {
+  eq(value: any): Criteria;
+
+  ne(value: any): Criteria;
+
+  gt(value: any): Criteria;
+
+  ge(value: any): Criteria;
+
+  lt(value: any): Criteria;
+
+  le(value: any): Criteria;
+
+  in(values: any[]): Criteria;
+
+  like(pattern: string): Criteria;
+
+  isNull(): Criteria;
+
+  isNotNull(): Criteria;
+
+  between(lower: any, upper: any): Criteria;
+}
+
+/**
+ * 此类表示由比较条件和逻辑运算符组成的复合查询条件。
+ */
+declare class Criteria {
+  constructor(node: object);
+
+  static where(field: string): ConditionBuilder;
+
+  static allOf(...criteria: Criteria[]): Criteria;
+
+  static anyOf(...criteria: Criteria[]): Criteria;
+
+  and(field: string): ConditionBuilder;
+
+  and(criteria: Criteria): Criteria;
+
+  or(field: string): ConditionBuilder;
+
+  or(criteria: Criteria): Criteria;
+
+  validate(definitions?: CriteriaDefinition[], name?: string, Class?: Function): void;
+
+  toJSON(): CriteriaNode;
+
+  toParams(): { filter: string };
+}
+
+export default Criteria;
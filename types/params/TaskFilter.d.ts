@@ -0,0 +1,55 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { InfoWithEntity, TaskStatus } from '@qubit-ltd/common-model';
+import type { Id } from '../common';
+import type { TaskInfoCriteria } from '../api/task-info';
+
+/**
+ * 此模型表示任务过滤器。
+ */
+declare class TaskFilter {
+  category: InfoWithEntity | null;
+
+  targetEntity: string | null;
+
+  targetId: Id | null;
+
+  resultEntity: string;
+
+  resultId: Id | null;
+
+  status: TaskStatus | null;
+
+  startDateStart: string;
+
+  startDateEnd: string;
+
+  cancelDateStart: string;
+
+  cancelDateEnd: string;
+
+  finishDateStart: string;
+
+  finishDateEnd: string;
+
+  createDateStart: string;
+
+  createDateEnd: string;
+
+  modifyDateStart: string;
+
+  modifyDateEnd: string;
+
+  /**
+   * 将此模型转换为查询条件。
+   */
+  toCriteria(): TaskInfoCriteria;
+}
+
+export default TaskFilter;
@@ -0,0 +1,40 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { OfflineMutation, OfflineStorage } from '../api/impl/offline-queue';
+
+/**
+ * 此类实现了将离线操作保存在浏览器的 IndexedDB 中的存储。
+ */
+declare class IndexedDbOfflineStorage implements OfflineStorage {
+  /**
+   * 数据库的名称。
+   */
+  databaseName: string;
+
+  /**
+   * 对象存储的名称。
+   */
+  storeName: string;
+
+  /**
+   * 构造一个`IndexedDbOfflineStorage`对象。
+   *
+   * @param databaseName
+   *     数据库的名称，默认值为`qubit-offline-queue`。
+   * @param storeName
+   *     对象存储的名称，默认值为`mutations`。
+   */
+  constructor(databaseName?: string, storeName?: string);
+
+  load(): Promise<OfflineMutation[]>;
+
+  save(entries: OfflineMutation[]): Promise<void>;
+}
+
+export default IndexedDbOfflineStorage;
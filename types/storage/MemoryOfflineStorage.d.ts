@@ -0,0 +1,20 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { OfflineMutation, OfflineStorage } from '../api/impl/offline-queue';
+
+/**
+ * 此类实现了将离线操作保存在内存中的存储。
+ */
+declare class MemoryOfflineStorage implements OfflineStorage {
+  load(): Promise<OfflineMutation[]>;
+
+  save(entries: OfflineMutation[]): Promise<void>;
+}
+
+export default MemoryOfflineStorage;
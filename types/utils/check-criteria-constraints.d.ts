@@ -0,0 +1,44 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { CriteriaDefinition } from '../common';
+
+/**
+ * 时间戳格式的查询条件的值应当匹配的正则表达式。
+ */
+export declare const TIMESTAMP_PATTERN: RegExp;
+
+/**
+ * 检查单个查询条件的值是否满足其定义中的约束。
+ */
+export declare function checkCriteriaValue(
+  path: string,
+  value: unknown,
+  definition?: CriteriaDefinition,
+): void;
+
+/**
+ * 检查一个范围的下界是否不大于其上界。
+ */
+export declare function checkCriteriaRange(
+  lowerPath: string,
+  lower: unknown,
+  upperPath: string,
+  upper: unknown,
+): void;
+
+/**
+ * 检查查询条件对象中的值是否满足查询条件定义中的约束。
+ */
+declare function checkCriteriaConstraints(
+  name: string,
+  criteria: Record<string, any>,
+  definitions?: CriteriaDefinition[],
+): void;
+
+export default checkCriteriaConstraints;
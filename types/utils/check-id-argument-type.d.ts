@@ -0,0 +1,15 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * 检查指定的ID参数是否合法。
+ */
+declare function checkIdArgumentType(value: unknown, name?: string): void;
+
+export default checkIdArgumentType;
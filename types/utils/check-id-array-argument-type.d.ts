@@ -0,0 +1,15 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * 检查指定的ID数组参数是否合法。
+ */
+declare function checkIdArrayArgumentType(value: unknown, name?: string): void;
+
+export default checkIdArrayArgumentType;
@@ -0,0 +1,22 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { CriteriaDefinition } from '../common';
+
+/**
+ * 检查指定的对象参数是否合法。
+ */
+declare function checkObjectArgument(
+  name: string,
+  obj: unknown,
+  definition?: CriteriaDefinition[],
+  nullable?: boolean,
+  Class?: Function,
+): void;
+
+export default checkObjectArgument;
@@ -0,0 +1,21 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { CursorPageRequest, PageRequest } from '../common';
+
+/**
+ * 判断指定的分页请求参数是否为游标分页请求。
+ */
+export declare function isCursorPageRequest(pageRequest: PageRequest | CursorPageRequest): boolean;
+
+/**
+ * 检查指定的分页请求参数是否合法。
+ */
+declare function checkPageRequestArgument(pageRequest: PageRequest | CursorPageRequest): void;
+
+export default checkPageRequestArgument;
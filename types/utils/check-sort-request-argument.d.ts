@@ -0,0 +1,16 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import type { SortRequest } from '../common';
+
+/**
+ * 检查指定的排序请求参数是否合法。
+ */
+declare function checkSortRequestArgument(sortRequest: SortRequest | SortRequest[], Class?: Function): void;
+
+export default checkSortRequestArgument;
@@ -0,0 +1,28 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * `generateOpenApiDocument()`的选项。
+ */
+export interface OpenApiDocumentOptions {
+  title?: string;
+  version?: string;
+  description?: string;
+  servers?: { url: string, description?: string }[];
+}
+
+/**
+ * 根据API对象所声明的路由定义生成 OpenAPI 3.0 文档。
+ */
+declare function generateOpenApiDocument(
+  apis: Record<string, object>,
+  options?: OpenApiDocumentOptions,
+): Record<string, any>;
+
+export default generateOpenApiDocument;
@@ -0,0 +1,15 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * 获取请求失败返回的错误对象中的HTTP响应状态码。
+ */
+declare function getErrorStatus(error: any): number | undefined;
+
+export default getErrorStatus;
@@ -0,0 +1,15 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * 沿着以`.`分隔的属性路径解析指定类的属性的类型。
+ */
+declare function resolvePropertyPath(Class: Function, path: string): Function | undefined;
+
+export default resolvePropertyPath;
@@ -0,0 +1,22 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * 提供微信登录相关函数。
+ */
+declare class Wechat {
+  /**
+   * 微信登陆，获取当前用户的微信open ID。
+   */
+  login(): Promise<string | null>;
+}
+
+declare const wechat: Wechat;
+
+export default wechat;